@@ -0,0 +1,61 @@
+-- Migration: Add app settings with the offline data retention policy
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- Workstations keep cached case snapshots in IndexedDB for offline use. Admins
+-- need one place to set how long those snapshots may stay on a device before
+-- the client expires them (Data Privacy Act retention).
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.app_settings (
+  key text PRIMARY KEY,
+  value jsonb NOT NULL,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_by uuid NULL REFERENCES auth.users (id)
+);
+
+ALTER TABLE public.app_settings ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE ON TABLE public.app_settings TO authenticated;
+
+DROP POLICY IF EXISTS "App settings: read" ON public.app_settings;
+CREATE POLICY "App settings: read"
+ON public.app_settings
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "App settings: insert" ON public.app_settings;
+CREATE POLICY "App settings: insert"
+ON public.app_settings
+FOR INSERT
+TO authenticated
+WITH CHECK (has_permission('manage_system_settings'::text));
+
+DROP POLICY IF EXISTS "App settings: update" ON public.app_settings;
+CREATE POLICY "App settings: update"
+ON public.app_settings
+FOR UPDATE
+TO authenticated
+USING (has_permission('manage_system_settings'::text))
+WITH CHECK (has_permission('manage_system_settings'::text));
+
+INSERT INTO public.permissions (name, display_name, description, category) VALUES
+('manage_system_settings', 'Manage System Settings', 'Allows changing system-wide settings such as offline data retention', 'System')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO public.app_settings (key, value) VALUES
+('offline_retention_days', '14'::jsonb)
+ON CONFLICT (key) DO NOTHING;
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DELETE FROM public.permissions WHERE name = 'manage_system_settings';
+DROP TABLE IF EXISTS public.app_settings;
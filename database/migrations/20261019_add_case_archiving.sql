@@ -0,0 +1,67 @@
+-- Migration: Archive flag on case tables
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- Case Management can archive selected cases in bulk. Archived rows are kept
+-- (reports, history and the case record still see them) but the case tabs hide
+-- them unless "Include archived" is switched on. Restoring clears both columns.
+--
+-- The columns are plain row fields so archiving goes through the same offline
+-- queue as any other edit, and the `updated_at` triggers carry the change to
+-- other workstations.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+ALTER TABLE public."case"
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+ALTER TABLE public.ciclcar_case
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+ALTER TABLE public.fac_case
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+ALTER TABLE public.far_case
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+ALTER TABLE public.ivac_cases
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+ALTER TABLE public.sp_case
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+ALTER TABLE public.fa_case
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+ALTER TABLE public.pwd_case
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+ALTER TABLE public.sc_case
+  ADD COLUMN IF NOT EXISTS archived_at timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES auth.users (id);
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+ALTER TABLE public.sc_case DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE public.pwd_case DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE public.fa_case DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE public.sp_case DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE public.ivac_cases DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE public.far_case DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE public.fac_case DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE public.ciclcar_case DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE public."case" DROP COLUMN IF EXISTS archived_by, DROP COLUMN IF EXISTS archived_at;
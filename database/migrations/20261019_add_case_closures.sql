@@ -0,0 +1,233 @@
+-- Migration: Formal case closure and reopening
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- Closing a case used to be a status dropdown change with no reason and no
+-- record of why. `close_case` now requires a closure reason code and summary,
+-- and refuses while the case still has program enrollments that are not
+-- completed or dropped. `reopen_case` requires a justification. Each closure
+-- and reopening is kept in the append-only `case_closures` table.
+--
+-- Closed and reopened statuses differ per table: the intake-sheet tables use
+-- 'Resolved' / 'In Process', the others 'closed' / 'active'. IVAC rows are
+-- barangay totals and are not closed this way.
+--
+-- Both functions run with the caller's rights, so the case table's own RLS
+-- still decides who may change its status.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.case_closures (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  case_type text NOT NULL
+    CHECK (case_type IN ('CASE', 'CICLCAR', 'FAC', 'FAR', 'SP', 'FA', 'PWD', 'SC')),
+  case_id uuid NOT NULL,
+  action text NOT NULL CHECK (action IN ('closed', 'reopened')),
+  reason_code text
+    CHECK (reason_code IN (
+      'goals_met', 'referred_out', 'client_declined', 'client_relocated',
+      'client_deceased', 'lost_contact', 'duplicate', 'other'
+    )),
+  notes text NOT NULL CHECK (length(btrim(notes)) > 0),
+  from_status text,
+  to_status text,
+  checklist jsonb,
+  actor_id uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id),
+  actor_name text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CHECK (action <> 'closed' OR reason_code IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_closures_case
+ON public.case_closures USING btree (case_type, case_id, created_at);
+
+CREATE OR REPLACE FUNCTION public.reject_case_closure_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'Case closure records cannot be edited or deleted';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reject_case_closure_change ON public.case_closures;
+CREATE TRIGGER reject_case_closure_change BEFORE UPDATE OR DELETE ON public.case_closures
+FOR EACH ROW EXECUTE FUNCTION public.reject_case_closure_change();
+
+ALTER TABLE public.case_closures ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT ON TABLE public.case_closures TO authenticated;
+
+DROP POLICY IF EXISTS "Case closures: read" ON public.case_closures;
+CREATE POLICY "Case closures: read"
+ON public.case_closures
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Case closures: insert own" ON public.case_closures;
+CREATE POLICY "Case closures: insert own"
+ON public.case_closures
+FOR INSERT
+TO authenticated
+WITH CHECK (actor_id = auth.uid());
+
+-- Table plus closed/reopened status for a case type.
+CREATE OR REPLACE FUNCTION public.case_closure_target(p_case_type text)
+RETURNS TABLE (table_name text, closed_status text, reopened_status text)
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT t.table_name, t.closed_status, t.reopened_status
+  FROM (VALUES
+    ('CASE', 'case', 'Resolved', 'In Process'),
+    ('CICLCAR', 'ciclcar_case', 'Resolved', 'In Process'),
+    ('FAR', 'far_case', 'Resolved', 'In Process'),
+    ('FAC', 'fac_case', 'closed', 'active'),
+    ('SP', 'sp_case', 'closed', 'active'),
+    ('FA', 'fa_case', 'closed', 'active'),
+    ('PWD', 'pwd_case', 'closed', 'active'),
+    ('SC', 'sc_case', 'closed', 'active')
+  ) AS t (case_type, table_name, closed_status, reopened_status)
+  WHERE t.case_type = p_case_type;
+$$;
+
+CREATE OR REPLACE FUNCTION public.close_case(
+  p_case_type text,
+  p_case_id uuid,
+  p_reason_code text,
+  p_summary text,
+  p_checklist jsonb DEFAULT NULL,
+  p_actor_name text DEFAULT NULL
+)
+RETURNS public.case_closures
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_target record;
+  v_case_id uuid;
+  v_status text;
+  v_updated integer;
+  v_open_enrollments integer;
+  v_closure public.case_closures%ROWTYPE;
+BEGIN
+  SELECT * INTO v_target FROM public.case_closure_target(p_case_type);
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Cases of type % cannot be closed', p_case_type;
+  END IF;
+
+  -- EXECUTE does not set FOUND, so check the returned id instead.
+  EXECUTE format('SELECT id, status FROM public.%I WHERE id = $1 FOR UPDATE', v_target.table_name)
+  INTO v_case_id, v_status USING p_case_id;
+  IF v_case_id IS NULL THEN
+    RAISE EXCEPTION 'Case not found';
+  END IF;
+  IF lower(coalesce(v_status, '')) IN ('resolved', 'closed') THEN
+    RAISE EXCEPTION 'This case is already closed';
+  END IF;
+
+  -- Enrollments store CASE as the legacy 'VAC' and CICLCAR as 'CICL/CAR'.
+  SELECT count(*) INTO v_open_enrollments
+  FROM public.program_enrollments
+  WHERE case_id = p_case_id
+    AND case_type = ANY (CASE p_case_type
+      WHEN 'CASE' THEN ARRAY['CASE', 'VAC']
+      WHEN 'CICLCAR' THEN ARRAY['CICL/CAR']
+      ELSE ARRAY[p_case_type]
+    END)
+    AND lower(coalesce(status, '')) NOT IN ('completed', 'dropped');
+  IF v_open_enrollments > 0 THEN
+    RAISE EXCEPTION 'Complete or drop the % open program enrollment(s) before closing this case', v_open_enrollments;
+  END IF;
+
+  EXECUTE format('UPDATE public.%I SET status = $1, updated_at = now() WHERE id = $2', v_target.table_name)
+  USING v_target.closed_status, p_case_id;
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  IF v_updated = 0 THEN
+    RAISE EXCEPTION 'You do not have permission to change this case';
+  END IF;
+
+  INSERT INTO public.case_closures (
+    case_type, case_id, action, reason_code, notes, from_status, to_status, checklist, actor_name
+  )
+  VALUES (
+    p_case_type, p_case_id, 'closed', p_reason_code, btrim(p_summary),
+    v_status, v_target.closed_status, p_checklist, p_actor_name
+  )
+  RETURNING * INTO v_closure;
+
+  RETURN v_closure;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.reopen_case(
+  p_case_type text,
+  p_case_id uuid,
+  p_justification text,
+  p_actor_name text DEFAULT NULL
+)
+RETURNS public.case_closures
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_target record;
+  v_case_id uuid;
+  v_status text;
+  v_updated integer;
+  v_closure public.case_closures%ROWTYPE;
+BEGIN
+  SELECT * INTO v_target FROM public.case_closure_target(p_case_type);
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Cases of type % cannot be reopened', p_case_type;
+  END IF;
+
+  EXECUTE format('SELECT id, status FROM public.%I WHERE id = $1 FOR UPDATE', v_target.table_name)
+  INTO v_case_id, v_status USING p_case_id;
+  IF v_case_id IS NULL THEN
+    RAISE EXCEPTION 'Case not found';
+  END IF;
+  IF lower(coalesce(v_status, '')) NOT IN ('resolved', 'closed') THEN
+    RAISE EXCEPTION 'Only closed cases can be reopened';
+  END IF;
+
+  EXECUTE format('UPDATE public.%I SET status = $1, updated_at = now() WHERE id = $2', v_target.table_name)
+  USING v_target.reopened_status, p_case_id;
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  IF v_updated = 0 THEN
+    RAISE EXCEPTION 'You do not have permission to change this case';
+  END IF;
+
+  INSERT INTO public.case_closures (
+    case_type, case_id, action, notes, from_status, to_status, actor_name
+  )
+  VALUES (
+    p_case_type, p_case_id, 'reopened', btrim(p_justification),
+    v_status, v_target.reopened_status, p_actor_name
+  )
+  RETURNING * INTO v_closure;
+
+  RETURN v_closure;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.close_case(text, uuid, text, text, jsonb, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.close_case(text, uuid, text, text, jsonb, text) TO authenticated;
+REVOKE ALL ON FUNCTION public.reopen_case(text, uuid, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.reopen_case(text, uuid, text, text) TO authenticated;
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP FUNCTION IF EXISTS public.reopen_case(text, uuid, text, text);
+DROP FUNCTION IF EXISTS public.close_case(text, uuid, text, text, jsonb, text);
+DROP FUNCTION IF EXISTS public.case_closure_target(text);
+DROP TRIGGER IF EXISTS reject_case_closure_change ON public.case_closures;
+DROP FUNCTION IF EXISTS public.reject_case_closure_change();
+DROP TABLE IF EXISTS public.case_closures;
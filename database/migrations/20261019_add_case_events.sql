@@ -0,0 +1,155 @@
+-- Migration: Record status, priority and visibility changes on case rows
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- The per-case activity timeline needs to show when a case changed status or
+-- priority and when it was hidden from or shown again to a user. Case rows only
+-- keep their current values, and unhiding deletes the `hidden_cases` row, so
+-- none of this could be reconstructed afterwards.
+--
+-- Triggers write one `case_events` row per change. They run on the server, so
+-- edits replayed from offline queues are recorded too; the actor is whoever
+-- sent the update (`auth.uid()`).
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.case_events (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  table_name text NOT NULL,
+  case_id uuid NOT NULL,
+  event_type text NOT NULL
+    CHECK (event_type IN ('status_change', 'priority_change', 'hidden', 'unhidden')),
+  from_value text,
+  to_value text,
+  metadata jsonb,
+  actor_id uuid DEFAULT auth.uid(),
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_events_case_created_at
+ON public.case_events USING btree (case_id, created_at);
+
+ALTER TABLE public.case_events ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT ON TABLE public.case_events TO authenticated;
+
+DROP POLICY IF EXISTS "Case events: read" ON public.case_events;
+CREATE POLICY "Case events: read"
+ON public.case_events
+FOR SELECT
+TO authenticated
+USING (true);
+
+-- Generic over the case tables: `ivac_cases` has no priority, so only its
+-- status changes are recorded.
+CREATE OR REPLACE FUNCTION public.record_case_field_changes()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_old jsonb := to_jsonb(OLD);
+  v_new jsonb := to_jsonb(NEW);
+BEGIN
+  IF v_old ->> 'status' IS DISTINCT FROM v_new ->> 'status' THEN
+    INSERT INTO public.case_events (table_name, case_id, event_type, from_value, to_value)
+    VALUES (TG_TABLE_NAME, NEW.id, 'status_change', v_old ->> 'status', v_new ->> 'status');
+  END IF;
+
+  IF v_old ->> 'priority' IS DISTINCT FROM v_new ->> 'priority' THEN
+    INSERT INTO public.case_events (table_name, case_id, event_type, from_value, to_value)
+    VALUES (TG_TABLE_NAME, NEW.id, 'priority_change', v_old ->> 'priority', v_new ->> 'priority');
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.record_hidden_case_event()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO public.case_events (table_name, case_id, event_type, to_value, metadata, actor_id)
+    VALUES (
+      NEW.table_type,
+      NEW.case_id::uuid,
+      'hidden',
+      NEW.hidden_from_user_id::text,
+      jsonb_build_object('reason', NEW.reason),
+      coalesce(NEW.hidden_by, auth.uid())
+    );
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO public.case_events (table_name, case_id, event_type, from_value)
+  VALUES (OLD.table_type, OLD.case_id::uuid, 'unhidden', OLD.hidden_from_user_id::text);
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public."case";
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public."case"
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.ciclcar_case;
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public.ciclcar_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.fac_case;
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public.fac_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.far_case;
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public.far_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.ivac_cases;
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public.ivac_cases
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.sp_case;
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.fa_case;
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public.fa_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.pwd_case;
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public.pwd_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.sc_case;
+CREATE TRIGGER record_case_field_changes AFTER UPDATE ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_field_changes();
+
+DROP TRIGGER IF EXISTS record_hidden_case_event ON public.hidden_cases;
+CREATE TRIGGER record_hidden_case_event AFTER INSERT OR DELETE ON public.hidden_cases
+FOR EACH ROW EXECUTE FUNCTION public.record_hidden_case_event();
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TRIGGER IF EXISTS record_hidden_case_event ON public.hidden_cases;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.sc_case;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.pwd_case;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.fa_case;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.sp_case;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.ivac_cases;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.far_case;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.fac_case;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public.ciclcar_case;
+DROP TRIGGER IF EXISTS record_case_field_changes ON public."case";
+DROP FUNCTION IF EXISTS public.record_hidden_case_event();
+DROP FUNCTION IF EXISTS public.record_case_field_changes();
+DROP TABLE IF EXISTS public.case_events;
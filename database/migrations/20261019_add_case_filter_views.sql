@@ -0,0 +1,102 @@
+-- Migration: Saved filter views for the case tables
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- The Case Management search box and advanced filters reset every session, so
+-- supervisors rebuilt the same views each morning. A view stores one tab's
+-- search text, advanced filters and case manager filter under a name. Views
+-- belong to the worker who saved them; a shared view is readable by all staff
+-- but only its owner can change or delete it.
+--
+-- Each worker may pick one view (their own or a shared one) as the landing
+-- view Case Management opens with. That choice lives in
+-- `case_filter_view_defaults`, one row per worker, and goes away with the view.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.case_filter_views (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id) ON DELETE CASCADE,
+  owner_name text,
+  name text NOT NULL CHECK (length(btrim(name)) > 0),
+  case_type text NOT NULL
+    CHECK (case_type IN ('CASE', 'CICLCAR', 'FAC', 'FAR', 'IVAC', 'SP', 'FA', 'PWD', 'SC')),
+  filters jsonb NOT NULL DEFAULT '{}'::jsonb,
+  is_shared boolean NOT NULL DEFAULT false,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_case_filter_views_owner_name
+ON public.case_filter_views USING btree (owner_id, case_type, lower(name));
+
+CREATE INDEX IF NOT EXISTS idx_case_filter_views_shared
+ON public.case_filter_views USING btree (is_shared)
+WHERE is_shared;
+
+DROP TRIGGER IF EXISTS update_case_filter_views_updated_at ON public.case_filter_views;
+CREATE TRIGGER update_case_filter_views_updated_at BEFORE UPDATE ON public.case_filter_views
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.case_filter_views ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE public.case_filter_views TO authenticated;
+
+DROP POLICY IF EXISTS "Case filter views: read own or shared" ON public.case_filter_views;
+CREATE POLICY "Case filter views: read own or shared"
+ON public.case_filter_views
+FOR SELECT
+TO authenticated
+USING (owner_id = auth.uid() OR is_shared);
+
+DROP POLICY IF EXISTS "Case filter views: insert own" ON public.case_filter_views;
+CREATE POLICY "Case filter views: insert own"
+ON public.case_filter_views
+FOR INSERT
+TO authenticated
+WITH CHECK (owner_id = auth.uid());
+
+DROP POLICY IF EXISTS "Case filter views: update own" ON public.case_filter_views;
+CREATE POLICY "Case filter views: update own"
+ON public.case_filter_views
+FOR UPDATE
+TO authenticated
+USING (owner_id = auth.uid())
+WITH CHECK (owner_id = auth.uid());
+
+DROP POLICY IF EXISTS "Case filter views: delete own" ON public.case_filter_views;
+CREATE POLICY "Case filter views: delete own"
+ON public.case_filter_views
+FOR DELETE
+TO authenticated
+USING (owner_id = auth.uid());
+
+CREATE TABLE IF NOT EXISTS public.case_filter_view_defaults (
+  user_id uuid PRIMARY KEY DEFAULT auth.uid() REFERENCES auth.users (id) ON DELETE CASCADE,
+  view_id uuid NOT NULL REFERENCES public.case_filter_views (id) ON DELETE CASCADE,
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.case_filter_view_defaults ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE public.case_filter_view_defaults TO authenticated;
+
+DROP POLICY IF EXISTS "Case filter view defaults: own" ON public.case_filter_view_defaults;
+CREATE POLICY "Case filter view defaults: own"
+ON public.case_filter_view_defaults
+FOR ALL
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TABLE IF EXISTS public.case_filter_view_defaults;
+DROP TRIGGER IF EXISTS update_case_filter_views_updated_at ON public.case_filter_views;
+DROP TABLE IF EXISTS public.case_filter_views;
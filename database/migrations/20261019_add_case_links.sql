@@ -0,0 +1,166 @@
+-- Migration: Typed links between cases of any case type
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- The same people turn up in several modules: a CICL/CAR child is often also
+-- a VAC victim, and a FAR assistance belongs to a FAC family. Nothing tied
+-- those rows together. `case_links` records a typed relationship between two
+-- cases, in any of the case tables.
+--
+-- Relationships:
+-- - same_client, sibling, household: symmetric.
+-- - perpetrator_victim: the source is the perpetrator's case, the target the
+--   victim's.
+-- - referral_origin: the source case was referred from the target case.
+--
+-- A pair of cases holds one link per relationship, in either direction. Links
+-- to a case are removed when the case row is deleted. Otherwise only the worker
+-- who made a link can remove it; the app audits the removal.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.case_links (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_type text NOT NULL
+    CHECK (source_type IN ('CASE', 'CICLCAR', 'FAC', 'FAR', 'IVAC', 'SP', 'FA', 'PWD', 'SC')),
+  source_id uuid NOT NULL,
+  target_type text NOT NULL
+    CHECK (target_type IN ('CASE', 'CICLCAR', 'FAC', 'FAR', 'IVAC', 'SP', 'FA', 'PWD', 'SC')),
+  target_id uuid NOT NULL,
+  relation text NOT NULL
+    CHECK (relation IN ('same_client', 'sibling', 'household', 'perpetrator_victim', 'referral_origin')),
+  note text,
+  created_by uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id),
+  created_by_name text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CHECK (NOT (source_type = target_type AND source_id = target_id))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_case_links_pair
+ON public.case_links USING btree (
+  relation,
+  least(source_type || ':' || source_id::text, target_type || ':' || target_id::text),
+  greatest(source_type || ':' || source_id::text, target_type || ':' || target_id::text)
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_links_source
+ON public.case_links USING btree (source_type, source_id);
+
+CREATE INDEX IF NOT EXISTS idx_case_links_target
+ON public.case_links USING btree (target_type, target_id);
+
+CREATE OR REPLACE FUNCTION public.prepare_case_link()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  NEW.created_by := auth.uid();
+  NEW.created_by_name := (SELECT coalesce(full_name, email) FROM public.profile WHERE id = NEW.created_by);
+  NEW.created_at := now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS prepare_case_link ON public.case_links;
+CREATE TRIGGER prepare_case_link BEFORE INSERT ON public.case_links
+FOR EACH ROW EXECUTE FUNCTION public.prepare_case_link();
+
+-- TG_ARGV[0] is the case type of the table the trigger sits on.
+CREATE OR REPLACE FUNCTION public.delete_case_links()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM public.case_links
+  WHERE (source_type = TG_ARGV[0] AND source_id = OLD.id)
+     OR (target_type = TG_ARGV[0] AND target_id = OLD.id);
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS delete_case_links ON public."case";
+CREATE TRIGGER delete_case_links AFTER DELETE ON public."case"
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('CASE');
+
+DROP TRIGGER IF EXISTS delete_case_links ON public.ciclcar_case;
+CREATE TRIGGER delete_case_links AFTER DELETE ON public.ciclcar_case
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('CICLCAR');
+
+DROP TRIGGER IF EXISTS delete_case_links ON public.fac_case;
+CREATE TRIGGER delete_case_links AFTER DELETE ON public.fac_case
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('FAC');
+
+DROP TRIGGER IF EXISTS delete_case_links ON public.far_case;
+CREATE TRIGGER delete_case_links AFTER DELETE ON public.far_case
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('FAR');
+
+DROP TRIGGER IF EXISTS delete_case_links ON public.ivac_cases;
+CREATE TRIGGER delete_case_links AFTER DELETE ON public.ivac_cases
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('IVAC');
+
+DROP TRIGGER IF EXISTS delete_case_links ON public.sp_case;
+CREATE TRIGGER delete_case_links AFTER DELETE ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('SP');
+
+DROP TRIGGER IF EXISTS delete_case_links ON public.fa_case;
+CREATE TRIGGER delete_case_links AFTER DELETE ON public.fa_case
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('FA');
+
+DROP TRIGGER IF EXISTS delete_case_links ON public.pwd_case;
+CREATE TRIGGER delete_case_links AFTER DELETE ON public.pwd_case
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('PWD');
+
+DROP TRIGGER IF EXISTS delete_case_links ON public.sc_case;
+CREATE TRIGGER delete_case_links AFTER DELETE ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.delete_case_links('SC');
+
+ALTER TABLE public.case_links ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, DELETE ON TABLE public.case_links TO authenticated;
+
+DROP POLICY IF EXISTS "Case links: read" ON public.case_links;
+CREATE POLICY "Case links: read"
+ON public.case_links
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Case links: insert own" ON public.case_links;
+CREATE POLICY "Case links: insert own"
+ON public.case_links
+FOR INSERT
+TO authenticated
+WITH CHECK (created_by = auth.uid());
+
+DROP POLICY IF EXISTS "Case links: delete own" ON public.case_links;
+CREATE POLICY "Case links: delete own"
+ON public.case_links
+FOR DELETE
+TO authenticated
+USING (created_by = auth.uid());
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TRIGGER IF EXISTS delete_case_links ON public.sc_case;
+DROP TRIGGER IF EXISTS delete_case_links ON public.pwd_case;
+DROP TRIGGER IF EXISTS delete_case_links ON public.fa_case;
+DROP TRIGGER IF EXISTS delete_case_links ON public.sp_case;
+DROP TRIGGER IF EXISTS delete_case_links ON public.ivac_cases;
+DROP TRIGGER IF EXISTS delete_case_links ON public.far_case;
+DROP TRIGGER IF EXISTS delete_case_links ON public.fac_case;
+DROP TRIGGER IF EXISTS delete_case_links ON public.ciclcar_case;
+DROP TRIGGER IF EXISTS delete_case_links ON public."case";
+DROP TRIGGER IF EXISTS prepare_case_link ON public.case_links;
+DROP FUNCTION IF EXISTS public.delete_case_links();
+DROP FUNCTION IF EXISTS public.prepare_case_link();
+DROP TABLE IF EXISTS public.case_links;
@@ -0,0 +1,113 @@
+-- Migration: Append-only case notes journal
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- Narrative columns such as `assessment` and `recommendation` are overwritten
+-- on every edit, so the history of a case is lost. `case_notes` keeps dated,
+-- authored progress notes for every person-level case type.
+--
+-- Notes are append-only: there are no UPDATE/DELETE policies and a trigger
+-- rejects both, even for the service role. A correction is a new row whose
+-- `amends_note_id` points at the original note (an addendum).
+--
+-- The author is always the signed-in user; the insert trigger overwrites
+-- whatever the client sends.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.case_notes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  case_type text NOT NULL
+    CHECK (case_type IN ('CASE', 'CICLCAR', 'FAC', 'FAR', 'SP', 'FA', 'PWD', 'SC')),
+  case_id uuid NOT NULL,
+  note_type text NOT NULL DEFAULT 'progress'
+    CHECK (note_type IN ('progress', 'home_visit', 'phone_call', 'case_conference', 'court_hearing')),
+  occurred_on date NOT NULL DEFAULT current_date,
+  body text NOT NULL CHECK (length(btrim(body)) > 0),
+  amends_note_id uuid REFERENCES public.case_notes (id),
+  author_id uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id),
+  author_name text,
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_notes_case
+ON public.case_notes USING btree (case_type, case_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_case_notes_amends_note_id
+ON public.case_notes USING btree (amends_note_id);
+
+CREATE OR REPLACE FUNCTION public.prepare_case_note()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_parent public.case_notes%ROWTYPE;
+BEGIN
+  NEW.author_id := auth.uid();
+  NEW.author_name := (SELECT coalesce(full_name, email) FROM public.profile WHERE id = NEW.author_id);
+  NEW.created_at := now();
+
+  IF NEW.amends_note_id IS NOT NULL THEN
+    SELECT * INTO v_parent FROM public.case_notes WHERE id = NEW.amends_note_id;
+    IF NOT FOUND OR v_parent.case_type <> NEW.case_type OR v_parent.case_id <> NEW.case_id THEN
+      RAISE EXCEPTION 'An addendum must amend a note on the same case';
+    END IF;
+    -- Addenda always hang off the original note.
+    NEW.amends_note_id := coalesce(v_parent.amends_note_id, v_parent.id);
+    NEW.note_type := v_parent.note_type;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.reject_case_note_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'Case notes cannot be edited or deleted; add an addendum instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS prepare_case_note ON public.case_notes;
+CREATE TRIGGER prepare_case_note BEFORE INSERT ON public.case_notes
+FOR EACH ROW EXECUTE FUNCTION public.prepare_case_note();
+
+DROP TRIGGER IF EXISTS reject_case_note_change ON public.case_notes;
+CREATE TRIGGER reject_case_note_change BEFORE UPDATE OR DELETE ON public.case_notes
+FOR EACH ROW EXECUTE FUNCTION public.reject_case_note_change();
+
+ALTER TABLE public.case_notes ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT ON TABLE public.case_notes TO authenticated;
+
+DROP POLICY IF EXISTS "Case notes: read" ON public.case_notes;
+CREATE POLICY "Case notes: read"
+ON public.case_notes
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Case notes: insert own" ON public.case_notes;
+CREATE POLICY "Case notes: insert own"
+ON public.case_notes
+FOR INSERT
+TO authenticated
+WITH CHECK (author_id = auth.uid());
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TRIGGER IF EXISTS reject_case_note_change ON public.case_notes;
+DROP TRIGGER IF EXISTS prepare_case_note ON public.case_notes;
+DROP FUNCTION IF EXISTS public.reject_case_note_change();
+DROP FUNCTION IF EXISTS public.prepare_case_note();
+DROP TABLE IF EXISTS public.case_notes;
@@ -0,0 +1,169 @@
+-- Migration: Server-side search columns for the case tables
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- Case Management used to filter, sort and page every cached row in the
+-- renderer, building a search string per row on each keystroke. Online, the
+-- tabs now ask Supabase for one page of ids at a time (range queries), so the
+-- search has to run in Postgres.
+--
+-- `search_text` holds the lowercased values of every column of the row except
+-- timestamps, the same text the local search builds. A trigger keeps it
+-- current and a trigram index serves the `ILIKE '%term%'` filter. Family rows
+-- are not part of it, matching the local search.
+--
+-- The backfill runs with `session_replication_role = replica` so the
+-- `updated_at`, tombstone and audit triggers stay quiet: touching every row
+-- would otherwise force each workstation to refetch its whole cache and turn
+-- queued offline edits into conflicts. Clients drop `search_text` before
+-- caching a row.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+
+CREATE OR REPLACE FUNCTION public.case_search_text(row_data jsonb)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT lower(regexp_replace(coalesce(string_agg(value, ' '), ''), '\s+', ' ', 'g'))
+  FROM jsonb_each_text(row_data - 'search_text' - 'created_at' - 'updated_at' - 'archived_at')
+  WHERE value IS NOT NULL AND value <> '';
+$$;
+
+CREATE OR REPLACE FUNCTION public.set_case_search_text()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.search_text := public.case_search_text(to_jsonb(NEW));
+  RETURN NEW;
+END;
+$$;
+
+ALTER TABLE public."case" ADD COLUMN IF NOT EXISTS search_text text;
+ALTER TABLE public.ciclcar_case ADD COLUMN IF NOT EXISTS search_text text;
+ALTER TABLE public.fac_case ADD COLUMN IF NOT EXISTS search_text text;
+ALTER TABLE public.far_case ADD COLUMN IF NOT EXISTS search_text text;
+ALTER TABLE public.ivac_cases ADD COLUMN IF NOT EXISTS search_text text;
+ALTER TABLE public.sp_case ADD COLUMN IF NOT EXISTS search_text text;
+ALTER TABLE public.fa_case ADD COLUMN IF NOT EXISTS search_text text;
+ALTER TABLE public.pwd_case ADD COLUMN IF NOT EXISTS search_text text;
+ALTER TABLE public.sc_case ADD COLUMN IF NOT EXISTS search_text text;
+
+SET LOCAL session_replication_role = replica;
+UPDATE public."case" t SET search_text = public.case_search_text(to_jsonb(t));
+UPDATE public.ciclcar_case t SET search_text = public.case_search_text(to_jsonb(t));
+UPDATE public.fac_case t SET search_text = public.case_search_text(to_jsonb(t));
+UPDATE public.far_case t SET search_text = public.case_search_text(to_jsonb(t));
+UPDATE public.ivac_cases t SET search_text = public.case_search_text(to_jsonb(t));
+UPDATE public.sp_case t SET search_text = public.case_search_text(to_jsonb(t));
+UPDATE public.fa_case t SET search_text = public.case_search_text(to_jsonb(t));
+UPDATE public.pwd_case t SET search_text = public.case_search_text(to_jsonb(t));
+UPDATE public.sc_case t SET search_text = public.case_search_text(to_jsonb(t));
+SET LOCAL session_replication_role = origin;
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public."case";
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public."case"
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public.ciclcar_case;
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public.ciclcar_case
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public.fac_case;
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public.fac_case
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public.far_case;
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public.far_case
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public.ivac_cases;
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public.ivac_cases
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public.sp_case;
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public.fa_case;
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public.fa_case
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public.pwd_case;
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public.pwd_case
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+DROP TRIGGER IF EXISTS set_case_search_text ON public.sc_case;
+CREATE TRIGGER set_case_search_text BEFORE INSERT OR UPDATE ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.set_case_search_text();
+
+CREATE INDEX IF NOT EXISTS idx_case_search_text
+ON public."case" USING gin (search_text extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_ciclcar_case_search_text
+ON public.ciclcar_case USING gin (search_text extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_fac_case_search_text
+ON public.fac_case USING gin (search_text extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_far_case_search_text
+ON public.far_case USING gin (search_text extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_ivac_cases_search_text
+ON public.ivac_cases USING gin (search_text extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sp_case_search_text
+ON public.sp_case USING gin (search_text extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_fa_case_search_text
+ON public.fa_case USING gin (search_text extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_pwd_case_search_text
+ON public.pwd_case USING gin (search_text extensions.gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sc_case_search_text
+ON public.sc_case USING gin (search_text extensions.gin_trgm_ops);
+
+-- Default order of every tab (newest change first).
+CREATE INDEX IF NOT EXISTS idx_case_updated_at ON public."case" USING btree (updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ciclcar_case_updated_at ON public.ciclcar_case USING btree (updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_fac_case_updated_at ON public.fac_case USING btree (updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_far_case_updated_at ON public.far_case USING btree (updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ivac_cases_updated_at ON public.ivac_cases USING btree (updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sp_case_updated_at ON public.sp_case USING btree (updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_fa_case_updated_at ON public.fa_case USING btree (updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pwd_case_updated_at ON public.pwd_case USING btree (updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sc_case_updated_at ON public.sc_case USING btree (updated_at DESC);
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TRIGGER IF EXISTS set_case_search_text ON public.sc_case;
+DROP TRIGGER IF EXISTS set_case_search_text ON public.pwd_case;
+DROP TRIGGER IF EXISTS set_case_search_text ON public.fa_case;
+DROP TRIGGER IF EXISTS set_case_search_text ON public.sp_case;
+DROP TRIGGER IF EXISTS set_case_search_text ON public.ivac_cases;
+DROP TRIGGER IF EXISTS set_case_search_text ON public.far_case;
+DROP TRIGGER IF EXISTS set_case_search_text ON public.fac_case;
+DROP TRIGGER IF EXISTS set_case_search_text ON public.ciclcar_case;
+DROP TRIGGER IF EXISTS set_case_search_text ON public."case";
+ALTER TABLE public.sc_case DROP COLUMN IF EXISTS search_text;
+ALTER TABLE public.pwd_case DROP COLUMN IF EXISTS search_text;
+ALTER TABLE public.fa_case DROP COLUMN IF EXISTS search_text;
+ALTER TABLE public.sp_case DROP COLUMN IF EXISTS search_text;
+ALTER TABLE public.ivac_cases DROP COLUMN IF EXISTS search_text;
+ALTER TABLE public.far_case DROP COLUMN IF EXISTS search_text;
+ALTER TABLE public.fac_case DROP COLUMN IF EXISTS search_text;
+ALTER TABLE public.ciclcar_case DROP COLUMN IF EXISTS search_text;
+ALTER TABLE public."case" DROP COLUMN IF EXISTS search_text;
+DROP FUNCTION IF EXISTS public.set_case_search_text();
+DROP FUNCTION IF EXISTS public.case_search_text(jsonb);
+DROP INDEX IF EXISTS public.idx_sc_case_updated_at;
+DROP INDEX IF EXISTS public.idx_pwd_case_updated_at;
+DROP INDEX IF EXISTS public.idx_fa_case_updated_at;
+DROP INDEX IF EXISTS public.idx_sp_case_updated_at;
+DROP INDEX IF EXISTS public.idx_ivac_cases_updated_at;
+DROP INDEX IF EXISTS public.idx_far_case_updated_at;
+DROP INDEX IF EXISTS public.idx_fac_case_updated_at;
+DROP INDEX IF EXISTS public.idx_ciclcar_case_updated_at;
+DROP INDEX IF EXISTS public.idx_case_updated_at;
@@ -0,0 +1,129 @@
+-- Migration: Record deleted case rows for incremental client sync
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- Case tables are cached on each workstation and refreshed by fetching only the
+-- rows whose `updated_at` moved past the client's watermark. A deleted row never
+-- shows up in that query, so deletions are written to `case_tombstones` and the
+-- client removes the matching cached rows.
+--
+-- `case` and `ciclcar_case` had no `updated_at` trigger; edits that did not set
+-- the column themselves would be invisible to the watermark query.
+--
+-- Clients run a full refresh at least once a day, so tombstones older than 30
+-- days are pruned as new ones are written.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.case_tombstones (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  table_name text NOT NULL,
+  record_id uuid NOT NULL,
+  deleted_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_tombstones_table_deleted_at
+ON public.case_tombstones USING btree (table_name, deleted_at);
+
+ALTER TABLE public.case_tombstones ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT ON TABLE public.case_tombstones TO authenticated;
+
+DROP POLICY IF EXISTS "Case tombstones: read" ON public.case_tombstones;
+CREATE POLICY "Case tombstones: read"
+ON public.case_tombstones
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE OR REPLACE FUNCTION public.record_case_tombstone()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.case_tombstones (table_name, record_id)
+  VALUES (TG_TABLE_NAME, OLD.id);
+
+  DELETE FROM public.case_tombstones
+  WHERE deleted_at < now() - interval '30 days';
+
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public."case";
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public."case"
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.ciclcar_case;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.ciclcar_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.fac_case;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.fac_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.far_case;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.far_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.ivac_cases;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.ivac_cases
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.sp_case;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.fa_case;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.fa_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.pwd_case;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.pwd_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.sc_case;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.program_enrollments;
+CREATE TRIGGER record_case_tombstone AFTER DELETE ON public.program_enrollments
+FOR EACH ROW EXECUTE FUNCTION public.record_case_tombstone();
+
+DROP TRIGGER IF EXISTS update_case_updated_at ON public."case";
+CREATE TRIGGER update_case_updated_at BEFORE UPDATE ON public."case"
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_ciclcar_case_updated_at ON public.ciclcar_case;
+CREATE TRIGGER update_ciclcar_case_updated_at BEFORE UPDATE ON public.ciclcar_case
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_updated_at
+ON public.program_enrollments USING btree (updated_at);
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP INDEX IF EXISTS public.idx_enrollments_updated_at;
+DROP TRIGGER IF EXISTS update_ciclcar_case_updated_at ON public.ciclcar_case;
+DROP TRIGGER IF EXISTS update_case_updated_at ON public."case";
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.program_enrollments;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.sc_case;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.pwd_case;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.fa_case;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.sp_case;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.ivac_cases;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.far_case;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.fac_case;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public.ciclcar_case;
+DROP TRIGGER IF EXISTS record_case_tombstone ON public."case";
+DROP FUNCTION IF EXISTS public.record_case_tombstone();
+DROP TABLE IF EXISTS public.case_tombstones;
@@ -0,0 +1,235 @@
+-- Migration: Case transfers and assignment history
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- `case_manager` is a free-text name on every person-level case table, and
+-- changing it left no trace. Transfers are now requests: a worker proposes a
+-- new case manager with a reason, and the receiving worker accepts or
+-- declines. Accepting updates the case row through `resolve_case_transfer`,
+-- because the recipient usually cannot edit a case that is not yet theirs.
+--
+-- Every change of `case_manager` (accepted transfers and edits from the intake
+-- forms alike) is also written to `case_events` as an `assignment_change`, so
+-- the case timeline shows the full assignment history.
+--
+-- IVAC rows are barangay totals with a `case_managers` list and are not
+-- transferable.
+--
+-- The requester and both names come from `profile`, never from the client:
+-- the insert trigger overwrites them, so the name written to `case_manager`
+-- on accept is always the recipient's own.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.case_transfers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  case_type text NOT NULL
+    CHECK (case_type IN ('CASE', 'CICLCAR', 'FAC', 'FAR', 'SP', 'FA', 'PWD', 'SC')),
+  case_id uuid NOT NULL,
+  from_name text,
+  to_user uuid NOT NULL REFERENCES auth.users (id) ON DELETE CASCADE,
+  to_name text NOT NULL,
+  reason text NOT NULL CHECK (length(btrim(reason)) > 0),
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+  response_note text,
+  requested_by uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id),
+  requested_by_name text,
+  responded_at timestamp with time zone,
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- One open request per case; a new one needs the old one answered or cancelled.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_case_transfers_one_pending
+ON public.case_transfers USING btree (case_type, case_id)
+WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_case_transfers_to_user_status
+ON public.case_transfers USING btree (to_user, status);
+
+CREATE INDEX IF NOT EXISTS idx_case_transfers_case
+ON public.case_transfers USING btree (case_id, created_at);
+
+ALTER TABLE public.case_transfers ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT ON TABLE public.case_transfers TO authenticated;
+
+DROP POLICY IF EXISTS "Case transfers: read" ON public.case_transfers;
+CREATE POLICY "Case transfers: read"
+ON public.case_transfers
+FOR SELECT
+TO authenticated
+USING (true);
+
+CREATE OR REPLACE FUNCTION public.prepare_case_transfer()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  NEW.requested_by := auth.uid();
+  NEW.requested_by_name := (SELECT coalesce(full_name, email) FROM public.profile WHERE id = NEW.requested_by);
+  NEW.to_name := (SELECT coalesce(full_name, email) FROM public.profile WHERE id = NEW.to_user);
+  IF NEW.to_name IS NULL THEN
+    RAISE EXCEPTION 'The receiving case manager has no profile';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS prepare_case_transfer ON public.case_transfers;
+CREATE TRIGGER prepare_case_transfer BEFORE INSERT ON public.case_transfers
+FOR EACH ROW EXECUTE FUNCTION public.prepare_case_transfer();
+
+DROP POLICY IF EXISTS "Case transfers: request" ON public.case_transfers;
+CREATE POLICY "Case transfers: request"
+ON public.case_transfers
+FOR INSERT
+TO authenticated
+WITH CHECK (requested_by = auth.uid() AND status = 'pending');
+
+-- Answers go through this function only: the recipient accepts or declines,
+-- the requester cancels. Accepting moves the case to the recipient.
+CREATE OR REPLACE FUNCTION public.resolve_case_transfer(
+  p_transfer_id uuid,
+  p_status text,
+  p_note text DEFAULT NULL
+)
+RETURNS public.case_transfers
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_transfer public.case_transfers%ROWTYPE;
+  v_table text;
+BEGIN
+  SELECT * INTO v_transfer FROM public.case_transfers WHERE id = p_transfer_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transfer not found';
+  END IF;
+  IF v_transfer.status <> 'pending' THEN
+    RAISE EXCEPTION 'This transfer was already %', v_transfer.status;
+  END IF;
+
+  IF p_status IN ('accepted', 'declined') THEN
+    IF v_transfer.to_user <> auth.uid() THEN
+      RAISE EXCEPTION 'Only the receiving case manager can answer this transfer';
+    END IF;
+  ELSIF p_status = 'cancelled' THEN
+    IF v_transfer.requested_by <> auth.uid() THEN
+      RAISE EXCEPTION 'Only the worker who requested this transfer can cancel it';
+    END IF;
+  ELSE
+    RAISE EXCEPTION 'Unknown transfer status: %', p_status;
+  END IF;
+
+  IF p_status = 'accepted' THEN
+    v_table := CASE v_transfer.case_type
+      WHEN 'CASE' THEN 'case'
+      WHEN 'CICLCAR' THEN 'ciclcar_case'
+      WHEN 'FAC' THEN 'fac_case'
+      WHEN 'FAR' THEN 'far_case'
+      WHEN 'SP' THEN 'sp_case'
+      WHEN 'FA' THEN 'fa_case'
+      WHEN 'PWD' THEN 'pwd_case'
+      WHEN 'SC' THEN 'sc_case'
+    END;
+    -- Bumping updated_at makes queued offline edits from the previous case
+    -- manager surface as conflicts instead of silently reassigning the case.
+    EXECUTE format('UPDATE public.%I SET case_manager = $1, updated_at = now() WHERE id = $2', v_table)
+    USING v_transfer.to_name, v_transfer.case_id;
+  END IF;
+
+  UPDATE public.case_transfers
+  SET status = p_status,
+      response_note = nullif(btrim(coalesce(p_note, '')), ''),
+      responded_at = now()
+  WHERE id = p_transfer_id
+  RETURNING * INTO v_transfer;
+
+  RETURN v_transfer;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.resolve_case_transfer(uuid, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.resolve_case_transfer(uuid, text, text) TO authenticated;
+
+-- Assignment history lives next to status and priority changes.
+ALTER TABLE public.case_events DROP CONSTRAINT IF EXISTS case_events_event_type_check;
+ALTER TABLE public.case_events ADD CONSTRAINT case_events_event_type_check
+  CHECK (event_type IN ('status_change', 'priority_change', 'hidden', 'unhidden', 'assignment_change'));
+
+CREATE OR REPLACE FUNCTION public.record_case_manager_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF OLD.case_manager IS DISTINCT FROM NEW.case_manager THEN
+    INSERT INTO public.case_events (table_name, case_id, event_type, from_value, to_value)
+    VALUES (TG_TABLE_NAME, NEW.id, 'assignment_change', OLD.case_manager, NEW.case_manager);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_case_manager_change ON public."case";
+CREATE TRIGGER record_case_manager_change AFTER UPDATE OF case_manager ON public."case"
+FOR EACH ROW EXECUTE FUNCTION public.record_case_manager_change();
+
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.ciclcar_case;
+CREATE TRIGGER record_case_manager_change AFTER UPDATE OF case_manager ON public.ciclcar_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_manager_change();
+
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.fac_case;
+CREATE TRIGGER record_case_manager_change AFTER UPDATE OF case_manager ON public.fac_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_manager_change();
+
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.far_case;
+CREATE TRIGGER record_case_manager_change AFTER UPDATE OF case_manager ON public.far_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_manager_change();
+
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.sp_case;
+CREATE TRIGGER record_case_manager_change AFTER UPDATE OF case_manager ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_manager_change();
+
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.fa_case;
+CREATE TRIGGER record_case_manager_change AFTER UPDATE OF case_manager ON public.fa_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_manager_change();
+
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.pwd_case;
+CREATE TRIGGER record_case_manager_change AFTER UPDATE OF case_manager ON public.pwd_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_manager_change();
+
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.sc_case;
+CREATE TRIGGER record_case_manager_change AFTER UPDATE OF case_manager ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.record_case_manager_change();
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.sc_case;
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.pwd_case;
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.fa_case;
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.sp_case;
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.far_case;
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.fac_case;
+DROP TRIGGER IF EXISTS record_case_manager_change ON public.ciclcar_case;
+DROP TRIGGER IF EXISTS record_case_manager_change ON public."case";
+DROP FUNCTION IF EXISTS public.record_case_manager_change();
+DELETE FROM public.case_events WHERE event_type = 'assignment_change';
+ALTER TABLE public.case_events DROP CONSTRAINT IF EXISTS case_events_event_type_check;
+ALTER TABLE public.case_events ADD CONSTRAINT case_events_event_type_check
+  CHECK (event_type IN ('status_change', 'priority_change', 'hidden', 'unhidden'));
+DROP FUNCTION IF EXISTS public.resolve_case_transfer(uuid, text, text);
+DROP TRIGGER IF EXISTS prepare_case_transfer ON public.case_transfers;
+DROP FUNCTION IF EXISTS public.prepare_case_transfer();
+DROP TABLE IF EXISTS public.case_transfers;
@@ -0,0 +1,378 @@
+-- Migration: Client master index shared by the person-level case tables
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- The same beneficiary is recorded in several modules under different columns
+-- (`identifying_name`, `profile_name`, `head_*`, `senior_name`, ...), with
+-- nothing linking the rows. `clients` holds one record per person and each
+-- case row points to it through `client_id`.
+--
+-- A BEFORE INSERT trigger links new case rows that arrive without a
+-- `client_id` (including offline intakes replayed later): it reuses a client
+-- with the same normalized name and birth date, or registers a new one. Rows
+-- without a birth date always get a new client, since common names are not
+-- enough to merge people; staff link those by hand.
+--
+-- `client_name_key` must stay in step with `clientNameKey` in
+-- src/lib/clientIdentity.js.
+--
+-- `ivac_cases` holds barangay totals, not people, so it is not linked.
+--
+-- `find_client_candidates` feeds the intake duplicate warning: it ranks
+-- clients by trigram similarity of the whole name key (plus a same birth date)
+-- so the closest people come first, however common the surname.
+--
+-- The backfill runs with `session_replication_role = replica`, like the one in
+-- 20261019_add_case_search.sql, so linking existing rows does not bump their
+-- `updated_at` (every workstation would refetch its cache and queued offline
+-- edits would turn into conflicts) or write audit entries. `search_text` picks
+-- up the new `client_id` on the row's next edit.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE OR REPLACE FUNCTION public.client_name_key(p_name text)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v text := lower(coalesce(p_name, ''));
+BEGIN
+  -- "Dela Cruz, Juan" -> "juan dela cruz"
+  IF position(',' IN v) > 0 THEN
+    v := split_part(v, ',', 2) || ' ' || split_part(v, ',', 1);
+  END IF;
+  v := translate(v, 'ñáàâäéèêëíìîïóòôöúùûü', 'naaaaeeeeiiiioooouuuu');
+  v := regexp_replace(v, '[^a-z ]', ' ', 'g');
+  v := ' ' || regexp_replace(v, '\s+', ' ', 'g') || ' ';
+  v := replace(v, ' ma ', ' maria ');
+  v := regexp_replace(v, ' (jr|sr|ii|iii|iv) ', ' ', 'g');
+  v := trim(regexp_replace(v, '\s+', ' ', 'g'));
+  RETURN nullif(v, '');
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.client_try_date(p_value text)
+RETURNS date
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  RETURN nullif(trim(p_value), '')::date;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.clients (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  full_name text NOT NULL,
+  first_name text NULL,
+  middle_name text NULL,
+  last_name text NULL,
+  suffix text NULL,
+  birth_date date NULL,
+  sex text NULL,
+  barangay text NULL,
+  address text NULL,
+  contact_number text NULL,
+  name_key text GENERATED ALWAYS AS (public.client_name_key(full_name)) STORED,
+  created_by uuid NULL DEFAULT auth.uid(),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_clients_name_key
+ON public.clients USING btree (name_key, birth_date);
+
+CREATE INDEX IF NOT EXISTS idx_clients_birth_date
+ON public.clients USING btree (birth_date);
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+
+CREATE INDEX IF NOT EXISTS idx_clients_name_key_trgm
+ON public.clients USING gin (name_key extensions.gin_trgm_ops);
+
+DROP TRIGGER IF EXISTS update_clients_updated_at ON public.clients;
+CREATE TRIGGER update_clients_updated_at BEFORE UPDATE ON public.clients
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.clients ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE ON TABLE public.clients TO authenticated;
+
+DROP POLICY IF EXISTS "Clients: read" ON public.clients;
+CREATE POLICY "Clients: read"
+ON public.clients
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Clients: register" ON public.clients;
+CREATE POLICY "Clients: register"
+ON public.clients
+FOR INSERT
+TO authenticated
+WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Clients: update" ON public.clients;
+CREATE POLICY "Clients: update"
+ON public.clients
+FOR UPDATE
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+ALTER TABLE public."case" ADD COLUMN IF NOT EXISTS client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL;
+ALTER TABLE public.ciclcar_case ADD COLUMN IF NOT EXISTS client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL;
+ALTER TABLE public.fac_case ADD COLUMN IF NOT EXISTS client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL;
+ALTER TABLE public.far_case ADD COLUMN IF NOT EXISTS client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL;
+ALTER TABLE public.sp_case ADD COLUMN IF NOT EXISTS client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL;
+ALTER TABLE public.fa_case ADD COLUMN IF NOT EXISTS client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL;
+ALTER TABLE public.pwd_case ADD COLUMN IF NOT EXISTS client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL;
+ALTER TABLE public.sc_case ADD COLUMN IF NOT EXISTS client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_case_client_id ON public."case" USING btree (client_id);
+CREATE INDEX IF NOT EXISTS idx_ciclcar_case_client_id ON public.ciclcar_case USING btree (client_id);
+CREATE INDEX IF NOT EXISTS idx_fac_case_client_id ON public.fac_case USING btree (client_id);
+CREATE INDEX IF NOT EXISTS idx_far_case_client_id ON public.far_case USING btree (client_id);
+CREATE INDEX IF NOT EXISTS idx_sp_case_client_id ON public.sp_case USING btree (client_id);
+CREATE INDEX IF NOT EXISTS idx_fa_case_client_id ON public.fa_case USING btree (client_id);
+CREATE INDEX IF NOT EXISTS idx_pwd_case_client_id ON public.pwd_case USING btree (client_id);
+CREATE INDEX IF NOT EXISTS idx_sc_case_client_id ON public.sc_case USING btree (client_id);
+
+-- Finds or registers the client a case row describes. Column names per table
+-- mirror CLIENT_CASE_SOURCES in src/lib/clientIdentity.js.
+CREATE OR REPLACE FUNCTION public.resolve_case_client(p_table text, p_row jsonb)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_full text;
+  v_first text;
+  v_middle text;
+  v_last text;
+  v_suffix text;
+  v_birth date;
+  v_sex text;
+  v_barangay text;
+  v_address text;
+  v_key text;
+  v_id uuid;
+BEGIN
+  CASE p_table
+    WHEN 'case' THEN
+      v_full := p_row->>'identifying_name';
+      v_birth := public.client_try_date(p_row->>'identifying_birthday');
+      v_sex := p_row->>'identifying_sex';
+      v_address := p_row->>'identifying_address';
+    WHEN 'ciclcar_case' THEN
+      v_full := p_row->>'profile_name';
+      v_birth := public.client_try_date(p_row->>'profile_birth_date');
+      v_sex := p_row->>'profile_sex';
+      v_address := p_row->>'profile_address';
+    WHEN 'fac_case' THEN
+      v_first := p_row->>'head_first_name';
+      v_middle := p_row->>'head_middle_name';
+      v_last := p_row->>'head_last_name';
+      v_suffix := p_row->>'head_name_extension';
+      v_birth := public.client_try_date(p_row->>'head_birthdate');
+      v_sex := p_row->>'head_sex';
+      v_barangay := p_row->>'location_barangay';
+    WHEN 'far_case' THEN
+      v_full := p_row->>'receiving_member';
+    WHEN 'sp_case' THEN
+      v_full := p_row->>'full_name';
+      v_first := p_row->>'first_name';
+      v_last := p_row->>'last_name';
+      v_birth := public.client_try_date(p_row->>'birth_date');
+      v_address := p_row->>'address';
+    WHEN 'fa_case' THEN
+      v_full := p_row->>'client_name';
+      v_sex := p_row->>'gender';
+      v_address := p_row->>'address';
+    WHEN 'pwd_case' THEN
+      v_first := p_row->>'first_name';
+      v_middle := p_row->>'middle_name';
+      v_last := p_row->>'last_name';
+      v_suffix := p_row->>'suffix';
+      v_birth := public.client_try_date(p_row->>'date_of_birth');
+      v_sex := p_row->>'sex';
+      v_barangay := p_row->>'barangay';
+    WHEN 'sc_case' THEN
+      v_full := p_row->>'senior_name';
+      v_birth := public.client_try_date(p_row->>'date_of_birth');
+      v_sex := p_row->>'gender';
+      v_barangay := p_row->>'barangay';
+    ELSE
+      RETURN NULL;
+  END CASE;
+
+  v_full := coalesce(
+    nullif(trim(v_full), ''),
+    nullif(trim(concat_ws(' ', v_first, v_middle, v_last, v_suffix)), '')
+  );
+  v_key := public.client_name_key(v_full);
+  IF v_key IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_birth IS NOT NULL THEN
+    SELECT id INTO v_id
+    FROM public.clients
+    WHERE name_key = v_key AND birth_date = v_birth
+    ORDER BY created_at
+    LIMIT 1;
+    IF v_id IS NOT NULL THEN
+      RETURN v_id;
+    END IF;
+  END IF;
+
+  INSERT INTO public.clients (
+    full_name, first_name, middle_name, last_name, suffix,
+    birth_date, sex, barangay, address
+  )
+  VALUES (
+    v_full, nullif(trim(v_first), ''), nullif(trim(v_middle), ''),
+    nullif(trim(v_last), ''), nullif(trim(v_suffix), ''),
+    v_birth, nullif(trim(v_sex), ''), nullif(trim(v_barangay), ''),
+    nullif(trim(v_address), '')
+  )
+  RETURNING id INTO v_id;
+  RETURN v_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.assign_case_client()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.client_id IS NULL THEN
+    NEW.client_id := public.resolve_case_client(TG_TABLE_NAME, to_jsonb(NEW));
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS assign_case_client ON public."case";
+CREATE TRIGGER assign_case_client BEFORE INSERT ON public."case"
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_client();
+
+DROP TRIGGER IF EXISTS assign_case_client ON public.ciclcar_case;
+CREATE TRIGGER assign_case_client BEFORE INSERT ON public.ciclcar_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_client();
+
+DROP TRIGGER IF EXISTS assign_case_client ON public.fac_case;
+CREATE TRIGGER assign_case_client BEFORE INSERT ON public.fac_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_client();
+
+DROP TRIGGER IF EXISTS assign_case_client ON public.far_case;
+CREATE TRIGGER assign_case_client BEFORE INSERT ON public.far_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_client();
+
+DROP TRIGGER IF EXISTS assign_case_client ON public.sp_case;
+CREATE TRIGGER assign_case_client BEFORE INSERT ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_client();
+
+DROP TRIGGER IF EXISTS assign_case_client ON public.fa_case;
+CREATE TRIGGER assign_case_client BEFORE INSERT ON public.fa_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_client();
+
+DROP TRIGGER IF EXISTS assign_case_client ON public.pwd_case;
+CREATE TRIGGER assign_case_client BEFORE INSERT ON public.pwd_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_client();
+
+DROP TRIGGER IF EXISTS assign_case_client ON public.sc_case;
+CREATE TRIGGER assign_case_client BEFORE INSERT ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_client();
+
+-- Closest clients to a typed name, best first. A same birth date lifts a
+-- candidate and lets a looser spelling of the name through.
+CREATE OR REPLACE FUNCTION public.find_client_candidates(
+  p_name_key text,
+  p_birth_date date DEFAULT NULL,
+  p_limit integer DEFAULT 50
+)
+RETURNS TABLE (
+  id uuid,
+  full_name text,
+  birth_date date,
+  barangay text,
+  address text,
+  name_similarity real
+)
+LANGUAGE sql
+STABLE
+SET search_path = public, extensions
+AS $$
+  SELECT
+    c.id,
+    c.full_name,
+    c.birth_date,
+    c.barangay,
+    c.address,
+    extensions.similarity(c.name_key, p_name_key) AS name_similarity
+  FROM public.clients c
+  WHERE c.name_key OPERATOR(extensions.%) p_name_key
+     OR c.name_key = p_name_key
+     OR (
+       p_birth_date IS NOT NULL
+       AND c.birth_date = p_birth_date
+       AND extensions.word_similarity(p_name_key, c.name_key) >= 0.3
+     )
+  ORDER BY
+    (c.name_key = p_name_key) DESC,
+    extensions.similarity(c.name_key, p_name_key)
+      + CASE WHEN c.birth_date = p_birth_date THEN 0.5 ELSE 0 END DESC,
+    c.created_at
+  LIMIT greatest(coalesce(p_limit, 50), 1);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.find_client_candidates(text, date, integer) TO authenticated;
+
+-- Backfill existing rows.
+SET LOCAL session_replication_role = replica;
+UPDATE public."case" t SET client_id = public.resolve_case_client('case', to_jsonb(t)) WHERE client_id IS NULL;
+UPDATE public.ciclcar_case t SET client_id = public.resolve_case_client('ciclcar_case', to_jsonb(t)) WHERE client_id IS NULL;
+UPDATE public.fac_case t SET client_id = public.resolve_case_client('fac_case', to_jsonb(t)) WHERE client_id IS NULL;
+UPDATE public.far_case t SET client_id = public.resolve_case_client('far_case', to_jsonb(t)) WHERE client_id IS NULL;
+UPDATE public.sp_case t SET client_id = public.resolve_case_client('sp_case', to_jsonb(t)) WHERE client_id IS NULL;
+UPDATE public.fa_case t SET client_id = public.resolve_case_client('fa_case', to_jsonb(t)) WHERE client_id IS NULL;
+UPDATE public.pwd_case t SET client_id = public.resolve_case_client('pwd_case', to_jsonb(t)) WHERE client_id IS NULL;
+UPDATE public.sc_case t SET client_id = public.resolve_case_client('sc_case', to_jsonb(t)) WHERE client_id IS NULL;
+SET LOCAL session_replication_role = origin;
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TRIGGER IF EXISTS assign_case_client ON public.sc_case;
+DROP TRIGGER IF EXISTS assign_case_client ON public.pwd_case;
+DROP TRIGGER IF EXISTS assign_case_client ON public.fa_case;
+DROP TRIGGER IF EXISTS assign_case_client ON public.sp_case;
+DROP TRIGGER IF EXISTS assign_case_client ON public.far_case;
+DROP TRIGGER IF EXISTS assign_case_client ON public.fac_case;
+DROP TRIGGER IF EXISTS assign_case_client ON public.ciclcar_case;
+DROP TRIGGER IF EXISTS assign_case_client ON public."case";
+DROP FUNCTION IF EXISTS public.find_client_candidates(text, date, integer);
+DROP FUNCTION IF EXISTS public.assign_case_client();
+DROP FUNCTION IF EXISTS public.resolve_case_client(text, jsonb);
+ALTER TABLE public.sc_case DROP COLUMN IF EXISTS client_id;
+ALTER TABLE public.pwd_case DROP COLUMN IF EXISTS client_id;
+ALTER TABLE public.fa_case DROP COLUMN IF EXISTS client_id;
+ALTER TABLE public.sp_case DROP COLUMN IF EXISTS client_id;
+ALTER TABLE public.far_case DROP COLUMN IF EXISTS client_id;
+ALTER TABLE public.fac_case DROP COLUMN IF EXISTS client_id;
+ALTER TABLE public.ciclcar_case DROP COLUMN IF EXISTS client_id;
+ALTER TABLE public."case" DROP COLUMN IF EXISTS client_id;
+DROP INDEX IF EXISTS public.idx_clients_name_key_trgm;
+DROP TABLE IF EXISTS public.clients;
+DROP FUNCTION IF EXISTS public.client_try_date(text);
+DROP FUNCTION IF EXISTS public.client_name_key(text);
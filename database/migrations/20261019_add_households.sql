@@ -0,0 +1,944 @@
+-- Migration: Households shared by the person-level case tables
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- Family data is kept five ways: `case_family_member` rows (with `group_no`),
+-- `ciclcar_family_background` rows, `fac_family_member` rows, and JSONB arrays
+-- in `sp_case.family_members` and `sc_case.children`. The same child or spouse
+-- is re-typed on every case and nothing adds the lists up. `households` and
+-- `household_members` hold one record per person in a household; each case row
+-- points to its household through `household_id`, and each family entry
+-- points to its member through `household_member_id`.
+--
+-- How the copies stay in step:
+-- - New case rows join the household of their client (see
+--   20261019_add_clients_registry.sql), or start a new one with the client as
+--   its first member.
+-- - Saving a family list matches each entry to a member of the case's
+--   household, by `household_member_id` or else by name, and registers the
+--   ones it does not find. Blank fields never clear a member's details, since
+--   each list only records some of them (no income on FAC, no birth date on
+--   VAC intakes, ...).
+-- - Editing a member rewrites it on every case that lists it and bumps those
+--   cases' `updated_at`, so offline snapshots pick the change up.
+-- - A member no family list names any more (dropped from every list, or
+--   their cases deleted) is marked `unlisted_at` and left out of
+--   `household_summary`, which rolls up size and monthly income for
+--   eligibility. Naming them on a list again clears the mark. Clients and
+--   members added on the household page are never marked.
+--
+-- The backfill runs with the case tables' `updated_at` triggers disabled, so
+-- attaching households does not make every workstation refetch its cache or
+-- turn queued offline edits into conflicts. Replica mode is not an option
+-- here: the SP and SC lists are matched by their row triggers.
+--
+-- The member name key below must stay in step with `householdMemberKey` in
+-- src/services/householdService.js. `ivac_cases` holds barangay totals, not
+-- people, so it has no household.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE OR REPLACE FUNCTION public.household_member_key(p_name text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT nullif(lower(regexp_replace(trim(coalesce(p_name, '')), '\s+', ' ', 'g')), '');
+$$;
+
+-- Legacy lists keep ages and incomes as free text ("12", "5,000", "n/a").
+CREATE OR REPLACE FUNCTION public.household_try_number(p_value text)
+RETURNS numeric
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  RETURN nullif(regexp_replace(coalesce(p_value, ''), '[^0-9.]', '', 'g'), '')::numeric;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.households (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  barangay text NULL,
+  address text NULL,
+  created_by uuid NULL DEFAULT auth.uid(),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.household_members (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id uuid NOT NULL REFERENCES public.households (id) ON DELETE CASCADE,
+  client_id uuid NULL REFERENCES public.clients (id) ON DELETE SET NULL,
+  full_name text NOT NULL,
+  relation text NULL,
+  birth_date date NULL,
+  age integer NULL,
+  sex text NULL,
+  civil_status text NULL,
+  education text NULL,
+  occupation text NULL,
+  monthly_income numeric(12, 2) NULL,
+  remarks text NULL,
+  unlisted_at timestamp with time zone NULL,
+  member_key text GENERATED ALWAYS AS (public.household_member_key(full_name)) STORED,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_household_members_household
+ON public.household_members USING btree (household_id, member_key);
+
+CREATE INDEX IF NOT EXISTS idx_household_members_client
+ON public.household_members USING btree (client_id);
+
+DROP TRIGGER IF EXISTS update_households_updated_at ON public.households;
+CREATE TRIGGER update_households_updated_at BEFORE UPDATE ON public.households
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_household_members_updated_at ON public.household_members;
+CREATE TRIGGER update_household_members_updated_at BEFORE UPDATE ON public.household_members
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE VIEW public.household_summary
+WITH (security_invoker = true)
+AS
+SELECT
+  h.id AS household_id,
+  count(m.id)::integer AS member_count,
+  (count(m.id) FILTER (WHERE m.monthly_income > 0))::integer AS earning_members,
+  coalesce(sum(m.monthly_income), 0)::numeric(12, 2) AS total_monthly_income,
+  CASE
+    WHEN count(m.id) > 0 THEN round(coalesce(sum(m.monthly_income), 0) / count(m.id), 2)
+  END AS per_capita_income
+FROM public.households h
+LEFT JOIN public.household_members m ON m.household_id = h.id AND m.unlisted_at IS NULL
+GROUP BY h.id;
+
+ALTER TABLE public.households ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.household_members ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE public.households TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE public.household_members TO authenticated;
+GRANT SELECT ON TABLE public.household_summary TO authenticated;
+
+DROP POLICY IF EXISTS "Households: read" ON public.households;
+CREATE POLICY "Households: read"
+ON public.households
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Households: write" ON public.households;
+CREATE POLICY "Households: write"
+ON public.households
+FOR ALL
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Household members: read" ON public.household_members;
+CREATE POLICY "Household members: read"
+ON public.household_members
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Household members: write" ON public.household_members;
+CREATE POLICY "Household members: write"
+ON public.household_members
+FOR ALL
+TO authenticated
+USING (true)
+WITH CHECK (true);
+
+ALTER TABLE public."case" ADD COLUMN IF NOT EXISTS household_id uuid NULL REFERENCES public.households (id) ON DELETE SET NULL;
+ALTER TABLE public.ciclcar_case ADD COLUMN IF NOT EXISTS household_id uuid NULL REFERENCES public.households (id) ON DELETE SET NULL;
+ALTER TABLE public.fac_case ADD COLUMN IF NOT EXISTS household_id uuid NULL REFERENCES public.households (id) ON DELETE SET NULL;
+ALTER TABLE public.far_case ADD COLUMN IF NOT EXISTS household_id uuid NULL REFERENCES public.households (id) ON DELETE SET NULL;
+ALTER TABLE public.sp_case ADD COLUMN IF NOT EXISTS household_id uuid NULL REFERENCES public.households (id) ON DELETE SET NULL;
+ALTER TABLE public.fa_case ADD COLUMN IF NOT EXISTS household_id uuid NULL REFERENCES public.households (id) ON DELETE SET NULL;
+ALTER TABLE public.pwd_case ADD COLUMN IF NOT EXISTS household_id uuid NULL REFERENCES public.households (id) ON DELETE SET NULL;
+ALTER TABLE public.sc_case ADD COLUMN IF NOT EXISTS household_id uuid NULL REFERENCES public.households (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_case_household_id ON public."case" USING btree (household_id);
+CREATE INDEX IF NOT EXISTS idx_ciclcar_case_household_id ON public.ciclcar_case USING btree (household_id);
+CREATE INDEX IF NOT EXISTS idx_fac_case_household_id ON public.fac_case USING btree (household_id);
+CREATE INDEX IF NOT EXISTS idx_far_case_household_id ON public.far_case USING btree (household_id);
+CREATE INDEX IF NOT EXISTS idx_sp_case_household_id ON public.sp_case USING btree (household_id);
+CREATE INDEX IF NOT EXISTS idx_fa_case_household_id ON public.fa_case USING btree (household_id);
+CREATE INDEX IF NOT EXISTS idx_pwd_case_household_id ON public.pwd_case USING btree (household_id);
+CREATE INDEX IF NOT EXISTS idx_sc_case_household_id ON public.sc_case USING btree (household_id);
+
+ALTER TABLE public.case_family_member ADD COLUMN IF NOT EXISTS household_member_id uuid NULL REFERENCES public.household_members (id) ON DELETE SET NULL;
+ALTER TABLE public.ciclcar_family_background ADD COLUMN IF NOT EXISTS household_member_id uuid NULL REFERENCES public.household_members (id) ON DELETE SET NULL;
+ALTER TABLE public.fac_family_member ADD COLUMN IF NOT EXISTS household_member_id uuid NULL REFERENCES public.household_members (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_case_family_member_household_member ON public.case_family_member USING btree (household_member_id);
+CREATE INDEX IF NOT EXISTS idx_ciclcar_family_background_household_member ON public.ciclcar_family_background USING btree (household_member_id);
+CREATE INDEX IF NOT EXISTS idx_fac_family_member_household_member ON public.fac_family_member USING btree (household_member_id);
+
+-- The household of a client's cases, or a new one with the client in it.
+CREATE OR REPLACE FUNCTION public.resolve_client_household(p_client_id uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_client public.clients%ROWTYPE;
+  v_id uuid;
+BEGIN
+  IF p_client_id IS NOT NULL THEN
+    SELECT household_id INTO v_id
+    FROM public.household_members
+    WHERE client_id = p_client_id
+    ORDER BY created_at
+    LIMIT 1;
+    IF v_id IS NOT NULL THEN
+      RETURN v_id;
+    END IF;
+    SELECT * INTO v_client FROM public.clients WHERE id = p_client_id;
+  END IF;
+
+  INSERT INTO public.households (name, barangay, address)
+  VALUES (
+    coalesce(v_client.full_name || ' household', 'Unnamed household'),
+    v_client.barangay,
+    v_client.address
+  )
+  RETURNING id INTO v_id;
+
+  IF v_client.id IS NOT NULL THEN
+    INSERT INTO public.household_members (household_id, client_id, full_name, birth_date, sex)
+    VALUES (v_id, v_client.id, v_client.full_name, v_client.birth_date, v_client.sex);
+  END IF;
+  RETURN v_id;
+END;
+$$;
+
+-- Finds or registers the member a family entry describes and returns its id.
+-- `p_member` holds text values under the household_members column names.
+CREATE OR REPLACE FUNCTION public.upsert_household_member(
+  p_household_id uuid,
+  p_member_id uuid,
+  p_member jsonb
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_name text := nullif(trim(p_member->>'full_name'), '');
+  v_birth date := public.client_try_date(p_member->>'birth_date');
+  v_age integer := trunc(public.household_try_number(p_member->>'age'))::integer;
+  v_income numeric := public.household_try_number(p_member->>'monthly_income');
+  v_id uuid;
+BEGIN
+  IF p_household_id IS NULL OR v_name IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_member_id IS NOT NULL THEN
+    SELECT id INTO v_id
+    FROM public.household_members
+    WHERE id = p_member_id AND household_id = p_household_id;
+  END IF;
+  IF v_id IS NULL THEN
+    SELECT id INTO v_id
+    FROM public.household_members
+    WHERE household_id = p_household_id
+      AND member_key = public.household_member_key(v_name)
+    ORDER BY created_at
+    LIMIT 1;
+  END IF;
+
+  IF v_id IS NULL THEN
+    INSERT INTO public.household_members (
+      household_id, full_name, relation, birth_date, age, sex, civil_status,
+      education, occupation, monthly_income, remarks
+    )
+    VALUES (
+      p_household_id, v_name, nullif(trim(p_member->>'relation'), ''),
+      v_birth, v_age, nullif(trim(p_member->>'sex'), ''),
+      nullif(trim(p_member->>'civil_status'), ''),
+      nullif(trim(p_member->>'education'), ''),
+      nullif(trim(p_member->>'occupation'), ''), v_income,
+      nullif(trim(p_member->>'remarks'), '')
+    )
+    RETURNING id INTO v_id;
+    RETURN v_id;
+  END IF;
+
+  UPDATE public.household_members m
+  SET full_name = v_name,
+      relation = coalesce(nullif(trim(p_member->>'relation'), ''), m.relation),
+      birth_date = coalesce(v_birth, m.birth_date),
+      age = coalesce(v_age, m.age),
+      sex = coalesce(nullif(trim(p_member->>'sex'), ''), m.sex),
+      civil_status = coalesce(nullif(trim(p_member->>'civil_status'), ''), m.civil_status),
+      education = coalesce(nullif(trim(p_member->>'education'), ''), m.education),
+      occupation = coalesce(nullif(trim(p_member->>'occupation'), ''), m.occupation),
+      monthly_income = coalesce(v_income, m.monthly_income),
+      remarks = coalesce(nullif(trim(p_member->>'remarks'), ''), m.remarks),
+      unlisted_at = NULL
+  WHERE m.id = v_id;
+  RETURN v_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.assign_case_household()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.household_id IS NULL THEN
+    NEW.household_id := public.resolve_client_household(NEW.client_id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- Fires after assign_case_client (triggers run in name order).
+DROP TRIGGER IF EXISTS assign_case_household ON public."case";
+CREATE TRIGGER assign_case_household BEFORE INSERT ON public."case"
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_household();
+
+DROP TRIGGER IF EXISTS assign_case_household ON public.ciclcar_case;
+CREATE TRIGGER assign_case_household BEFORE INSERT ON public.ciclcar_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_household();
+
+DROP TRIGGER IF EXISTS assign_case_household ON public.fac_case;
+CREATE TRIGGER assign_case_household BEFORE INSERT ON public.fac_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_household();
+
+DROP TRIGGER IF EXISTS assign_case_household ON public.far_case;
+CREATE TRIGGER assign_case_household BEFORE INSERT ON public.far_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_household();
+
+DROP TRIGGER IF EXISTS assign_case_household ON public.sp_case;
+CREATE TRIGGER assign_case_household BEFORE INSERT ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_household();
+
+DROP TRIGGER IF EXISTS assign_case_household ON public.fa_case;
+CREATE TRIGGER assign_case_household BEFORE INSERT ON public.fa_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_household();
+
+DROP TRIGGER IF EXISTS assign_case_household ON public.pwd_case;
+CREATE TRIGGER assign_case_household BEFORE INSERT ON public.pwd_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_household();
+
+DROP TRIGGER IF EXISTS assign_case_household ON public.sc_case;
+CREATE TRIGGER assign_case_household BEFORE INSERT ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.assign_case_household();
+
+-- Household of a case, attaching one when the case predates households.
+CREATE OR REPLACE FUNCTION public.case_household(p_table text, p_case_id uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_household uuid;
+  v_client uuid;
+BEGIN
+  EXECUTE format('SELECT household_id, client_id FROM public.%I WHERE id = $1', p_table)
+  INTO v_household, v_client
+  USING p_case_id;
+  IF v_household IS NULL THEN
+    v_household := public.resolve_client_household(v_client);
+    EXECUTE format('UPDATE public.%I SET household_id = $1 WHERE id = $2', p_table)
+    USING v_household, p_case_id;
+  END IF;
+  RETURN v_household;
+END;
+$$;
+
+-- Family rows are replaced wholesale when a case is saved, so matching on
+-- insert covers every edit. The case being saved is named in
+-- `app.household_source` so the member update does not touch it again.
+CREATE OR REPLACE FUNCTION public.sync_family_row_household()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  CASE TG_TABLE_NAME
+    WHEN 'case_family_member' THEN
+      PERFORM set_config('app.household_source', 'case:' || NEW.case_id, true);
+      NEW.household_member_id := public.upsert_household_member(
+        public.case_household('case', NEW.case_id),
+        NEW.household_member_id,
+        jsonb_build_object(
+          'full_name', NEW.name, 'age', NEW.age, 'relation', NEW.relation,
+          'civil_status', NEW.status, 'education', NEW.education,
+          'occupation', NEW.occupation, 'monthly_income', NEW.income
+        )
+      );
+    WHEN 'ciclcar_family_background' THEN
+      PERFORM set_config('app.household_source', 'ciclcar_case:' || NEW.ciclcar_case_id, true);
+      NEW.household_member_id := public.upsert_household_member(
+        public.case_household('ciclcar_case', NEW.ciclcar_case_id),
+        NEW.household_member_id,
+        jsonb_build_object(
+          'full_name', NEW.name, 'age', NEW.age, 'relation', NEW.relationship,
+          'sex', NEW.sex, 'civil_status', NEW.status,
+          'education', NEW.educational_attainment, 'occupation', NEW.employment
+        )
+      );
+    WHEN 'fac_family_member' THEN
+      PERFORM set_config('app.household_source', 'fac_case:' || NEW.fac_case_id, true);
+      NEW.household_member_id := public.upsert_household_member(
+        public.case_household('fac_case', NEW.fac_case_id),
+        NEW.household_member_id,
+        jsonb_build_object(
+          'full_name', NEW.family_member_name, 'age', NEW.age,
+          'relation', NEW.relation_to_head, 'birth_date', NEW.birthdate,
+          'sex', NEW.sex, 'education', NEW.educational_attainment,
+          'occupation', NEW.occupation, 'remarks', NEW.remarks
+        )
+      );
+  END CASE;
+  PERFORM set_config('app.household_source', '', true);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_family_row_household ON public.case_family_member;
+CREATE TRIGGER sync_family_row_household BEFORE INSERT ON public.case_family_member
+FOR EACH ROW EXECUTE FUNCTION public.sync_family_row_household();
+
+DROP TRIGGER IF EXISTS sync_family_row_household ON public.ciclcar_family_background;
+CREATE TRIGGER sync_family_row_household BEFORE INSERT ON public.ciclcar_family_background
+FOR EACH ROW EXECUTE FUNCTION public.sync_family_row_household();
+
+DROP TRIGGER IF EXISTS sync_family_row_household ON public.fac_family_member;
+CREATE TRIGGER sync_family_row_household BEFORE INSERT ON public.fac_family_member
+FOR EACH ROW EXECUTE FUNCTION public.sync_family_row_household();
+
+-- JSONB lists get `household_member_id` written into each entry. Nested
+-- updates (a member edit rewriting other cases' lists) and merges are
+-- skipped, and the row being saved is kept out of the rewrite through
+-- `app.household_source`.
+CREATE OR REPLACE FUNCTION public.sync_case_household_members()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_list jsonb;
+  v_entry jsonb;
+  v_member uuid;
+  v_result jsonb := '[]'::jsonb;
+BEGIN
+  IF pg_trigger_depth() > 1 OR current_setting('app.household_merge', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  -- Separate statements: NEW has only one of the two columns.
+  IF TG_TABLE_NAME = 'sp_case' THEN
+    v_list := NEW.family_members;
+  ELSE
+    v_list := NEW.children;
+  END IF;
+  IF jsonb_typeof(v_list) IS DISTINCT FROM 'array' OR jsonb_array_length(v_list) = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.household_id IS NULL THEN
+    NEW.household_id := public.resolve_client_household(NEW.client_id);
+  END IF;
+  PERFORM set_config('app.household_source', TG_TABLE_NAME || ':' || NEW.id, true);
+
+  FOR v_entry IN SELECT value FROM jsonb_array_elements(v_list)
+  LOOP
+    IF jsonb_typeof(v_entry) <> 'object' THEN
+      v_result := v_result || jsonb_build_array(v_entry);
+      CONTINUE;
+    END IF;
+    v_member := public.upsert_household_member(
+      NEW.household_id,
+      CASE WHEN v_entry->>'household_member_id' ~ '^[0-9a-f-]{36}$'
+        THEN (v_entry->>'household_member_id')::uuid END,
+      CASE TG_TABLE_NAME
+        WHEN 'sp_case' THEN jsonb_build_object(
+          'full_name', v_entry->>'name', 'age', v_entry->>'age',
+          'civil_status', v_entry->>'status',
+          'relation', v_entry->>'relationToClient',
+          'birth_date', v_entry->>'birthday',
+          'education', v_entry->>'educationalAttainment',
+          'occupation', v_entry->>'occupation'
+        )
+        ELSE jsonb_build_object(
+          'full_name', v_entry->>'full_name', 'age', v_entry->>'age',
+          'relation', 'Child', 'occupation', v_entry->>'occupation',
+          'monthly_income', v_entry->>'income'
+        )
+      END
+    );
+    v_result := v_result || jsonb_build_array(
+      CASE WHEN v_member IS NULL THEN v_entry
+        ELSE v_entry || jsonb_build_object('household_member_id', v_member)
+      END
+    );
+  END LOOP;
+
+  PERFORM set_config('app.household_source', '', true);
+  IF TG_TABLE_NAME = 'sp_case' THEN
+    NEW.family_members := v_result;
+  ELSE
+    NEW.children := v_result;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- Named to run after assign_case_household.
+DROP TRIGGER IF EXISTS sync_case_household_members ON public.sp_case;
+CREATE TRIGGER sync_case_household_members BEFORE INSERT OR UPDATE OF family_members ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.sync_case_household_members();
+
+DROP TRIGGER IF EXISTS sync_case_household_members ON public.sc_case;
+CREATE TRIGGER sync_case_household_members BEFORE INSERT OR UPDATE OF children ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.sync_case_household_members();
+
+-- Marks the given members unlisted once no family list names them. Lists are
+-- replaced wholesale on save, so a member dropped by the delete is cleared
+-- again by the insert that follows when the new list still names them.
+CREATE OR REPLACE FUNCTION public.mark_unlisted_household_members(p_member_ids uuid[])
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.household_members m
+  SET unlisted_at = now()
+  WHERE m.id = ANY (p_member_ids)
+    AND m.unlisted_at IS NULL
+    AND m.client_id IS NULL
+    AND NOT EXISTS (SELECT 1 FROM public.case_family_member f WHERE f.household_member_id = m.id)
+    AND NOT EXISTS (SELECT 1 FROM public.ciclcar_family_background f WHERE f.household_member_id = m.id)
+    AND NOT EXISTS (SELECT 1 FROM public.fac_family_member f WHERE f.household_member_id = m.id)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.sp_case s
+      WHERE s.family_members @> jsonb_build_array(jsonb_build_object('household_member_id', m.id))
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM public.sc_case s
+      WHERE s.children @> jsonb_build_array(jsonb_build_object('household_member_id', m.id))
+    );
+END;
+$$;
+
+-- AFTER triggers, so the saved list is what the check above sees.
+CREATE OR REPLACE FUNCTION public.release_household_members()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_list jsonb;
+BEGIN
+  IF TG_TABLE_NAME IN ('case_family_member', 'ciclcar_family_background', 'fac_family_member') THEN
+    IF OLD.household_member_id IS NOT NULL THEN
+      PERFORM public.mark_unlisted_household_members(ARRAY[OLD.household_member_id]);
+    END IF;
+    RETURN OLD;
+  END IF;
+
+  IF TG_TABLE_NAME = 'sp_case' THEN
+    v_list := OLD.family_members;
+  ELSE
+    v_list := OLD.children;
+  END IF;
+  IF jsonb_typeof(v_list) = 'array' THEN
+    PERFORM public.mark_unlisted_household_members(ARRAY(
+      SELECT (e->>'household_member_id')::uuid
+      FROM jsonb_array_elements(v_list) AS t(e)
+      WHERE e->>'household_member_id' ~ '^[0-9a-f-]{36}$'
+    ));
+  END IF;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS release_household_members ON public.case_family_member;
+CREATE TRIGGER release_household_members AFTER DELETE ON public.case_family_member
+FOR EACH ROW EXECUTE FUNCTION public.release_household_members();
+
+DROP TRIGGER IF EXISTS release_household_members ON public.ciclcar_family_background;
+CREATE TRIGGER release_household_members AFTER DELETE ON public.ciclcar_family_background
+FOR EACH ROW EXECUTE FUNCTION public.release_household_members();
+
+DROP TRIGGER IF EXISTS release_household_members ON public.fac_family_member;
+CREATE TRIGGER release_household_members AFTER DELETE ON public.fac_family_member
+FOR EACH ROW EXECUTE FUNCTION public.release_household_members();
+
+DROP TRIGGER IF EXISTS release_household_members ON public.sp_case;
+CREATE TRIGGER release_household_members AFTER UPDATE OF family_members OR DELETE ON public.sp_case
+FOR EACH ROW EXECUTE FUNCTION public.release_household_members();
+
+DROP TRIGGER IF EXISTS release_household_members ON public.sc_case;
+CREATE TRIGGER release_household_members AFTER UPDATE OF children OR DELETE ON public.sc_case
+FOR EACH ROW EXECUTE FUNCTION public.release_household_members();
+
+-- Rewrites a member on every case that lists it. Only copies that differ are
+-- touched, so saving an unchanged list writes nothing, and the case whose
+-- save changed the member (`app.household_source`) is left alone: its own
+-- write already holds the new values, and bumping its `updated_at` would
+-- make the saving device's next offline edit look like a conflict.
+CREATE OR REPLACE FUNCTION public.propagate_household_member()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_source text := coalesce(current_setting('app.household_source', true), '');
+  v_age text := NEW.age::text;
+  v_income text := NEW.monthly_income::text;
+  v_ref jsonb := jsonb_build_array(jsonb_build_object('household_member_id', NEW.id));
+BEGIN
+  WITH changed AS (
+    UPDATE public.case_family_member f
+    SET name = NEW.full_name, age = coalesce(v_age, f.age),
+        relation = coalesce(NEW.relation, f.relation),
+        status = coalesce(NEW.civil_status, f.status),
+        education = coalesce(NEW.education, f.education),
+        occupation = coalesce(NEW.occupation, f.occupation),
+        income = coalesce(v_income, f.income)
+    WHERE f.household_member_id = NEW.id
+      AND 'case:' || f.case_id <> v_source
+      AND (f.name, f.age, f.relation, f.status, f.education, f.occupation, f.income)
+        IS DISTINCT FROM
+        (NEW.full_name, coalesce(v_age, f.age), coalesce(NEW.relation, f.relation),
+         coalesce(NEW.civil_status, f.status), coalesce(NEW.education, f.education),
+         coalesce(NEW.occupation, f.occupation), coalesce(v_income, f.income))
+    RETURNING f.case_id
+  )
+  UPDATE public."case" SET updated_at = now() WHERE id IN (SELECT case_id FROM changed);
+
+  WITH changed AS (
+    UPDATE public.ciclcar_family_background f
+    SET name = NEW.full_name, age = coalesce(v_age, f.age),
+        relationship = coalesce(NEW.relation, f.relationship),
+        sex = coalesce(NEW.sex, f.sex),
+        status = coalesce(NEW.civil_status, f.status),
+        educational_attainment = coalesce(NEW.education, f.educational_attainment),
+        employment = coalesce(NEW.occupation, f.employment)
+    WHERE f.household_member_id = NEW.id
+      AND 'ciclcar_case:' || f.ciclcar_case_id <> v_source
+      AND (f.name, f.age, f.relationship, f.sex, f.status, f.educational_attainment, f.employment)
+        IS DISTINCT FROM
+        (NEW.full_name, coalesce(v_age, f.age), coalesce(NEW.relation, f.relationship),
+         coalesce(NEW.sex, f.sex), coalesce(NEW.civil_status, f.status),
+         coalesce(NEW.education, f.educational_attainment), coalesce(NEW.occupation, f.employment))
+    RETURNING f.ciclcar_case_id
+  )
+  UPDATE public.ciclcar_case SET updated_at = now() WHERE id IN (SELECT ciclcar_case_id FROM changed);
+
+  -- fac_family_member.sex only accepts 'male' or 'female'.
+  WITH changed AS (
+    UPDATE public.fac_family_member f
+    SET family_member_name = NEW.full_name, age = coalesce(NEW.age, f.age),
+        relation_to_head = coalesce(NEW.relation, f.relation_to_head),
+        birthdate = coalesce(NEW.birth_date, f.birthdate),
+        sex = CASE WHEN lower(NEW.sex) IN ('male', 'female') THEN lower(NEW.sex) ELSE f.sex END,
+        educational_attainment = coalesce(NEW.education, f.educational_attainment),
+        occupation = coalesce(NEW.occupation, f.occupation),
+        remarks = coalesce(NEW.remarks, f.remarks)
+    WHERE f.household_member_id = NEW.id
+      AND 'fac_case:' || f.fac_case_id <> v_source
+      AND (f.family_member_name, f.age, f.relation_to_head, f.birthdate, f.sex,
+           f.educational_attainment, f.occupation, f.remarks)
+        IS DISTINCT FROM
+        (NEW.full_name, coalesce(NEW.age, f.age), coalesce(NEW.relation, f.relation_to_head),
+         coalesce(NEW.birth_date, f.birthdate),
+         CASE WHEN lower(NEW.sex) IN ('male', 'female') THEN lower(NEW.sex) ELSE f.sex END,
+         coalesce(NEW.education, f.educational_attainment), coalesce(NEW.occupation, f.occupation),
+         coalesce(NEW.remarks, f.remarks))
+    RETURNING f.fac_case_id
+  )
+  UPDATE public.fac_case SET updated_at = now() WHERE id IN (SELECT fac_case_id FROM changed);
+
+  UPDATE public.sp_case s
+  SET family_members = (
+    SELECT jsonb_agg(
+      CASE WHEN e->>'household_member_id' = NEW.id::text THEN e || jsonb_strip_nulls(jsonb_build_object(
+        'name', NEW.full_name, 'age', v_age, 'status', NEW.civil_status,
+        'relationToClient', NEW.relation, 'birthday', NEW.birth_date::text,
+        'educationalAttainment', NEW.education, 'occupation', NEW.occupation
+      )) ELSE e END
+      ORDER BY ord
+    )
+    FROM jsonb_array_elements(s.family_members) WITH ORDINALITY AS t(e, ord)
+  )
+  WHERE s.family_members @> v_ref
+    AND 'sp_case:' || s.id <> v_source;
+
+  UPDATE public.sc_case s
+  SET children = (
+    SELECT jsonb_agg(
+      CASE WHEN e->>'household_member_id' = NEW.id::text THEN e || jsonb_strip_nulls(jsonb_build_object(
+        'full_name', NEW.full_name, 'age', v_age, 'occupation', NEW.occupation,
+        'income', v_income
+      )) ELSE e END
+      ORDER BY ord
+    )
+    FROM jsonb_array_elements(s.children) WITH ORDINALITY AS t(e, ord)
+  )
+  WHERE s.children @> v_ref
+    AND 'sc_case:' || s.id <> v_source;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS propagate_household_member ON public.household_members;
+CREATE TRIGGER propagate_household_member AFTER UPDATE ON public.household_members
+FOR EACH ROW EXECUTE FUNCTION public.propagate_household_member();
+
+-- Moves every case and member of one household into another. Members with
+-- the same name become one; the family entries that pointed to the dropped
+-- member are repointed.
+CREATE OR REPLACE FUNCTION public.merge_households(p_into uuid, p_from uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_member public.household_members%ROWTYPE;
+  v_target uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  IF p_into IS NULL OR p_from IS NULL OR p_into = p_from THEN
+    RAISE EXCEPTION 'Pick two different households';
+  END IF;
+  PERFORM set_config('app.household_merge', 'on', true);
+
+  FOR v_member IN SELECT * FROM public.household_members WHERE household_id = p_from
+  LOOP
+    SELECT id INTO v_target
+    FROM public.household_members
+    WHERE household_id = p_into AND member_key = v_member.member_key
+    ORDER BY created_at
+    LIMIT 1;
+
+    IF v_target IS NULL THEN
+      UPDATE public.household_members SET household_id = p_into WHERE id = v_member.id;
+      CONTINUE;
+    END IF;
+
+    UPDATE public.case_family_member SET household_member_id = v_target WHERE household_member_id = v_member.id;
+    UPDATE public.ciclcar_family_background SET household_member_id = v_target WHERE household_member_id = v_member.id;
+    UPDATE public.fac_family_member SET household_member_id = v_target WHERE household_member_id = v_member.id;
+    UPDATE public.sp_case s
+    SET family_members = (
+      SELECT jsonb_agg(
+        CASE WHEN e->>'household_member_id' = v_member.id::text
+          THEN e || jsonb_build_object('household_member_id', v_target) ELSE e END
+        ORDER BY ord
+      )
+      FROM jsonb_array_elements(s.family_members) WITH ORDINALITY AS t(e, ord)
+    )
+    WHERE s.family_members @> jsonb_build_array(jsonb_build_object('household_member_id', v_member.id));
+    UPDATE public.sc_case s
+    SET children = (
+      SELECT jsonb_agg(
+        CASE WHEN e->>'household_member_id' = v_member.id::text
+          THEN e || jsonb_build_object('household_member_id', v_target) ELSE e END
+        ORDER BY ord
+      )
+      FROM jsonb_array_elements(s.children) WITH ORDINALITY AS t(e, ord)
+    )
+    WHERE s.children @> jsonb_build_array(jsonb_build_object('household_member_id', v_member.id));
+
+    -- Keep details the surviving member lacks.
+    UPDATE public.household_members
+    SET client_id = coalesce(client_id, v_member.client_id),
+        relation = coalesce(relation, v_member.relation),
+        birth_date = coalesce(birth_date, v_member.birth_date),
+        age = coalesce(age, v_member.age),
+        sex = coalesce(sex, v_member.sex),
+        civil_status = coalesce(civil_status, v_member.civil_status),
+        education = coalesce(education, v_member.education),
+        occupation = coalesce(occupation, v_member.occupation),
+        monthly_income = coalesce(monthly_income, v_member.monthly_income),
+        remarks = coalesce(remarks, v_member.remarks)
+    WHERE id = v_target;
+    DELETE FROM public.household_members WHERE id = v_member.id;
+  END LOOP;
+
+  UPDATE public."case" SET household_id = p_into WHERE household_id = p_from;
+  UPDATE public.ciclcar_case SET household_id = p_into WHERE household_id = p_from;
+  UPDATE public.fac_case SET household_id = p_into WHERE household_id = p_from;
+  UPDATE public.far_case SET household_id = p_into WHERE household_id = p_from;
+  UPDATE public.sp_case SET household_id = p_into WHERE household_id = p_from;
+  UPDATE public.fa_case SET household_id = p_into WHERE household_id = p_from;
+  UPDATE public.pwd_case SET household_id = p_into WHERE household_id = p_from;
+  UPDATE public.sc_case SET household_id = p_into WHERE household_id = p_from;
+  DELETE FROM public.households WHERE id = p_from;
+  PERFORM set_config('app.household_merge', '', true);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.merge_households(uuid, uuid) TO authenticated;
+
+-- Backfill: attach every case to its client's household, then fold the
+-- existing family lists in. `updated_at` stays as it was (see the header).
+CREATE OR REPLACE FUNCTION pg_temp.set_case_updated_at_triggers(p_enabled boolean)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_trigger record;
+BEGIN
+  FOR v_trigger IN
+    SELECT t.tgrelid::regclass AS table_name, t.tgname
+    FROM pg_trigger t
+    WHERE NOT t.tgisinternal
+      AND t.tgname LIKE '%updated_at%'
+      AND t.tgrelid = ANY (ARRAY[
+        'public."case"', 'public.ciclcar_case', 'public.fac_case', 'public.far_case',
+        'public.sp_case', 'public.fa_case', 'public.pwd_case', 'public.sc_case'
+      ]::regclass[])
+  LOOP
+    EXECUTE format(
+      'ALTER TABLE %s %s TRIGGER %I',
+      v_trigger.table_name,
+      CASE WHEN p_enabled THEN 'ENABLE' ELSE 'DISABLE' END,
+      v_trigger.tgname
+    );
+  END LOOP;
+END;
+$$;
+
+SELECT pg_temp.set_case_updated_at_triggers(false);
+
+UPDATE public."case" t SET household_id = public.resolve_client_household(t.client_id) WHERE household_id IS NULL;
+UPDATE public.ciclcar_case t SET household_id = public.resolve_client_household(t.client_id) WHERE household_id IS NULL;
+UPDATE public.fac_case t SET household_id = public.resolve_client_household(t.client_id) WHERE household_id IS NULL;
+UPDATE public.far_case t SET household_id = public.resolve_client_household(t.client_id) WHERE household_id IS NULL;
+UPDATE public.sp_case t SET household_id = public.resolve_client_household(t.client_id) WHERE household_id IS NULL;
+UPDATE public.fa_case t SET household_id = public.resolve_client_household(t.client_id) WHERE household_id IS NULL;
+UPDATE public.pwd_case t SET household_id = public.resolve_client_household(t.client_id) WHERE household_id IS NULL;
+UPDATE public.sc_case t SET household_id = public.resolve_client_household(t.client_id) WHERE household_id IS NULL;
+
+UPDATE public.case_family_member f
+SET household_member_id = public.upsert_household_member(
+  c.household_id, NULL,
+  jsonb_build_object(
+    'full_name', f.name, 'age', f.age, 'relation', f.relation,
+    'civil_status', f.status, 'education', f.education,
+    'occupation', f.occupation, 'monthly_income', f.income
+  )
+)
+FROM public."case" c
+WHERE c.id = f.case_id AND f.household_member_id IS NULL;
+
+UPDATE public.ciclcar_family_background f
+SET household_member_id = public.upsert_household_member(
+  c.household_id, NULL,
+  jsonb_build_object(
+    'full_name', f.name, 'age', f.age, 'relation', f.relationship,
+    'sex', f.sex, 'civil_status', f.status,
+    'education', f.educational_attainment, 'occupation', f.employment
+  )
+)
+FROM public.ciclcar_case c
+WHERE c.id = f.ciclcar_case_id AND f.household_member_id IS NULL;
+
+UPDATE public.fac_family_member f
+SET household_member_id = public.upsert_household_member(
+  c.household_id, NULL,
+  jsonb_build_object(
+    'full_name', f.family_member_name, 'age', f.age,
+    'relation', f.relation_to_head, 'birth_date', f.birthdate, 'sex', f.sex,
+    'education', f.educational_attainment, 'occupation', f.occupation,
+    'remarks', f.remarks
+  )
+)
+FROM public.fac_case c
+WHERE c.id = f.fac_case_id AND f.household_member_id IS NULL;
+
+-- Re-saving the lists runs sync_case_household_members on each row.
+UPDATE public.sp_case SET family_members = family_members
+WHERE jsonb_typeof(family_members) = 'array' AND jsonb_array_length(family_members) > 0;
+UPDATE public.sc_case SET children = children
+WHERE jsonb_typeof(children) = 'array' AND jsonb_array_length(children) > 0;
+
+SELECT pg_temp.set_case_updated_at_triggers(true);
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TRIGGER IF EXISTS propagate_household_member ON public.household_members;
+DROP TRIGGER IF EXISTS release_household_members ON public.sc_case;
+DROP TRIGGER IF EXISTS release_household_members ON public.sp_case;
+DROP TRIGGER IF EXISTS release_household_members ON public.fac_family_member;
+DROP TRIGGER IF EXISTS release_household_members ON public.ciclcar_family_background;
+DROP TRIGGER IF EXISTS release_household_members ON public.case_family_member;
+DROP TRIGGER IF EXISTS sync_case_household_members ON public.sc_case;
+DROP TRIGGER IF EXISTS sync_case_household_members ON public.sp_case;
+DROP TRIGGER IF EXISTS sync_family_row_household ON public.fac_family_member;
+DROP TRIGGER IF EXISTS sync_family_row_household ON public.ciclcar_family_background;
+DROP TRIGGER IF EXISTS sync_family_row_household ON public.case_family_member;
+DROP TRIGGER IF EXISTS assign_case_household ON public.sc_case;
+DROP TRIGGER IF EXISTS assign_case_household ON public.pwd_case;
+DROP TRIGGER IF EXISTS assign_case_household ON public.fa_case;
+DROP TRIGGER IF EXISTS assign_case_household ON public.sp_case;
+DROP TRIGGER IF EXISTS assign_case_household ON public.far_case;
+DROP TRIGGER IF EXISTS assign_case_household ON public.fac_case;
+DROP TRIGGER IF EXISTS assign_case_household ON public.ciclcar_case;
+DROP TRIGGER IF EXISTS assign_case_household ON public."case";
+DROP FUNCTION IF EXISTS public.merge_households(uuid, uuid);
+DROP FUNCTION IF EXISTS public.propagate_household_member();
+DROP FUNCTION IF EXISTS public.release_household_members();
+DROP FUNCTION IF EXISTS public.mark_unlisted_household_members(uuid[]);
+DROP FUNCTION IF EXISTS public.sync_case_household_members();
+DROP FUNCTION IF EXISTS public.sync_family_row_household();
+DROP FUNCTION IF EXISTS public.case_household(text, uuid);
+DROP FUNCTION IF EXISTS public.assign_case_household();
+DROP FUNCTION IF EXISTS public.upsert_household_member(uuid, uuid, jsonb);
+DROP FUNCTION IF EXISTS public.resolve_client_household(uuid);
+UPDATE public.sp_case SET family_members = (
+  SELECT jsonb_agg(e - 'household_member_id' ORDER BY ord)
+  FROM jsonb_array_elements(family_members) WITH ORDINALITY AS t(e, ord)
+) WHERE jsonb_typeof(family_members) = 'array' AND jsonb_array_length(family_members) > 0;
+UPDATE public.sc_case SET children = (
+  SELECT jsonb_agg(e - 'household_member_id' ORDER BY ord)
+  FROM jsonb_array_elements(children) WITH ORDINALITY AS t(e, ord)
+) WHERE jsonb_typeof(children) = 'array' AND jsonb_array_length(children) > 0;
+ALTER TABLE public.fac_family_member DROP COLUMN IF EXISTS household_member_id;
+ALTER TABLE public.ciclcar_family_background DROP COLUMN IF EXISTS household_member_id;
+ALTER TABLE public.case_family_member DROP COLUMN IF EXISTS household_member_id;
+ALTER TABLE public.sc_case DROP COLUMN IF EXISTS household_id;
+ALTER TABLE public.pwd_case DROP COLUMN IF EXISTS household_id;
+ALTER TABLE public.fa_case DROP COLUMN IF EXISTS household_id;
+ALTER TABLE public.sp_case DROP COLUMN IF EXISTS household_id;
+ALTER TABLE public.far_case DROP COLUMN IF EXISTS household_id;
+ALTER TABLE public.fac_case DROP COLUMN IF EXISTS household_id;
+ALTER TABLE public.ciclcar_case DROP COLUMN IF EXISTS household_id;
+ALTER TABLE public."case" DROP COLUMN IF EXISTS household_id;
+DROP VIEW IF EXISTS public.household_summary;
+DROP TABLE IF EXISTS public.household_members;
+DROP TABLE IF EXISTS public.households;
+DROP FUNCTION IF EXISTS public.household_try_number(text);
+DROP FUNCTION IF EXISTS public.household_member_key(text);
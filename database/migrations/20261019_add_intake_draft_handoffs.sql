@@ -0,0 +1,61 @@
+-- Migration: Hand off unfinished intake drafts between staff
+-- Date: 2026-10-19
+--
+-- Why this exists:
+-- Intake drafts autosave to the worker's device (encrypted with their offline
+-- key), so nobody else can open them there. Handing a draft to a colleague puts
+-- a copy here; the recipient's app imports it into their own drafts and
+-- deletes the row.
+
+-- =========================
+-- Up
+-- =========================
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.intake_draft_handoffs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  case_type text NOT NULL,
+  label text NULL,
+  step integer NOT NULL DEFAULT 0,
+  data jsonb NOT NULL,
+  note text NULL,
+  from_user uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id) ON DELETE CASCADE,
+  from_name text NULL,
+  to_user uuid NOT NULL REFERENCES auth.users (id) ON DELETE CASCADE,
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_draft_handoffs_to_user
+ON public.intake_draft_handoffs USING btree (to_user);
+
+ALTER TABLE public.intake_draft_handoffs ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, DELETE ON TABLE public.intake_draft_handoffs TO authenticated;
+
+DROP POLICY IF EXISTS "Intake draft handoffs: read own" ON public.intake_draft_handoffs;
+CREATE POLICY "Intake draft handoffs: read own"
+ON public.intake_draft_handoffs
+FOR SELECT
+TO authenticated
+USING (to_user = auth.uid() OR from_user = auth.uid());
+
+DROP POLICY IF EXISTS "Intake draft handoffs: send" ON public.intake_draft_handoffs;
+CREATE POLICY "Intake draft handoffs: send"
+ON public.intake_draft_handoffs
+FOR INSERT
+TO authenticated
+WITH CHECK (from_user = auth.uid());
+
+DROP POLICY IF EXISTS "Intake draft handoffs: claim" ON public.intake_draft_handoffs;
+CREATE POLICY "Intake draft handoffs: claim"
+ON public.intake_draft_handoffs
+FOR DELETE
+TO authenticated
+USING (to_user = auth.uid() OR from_user = auth.uid());
+
+COMMIT;
+
+-- =========================
+-- Down (Rollback)
+-- =========================
+DROP TABLE IF EXISTS public.intake_draft_handoffs;
@@ -71,4 +71,16 @@ app.on("window-all-closed", () => {
 	}
 });
 
-ipcMain.handle("app:get-version", () => app.getVersion());
\ No newline at end of file
+ipcMain.handle("app:get-version", () => app.getVersion());
+
+// Unlocked case-cache key, held only in this process's memory so renderer
+// reloads do not force the user to unlock again. Gone when the app quits.
+let vaultKey = null;
+
+ipcMain.handle("vault:set-key", (_event, entry) => {
+	vaultKey = entry ?? null;
+});
+ipcMain.handle("vault:get-key", () => vaultKey);
+ipcMain.handle("vault:clear-key", () => {
+	vaultKey = null;
+});
\ No newline at end of file
@@ -2,4 +2,7 @@ const { contextBridge, ipcRenderer } = require("electron");
 
 contextBridge.exposeInMainWorld("electronAPI", {
 	getAppVersion: () => ipcRenderer.invoke("app:get-version"),
+	setVaultKey: (entry) => ipcRenderer.invoke("vault:set-key", entry),
+	getVaultKey: () => ipcRenderer.invoke("vault:get-key"),
+	clearVaultKey: () => ipcRenderer.invoke("vault:clear-key"),
 });
@@ -5,7 +5,7 @@
  * the renderer is loaded from a static file (e.g., `dist/index.html`).
  * Authentication and role-based access are enforced via `ProtectedRoute`.
  */
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { HashRouter, Routes, Route, Navigate } from "react-router-dom";
 import Sidebar from "./components/sidebar/Sidebar";
 import ProtectedRoute from "@/pages/ProtectedRoute";
@@ -13,15 +13,23 @@ import { useAuthStore } from "./store/authStore";
 import Login from "./pages/Login";
 import Signup from "./pages/Signup";
 import { Toaster } from "@/components/ui/sonner";
+import { toast } from "sonner";
 import UnauthorizedPage from "@/pages/UnauthorizedPage";
 import { SidebarInset, SidebarProvider } from "@/components/ui/sidebar";
 import { SiteHeader } from "./components/site-header";
 import { Loader2 } from "lucide-react";
-import { WifiOff } from "lucide-react";
+import { OfflineUnlockScreen } from "@/components/offline-unlock-screen";
+import { OfflinePinDialog } from "@/components/offline-pin-dialog";
+import { VaultUnlockScreen } from "@/components/vault-unlock-screen";
+import { enforceRetention } from "@/services/offlineDataPolicy";
+import { uploadStagedDocuments } from "@/services/documentStagingService";
 import Case from "./pages/Case";
 import TestFileGenerator from "./pages/TestFileGenerator";
 import CaseDashboard from "./pages/case manager/CaseDashboard";
 import CaseManagement from "./pages/case manager/CaseManagement";
+import ClientRegistryPage from "./pages/case manager/ClientRegistryPage";
+import ClientProfilePage from "./pages/case manager/ClientProfilePage";
+import CaseRecordPage from "./pages/case manager/CaseRecordPage";
 import ProgramDashboardPage from "./pages/case manager/ProgramDashboardPage";
 import ProgramCatalogPage from "./pages/case manager/ProgramCatalogPage";
 import ProgramEnrollmentsPage from "./pages/case manager/ProgramEnrollmentsPage";
@@ -39,6 +47,7 @@ import AuditTrail from "./pages/security/AuditTrail";
 // ROLLBACK: Uncomment this import together with the commented route block below.
 // import RolePermissions from "./pages/security/RolePermissions";
 import DocumentManagement from "./pages/security/DocumentManagement";
+import SyncCenter from "./pages/SyncCenter";
 import useNetworkStatus from "@/hooks/useNetworkStatus";
 
 /**
@@ -99,32 +108,34 @@ function AppLoadingOverlay() {
 	);
 }
 
+/** Session flag so "Not now" on the PIN prompt holds until the app restarts. */
+const PIN_PROMPT_DISMISSED_KEY = "offlinePinPrompt.dismissed";
+
 /**
- * Full-screen message shown when app startup requires internet.
+ * Offers offline PIN setup once per app session after an online sign-in.
  */
-function OnlineRequiredOverlay() {
+function OfflineAccessPrompt() {
+	const user = useAuthStore((s) => s.user);
+	const offlineMode = useAuthStore((s) => s.offlineMode);
+	const offlinePinConfigured = useAuthStore((s) => s.offlinePinConfigured);
+	const [dismissed, setDismissed] = useState(
+		() => sessionStorage.getItem(PIN_PROMPT_DISMISSED_KEY) === "1",
+	);
+
+	const open =
+		Boolean(user) &&
+		!offlineMode &&
+		offlinePinConfigured === false &&
+		!dismissed;
+
 	return (
-		<div className="fixed inset-0 z-[1000] flex items-center justify-center bg-background px-6">
-			<div className="flex max-w-md flex-col items-center gap-4 rounded-2xl border bg-card p-8 text-center shadow-xl">
-				<div className="rounded-full bg-muted p-4">
-					<WifiOff className="h-6 w-6 text-destructive" />
-				</div>
-				<div className="space-y-2">
-					<p className="text-lg font-semibold">Internet required</p>
-					<p className="text-sm text-muted-foreground">
-						This app now requires an online connection to verify
-						your account before you can continue.
-					</p>
-				</div>
-				<button
-					type="button"
-					onClick={() => window.location.reload()}
-					className="inline-flex h-10 items-center justify-center rounded-md bg-primary px-4 text-sm font-medium text-primary-foreground transition-colors hover:opacity-90"
-				>
-					Retry connection
-				</button>
-			</div>
-		</div>
+		<OfflinePinDialog
+			open={open}
+			onOpenChange={(next) => {
+				if (!next) setDismissed(true);
+			}}
+			onSkip={() => sessionStorage.setItem(PIN_PROMPT_DISMISSED_KEY, "1")}
+		/>
 	);
 }
 
@@ -133,7 +144,15 @@ function OnlineRequiredOverlay() {
  * Initializes auth state on first render, then renders routes.
  */
 export default function App() {
-	const { init, loading, user } = useAuthStore();
+	const {
+		init,
+		loading,
+		user,
+		offlineMode,
+		offlineExpiresAt,
+		lockOffline,
+		vaultUnlocked,
+	} = useAuthStore();
 	const isOnline = useNetworkStatus();
 
 	useEffect(() => {
@@ -141,8 +160,61 @@ export default function App() {
 		init();
 	}, [init]);
 
+	// An offline unlock is provisional: verify the real session once back online.
+	useEffect(() => {
+		if (isOnline && offlineMode) void init();
+	}, [isOnline, offlineMode, init]);
+
+	useEffect(() => {
+		if (!offlineMode || !offlineExpiresAt) return;
+		const timer = setTimeout(
+			lockOffline,
+			Math.max(offlineExpiresAt - Date.now(), 0),
+		);
+		return () => clearTimeout(timer);
+	}, [offlineMode, offlineExpiresAt, lockOffline]);
+
+	// Expire snapshots older than the admin retention window, hourly while open.
+	const userId = user?.id;
+	useEffect(() => {
+		if (!userId || !vaultUnlocked) return;
+		const enforce = () =>
+			enforceRetention().catch((error) =>
+				console.error("Failed to apply offline retention:", error),
+			);
+		void enforce();
+		const timer = setInterval(enforce, 60 * 60 * 1000);
+		return () => clearInterval(timer);
+	}, [userId, vaultUnlocked]);
+
+	// Documents picked while offline upload once the real session is back.
+	useEffect(() => {
+		if (!userId || !vaultUnlocked || !isOnline || offlineMode) return;
+		uploadStagedDocuments()
+			.then(({ uploaded, failures }) => {
+				if (uploaded > 0) {
+					toast.success(
+						`${uploaded} document${uploaded === 1 ? "" : "s"} uploaded`,
+					);
+				}
+				if (failures.length > 0) {
+					toast.warning("Some documents did not upload", {
+						description: "Open the case documents to retry them.",
+					});
+				}
+			})
+			.catch((error) => {
+				console.error("❌ Failed to upload staged documents:", error);
+				toast.error("Staged documents could not be uploaded", {
+					description:
+						"They stay on this device and upload next time.",
+				});
+			});
+	}, [userId, vaultUnlocked, isOnline, offlineMode]);
+
 	if (loading) return <AppLoadingOverlay />;
-	if (!isOnline && !user) return <OnlineRequiredOverlay />;
+	if (!isOnline && !user) return <OfflineUnlockScreen />;
+	if (user && !vaultUnlocked) return <VaultUnlockScreen />;
 
 	return (
 		<HashRouter>
@@ -189,6 +261,42 @@ export default function App() {
 					}
 				/>
 
+				{/* Protected route: Client Registry (social worker) */}
+				<Route
+					path="/case/clients"
+					element={
+						<ProtectedRoute allowedRoles={["social_worker"]}>
+							<Layout>
+								<ClientRegistryPage />
+							</Layout>
+						</ProtectedRoute>
+					}
+				/>
+
+				{/* Protected route: Client Profile (social worker) */}
+				<Route
+					path="/case/clients/:clientId"
+					element={
+						<ProtectedRoute allowedRoles={["social_worker"]}>
+							<Layout>
+								<ClientProfilePage />
+							</Layout>
+						</ProtectedRoute>
+					}
+				/>
+
+				{/* Protected route: Case Record / activity timeline (social worker) */}
+				<Route
+					path="/case/records/:caseType/:caseId"
+					element={
+						<ProtectedRoute allowedRoles={["social_worker"]}>
+							<Layout>
+								<CaseRecordPage />
+							</Layout>
+						</ProtectedRoute>
+					}
+				/>
+
 				{/* Protected route: Program Management Dashboard (social worker) */}
 				<Route
 					path="/program/dashboard"
@@ -369,6 +477,18 @@ export default function App() {
 					}
 				/>
 
+				{/* Protected route: Sync Center (pending offline queues) */}
+				<Route
+					path="/sync"
+					element={
+						<ProtectedRoute allowedRoles={["social_worker"]}>
+							<Layout>
+								<SyncCenter />
+							</Layout>
+						</ProtectedRoute>
+					}
+				/>
+
 				{/* TEMP-HIDE: Role Permissions route is intentionally disabled for now. */}
 				{/* ROLLBACK: Uncomment the route block below to restore the sub-page. */}
 
@@ -392,6 +512,8 @@ export default function App() {
 				<Route path="*" element={<Navigate to="/case" />} />
 			</Routes>
 
+			<OfflineAccessPrompt />
+
 			{/* Sonner toast system (global notifications) */}
 			<Toaster />
 		</HashRouter>
@@ -0,0 +1,478 @@
+/**
+ * @file CaseBulkActionBar.jsx
+ * @description Bulk actions for the rows selected in a case tab
+ * @module components/cases/CaseBulkActionBar
+ *
+ * Features:
+ * - Shows the selection count, selects every filtered row or clears
+ * - Change status, priority or case manager, enroll in a program, hide from a
+ *   user, export to Excel or CSV, archive or restore
+ * - Every action shows which rows it will change and which it skips, and why,
+ *   before it runs
+ * - Actions that write shared tables are disabled offline
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { ChevronDown, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	DropdownMenu,
+	DropdownMenuContent,
+	DropdownMenuItem,
+	DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { useAuthStore } from "@/store/authStore";
+import { useCaseManagerStore } from "@/store/useCaseManagerStore";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { useUserPermissions } from "@/hooks/useUserPermissions";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import {
+	BULK_PRIORITIES,
+	bulkActionsFor,
+	bulkStatusOptions,
+	fetchBulkEnrollmentPrograms,
+	fetchHideTargets,
+	planBulkAction,
+	runBulkAction,
+} from "@/services/caseBulkActionService";
+
+const EXPORT_FORMATS = [
+	{ value: "xlsx", label: "Excel (.xlsx)" },
+	{ value: "csv", label: "CSV" },
+];
+
+/** Actions that run without picking a value first. */
+const NO_VALUE_ACTIONS = new Set(["archive", "restore"]);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+/**
+ * Case Bulk Action Bar Component
+ * @param {Object} props - Component props
+ * @param {string} props.caseType - Case type key (CASE, CICLCAR, FAC, ...)
+ * @param {Object} props.table - TanStack Table instance of the tab
+ * @param {import("@/hooks/useCaseTableQuery").UseCaseTableQueryResult} [props.query] - The tab's query; while it pages on the server, selections span pages and "Select all" asks the server
+ * @param {() => void} [props.onDone] - Called after rows were changed, to reload the tab
+ * @returns {JSX.Element|null} Bar shown while rows are selected
+ */
+export default function CaseBulkActionBar({
+	caseType,
+	table,
+	query,
+	onDone,
+}) {
+	const user = useAuthStore((s) => s.user);
+	const isOnline = useNetworkStatus();
+	const { hasPermission } = useUserPermissions();
+	const caseManagers = useCaseManagerStore((s) => s.caseManagers);
+	const fetchCaseManagers = useCaseManagerStore((s) => s.fetchCaseManagers);
+
+	const [action, setAction] = useState(null);
+	const [value, setValue] = useState("");
+	const [reason, setReason] = useState("");
+	const [choices, setChoices] = useState([]);
+	const [plan, setPlan] = useState(null);
+	const [planning, setPlanning] = useState(false);
+	const [running, setRunning] = useState(false);
+
+	const serverSide = Boolean(query?.serverSide);
+	const selectedRows = serverSide
+		? query.resolveSelection(table.getState().rowSelection)
+		: table.getSelectedRowModel().rows.map((row) => row.original);
+	const selectedCount = selectedRows.length;
+	const totalCount = serverSide
+		? query.rowCount
+		: table.getCoreRowModel().rows.length;
+	const [selectingAll, setSelectingAll] = useState(false);
+	const canEdit = hasPermission("edit_case");
+	const actions = bulkActionsFor(caseType).filter(
+		(item) => item.value === "export" || canEdit,
+	);
+
+	const open = Boolean(action);
+
+	// Server pages only hold the rows on screen; ask for every matching case.
+	const selectAll = async () => {
+		if (!serverSide) {
+			table.toggleAllRowsSelected(true);
+			return;
+		}
+		setSelectingAll(true);
+		const rows = await query.fetchMatchingRows();
+		setSelectingAll(false);
+		table.setRowSelection(
+			Object.fromEntries(
+				rows.map((row) => [String(row.id ?? row.localId), true]),
+			),
+		);
+	};
+
+	// Choices that come from the server or the case manager directory.
+	useEffect(() => {
+		if (!action) return undefined;
+		let cancelled = false;
+		setChoices([]);
+		if (action === "case_manager") {
+			void fetchCaseManagers();
+		} else if (action === "enroll") {
+			fetchBulkEnrollmentPrograms(caseType).then(({ data }) => {
+				if (!cancelled) setChoices(data);
+			});
+		} else if (action === "hide") {
+			fetchHideTargets().then(({ data }) => {
+				if (!cancelled) setChoices(data);
+			});
+		}
+		return () => {
+			cancelled = true;
+		};
+	}, [action, caseType, fetchCaseManagers]);
+
+	const options = useMemo(() => {
+		switch (action) {
+			case "status":
+				return bulkStatusOptions(caseType).map((status) => ({
+					value: status,
+					label: status,
+				}));
+			case "priority":
+				return BULK_PRIORITIES.map((priority) => ({
+					value: priority,
+					label: priority,
+				}));
+			case "case_manager":
+				return caseManagers.map((manager) => ({
+					value: manager.full_name,
+					label: manager.full_name,
+				}));
+			case "enroll":
+				return choices.map((program) => ({
+					value: program.id,
+					label: `${program.program_name} (${program.capacity - program.current_enrollment} slots left)`,
+				}));
+			case "hide":
+				return choices.map((profile) => ({
+					value: profile.id,
+					label: profile.full_name || profile.email,
+				}));
+			case "export":
+				return EXPORT_FORMATS;
+			default:
+				return [];
+		}
+	}, [action, caseType, caseManagers, choices]);
+
+	// The value handed to the service for the picked option.
+	const actionValue = useMemo(() => {
+		if (action === "enroll") {
+			return choices.find((program) => program.id === value) ?? null;
+		}
+		if (action === "hide") {
+			const profile = choices.find((item) => item.id === value);
+			return profile
+				? {
+						userId: profile.id,
+						userName: profile.full_name || profile.email,
+					}
+				: null;
+		}
+		return value || null;
+	}, [action, value, choices]);
+
+	const ready = NO_VALUE_ACTIONS.has(action) || Boolean(actionValue);
+
+	// Re-plan whenever the action or the picked value changes.
+	useEffect(() => {
+		if (!open || !ready) {
+			setPlan(null);
+			setPlanning(false);
+			return undefined;
+		}
+		let cancelled = false;
+		setPlanning(true);
+		planBulkAction({
+			caseType,
+			action,
+			rows: selectedRows,
+			value: actionValue,
+		}).then(({ data, error }) => {
+			if (cancelled) return;
+			setPlanning(false);
+			if (error) {
+				toast.error("Could not check the selected cases", {
+					description: error.message,
+				});
+				setPlan(null);
+				return;
+			}
+			setPlan(data);
+		});
+		return () => {
+			cancelled = true;
+		};
+		// selectedRows is rebuilt every render; the selection cannot change
+		// while the dialog is open.
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [open, ready, caseType, action, actionValue]);
+
+	const skippedByReason = useMemo(() => {
+		const counts = new Map();
+		(plan?.skipped ?? []).forEach(({ reason: why }) =>
+			counts.set(why, (counts.get(why) ?? 0) + 1),
+		);
+		return Array.from(counts.entries());
+	}, [plan]);
+
+	const actionLabel =
+		actions.find((item) => item.value === action)?.label ?? "";
+	const needsConnection = actions.find(
+		(item) => item.value === action,
+	)?.online;
+	const targetCount = plan?.targets.length ?? 0;
+	const canRun =
+		!planning &&
+		!running &&
+		targetCount > 0 &&
+		(!needsConnection || isOnline);
+
+	const startAction = (next) => {
+		setValue("");
+		setReason("");
+		setPlan(null);
+		setAction(next);
+	};
+
+	const closeDialog = () => {
+		if (running) return;
+		setAction(null);
+	};
+
+	const handleRun = async () => {
+		setRunning(true);
+		const { data, error } = await runBulkAction({
+			caseType,
+			action,
+			rows: plan.targets,
+			value: action === "hide" ? { ...actionValue, reason } : actionValue,
+			actor: user,
+		});
+		setRunning(false);
+		if (error) {
+			toast.error(`${actionLabel} failed`, {
+				description: error.message,
+			});
+			return;
+		}
+
+		const failedCount = data.failed.length;
+		const description = [
+			data.queued
+				? `${plural(data.queued, "change")} will sync when you are back online.`
+				: null,
+			failedCount
+				? `${plural(failedCount, "case")} failed: ${data.failed[0].error?.message ?? "unknown error"}`
+				: null,
+		]
+			.filter(Boolean)
+			.join(" ");
+		const notify = failedCount ? toast.warning : toast.success;
+		notify(`${actionLabel}: ${plural(data.changed, "case")} done`, {
+			description: description || undefined,
+		});
+
+		setAction(null);
+		table.resetRowSelection();
+		if (action !== "export") onDone?.();
+	};
+
+	if (selectedCount === 0) return null;
+
+	return (
+		<>
+			<div className="flex flex-wrap items-center gap-2 rounded-md border bg-muted/40 px-3 py-2 text-sm">
+				<span className="font-medium">
+					{plural(selectedCount, "case")} selected
+				</span>
+				{selectedCount < totalCount ? (
+					<Button
+						variant="link"
+						size="sm"
+						className="h-8 px-1"
+						disabled={selectingAll}
+						onClick={selectAll}
+					>
+						Select all {totalCount}
+					</Button>
+				) : null}
+				<Button
+					variant="ghost"
+					size="sm"
+					className="h-8 px-2"
+					onClick={() => table.resetRowSelection()}
+				>
+					Clear
+				</Button>
+				<div className="ml-auto">
+					<DropdownMenu>
+						<DropdownMenuTrigger asChild>
+							<Button size="sm" className="h-8">
+								Bulk actions
+								<ChevronDown className="ml-1 h-4 w-4" />
+							</Button>
+						</DropdownMenuTrigger>
+						<DropdownMenuContent align="end">
+							{actions.map((item) => (
+								<DropdownMenuItem
+									key={item.value}
+									disabled={item.online && !isOnline}
+									onSelect={() => startAction(item.value)}
+								>
+									{item.label}
+								</DropdownMenuItem>
+							))}
+						</DropdownMenuContent>
+					</DropdownMenu>
+				</div>
+			</div>
+
+			<Dialog
+				open={open}
+				onOpenChange={(next) => (next ? null : closeDialog())}
+			>
+				<DialogContent className="sm:max-w-lg">
+					<DialogHeader>
+						<DialogTitle>{actionLabel}</DialogTitle>
+						<DialogDescription>
+							{CASE_REPOSITORIES[caseType]?.label ?? caseType} ·{" "}
+							{plural(selectedCount, "selected case")}
+						</DialogDescription>
+					</DialogHeader>
+
+					<div className="space-y-4">
+						{NO_VALUE_ACTIONS.has(action) ? null : (
+							<div className="space-y-1">
+								<Label>
+									{
+										{
+											status: "New status",
+											priority: "New priority",
+											case_manager: "New case manager",
+											enroll: "Program",
+											hide: "Hide from",
+											export: "Format",
+										}[action]
+									}
+								</Label>
+								<Select value={value} onValueChange={setValue}>
+									<SelectTrigger className="w-full">
+										<SelectValue placeholder="Select..." />
+									</SelectTrigger>
+									<SelectContent>
+										{options.map((option) => (
+											<SelectItem
+												key={option.value}
+												value={option.value}
+											>
+												{option.label}
+											</SelectItem>
+										))}
+									</SelectContent>
+								</Select>
+							</div>
+						)}
+
+						{action === "hide" ? (
+							<div className="space-y-1">
+								<Label htmlFor="bulk-hide-reason">
+									Reason (optional)
+								</Label>
+								<Textarea
+									id="bulk-hide-reason"
+									value={reason}
+									onChange={(event) =>
+										setReason(event.target.value)
+									}
+									rows={2}
+								/>
+							</div>
+						) : null}
+
+						{needsConnection && !isOnline ? (
+							<p className="text-sm text-muted-foreground">
+								This action needs a connection.
+							</p>
+						) : null}
+
+						{planning ? (
+							<p className="flex items-center gap-2 text-sm text-muted-foreground">
+								<Loader2 className="h-4 w-4 animate-spin" />
+								Checking the selected cases...
+							</p>
+						) : plan ? (
+							<div className="space-y-1 rounded-md border p-3 text-sm">
+								<p className="font-medium">
+									{targetCount
+										? `Will apply to ${plural(targetCount, "case")}.`
+										: "None of the selected cases would change."}
+								</p>
+								{skippedByReason.length ? (
+									<ul className="space-y-0.5 text-muted-foreground">
+										{skippedByReason.map(([why, count]) => (
+											<li key={why}>
+												Skipping {count}: {why}
+											</li>
+										))}
+									</ul>
+								) : null}
+							</div>
+						) : null}
+					</div>
+
+					<DialogFooter>
+						<Button
+							variant="outline"
+							onClick={closeDialog}
+							disabled={running}
+						>
+							Cancel
+						</Button>
+						<Button
+							variant={
+								action === "archive" || action === "hide"
+									? "destructive"
+									: "default"
+							}
+							onClick={handleRun}
+							disabled={!canRun}
+						>
+							{running ? (
+								<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+							) : null}
+							{targetCount
+								? `Apply to ${plural(targetCount, "case")}`
+								: "Apply"}
+						</Button>
+					</DialogFooter>
+				</DialogContent>
+			</Dialog>
+		</>
+	);
+}
@@ -0,0 +1,296 @@
+/**
+ * @file CaseClosureDialog.jsx
+ * @description Close a case with a reason and checklist, or reopen it
+ * @module components/cases/CaseClosureDialog
+ *
+ * Features:
+ * - Closing requires a reason code, a closure summary and a passed checklist:
+ *   automatic checks (enrollments, resource requests) plus the case type's
+ *   confirmations
+ * - Reopening a closed case requires a justification
+ * - Online-only
+ */
+
+import { useEffect, useState } from "react";
+import { CheckCircle2, Loader2, XCircle } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { useAuthStore } from "@/store/authStore";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { isCaseClosed } from "@/lib/caseLifecycle";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { caseDisplayName } from "@/services/caseTimelineService";
+import {
+	CLOSURE_REASONS,
+	closeCase,
+	fetchClosureChecklist,
+	reopenCase,
+} from "@/services/caseClosureService";
+
+/**
+ * Case Closure Dialog Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state change handler
+ * @param {string} props.caseType - Case type key (CASE, CICLCAR, FAC, ...)
+ * @param {Record<string, any>|null} props.caseRow - Case to close or reopen
+ * @param {() => void} [props.onDone] - Called after the case was closed or reopened
+ * @returns {JSX.Element} Closure or reopen dialog, depending on the case status
+ */
+export default function CaseClosureDialog({
+	open,
+	onOpenChange,
+	caseType,
+	caseRow,
+	onDone,
+}) {
+	const user = useAuthStore((s) => s.user);
+	const isOnline = useNetworkStatus();
+	const reopening = isCaseClosed(caseRow?.status);
+	const [reasonCode, setReasonCode] = useState("");
+	const [text, setText] = useState("");
+	const [checklist, setChecklist] = useState([]);
+	const [checklistError, setChecklistError] = useState(null);
+	const [loadingChecklist, setLoadingChecklist] = useState(false);
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		if (!open || !caseRow) return undefined;
+		setReasonCode("");
+		setText("");
+		setChecklist([]);
+		setChecklistError(null);
+		if (reopening || !isOnline) return undefined;
+
+		let cancelled = false;
+		setLoadingChecklist(true);
+		fetchClosureChecklist({ caseType, caseRow }).then(({ data, error }) => {
+			if (cancelled) return;
+			setChecklist(data);
+			setChecklistError(error);
+			setLoadingChecklist(false);
+		});
+		return () => {
+			cancelled = true;
+		};
+	}, [open, caseType, caseRow, reopening, isOnline]);
+
+	const toggleConfirmation = (key, checked) =>
+		setChecklist((prev) =>
+			prev.map((item) =>
+				item.key === key ? { ...item, passed: checked } : item,
+			),
+		);
+
+	const checklistPassed =
+		checklist.length > 0 && checklist.every((item) => item.passed);
+	const canSubmit =
+		isOnline &&
+		!saving &&
+		Boolean(text.trim()) &&
+		(reopening || (Boolean(reasonCode) && checklistPassed));
+
+	const handleSubmit = async () => {
+		setSaving(true);
+		const actorName = user?.user_metadata?.full_name || user?.email || "";
+		const { error } = reopening
+			? await reopenCase({
+					caseType,
+					caseRow,
+					justification: text,
+					actorName,
+				})
+			: await closeCase({
+					caseType,
+					caseRow,
+					reasonCode,
+					summary: text,
+					checklist,
+					actorName,
+				});
+		setSaving(false);
+		if (error) {
+			toast.error(
+				reopening ? "Failed to reopen case" : "Failed to close case",
+				{ description: error.message },
+			);
+			return;
+		}
+		toast.success(reopening ? "Case reopened" : "Case closed");
+		onOpenChange(false);
+		onDone?.();
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="sm:max-w-lg">
+				<DialogHeader>
+					<DialogTitle>
+						{reopening ? "Reopen case" : "Close case"}
+					</DialogTitle>
+					<DialogDescription>
+						{caseRow
+							? `${CASE_REPOSITORIES[caseType]?.label ?? caseType} · ${caseDisplayName(caseType, caseRow)} · ${caseRow.status || "No status"}`
+							: null}
+					</DialogDescription>
+				</DialogHeader>
+
+				{!isOnline ? (
+					<p className="text-sm text-muted-foreground">
+						Closing and reopening cases needs a connection.
+					</p>
+				) : reopening ? (
+					<div className="space-y-1">
+						<Label htmlFor="reopen-justification">
+							Justification
+						</Label>
+						<Textarea
+							id="reopen-justification"
+							value={text}
+							onChange={(event) => setText(event.target.value)}
+							placeholder="Why the case needs to be opened again"
+							rows={4}
+						/>
+					</div>
+				) : (
+					<div className="space-y-4">
+						<div className="space-y-1">
+							<Label>Closure reason</Label>
+							<Select
+								value={reasonCode}
+								onValueChange={setReasonCode}
+							>
+								<SelectTrigger className="w-full">
+									<SelectValue placeholder="Select a reason" />
+								</SelectTrigger>
+								<SelectContent>
+									{CLOSURE_REASONS.map((reason) => (
+										<SelectItem
+											key={reason.value}
+											value={reason.value}
+										>
+											{reason.label}
+										</SelectItem>
+									))}
+								</SelectContent>
+							</Select>
+						</div>
+						<div className="space-y-1">
+							<Label htmlFor="closure-summary">
+								Closure summary
+							</Label>
+							<Textarea
+								id="closure-summary"
+								value={text}
+								onChange={(event) =>
+									setText(event.target.value)
+								}
+								placeholder="Services provided, outcome, and any follow-up arranged"
+								rows={4}
+							/>
+						</div>
+						<div className="space-y-2">
+							<Label>Checklist</Label>
+							{loadingChecklist ? (
+								<p className="flex items-center gap-2 text-sm text-muted-foreground">
+									<Loader2 className="h-4 w-4 animate-spin" />
+									Checking enrollments and requests...
+								</p>
+							) : checklistError ? (
+								<p className="text-sm text-red-600">
+									Failed to load the checklist:{" "}
+									{checklistError.message}
+								</p>
+							) : (
+								<ul className="space-y-2">
+									{checklist.map((item) =>
+										item.manual ? (
+											<li
+												key={item.key}
+												className="flex items-start gap-2 text-sm"
+											>
+												<Checkbox
+													id={`closure-${item.key}`}
+													checked={item.passed}
+													onCheckedChange={(value) =>
+														toggleConfirmation(
+															item.key,
+															value === true,
+														)
+													}
+												/>
+												<Label
+													htmlFor={`closure-${item.key}`}
+													className="font-normal"
+												>
+													{item.label}
+												</Label>
+											</li>
+										) : (
+											<li
+												key={item.key}
+												className="flex items-start gap-2 text-sm"
+											>
+												{item.passed ? (
+													<CheckCircle2 className="mt-0.5 h-4 w-4 shrink-0 text-green-600" />
+												) : (
+													<XCircle className="mt-0.5 h-4 w-4 shrink-0 text-red-600" />
+												)}
+												<div>
+													<p>{item.label}</p>
+													{item.detail ? (
+														<p className="text-xs text-muted-foreground">
+															{item.detail}
+														</p>
+													) : null}
+												</div>
+											</li>
+										),
+									)}
+								</ul>
+							)}
+						</div>
+					</div>
+				)}
+
+				<DialogFooter>
+					<Button
+						variant="outline"
+						onClick={() => onOpenChange(false)}
+						disabled={saving}
+					>
+						Cancel
+					</Button>
+					<Button
+						variant={reopening ? "default" : "destructive"}
+						onClick={handleSubmit}
+						disabled={!canSubmit}
+					>
+						{saving ? (
+							<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+						) : null}
+						{reopening ? "Reopen case" : "Close case"}
+					</Button>
+				</DialogFooter>
+			</DialogContent>
+		</Dialog>
+	);
+}
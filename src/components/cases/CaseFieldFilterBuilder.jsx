@@ -0,0 +1,420 @@
+/**
+ * @file CaseFieldFilterBuilder.jsx
+ * @description Field-level query builder for the Case Management tables
+ * @module components/cases/CaseFieldFilterBuilder
+ *
+ * Features:
+ * - Builds rules on the active tab's fields from lib/caseFieldCatalog
+ *   (barangay, sex, age from birthdate, offence type, disability, ...)
+ * - Joins rules with AND or OR, and nests one level of groups for mixes such
+ *   as "Female AND (barangay A OR barangay B)"
+ * - Picks value inputs by field type and suggests values found in the cached
+ *   rows for text fields
+ */
+
+import { useMemo } from "react";
+import { ListFilter, Plus, Trash2 } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+	Popover,
+	PopoverContent,
+	PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import {
+	CASE_FIELD_OPERATORS,
+	EMPTY_FIELD_FILTER,
+	countFieldRules,
+	createFieldGroup,
+	createFieldRule,
+	emptyRuleValue,
+	findCaseField,
+	getCaseFields,
+	isFieldGroup,
+} from "@/lib/caseFieldCatalog";
+
+/** Most suggestions offered for one text field. */
+const MAX_SUGGESTIONS = 100;
+
+/**
+ * Replace the rule (or group) `id` anywhere in `group` with `update(rule)`;
+ * an empty array removes it. Groups left without rules are dropped.
+ */
+function updateRules(group, id, update) {
+	return {
+		...group,
+		rules: group.rules.flatMap((rule) => {
+			if (rule.id === id) return update(rule);
+			if (!isFieldGroup(rule)) return [rule];
+			const nested = updateRules(rule, id, update);
+			return nested.rules.length ? [nested] : [];
+		}),
+	};
+}
+
+function CombinatorSelect({ value, onChange }) {
+	return (
+		<Select value={value} onValueChange={onChange}>
+			<SelectTrigger className="h-8 w-[88px]">
+				<SelectValue />
+			</SelectTrigger>
+			<SelectContent>
+				<SelectItem value="and">All (AND)</SelectItem>
+				<SelectItem value="or">Any (OR)</SelectItem>
+			</SelectContent>
+		</Select>
+	);
+}
+
+function RuleValueInput({ rule, caseField, rows, onChange }) {
+	const suggestions = useMemo(() => {
+		if (caseField.type !== "text") return [];
+		const values = new Set();
+		for (const row of rows) {
+			const value = row?.[caseField.column];
+			if (typeof value === "string" && value.trim()) {
+				values.add(value.trim());
+			}
+			if (values.size >= MAX_SUGGESTIONS) break;
+		}
+		return Array.from(values).sort((a, b) => a.localeCompare(b));
+	}, [caseField, rows]);
+
+	if (["empty", "not_empty", "true", "false"].includes(rule.operator)) {
+		return null;
+	}
+
+	if (caseField.type === "age") {
+		const { min = "", max = "" } = rule.value ?? {};
+		return (
+			<div className="flex flex-1 items-center gap-1">
+				<Input
+					type="number"
+					min={0}
+					placeholder="Min"
+					value={min}
+					onChange={(e) => onChange({ min: e.target.value, max })}
+					className="h-8"
+				/>
+				<span className="text-xs text-muted-foreground">to</span>
+				<Input
+					type="number"
+					min={0}
+					placeholder="Max"
+					value={max}
+					onChange={(e) => onChange({ min, max: e.target.value })}
+					className="h-8"
+				/>
+			</div>
+		);
+	}
+
+	if (caseField.type === "list" && caseField.options?.length) {
+		return (
+			<Select value={rule.value || undefined} onValueChange={onChange}>
+				<SelectTrigger className="h-8 flex-1">
+					<SelectValue placeholder="Value" />
+				</SelectTrigger>
+				<SelectContent>
+					{caseField.options.map((option) => (
+						<SelectItem key={option.value} value={option.value}>
+							{option.label}
+						</SelectItem>
+					))}
+				</SelectContent>
+			</Select>
+		);
+	}
+
+	const listId = `case-field-values-${rule.id}`;
+	return (
+		<>
+			<Input
+				type={
+					caseField.type === "number"
+						? "number"
+						: caseField.type === "date"
+							? "date"
+							: "text"
+				}
+				placeholder="Value"
+				value={rule.value ?? ""}
+				onChange={(e) => onChange(e.target.value)}
+				list={suggestions.length ? listId : undefined}
+				className="h-8 flex-1"
+			/>
+			{suggestions.length ? (
+				<datalist id={listId}>
+					{suggestions.map((value) => (
+						<option key={value} value={value} />
+					))}
+				</datalist>
+			) : null}
+		</>
+	);
+}
+
+function RuleRow({ rule, caseType, rows, onChange, onRemove }) {
+	const fields = getCaseFields(caseType);
+	const caseField = findCaseField(caseType, rule.field);
+	const operators = caseField ? CASE_FIELD_OPERATORS[caseField.type] : [];
+
+	const changeField = (fieldId) => {
+		const next = findCaseField(caseType, fieldId);
+		if (next) onChange({ ...createFieldRule(next), id: rule.id });
+	};
+
+	const changeOperator = (operator) => {
+		const keepValue =
+			caseField.type !== "age" ||
+			(operator === "between") === (rule.operator === "between");
+		onChange({
+			...rule,
+			operator,
+			value: keepValue ? rule.value : emptyRuleValue(caseField, operator),
+		});
+	};
+
+	return (
+		<div className="flex items-center gap-2">
+			<Select
+				value={caseField ? rule.field : undefined}
+				onValueChange={changeField}
+			>
+				<SelectTrigger className="h-8 w-[170px]">
+					<SelectValue placeholder="Field" />
+				</SelectTrigger>
+				<SelectContent>
+					{fields.map((item) => (
+						<SelectItem key={item.id} value={item.id}>
+							{item.label}
+						</SelectItem>
+					))}
+				</SelectContent>
+			</Select>
+			{caseField ? (
+				<>
+					<Select
+						value={rule.operator}
+						onValueChange={changeOperator}
+					>
+						<SelectTrigger className="h-8 w-[130px]">
+							<SelectValue />
+						</SelectTrigger>
+						<SelectContent>
+							{operators.map((operator) => (
+								<SelectItem
+									key={operator.value}
+									value={operator.value}
+								>
+									{operator.label}
+								</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+					<RuleValueInput
+						rule={rule}
+						caseField={caseField}
+						rows={rows}
+						onChange={(value) => onChange({ ...rule, value })}
+					/>
+				</>
+			) : (
+				<span className="flex-1 text-xs text-muted-foreground">
+					This field is no longer available
+				</span>
+			)}
+			<Button
+				variant="ghost"
+				size="icon"
+				className="h-8 w-8 shrink-0"
+				onClick={onRemove}
+				aria-label="Remove condition"
+			>
+				<Trash2 className="h-4 w-4" />
+			</Button>
+		</div>
+	);
+}
+
+/**
+ * Case Field Filter Builder Component
+ * @param {Object} props - Component props
+ * @param {string} props.caseType - Active Case Management tab
+ * @param {import("@/lib/caseFieldCatalog").CaseFieldGroup|undefined} props.value - Field filter of the tab
+ * @param {(next: import("@/lib/caseFieldCatalog").CaseFieldGroup) => void} props.onChange - Replace the field filter
+ * @param {any[]} props.rows - Cached rows of the tab, for value suggestions
+ * @returns {JSX.Element|null} Fields popover, or nothing for tabs without a catalog
+ */
+export default function CaseFieldFilterBuilder({
+	caseType,
+	value,
+	onChange,
+	rows,
+}) {
+	const filter = value ?? EMPTY_FIELD_FILTER;
+	const fields = getCaseFields(caseType);
+	const activeCount = countFieldRules(caseType, filter);
+
+	if (!fields.length) return null;
+
+	const [firstField] = fields;
+	const update = (id, change) => onChange(updateRules(filter, id, change));
+
+	const renderRule = (rule) => (
+		<RuleRow
+			key={rule.id}
+			rule={rule}
+			caseType={caseType}
+			rows={rows ?? []}
+			onChange={(next) => update(rule.id, () => [next])}
+			onRemove={() => update(rule.id, () => [])}
+		/>
+	);
+
+	return (
+		<Popover>
+			<PopoverTrigger asChild>
+				<Button variant="outline" size="sm" className="cursor-pointer">
+					<ListFilter className="h-4 w-4" />
+					Fields
+					{activeCount ? (
+						<Badge variant="secondary" className="ml-1 px-1.5">
+							{activeCount}
+						</Badge>
+					) : null}
+				</Button>
+			</PopoverTrigger>
+			<PopoverContent align="start" className="w-[640px] p-4">
+				<div className="space-y-3">
+					<div className="flex items-center gap-2 text-xs">
+						<span>Match</span>
+						<CombinatorSelect
+							value={filter.combinator}
+							onChange={(combinator) =>
+								onChange({ ...filter, combinator })
+							}
+						/>
+						<span>of these conditions</span>
+					</div>
+
+					{filter.rules.length === 0 ? (
+						<p className="text-xs text-muted-foreground">
+							No field conditions. Add one to filter by any field
+							of this case type.
+						</p>
+					) : null}
+
+					{filter.rules.map((rule) =>
+						isFieldGroup(rule) ? (
+							<div
+								key={rule.id}
+								className="space-y-2 rounded-md border p-2"
+							>
+								<div className="flex items-center gap-2 text-xs">
+									<span>Group: match</span>
+									<CombinatorSelect
+										value={rule.combinator}
+										onChange={(combinator) =>
+											update(rule.id, (group) => [
+												{ ...group, combinator },
+											])
+										}
+									/>
+									<Button
+										variant="ghost"
+										size="sm"
+										className="ml-auto h-7 px-2"
+										onClick={() =>
+											update(rule.id, (group) => [
+												{
+													...group,
+													rules: [
+														...group.rules,
+														createFieldRule(
+															firstField,
+														),
+													],
+												},
+											])
+										}
+									>
+										<Plus className="h-3.5 w-3.5" />
+										Condition
+									</Button>
+									<Button
+										variant="ghost"
+										size="sm"
+										className="h-7 px-2"
+										onClick={() =>
+											update(rule.id, () => [])
+										}
+									>
+										Remove group
+									</Button>
+								</div>
+								{rule.rules.map(renderRule)}
+							</div>
+						) : (
+							renderRule(rule)
+						),
+					)}
+
+					<div className="flex items-center gap-2 pt-1">
+						<Button
+							variant="outline"
+							size="sm"
+							className="h-8"
+							onClick={() =>
+								onChange({
+									...filter,
+									rules: [
+										...filter.rules,
+										createFieldRule(firstField),
+									],
+								})
+							}
+						>
+							<Plus className="h-4 w-4" />
+							Add condition
+						</Button>
+						<Button
+							variant="outline"
+							size="sm"
+							className="h-8"
+							onClick={() =>
+								onChange({
+									...filter,
+									rules: [
+										...filter.rules,
+										createFieldGroup(firstField),
+									],
+								})
+							}
+						>
+							<Plus className="h-4 w-4" />
+							Add group
+						</Button>
+						<Button
+							variant="ghost"
+							size="sm"
+							className="ml-auto h-8 px-2"
+							onClick={() => onChange(EMPTY_FIELD_FILTER)}
+							disabled={!filter.rules.length}
+						>
+							Clear
+						</Button>
+					</div>
+				</div>
+			</PopoverContent>
+		</Popover>
+	);
+}
@@ -0,0 +1,418 @@
+/**
+ * @file CaseFilterViewsMenu.jsx
+ * @description Saved filter views for the Case Management tables
+ * @module components/cases/CaseFilterViewsMenu
+ *
+ * Features:
+ * - Applies the user's own or shared views for the active tab
+ * - Saves the current search, advanced filters, field conditions and case
+ *   manager filter as a named view, optionally shared with other staff
+ *   and/or as the landing view
+ * - Re-saves, shares, unshares, deletes views and picks the landing view
+ * - Online-only; the list stays empty offline
+ */
+
+import { useMemo, useState } from "react";
+import { Bookmark, Loader2, Star, Trash2, Users } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	DropdownMenu,
+	DropdownMenuContent,
+	DropdownMenuItem,
+	DropdownMenuLabel,
+	DropdownMenuSeparator,
+	DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useAuthStore } from "@/store/authStore";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { useCaseFilterViews } from "@/store/useCaseFilterViewStore";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+
+/**
+ * Case Filter Views Menu Component
+ * @param {Object} props - Component props
+ * @param {string} props.caseType - Active Case Management tab
+ * @param {import("@/services/caseFilterViewService").CaseViewFilters} props.currentFilters - Filters on screen now
+ * @param {string|null} props.activeViewId - View last applied, if any
+ * @param {(view: import("@/services/caseFilterViewService").CaseFilterViewRow) => void} props.onApply - Apply a view
+ * @returns {JSX.Element} Views dropdown with save and manage dialogs
+ */
+export default function CaseFilterViewsMenu({
+	caseType,
+	currentFilters,
+	activeViewId,
+	onApply,
+}) {
+	const user = useAuthStore((s) => s.user);
+	const isOnline = useNetworkStatus();
+	const {
+		views,
+		defaultViewId,
+		saveView,
+		updateView,
+		removeView,
+		setDefaultView,
+	} = useCaseFilterViews(user?.id);
+
+	const [saveOpen, setSaveOpen] = useState(false);
+	const [manageOpen, setManageOpen] = useState(false);
+	const [name, setName] = useState("");
+	const [shared, setShared] = useState(false);
+	const [landing, setLanding] = useState(false);
+	const [busy, setBusy] = useState(false);
+
+	const tabViews = useMemo(
+		() => views.filter((view) => view.case_type === caseType),
+		[views, caseType],
+	);
+	const ownViews = tabViews.filter((view) => view.owner_id === user?.id);
+	const sharedViews = tabViews.filter((view) => view.owner_id !== user?.id);
+	const activeView = views.find((view) => view.id === activeViewId) ?? null;
+	const canResave =
+		activeView?.owner_id === user?.id && activeView.case_type === caseType;
+
+	const openSave = () => {
+		setName("");
+		setShared(false);
+		setLanding(false);
+		setSaveOpen(true);
+	};
+
+	const handleSave = async () => {
+		setBusy(true);
+		const { data, error } = await saveView({
+			name,
+			caseType,
+			filters: currentFilters,
+			isShared: shared,
+			ownerName: user?.user_metadata?.full_name || user?.email || "",
+		});
+		if (!error && landing) await setDefaultView(user.id, data.id);
+		setBusy(false);
+		if (error) {
+			toast.error("Failed to save view", { description: error.message });
+			return;
+		}
+		toast.success(`Saved view "${data.name}"`);
+		setSaveOpen(false);
+		onApply(data);
+	};
+
+	const handleResave = async () => {
+		const { error } = await updateView(activeView.id, {
+			filters: currentFilters,
+		});
+		if (error) {
+			toast.error("Failed to update view", {
+				description: error.message,
+			});
+			return;
+		}
+		toast.success(`Updated view "${activeView.name}"`);
+	};
+
+	const runManaged = async (action, failure) => {
+		setBusy(true);
+		const { error } = await action();
+		setBusy(false);
+		if (error) toast.error(failure, { description: error.message });
+	};
+
+	const renderViewItem = (view) => (
+		<DropdownMenuItem key={view.id} onSelect={() => onApply(view)}>
+			<span className="flex-1 truncate">{view.name}</span>
+			{view.id === defaultViewId ? (
+				<Star className="h-3.5 w-3.5 fill-current text-amber-500" />
+			) : null}
+			{view.is_shared && view.owner_id === user?.id ? (
+				<Users className="h-3.5 w-3.5 text-muted-foreground" />
+			) : null}
+		</DropdownMenuItem>
+	);
+
+	return (
+		<>
+			<DropdownMenu>
+				<DropdownMenuTrigger asChild>
+					<Button
+						variant="outline"
+						size="sm"
+						className="cursor-pointer"
+					>
+						<Bookmark className="h-4 w-4" />
+						<span className="max-w-[160px] truncate">
+							{activeView?.case_type === caseType
+								? activeView.name
+								: "Views"}
+						</span>
+					</Button>
+				</DropdownMenuTrigger>
+				<DropdownMenuContent align="start" className="w-64">
+					{!isOnline ? (
+						<DropdownMenuLabel className="text-xs font-normal text-muted-foreground">
+							Saved views need a connection.
+						</DropdownMenuLabel>
+					) : null}
+					<DropdownMenuLabel>My views</DropdownMenuLabel>
+					{ownViews.length ? (
+						ownViews.map(renderViewItem)
+					) : (
+						<DropdownMenuItem disabled>
+							No saved views for this tab
+						</DropdownMenuItem>
+					)}
+					{sharedViews.length ? (
+						<>
+							<DropdownMenuSeparator />
+							<DropdownMenuLabel>
+								Shared with me
+							</DropdownMenuLabel>
+							{sharedViews.map(renderViewItem)}
+						</>
+					) : null}
+					<DropdownMenuSeparator />
+					<DropdownMenuItem disabled={!isOnline} onSelect={openSave}>
+						Save current filters as view...
+					</DropdownMenuItem>
+					{canResave ? (
+						<DropdownMenuItem
+							disabled={!isOnline}
+							onSelect={handleResave}
+						>
+							Update "{activeView.name}" with current filters
+						</DropdownMenuItem>
+					) : null}
+					<DropdownMenuItem
+						disabled={!isOnline}
+						onSelect={() => setManageOpen(true)}
+					>
+						Manage views...
+					</DropdownMenuItem>
+				</DropdownMenuContent>
+			</DropdownMenu>
+
+			<Dialog open={saveOpen} onOpenChange={setSaveOpen}>
+				<DialogContent className="sm:max-w-md">
+					<DialogHeader>
+						<DialogTitle>Save view</DialogTitle>
+						<DialogDescription>
+							Saves the search, advanced filters and case manager
+							filter of the{" "}
+							{CASE_REPOSITORIES[caseType]?.label ?? caseType}{" "}
+							tab.
+						</DialogDescription>
+					</DialogHeader>
+					<div className="space-y-4">
+						<div className="space-y-1">
+							<Label htmlFor="filter-view-name">Name</Label>
+							<Input
+								id="filter-view-name"
+								value={name}
+								onChange={(event) =>
+									setName(event.target.value)
+								}
+								placeholder="e.g. High priority filed this quarter"
+							/>
+						</div>
+						<div className="flex items-center gap-2">
+							<Checkbox
+								id="filter-view-shared"
+								checked={shared}
+								onCheckedChange={(value) =>
+									setShared(value === true)
+								}
+							/>
+							<Label
+								htmlFor="filter-view-shared"
+								className="font-normal"
+							>
+								Share with other staff
+							</Label>
+						</div>
+						<div className="flex items-center gap-2">
+							<Checkbox
+								id="filter-view-landing"
+								checked={landing}
+								onCheckedChange={(value) =>
+									setLanding(value === true)
+								}
+							/>
+							<Label
+								htmlFor="filter-view-landing"
+								className="font-normal"
+							>
+								Open Case Management with this view
+							</Label>
+						</div>
+					</div>
+					<DialogFooter>
+						<Button
+							variant="outline"
+							onClick={() => setSaveOpen(false)}
+							disabled={busy}
+						>
+							Cancel
+						</Button>
+						<Button
+							onClick={handleSave}
+							disabled={busy || !name.trim()}
+						>
+							{busy ? (
+								<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+							) : null}
+							Save view
+						</Button>
+					</DialogFooter>
+				</DialogContent>
+			</Dialog>
+
+			<Dialog open={manageOpen} onOpenChange={setManageOpen}>
+				<DialogContent className="sm:max-w-lg">
+					<DialogHeader>
+						<DialogTitle>Saved views</DialogTitle>
+						<DialogDescription>
+							The starred view opens when you come to Case
+							Management. Only the owner can share or delete a
+							view.
+						</DialogDescription>
+					</DialogHeader>
+					{views.length === 0 ? (
+						<p className="text-sm text-muted-foreground">
+							No saved views yet.
+						</p>
+					) : (
+						<ul className="max-h-[50vh] space-y-2 overflow-y-auto">
+							{views.map((view) => {
+								const own = view.owner_id === user?.id;
+								const isDefault = view.id === defaultViewId;
+								return (
+									<li
+										key={view.id}
+										className="flex items-center gap-2 rounded-md border px-3 py-2 text-sm"
+									>
+										<div className="min-w-0 flex-1">
+											<p className="truncate font-medium">
+												{view.name}
+											</p>
+											<p className="text-xs text-muted-foreground">
+												{CASE_REPOSITORIES[
+													view.case_type
+												]?.label ?? view.case_type}
+												{own
+													? ""
+													: ` · shared by ${view.owner_name || "another worker"}`}
+											</p>
+										</div>
+										{own && view.is_shared ? (
+											<Badge variant="secondary">
+												Shared
+											</Badge>
+										) : null}
+										<Button
+											variant="ghost"
+											size="icon"
+											className="h-8 w-8"
+											disabled={busy}
+											title={
+												isDefault
+													? "Stop opening with this view"
+													: "Open Case Management with this view"
+											}
+											onClick={() =>
+												runManaged(
+													() =>
+														setDefaultView(
+															user.id,
+															isDefault
+																? null
+																: view.id,
+														),
+													"Failed to set the landing view",
+												)
+											}
+										>
+											<Star
+												className={
+													isDefault
+														? "h-4 w-4 fill-current text-amber-500"
+														: "h-4 w-4"
+												}
+											/>
+										</Button>
+										{own ? (
+											<>
+												<Button
+													variant="ghost"
+													size="icon"
+													className="h-8 w-8"
+													disabled={busy}
+													title={
+														view.is_shared
+															? "Stop sharing"
+															: "Share with other staff"
+													}
+													onClick={() =>
+														runManaged(
+															() =>
+																updateView(
+																	view.id,
+																	{
+																		isShared:
+																			!view.is_shared,
+																	},
+																),
+															"Failed to change sharing",
+														)
+													}
+												>
+													<Users
+														className={
+															view.is_shared
+																? "h-4 w-4 text-primary"
+																: "h-4 w-4"
+														}
+													/>
+												</Button>
+												<Button
+													variant="ghost"
+													size="icon"
+													className="h-8 w-8 text-red-600"
+													disabled={busy}
+													title="Delete view"
+													onClick={() =>
+														runManaged(
+															() =>
+																removeView(
+																	view.id,
+																),
+															"Failed to delete view",
+														)
+													}
+												>
+													<Trash2 className="h-4 w-4" />
+												</Button>
+											</>
+										) : null}
+									</li>
+								);
+							})}
+						</ul>
+					)}
+				</DialogContent>
+			</Dialog>
+		</>
+	);
+}
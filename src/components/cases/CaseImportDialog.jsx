@@ -0,0 +1,584 @@
+/**
+ * @file CaseImportDialog.jsx
+ * @description Import wizard that adds cases of one type from an Excel workbook
+ * @module components/cases/CaseImportDialog
+ *
+ * Features:
+ * - Reads any worksheet of an .xlsx file, or the named ranges of a filled
+ *   Excel template
+ * - Columns are matched to case fields by header name and can be remapped
+ * - Preview of every row with field and validation errors and possible
+ *   duplicates (existing cases or repeated rows); duplicates are skipped
+ *   unless included
+ * - Inserts in batches and offers a CSV report of every row's outcome
+ * - Importing is online-only
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { AlertTriangle, Download, Loader2, XCircle } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { readImportWorkbook } from "@/lib/caseExcelImport";
+import { exportCaseRowsToCsv } from "@/lib/caseTableExport";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import {
+	buildImportReport,
+	describeImportRow,
+	listImportFields,
+	planCaseImport,
+	runCaseImport,
+	suggestImportMapping,
+} from "@/services/caseImportService";
+
+/** Select value for a column that is not imported (Radix rejects ""). */
+const SKIP = "__skip";
+
+/** Preview rows rendered at once; the counts and import cover every row. */
+const PREVIEW_LIMIT = 200;
+
+const PREVIEW_FILTERS = {
+	all: "All rows",
+	errors: "Rows with errors",
+	duplicates: "Possible duplicates",
+};
+
+const sampleValue = (source, column) =>
+	source.rows.find((row) => row.values[column])?.values[column] ?? "";
+
+/**
+ * Case Import Dialog Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state change handler
+ * @param {string} props.caseType - Case type key (`IMPORT_CASE_TYPE_KEYS`)
+ * @param {() => void} [props.onDone] - Called after cases were imported
+ * @returns {JSX.Element} Import wizard: file, mapping, preview, report
+ */
+export default function CaseImportDialog({
+	open,
+	onOpenChange,
+	caseType,
+	onDone,
+}) {
+	const isOnline = useNetworkStatus();
+	const [step, setStep] = useState("file");
+	const [fileName, setFileName] = useState("");
+	const [sources, setSources] = useState([]);
+	const [sourceKey, setSourceKey] = useState("");
+	const [mapping, setMapping] = useState({});
+	const [plans, setPlans] = useState([]);
+	const [includeDuplicates, setIncludeDuplicates] = useState(false);
+	const [filter, setFilter] = useState("all");
+	const [result, setResult] = useState(null);
+	const [busy, setBusy] = useState(false);
+
+	const label = CASE_REPOSITORIES[caseType]?.label ?? caseType;
+	const fields = useMemo(() => listImportFields(caseType), [caseType]);
+	const source = sources.find((item) => item.key === sourceKey) ?? null;
+
+	useEffect(() => {
+		if (!open) return;
+		setStep("file");
+		setFileName("");
+		setSources([]);
+		setSourceKey("");
+		setMapping({});
+		setPlans([]);
+		setIncludeDuplicates(false);
+		setFilter("all");
+		setResult(null);
+	}, [open, caseType]);
+
+	const selectSource = (key, list = sources) => {
+		const next = list.find((item) => item.key === key);
+		setSourceKey(key);
+		setMapping(next ? suggestImportMapping(caseType, next.columns) : {});
+	};
+
+	const handleFile = async (event) => {
+		const file = event.target.files?.[0];
+		event.target.value = "";
+		if (!file) return;
+		setBusy(true);
+		try {
+			const list = await readImportWorkbook(file);
+			if (!list.length) {
+				toast.error("Nothing to import", {
+					description: `${file.name} has no filled rows or named ranges.`,
+				});
+				return;
+			}
+			setFileName(file.name);
+			setSources(list);
+			selectSource(list[0].key, list);
+			setStep("map");
+		} catch (error) {
+			console.error("❌ Failed to read the import workbook:", error);
+			toast.error("Could not read the workbook", {
+				description: error.message,
+			});
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const setColumnField = (column, field) => {
+		setMapping((current) => {
+			const next = { ...current };
+			// A field takes one column; picking it again moves it.
+			for (const [other, assigned] of Object.entries(next)) {
+				if (field && assigned === field) next[other] = "";
+			}
+			next[column] = field;
+			return next;
+		});
+	};
+
+	const handleCheckRows = async () => {
+		setBusy(true);
+		const { data, error } = await planCaseImport({
+			caseType,
+			rows: source.rows,
+			mapping,
+		});
+		setBusy(false);
+		if (error) {
+			toast.error("Failed to check the rows", {
+				description: error.message,
+			});
+			return;
+		}
+		setPlans(data);
+		setFilter("all");
+		setStep("preview");
+	};
+
+	const counts = useMemo(() => {
+		const errors = plans.filter((plan) => plan.errors.length).length;
+		const duplicates = plans.filter(
+			(plan) => !plan.errors.length && plan.warnings.length,
+		).length;
+		return {
+			errors,
+			duplicates,
+			ready: plans.length - errors - duplicates,
+		};
+	}, [plans]);
+
+	const importable = useMemo(
+		() =>
+			plans.filter(
+				(plan) =>
+					!plan.errors.length &&
+					(includeDuplicates || !plan.warnings.length),
+			),
+		[plans, includeDuplicates],
+	);
+
+	const visiblePlans = useMemo(
+		() =>
+			plans.filter((plan) =>
+				filter === "errors"
+					? plan.errors.length
+					: filter === "duplicates"
+						? plan.warnings.length
+						: true,
+			),
+		[plans, filter],
+	);
+
+	const handleImport = async () => {
+		setBusy(true);
+		const { data } = await runCaseImport({
+			caseType,
+			plans: importable,
+			fileName,
+		});
+		setBusy(false);
+		setResult(data);
+		setStep("report");
+		if (data.inserted.length) {
+			toast.success(
+				`Imported ${data.inserted.length} ${label} case${data.inserted.length === 1 ? "" : "s"}`,
+			);
+			onDone?.();
+		}
+		if (data.failed.length) {
+			toast.error(`${data.failed.length} row(s) failed to import`, {
+				description: "Download the report for the reasons.",
+			});
+		}
+	};
+
+	const handleDownloadReport = () => {
+		exportCaseRowsToCsv({
+			rows: buildImportReport({ plans, result }),
+			fileName: `${caseType.toLowerCase()}-import-report.csv`,
+		});
+	};
+
+	const mappedCount = Object.values(mapping).filter(Boolean).length;
+
+	return (
+		<Dialog open={open} onOpenChange={busy ? undefined : onOpenChange}>
+			<DialogContent className="max-h-[90vh] overflow-y-auto sm:max-w-3xl">
+				<DialogHeader>
+					<DialogTitle>Import {label} cases from Excel</DialogTitle>
+					<DialogDescription>
+						{fileName
+							? `${fileName}${source ? ` · ${source.name}` : ""}`
+							: "Choose a workbook: a registry sheet with one case per row, or a filled Excel template."}
+					</DialogDescription>
+				</DialogHeader>
+
+				{step === "file" ? (
+					<div className="space-y-1">
+						<Label htmlFor="case-import-file">
+							Workbook (.xlsx)
+						</Label>
+						<Input
+							id="case-import-file"
+							type="file"
+							accept=".xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+							onChange={handleFile}
+							disabled={busy}
+						/>
+						{busy ? (
+							<p className="flex items-center gap-2 text-sm text-muted-foreground">
+								<Loader2 className="h-4 w-4 animate-spin" />
+								Reading workbook...
+							</p>
+						) : null}
+					</div>
+				) : null}
+
+				{step === "map" && source ? (
+					<div className="space-y-3">
+						{sources.length > 1 ? (
+							<div className="space-y-1">
+								<Label>Sheet</Label>
+								<Select
+									value={sourceKey}
+									onValueChange={(key) => selectSource(key)}
+								>
+									<SelectTrigger className="w-full">
+										<SelectValue />
+									</SelectTrigger>
+									<SelectContent>
+										{sources.map((item) => (
+											<SelectItem
+												key={item.key}
+												value={item.key}
+											>
+												{item.name} ({item.rows.length}{" "}
+												row
+												{item.rows.length === 1
+													? ""
+													: "s"}
+												)
+											</SelectItem>
+										))}
+									</SelectContent>
+								</Select>
+							</div>
+						) : null}
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead>Column</TableHead>
+									<TableHead>Sample</TableHead>
+									<TableHead>Field</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{source.columns.map((column) => (
+									<TableRow key={column}>
+										<TableCell className="font-medium">
+											{column}
+										</TableCell>
+										<TableCell className="max-w-[200px] truncate text-muted-foreground">
+											{sampleValue(source, column) || "—"}
+										</TableCell>
+										<TableCell>
+											<Select
+												value={mapping[column] || SKIP}
+												onValueChange={(value) =>
+													setColumnField(
+														column,
+														value === SKIP
+															? ""
+															: value,
+													)
+												}
+											>
+												<SelectTrigger className="h-8 w-[220px]">
+													<SelectValue />
+												</SelectTrigger>
+												<SelectContent>
+													<SelectItem value={SKIP}>
+														Skip column
+													</SelectItem>
+													{fields.map((item) => (
+														<SelectItem
+															key={item.field}
+															value={item.field}
+														>
+															{item.label}
+														</SelectItem>
+													))}
+												</SelectContent>
+											</Select>
+										</TableCell>
+									</TableRow>
+								))}
+							</TableBody>
+						</Table>
+					</div>
+				) : null}
+
+				{step === "preview" ? (
+					<div className="space-y-3">
+						<div className="flex flex-wrap items-center gap-2 text-sm">
+							<Badge variant="secondary">
+								{counts.ready} ready
+							</Badge>
+							<Badge variant="outline">
+								{counts.duplicates} possible duplicate
+								{counts.duplicates === 1 ? "" : "s"}
+							</Badge>
+							<Badge variant="destructive">
+								{counts.errors} with errors
+							</Badge>
+							<Select value={filter} onValueChange={setFilter}>
+								<SelectTrigger className="ml-auto h-8 w-[200px]">
+									<SelectValue />
+								</SelectTrigger>
+								<SelectContent>
+									{Object.entries(PREVIEW_FILTERS).map(
+										([value, text]) => (
+											<SelectItem
+												key={value}
+												value={value}
+											>
+												{text}
+											</SelectItem>
+										),
+									)}
+								</SelectContent>
+							</Select>
+						</div>
+						<div className="flex items-center gap-2">
+							<Checkbox
+								id="case-import-duplicates"
+								checked={includeDuplicates}
+								onCheckedChange={(value) =>
+									setIncludeDuplicates(value === true)
+								}
+								disabled={!counts.duplicates}
+							/>
+							<Label
+								htmlFor="case-import-duplicates"
+								className="font-normal"
+							>
+								Also import possible duplicates
+							</Label>
+						</div>
+						{plans.length ? (
+							<Table>
+								<TableHeader>
+									<TableRow>
+										<TableHead className="w-16">
+											Row
+										</TableHead>
+										<TableHead>Case</TableHead>
+										<TableHead>Issues</TableHead>
+									</TableRow>
+								</TableHeader>
+								<TableBody>
+									{visiblePlans
+										.slice(0, PREVIEW_LIMIT)
+										.map((plan) => (
+											<TableRow key={plan.rowNumber}>
+												<TableCell>
+													{plan.rowNumber}
+												</TableCell>
+												<TableCell>
+													{describeImportRow(
+														caseType,
+														plan.payload,
+													) || "—"}
+												</TableCell>
+												<TableCell className="whitespace-normal">
+													{plan.errors.map((text) => (
+														<p
+															key={text}
+															className="flex items-start gap-1 text-xs text-red-600"
+														>
+															<XCircle className="mt-0.5 h-3 w-3 shrink-0" />
+															{text}
+														</p>
+													))}
+													{plan.warnings.map(
+														(text) => (
+															<p
+																key={text}
+																className="flex items-start gap-1 text-xs text-amber-600"
+															>
+																<AlertTriangle className="mt-0.5 h-3 w-3 shrink-0" />
+																{text}
+															</p>
+														),
+													)}
+													{plan.errors.length ||
+													plan.warnings
+														.length ? null : (
+														<span className="text-xs text-muted-foreground">
+															Ready
+														</span>
+													)}
+												</TableCell>
+											</TableRow>
+										))}
+								</TableBody>
+							</Table>
+						) : (
+							<p className="text-sm text-muted-foreground">
+								No rows have values in the mapped columns.
+							</p>
+						)}
+						{visiblePlans.length > PREVIEW_LIMIT ? (
+							<p className="text-xs text-muted-foreground">
+								Showing the first {PREVIEW_LIMIT} of{" "}
+								{visiblePlans.length} rows.
+							</p>
+						) : null}
+						{!isOnline ? (
+							<p className="text-sm text-muted-foreground">
+								Importing cases needs a connection.
+							</p>
+						) : null}
+					</div>
+				) : null}
+
+				{step === "report" && result ? (
+					<div className="space-y-3 text-sm">
+						<div className="flex flex-wrap gap-2">
+							<Badge variant="secondary">
+								{result.inserted.length} imported
+							</Badge>
+							<Badge variant="destructive">
+								{result.failed.length} failed
+							</Badge>
+							<Badge variant="outline">
+								{plans.length -
+									result.inserted.length -
+									result.failed.length}{" "}
+								skipped
+							</Badge>
+						</div>
+						{result.failed
+							.slice(0, 10)
+							.map(({ rowNumber, error }) => (
+								<p
+									key={rowNumber}
+									className="text-xs text-red-600"
+								>
+									Row {rowNumber}:{" "}
+									{error?.message ?? String(error)}
+								</p>
+							))}
+						<Button
+							variant="outline"
+							size="sm"
+							onClick={handleDownloadReport}
+						>
+							<Download className="mr-2 h-4 w-4" />
+							Download report
+						</Button>
+					</div>
+				) : null}
+
+				<DialogFooter>
+					{step === "map" ? (
+						<>
+							<Button
+								variant="outline"
+								onClick={() => setStep("file")}
+								disabled={busy}
+							>
+								Back
+							</Button>
+							<Button
+								onClick={handleCheckRows}
+								disabled={busy || !mappedCount}
+							>
+								{busy ? (
+									<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+								) : null}
+								Check rows
+							</Button>
+						</>
+					) : step === "preview" ? (
+						<>
+							<Button
+								variant="outline"
+								onClick={() => setStep("map")}
+								disabled={busy}
+							>
+								Back
+							</Button>
+							<Button
+								onClick={handleImport}
+								disabled={
+									busy || !isOnline || !importable.length
+								}
+							>
+								{busy ? (
+									<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+								) : null}
+								Import {importable.length} case
+								{importable.length === 1 ? "" : "s"}
+							</Button>
+						</>
+					) : (
+						<Button
+							variant="outline"
+							onClick={() => onOpenChange(false)}
+							disabled={busy}
+						>
+							{step === "report" ? "Done" : "Cancel"}
+						</Button>
+					)}
+				</DialogFooter>
+			</DialogContent>
+		</Dialog>
+	);
+}
@@ -0,0 +1,352 @@
+/**
+ * @file CaseNotesJournal.jsx
+ * @description Append-only progress notes for one case
+ * @module components/cases/CaseNotesJournal
+ *
+ * Features:
+ * - Dated, authored notes typed as progress note, home visit, phone call,
+ *   case conference or court hearing
+ * - Notes cannot be edited; corrections are added as addenda under the note
+ * - Search across note text, addenda, types and authors
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { AlertCircle, Loader2, Plus, Search } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+	CASE_NOTE_TYPES,
+	addCaseNote,
+	caseNoteTypeLabel,
+	listCaseNotes,
+	searchCaseNotes,
+} from "@/services/caseNotesService";
+
+const today = () => new Date().toLocaleDateString("en-CA");
+
+const formatDate = (value) =>
+	value ? new Date(`${value}T00:00:00`).toLocaleDateString() : "—";
+
+const formatDateTime = (value) =>
+	value ? new Date(value).toLocaleString() : "—";
+
+/**
+ * Addendum form shown under a note.
+ * @param {{ onSubmit: (body: string) => Promise<boolean>, onCancel: () => void }} props
+ */
+function AddendumForm({ onSubmit, onCancel }) {
+	const [body, setBody] = useState("");
+	const [saving, setSaving] = useState(false);
+
+	const handleSubmit = async () => {
+		setSaving(true);
+		const saved = await onSubmit(body);
+		setSaving(false);
+		if (saved) setBody("");
+	};
+
+	return (
+		<div className="space-y-2">
+			<Textarea
+				value={body}
+				onChange={(event) => setBody(event.target.value)}
+				placeholder="What needs to be added or corrected?"
+				rows={3}
+			/>
+			<div className="flex justify-end gap-2">
+				<Button
+					type="button"
+					variant="ghost"
+					size="sm"
+					onClick={onCancel}
+					disabled={saving}
+				>
+					Cancel
+				</Button>
+				<Button
+					type="button"
+					size="sm"
+					onClick={handleSubmit}
+					disabled={saving || !body.trim()}
+				>
+					{saving ? (
+						<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+					) : null}
+					Add addendum
+				</Button>
+			</div>
+		</div>
+	);
+}
+
+/**
+ * Case Notes Journal Component
+ * @param {Object} props - Component props
+ * @param {string} props.caseType - Case type key (CASE, CICLCAR, FAC, ...)
+ * @param {string} props.caseId - Server id of the case row
+ * @param {() => void} [props.onNoteAdded] - Called after a note or addendum is saved
+ * @returns {JSX.Element} Note composer, search and note list
+ */
+export default function CaseNotesJournal({ caseType, caseId, onNoteAdded }) {
+	const [notes, setNotes] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [query, setQuery] = useState("");
+	const [draft, setDraft] = useState({
+		noteType: "progress",
+		occurredOn: today(),
+		body: "",
+	});
+	const [saving, setSaving] = useState(false);
+	const [amendingId, setAmendingId] = useState(null);
+
+	const load = useCallback(async () => {
+		setLoading(true);
+		const { data, error: loadError } = await listCaseNotes({
+			caseType,
+			caseId,
+		});
+		setNotes(data);
+		setError(loadError);
+		setLoading(false);
+	}, [caseType, caseId]);
+
+	useEffect(() => {
+		void load();
+	}, [load]);
+
+	const visibleNotes = useMemo(
+		() => searchCaseNotes(notes, query),
+		[notes, query],
+	);
+
+	const save = async (params) => {
+		const { error: saveError } = await addCaseNote({
+			caseType,
+			caseId,
+			...params,
+		});
+		if (saveError) {
+			toast.error("Failed to save note", {
+				description: saveError.message,
+			});
+			return false;
+		}
+		await load();
+		onNoteAdded?.();
+		return true;
+	};
+
+	const handleAddNote = async () => {
+		setSaving(true);
+		const saved = await save(draft);
+		setSaving(false);
+		if (saved) {
+			toast.success("Note added");
+			setDraft((prev) => ({ ...prev, body: "" }));
+		}
+	};
+
+	const handleAddAddendum = async (note, body) => {
+		const saved = await save({
+			amendsNoteId: note.id,
+			occurredOn: today(),
+			body,
+		});
+		if (saved) {
+			toast.success("Addendum added");
+			setAmendingId(null);
+		}
+		return saved;
+	};
+
+	return (
+		<div className="space-y-6">
+			<div className="space-y-3 rounded-md border p-4">
+				<div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+					<div className="space-y-1">
+						<Label>Type</Label>
+						<Select
+							value={draft.noteType}
+							onValueChange={(value) =>
+								setDraft((prev) => ({
+									...prev,
+									noteType: value,
+								}))
+							}
+						>
+							<SelectTrigger className="w-full">
+								<SelectValue />
+							</SelectTrigger>
+							<SelectContent>
+								{CASE_NOTE_TYPES.map((type) => (
+									<SelectItem
+										key={type.value}
+										value={type.value}
+									>
+										{type.label}
+									</SelectItem>
+								))}
+							</SelectContent>
+						</Select>
+					</div>
+					<div className="space-y-1">
+						<Label htmlFor="case-note-date">Date of contact</Label>
+						<Input
+							id="case-note-date"
+							type="date"
+							value={draft.occurredOn}
+							max={today()}
+							onChange={(event) =>
+								setDraft((prev) => ({
+									...prev,
+									occurredOn: event.target.value,
+								}))
+							}
+						/>
+					</div>
+				</div>
+				<Textarea
+					value={draft.body}
+					onChange={(event) =>
+						setDraft((prev) => ({
+							...prev,
+							body: event.target.value,
+						}))
+					}
+					placeholder="What happened, what was observed, and what comes next"
+					rows={4}
+				/>
+				<div className="flex items-center justify-between gap-2">
+					<p className="text-xs text-muted-foreground">
+						Notes cannot be edited once saved. Use an addendum to
+						correct or add to a note.
+					</p>
+					<Button
+						type="button"
+						onClick={handleAddNote}
+						disabled={
+							saving || !draft.body.trim() || !draft.occurredOn
+						}
+					>
+						{saving ? (
+							<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+						) : (
+							<Plus className="mr-2 h-4 w-4" />
+						)}
+						Add note
+					</Button>
+				</div>
+			</div>
+
+			<div className="relative max-w-sm">
+				<Search className="absolute left-2.5 top-2.5 h-4 w-4 text-muted-foreground" />
+				<Input
+					value={query}
+					onChange={(event) => setQuery(event.target.value)}
+					placeholder="Search notes..."
+					className="pl-8"
+				/>
+			</div>
+
+			{error ? (
+				<Alert variant="destructive">
+					<AlertCircle className="h-4 w-4" />
+					<AlertDescription>
+						Failed to load notes: {error.message}
+					</AlertDescription>
+				</Alert>
+			) : loading && notes.length === 0 ? (
+				<div className="flex items-center gap-2 text-sm text-muted-foreground">
+					<Loader2 className="h-4 w-4 animate-spin" />
+					Loading notes...
+				</div>
+			) : visibleNotes.length === 0 ? (
+				<p className="py-6 text-center text-sm text-muted-foreground">
+					{notes.length === 0
+						? "No notes yet."
+						: "No notes match this search."}
+				</p>
+			) : (
+				<ul className="space-y-4">
+					{visibleNotes.map((note) => (
+						<li
+							key={note.id}
+							className="space-y-3 rounded-md border p-4"
+						>
+							<div className="flex flex-wrap items-center gap-2 text-sm">
+								<Badge variant="secondary">
+									{caseNoteTypeLabel(note.note_type)}
+								</Badge>
+								<span className="font-medium">
+									{formatDate(note.occurred_on)}
+								</span>
+								<span className="text-muted-foreground">
+									{note.author_name || "Unknown author"} ·
+									recorded {formatDateTime(note.created_at)}
+								</span>
+							</div>
+							<p className="whitespace-pre-wrap text-sm">
+								{note.body}
+							</p>
+
+							{note.addenda.length > 0 ? (
+								<ul className="space-y-2 border-l-2 pl-4">
+									{note.addenda.map((addendum) => (
+										<li
+											key={addendum.id}
+											className="space-y-1"
+										>
+											<p className="text-xs text-muted-foreground">
+												Addendum ·{" "}
+												{addendum.author_name ||
+													"Unknown author"}{" "}
+												·{" "}
+												{formatDateTime(
+													addendum.created_at,
+												)}
+											</p>
+											<p className="whitespace-pre-wrap text-sm">
+												{addendum.body}
+											</p>
+										</li>
+									))}
+								</ul>
+							) : null}
+
+							{amendingId === note.id ? (
+								<AddendumForm
+									onSubmit={(body) =>
+										handleAddAddendum(note, body)
+									}
+									onCancel={() => setAmendingId(null)}
+								/>
+							) : (
+								<Button
+									type="button"
+									variant="ghost"
+									size="sm"
+									onClick={() => setAmendingId(note.id)}
+								>
+									Add addendum
+								</Button>
+							)}
+						</li>
+					))}
+				</ul>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,24 @@
+import { useNavigate } from "react-router-dom";
+import { DropdownMenuItem } from "@/components/ui/dropdown-menu";
+
+/**
+ * "Notes & activity" entry for case row action menus, opening the case record.
+ * Rows created offline have no server id until they sync, so the entry is
+ * hidden for them.
+ *
+ * @param {{ caseType: string, caseId: string|null|undefined }} props
+ */
+export default function CaseRecordMenuItem({ caseType, caseId }) {
+	const navigate = useNavigate();
+	if (!caseId) return null;
+	return (
+		<DropdownMenuItem
+			onClick={(e) => {
+				e.stopPropagation();
+				navigate(`/case/records/${caseType}/${caseId}`);
+			}}
+		>
+			Notes & activity
+		</DropdownMenuItem>
+	);
+}
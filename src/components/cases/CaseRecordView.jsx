@@ -0,0 +1,422 @@
+/**
+ * @file CaseRecordView.jsx
+ * @description One case's summary, notes journal and activity timeline
+ * @module components/cases/CaseRecordView
+ *
+ * Features:
+ * - Case summary (module, status, priority, case manager, client link)
+ * - Append-only case notes journal (not for IVAC barangay totals)
+ * - Transfer requests and their answers, with a "Transfer case" action
+ * - Close / reopen actions and the case's closure history
+ * - Activity timeline merging audit entries, status/priority and visibility
+ *   changes, program enrollments, service sessions and documents
+ * - Online-only; shows a notice while offline
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+	AlertCircle,
+	ArrowLeft,
+	Loader2,
+	ArrowRightLeft,
+	CircleCheck,
+	RefreshCw,
+	RotateCcw,
+	UserRound,
+	WifiOff,
+} from "lucide-react";
+import {
+	Card,
+	CardContent,
+	CardDescription,
+	CardHeader,
+	CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { PermissionGuard } from "@/components/PermissionGuard";
+import CaseClosureDialog from "@/components/cases/CaseClosureDialog";
+import CaseNotesJournal from "@/components/cases/CaseNotesJournal";
+import CaseTimeline from "@/components/cases/CaseTimeline";
+import TransferCaseDialog from "@/components/cases/TransferCaseDialog";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { isCaseClosed } from "@/lib/caseLifecycle";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { CASE_NOTE_CASE_TYPES } from "@/services/caseNotesService";
+import {
+	caseDisplayName,
+	fetchCaseTimeline,
+} from "@/services/caseTimelineService";
+import {
+	CASE_CLOSURE_CASE_TYPES,
+	closureReasonLabel,
+	listCaseClosures,
+} from "@/services/caseClosureService";
+import {
+	CASE_TRANSFER_CASE_TYPES,
+	listCaseTransfers,
+} from "@/services/caseTransferService";
+
+const formatDate = (value) =>
+	value ? new Date(value).toLocaleDateString() : "—";
+
+const TRANSFER_STATUS_VARIANTS = {
+	pending: "secondary",
+	accepted: "default",
+	declined: "destructive",
+	cancelled: "outline",
+};
+
+/**
+ * Case Record View Component
+ * @param {Object} props - Component props
+ * @param {string} props.caseType - Case type key (CASE, CICLCAR, FAC, ...)
+ * @param {string} props.caseId - Server id of the case row
+ * @returns {JSX.Element} Case summary, notes and timeline
+ */
+export default function CaseRecordView({ caseType, caseId }) {
+	const isOnline = useNetworkStatus();
+	const [caseRow, setCaseRow] = useState(null);
+	const [entries, setEntries] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [transfers, setTransfers] = useState([]);
+	const [transferOpen, setTransferOpen] = useState(false);
+	const [closures, setClosures] = useState([]);
+	const [closureOpen, setClosureOpen] = useState(false);
+	const canTransfer = CASE_TRANSFER_CASE_TYPES.includes(caseType);
+	const canClose = CASE_CLOSURE_CASE_TYPES.includes(caseType);
+
+	const load = useCallback(async () => {
+		setLoading(true);
+		const [result, transferResult, closureResult] = await Promise.all([
+			fetchCaseTimeline({ caseType, caseId }),
+			canTransfer
+				? listCaseTransfers({ caseType, caseId })
+				: { data: [] },
+			canClose ? listCaseClosures({ caseType, caseId }) : { data: [] },
+		]);
+		setCaseRow(result.caseRow);
+		setEntries(result.entries);
+		setTransfers(transferResult.data);
+		setClosures(closureResult.data);
+		setError(result.error);
+		setLoading(false);
+	}, [caseType, caseId, canTransfer, canClose]);
+
+	useEffect(() => {
+		if (isOnline) void load();
+	}, [isOnline, load]);
+
+	const backLink = (
+		<Button variant="ghost" size="sm" asChild>
+			<Link to="/case/management">
+				<ArrowLeft className="mr-2 h-4 w-4" />
+				Case Management
+			</Link>
+		</Button>
+	);
+
+	if (!isOnline) {
+		return (
+			<div className="space-y-4">
+				{backLink}
+				<Alert>
+					<WifiOff className="h-4 w-4" />
+					<AlertDescription>
+						The case timeline needs a connection. The case itself
+						remains available offline under Case Management.
+					</AlertDescription>
+				</Alert>
+			</div>
+		);
+	}
+
+	if (loading && !caseRow) {
+		return (
+			<div className="flex items-center gap-2 text-muted-foreground">
+				<Loader2 className="h-4 w-4 animate-spin" />
+				Loading case...
+			</div>
+		);
+	}
+
+	if (error || !caseRow) {
+		return (
+			<div className="space-y-4">
+				{backLink}
+				<Alert variant="destructive">
+					<AlertCircle className="h-4 w-4" />
+					<AlertDescription>
+						{error?.message || "Case not found."}
+					</AlertDescription>
+				</Alert>
+			</div>
+		);
+	}
+
+	return (
+		<div className="space-y-4">
+			<div className="flex flex-wrap items-center justify-between gap-2">
+				{backLink}
+				<Button
+					variant="outline"
+					size="sm"
+					onClick={load}
+					disabled={loading}
+				>
+					<RefreshCw
+						className={`mr-2 h-4 w-4 ${loading ? "animate-spin" : ""}`}
+					/>
+					Refresh
+				</Button>
+			</div>
+
+			<Card>
+				<CardHeader className="flex flex-row items-start justify-between gap-2">
+					<div>
+						<CardTitle className="text-xl">
+							{caseDisplayName(caseType, caseRow)}
+						</CardTitle>
+						<CardDescription>
+							{CASE_REPOSITORIES[caseType]?.label ?? caseType}{" "}
+							case · Created {formatDate(caseRow.created_at)}
+						</CardDescription>
+					</div>
+					<div className="flex flex-wrap gap-2">
+						{canTransfer ? (
+							<PermissionGuard permission="edit_case">
+								<Button
+									variant="outline"
+									size="sm"
+									onClick={() => setTransferOpen(true)}
+								>
+									<ArrowRightLeft className="mr-2 h-4 w-4" />
+									Transfer case
+								</Button>
+							</PermissionGuard>
+						) : null}
+						{canClose ? (
+							<PermissionGuard permission="edit_case">
+								<Button
+									variant="outline"
+									size="sm"
+									onClick={() => setClosureOpen(true)}
+								>
+									{isCaseClosed(caseRow.status) ? (
+										<RotateCcw className="mr-2 h-4 w-4" />
+									) : (
+										<CircleCheck className="mr-2 h-4 w-4" />
+									)}
+									{isCaseClosed(caseRow.status)
+										? "Reopen case"
+										: "Close case"}
+								</Button>
+							</PermissionGuard>
+						) : null}
+						{caseRow.client_id ? (
+							<Button variant="outline" size="sm" asChild>
+								<Link to={`/case/clients/${caseRow.client_id}`}>
+									<UserRound className="mr-2 h-4 w-4" />
+									Client profile
+								</Link>
+							</Button>
+						) : null}
+					</div>
+				</CardHeader>
+				<CardContent>
+					<dl className="grid grid-cols-1 gap-x-6 gap-y-2 text-sm sm:grid-cols-4">
+						<div>
+							<dt className="text-muted-foreground">Status</dt>
+							<dd>
+								{caseRow.status ? (
+									<Badge variant="outline">
+										{caseRow.status}
+									</Badge>
+								) : (
+									"—"
+								)}
+							</dd>
+						</div>
+						<div>
+							<dt className="text-muted-foreground">Priority</dt>
+							<dd>{caseRow.priority || "—"}</dd>
+						</div>
+						<div>
+							<dt className="text-muted-foreground">
+								Case manager
+							</dt>
+							<dd>{caseRow.case_manager || "—"}</dd>
+						</div>
+						<div>
+							<dt className="text-muted-foreground">
+								Last updated
+							</dt>
+							<dd>{formatDate(caseRow.updated_at)}</dd>
+						</div>
+					</dl>
+				</CardContent>
+			</Card>
+
+			{transfers.length > 0 ? (
+				<Card>
+					<CardHeader>
+						<CardTitle>Transfers</CardTitle>
+						<CardDescription>
+							Requests to move this case to another case manager.
+						</CardDescription>
+					</CardHeader>
+					<CardContent>
+						<ul className="space-y-3">
+							{transfers.map((transfer) => (
+								<li
+									key={transfer.id}
+									className="space-y-1 border-b pb-3 text-sm last:border-0 last:pb-0"
+								>
+									<div className="flex flex-wrap items-center gap-2">
+										<Badge
+											variant={
+												TRANSFER_STATUS_VARIANTS[
+													transfer.status
+												]
+											}
+											className="capitalize"
+										>
+											{transfer.status}
+										</Badge>
+										<span className="font-medium">
+											{transfer.from_name || "Unassigned"}{" "}
+											→ {transfer.to_name}
+										</span>
+										<span className="text-muted-foreground">
+											Requested by{" "}
+											{transfer.requested_by_name ||
+												"a colleague"}{" "}
+											on {formatDate(transfer.created_at)}
+										</span>
+									</div>
+									<p className="whitespace-pre-wrap">
+										{transfer.reason}
+									</p>
+									{transfer.response_note ? (
+										<p className="text-muted-foreground">
+											Answer (
+											{formatDate(transfer.responded_at)}
+											): {transfer.response_note}
+										</p>
+									) : null}
+								</li>
+							))}
+						</ul>
+					</CardContent>
+				</Card>
+			) : null}
+
+			{closures.length > 0 ? (
+				<Card>
+					<CardHeader>
+						<CardTitle>Closure history</CardTitle>
+						<CardDescription>
+							When this case was closed or reopened, and why.
+						</CardDescription>
+					</CardHeader>
+					<CardContent>
+						<ul className="space-y-3">
+							{closures.map((closure) => (
+								<li
+									key={closure.id}
+									className="space-y-1 border-b pb-3 text-sm last:border-0 last:pb-0"
+								>
+									<div className="flex flex-wrap items-center gap-2">
+										<Badge
+											variant={
+												closure.action === "closed"
+													? "secondary"
+													: "outline"
+											}
+											className="capitalize"
+										>
+											{closure.action}
+										</Badge>
+										{closure.reason_code ? (
+											<span className="font-medium">
+												{closureReasonLabel(
+													closure.reason_code,
+												)}
+											</span>
+										) : null}
+										<span className="text-muted-foreground">
+											{closure.actor_name ||
+												"A colleague"}{" "}
+											on {formatDate(closure.created_at)}
+										</span>
+									</div>
+									<p className="whitespace-pre-wrap">
+										{closure.notes}
+									</p>
+								</li>
+							))}
+						</ul>
+					</CardContent>
+				</Card>
+			) : null}
+
+			{CASE_NOTE_CASE_TYPES.includes(caseType) ? (
+				<Card>
+					<CardHeader>
+						<CardTitle>Case notes</CardTitle>
+						<CardDescription>
+							Dated progress notes from everyone working this
+							case.
+						</CardDescription>
+					</CardHeader>
+					<CardContent>
+						<CaseNotesJournal
+							caseType={caseType}
+							caseId={caseId}
+							onNoteAdded={load}
+						/>
+					</CardContent>
+				</Card>
+			) : null}
+
+			<Card>
+				<CardHeader>
+					<CardTitle>Activity</CardTitle>
+					<CardDescription>
+						Everything recorded for this case, newest first. Status,
+						priority, case manager and visibility changes are
+						tracked from the day timeline recording was enabled.
+					</CardDescription>
+				</CardHeader>
+				<CardContent>
+					<CaseTimeline entries={entries} />
+				</CardContent>
+			</Card>
+
+			{canTransfer ? (
+				<TransferCaseDialog
+					open={transferOpen}
+					onOpenChange={(next) => {
+						setTransferOpen(next);
+						if (!next) void load();
+					}}
+					caseType={caseType}
+					caseRow={caseRow}
+				/>
+			) : null}
+
+			{canClose ? (
+				<CaseClosureDialog
+					open={closureOpen}
+					onOpenChange={setClosureOpen}
+					caseType={caseType}
+					caseRow={caseRow}
+					onDone={load}
+				/>
+			) : null}
+		</div>
+	);
+}
@@ -0,0 +1,147 @@
+/**
+ * @file CaseTimeline.jsx
+ * @description Chronological activity list for one case
+ * @module components/cases/CaseTimeline
+ *
+ * Features:
+ * - Entries grouped by day, newest first, each with who and when
+ * - Category toggles (case updates, notes, status & priority, assignment,
+ *   visibility, programs, sessions, documents)
+ */
+
+import { useMemo, useState } from "react";
+import {
+	CalendarCheck,
+	ClipboardList,
+	EyeOff,
+	Flag,
+	Layers,
+	NotebookPen,
+	Paperclip,
+	UserRoundCog,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { TIMELINE_CATEGORIES } from "@/services/caseTimelineService";
+
+const CATEGORY_ICONS = {
+	case: ClipboardList,
+	note: NotebookPen,
+	status: Flag,
+	assignment: UserRoundCog,
+	visibility: EyeOff,
+	program: Layers,
+	service: CalendarCheck,
+	document: Paperclip,
+};
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(`${value}`);
+
+const formatDay = (value) =>
+	new Date(
+		isDateOnly(value) ? `${value}T00:00:00` : value,
+	).toLocaleDateString(undefined, {
+		weekday: "short",
+		year: "numeric",
+		month: "short",
+		day: "numeric",
+	});
+
+const formatTime = (value) =>
+	isDateOnly(value)
+		? null
+		: new Date(value).toLocaleTimeString(undefined, {
+				hour: "numeric",
+				minute: "2-digit",
+			});
+
+/**
+ * Case Timeline Component
+ * @param {Object} props - Component props
+ * @param {import("@/services/caseTimelineService").TimelineEntry[]} props.entries - Newest first
+ * @returns {JSX.Element} Filter toggles and grouped entries
+ */
+export default function CaseTimeline({ entries }) {
+	const [hidden, setHidden] = useState(() => new Set());
+
+	const toggle = (category) =>
+		setHidden((prev) => {
+			const next = new Set(prev);
+			if (next.has(category)) next.delete(category);
+			else next.add(category);
+			return next;
+		});
+
+	const days = useMemo(() => {
+		const groups = [];
+		for (const entry of entries) {
+			if (hidden.has(entry.category)) continue;
+			const day = formatDay(entry.at);
+			const last = groups.at(-1);
+			if (last?.day === day) last.entries.push(entry);
+			else groups.push({ day, entries: [entry] });
+		}
+		return groups;
+	}, [entries, hidden]);
+
+	return (
+		<div className="space-y-4">
+			<div className="flex flex-wrap gap-2">
+				{TIMELINE_CATEGORIES.map(({ value, label }) => (
+					<Button
+						key={value}
+						type="button"
+						size="sm"
+						variant={hidden.has(value) ? "outline" : "secondary"}
+						onClick={() => toggle(value)}
+					>
+						{label}
+					</Button>
+				))}
+			</div>
+
+			{days.length === 0 ? (
+				<p className="py-8 text-center text-sm text-muted-foreground">
+					{entries.length === 0
+						? "No activity recorded for this case yet."
+						: "No activity in the selected categories."}
+				</p>
+			) : (
+				days.map(({ day, entries: dayEntries }) => (
+					<section key={day} className="space-y-2">
+						<h3 className="text-xs font-medium uppercase tracking-wide text-muted-foreground">
+							{day}
+						</h3>
+						<ol className="space-y-3 border-l pl-4">
+							{dayEntries.map((entry) => {
+								const Icon =
+									CATEGORY_ICONS[entry.category] ??
+									ClipboardList;
+								const time = formatTime(entry.at);
+								return (
+									<li key={entry.key} className="relative">
+										<span className="absolute -left-[1.6rem] top-0.5 flex h-5 w-5 items-center justify-center rounded-full border bg-background">
+											<Icon className="h-3 w-3 text-muted-foreground" />
+										</span>
+										<p className="text-sm font-medium">
+											{entry.title}
+										</p>
+										{entry.detail ? (
+											<p className="text-sm text-muted-foreground">
+												{entry.detail}
+											</p>
+										) : null}
+										<p className="text-xs text-muted-foreground">
+											{[entry.actor, time]
+												.filter(Boolean)
+												.join(" · ") || "—"}
+										</p>
+									</li>
+								);
+							})}
+						</ol>
+					</section>
+				))
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,496 @@
+/**
+ * @file CaseTransfersDialog.jsx
+ * @description Incoming, sent and bulk case transfers
+ * @module components/cases/CaseTransfersDialog
+ *
+ * Features:
+ * - Accept or decline cases other workers asked the signed-in user to take over
+ * - Cancel transfers the signed-in user requested that are still unanswered
+ * - Bulk transfer of every open case of one case manager, for resignations and
+ *   leave (needs edit_case)
+ * - Online-only
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { Textarea } from "@/components/ui/textarea";
+import { PermissionGuard } from "@/components/PermissionGuard";
+import { useAuthStore } from "@/store/authStore";
+import { useCaseManagerStore } from "@/store/useCaseManagerStore";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import {
+	listIncomingTransfers,
+	listOpenCasesForManager,
+	listSentTransfers,
+	requestBulkTransfer,
+	resolveCaseTransfer,
+} from "@/services/caseTransferService";
+
+const formatDateTime = (value) =>
+	value ? new Date(value).toLocaleString() : "—";
+
+/**
+ * One pending transfer with its actions.
+ * @param {{ transfer: import("@/services/caseTransferService").CaseTransferRow, children: import("react").ReactNode }} props
+ */
+function TransferItem({ transfer, children }) {
+	return (
+		<li className="space-y-2 rounded-md border p-3">
+			<div className="flex flex-wrap items-center gap-2 text-sm">
+				<Badge variant="outline">
+					{CASE_REPOSITORIES[transfer.case_type]?.label ??
+						transfer.case_type}
+				</Badge>
+				<span className="font-medium">
+					{transfer.from_name || "Unassigned"} → {transfer.to_name}
+				</span>
+				<Link
+					to={`/case/records/${transfer.case_type}/${transfer.case_id}`}
+					className="text-xs underline"
+				>
+					View case
+				</Link>
+			</div>
+			<p className="text-xs text-muted-foreground">
+				Requested by {transfer.requested_by_name || "a colleague"} ·{" "}
+				{formatDateTime(transfer.created_at)}
+			</p>
+			<p className="whitespace-pre-wrap text-sm">{transfer.reason}</p>
+			{children}
+		</li>
+	);
+}
+
+/**
+ * Bulk transfer form.
+ * @param {{ managerNames: string[], onRequested: () => void }} props
+ */
+function BulkTransferForm({ managerNames, onRequested }) {
+	const caseManagers = useCaseManagerStore((s) => s.caseManagers);
+	const [fromManager, setFromManager] = useState("");
+	const [toUser, setToUser] = useState("");
+	const [reason, setReason] = useState("");
+	const [openCount, setOpenCount] = useState(null);
+	const [sending, setSending] = useState(false);
+
+	useEffect(() => {
+		setOpenCount(null);
+		if (!fromManager) return undefined;
+		let cancelled = false;
+		listOpenCasesForManager(fromManager).then(({ data, error }) => {
+			if (!cancelled && !error) setOpenCount(data.length);
+		});
+		return () => {
+			cancelled = true;
+		};
+	}, [fromManager]);
+
+	const recipients = useMemo(
+		() =>
+			caseManagers.filter((manager) => manager.full_name !== fromManager),
+		[caseManagers, fromManager],
+	);
+
+	const handleSubmit = async () => {
+		const recipient = recipients.find((manager) => manager.id === toUser);
+		if (!recipient) return;
+		setSending(true);
+		const { requested, skipped, error } = await requestBulkTransfer({
+			fromManager,
+			toUser: recipient.id,
+			reason,
+		});
+		setSending(false);
+		if (error) {
+			toast.error("Failed to request transfers", {
+				description: error.message,
+			});
+			return;
+		}
+		toast.success(
+			`Requested ${requested} transfer${requested === 1 ? "" : "s"} to ${recipient.full_name}`,
+			{
+				description: skipped
+					? `${skipped} case${skipped === 1 ? " already has" : "s already have"} a transfer waiting for an answer.`
+					: undefined,
+			},
+		);
+		setFromManager("");
+		setToUser("");
+		setReason("");
+		onRequested();
+	};
+
+	return (
+		<div className="space-y-4">
+			<p className="text-sm text-muted-foreground">
+				Moves every open case of one case manager, for example when they
+				resign or go on leave. The receiving worker accepts the cases
+				under Transfers.
+			</p>
+			<div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+				<div className="space-y-1">
+					<Label>From</Label>
+					<Select value={fromManager} onValueChange={setFromManager}>
+						<SelectTrigger className="w-full">
+							<SelectValue placeholder="Current case manager" />
+						</SelectTrigger>
+						<SelectContent>
+							{managerNames.map((name) => (
+								<SelectItem key={name} value={name}>
+									{name}
+								</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+				<div className="space-y-1">
+					<Label>To</Label>
+					<Select value={toUser} onValueChange={setToUser}>
+						<SelectTrigger className="w-full">
+							<SelectValue placeholder="New case manager" />
+						</SelectTrigger>
+						<SelectContent>
+							{recipients.map((manager) => (
+								<SelectItem key={manager.id} value={manager.id}>
+									{manager.full_name}
+								</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+			</div>
+			<div className="space-y-1">
+				<Label htmlFor="bulk-transfer-reason">Reason</Label>
+				<Textarea
+					id="bulk-transfer-reason"
+					value={reason}
+					onChange={(event) => setReason(event.target.value)}
+					placeholder="e.g. On maternity leave until March"
+					rows={2}
+				/>
+			</div>
+			<div className="flex items-center justify-between gap-2">
+				<p className="text-xs text-muted-foreground">
+					{fromManager
+						? openCount === null
+							? "Counting open cases..."
+							: `${openCount} open case${openCount === 1 ? "" : "s"}`
+						: null}
+				</p>
+				<Button
+					onClick={handleSubmit}
+					disabled={
+						sending || !fromManager || !toUser || !reason.trim()
+					}
+				>
+					{sending ? (
+						<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+					) : null}
+					Request transfers
+				</Button>
+			</div>
+		</div>
+	);
+}
+
+/**
+ * Case Transfers Dialog Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state change handler
+ * @param {string[]} props.managerNames - Case managers named on current cases
+ * @param {(caseType: string) => void} [props.onAccepted] - Called after a case moves to the user
+ * @param {(count: number) => void} [props.onIncomingCount] - Receives the number of transfers waiting on the user
+ * @returns {JSX.Element} Transfers dialog
+ */
+export default function CaseTransfersDialog({
+	open,
+	onOpenChange,
+	managerNames,
+	onAccepted,
+	onIncomingCount,
+}) {
+	const user = useAuthStore((s) => s.user);
+	const isOnline = useNetworkStatus();
+	const fetchCaseManagers = useCaseManagerStore((s) => s.fetchCaseManagers);
+	const [incoming, setIncoming] = useState([]);
+	const [sent, setSent] = useState([]);
+	const [loading, setLoading] = useState(false);
+	const [busyId, setBusyId] = useState(null);
+	const [notes, setNotes] = useState({});
+
+	const load = useCallback(async () => {
+		if (!user?.id) return;
+		setLoading(true);
+		const [incomingResult, sentResult] = await Promise.all([
+			listIncomingTransfers(user.id),
+			listSentTransfers(user.id),
+		]);
+		setIncoming(incomingResult.data);
+		setSent(sentResult.data);
+		setLoading(false);
+	}, [user?.id]);
+
+	// Also runs while closed so the page can show how many are waiting.
+	useEffect(() => {
+		if (isOnline) void load();
+	}, [isOnline, load]);
+
+	useEffect(() => {
+		if (open && isOnline) {
+			void load();
+			void fetchCaseManagers();
+		}
+	}, [open, isOnline, load, fetchCaseManagers]);
+
+	useEffect(() => {
+		onIncomingCount?.(incoming.length);
+	}, [incoming.length, onIncomingCount]);
+
+	const resolve = async (transfer, status) => {
+		setBusyId(transfer.id);
+		const { error } = await resolveCaseTransfer(
+			transfer,
+			status,
+			notes[transfer.id] ?? "",
+		);
+		setBusyId(null);
+		if (error) {
+			toast.error("Failed to update transfer", {
+				description: error.message,
+			});
+			return;
+		}
+		toast.success(
+			status === "accepted"
+				? "Case accepted"
+				: status === "declined"
+					? "Transfer declined"
+					: "Transfer cancelled",
+		);
+		if (status === "accepted") onAccepted?.(transfer.case_type);
+		await load();
+	};
+
+	const acceptAll = async () => {
+		setBusyId("all");
+		const acceptedTypes = new Set();
+		let failed = 0;
+		for (const transfer of incoming) {
+			const { error } = await resolveCaseTransfer(
+				transfer,
+				"accepted",
+				notes[transfer.id] ?? "",
+			);
+			if (error) failed += 1;
+			else acceptedTypes.add(transfer.case_type);
+		}
+		setBusyId(null);
+		if (failed) {
+			toast.error(
+				`${failed} transfer${failed === 1 ? "" : "s"} could not be accepted`,
+			);
+		} else {
+			toast.success("All cases accepted");
+		}
+		acceptedTypes.forEach((caseType) => onAccepted?.(caseType));
+		await load();
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="sm:max-w-2xl">
+				<DialogHeader>
+					<DialogTitle>Transfers</DialogTitle>
+					<DialogDescription>
+						Cases only change hands once the receiving case manager
+						accepts.
+					</DialogDescription>
+				</DialogHeader>
+
+				{!isOnline ? (
+					<p className="text-sm text-muted-foreground">
+						Transfers need a connection.
+					</p>
+				) : (
+					<Tabs defaultValue="incoming">
+						<TabsList>
+							<TabsTrigger value="incoming">
+								For me ({incoming.length})
+							</TabsTrigger>
+							<TabsTrigger value="sent">
+								Sent ({sent.length})
+							</TabsTrigger>
+							<PermissionGuard permission="edit_case">
+								<TabsTrigger value="bulk">
+									Bulk transfer
+								</TabsTrigger>
+							</PermissionGuard>
+						</TabsList>
+
+						<TabsContent value="incoming" className="space-y-3">
+							{loading && incoming.length === 0 ? (
+								<p className="text-sm text-muted-foreground">
+									Loading transfers...
+								</p>
+							) : incoming.length === 0 ? (
+								<p className="text-sm text-muted-foreground">
+									No cases are waiting for you.
+								</p>
+							) : (
+								<>
+									{incoming.length > 1 ? (
+										<div className="flex justify-end">
+											<Button
+												size="sm"
+												variant="outline"
+												onClick={acceptAll}
+												disabled={Boolean(busyId)}
+											>
+												Accept all
+											</Button>
+										</div>
+									) : null}
+									<ScrollArea className="max-h-[55vh] pr-3">
+										<ul className="space-y-2">
+											{incoming.map((transfer) => (
+												<TransferItem
+													key={transfer.id}
+													transfer={transfer}
+												>
+													<Input
+														value={
+															notes[
+																transfer.id
+															] ?? ""
+														}
+														onChange={(event) =>
+															setNotes(
+																(prev) => ({
+																	...prev,
+																	[transfer.id]:
+																		event
+																			.target
+																			.value,
+																}),
+															)
+														}
+														placeholder="Note for the requester (optional)"
+														className="h-8"
+													/>
+													<div className="flex justify-end gap-2">
+														<Button
+															size="sm"
+															variant="outline"
+															onClick={() =>
+																resolve(
+																	transfer,
+																	"declined",
+																)
+															}
+															disabled={Boolean(
+																busyId,
+															)}
+														>
+															Decline
+														</Button>
+														<Button
+															size="sm"
+															onClick={() =>
+																resolve(
+																	transfer,
+																	"accepted",
+																)
+															}
+															disabled={Boolean(
+																busyId,
+															)}
+														>
+															{busyId ===
+															transfer.id ? (
+																<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+															) : null}
+															Accept
+														</Button>
+													</div>
+												</TransferItem>
+											))}
+										</ul>
+									</ScrollArea>
+								</>
+							)}
+						</TabsContent>
+
+						<TabsContent value="sent">
+							{sent.length === 0 ? (
+								<p className="text-sm text-muted-foreground">
+									No unanswered transfers.
+								</p>
+							) : (
+								<ScrollArea className="max-h-[55vh] pr-3">
+									<ul className="space-y-2">
+										{sent.map((transfer) => (
+											<TransferItem
+												key={transfer.id}
+												transfer={transfer}
+											>
+												<div className="flex justify-end">
+													<Button
+														size="sm"
+														variant="ghost"
+														onClick={() =>
+															resolve(
+																transfer,
+																"cancelled",
+															)
+														}
+														disabled={Boolean(
+															busyId,
+														)}
+													>
+														Cancel transfer
+													</Button>
+												</div>
+											</TransferItem>
+										))}
+									</ul>
+								</ScrollArea>
+							)}
+						</TabsContent>
+
+						<TabsContent value="bulk">
+							<BulkTransferForm
+								managerNames={managerNames}
+								onRequested={load}
+							/>
+						</TabsContent>
+					</Tabs>
+				)}
+			</DialogContent>
+		</Dialog>
+	);
+}
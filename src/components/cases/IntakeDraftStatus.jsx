@@ -0,0 +1,18 @@
+/**
+ * "Draft saved" hint shown under an intake dialog title.
+ *
+ * @param {{ savedAt: number|null }} props Epoch ms of the last autosave.
+ */
+export default function IntakeDraftStatus({ savedAt }) {
+	if (!savedAt) return null;
+	return (
+		<p className="text-xs font-normal text-muted-foreground">
+			Draft saved{" "}
+			{new Date(savedAt).toLocaleTimeString([], {
+				hour: "2-digit",
+				minute: "2-digit",
+			})}
+			. Find it under My drafts if this window closes.
+		</p>
+	);
+}
@@ -0,0 +1,350 @@
+/**
+ * @file IntakeDraftsDialog.jsx
+ * @description "My drafts": unfinished intake sheets saved on this device
+ * @module components/cases/IntakeDraftsDialog
+ *
+ * Features:
+ * - Lists the signed-in user's autosaved intake drafts, newest first
+ * - Resume reopens the matching intake sheet on its saved tab
+ * - Discard (with confirmation) and hand off to another worker with a note
+ * - Imports drafts handed to this user whenever the dialog opens online
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	AlertDialog,
+	AlertDialogAction,
+	AlertDialogCancel,
+	AlertDialogContent,
+	AlertDialogDescription,
+	AlertDialogFooter,
+	AlertDialogHeader,
+	AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { Textarea } from "@/components/ui/textarea";
+import { useAuthStore } from "@/store/authStore";
+import { useCaseManagerStore } from "@/store/useCaseManagerStore";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import {
+	INTAKE_DRAFT_TYPES,
+	claimHandedOffDrafts,
+	discardDraft,
+	handOffDraft,
+	observeDrafts,
+} from "@/services/intakeDraftService";
+
+const formatSavedAt = (timestamp) =>
+	new Date(timestamp).toLocaleString([], {
+		month: "short",
+		day: "numeric",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+
+/**
+ * Recipient picker and note for handing off one draft.
+ * @param {{ draft: import("@/services/intakeDraftService").IntakeDraft, onDone: () => void }} props
+ */
+function HandOffForm({ draft, onDone }) {
+	const user = useAuthStore((s) => s.user);
+	const caseManagers = useCaseManagerStore((s) => s.caseManagers);
+	const fetchCaseManagers = useCaseManagerStore((s) => s.fetchCaseManagers);
+	const [toUser, setToUser] = useState("");
+	const [note, setNote] = useState("");
+	const [sending, setSending] = useState(false);
+
+	useEffect(() => {
+		void fetchCaseManagers();
+	}, [fetchCaseManagers]);
+
+	const recipients = useMemo(
+		() => caseManagers.filter((manager) => manager.id !== user?.id),
+		[caseManagers, user?.id],
+	);
+
+	const handleSend = async () => {
+		const recipient = recipients.find((manager) => manager.id === toUser);
+		setSending(true);
+		try {
+			const { error } = await handOffDraft(draft.draftId, {
+				toUser,
+				toName: recipient?.full_name ?? "",
+				fromName: user?.user_metadata?.full_name || user?.email || "",
+				note,
+			});
+			if (error) throw error;
+			toast.success("Draft handed off", {
+				description: `${recipient?.full_name ?? "The recipient"} will find it under My drafts.`,
+			});
+			onDone();
+		} catch (err) {
+			toast.error("Failed to hand off draft", {
+				description: err?.message,
+			});
+		} finally {
+			setSending(false);
+		}
+	};
+
+	return (
+		<div className="mt-3 space-y-2 rounded-md border bg-muted/40 p-3">
+			<Select value={toUser} onValueChange={setToUser}>
+				<SelectTrigger className="h-9 w-full">
+					<SelectValue placeholder="Hand off to..." />
+				</SelectTrigger>
+				<SelectContent>
+					{recipients.map((manager) => (
+						<SelectItem key={manager.id} value={manager.id}>
+							{manager.full_name}
+						</SelectItem>
+					))}
+				</SelectContent>
+			</Select>
+			<Textarea
+				value={note}
+				onChange={(event) => setNote(event.target.value)}
+				placeholder="Note for the recipient (optional)"
+				rows={2}
+			/>
+			<div className="flex justify-end gap-2">
+				<Button
+					variant="ghost"
+					size="sm"
+					onClick={onDone}
+					disabled={sending}
+				>
+					Cancel
+				</Button>
+				<Button
+					size="sm"
+					onClick={handleSend}
+					disabled={!toUser || sending}
+				>
+					{sending ? (
+						<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+					) : null}
+					Hand off
+				</Button>
+			</div>
+		</div>
+	);
+}
+
+/**
+ * Intake Drafts Dialog Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state change handler
+ * @param {Function} props.onResume - Called with the draft to reopen
+ * @returns {JSX.Element} My drafts dialog
+ */
+export default function IntakeDraftsDialog({ open, onOpenChange, onResume }) {
+	const user = useAuthStore((s) => s.user);
+	const isOnline = useNetworkStatus();
+	const [drafts, setDrafts] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [handOffId, setHandOffId] = useState(null);
+	const [pendingDiscard, setPendingDiscard] = useState(null);
+
+	useEffect(() => {
+		if (!open) return undefined;
+		const subscription = observeDrafts().subscribe({
+			next: (rows) => {
+				setDrafts(rows);
+				setLoading(false);
+			},
+			error: (err) => {
+				console.error("Error loading intake drafts:", err);
+				setLoading(false);
+			},
+		});
+		return () => subscription.unsubscribe();
+	}, [open]);
+
+	useEffect(() => {
+		if (!open || !isOnline || !user?.id) return;
+		claimHandedOffDrafts(user.id).then(({ received }) => {
+			if (received > 0) {
+				toast.info(
+					`${received} draft${received === 1 ? " was" : "s were"} handed to you`,
+				);
+			}
+		});
+	}, [open, isOnline, user?.id]);
+
+	useEffect(() => {
+		if (!open) setHandOffId(null);
+	}, [open]);
+
+	const handleDiscard = async () => {
+		if (!pendingDiscard) return;
+		try {
+			await discardDraft(pendingDiscard.draftId);
+		} catch (err) {
+			toast.error("Failed to discard draft", {
+				description: err?.message,
+			});
+		} finally {
+			setPendingDiscard(null);
+		}
+	};
+
+	return (
+		<>
+			<Dialog open={open} onOpenChange={onOpenChange}>
+				<DialogContent className="sm:max-w-2xl">
+					<DialogHeader>
+						<DialogTitle>My drafts</DialogTitle>
+						<DialogDescription>
+							Intake sheets you started but did not submit. They
+							are saved on this device only and are deleted when
+							you log out.
+						</DialogDescription>
+					</DialogHeader>
+
+					{loading ? (
+						<p className="text-sm text-muted-foreground">
+							Loading drafts...
+						</p>
+					) : drafts.length === 0 ? (
+						<p className="text-sm text-muted-foreground">
+							No drafts. Intake sheets save themselves here as you
+							fill them in.
+						</p>
+					) : (
+						<ScrollArea className="max-h-[60vh] pr-3">
+							<ul className="space-y-2">
+								{drafts.map((draft) => (
+									<li
+										key={draft.draftId}
+										className="rounded-md border p-3"
+									>
+										<div className="flex flex-wrap items-start justify-between gap-2">
+											<div className="min-w-0">
+												<div className="flex items-center gap-2">
+													<Badge variant="outline">
+														{INTAKE_DRAFT_TYPES[
+															draft.caseType
+														] ?? draft.caseType}
+													</Badge>
+													<span className="truncate font-medium">
+														{draft.label ||
+															"Unnamed client"}
+													</span>
+												</div>
+												<p className="mt-1 text-xs text-muted-foreground">
+													Saved{" "}
+													{formatSavedAt(
+														draft.updatedAt,
+													)}
+													{draft.receivedFrom
+														? ` · Handed off by ${draft.receivedFrom}`
+														: ""}
+												</p>
+												{draft.note ? (
+													<p className="mt-1 whitespace-pre-wrap text-xs">
+														{draft.note}
+													</p>
+												) : null}
+											</div>
+											<div className="flex gap-2">
+												<Button
+													size="sm"
+													onClick={() =>
+														onResume(draft)
+													}
+												>
+													Resume
+												</Button>
+												<Button
+													size="sm"
+													variant="outline"
+													disabled={!isOnline}
+													title={
+														isOnline
+															? undefined
+															: "Handing off needs a connection"
+													}
+													onClick={() =>
+														setHandOffId(
+															handOffId ===
+																draft.draftId
+																? null
+																: draft.draftId,
+														)
+													}
+												>
+													Hand off
+												</Button>
+												<Button
+													size="sm"
+													variant="ghost"
+													className="text-red-600"
+													onClick={() =>
+														setPendingDiscard(draft)
+													}
+												>
+													Discard
+												</Button>
+											</div>
+										</div>
+										{handOffId === draft.draftId ? (
+											<HandOffForm
+												draft={draft}
+												onDone={() =>
+													setHandOffId(null)
+												}
+											/>
+										) : null}
+									</li>
+								))}
+							</ul>
+						</ScrollArea>
+					)}
+				</DialogContent>
+			</Dialog>
+
+			<AlertDialog
+				open={Boolean(pendingDiscard)}
+				onOpenChange={(next) => {
+					if (!next) setPendingDiscard(null);
+				}}
+			>
+				<AlertDialogContent>
+					<AlertDialogHeader>
+						<AlertDialogTitle>Discard this draft?</AlertDialogTitle>
+						<AlertDialogDescription>
+							{pendingDiscard?.label || "This intake sheet"} will
+							be removed from this device. This cannot be undone.
+						</AlertDialogDescription>
+					</AlertDialogHeader>
+					<AlertDialogFooter>
+						<AlertDialogCancel>Cancel</AlertDialogCancel>
+						<AlertDialogAction onClick={handleDiscard}>
+							Discard
+						</AlertDialogAction>
+					</AlertDialogFooter>
+				</AlertDialogContent>
+			</AlertDialog>
+		</>
+	);
+}
@@ -0,0 +1,398 @@
+/**
+ * @file RelatedCasesDialog.jsx
+ * @description Related cases of one case, across every case type
+ * @module components/cases/RelatedCasesDialog
+ *
+ * Features:
+ * - Lists the cases linked to this one with how they relate (same client,
+ *   sibling, household, perpetrator/victim, referral) and opens their records
+ * - Links a case of any case type, picked from the cases cached on this device
+ * - Removes links; both need a connection and the edit_case permission
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Loader2, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { PermissionGuard } from "@/components/PermissionGuard";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { useAuthStore } from "@/store/authStore";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { caseDisplayName } from "@/services/caseTimelineService";
+import {
+	CASE_LINK_CHOICES,
+	createCaseLink,
+	listCaseLinks,
+	listLinkableCases,
+	removeCaseLink,
+	resolveLinkedCases,
+} from "@/services/caseLinkService";
+
+/** Most matching cases listed in the picker. */
+const MAX_MATCHES = 8;
+
+function LinkCaseForm({ caseType, caseId, disabled, onLinked }) {
+	const [otherType, setOtherType] = useState(caseType);
+	const [candidates, setCandidates] = useState([]);
+	const [search, setSearch] = useState("");
+	const [otherId, setOtherId] = useState("");
+	const [choice, setChoice] = useState(CASE_LINK_CHOICES[0].value);
+	const [note, setNote] = useState("");
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		let cancelled = false;
+		setOtherId("");
+		void listLinkableCases(otherType).then((rows) => {
+			if (!cancelled) setCandidates(rows);
+		});
+		return () => {
+			cancelled = true;
+		};
+	}, [otherType]);
+
+	const matches = useMemo(() => {
+		const term = search.trim().toLowerCase();
+		return candidates
+			.filter(
+				(item) =>
+					!(otherType === caseType && item.caseId === caseId) &&
+					(!term ||
+						item.name.toLowerCase().includes(term) ||
+						item.caseId.startsWith(term)),
+			)
+			.slice(0, MAX_MATCHES);
+	}, [candidates, search, otherType, caseType, caseId]);
+
+	const picked = candidates.find((item) => item.caseId === otherId);
+
+	const handleLink = async () => {
+		setSaving(true);
+		const { error } = await createCaseLink({
+			caseType,
+			caseId,
+			otherType,
+			otherId,
+			choice,
+			note,
+		});
+		setSaving(false);
+		if (error) {
+			toast.error("Failed to link cases", { description: error.message });
+			return;
+		}
+		toast.success("Cases linked");
+		setOtherId("");
+		setSearch("");
+		setNote("");
+		onLinked();
+	};
+
+	return (
+		<div className="space-y-3 rounded-md border p-3">
+			<div className="grid grid-cols-2 gap-2">
+				<div className="space-y-1">
+					<Label>Case type</Label>
+					<Select value={otherType} onValueChange={setOtherType}>
+						<SelectTrigger className="w-full">
+							<SelectValue />
+						</SelectTrigger>
+						<SelectContent>
+							{Object.entries(CASE_REPOSITORIES).map(
+								([type, repository]) => (
+									<SelectItem key={type} value={type}>
+										{repository.label}
+									</SelectItem>
+								),
+							)}
+						</SelectContent>
+					</Select>
+				</div>
+				<div className="space-y-1">
+					<Label>Relationship</Label>
+					<Select value={choice} onValueChange={setChoice}>
+						<SelectTrigger className="w-full">
+							<SelectValue />
+						</SelectTrigger>
+						<SelectContent>
+							{CASE_LINK_CHOICES.map((item) => (
+								<SelectItem key={item.value} value={item.value}>
+									{item.label}
+								</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+			</div>
+
+			<div className="space-y-1">
+				<Label htmlFor="related-case-search">Case</Label>
+				{picked ? (
+					<div className="flex items-center gap-2 text-sm">
+						<span className="truncate">{picked.name}</span>
+						<Button
+							variant="ghost"
+							size="sm"
+							className="ml-auto h-7 px-2"
+							onClick={() => setOtherId("")}
+						>
+							Change
+						</Button>
+					</div>
+				) : (
+					<>
+						<Input
+							id="related-case-search"
+							value={search}
+							onChange={(event) => setSearch(event.target.value)}
+							placeholder="Search by name or case ID"
+						/>
+						<div className="max-h-40 overflow-y-auto">
+							{matches.map((item) => (
+								<button
+									key={item.caseId}
+									type="button"
+									className="flex w-full items-center gap-2 rounded px-2 py-1 text-left text-sm hover:bg-muted"
+									onClick={() => setOtherId(item.caseId)}
+								>
+									<span className="truncate">
+										{item.name}
+									</span>
+									{item.status ? (
+										<span className="ml-auto text-xs text-muted-foreground">
+											{item.status}
+										</span>
+									) : null}
+								</button>
+							))}
+							{!matches.length ? (
+								<p className="px-2 py-1 text-xs text-muted-foreground">
+									No cached cases match.
+								</p>
+							) : null}
+						</div>
+					</>
+				)}
+			</div>
+
+			<div className="space-y-1">
+				<Label htmlFor="related-case-note">Note</Label>
+				<Input
+					id="related-case-note"
+					value={note}
+					onChange={(event) => setNote(event.target.value)}
+					placeholder="Optional"
+				/>
+			</div>
+
+			<div className="flex justify-end">
+				<Button
+					size="sm"
+					onClick={handleLink}
+					disabled={disabled || saving || !otherId}
+				>
+					{saving ? (
+						<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+					) : null}
+					Link case
+				</Button>
+			</div>
+		</div>
+	);
+}
+
+/**
+ * Related Cases Dialog Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state change handler
+ * @param {string} props.caseType - Case type key (CASE, CICLCAR, FAC, ...)
+ * @param {Record<string, any>|null} props.caseRow - Case whose links are shown
+ * @returns {JSX.Element} Related cases dialog
+ */
+export default function RelatedCasesDialog({
+	open,
+	onOpenChange,
+	caseType,
+	caseRow,
+}) {
+	const navigate = useNavigate();
+	const isOnline = useNetworkStatus();
+	const userId = useAuthStore((s) => s.user?.id);
+	const caseId = caseRow?.id ?? null;
+	const [links, setLinks] = useState([]);
+	const [linkedRows, setLinkedRows] = useState(new Map());
+	const [loading, setLoading] = useState(false);
+	const [removingId, setRemovingId] = useState(null);
+
+	const loadLinks = useCallback(async () => {
+		if (!caseId) return;
+		setLoading(true);
+		const { data, error } = await listCaseLinks({ caseType, caseId });
+		if (error) {
+			toast.error("Failed to load related cases", {
+				description: error.message,
+			});
+		}
+		setLinks(data);
+		setLinkedRows(await resolveLinkedCases(data));
+		setLoading(false);
+	}, [caseType, caseId]);
+
+	useEffect(() => {
+		if (!open) return;
+		setLinks([]);
+		if (isOnline) void loadLinks();
+	}, [open, isOnline, loadLinks]);
+
+	const handleRemove = async (view) => {
+		setRemovingId(view.link.id);
+		const { error } = await removeCaseLink(view);
+		setRemovingId(null);
+		if (error) {
+			toast.error("Failed to remove link", {
+				description: error.message,
+			});
+			return;
+		}
+		setLinks((current) =>
+			current.filter((item) => item.link.id !== view.link.id),
+		);
+	};
+
+	const openRecord = (view) => {
+		onOpenChange(false);
+		navigate(`/case/records/${view.otherType}/${view.otherId}`);
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="sm:max-w-xl">
+				<DialogHeader>
+					<DialogTitle>Related cases</DialogTitle>
+					<DialogDescription>
+						{caseRow
+							? `${CASE_REPOSITORIES[caseType]?.label ?? caseType} · ${caseDisplayName(caseType, caseRow)}`
+							: null}
+					</DialogDescription>
+				</DialogHeader>
+
+				{!caseId ? (
+					<p className="text-sm text-muted-foreground">
+						This case has not synced yet. Links can be added once it
+						has.
+					</p>
+				) : !isOnline ? (
+					<p className="text-sm text-muted-foreground">
+						Related cases need a connection.
+					</p>
+				) : (
+					<div className="space-y-4">
+						<div className="space-y-1">
+							{loading ? (
+								<div className="flex items-center gap-2 text-sm text-muted-foreground">
+									<Loader2 className="h-4 w-4 animate-spin" />
+									Loading related cases…
+								</div>
+							) : !links.length ? (
+								<p className="text-sm text-muted-foreground">
+									No related cases yet.
+								</p>
+							) : (
+								links.map((view) => {
+									const other = linkedRows.get(
+										`${view.otherType}:${view.otherId}`,
+									);
+									return (
+										<div
+											key={view.link.id}
+											className="flex items-center gap-2 rounded-md border px-3 py-2"
+										>
+											<Badge variant="secondary">
+												{view.label}
+											</Badge>
+											<div className="min-w-0 flex-1">
+												<button
+													type="button"
+													className="block max-w-full truncate text-left text-sm font-medium hover:underline"
+													onClick={() =>
+														openRecord(view)
+													}
+												>
+													{other
+														? caseDisplayName(
+																view.otherType,
+																other,
+															)
+														: "Not cached on this device"}
+												</button>
+												<p className="truncate text-xs text-muted-foreground">
+													{CASE_REPOSITORIES[
+														view.otherType
+													]?.label ?? view.otherType}
+													{view.link.note
+														? ` · ${view.link.note}`
+														: ""}
+													{view.link.created_by_name
+														? ` · linked by ${view.link.created_by_name}`
+														: ""}
+												</p>
+											</div>
+											{view.link.created_by ===
+												userId && (
+												<PermissionGuard permission="edit_case">
+													<Button
+														variant="ghost"
+														size="icon"
+														className="h-8 w-8 shrink-0"
+														onClick={() =>
+															handleRemove(view)
+														}
+														disabled={
+															removingId ===
+															view.link.id
+														}
+														aria-label="Remove link"
+													>
+														<Trash2 className="h-4 w-4" />
+													</Button>
+												</PermissionGuard>
+											)}
+										</div>
+									);
+								})
+							)}
+						</div>
+
+						<PermissionGuard permission="edit_case">
+							<LinkCaseForm
+								caseType={caseType}
+								caseId={caseId}
+								disabled={!isOnline}
+								onLinked={loadLinks}
+							/>
+						</PermissionGuard>
+					</div>
+				)}
+			</DialogContent>
+		</Dialog>
+	);
+}
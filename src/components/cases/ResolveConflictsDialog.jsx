@@ -0,0 +1,342 @@
+/**
+ * @file ResolveConflictsDialog.jsx
+ * @description Field-by-field merge of offline edits that conflict with newer server rows
+ * @module components/cases/ResolveConflictsDialog
+ *
+ * Features:
+ * - Lists every conflicted queue entry across the nine case repositories
+ * - Shows local vs server values for each differing field (narratives wrap in full)
+ * - Per-field "Mine" / "Server" choice, plus keep-all shortcuts
+ * - Applies the merge and replays the queue of that case type
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
+import { toast } from "sonner";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { FAMILY_FIELD } from "@/services/offlineCaseRepository";
+
+/** Free-text fields where both versions are usually worth reading in full. */
+const NARRATIVE_FIELD_PATTERN =
+	/assessment|recommendation|narrative|problem|history|remarks|notes|findings|intervention|description/i;
+
+const fieldLabel = (key) =>
+	key === FAMILY_FIELD
+		? "Family members"
+		: key
+				.replace(/_/g, " ")
+				.replace(/\b\w/g, (letter) => letter.toUpperCase());
+
+const formatValue = (key, value) => {
+	if (key === FAMILY_FIELD) {
+		if (!value?.length) return "No family members";
+		return value
+			.map((member) =>
+				[member.name, member.relation, member.age]
+					.filter(Boolean)
+					.join(" · "),
+			)
+			.join("\n");
+	}
+	if (value === null || value === undefined || value === "") return "—";
+	if (typeof value === "object") return JSON.stringify(value, null, 2);
+	return String(value);
+};
+
+/**
+ * Read-only value block; narrative fields keep their line breaks.
+ * @param {{ fieldKey: string, value: any, selected: boolean }} props
+ */
+function ValueBlock({ fieldKey, value, selected }) {
+	const narrative =
+		fieldKey === FAMILY_FIELD || NARRATIVE_FIELD_PATTERN.test(fieldKey);
+	return (
+		<div
+			className={`rounded-md border p-2 text-sm ${
+				selected
+					? "border-primary bg-primary/5"
+					: "text-muted-foreground"
+			} ${narrative ? "max-h-48 overflow-y-auto whitespace-pre-wrap" : "break-words"}`}
+		>
+			{formatValue(fieldKey, value)}
+		</div>
+	);
+}
+
+/**
+ * Resolve Conflicts Dialog Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state change handler
+ * @param {Function} [props.onResolved] - Called after a conflict is merged
+ * @returns {JSX.Element} Resolve conflicts dialog
+ */
+export default function ResolveConflictsDialog({
+	open,
+	onOpenChange,
+	onResolved,
+}) {
+	const [conflicts, setConflicts] = useState([]);
+	const [loading, setLoading] = useState(false);
+	const [applying, setApplying] = useState(false);
+	const [choices, setChoices] = useState({});
+
+	const loadConflicts = useCallback(async () => {
+		setLoading(true);
+		try {
+			const perType = await Promise.all(
+				Object.entries(CASE_REPOSITORIES).map(
+					async ([caseType, repository]) =>
+						(await repository.listConflicts()).map((conflict) => ({
+							...conflict,
+							caseType,
+						})),
+				),
+			);
+			setConflicts(
+				perType.flat().sort((a, b) => a.detectedAt - b.detectedAt),
+			);
+		} catch (err) {
+			console.error("Error loading sync conflicts:", err);
+			toast.error("Failed to load conflicts", {
+				description: err?.message,
+			});
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	useEffect(() => {
+		if (open) void loadConflicts();
+	}, [open, loadConflicts]);
+
+	const current = conflicts[0] ?? null;
+
+	// Every field starts on the local version.
+	useEffect(() => {
+		setChoices({});
+	}, [current?.caseType, current?.queueId]);
+
+	const choiceFor = useCallback((key) => choices[key] ?? "local", [choices]);
+
+	const serverCount = useMemo(
+		() =>
+			(current?.fields ?? []).filter(
+				({ key }) => choiceFor(key) === "server",
+			).length,
+		[current, choiceFor],
+	);
+
+	const chooseAll = (side) => {
+		setChoices(
+			Object.fromEntries(
+				(current?.fields ?? []).map(({ key }) => [key, side]),
+			),
+		);
+	};
+
+	const handleApply = async () => {
+		if (!current) return;
+		const repository = CASE_REPOSITORIES[current.caseType];
+		setApplying(true);
+		try {
+			const resolvedChoices = Object.fromEntries(
+				current.fields.map(({ key }) => [key, choiceFor(key)]),
+			);
+			const { error } = await repository.resolveConflict(
+				current.queueId,
+				resolvedChoices,
+			);
+			if (error) throw error;
+
+			const { error: syncError } = await repository.syncQueue();
+			if (syncError) {
+				toast.warning(`${current.label} conflict resolved`, {
+					description: `Sync is still blocked: ${syncError.message || syncError}`,
+				});
+			} else {
+				toast.success(`${current.label} conflict resolved`, {
+					description: "The merged record has been synced.",
+				});
+			}
+			onResolved?.(current.caseType);
+		} catch (err) {
+			console.error("Error resolving sync conflict:", err);
+			toast.error("Failed to resolve conflict", {
+				description: err?.message,
+			});
+		} finally {
+			setApplying(false);
+			await loadConflicts();
+		}
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="sm:max-w-4xl">
+				<DialogHeader>
+					<DialogTitle>Resolve conflicts</DialogTitle>
+					<DialogDescription>
+						These records were edited offline while someone else
+						saved a newer version. Pick which value to keep for each
+						field.
+					</DialogDescription>
+				</DialogHeader>
+
+				{loading && !current ? (
+					<p className="text-sm text-muted-foreground">
+						Loading conflicts...
+					</p>
+				) : !current ? (
+					<p className="text-sm text-muted-foreground">
+						No conflicts left. Pending changes will keep syncing.
+					</p>
+				) : (
+					<div className="space-y-3">
+						<div className="flex flex-wrap items-center gap-2 text-sm">
+							<Badge variant="outline">{current.label}</Badge>
+							<span className="font-medium">
+								{current.targetId || "Not yet synced"}
+							</span>
+							<span className="text-muted-foreground">
+								Server updated{" "}
+								{current.serverUpdatedAt
+									? new Date(
+											current.serverUpdatedAt,
+										).toLocaleString()
+									: "recently"}
+							</span>
+							{conflicts.length > 1 ? (
+								<span className="ml-auto text-muted-foreground">
+									1 of {conflicts.length}
+								</span>
+							) : null}
+						</div>
+
+						{current.fields.length === 0 ? (
+							<p className="text-sm text-muted-foreground">
+								The server already matches your offline edit.
+								Applying will simply clear the conflict.
+							</p>
+						) : (
+							<ScrollArea className="max-h-[55vh] pr-3">
+								<div className="space-y-4">
+									{current.fields.map(
+										({ key, local, server }) => (
+											<div
+												key={key}
+												className="space-y-2"
+											>
+												<div className="flex items-center justify-between gap-2">
+													<span className="text-sm font-medium">
+														{fieldLabel(key)}
+													</span>
+													<ToggleGroup
+														type="single"
+														variant="outline"
+														size="sm"
+														value={choiceFor(key)}
+														onValueChange={(
+															side,
+														) => {
+															if (!side) return;
+															setChoices(
+																(prev) => ({
+																	...prev,
+																	[key]: side,
+																}),
+															);
+														}}
+													>
+														<ToggleGroupItem value="local">
+															Mine
+														</ToggleGroupItem>
+														<ToggleGroupItem value="server">
+															Server
+														</ToggleGroupItem>
+													</ToggleGroup>
+												</div>
+												<div className="grid gap-2 sm:grid-cols-2">
+													<div className="space-y-1">
+														<span className="text-xs text-muted-foreground">
+															Mine (offline)
+														</span>
+														<ValueBlock
+															fieldKey={key}
+															value={local}
+															selected={
+																choiceFor(
+																	key,
+																) === "local"
+															}
+														/>
+													</div>
+													<div className="space-y-1">
+														<span className="text-xs text-muted-foreground">
+															Server
+														</span>
+														<ValueBlock
+															fieldKey={key}
+															value={server}
+															selected={
+																choiceFor(
+																	key,
+																) === "server"
+															}
+														/>
+													</div>
+												</div>
+											</div>
+										),
+									)}
+								</div>
+							</ScrollArea>
+						)}
+					</div>
+				)}
+
+				<DialogFooter className="gap-2 sm:justify-between">
+					<div className="flex gap-2">
+						<Button
+							variant="outline"
+							size="sm"
+							onClick={() => chooseAll("local")}
+							disabled={!current?.fields.length || applying}
+						>
+							Keep all mine
+						</Button>
+						<Button
+							variant="outline"
+							size="sm"
+							onClick={() => chooseAll("server")}
+							disabled={!current?.fields.length || applying}
+						>
+							Keep all server
+						</Button>
+					</div>
+					<Button
+						onClick={handleApply}
+						disabled={!current || applying}
+					>
+						{applying
+							? "Applying..."
+							: current && serverCount === current.fields.length
+								? "Discard my edit"
+								: "Apply & sync"}
+					</Button>
+				</DialogFooter>
+			</DialogContent>
+		</Dialog>
+	);
+}
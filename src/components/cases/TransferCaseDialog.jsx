@@ -0,0 +1,173 @@
+/**
+ * @file TransferCaseDialog.jsx
+ * @description Request the transfer of one case to another case manager
+ * @module components/cases/TransferCaseDialog
+ *
+ * Features:
+ * - Picks the receiving worker from the assignable case managers
+ * - Requires a reason, shown to the recipient and kept in the case history
+ * - The case stays with its current case manager until the recipient accepts
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { useCaseManagerStore } from "@/store/useCaseManagerStore";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { caseDisplayName } from "@/services/caseTimelineService";
+import { requestCaseTransfer } from "@/services/caseTransferService";
+
+/**
+ * Transfer Case Dialog Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state change handler
+ * @param {string} props.caseType - Case type key (CASE, CICLCAR, FAC, ...)
+ * @param {Record<string, any>|null} props.caseRow - Case being transferred
+ * @returns {JSX.Element} Transfer request dialog
+ */
+export default function TransferCaseDialog({
+	open,
+	onOpenChange,
+	caseType,
+	caseRow,
+}) {
+	const isOnline = useNetworkStatus();
+	const caseManagers = useCaseManagerStore((s) => s.caseManagers);
+	const fetchCaseManagers = useCaseManagerStore((s) => s.fetchCaseManagers);
+	const [toUser, setToUser] = useState("");
+	const [reason, setReason] = useState("");
+	const [sending, setSending] = useState(false);
+
+	useEffect(() => {
+		if (!open) return;
+		setToUser("");
+		setReason("");
+		void fetchCaseManagers();
+	}, [open, fetchCaseManagers]);
+
+	const recipients = useMemo(
+		() =>
+			caseManagers.filter(
+				(manager) => manager.full_name !== caseRow?.case_manager,
+			),
+		[caseManagers, caseRow?.case_manager],
+	);
+
+	const handleSubmit = async () => {
+		const recipient = recipients.find((manager) => manager.id === toUser);
+		if (!recipient) return;
+		setSending(true);
+		const { error } = await requestCaseTransfer({
+			caseType,
+			caseRow,
+			toUser: recipient.id,
+			reason,
+		});
+		setSending(false);
+		if (error) {
+			toast.error("Failed to request transfer", {
+				description:
+					error.code === "23505"
+						? "This case already has a transfer waiting for an answer."
+						: error.message,
+			});
+			return;
+		}
+		toast.success("Transfer requested", {
+			description: `${recipient.full_name} needs to accept it before the case moves.`,
+		});
+		onOpenChange(false);
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="sm:max-w-lg">
+				<DialogHeader>
+					<DialogTitle>Transfer case</DialogTitle>
+					<DialogDescription>
+						{caseRow
+							? `${CASE_REPOSITORIES[caseType]?.label ?? caseType} · ${caseDisplayName(caseType, caseRow)} · currently with ${caseRow.case_manager || "no case manager"}`
+							: null}
+					</DialogDescription>
+				</DialogHeader>
+
+				<div className="space-y-4">
+					<div className="space-y-1">
+						<Label>Transfer to</Label>
+						<Select value={toUser} onValueChange={setToUser}>
+							<SelectTrigger className="w-full">
+								<SelectValue placeholder="Select a case manager" />
+							</SelectTrigger>
+							<SelectContent>
+								{recipients.map((manager) => (
+									<SelectItem
+										key={manager.id}
+										value={manager.id}
+									>
+										{manager.full_name}
+									</SelectItem>
+								))}
+							</SelectContent>
+						</Select>
+					</div>
+					<div className="space-y-1">
+						<Label htmlFor="transfer-reason">Reason</Label>
+						<Textarea
+							id="transfer-reason"
+							value={reason}
+							onChange={(event) => setReason(event.target.value)}
+							placeholder="Why the case is moving, and anything the new case manager should know"
+							rows={3}
+						/>
+					</div>
+					{!isOnline ? (
+						<p className="text-xs text-muted-foreground">
+							Transfers need a connection.
+						</p>
+					) : null}
+				</div>
+
+				<DialogFooter>
+					<Button
+						variant="outline"
+						onClick={() => onOpenChange(false)}
+						disabled={sending}
+					>
+						Cancel
+					</Button>
+					<Button
+						onClick={handleSubmit}
+						disabled={
+							sending || !isOnline || !toUser || !reason.trim()
+						}
+					>
+						{sending ? (
+							<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+						) : null}
+						Request transfer
+					</Button>
+				</DialogFooter>
+			</DialogContent>
+		</Dialog>
+	);
+}
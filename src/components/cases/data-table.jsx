@@ -32,6 +32,7 @@ import {
 	IconClipboardText,
 	IconCheckbox,
 	IconDotsVertical,
+	IconFileImport,
 	IconLayoutColumns,
 	IconPlus,
 	IconRefresh,
@@ -69,12 +70,27 @@ import {
 import {
 	Select,
 	SelectContent,
+	SelectGroup,
 	SelectItem,
+	SelectLabel,
+	SelectSeparator,
 	SelectTrigger,
 	SelectValue,
 } from "@/components/ui/select";
 
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import ClientProfileMenuItem from "@/components/clients/ClientProfileMenuItem";
+import CaseRecordMenuItem from "@/components/cases/CaseRecordMenuItem";
+import TransferCaseDialog from "@/components/cases/TransferCaseDialog";
+import CaseClosureDialog from "@/components/cases/CaseClosureDialog";
+import RelatedCasesDialog from "@/components/cases/RelatedCasesDialog";
+import HouseholdDialog from "@/components/households/HouseholdDialog";
+import CaseImportDialog from "@/components/cases/CaseImportDialog";
+import CaseBulkActionBar from "@/components/cases/CaseBulkActionBar";
+import CaseFilterViewsMenu from "@/components/cases/CaseFilterViewsMenu";
+import CaseFieldFilterBuilder from "@/components/cases/CaseFieldFilterBuilder";
+import { EMPTY_FIELD_FILTER, countFieldRules } from "@/lib/caseFieldCatalog";
+import { CASE_LIFECYCLE_STATES, isCaseClosed } from "@/lib/caseLifecycle";
 import {
 	AlertDialog,
 	AlertDialogAction,
@@ -101,14 +117,23 @@ import IntakeSheetSeniorCitizen from "@/pages/case manager/IntakeSheetSeniorCiti
 import IntakeSheetEdit from "@/pages/case manager/intakeSheetCaseEdit";
 import useDataTable from "@/hooks/useDataTable";
 import TableRenderer from "@/components/cases/tables/TableRenderer";
+import { selectColumn } from "@/components/cases/tables/selectColumn";
 import EnrollCaseDialog from "@/components/cases/EnrollCaseDialog";
 import ProgramEnrollmentBadge from "@/components/cases/ProgramEnrollmentBadge";
 import { useCaseManagers } from "@/store/useCaseManagerStore";
+import { useCaseTableQuery } from "@/hooks/useCaseTableQuery";
+import { LIFECYCLE_FILTER_PREFIX } from "@/services/caseTableQueryService";
+import { useAuthStore } from "@/store/authStore";
+import { useCaseFilterViews } from "@/store/useCaseFilterViewStore";
+import { normalizeViewFilters } from "@/services/caseFilterViewService";
+import { fetchCaseLinkExportRows } from "@/services/caseLinkService";
 import DocumentManager from "@/components/documents/DocumentManager";
 import {
 	exportCaseRecordToExcel,
 	exportCaseRecordsToExcel,
 } from "@/lib/caseExcelExport";
+import { printCaseRecordToDocx } from "@/lib/caseDocxExport";
+import { IMPORT_CASE_TYPE_KEYS } from "@/services/caseImportService";
 import {
 	Dialog,
 	DialogContent,
@@ -155,26 +180,36 @@ function formatDateTime(isoString) {
 	return date.toLocaleString("en-US", options);
 }
 
-const getRowTimestamp = (row) => {
-	const value =
-		row?.updated_at ||
-		row?.created_at ||
-		row?.date_filed ||
-		row?.date_recorded ||
-		row?.date_applied ||
-		row?.interview_date ||
-		row?.date ||
-		row?.last_updated ||
-		row?.createdAt ||
-		row?.updatedAt ||
-		null;
-	if (!value) return 0;
-	const time = new Date(value).getTime();
-	return Number.isNaN(time) ? 0 : time;
-};
-
-const sortByLatest = (rows = []) =>
-	[...rows].sort((a, b) => getRowTimestamp(b) - getRowTimestamp(a));
+/**
+ * Case ID cell shared by every tab; flags rows that only exist in the offline
+ * snapshot or still have queued writes.
+ * @param {{ record: any, caseId?: string|null }} props
+ * @returns {JSX.Element}
+ */
+function CaseIdCell({ record, caseId = record?.id }) {
+	return (
+		<div className="flex items-center gap-2">
+			{caseId ? (
+				<span className="font-medium">{caseId}</span>
+			) : record?.localId != null ? (
+				<span className="italic text-muted-foreground">
+					Not yet synced
+				</span>
+			) : (
+				<span className="font-medium">N/A</span>
+			)}
+			{record?.hasPendingWrites && (
+				<Badge
+					variant="outline"
+					className="border-amber-300 bg-amber-50 text-amber-700"
+				>
+					Pending sync
+				</Badge>
+			)}
+			{record?.archived_at && <Badge variant="secondary">Archived</Badge>}
+		</div>
+	);
+}
 
 // =================================
 //* CASE Table COLUMN DEFINITIONS
@@ -187,6 +222,11 @@ const createCaseColumns = (
 	handleExportClick,
 	handleDeleteClick,
 	handleDocumentsClick,
+	handleTransferClick,
+	handleClosureClick,
+	handleRelatedClick,
+	handleHouseholdClick,
+	handlePrintClick,
 ) => [
 	//* =====================
 	//* START OF DATA COLUMNS
@@ -196,11 +236,13 @@ const createCaseColumns = (
 	{
 		accessorKey: "case ID",
 		header: "Case ID",
-		cell: ({ row }) => {
+		cell: ({ row }) => (
 			// Render plain text instead of a clickable viewer to avoid unnecessary navigation
-			const caseId = row.original["case ID"] ?? row.original.id;
-			return <div className="font-medium">{caseId}</div>;
-		},
+			<CaseIdCell
+				record={row.original}
+				caseId={row.original["case ID"] ?? row.original.id}
+			/>
+		),
 		enableHiding: false,
 	},
 
@@ -316,6 +358,49 @@ const createCaseColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="CASE"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "CASE");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleHouseholdClick(row.original, "CASE");
+						}}
+					>
+						Household
+					</DropdownMenuItem>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleTransferClick(row.original, "CASE");
+							}}
+						>
+							Transfer case
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleClosureClick(row.original, "CASE");
+							}}
+						>
+							{isCaseClosed(row.original.status)
+								? "Reopen case"
+								: "Close case"}
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<ClientProfileMenuItem clientId={row.original.client_id} />
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -324,6 +409,14 @@ const createCaseColumns = (
 					>
 						Export Excel
 					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "CASE");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -368,6 +461,11 @@ const ciclcarColumns = (
 	handleDeleteClick,
 	getPrefetchedEnrollments,
 	handleDocumentsClick,
+	handleTransferClick,
+	handleClosureClick,
+	handleRelatedClick,
+	handleHouseholdClick,
+	handlePrintClick,
 ) => [
 	//* =====================
 	//* START OF DATA COLUMNS
@@ -377,11 +475,13 @@ const ciclcarColumns = (
 	{
 		accessorKey: "case ID",
 		header: "Case ID",
-		cell: ({ row }) => {
+		cell: ({ row }) => (
 			// Render plain text instead of a clickable viewer to avoid unnecessary navigation
-			const caseId = row.original["case ID"] ?? row.original.id;
-			return <div className="font-medium">{caseId}</div>;
-		},
+			<CaseIdCell
+				record={row.original}
+				caseId={row.original["case ID"] ?? row.original.id}
+			/>
+		),
 		enableHiding: false,
 	},
 
@@ -497,6 +597,49 @@ const ciclcarColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="CICLCAR"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "CICLCAR");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleHouseholdClick(row.original, "CICLCAR");
+						}}
+					>
+						Household
+					</DropdownMenuItem>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleTransferClick(row.original, "CICLCAR");
+							}}
+						>
+							Transfer case
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleClosureClick(row.original, "CICLCAR");
+							}}
+						>
+							{isCaseClosed(row.original.status)
+								? "Reopen case"
+								: "Close case"}
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<ClientProfileMenuItem clientId={row.original.client_id} />
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -505,6 +648,14 @@ const ciclcarColumns = (
 					>
 						Export Excel
 					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "CICLCAR");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -539,6 +690,11 @@ const farColumns = (
 	handleEditClick,
 	handleDeleteClick,
 	handleDocumentsClick,
+	handleTransferClick,
+	handleClosureClick,
+	handleRelatedClick,
+	handleHouseholdClick,
+	handlePrintClick,
 ) => [
 	//* =====================
 	//* START OF DATA COLUMNS
@@ -548,10 +704,7 @@ const farColumns = (
 	{
 		accessorKey: "id",
 		header: "Case ID",
-		cell: ({ row }) => {
-			const caseId = row.original.id || "N/A";
-			return <div className="font-medium">{caseId}</div>;
-		},
+		cell: ({ row }) => <CaseIdCell record={row.original} />,
 		enableHiding: false,
 	},
 
@@ -702,6 +855,57 @@ const farColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="FAR"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "FAR");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleHouseholdClick(row.original, "FAR");
+						}}
+					>
+						Household
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "FAR");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleTransferClick(row.original, "FAR");
+							}}
+						>
+							Transfer case
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleClosureClick(row.original, "FAR");
+							}}
+						>
+							{isCaseClosed(row.original.status)
+								? "Reopen case"
+								: "Close case"}
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<ClientProfileMenuItem clientId={row.original.client_id} />
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -736,6 +940,11 @@ const facColumns = (
 	handleExportClick,
 	handleDeleteClick,
 	handleDocumentsClick,
+	handleTransferClick,
+	handleClosureClick,
+	handleRelatedClick,
+	handleHouseholdClick,
+	handlePrintClick,
 ) => [
 	//* =====================
 	//* START OF DATA COLUMNS
@@ -745,10 +954,7 @@ const facColumns = (
 	{
 		accessorKey: "id",
 		header: "Case ID",
-		cell: ({ row }) => {
-			const caseId = row.original.id || "N/A";
-			return <div className="font-medium">{caseId}</div>;
-		},
+		cell: ({ row }) => <CaseIdCell record={row.original} />,
 		enableHiding: false,
 	},
 
@@ -882,6 +1088,49 @@ const facColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="FAC"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "FAC");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleHouseholdClick(row.original, "FAC");
+						}}
+					>
+						Household
+					</DropdownMenuItem>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleTransferClick(row.original, "FAC");
+							}}
+						>
+							Transfer case
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleClosureClick(row.original, "FAC");
+							}}
+						>
+							{isCaseClosed(row.original.status)
+								? "Reopen case"
+								: "Close case"}
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<ClientProfileMenuItem clientId={row.original.client_id} />
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -890,6 +1139,14 @@ const facColumns = (
 					>
 						Export Excel
 					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "FAC");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
 					<DropdownMenuSeparator />
 					<PermissionGuard permission="delete_case">
 						<DropdownMenuItem
@@ -916,6 +1173,8 @@ const ivacColumns = (
 	handleExportClick,
 	handleDeleteClick,
 	handleDocumentsClick,
+	handleRelatedClick,
+	handlePrintClick,
 ) => [
 	//* =====================
 	//* START OF DATA COLUMNS
@@ -925,10 +1184,7 @@ const ivacColumns = (
 	{
 		accessorKey: "id",
 		header: "Case ID",
-		cell: ({ row }) => {
-			const caseId = row.original.id || "N/A";
-			return <div className="font-medium">{caseId}</div>;
-		},
+		cell: ({ row }) => <CaseIdCell record={row.original} />,
 		enableHiding: false,
 	},
 
@@ -1064,6 +1320,14 @@ const ivacColumns = (
 					>
 						Export Excel
 					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "IVAC");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
 					<PermissionGuard permission="view_documents">
 						<DropdownMenuItem
 							onClick={(e) => {
@@ -1074,6 +1338,18 @@ const ivacColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="IVAC"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "IVAC");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
 					<DropdownMenuSeparator />
 					<PermissionGuard permission="delete_case">
 						<DropdownMenuItem
@@ -1100,6 +1376,11 @@ const spColumns = (
 	handleExportClick,
 	handleDeleteClick,
 	handleDocumentsClick,
+	handleTransferClick,
+	handleClosureClick,
+	handleRelatedClick,
+	handleHouseholdClick,
+	handlePrintClick,
 ) => [
 	//* =====================
 	//* START OF DATA COLUMNS
@@ -1109,10 +1390,7 @@ const spColumns = (
 	{
 		accessorKey: "id",
 		header: "Case ID",
-		cell: ({ row }) => {
-			const caseId = row.original.id || "N/A";
-			return <div className="font-medium">{caseId}</div>;
-		},
+		cell: ({ row }) => <CaseIdCell record={row.original} />,
 		enableHiding: false,
 	},
 
@@ -1218,6 +1496,14 @@ const spColumns = (
 					>
 						Export Excel
 					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "SP");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
 					<PermissionGuard permission="view_documents">
 						<DropdownMenuItem
 							onClick={(e) => {
@@ -1228,6 +1514,49 @@ const spColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="SP"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "SP");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleHouseholdClick(row.original, "SP");
+						}}
+					>
+						Household
+					</DropdownMenuItem>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleTransferClick(row.original, "SP");
+							}}
+						>
+							Transfer case
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleClosureClick(row.original, "SP");
+							}}
+						>
+							{isCaseClosed(row.original.status)
+								? "Reopen case"
+								: "Close case"}
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<ClientProfileMenuItem clientId={row.original.client_id} />
 					<DropdownMenuSeparator />
 					<PermissionGuard permission="delete_case">
 						<DropdownMenuItem
@@ -1257,6 +1586,11 @@ const faColumns = (
 	handleEditClick,
 	handleDeleteClick,
 	handleDocumentsClick,
+	handleTransferClick,
+	handleClosureClick,
+	handleRelatedClick,
+	handleHouseholdClick,
+	handlePrintClick,
 ) => [
 	//* =====================
 	//* START OF DATA COLUMNS
@@ -1266,10 +1600,7 @@ const faColumns = (
 	{
 		accessorKey: "id",
 		header: "Case ID",
-		cell: ({ row }) => {
-			const caseId = row.original.id || "N/A";
-			return <div className="font-medium">{caseId}</div>;
-		},
+		cell: ({ row }) => <CaseIdCell record={row.original} />,
 		enableHiding: false,
 	},
 
@@ -1339,6 +1670,57 @@ const faColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="FA"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "FA");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleHouseholdClick(row.original, "FA");
+						}}
+					>
+						Household
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "FA");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleTransferClick(row.original, "FA");
+							}}
+						>
+							Transfer case
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleClosureClick(row.original, "FA");
+							}}
+						>
+							{isCaseClosed(row.original.status)
+								? "Reopen case"
+								: "Close case"}
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<ClientProfileMenuItem clientId={row.original.client_id} />
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -1373,6 +1755,11 @@ const pwdColumns = (
 	handleExportClick,
 	handleDeleteClick,
 	handleDocumentsClick,
+	handleTransferClick,
+	handleClosureClick,
+	handleRelatedClick,
+	handleHouseholdClick,
+	handlePrintClick,
 ) => [
 	//* =====================
 	//* START OF DATA COLUMNS
@@ -1382,10 +1769,7 @@ const pwdColumns = (
 	{
 		accessorKey: "id",
 		header: "Case ID",
-		cell: ({ row }) => {
-			const caseId = row.original.id || "N/A";
-			return <div className="font-medium">{caseId}</div>;
-		},
+		cell: ({ row }) => <CaseIdCell record={row.original} />,
 		enableHiding: false,
 	},
 
@@ -1478,6 +1862,49 @@ const pwdColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="PWD"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "PWD");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleHouseholdClick(row.original, "PWD");
+						}}
+					>
+						Household
+					</DropdownMenuItem>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleTransferClick(row.original, "PWD");
+							}}
+						>
+							Transfer case
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleClosureClick(row.original, "PWD");
+							}}
+						>
+							{isCaseClosed(row.original.status)
+								? "Reopen case"
+								: "Close case"}
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<ClientProfileMenuItem clientId={row.original.client_id} />
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -1486,6 +1913,14 @@ const pwdColumns = (
 					>
 						Export Excel
 					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "PWD");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
 					<DropdownMenuSeparator />
 					<PermissionGuard permission="delete_case">
 						<DropdownMenuItem
@@ -1512,14 +1947,16 @@ const scColumns = (
 	handleExportClick,
 	handleDeleteClick,
 	handleDocumentsClick,
+	handleTransferClick,
+	handleClosureClick,
+	handleRelatedClick,
+	handleHouseholdClick,
+	handlePrintClick,
 ) => [
 	{
 		accessorKey: "id",
 		header: "Case ID",
-		cell: ({ row }) => {
-			const caseId = row.original.id || "N/A";
-			return <div className="font-medium">{caseId}</div>;
-		},
+		cell: ({ row }) => <CaseIdCell record={row.original} />,
 		enableHiding: false,
 	},
 	{
@@ -1601,6 +2038,49 @@ const scColumns = (
 							Documents
 						</DropdownMenuItem>
 					</PermissionGuard>
+					<CaseRecordMenuItem
+						caseType="SC"
+						caseId={row.original.id}
+					/>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleRelatedClick(row.original, "SC");
+						}}
+					>
+						Related cases
+					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handleHouseholdClick(row.original, "SC");
+						}}
+					>
+						Household
+					</DropdownMenuItem>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleTransferClick(row.original, "SC");
+							}}
+						>
+							Transfer case
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<PermissionGuard permission="edit_case">
+						<DropdownMenuItem
+							onClick={(e) => {
+								e.stopPropagation();
+								handleClosureClick(row.original, "SC");
+							}}
+						>
+							{isCaseClosed(row.original.status)
+								? "Reopen case"
+								: "Close case"}
+						</DropdownMenuItem>
+					</PermissionGuard>
+					<ClientProfileMenuItem clientId={row.original.client_id} />
 					<DropdownMenuItem
 						onClick={(e) => {
 							e.stopPropagation();
@@ -1609,6 +2089,14 @@ const scColumns = (
 					>
 						Export Excel
 					</DropdownMenuItem>
+					<DropdownMenuItem
+						onClick={(e) => {
+							e.stopPropagation();
+							handlePrintClick(row.original, "SC");
+						}}
+					>
+						Print form
+					</DropdownMenuItem>
 					<DropdownMenuSeparator />
 					<PermissionGuard permission="delete_case">
 						<DropdownMenuItem
@@ -1662,138 +2150,6 @@ const formatToMMDDYYYY = (str) => {
 	return `${mm}-${dd}-${yyyy}`;
 };
 
-function normalizeSearchText(value) {
-	return String(value ?? "")
-		.toLowerCase()
-		.replace(/\s+/g, " ")
-		.trim();
-}
-
-function buildRowSearchText(row, maxDepth = 2) {
-	const seen = new Set();
-
-	function walk(value, depth) {
-		if (value == null) return [];
-		if (
-			typeof value === "string" ||
-			typeof value === "number" ||
-			typeof value === "boolean"
-		) {
-			return [String(value)];
-		}
-		if (depth <= 0) return [];
-		if (Array.isArray(value)) {
-			return value.flatMap((item) => walk(item, depth - 1));
-		}
-		if (typeof value === "object") {
-			if (seen.has(value)) return [];
-			seen.add(value);
-			return Object.values(value).flatMap((item) =>
-				walk(item, depth - 1),
-			);
-		}
-		return [];
-	}
-
-	if (!row || typeof row !== "object") return "";
-
-	const preferred = [
-		row.id,
-		row["case ID"],
-		row.case_id,
-		row.case_number,
-		row.case_no,
-		row.case_manager,
-		row.case_managers,
-		row.status,
-		row.priority,
-		row.barangay,
-		row.municipality,
-		row.city,
-		row.province,
-		row.region,
-		row.beneficiary_name,
-		row.client_name,
-		row.child_name,
-		row.victim_name,
-		row.respondent_name,
-		row.guardian_name,
-		row.parent_name,
-		row.full_name,
-		row.first_name,
-		row.last_name,
-		row.contact_number,
-		row.contactNumber,
-		row.email,
-		row.email_address,
-		row.address,
-	];
-
-	const fallback = walk(row, maxDepth);
-	return normalizeSearchText(
-		[...preferred, ...fallback].filter(Boolean).join(" "),
-	);
-}
-
-function getRowDateFiled(row) {
-	if (!row || typeof row !== "object") return null;
-	const candidate =
-		row.date_filed ??
-		row.filed_date ??
-		row.intake_date ??
-		row.created_at ??
-		row.createdAt ??
-		row.dateCreated;
-	if (!candidate) return null;
-	const parsed = new Date(candidate);
-	return Number.isNaN(parsed.getTime()) ? null : parsed;
-}
-
-function filterRowsByGlobalSearch(rows, searchQuery, advancedFilters) {
-	const safeRows = Array.isArray(rows) ? rows : [];
-	const query = normalizeSearchText(searchQuery);
-	const statusFilter = advancedFilters?.status ?? "all";
-	const priorityFilter = advancedFilters?.priority ?? "all";
-	const dateFrom = advancedFilters?.dateFrom
-		? new Date(`${advancedFilters.dateFrom}T00:00:00`)
-		: null;
-	const dateTo = advancedFilters?.dateTo
-		? new Date(`${advancedFilters.dateTo}T23:59:59`)
-		: null;
-	const hasFrom = dateFrom && !Number.isNaN(dateFrom.getTime());
-	const hasTo = dateTo && !Number.isNaN(dateTo.getTime());
-
-	const normalizedStatus = normalizeSearchText(statusFilter);
-	const normalizedPriority = normalizeSearchText(priorityFilter);
-
-	return safeRows.filter((row) => {
-		if (query) {
-			const text = buildRowSearchText(row);
-			if (!text.includes(query)) return false;
-		}
-
-		if (statusFilter !== "all") {
-			const rowStatus = normalizeSearchText(row?.status);
-			if (!rowStatus || rowStatus !== normalizedStatus) return false;
-		}
-
-		if (priorityFilter !== "all") {
-			const rowPriority = normalizeSearchText(row?.priority);
-			if (!rowPriority || rowPriority !== normalizedPriority)
-				return false;
-		}
-
-		if (hasFrom || hasTo) {
-			const filed = getRowDateFiled(row);
-			if (!filed) return false;
-			if (hasFrom && filed < dateFrom) return false;
-			if (hasTo && filed > dateTo) return false;
-		}
-
-		return true;
-	});
-}
-
 // ==========================
 //* Main DataTable wrapper
 // ==========================
@@ -1886,6 +2242,7 @@ function PaginationControls({ table }) {
  * @param {Function} props.reloadFa - Function to reload Financial Assistance data
  * @param {Function} props.reloadPwd - Function to reload Persons with Disabilities data
  * @param {Function} props.reloadSc - Function to reload Senior Citizen data
+ * @param {string[]} [props.hiddenCaseIds] - Cases hidden from the signed-in user, left out of server pages
  *
  * @returns {JSX.Element} Rendered DataTable component
  *
@@ -1929,6 +2286,8 @@ export function DataTable({
 	deleteScCase,
 	initialTab = "CASE",
 	onTabChange,
+	initialViewId = null,
+	hiddenCaseIds,
 	ciclcarProgramEnrollments = {},
 	ciclcarProgramEnrollmentsLoading = false,
 }) {
@@ -1937,6 +2296,8 @@ export function DataTable({
 	const [openFaIntakeSheet, setOpenFaIntakeSheet] = useState(false);
 	const [openPwdIntakeSheet, setOpenPwdIntakeSheet] = useState(false);
 	const [openScIntakeSheet, setOpenScIntakeSheet] = useState(false);
+	// Draft picked in "My drafts"; the matching create sheet resumes it.
+	const [resumeDraftId, setResumeDraftId] = useState(null);
 
 	// Delete confirmation dialog state
 	const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
@@ -1964,9 +2325,53 @@ export function DataTable({
 		caseType: "",
 	});
 
+	// Transfer dialog state
+	const [transferDialogOpen, setTransferDialogOpen] = useState(false);
+	const [transferContext, setTransferContext] = useState({
+		caseType: "",
+		caseRow: null,
+	});
+
+	// Closure dialog state
+	const [closureDialogOpen, setClosureDialogOpen] = useState(false);
+	const [closureContext, setClosureContext] = useState({
+		caseType: "",
+		caseRow: null,
+	});
+
+	// Related cases dialog state
+	const [relatedDialogOpen, setRelatedDialogOpen] = useState(false);
+	const [relatedContext, setRelatedContext] = useState({
+		caseType: "",
+		caseRow: null,
+	});
+
+	// Household dialog state
+	const [householdDialogOpen, setHouseholdDialogOpen] = useState(false);
+	const [householdContext, setHouseholdContext] = useState({
+		caseType: "",
+		caseRow: null,
+	});
+
+	// Excel import dialog state (imports into the active tab)
+	const [importDialogOpen, setImportDialogOpen] = useState(false);
+
 	// Refresh state
 	const [isRefreshing, setIsRefreshing] = useState(false);
 
+	// Reload after a dialog or bulk action changed rows of one tab
+	const reloadByCaseType = {
+		CASE: reloadCases,
+		CICLCAR: reloadCiclcar,
+		FAR: reloadFar,
+		FAC: reloadFac,
+		IVAC: reloadIvac,
+		SP: reloadSp,
+		FA: reloadFa,
+		PWD: reloadPwd,
+		SC: reloadSc,
+	};
+
 	// FAR edit state
 	const [openFarEditSheet, setOpenFarEditSheet] = useState(false);
 	const [editingFarRecord, setEditingFarRecord] = useState(null);
@@ -2003,7 +2408,10 @@ export function DataTable({
 		priority: "all",
 		dateFrom: "",
 		dateTo: "",
+		includeArchived: false,
 	});
+	// Field conditions per tab; each case type has its own fields
+	const [fieldFilters, setFieldFilters] = useState({});
 
 	const handleTabValueChange = (value) => {
 		setActiveTab(value);
@@ -2025,6 +2433,65 @@ export function DataTable({
 	const [pwdCaseManager, setPwdCaseManager] = useState("all");
 	const [scCaseManager, setScCaseManager] = useState("all");
 
+	// Saved filter views: the one last applied, and the landing view (or the
+	// one linked from the sidebar) applied once when the page opens
+	const user = useAuthStore((s) => s.user);
+	const {
+		views: filterViews,
+		defaultViewId,
+		loaded: filterViewsLoaded,
+	} = useCaseFilterViews(user?.id);
+	const [activeViewId, setActiveViewId] = useState(null);
+	const landingViewApplied = React.useRef(false);
+
+	const caseManagerFilters = {
+		CASE: [caseCaseManager, setCaseCaseManager],
+		CICLCAR: [ciclcarCaseManager, setCiclcarCaseManager],
+		FAR: [farCaseManager, setFarCaseManager],
+		FAC: [facCaseManager, setFacCaseManager],
+		IVAC: [ivacCaseManager, setIvacCaseManager],
+		SP: [spCaseManager, setSpCaseManager],
+		FA: [faCaseManager, setFaCaseManager],
+		PWD: [pwdCaseManager, setPwdCaseManager],
+		SC: [scCaseManager, setScCaseManager],
+	};
+
+	const currentViewFilters = {
+		searchQuery,
+		...advancedFilters,
+		caseManager: caseManagerFilters[activeTab]?.[0] ?? "all",
+		fieldFilter: fieldFilters[activeTab] ?? EMPTY_FIELD_FILTER,
+	};
+
+	function applyFilterView(view) {
+		const {
+			searchQuery: query,
+			caseManager,
+			fieldFilter,
+			...filters
+		} = normalizeViewFilters(view.filters);
+		handleTabValueChange(view.case_type);
+		setSearchQuery(query);
+		setAdvancedFilters(filters);
+		setFieldFilters((prev) => ({
+			...prev,
+			[view.case_type]: fieldFilter,
+		}));
+		caseManagerFilters[view.case_type]?.[1](caseManager);
+		setActiveViewId(view.id);
+	}
+
+	React.useEffect(() => {
+		if (landingViewApplied.current || !filterViewsLoaded) return;
+		landingViewApplied.current = true;
+		const view = filterViews.find(
+			(item) => item.id === (initialViewId ?? defaultViewId),
+		);
+		if (view) applyFilterView(view);
+		// Runs once, after the views load; later changes are the user's own.
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [filterViewsLoaded]);
+
 	const safeCaseData = React.useMemo(() => caseData ?? [], [caseData]);
 	const safeCiclcarData = React.useMemo(
 		() => ciclcarData ?? [],
@@ -2038,6 +2505,18 @@ export function DataTable({
 	const safePwdData = React.useMemo(() => pwdData ?? [], [pwdData]);
 	const safeScData = React.useMemo(() => scData ?? [], [scData]);
 
+	const rowsByTab = {
+		CASE: safeCaseData,
+		CICLCAR: safeCiclcarData,
+		FAR: safeFarData,
+		FAC: safeFacData,
+		IVAC: safeIvacData,
+		SP: safeSpData,
+		FA: safeFaData,
+		PWD: safePwdData,
+		SC: safeScData,
+	};
+
 	const allRows = React.useMemo(
 		() => [
 			...safeCaseData,
@@ -2087,27 +2566,39 @@ export function DataTable({
 		return Array.from(set).sort((a, b) => a.localeCompare(b));
 	}, [allRows]);
 
+	const activeFieldRuleCount = countFieldRules(
+		activeTab,
+		fieldFilters[activeTab],
+	);
+
 	const hasActiveGlobalFilters =
 		searchQuery.trim().length > 0 ||
+		activeFieldRuleCount > 0 ||
 		advancedFilters.status !== "all" ||
 		advancedFilters.priority !== "all" ||
 		advancedFilters.dateFrom !== "" ||
-		advancedFilters.dateTo !== "";
+		advancedFilters.dateTo !== "" ||
+		advancedFilters.includeArchived;
 
 	const activeGlobalFilterCount =
 		(searchQuery.trim().length > 0 ? 1 : 0) +
 		(advancedFilters.status !== "all" ? 1 : 0) +
 		(advancedFilters.priority !== "all" ? 1 : 0) +
 		(advancedFilters.dateFrom !== "" ? 1 : 0) +
-		(advancedFilters.dateTo !== "" ? 1 : 0);
+		(advancedFilters.dateTo !== "" ? 1 : 0) +
+		(advancedFilters.includeArchived ? 1 : 0) +
+		activeFieldRuleCount;
 
 	const clearGlobalFilters = React.useCallback(() => {
 		setSearchQuery("");
+		setActiveViewId(null);
+		setFieldFilters({});
 		setAdvancedFilters({
 			status: "all",
 			priority: "all",
 			dateFrom: "",
 			dateTo: "",
+			includeArchived: false,
 		});
 	}, []);
 	const getCiclcarPrefetchedEnrollments = React.useCallback(
@@ -2181,9 +2672,14 @@ export function DataTable({
 
 	async function handleExportCaseRow(record, caseType) {
 		try {
+			const { data: relatedCases } = await fetchCaseLinkExportRows({
+				caseType,
+				records: [record],
+			});
 			const { filledCount } = await exportCaseRecordToExcel({
 				caseType,
 				record,
+				relatedCases,
 			});
 			toast.success("Excel exported", {
 				description: `Filled ${filledCount} template field${filledCount === 1 ? "" : "s"}.`,
@@ -2200,7 +2696,7 @@ export function DataTable({
 
 	async function handleExportAllFaRows() {
 		try {
-			const records = Array.isArray(faSortedData) ? faSortedData : [];
+			const records = await faQuery.fetchMatchingRows();
 			if (!records.length) {
 				toast.error("Excel export failed", {
 					description:
@@ -2209,9 +2705,14 @@ export function DataTable({
 				return;
 			}
 
+			const { data: relatedCases } = await fetchCaseLinkExportRows({
+				caseType: "FA",
+				records,
+			});
 			const { filledCount } = await exportCaseRecordsToExcel({
 				caseType: "FA",
 				records,
+				relatedCases,
 			});
 
 			toast.success("FA Excel exported", {
@@ -2229,7 +2730,7 @@ export function DataTable({
 
 	async function handleExportAllFarRows() {
 		try {
-			const records = Array.isArray(farSortedData) ? farSortedData : [];
+			const records = await farQuery.fetchMatchingRows();
 			if (!records.length) {
 				toast.error("Excel export failed", {
 					description:
@@ -2238,9 +2739,14 @@ export function DataTable({
 				return;
 			}
 
+			const { data: relatedCases } = await fetchCaseLinkExportRows({
+				caseType: "FAR",
+				records,
+			});
 			const { filledCount } = await exportCaseRecordsToExcel({
 				caseType: "FAR",
 				records,
+				relatedCases,
 			});
 
 			toast.success("FAR Excel exported", {
@@ -2291,28 +2797,28 @@ export function DataTable({
 		if (!caseToDelete || !caseTypeToDelete) return;
 
 		let result;
-		const caseId = caseToDelete.id;
 
 		try {
-			// Call the appropriate delete function based on case type
+			// Call the appropriate delete function based on case type.
+			// Pass the row so offline-created cases resolve by localId.
 			switch (caseTypeToDelete) {
 				case "CASE":
-					result = await deleteCase(caseId);
+					result = await deleteCase(caseToDelete);
 					break;
 				case "CICLCAR":
-					result = await deleteCiclcarCase(caseId);
+					result = await deleteCiclcarCase(caseToDelete);
 					break;
 				case "FAR":
-					result = await deleteFarCase(caseId);
+					result = await deleteFarCase(caseToDelete);
 					break;
 				case "FAC":
-					result = await deleteFacCase(caseId);
+					result = await deleteFacCase(caseToDelete);
 					break;
 				case "IVAC":
-					result = await deleteIvacCase(caseId);
+					result = await deleteIvacCase(caseToDelete);
 					break;
 				case "SP":
-					result = await deleteSpCase(caseId);
+					result = await deleteSpCase(caseToDelete);
 					break;
 				case "FA":
 					if (!deleteFaCase) {
@@ -2322,7 +2828,7 @@ export function DataTable({
 						});
 						return;
 					}
-					result = await deleteFaCase(caseId);
+					result = await deleteFaCase(caseToDelete);
 					break;
 				case "PWD":
 					if (!deletePwdCase) {
@@ -2332,7 +2838,7 @@ export function DataTable({
 						});
 						return;
 					}
-					result = await deletePwdCase(caseId);
+					result = await deletePwdCase(caseToDelete);
 					break;
 				case "SC":
 					if (!deleteScCase) {
@@ -2342,14 +2848,18 @@ export function DataTable({
 						});
 						return;
 					}
-					result = await deleteScCase(caseId);
+					result = await deleteScCase(caseToDelete);
 					break;
 				default:
 					toast.error("Unknown case type");
 					return;
 			}
 
-			if (result.success) {
+			if (result.success && result.queued) {
+				toast.success("Delete Queued", {
+					description: `The ${caseTypeToDelete} case will be deleted once you're back online.`,
+				});
+			} else if (result.success) {
 				toast.success("Case Deleted", {
 					description: `Successfully deleted ${caseTypeToDelete} case.`,
 				});
@@ -2398,6 +2908,62 @@ export function DataTable({
 		setDocumentsDialogOpen(true);
 	}
 
+	// Handle transfer click (opens transfer request dialog)
+	function handleTransferClick(caseData, caseType) {
+		if (!caseData?.id) {
+			toast.error("Case not synced yet", {
+				description: "Cases created offline can be transferred once they sync.",
+			});
+			return;
+		}
+		setTransferContext({ caseType, caseRow: caseData });
+		setTransferDialogOpen(true);
+	}
+
+	// Handle close/reopen click (opens closure dialog)
+	function handleClosureClick(caseData, caseType) {
+		if (!caseData?.id) {
+			toast.error("Case not synced yet", {
+				description: "Cases created offline can be closed once they sync.",
+			});
+			return;
+		}
+		setClosureContext({ caseType, caseRow: caseData });
+		setClosureDialogOpen(true);
+	}
+
+	// Handle related cases click (opens related cases dialog)
+	function handleRelatedClick(caseData, caseType) {
+		setRelatedContext({ caseType, caseRow: caseData });
+		setRelatedDialogOpen(true);
+	}
+
+	// Handle print form click (fills the case type's DOCX form and downloads it)
+	async function handlePrintClick(record, caseType) {
+		try {
+			const { formName } = await printCaseRecordToDocx({
+				caseType,
+				record,
+			});
+			toast.success("Form ready", {
+				description: `${formName} downloaded.`,
+			});
+		} catch (error) {
+			toast.error("Print form failed", {
+				description:
+					error instanceof Error
+						? error.message
+						: "Unable to fill the form for this record.",
+			});
+		}
+	}
+
+	// Handle household click (opens household dialog)
+	function handleHouseholdClick(caseData, caseType) {
+		setHouseholdContext({ caseType, caseRow: caseData });
+		setHouseholdDialogOpen(true);
+	}
+
 	// Handle refresh - full page reload that returns to the active tab for consistency across datasets
 	const handleRefresh = React.useCallback(async () => {
 		if (isRefreshing) return;
@@ -2479,328 +3045,274 @@ export function DataTable({
 		reloadSc,
 	]);
 
-	const caseManagerFilteredData = React.useMemo(() => {
-		return caseCaseManager === "all"
-			? safeCaseData
-			: safeCaseData.filter(
-					(row) => row.case_manager === caseCaseManager,
-				);
-	}, [caseCaseManager, safeCaseData]);
-
-	const ciclcarManagerFilteredData = React.useMemo(() => {
-		return ciclcarCaseManager === "all"
-			? safeCiclcarData
-			: safeCiclcarData.filter(
-					(row) => row.case_manager === ciclcarCaseManager,
-				);
-	}, [ciclcarCaseManager, safeCiclcarData]);
-
-	const farManagerFilteredData = React.useMemo(() => {
-		return farCaseManager === "all"
-			? safeFarData
-			: safeFarData.filter((row) => row.case_manager === farCaseManager);
-	}, [farCaseManager, safeFarData]);
-
-	const facManagerFilteredData = React.useMemo(() => {
-		return facCaseManager === "all"
-			? safeFacData
-			: safeFacData.filter((row) => row.case_manager === facCaseManager);
-	}, [facCaseManager, safeFacData]);
-
-	const ivacManagerFilteredData = React.useMemo(() => {
-		if (ivacCaseManager === "all") return safeIvacData;
-		return safeIvacData.filter((row) => {
-			if (Array.isArray(row.case_managers)) {
-				return row.case_managers.includes(ivacCaseManager);
-			}
-			return row.case_manager === ivacCaseManager;
-		});
-	}, [ivacCaseManager, safeIvacData]);
-
-	const spManagerFilteredData = React.useMemo(() => {
-		if (spCaseManager === "all") return safeSpData;
-		return safeSpData.filter((row) => {
-			if (Array.isArray(row.case_managers)) {
-				return row.case_managers.includes(spCaseManager);
-			}
-			return row.case_manager === spCaseManager;
-		});
-	}, [spCaseManager, safeSpData]);
-
-	const faManagerFilteredData = React.useMemo(() => {
-		return faCaseManager === "all"
-			? safeFaData
-			: safeFaData.filter((row) => row.case_manager === faCaseManager);
-	}, [faCaseManager, safeFaData]);
-
-	const pwdManagerFilteredData = React.useMemo(() => {
-		return pwdCaseManager === "all"
-			? safePwdData
-			: safePwdData.filter((row) => row.case_manager === pwdCaseManager);
-	}, [pwdCaseManager, safePwdData]);
-
-	const scManagerFilteredData = React.useMemo(() => {
-		return scCaseManager === "all"
-			? safeScData
-			: safeScData.filter((row) => row.case_manager === scCaseManager);
-	}, [scCaseManager, safeScData]);
-
-	const caseFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				caseManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[caseManagerFilteredData, searchQuery, advancedFilters],
-	);
-	const ciclcarFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				ciclcarManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[ciclcarManagerFilteredData, searchQuery, advancedFilters],
-	);
-	const farFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				farManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[farManagerFilteredData, searchQuery, advancedFilters],
-	);
-	const facFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				facManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[facManagerFilteredData, searchQuery, advancedFilters],
-	);
-	const ivacFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				ivacManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[ivacManagerFilteredData, searchQuery, advancedFilters],
-	);
-	const spFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				spManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[spManagerFilteredData, searchQuery, advancedFilters],
-	);
-	const faFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				faManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[faManagerFilteredData, searchQuery, advancedFilters],
-	);
-	const pwdFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				pwdManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[pwdManagerFilteredData, searchQuery, advancedFilters],
-	);
-	const scFilteredData = React.useMemo(
-		() =>
-			filterRowsByGlobalSearch(
-				scManagerFilteredData,
-				searchQuery,
-				advancedFilters,
-			),
-		[scManagerFilteredData, searchQuery, advancedFilters],
-	);
-
-	const caseSortedData = React.useMemo(
-		() => sortByLatest(caseFilteredData),
-		[caseFilteredData],
-	);
-	const ciclcarSortedData = React.useMemo(
-		() => sortByLatest(ciclcarFilteredData),
-		[ciclcarFilteredData],
-	);
-	const farSortedData = React.useMemo(
-		() => sortByLatest(farFilteredData),
-		[farFilteredData],
-	);
-	const facSortedData = React.useMemo(
-		() => sortByLatest(facFilteredData),
-		[facFilteredData],
-	);
-	const ivacSortedData = React.useMemo(
-		() => sortByLatest(ivacFilteredData),
-		[ivacFilteredData],
-	);
-	const spSortedData = React.useMemo(
-		() => sortByLatest(spFilteredData),
-		[spFilteredData],
-	);
-	const faSortedData = React.useMemo(
-		() => sortByLatest(faFilteredData),
-		[faFilteredData],
-	);
-	const pwdSortedData = React.useMemo(
-		() => sortByLatest(pwdFilteredData),
-		[pwdFilteredData],
-	);
-	const scSortedData = React.useMemo(
-		() => sortByLatest(scFilteredData),
-		[scFilteredData],
-	);
+	// Search, filters, sorting and paging per tab: Supabase pages online, the
+	// cached rows offline or while a tab has unsynced changes.
+	const tableQueryArgs = {
+		searchQuery,
+		filters: advancedFilters,
+		excludeIds: hiddenCaseIds,
+	};
+	const caseQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "CASE",
+		rows: safeCaseData,
+		active: activeTab === "CASE",
+		caseManager: caseCaseManager,
+		fieldFilter: fieldFilters.CASE,
+	});
+	const ciclcarQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "CICLCAR",
+		rows: safeCiclcarData,
+		active: activeTab === "CICLCAR",
+		caseManager: ciclcarCaseManager,
+		fieldFilter: fieldFilters.CICLCAR,
+	});
+	const farQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "FAR",
+		rows: safeFarData,
+		active: activeTab === "FAR",
+		caseManager: farCaseManager,
+		fieldFilter: fieldFilters.FAR,
+	});
+	const facQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "FAC",
+		rows: safeFacData,
+		active: activeTab === "FAC",
+		caseManager: facCaseManager,
+		fieldFilter: fieldFilters.FAC,
+	});
+	const ivacQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "IVAC",
+		rows: safeIvacData,
+		active: activeTab === "IVAC",
+		caseManager: ivacCaseManager,
+		fieldFilter: fieldFilters.IVAC,
+	});
+	const spQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "SP",
+		rows: safeSpData,
+		active: activeTab === "SP",
+		caseManager: spCaseManager,
+		fieldFilter: fieldFilters.SP,
+	});
+	const faQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "FA",
+		rows: safeFaData,
+		active: activeTab === "FA",
+		caseManager: faCaseManager,
+		fieldFilter: fieldFilters.FA,
+	});
+	const pwdQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "PWD",
+		rows: safePwdData,
+		active: activeTab === "PWD",
+		caseManager: pwdCaseManager,
+		fieldFilter: fieldFilters.PWD,
+	});
+	const scQuery = useCaseTableQuery({
+		...tableQueryArgs,
+		caseType: "SC",
+		rows: safeScData,
+		active: activeTab === "SC",
+		caseManager: scCaseManager,
+		fieldFilter: fieldFilters.SC,
+	});
 
 	// Initialize CASE table with dynamic columns (handler referenced above)
 	const caseTable = useDataTable({
-		initialData: caseSortedData,
+		initialData: caseQuery.rows,
+		...caseQuery.tableOptions,
 		// CHANGED: pass edit handler so actions column calls this for “Edit”
-		columns: createCaseColumns(
-			handleEnrollClick,
-			handleEditCaseRow,
-			handleExportCaseRow,
-			handleDeleteClick,
-			handleDocumentsClick,
-		),
+		columns: [
+			selectColumn,
+			...createCaseColumns(
+				handleEnrollClick,
+				handleEditCaseRow,
+				handleExportCaseRow,
+				handleDeleteClick,
+				handleDocumentsClick,
+				handleTransferClick,
+				handleClosureClick,
+				handleRelatedClick,
+				handleHouseholdClick,
+				handlePrintClick,
+			),
+		],
 	});
 
 	// Table instance for CICLCAR tab with its own data and column definitions
 	const ciclcarTable = useDataTable({
-		initialData: ciclcarSortedData,
-		columns: ciclcarColumns(
-			handleEnrollClick,
-			handleEditCiclcarRow,
-			handleExportCaseRow,
-			handleDeleteClick,
-			getCiclcarPrefetchedEnrollments,
-			handleDocumentsClick,
-		),
+		initialData: ciclcarQuery.rows,
+		...ciclcarQuery.tableOptions,
+		columns: [
+			selectColumn,
+			...ciclcarColumns(
+				handleEnrollClick,
+				handleEditCiclcarRow,
+				handleExportCaseRow,
+				handleDeleteClick,
+				getCiclcarPrefetchedEnrollments,
+				handleDocumentsClick,
+				handleTransferClick,
+				handleClosureClick,
+				handleRelatedClick,
+				handleHouseholdClick,
+				handlePrintClick,
+			),
+		],
 		onRowClick: handleEditCiclcarRow, // Add click handler for CICL/CAR rows
 	});
 
 	// Table instance for FAR tab with its own data and column definitions
 	const farTable = useDataTable({
-		initialData: farSortedData,
-		columns: farColumns(
-			handleEnrollClick,
-			handleEditFarRow,
-			handleDeleteClick,
-			handleDocumentsClick,
-		),
+		initialData: farQuery.rows,
+		...farQuery.tableOptions,
+		columns: [
+			selectColumn,
+			...farColumns(
+				handleEnrollClick,
+				handleEditFarRow,
+				handleDeleteClick,
+				handleDocumentsClick,
+				handleTransferClick,
+				handleClosureClick,
+				handleRelatedClick,
+				handleHouseholdClick,
+				handlePrintClick,
+			),
+		],
 		onRowClick: handleEditFarRow, // Add click handler for FAR rows
 	});
 
 	// Table instance for FAC tab with its own data and column definitions
 	const facTable = useDataTable({
-		initialData: facSortedData,
-		columns: facColumns(
-			handleEditFacRow,
-			handleExportCaseRow,
-			handleDeleteClick,
-			handleDocumentsClick,
-		),
+		initialData: facQuery.rows,
+		...facQuery.tableOptions,
+		columns: [
+			selectColumn,
+			...facColumns(
+				handleEditFacRow,
+				handleExportCaseRow,
+				handleDeleteClick,
+				handleDocumentsClick,
+				handleTransferClick,
+				handleClosureClick,
+				handleRelatedClick,
+				handleHouseholdClick,
+				handlePrintClick,
+			),
+		],
 		onRowClick: handleEditFacRow, // Add click handler for FAC rows
 	});
 
 	// Table instance for IVAC tab with its own data and column definitions
 	const ivacTable = useDataTable({
-		initialData: ivacSortedData,
-		columns: ivacColumns(
-			handleEditIvacRow,
-			handleExportCaseRow,
-			handleDeleteClick,
-			handleDocumentsClick,
-		),
+		initialData: ivacQuery.rows,
+		...ivacQuery.tableOptions,
+		columns: [
+			selectColumn,
+			...ivacColumns(
+				handleEditIvacRow,
+				handleExportCaseRow,
+				handleDeleteClick,
+				handleDocumentsClick,
+				handleRelatedClick,
+				handlePrintClick,
+			),
+		],
 		onRowClick: handleEditIvacRow, // Add click handler for IVAC rows
 	});
 
 	// Table instance for Single Parents tab with its own data and column definitions
 	const spTable = useDataTable({
-		initialData: spSortedData,
-		columns: spColumns(
-			handleEditSpRow,
-			handleExportCaseRow,
-			handleDeleteClick,
-			handleDocumentsClick,
-		),
+		initialData: spQuery.rows,
+		...spQuery.tableOptions,
+		columns: [
+			selectColumn,
+			...spColumns(
+				handleEditSpRow,
+				handleExportCaseRow,
+				handleDeleteClick,
+				handleDocumentsClick,
+				handleTransferClick,
+				handleClosureClick,
+				handleRelatedClick,
+				handleHouseholdClick,
+				handlePrintClick,
+			),
+		],
 	});
 
 	// Table instance for Financial Assistance tab with its own data and column definitions
 	const faTable = useDataTable({
-		initialData: faSortedData,
-		columns: faColumns(
-			handleEnrollClick,
-			handleEditFaRow,
-			handleDeleteClick,
-			handleDocumentsClick,
-		),
+		initialData: faQuery.rows,
+		...faQuery.tableOptions,
+		columns: [
+			selectColumn,
+			...faColumns(
+				handleEnrollClick,
+				handleEditFaRow,
+				handleDeleteClick,
+				handleDocumentsClick,
+				handleTransferClick,
+				handleClosureClick,
+				handleRelatedClick,
+				handleHouseholdClick,
+				handlePrintClick,
+			),
+		],
 		onRowClick: handleEditFaRow,
 	});
 
 	// Table instance for Persons with Disabilities tab with its own data and column definitions
 	const pwdTable = useDataTable({
-		initialData: pwdSortedData,
-		columns: pwdColumns(
-			handleEditPwdRow,
-			handleExportCaseRow,
-			handleDeleteClick,
-			handleDocumentsClick,
-		),
+		initialData: pwdQuery.rows,
+		...pwdQuery.tableOptions,
+		columns: [
+			selectColumn,
+			...pwdColumns(
+				handleEditPwdRow,
+				handleExportCaseRow,
+				handleDeleteClick,
+				handleDocumentsClick,
+				handleTransferClick,
+				handleClosureClick,
+				handleRelatedClick,
+				handleHouseholdClick,
+				handlePrintClick,
+			),
+		],
 		onRowClick: handleEditPwdRow,
 	});
 
 	// Table instance for Senior Citizen tab with its own data and column definitions
 	const scTable = useDataTable({
-		initialData: scSortedData,
-		columns: scColumns(
-			handleEditScRow,
-			handleExportCaseRow,
-			handleDeleteClick,
-			handleDocumentsClick,
-		),
+		initialData: scQuery.rows,
+		...scQuery.tableOptions,
+		columns: [
+			selectColumn,
+			...scColumns(
+				handleEditScRow,
+				handleExportCaseRow,
+				handleDeleteClick,
+				handleDocumentsClick,
+				handleTransferClick,
+				handleClosureClick,
+				handleRelatedClick,
+				handleHouseholdClick,
+				handlePrintClick,
+			),
+		],
 		onRowClick: handleEditScRow,
 	});
 
-	React.useEffect(() => {
-		caseTable.table.setPageIndex(0);
-		ciclcarTable.table.setPageIndex(0);
-		farTable.table.setPageIndex(0);
-		facTable.table.setPageIndex(0);
-		ivacTable.table.setPageIndex(0);
-		spTable.table.setPageIndex(0);
-		faTable.table.setPageIndex(0);
-		pwdTable.table.setPageIndex(0);
-		scTable.table.setPageIndex(0);
-	}, [
-		searchQuery,
-		advancedFilters.status,
-		advancedFilters.priority,
-		advancedFilters.dateFrom,
-		advancedFilters.dateTo,
-		caseTable.table,
-		ciclcarTable.table,
-		farTable.table,
-		facTable.table,
-		ivacTable.table,
-		spTable.table,
-		faTable.table,
-		pwdTable.table,
-		scTable.table,
-	]);
-
 	// ============================
 	//* TAB TRIGGER SECTION WAPPER
 	// ============================
@@ -2812,6 +3324,27 @@ export function DataTable({
 		return () => window.removeEventListener("open-intake-modal", onOpen);
 	}, []);
 
+	React.useEffect(() => {
+		function onResume(event) {
+			const { draftId, caseType } = event.detail ?? {};
+			setActiveTab(caseType);
+			onTabChange?.(caseType);
+			setResumeDraftId(draftId);
+			if (caseType === "PWD") setOpenPwdIntakeSheet(true);
+			else if (caseType === "SC") setOpenScIntakeSheet(true);
+			else setOpenIntakeSheet(true);
+		}
+		window.addEventListener("resume-intake-draft", onResume);
+		return () =>
+			window.removeEventListener("resume-intake-draft", onResume);
+	}, [onTabChange]);
+
+	React.useEffect(() => {
+		if (!openIntakeSheet && !openPwdIntakeSheet && !openScIntakeSheet) {
+			setResumeDraftId(null);
+		}
+	}, [openIntakeSheet, openPwdIntakeSheet, openScIntakeSheet]);
+
 	// ============================
 	//* KEYBOARD SHORTCUT FOR REFRESH
 	// ============================
@@ -2989,6 +3522,7 @@ export function DataTable({
 									<IntakeSheetCaseCreate
 										open={openIntakeSheet}
 										setOpen={setOpenIntakeSheet}
+										draftId={resumeDraftId}
 										onSuccess={handleRefresh}
 									/>
 
@@ -3123,6 +3657,7 @@ export function DataTable({
 									<IntakeSheetCICLCARCreate
 										open={openIntakeSheet}
 										setOpen={setOpenIntakeSheet}
+										draftId={resumeDraftId}
 										onSuccess={handleRefresh}
 									/>
 
@@ -3406,6 +3941,7 @@ export function DataTable({
 									<IntakeSheetFAC
 										open={openIntakeSheet}
 										setOpen={setOpenIntakeSheet}
+										draftId={resumeDraftId}
 										onSuccess={handleRefresh}
 									/>
 
@@ -3975,6 +4511,7 @@ export function DataTable({
 											}
 										}}
 										editingRecord={editingPwdRecord}
+										draftId={resumeDraftId}
 										onSuccess={handleRefresh}
 									/>
 								</>
@@ -4109,6 +4646,7 @@ export function DataTable({
 											}
 										}}
 										editingRecord={editingScRecord}
+										draftId={resumeDraftId}
 										onSuccess={handleRefresh}
 									/>
 								</>
@@ -4128,6 +4666,25 @@ export function DataTable({
 							/>
 						</div>
 
+						<CaseFilterViewsMenu
+							caseType={activeTab}
+							currentFilters={currentViewFilters}
+							activeViewId={activeViewId}
+							onApply={applyFilterView}
+						/>
+
+						<CaseFieldFilterBuilder
+							caseType={activeTab}
+							value={fieldFilters[activeTab]}
+							onChange={(next) => {
+								setFieldFilters((prev) => ({
+									...prev,
+									[activeTab]: next,
+								}));
+							}}
+							rows={rowsByTab[activeTab]}
+						/>
+
 						<Popover>
 							<PopoverTrigger asChild>
 								<Button
@@ -4167,16 +4724,43 @@ export function DataTable({
 													<SelectItem value="all">
 														All
 													</SelectItem>
-													{statusOptions.map(
-														(status) => (
-															<SelectItem
-																key={status}
-																value={status}
-															>
-																{status}
-															</SelectItem>
-														),
-													)}
+													<SelectGroup>
+														<SelectLabel>
+															Lifecycle
+														</SelectLabel>
+														{CASE_LIFECYCLE_STATES.map(
+															(state) => (
+																<SelectItem
+																	key={
+																		state.value
+																	}
+																	value={`${LIFECYCLE_FILTER_PREFIX}${state.value}`}
+																>
+																	{
+																		state.label
+																	}
+																</SelectItem>
+															),
+														)}
+													</SelectGroup>
+													<SelectSeparator />
+													<SelectGroup>
+														<SelectLabel>
+															Recorded status
+														</SelectLabel>
+														{statusOptions.map(
+															(status) => (
+																<SelectItem
+																	key={status}
+																	value={
+																		status
+																	}
+																>
+																	{status}
+																</SelectItem>
+															),
+														)}
+													</SelectGroup>
 												</SelectContent>
 											</Select>
 										</div>
@@ -4259,6 +4843,28 @@ export function DataTable({
 										</div>
 									</div>
 
+									<div className="flex items-center gap-2">
+										<Checkbox
+											id="include-archived-cases"
+											checked={
+												advancedFilters.includeArchived
+											}
+											onCheckedChange={(value) =>
+												setAdvancedFilters((prev) => ({
+													...prev,
+													includeArchived:
+														value === true,
+												}))
+											}
+										/>
+										<Label
+											htmlFor="include-archived-cases"
+											className="text-xs font-normal"
+										>
+											Include archived cases
+										</Label>
+									</div>
+
 									<div className="flex items-center justify-between pt-1">
 										<div className="text-xs text-muted-foreground">
 											{hasActiveGlobalFilters
@@ -4289,6 +4895,20 @@ export function DataTable({
 								Clear
 							</Button>
 						)}
+
+						{IMPORT_CASE_TYPE_KEYS.includes(activeTab) && (
+							<PermissionGuard permission="create_case">
+								<Button
+									variant="outline"
+									size="sm"
+									onClick={() => setImportDialogOpen(true)}
+									className="cursor-pointer"
+								>
+									<IconFileImport />
+									Import Excel
+								</Button>
+							</PermissionGuard>
+						)}
 					</div>
 
 					<div className="flex flex-wrap items-center justify-between gap-2">
@@ -4413,6 +5033,12 @@ export function DataTable({
 					value="CASE"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="CASE"
+						table={caseTable.table}
+						query={caseQuery}
+						onDone={reloadByCaseType.CASE}
+					/>
 					<TableRenderer
 						table={caseTable.table}
 						setData={caseTable.setData}
@@ -4429,6 +5055,12 @@ export function DataTable({
 					value="CICLCAR"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="CICLCAR"
+						table={ciclcarTable.table}
+						query={ciclcarQuery}
+						onDone={reloadByCaseType.CICLCAR}
+					/>
 					<TableRenderer
 						table={ciclcarTable.table}
 						setData={ciclcarTable.setData}
@@ -4439,6 +5071,11 @@ export function DataTable({
 							handleDeleteClick,
 							getCiclcarPrefetchedEnrollments,
 							handleDocumentsClick,
+							handleTransferClick,
+							handleClosureClick,
+							handleRelatedClick,
+							handleHouseholdClick,
+							handlePrintClick,
 						)}
 						onRowClick={handleEditCiclcarRow}
 					/>
@@ -4453,6 +5090,12 @@ export function DataTable({
 					value="FAR"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="FAR"
+						table={farTable.table}
+						query={farQuery}
+						onDone={reloadByCaseType.FAR}
+					/>
 					<TableRenderer
 						table={farTable.table}
 						setData={farTable.setData}
@@ -4461,6 +5104,11 @@ export function DataTable({
 							handleEditFarRow,
 							handleDeleteClick,
 							handleDocumentsClick,
+							handleTransferClick,
+							handleClosureClick,
+							handleRelatedClick,
+							handleHouseholdClick,
+							handlePrintClick,
 						)}
 						onRowClick={handleEditFarRow}
 					/>
@@ -4476,6 +5124,12 @@ export function DataTable({
 					value="IVAC"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="IVAC"
+						table={ivacTable.table}
+						query={ivacQuery}
+						onDone={reloadByCaseType.IVAC}
+					/>
 					<TableRenderer
 						table={ivacTable.table}
 						setData={ivacTable.setData}
@@ -4484,6 +5138,8 @@ export function DataTable({
 							handleExportCaseRow,
 							handleDeleteClick,
 							handleDocumentsClick,
+							handleRelatedClick,
+							handlePrintClick,
 						)}
 						onRowClick={handleEditIvacRow}
 					/>
@@ -4498,6 +5154,12 @@ export function DataTable({
 					value="FAC"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="FAC"
+						table={facTable.table}
+						query={facQuery}
+						onDone={reloadByCaseType.FAC}
+					/>
 					<TableRenderer
 						table={facTable.table}
 						setData={facTable.setData}
@@ -4506,6 +5168,11 @@ export function DataTable({
 							handleExportCaseRow,
 							handleDeleteClick,
 							handleDocumentsClick,
+							handleTransferClick,
+							handleClosureClick,
+							handleRelatedClick,
+							handleHouseholdClick,
+							handlePrintClick,
 						)}
 						onRowClick={handleEditFacRow}
 					/>
@@ -4521,6 +5188,12 @@ export function DataTable({
 					value="SP"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="SP"
+						table={spTable.table}
+						query={spQuery}
+						onDone={reloadByCaseType.SP}
+					/>
 					<TableRenderer
 						table={spTable.table}
 						setData={spTable.setData}
@@ -4529,6 +5202,11 @@ export function DataTable({
 							handleExportCaseRow,
 							handleDeleteClick,
 							handleDocumentsClick,
+							handleTransferClick,
+							handleClosureClick,
+							handleRelatedClick,
+							handleHouseholdClick,
+							handlePrintClick,
 						)}
 						onRowClick={handleEditSpRow}
 					/>
@@ -4544,6 +5222,12 @@ export function DataTable({
 					value="FA"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="FA"
+						table={faTable.table}
+						query={faQuery}
+						onDone={reloadByCaseType.FA}
+					/>
 					<TableRenderer
 						table={faTable.table}
 						setData={faTable.setData}
@@ -4552,6 +5236,11 @@ export function DataTable({
 							handleEditFaRow,
 							handleDeleteClick,
 							handleDocumentsClick,
+							handleTransferClick,
+							handleClosureClick,
+							handleRelatedClick,
+							handleHouseholdClick,
+							handlePrintClick,
 						)}
 						onRowClick={handleEditFaRow}
 					/>
@@ -4567,6 +5256,12 @@ export function DataTable({
 					value="PWD"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="PWD"
+						table={pwdTable.table}
+						query={pwdQuery}
+						onDone={reloadByCaseType.PWD}
+					/>
 					<TableRenderer
 						table={pwdTable.table}
 						setData={pwdTable.setData}
@@ -4575,6 +5270,11 @@ export function DataTable({
 							handleExportCaseRow,
 							handleDeleteClick,
 							handleDocumentsClick,
+							handleTransferClick,
+							handleClosureClick,
+							handleRelatedClick,
+							handleHouseholdClick,
+							handlePrintClick,
 						)}
 						onRowClick={handleEditPwdRow}
 					/>
@@ -4590,6 +5290,12 @@ export function DataTable({
 					value="SC"
 					className="relative flex flex-col gap-4 overflow-auto px-4 lg:px-6"
 				>
+					<CaseBulkActionBar
+						caseType="SC"
+						table={scTable.table}
+						query={scQuery}
+						onDone={reloadByCaseType.SC}
+					/>
 					<TableRenderer
 						table={scTable.table}
 						setData={scTable.setData}
@@ -4598,12 +5304,53 @@ export function DataTable({
 							handleExportCaseRow,
 							handleDeleteClick,
 							handleDocumentsClick,
+							handleTransferClick,
+							handleClosureClick,
+							handleRelatedClick,
+							handleHouseholdClick,
+							handlePrintClick,
 						)}
 						onRowClick={handleEditScRow}
 					/>
 					<PaginationControls table={scTable.table} />
 				</TabsContent>
 
+				<TransferCaseDialog
+					open={transferDialogOpen}
+					onOpenChange={setTransferDialogOpen}
+					caseType={transferContext.caseType}
+					caseRow={transferContext.caseRow}
+				/>
+
+				<CaseClosureDialog
+					open={closureDialogOpen}
+					onOpenChange={setClosureDialogOpen}
+					caseType={closureContext.caseType}
+					caseRow={closureContext.caseRow}
+					onDone={reloadByCaseType[closureContext.caseType]}
+				/>
+
+				<RelatedCasesDialog
+					open={relatedDialogOpen}
+					onOpenChange={setRelatedDialogOpen}
+					caseType={relatedContext.caseType}
+					caseRow={relatedContext.caseRow}
+				/>
+
+				<HouseholdDialog
+					open={householdDialogOpen}
+					onOpenChange={setHouseholdDialogOpen}
+					caseType={householdContext.caseType}
+					caseRow={householdContext.caseRow}
+				/>
+
+				<CaseImportDialog
+					open={importDialogOpen}
+					onOpenChange={setImportDialogOpen}
+					caseType={activeTab}
+					onDone={reloadByCaseType[activeTab]}
+				/>
+
 				{/* Documents Dialog */}
 				<Dialog
 					open={documentsDialogOpen}
@@ -89,8 +89,8 @@ export default function DraggableRow({ row, cellClass, onClick }) {
             ? { ...attributes, ...listeners }
             : {})}
           onClick={(e) => {
-            if (cell.column.id === "drag") {
-              e.stopPropagation(); // prevent modal on drag handle click
+            if (cell.column.id === "drag" || cell.column.id === "select") {
+              e.stopPropagation(); // prevent modal on drag handle / checkbox click
             }
           }}
         >
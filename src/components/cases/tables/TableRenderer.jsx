@@ -8,6 +8,8 @@
 // Key Responsibilities:
 // - Provide drag-and-drop interface for table rows using @dnd-kit
 // - Render table headers and body with sortable context
+// - Toggle sorting from the headers of columns listed in the table's
+//   `meta.sortableColumns`
 // - Manage row click events for opening edit modals based on user role
 // - Integrate with IntakeSheetCaseEdit for record editing
 // - Enforce role-based access (super_admin can edit, others can view)
@@ -38,6 +40,7 @@ import {
 } from "@dnd-kit/core";
 import { restrictToVerticalAxis } from "@dnd-kit/modifiers";
 import { flexRender } from "@tanstack/react-table";
+import { ArrowDown, ArrowUp, ArrowUpDown } from "lucide-react";
 import {
   SortableContext,
   verticalListSortingStrategy,
@@ -193,20 +196,48 @@ export default function TableRenderer({ table, setData, columns, onRowClick }) {
                 {table.getHeaderGroups().map((headerGroup) => (
                   <TableRow key={headerGroup.id}>
                     {headerGroup.headers.map((header) => {
-        
+                      const content = header.isPlaceholder
+                        ? null
+                        : flexRender(
+                            header.column.columnDef.header,
+                            header.getContext()
+                          );
+                      const sortable =
+                        !header.isPlaceholder &&
+                        table.options.meta?.sortableColumns?.has(header.column.id);
+                      const sorted = header.column.getIsSorted();
 
                       return (
                         <TableHead
                           key={header.id}
                           colSpan={header.colSpan}
                           className={`text-center`}
+                          aria-sort={
+                            sorted === "asc"
+                              ? "ascending"
+                              : sorted === "desc"
+                                ? "descending"
+                                : undefined
+                          }
                         >
-                          {header.isPlaceholder
-                            ? null
-                            : flexRender(
-                                header.column.columnDef.header,
-                                header.getContext()
+                          {sortable ? (
+                            <button
+                              type="button"
+                              className="inline-flex items-center gap-1 cursor-pointer"
+                              onClick={header.column.getToggleSortingHandler()}
+                            >
+                              {content}
+                              {sorted === "asc" ? (
+                                <ArrowUp className="h-3 w-3" />
+                              ) : sorted === "desc" ? (
+                                <ArrowDown className="h-3 w-3" />
+                              ) : (
+                                <ArrowUpDown className="h-3 w-3 text-muted-foreground" />
                               )}
+                            </button>
+                          ) : (
+                            content
+                          )}
                         </TableHead>
                       );
                     })}
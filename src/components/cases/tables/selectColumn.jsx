@@ -0,0 +1,36 @@
+import { Checkbox } from "@/components/ui/checkbox";
+
+// ====================
+// Row selection column for the case tabs
+// ====================
+// The header box selects the rows on the current page; the bulk action bar
+// offers selecting every filtered row. DraggableRow keeps clicks in this
+// column from opening the record.
+export const selectColumn = {
+	id: "select",
+	header: ({ table }) => (
+		<div className="flex items-center justify-center">
+			<Checkbox
+				checked={
+					table.getIsAllPageRowsSelected() ||
+					(table.getIsSomePageRowsSelected() && "indeterminate")
+				}
+				onCheckedChange={(value) =>
+					table.toggleAllPageRowsSelected(value === true)
+				}
+				aria-label="Select all rows on this page"
+			/>
+		</div>
+	),
+	cell: ({ row }) => (
+		<div className="flex items-center justify-center">
+			<Checkbox
+				checked={row.getIsSelected()}
+				onCheckedChange={(value) => row.toggleSelected(value === true)}
+				aria-label="Select row"
+			/>
+		</div>
+	),
+	enableSorting: false,
+	enableHiding: false,
+};
@@ -0,0 +1,264 @@
+/**
+ * @file ClientMatchPanel.jsx
+ * @description Inline duplicate-client warning for intake forms
+ * @module components/clients/ClientMatchPanel
+ *
+ * Features:
+ * - Looks up existing clients as the name, birth date and barangay are typed
+ * - Explains each candidate (same name, birth date, barangay) and lists their
+ *   cases, calling out earlier FA/FAR assistance
+ * - Link the intake to a candidate instead of registering a new client, or
+ *   dismiss the candidates as a different person
+ * - Searches cached cases while offline
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { AlertTriangle, Link2, Loader2 } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { useAuthStore } from "@/store/authStore";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { findClientMatches } from "@/services/clientMatchService";
+
+const SEARCH_DELAY_MS = 600;
+
+const ASSISTANCE_CASE_TYPES = new Set(["FA", "FAR"]);
+
+const formatDate = (value) =>
+	value ? new Date(value).toLocaleDateString() : null;
+
+/**
+ * One line per module, e.g. "Financial Assistance ×2, last 3/4/2026".
+ * @param {import("@/services/clientMatchService").ClientMatchCase[]} cases
+ */
+function summarizeCases(cases) {
+	const groups = new Map();
+	for (const entry of cases) {
+		const group = groups.get(entry.caseType) ?? {
+			caseType: entry.caseType,
+			label: entry.label,
+			count: 0,
+			last: null,
+		};
+		group.count += 1;
+		if (entry.createdAt && (!group.last || entry.createdAt > group.last)) {
+			group.last = entry.createdAt;
+		}
+		groups.set(entry.caseType, group);
+	}
+	return [...groups.values()];
+}
+
+/**
+ * Client Match Panel Component
+ * @param {Object} props - Component props
+ * @param {Partial<import("@/lib/clientIdentity").ClientIdentity>} props.identity - Values typed so far
+ * @param {string|null} [props.linkedClientId] - Client this intake is linked to
+ * @param {(clientId: string|null) => void} props.onLinkChange - Link or unlink
+ * @returns {JSX.Element|null} Candidate list, link status, or nothing
+ */
+export default function ClientMatchPanel({
+	identity,
+	linkedClientId = null,
+	onLinkChange,
+}) {
+	const isOnline = useNetworkStatus();
+	const offlineMode = useAuthStore((s) => s.offlineMode);
+	const localOnly = !isOnline || offlineMode;
+	const [matches, setMatches] = useState([]);
+	const [local, setLocal] = useState(false);
+	const [searching, setSearching] = useState(false);
+	const [dismissedKey, setDismissedKey] = useState(null);
+	const [linkedName, setLinkedName] = useState(null);
+
+	const { fullName, birthDate, barangay, address } = identity;
+	const searchKey = useMemo(
+		() =>
+			JSON.stringify([
+				fullName?.trim() ?? "",
+				birthDate ?? "",
+				barangay ?? "",
+				address ?? "",
+			]),
+		[fullName, birthDate, barangay, address],
+	);
+
+	useEffect(() => {
+		if (linkedClientId) return undefined;
+		let cancelled = false;
+		const timer = setTimeout(async () => {
+			setSearching(true);
+			const [name, date, place, street] = JSON.parse(searchKey);
+			const result = await findClientMatches(
+				{
+					fullName: name,
+					birthDate: date || null,
+					barangay: place || null,
+					address: street || null,
+				},
+				{ localOnly },
+			);
+			if (cancelled) return;
+			setMatches(result.matches);
+			setLocal(result.local);
+			setSearching(false);
+		}, SEARCH_DELAY_MS);
+		return () => {
+			cancelled = true;
+			clearTimeout(timer);
+		};
+	}, [searchKey, localOnly, linkedClientId]);
+
+	const link = (match) => {
+		setLinkedName(match.fullName);
+		onLinkChange(match.clientId);
+	};
+
+	const unlink = () => {
+		setLinkedName(null);
+		onLinkChange(null);
+	};
+
+	if (linkedClientId) {
+		return (
+			<div className="flex flex-wrap items-center justify-between gap-2 rounded-md border border-emerald-200 bg-emerald-50 p-3 text-sm text-emerald-800">
+				<span className="flex items-center gap-2">
+					<Link2 className="h-4 w-4" />
+					Linked to {linkedName || "an existing client"}. This intake
+					will be added to their record.
+				</span>
+				<Button
+					type="button"
+					variant="ghost"
+					size="sm"
+					onClick={unlink}
+				>
+					Unlink
+				</Button>
+			</div>
+		);
+	}
+
+	if (matches.length === 0 || dismissedKey === searchKey) {
+		return searching ? (
+			<p className="flex items-center gap-2 text-xs text-muted-foreground">
+				<Loader2 className="h-3 w-3 animate-spin" />
+				Checking for existing clients...
+			</p>
+		) : null;
+	}
+
+	return (
+		<div className="space-y-3 rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900">
+			<div className="flex items-start gap-2">
+				<AlertTriangle className="mt-0.5 h-4 w-4 flex-shrink-0 text-amber-600" />
+				<div>
+					<p className="font-medium">
+						This person may already be registered
+					</p>
+					<p className="text-xs text-amber-800">
+						Link the intake to the existing client instead of
+						creating a duplicate.
+						{local
+							? " Offline: showing cases cached on this device."
+							: ""}
+					</p>
+				</div>
+			</div>
+
+			<ul className="space-y-2">
+				{matches.map((match) => {
+					const groups = summarizeCases(match.cases);
+					return (
+						<li
+							key={match.key}
+							className="flex flex-wrap items-start justify-between gap-2 rounded-md border border-amber-200 bg-white p-2 dark:bg-transparent"
+						>
+							<div className="min-w-0 space-y-1">
+								<div className="flex flex-wrap items-center gap-2">
+									<span className="font-medium">
+										{match.fullName}
+									</span>
+									<Badge
+										variant={
+											match.strength === "likely"
+												? "destructive"
+												: "secondary"
+										}
+									>
+										{match.strength === "likely"
+											? "Likely duplicate"
+											: "Possible match"}
+									</Badge>
+								</div>
+								<p className="text-xs text-muted-foreground">
+									{[
+										formatDate(match.birthDate)
+											? `Born ${formatDate(match.birthDate)}`
+											: null,
+										match.barangay,
+										match.reasons.join(" · "),
+									]
+										.filter(Boolean)
+										.join(" — ")}
+								</p>
+								{groups.length > 0 ? (
+									<div className="flex flex-wrap gap-1">
+										{groups.map((group) => (
+											<Badge
+												key={group.caseType}
+												variant="outline"
+												className={
+													ASSISTANCE_CASE_TYPES.has(
+														group.caseType,
+													)
+														? "border-red-300 text-red-700"
+														: undefined
+												}
+											>
+												{group.label}
+												{group.count > 1
+													? ` ×${group.count}`
+													: ""}
+												{ASSISTANCE_CASE_TYPES.has(
+													group.caseType,
+												) && group.last
+													? `, last ${formatDate(group.last)}`
+													: ""}
+											</Badge>
+										))}
+									</div>
+								) : null}
+							</div>
+							<Button
+								type="button"
+								size="sm"
+								variant="outline"
+								disabled={!match.clientId}
+								title={
+									match.clientId
+										? undefined
+										: "This record has not synced yet and cannot be linked"
+								}
+								onClick={() => link(match)}
+							>
+								Link
+							</Button>
+						</li>
+					);
+				})}
+			</ul>
+
+			<div className="flex justify-end">
+				<Button
+					type="button"
+					variant="ghost"
+					size="sm"
+					onClick={() => setDismissedKey(searchKey)}
+				>
+					Not the same person
+				</Button>
+			</div>
+		</div>
+	);
+}
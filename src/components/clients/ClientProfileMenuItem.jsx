@@ -0,0 +1,24 @@
+import { useNavigate } from "react-router-dom";
+import { DropdownMenuItem } from "@/components/ui/dropdown-menu";
+
+/**
+ * "Client profile" entry for case row action menus. Renders nothing until the
+ * row is linked to a registry client; offline-created rows are linked when
+ * they reach the server.
+ *
+ * @param {{ clientId: string|null|undefined }} props
+ */
+export default function ClientProfileMenuItem({ clientId }) {
+	const navigate = useNavigate();
+	if (!clientId) return null;
+	return (
+		<DropdownMenuItem
+			onClick={(e) => {
+				e.stopPropagation();
+				navigate(`/case/clients/${clientId}`);
+			}}
+		>
+			Client profile
+		</DropdownMenuItem>
+	);
+}
@@ -0,0 +1,567 @@
+/**
+ * @file ClientProfileView.jsx
+ * @description One client's record across every case module
+ * @module components/clients/ClientProfileView
+ *
+ * Features:
+ * - Identifying details with an edit dialog
+ * - Every linked case (CASE, CICL/CAR, FAC, FAR, SP, FA, PWD, SC), opening
+ *   its activity timeline on click
+ * - Program enrollments, assistance received and case documents
+ * - Online-only; shows a notice while offline
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import {
+	AlertCircle,
+	ArrowLeft,
+	Download,
+	Edit,
+	Loader2,
+	RefreshCw,
+	WifiOff,
+} from "lucide-react";
+import { toast } from "sonner";
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from "@/components/ui/table";
+import {
+	Card,
+	CardContent,
+	CardDescription,
+	CardHeader,
+	CardTitle,
+} from "@/components/ui/card";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { downloadDocument } from "@/services/documentService";
+import {
+	fetchClientProfile,
+	updateClient,
+} from "@/services/clientRegistryService";
+
+const formatDate = (value) =>
+	value ? new Date(value).toLocaleDateString() : "—";
+
+const formatAmount = (value) => {
+	if (value === null || value === undefined || value === "") return "—";
+	const amount = Number(value);
+	return Number.isFinite(amount)
+		? amount.toLocaleString(undefined, {
+				style: "currency",
+				currency: "PHP",
+			})
+		: `${value}`;
+};
+
+const DETAIL_FIELDS = [
+	{ key: "full_name", label: "Full name" },
+	{ key: "first_name", label: "First name" },
+	{ key: "middle_name", label: "Middle name" },
+	{ key: "last_name", label: "Last name" },
+	{ key: "suffix", label: "Suffix" },
+	{ key: "birth_date", label: "Birth date", type: "date" },
+	{ key: "sex", label: "Sex" },
+	{ key: "barangay", label: "Barangay" },
+	{ key: "address", label: "Address" },
+	{ key: "contact_number", label: "Contact number" },
+];
+
+/**
+ * Empty-state row spanning a table.
+ * @param {{ colSpan: number, children: React.ReactNode }} props
+ */
+function EmptyRow({ colSpan, children }) {
+	return (
+		<TableRow>
+			<TableCell
+				colSpan={colSpan}
+				className="h-16 text-center text-muted-foreground"
+			>
+				{children}
+			</TableCell>
+		</TableRow>
+	);
+}
+
+/**
+ * Edit form for a client's identifying details.
+ * @param {{ client: import("@/services/clientRegistryService").ClientRow, open: boolean, onOpenChange: (open: boolean) => void, onSaved: (client: any) => void }} props
+ */
+function EditClientDialog({ client, open, onOpenChange, onSaved }) {
+	const [values, setValues] = useState({});
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		if (!open) return;
+		setValues(
+			Object.fromEntries(
+				DETAIL_FIELDS.map(({ key }) => [key, client[key] ?? ""]),
+			),
+		);
+	}, [open, client]);
+
+	const handleSave = async () => {
+		setSaving(true);
+		const { data, error } = await updateClient(client.id, values);
+		setSaving(false);
+		if (error) {
+			toast.error("Failed to update client", {
+				description: error.message,
+			});
+			return;
+		}
+		toast.success("Client updated");
+		onSaved(data);
+		onOpenChange(false);
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="sm:max-w-lg">
+				<DialogHeader>
+					<DialogTitle>Edit client</DialogTitle>
+					<DialogDescription>
+						These details identify the client across modules. Case
+						records keep the values entered at intake.
+					</DialogDescription>
+				</DialogHeader>
+				<div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+					{DETAIL_FIELDS.map(({ key, label, type }) => (
+						<div
+							key={key}
+							className={
+								key === "full_name" || key === "address"
+									? "space-y-1 sm:col-span-2"
+									: "space-y-1"
+							}
+						>
+							<Label htmlFor={`client-${key}`}>{label}</Label>
+							<Input
+								id={`client-${key}`}
+								type={type ?? "text"}
+								value={values[key] ?? ""}
+								onChange={(event) =>
+									setValues((prev) => ({
+										...prev,
+										[key]: event.target.value,
+									}))
+								}
+							/>
+						</div>
+					))}
+				</div>
+				<DialogFooter>
+					<Button
+						variant="outline"
+						onClick={() => onOpenChange(false)}
+						disabled={saving}
+					>
+						Cancel
+					</Button>
+					<Button
+						onClick={handleSave}
+						disabled={saving || !`${values.full_name ?? ""}`.trim()}
+					>
+						{saving ? (
+							<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+						) : null}
+						Save
+					</Button>
+				</DialogFooter>
+			</DialogContent>
+		</Dialog>
+	);
+}
+
+/**
+ * Client Profile View Component
+ * @param {Object} props - Component props
+ * @param {string} props.clientId - Registry client id
+ * @returns {JSX.Element} Client profile
+ */
+export default function ClientProfileView({ clientId }) {
+	const navigate = useNavigate();
+	const isOnline = useNetworkStatus();
+	const [profile, setProfile] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [editing, setEditing] = useState(false);
+
+	const load = useCallback(async () => {
+		setLoading(true);
+		const { error: loadError, ...result } =
+			await fetchClientProfile(clientId);
+		setProfile(result);
+		setError(loadError);
+		setLoading(false);
+	}, [clientId]);
+
+	useEffect(() => {
+		if (isOnline) void load();
+	}, [isOnline, load]);
+
+	const handleDownload = async (row) => {
+		try {
+			await downloadDocument({ documentRow: row });
+		} catch (err) {
+			console.error("Download failed:", err);
+			toast.error("Download failed", {
+				description: err?.message || "Please try again.",
+			});
+		}
+	};
+
+	const backLink = (
+		<Button variant="ghost" size="sm" asChild>
+			<Link to="/case/clients">
+				<ArrowLeft className="mr-2 h-4 w-4" />
+				All clients
+			</Link>
+		</Button>
+	);
+
+	if (!isOnline) {
+		return (
+			<div className="space-y-4">
+				{backLink}
+				<Alert>
+					<WifiOff className="h-4 w-4" />
+					<AlertDescription>
+						Client profiles need a connection. Case records remain
+						available offline under Case Management.
+					</AlertDescription>
+				</Alert>
+			</div>
+		);
+	}
+
+	if (loading && !profile) {
+		return (
+			<div className="flex items-center gap-2 text-muted-foreground">
+				<Loader2 className="h-4 w-4 animate-spin" />
+				Loading client...
+			</div>
+		);
+	}
+
+	const client = profile?.client;
+	if (error || !client) {
+		return (
+			<div className="space-y-4">
+				{backLink}
+				<Alert variant="destructive">
+					<AlertCircle className="h-4 w-4" />
+					<AlertDescription>
+						{error?.message || "Client not found."}
+					</AlertDescription>
+				</Alert>
+			</div>
+		);
+	}
+
+	const { cases, enrollments, assistance, documents } = profile;
+
+	return (
+		<div className="space-y-4">
+			<div className="flex flex-wrap items-center justify-between gap-2">
+				{backLink}
+				<Button
+					variant="outline"
+					size="sm"
+					onClick={load}
+					disabled={loading}
+				>
+					<RefreshCw
+						className={`mr-2 h-4 w-4 ${loading ? "animate-spin" : ""}`}
+					/>
+					Refresh
+				</Button>
+			</div>
+
+			<Card>
+				<CardHeader className="flex flex-row items-start justify-between gap-2">
+					<div>
+						<CardTitle className="text-xl">
+							{client.full_name}
+						</CardTitle>
+						<CardDescription>
+							Registered {formatDate(client.created_at)} ·{" "}
+							{cases.length} case{cases.length === 1 ? "" : "s"}
+						</CardDescription>
+					</div>
+					<Button
+						variant="outline"
+						size="sm"
+						onClick={() => setEditing(true)}
+					>
+						<Edit className="mr-2 h-4 w-4" />
+						Edit
+					</Button>
+				</CardHeader>
+				<CardContent>
+					<dl className="grid grid-cols-1 gap-x-6 gap-y-2 text-sm sm:grid-cols-3">
+						<div>
+							<dt className="text-muted-foreground">
+								Birth date
+							</dt>
+							<dd>{formatDate(client.birth_date)}</dd>
+						</div>
+						<div>
+							<dt className="text-muted-foreground">Sex</dt>
+							<dd>{client.sex || "—"}</dd>
+						</div>
+						<div>
+							<dt className="text-muted-foreground">
+								Contact number
+							</dt>
+							<dd>{client.contact_number || "—"}</dd>
+						</div>
+						<div>
+							<dt className="text-muted-foreground">Barangay</dt>
+							<dd>{client.barangay || "—"}</dd>
+						</div>
+						<div className="sm:col-span-2">
+							<dt className="text-muted-foreground">Address</dt>
+							<dd>{client.address || "—"}</dd>
+						</div>
+					</dl>
+				</CardContent>
+			</Card>
+
+			<Card>
+				<CardHeader>
+					<CardTitle>Cases</CardTitle>
+					<CardDescription>
+						Case records linked to this client in every module
+					</CardDescription>
+				</CardHeader>
+				<CardContent>
+					<Table>
+						<TableHeader>
+							<TableRow>
+								<TableHead>Module</TableHead>
+								<TableHead>Name on record</TableHead>
+								<TableHead>Status</TableHead>
+								<TableHead>Case manager</TableHead>
+								<TableHead>Opened</TableHead>
+							</TableRow>
+						</TableHeader>
+						<TableBody>
+							{cases.length === 0 ? (
+								<EmptyRow colSpan={5}>
+									No linked cases.
+								</EmptyRow>
+							) : (
+								cases.map((entry) => (
+									<TableRow
+										key={`${entry.caseType}:${entry.id}`}
+										className="cursor-pointer"
+										onClick={() =>
+											navigate(
+												`/case/records/${entry.caseType}/${entry.id}`,
+											)
+										}
+									>
+										<TableCell>
+											<Badge variant="outline">
+												{entry.label}
+											</Badge>
+										</TableCell>
+										<TableCell>
+											{entry.name || "—"}
+										</TableCell>
+										<TableCell className="capitalize">
+											{entry.status || "—"}
+										</TableCell>
+										<TableCell>
+											{entry.case_manager || "—"}
+										</TableCell>
+										<TableCell>
+											{formatDate(entry.created_at)}
+										</TableCell>
+									</TableRow>
+								))
+							)}
+						</TableBody>
+					</Table>
+				</CardContent>
+			</Card>
+
+			<Card>
+				<CardHeader>
+					<CardTitle>Program enrollments</CardTitle>
+				</CardHeader>
+				<CardContent>
+					<Table>
+						<TableHeader>
+							<TableRow>
+								<TableHead>Program</TableHead>
+								<TableHead>Type</TableHead>
+								<TableHead>Status</TableHead>
+								<TableHead>Enrolled</TableHead>
+							</TableRow>
+						</TableHeader>
+						<TableBody>
+							{enrollments.length === 0 ? (
+								<EmptyRow colSpan={4}>No enrollments.</EmptyRow>
+							) : (
+								enrollments.map((enrollment) => (
+									<TableRow key={enrollment.id}>
+										<TableCell>
+											{enrollment.program?.program_name ||
+												"—"}
+										</TableCell>
+										<TableCell className="capitalize">
+											{enrollment.program?.program_type ||
+												"—"}
+										</TableCell>
+										<TableCell className="capitalize">
+											{enrollment.status || "—"}
+										</TableCell>
+										<TableCell>
+											{formatDate(
+												enrollment.enrollment_date,
+											)}
+										</TableCell>
+									</TableRow>
+								))
+							)}
+						</TableBody>
+					</Table>
+				</CardContent>
+			</Card>
+
+			<Card>
+				<CardHeader>
+					<CardTitle>Assistance</CardTitle>
+					<CardDescription>
+						Financial and family assistance records and program
+						service deliveries
+					</CardDescription>
+				</CardHeader>
+				<CardContent>
+					<Table>
+						<TableHeader>
+							<TableRow>
+								<TableHead>Date</TableHead>
+								<TableHead>Source</TableHead>
+								<TableHead>Details</TableHead>
+								<TableHead className="text-right">
+									Amount
+								</TableHead>
+							</TableRow>
+						</TableHeader>
+						<TableBody>
+							{assistance.length === 0 ? (
+								<EmptyRow colSpan={4}>
+									No assistance recorded.
+								</EmptyRow>
+							) : (
+								assistance.map((entry) => (
+									<TableRow key={entry.key}>
+										<TableCell>
+											{formatDate(entry.date)}
+										</TableCell>
+										<TableCell>
+											<Badge variant="secondary">
+												{entry.source}
+											</Badge>
+										</TableCell>
+										<TableCell>
+											{entry.description}
+										</TableCell>
+										<TableCell className="text-right">
+											{formatAmount(entry.amount)}
+										</TableCell>
+									</TableRow>
+								))
+							)}
+						</TableBody>
+					</Table>
+				</CardContent>
+			</Card>
+
+			<Card>
+				<CardHeader>
+					<CardTitle>Documents</CardTitle>
+					<CardDescription>
+						Files attached to this client's cases
+					</CardDescription>
+				</CardHeader>
+				<CardContent>
+					<Table>
+						<TableHeader>
+							<TableRow>
+								<TableHead>Title</TableHead>
+								<TableHead>Case</TableHead>
+								<TableHead>Uploaded</TableHead>
+								<TableHead className="text-right">
+									Actions
+								</TableHead>
+							</TableRow>
+						</TableHeader>
+						<TableBody>
+							{documents.length === 0 ? (
+								<EmptyRow colSpan={4}>No documents.</EmptyRow>
+							) : (
+								documents.map((row) => (
+									<TableRow key={row.id}>
+										<TableCell>
+											{row.title || row.original_filename}
+										</TableCell>
+										<TableCell>
+											{row.case?.label ?? "—"}
+										</TableCell>
+										<TableCell>
+											{formatDate(row.created_at)}
+										</TableCell>
+										<TableCell className="text-right">
+											<Button
+												variant="ghost"
+												size="sm"
+												onClick={() =>
+													handleDownload(row)
+												}
+											>
+												<Download className="mr-2 h-4 w-4" />
+												Download
+											</Button>
+										</TableCell>
+									</TableRow>
+								))
+							)}
+						</TableBody>
+					</Table>
+				</CardContent>
+			</Card>
+
+			<EditClientDialog
+				client={client}
+				open={editing}
+				onOpenChange={setEditing}
+				onSaved={(updated) =>
+					setProfile((prev) => ({ ...prev, client: updated }))
+				}
+			/>
+		</div>
+	);
+}
@@ -0,0 +1,160 @@
+/**
+ * @file ClientRegistryTable.jsx
+ * @description Searchable list of registered clients
+ * @module components/clients/ClientRegistryTable
+ *
+ * Features:
+ * - Name search that ignores case, accents, "Ma." and suffixes
+ * - Opens the client profile on row click
+ * - Online-only; shows a notice while offline
+ */
+
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { AlertCircle, Loader2, Search, WifiOff } from "lucide-react";
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Input } from "@/components/ui/input";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { searchClients } from "@/services/clientRegistryService";
+
+const SEARCH_DELAY_MS = 300;
+
+const formatDate = (value) =>
+	value ? new Date(value).toLocaleDateString() : "—";
+
+/**
+ * Client Registry Table Component
+ * @returns {JSX.Element} Client search and list
+ */
+export default function ClientRegistryTable() {
+	const navigate = useNavigate();
+	const isOnline = useNetworkStatus();
+	const [query, setQuery] = useState("");
+	const [clients, setClients] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		if (!isOnline) return undefined;
+		let cancelled = false;
+		const timer = setTimeout(async () => {
+			setLoading(true);
+			const { data, error: searchError } = await searchClients(query);
+			if (cancelled) return;
+			setClients(data);
+			setError(searchError);
+			setLoading(false);
+		}, SEARCH_DELAY_MS);
+		return () => {
+			cancelled = true;
+			clearTimeout(timer);
+		};
+	}, [query, isOnline]);
+
+	if (!isOnline) {
+		return (
+			<Alert>
+				<WifiOff className="h-4 w-4" />
+				<AlertDescription>
+					The client registry needs a connection. Case records remain
+					available offline under Case Management.
+				</AlertDescription>
+			</Alert>
+		);
+	}
+
+	return (
+		<div className="space-y-4">
+			<div className="relative max-w-sm">
+				<Search className="absolute left-2.5 top-2.5 h-4 w-4 text-muted-foreground" />
+				<Input
+					value={query}
+					onChange={(event) => setQuery(event.target.value)}
+					placeholder="Search by name..."
+					className="pl-8"
+				/>
+			</div>
+
+			{error ? (
+				<Alert variant="destructive">
+					<AlertCircle className="h-4 w-4" />
+					<AlertDescription>
+						Failed to load clients: {error.message}
+					</AlertDescription>
+				</Alert>
+			) : null}
+
+			<div className="rounded-md border">
+				<Table>
+					<TableHeader>
+						<TableRow>
+							<TableHead>Name</TableHead>
+							<TableHead>Birth date</TableHead>
+							<TableHead>Sex</TableHead>
+							<TableHead>Barangay / Address</TableHead>
+							<TableHead>Last updated</TableHead>
+						</TableRow>
+					</TableHeader>
+					<TableBody>
+						{loading ? (
+							<TableRow>
+								<TableCell
+									colSpan={5}
+									className="h-24 text-center text-muted-foreground"
+								>
+									<Loader2 className="mr-2 inline h-4 w-4 animate-spin" />
+									Loading clients...
+								</TableCell>
+							</TableRow>
+						) : clients.length === 0 ? (
+							<TableRow>
+								<TableCell
+									colSpan={5}
+									className="h-24 text-center text-muted-foreground"
+								>
+									{query.trim()
+										? "No clients match this name."
+										: "No clients registered yet."}
+								</TableCell>
+							</TableRow>
+						) : (
+							clients.map((client) => (
+								<TableRow
+									key={client.id}
+									className="cursor-pointer"
+									onClick={() =>
+										navigate(`/case/clients/${client.id}`)
+									}
+								>
+									<TableCell className="font-medium">
+										{client.full_name}
+									</TableCell>
+									<TableCell>
+										{formatDate(client.birth_date)}
+									</TableCell>
+									<TableCell>{client.sex || "—"}</TableCell>
+									<TableCell className="max-w-xs truncate">
+										{client.barangay ||
+											client.address ||
+											"—"}
+									</TableCell>
+									<TableCell>
+										{formatDate(client.updated_at)}
+									</TableCell>
+								</TableRow>
+							))
+						)}
+					</TableBody>
+				</Table>
+			</div>
+		</div>
+	);
+}
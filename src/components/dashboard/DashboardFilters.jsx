@@ -26,6 +26,7 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { DatePicker } from "@/components/date-picker";
 import { Badge } from "@/components/ui/badge";
 import { X, Calendar, Filter } from "lucide-react";
+import { CASE_LIFECYCLE_STATES, caseLifecycleLabel } from "@/lib/caseLifecycle";
 import {
   Dialog,
   DialogContent,
@@ -219,10 +220,11 @@ export default function DashboardFilters({ onFilterChange, initialFilters = {},
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="all" className="text-xs">All Statuses</SelectItem>
-                  <SelectItem value="open" className="text-xs">Open</SelectItem>
-                  <SelectItem value="in-progress" className="text-xs">In Progress</SelectItem>
-                  <SelectItem value="pending" className="text-xs">Pending</SelectItem>
-                  <SelectItem value="closed" className="text-xs">Closed</SelectItem>
+                  {CASE_LIFECYCLE_STATES.map((state) => (
+                    <SelectItem key={state.value} value={state.value} className="text-xs">
+                      {state.label}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
             </div>
@@ -309,7 +311,7 @@ export default function DashboardFilters({ onFilterChange, initialFilters = {},
                 )}
                 {status && status !== 'all' && (
                   <Badge variant="secondary" className="gap-0.5 text-xs py-0 px-2">
-                    Status: {status}
+                    Status: {caseLifecycleLabel(status)}
                     <button
                       onClick={() => handleStatusChange('all')}
                       className="ml-1 hover:text-destructive"
@@ -5,7 +5,8 @@
 //
 // Key Responsibilities:
 // - List documents for (relatedType, relatedId)
-// - Upload documents (permission-gated)
+// - Upload documents (permission-gated); offline, stage them on this device
+//   and list them as "Pending upload" until they reach Storage
 // - Download documents via signed URL
 // - Delete documents (permission-gated)
 //
@@ -23,6 +24,7 @@ import React, {
 } from "react";
 import { toast } from "sonner";
 import { PermissionGuard } from "@/components/PermissionGuard";
+import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import {
@@ -46,11 +48,18 @@ import {
 import { useNetworkStatus } from "@/hooks/useNetworkStatus";
 import { triggerFullPageReload } from "@/lib/fullPageReload";
 import {
-	createDocumentSignedUrl,
 	deleteDocument,
+	downloadDocument,
 	listDocuments,
 	uploadDocument,
 } from "@/services/documentService";
+import {
+	discardStagedDocument,
+	observeStagedDocuments,
+	stageDocument,
+	uploadStagedDocuments,
+} from "@/services/documentStagingService";
+import { isNetworkError } from "@/services/offlineCaseRepository";
 
 function formatBytes(bytes) {
 	if (bytes == null || Number.isNaN(bytes)) return "—";
@@ -64,23 +73,6 @@ function formatBytes(bytes) {
 	return `${size.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
 }
 
-async function downloadFromUrl(url, filename) {
-	const response = await fetch(url);
-	if (!response.ok) {
-		throw new Error(`Download failed (${response.status})`);
-	}
-	const blob = await response.blob();
-	const objectUrl = URL.createObjectURL(blob);
-	const link = document.createElement("a");
-	link.href = objectUrl;
-	link.download = filename || "document";
-	link.style.display = "none";
-	document.body.appendChild(link);
-	link.click();
-	link.remove();
-	setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
-}
-
 /**
  * @param {Object} props
  * @param {'case'|'program'|'operation'} props.relatedType
@@ -94,7 +86,10 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 	const [uploading, setUploading] = useState(false);
 	const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
 	const [rowToDelete, setRowToDelete] = useState(null);
+	const [staged, setStaged] = useState([]);
+	const [retryingId, setRetryingId] = useState(null);
 	const fileInputRef = useRef(null);
+	const stagedCountRef = useRef(0);
 
 	const canLoad = useMemo(() => {
 		if (typeof open === "boolean") return open;
@@ -102,7 +97,8 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 	}, [open]);
 
 	const reload = useCallback(async () => {
-		if (!canLoad) return;
+		// Offline, only staged files can be listed.
+		if (!canLoad || !isOnline) return;
 		setLoading(true);
 		try {
 			const data = await listDocuments({ relatedType, relatedId });
@@ -115,12 +111,45 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 		} finally {
 			setLoading(false);
 		}
-	}, [canLoad, relatedType, relatedId]);
+	}, [canLoad, isOnline, relatedType, relatedId]);
 
 	useEffect(() => {
 		reload();
 	}, [reload]);
 
+	useEffect(() => {
+		if (!canLoad) return undefined;
+		const subscription = observeStagedDocuments({
+			relatedType,
+			relatedId,
+		}).subscribe({
+			next: setStaged,
+			error: (err) =>
+				console.error("Failed to load staged documents:", err),
+		});
+		return () => subscription.unsubscribe();
+	}, [canLoad, relatedType, relatedId]);
+
+	// A staged file leaving the list while online means it was just uploaded.
+	useEffect(() => {
+		if (isOnline && staged.length < stagedCountRef.current) void reload();
+		stagedCountRef.current = staged.length;
+	}, [isOnline, staged.length, reload]);
+
+	const stageSelected = async (file) => {
+		try {
+			await stageDocument({ relatedType, relatedId, file });
+			toast.info("Saved for upload", {
+				description: `${file.name} will upload when you are back online.`,
+			});
+		} catch (err) {
+			console.error("Staging failed:", err);
+			toast.error("Could not keep the file", {
+				description: err?.message || "Please try again.",
+			});
+		}
+	};
+
 	const onPickFile = () => {
 		fileInputRef.current?.click();
 	};
@@ -129,19 +158,21 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 		const file = e.target.files?.[0];
 		e.target.value = "";
 		if (!file) return;
-		if (!isOnline) {
-			toast.error("Internet required", {
-				description: "Connect to the internet to upload documents.",
-			});
-			return;
-		}
 
 		setUploading(true);
 		try {
+			if (!isOnline) {
+				await stageSelected(file);
+				return;
+			}
 			await uploadDocument({ relatedType, relatedId, file });
 			toast.success("Uploaded", { description: file.name });
 			await reload();
 		} catch (err) {
+			if (isNetworkError(err)) {
+				await stageSelected(file);
+				return;
+			}
 			console.error("Upload failed:", err);
 			toast.error("Upload failed", {
 				description: err?.message || "Please try again.",
@@ -151,6 +182,27 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 		}
 	};
 
+	const retryStaged = async (item) => {
+		setRetryingId(item.uploadId);
+		try {
+			const { uploaded, failures } = await uploadStagedDocuments({
+				uploadId: item.uploadId,
+			});
+			if (uploaded > 0) {
+				toast.success("Uploaded", {
+					description: item.original_filename,
+				});
+			} else if (failures.length > 0) {
+				toast.error("Upload failed", {
+					description:
+						failures[0].error?.message || "Please try again.",
+				});
+			}
+		} finally {
+			setRetryingId(null);
+		}
+	};
+
 	const onDownload = async (row) => {
 		if (!row?.storage_path) return;
 		if (!isOnline) {
@@ -161,15 +213,7 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 		}
 
 		try {
-			const signedUrl = await createDocumentSignedUrl({
-				storagePath: row.storage_path,
-				expiresInSeconds: 300,
-			});
-			if (!signedUrl) throw new Error("Failed to create download link");
-			await downloadFromUrl(
-				signedUrl,
-				row.original_filename || "document",
-			);
+			await downloadDocument({ documentRow: row });
 		} catch (err) {
 			console.error("Download failed:", err);
 			toast.error("Download failed", {
@@ -223,10 +267,7 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 						permission="upload_documents"
 						fallback={null}
 					>
-						<Button
-							onClick={onPickFile}
-							disabled={!isOnline || uploading}
-						>
+						<Button onClick={onPickFile} disabled={uploading}>
 							{uploading ? "Uploading..." : "Upload"}
 						</Button>
 					</PermissionGuard>
@@ -242,8 +283,8 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 			<CardContent>
 				{!isOnline && (
 					<div className="mb-3 text-sm text-muted-foreground">
-						Internet required: uploads, downloads, and deletions are
-						unavailable.
+						Internet required for downloads and deletions. Uploads
+						are kept on this device and sent when you reconnect.
 					</div>
 				)}
 
@@ -269,7 +310,7 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 									Loading...
 								</TableCell>
 							</TableRow>
-						) : rows.length === 0 ? (
+						) : rows.length === 0 && staged.length === 0 ? (
 							<TableRow>
 								<TableCell
 									colSpan={5}
@@ -279,71 +320,149 @@ export default function DocumentManager({ relatedType, relatedId, open }) {
 								</TableCell>
 							</TableRow>
 						) : (
-							rows.map((row) => (
-								<TableRow key={row.id}>
-									<TableCell className="font-medium w-[40%]">
-										<div
-											className="line-clamp-1 break-all whitespace-normal"
-											title={row.original_filename || ""}
-										>
-											{row.original_filename}
-										</div>
-									</TableCell>
-									<TableCell className="text-sm text-muted-foreground w-[25%]">
-										<div
-											className="line-clamp-1 break-all whitespace-normal"
-											title={row.mime_type || ""}
-										>
-											{row.mime_type || "—"}
-										</div>
-									</TableCell>
-									<TableCell className="text-sm text-muted-foreground">
-										{formatBytes(row.size_bytes)}
-									</TableCell>
-									<TableCell className="text-sm text-muted-foreground">
-										{row.created_at
-											? new Date(
-													row.created_at,
-												).toLocaleString()
-											: "—"}
-									</TableCell>
-									<TableCell className="text-right">
-										<div className="flex items-center justify-end gap-2">
-											<PermissionGuard
-												permission="view_documents"
-												fallback={null}
-											>
+							<>
+								{staged.map((item) => (
+									<TableRow key={`staged-${item.uploadId}`}>
+										<TableCell className="font-medium w-[40%]">
+											<div className="flex items-center gap-2">
+												<span
+													className="line-clamp-1 break-all whitespace-normal"
+													title={
+														item.original_filename
+													}
+												>
+													{item.original_filename}
+												</span>
+												<Badge
+													variant="outline"
+													className="shrink-0 border-amber-300 text-amber-700"
+													title={item.lastError || ""}
+												>
+													{item.attempts > 0
+														? "Upload failed"
+														: "Pending upload"}
+												</Badge>
+											</div>
+										</TableCell>
+										<TableCell className="text-sm text-muted-foreground w-[25%]">
+											<div className="line-clamp-1 break-all whitespace-normal">
+												{item.mime_type || "—"}
+											</div>
+										</TableCell>
+										<TableCell className="text-sm text-muted-foreground">
+											{formatBytes(item.size_bytes)}
+										</TableCell>
+										<TableCell className="text-sm text-muted-foreground">
+											{new Date(
+												item.createdAt,
+											).toLocaleString()}
+										</TableCell>
+										<TableCell className="text-right">
+											<div className="flex items-center justify-end gap-2">
 												<Button
 													variant="outline"
 													size="sm"
 													onClick={() =>
-														onDownload(row)
+														retryStaged(item)
+													}
+													disabled={
+														!isOnline ||
+														retryingId ===
+															item.uploadId
 													}
-													disabled={!isOnline}
 												>
-													Download
+													{retryingId ===
+													item.uploadId
+														? "Uploading..."
+														: "Retry"}
 												</Button>
-											</PermissionGuard>
-
-											<PermissionGuard
-												permission="delete_documents"
-												fallback={null}
-											>
 												<Button
-													variant="destructive"
+													variant="ghost"
 													size="sm"
 													onClick={() =>
-														requestDelete(row)
+														discardStagedDocument(
+															item.uploadId,
+														)
+													}
+													disabled={
+														retryingId ===
+														item.uploadId
 													}
-													disabled={!isOnline}
 												>
-													Delete
+													Remove
 												</Button>
-											</PermissionGuard>
-										</div>
-									</TableCell>
-								</TableRow>
-							))
+											</div>
+										</TableCell>
+									</TableRow>
+								))}
+								{rows.map((row) => (
+									<TableRow key={row.id}>
+										<TableCell className="font-medium w-[40%]">
+											<div
+												className="line-clamp-1 break-all whitespace-normal"
+												title={
+													row.original_filename || ""
+												}
+											>
+												{row.original_filename}
+											</div>
+										</TableCell>
+										<TableCell className="text-sm text-muted-foreground w-[25%]">
+											<div
+												className="line-clamp-1 break-all whitespace-normal"
+												title={row.mime_type || ""}
+											>
+												{row.mime_type || "—"}
+											</div>
+										</TableCell>
+										<TableCell className="text-sm text-muted-foreground">
+											{formatBytes(row.size_bytes)}
+										</TableCell>
+										<TableCell className="text-sm text-muted-foreground">
+											{row.created_at
+												? new Date(
+														row.created_at,
+													).toLocaleString()
+												: "—"}
+										</TableCell>
+										<TableCell className="text-right">
+											<div className="flex items-center justify-end gap-2">
+												<PermissionGuard
+													permission="view_documents"
+													fallback={null}
+												>
+													<Button
+														variant="outline"
+														size="sm"
+														onClick={() =>
+															onDownload(row)
+														}
+														disabled={!isOnline}
+													>
+														Download
+													</Button>
+												</PermissionGuard>
+
+												<PermissionGuard
+													permission="delete_documents"
+													fallback={null}
+												>
+													<Button
+														variant="destructive"
+														size="sm"
+														onClick={() =>
+															requestDelete(row)
+														}
+														disabled={!isOnline}
+													>
+														Delete
+													</Button>
+												</PermissionGuard>
+											</div>
+										</TableCell>
+									</TableRow>
+								))}
+							</>
 						)}
 					</TableBody>
 				</Table>
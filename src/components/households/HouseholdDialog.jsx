@@ -0,0 +1,627 @@
+/**
+ * @file HouseholdDialog.jsx
+ * @description Household of one case: members, income rollup and linked cases
+ * @module components/households/HouseholdDialog
+ *
+ * Features:
+ * - Household size, earning members, total and per-capita monthly income for
+ *   eligibility checks
+ * - Add, edit and remove members; an edit shows up on every case form that
+ *   lists the member
+ * - Every case in the household, opening its record on click
+ * - Merges another household (found by member or household name) into this one
+ * - Online-only; editing needs the edit_case permission
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Edit, Loader2, Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { PermissionGuard } from "@/components/PermissionGuard";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { caseDisplayName } from "@/services/caseTimelineService";
+import {
+	HOUSEHOLD_MEMBER_FIELDS,
+	fetchCaseHousehold,
+	fetchHousehold,
+	mergeHouseholds,
+	removeHouseholdMember,
+	saveHouseholdMember,
+	searchHouseholds,
+	updateHousehold,
+} from "@/services/householdService";
+
+const MEMBER_FIELD_LABELS = {
+	full_name: "Name",
+	relation: "Relation",
+	birth_date: "Birth date",
+	age: "Age",
+	sex: "Sex",
+	civil_status: "Civil status",
+	education: "Education",
+	occupation: "Occupation",
+	monthly_income: "Monthly income",
+	remarks: "Remarks",
+};
+
+const MEMBER_INPUT_TYPES = {
+	birth_date: "date",
+	age: "number",
+	monthly_income: "number",
+};
+
+const formatPeso = (value) =>
+	value === null || value === undefined || value === ""
+		? "—"
+		: `₱${Number(value).toLocaleString(undefined, {
+				maximumFractionDigits: 2,
+			})}`;
+
+const emptyMember = () =>
+	Object.fromEntries(HOUSEHOLD_MEMBER_FIELDS.map((field) => [field, ""]));
+
+function MemberForm({ member, saving, onCancel, onSave }) {
+	const [values, setValues] = useState(() => ({
+		...emptyMember(),
+		...Object.fromEntries(
+			Object.entries(member ?? {}).map(([key, value]) => [
+				key,
+				value ?? "",
+			]),
+		),
+	}));
+
+	return (
+		<div className="space-y-3 rounded-md border p-3">
+			<div className="grid grid-cols-2 gap-2 sm:grid-cols-3">
+				{HOUSEHOLD_MEMBER_FIELDS.map((field) => (
+					<div key={field} className="space-y-1">
+						<Label htmlFor={`household-member-${field}`}>
+							{MEMBER_FIELD_LABELS[field]}
+						</Label>
+						<Input
+							id={`household-member-${field}`}
+							type={MEMBER_INPUT_TYPES[field] ?? "text"}
+							min={MEMBER_INPUT_TYPES[field] ? 0 : undefined}
+							value={values[field]}
+							onChange={(event) =>
+								setValues((current) => ({
+									...current,
+									[field]: event.target.value,
+								}))
+							}
+						/>
+					</div>
+				))}
+			</div>
+			<div className="flex justify-end gap-2">
+				<Button
+					variant="outline"
+					size="sm"
+					onClick={onCancel}
+					disabled={saving}
+				>
+					Cancel
+				</Button>
+				<Button
+					size="sm"
+					onClick={() => onSave({ ...values, id: member?.id })}
+					disabled={saving || !values.full_name.trim()}
+				>
+					{saving ? (
+						<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+					) : null}
+					Save member
+				</Button>
+			</div>
+		</div>
+	);
+}
+
+function HouseholdDetailsForm({ household, onSaved }) {
+	const [values, setValues] = useState({
+		name: household.name ?? "",
+		barangay: household.barangay ?? "",
+		address: household.address ?? "",
+	});
+	const [saving, setSaving] = useState(false);
+	const changed =
+		values.name !== (household.name ?? "") ||
+		values.barangay !== (household.barangay ?? "") ||
+		values.address !== (household.address ?? "");
+
+	const handleSave = async () => {
+		setSaving(true);
+		const { data, error } = await updateHousehold(household.id, values);
+		setSaving(false);
+		if (error) {
+			toast.error("Failed to update household", {
+				description: error.message,
+			});
+			return;
+		}
+		toast.success("Household updated");
+		onSaved(data);
+	};
+
+	return (
+		<div className="grid grid-cols-[1fr_1fr_1fr_auto] items-end gap-2">
+			{["name", "barangay", "address"].map((field) => (
+				<div key={field} className="space-y-1">
+					<Label
+						htmlFor={`household-${field}`}
+						className="capitalize"
+					>
+						{field}
+					</Label>
+					<Input
+						id={`household-${field}`}
+						value={values[field]}
+						onChange={(event) =>
+							setValues((current) => ({
+								...current,
+								[field]: event.target.value,
+							}))
+						}
+					/>
+				</div>
+			))}
+			<Button
+				size="sm"
+				onClick={handleSave}
+				disabled={saving || !changed || !values.name.trim()}
+			>
+				Save
+			</Button>
+		</div>
+	);
+}
+
+function MergeHouseholdPanel({ householdId, onMerged }) {
+	const [query, setQuery] = useState("");
+	const [results, setResults] = useState([]);
+	const [searching, setSearching] = useState(false);
+	const [confirmId, setConfirmId] = useState(null);
+	const [merging, setMerging] = useState(false);
+
+	const handleSearch = async () => {
+		setSearching(true);
+		const { data, error } = await searchHouseholds(query);
+		setSearching(false);
+		if (error) {
+			toast.error("Failed to search households", {
+				description: error.message,
+			});
+			return;
+		}
+		setResults(data.filter((row) => row.id !== householdId));
+		setConfirmId(null);
+	};
+
+	const handleMerge = async (fromId) => {
+		setMerging(true);
+		const { error } = await mergeHouseholds({
+			intoId: householdId,
+			fromId,
+		});
+		setMerging(false);
+		if (error) {
+			toast.error("Failed to merge households", {
+				description: error.message,
+			});
+			return;
+		}
+		toast.success("Households merged");
+		setResults([]);
+		setQuery("");
+		onMerged();
+	};
+
+	return (
+		<div className="space-y-2">
+			<p className="text-xs text-muted-foreground">
+				Bring another household's cases and members into this one, e.g.
+				when siblings were registered separately. Members with the same
+				name are combined.
+			</p>
+			<div className="flex gap-2">
+				<Input
+					value={query}
+					onChange={(event) => setQuery(event.target.value)}
+					onKeyDown={(event) => {
+						if (event.key === "Enter") handleSearch();
+					}}
+					placeholder="Member or household name"
+				/>
+				<Button
+					variant="outline"
+					size="sm"
+					onClick={handleSearch}
+					disabled={searching || !query.trim()}
+				>
+					{searching ? (
+						<Loader2 className="h-4 w-4 animate-spin" />
+					) : (
+						"Search"
+					)}
+				</Button>
+			</div>
+			{results.map((row) => (
+				<div
+					key={row.id}
+					className="flex items-center gap-2 rounded-md border px-3 py-2"
+				>
+					<div className="min-w-0 flex-1">
+						<p className="truncate text-sm font-medium">
+							{row.name}
+						</p>
+						<p className="truncate text-xs text-muted-foreground">
+							{row.memberNames.join(", ") || "No members"}
+						</p>
+					</div>
+					{confirmId === row.id ? (
+						<Button
+							variant="destructive"
+							size="sm"
+							onClick={() => handleMerge(row.id)}
+							disabled={merging}
+						>
+							Confirm merge
+						</Button>
+					) : (
+						<Button
+							variant="outline"
+							size="sm"
+							onClick={() => setConfirmId(row.id)}
+						>
+							Merge into this
+						</Button>
+					)}
+				</div>
+			))}
+		</div>
+	);
+}
+
+/**
+ * Household Dialog Component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onOpenChange - Dialog open state change handler
+ * @param {string} props.caseType - Case type key (CASE, CICLCAR, FAC, ...)
+ * @param {Record<string, any>|null} props.caseRow - Case whose household is shown
+ * @returns {JSX.Element} Household dialog
+ */
+export default function HouseholdDialog({
+	open,
+	onOpenChange,
+	caseType,
+	caseRow,
+}) {
+	const navigate = useNavigate();
+	const isOnline = useNetworkStatus();
+	const caseId = caseRow?.id ?? null;
+	const [data, setData] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+	const [editingMember, setEditingMember] = useState(null);
+	const [savingMember, setSavingMember] = useState(false);
+
+	const householdId = data?.household?.id ?? null;
+
+	const load = useCallback(async () => {
+		if (!caseId) return;
+		setLoading(true);
+		const result = householdId
+			? await fetchHousehold(householdId)
+			: await fetchCaseHousehold({ caseType, caseId });
+		setLoading(false);
+		setError(result.error);
+		if (!result.error) setData(result);
+	}, [caseType, caseId, householdId]);
+
+	useEffect(() => {
+		if (!open) return;
+		setData(null);
+		setError(null);
+		setEditingMember(null);
+	}, [open, caseType, caseId]);
+
+	useEffect(() => {
+		if (open && isOnline && !data && !error) void load();
+	}, [open, isOnline, data, error, load]);
+
+	const handleSaveMember = async (member) => {
+		setSavingMember(true);
+		const { error: saveError } = await saveHouseholdMember(
+			householdId,
+			member,
+		);
+		setSavingMember(false);
+		if (saveError) {
+			toast.error("Failed to save member", {
+				description: saveError.message,
+			});
+			return;
+		}
+		toast.success("Member saved", {
+			description: member.id
+				? "Case forms listing this member were updated too."
+				: undefined,
+		});
+		setEditingMember(null);
+		await load();
+	};
+
+	const handleRemoveMember = async (member) => {
+		const { error: removeError } = await removeHouseholdMember(member);
+		if (removeError) {
+			toast.error("Failed to remove member", {
+				description: removeError.message,
+			});
+			return;
+		}
+		await load();
+	};
+
+	const openCase = (entry) => {
+		onOpenChange(false);
+		navigate(`/case/records/${entry.caseType}/${entry.id}`);
+	};
+
+	const summary = data?.summary;
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="max-h-[90vh] overflow-y-auto sm:max-w-4xl">
+				<DialogHeader>
+					<DialogTitle>
+						{data?.household?.name ?? "Household"}
+					</DialogTitle>
+					<DialogDescription>
+						{caseRow
+							? `${CASE_REPOSITORIES[caseType]?.label ?? caseType} · ${caseDisplayName(caseType, caseRow)}`
+							: null}
+					</DialogDescription>
+				</DialogHeader>
+
+				{!caseId ? (
+					<p className="text-sm text-muted-foreground">
+						This case has not synced yet. Its household is set up
+						once it has.
+					</p>
+				) : !isOnline ? (
+					<p className="text-sm text-muted-foreground">
+						Households need a connection.
+					</p>
+				) : error ? (
+					<p className="text-sm text-destructive">{error.message}</p>
+				) : loading && !data ? (
+					<div className="flex items-center gap-2 text-sm text-muted-foreground">
+						<Loader2 className="h-4 w-4 animate-spin" />
+						Loading household…
+					</div>
+				) : data ? (
+					<div className="space-y-5">
+						<div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+							{[
+								["Household size", summary?.member_count ?? 0],
+								[
+									"Earning members",
+									summary?.earning_members ?? 0,
+								],
+								[
+									"Total monthly income",
+									formatPeso(summary?.total_monthly_income),
+								],
+								[
+									"Per-capita income",
+									formatPeso(summary?.per_capita_income),
+								],
+							].map(([label, value]) => (
+								<div
+									key={label}
+									className="rounded-md border p-3"
+								>
+									<p className="text-xs text-muted-foreground">
+										{label}
+									</p>
+									<p className="text-lg font-semibold">
+										{value}
+									</p>
+								</div>
+							))}
+						</div>
+
+						<PermissionGuard permission="edit_case">
+							<HouseholdDetailsForm
+								key={data.household.updated_at}
+								household={data.household}
+								onSaved={(household) =>
+									setData((current) => ({
+										...current,
+										household,
+									}))
+								}
+							/>
+						</PermissionGuard>
+
+						<div className="space-y-2">
+							<div className="flex items-center">
+								<h3 className="text-sm font-medium">Members</h3>
+								<PermissionGuard permission="edit_case">
+									<Button
+										variant="outline"
+										size="sm"
+										className="ml-auto h-7"
+										onClick={() => setEditingMember({})}
+										disabled={Boolean(editingMember)}
+									>
+										<Plus className="h-3.5 w-3.5" />
+										Add member
+									</Button>
+								</PermissionGuard>
+							</div>
+							{editingMember ? (
+								<MemberForm
+									key={editingMember.id ?? "new"}
+									member={editingMember}
+									saving={savingMember}
+									onCancel={() => setEditingMember(null)}
+									onSave={handleSaveMember}
+								/>
+							) : null}
+							<Table>
+								<TableHeader>
+									<TableRow>
+										<TableHead>Name</TableHead>
+										<TableHead>Relation</TableHead>
+										<TableHead>Age</TableHead>
+										<TableHead>Sex</TableHead>
+										<TableHead>Occupation</TableHead>
+										<TableHead className="text-right">
+											Monthly income
+										</TableHead>
+										<TableHead />
+									</TableRow>
+								</TableHeader>
+								<TableBody>
+									{data.members.map((member) => (
+										<TableRow key={member.id}>
+											<TableCell className="font-medium">
+												{member.full_name}
+												{member.client_id ? (
+													<Badge
+														variant="secondary"
+														className="ml-2"
+													>
+														Client
+													</Badge>
+												) : null}
+											</TableCell>
+											<TableCell>
+												{member.relation || "—"}
+											</TableCell>
+											<TableCell>
+												{member.age ?? "—"}
+											</TableCell>
+											<TableCell className="capitalize">
+												{member.sex || "—"}
+											</TableCell>
+											<TableCell>
+												{member.occupation || "—"}
+											</TableCell>
+											<TableCell className="text-right">
+												{formatPeso(
+													member.monthly_income,
+												)}
+											</TableCell>
+											<TableCell className="w-20 text-right">
+												<PermissionGuard permission="edit_case">
+													<Button
+														variant="ghost"
+														size="icon"
+														className="h-7 w-7"
+														onClick={() =>
+															setEditingMember(
+																member,
+															)
+														}
+														aria-label="Edit member"
+													>
+														<Edit className="h-3.5 w-3.5" />
+													</Button>
+													<Button
+														variant="ghost"
+														size="icon"
+														className="h-7 w-7"
+														onClick={() =>
+															handleRemoveMember(
+																member,
+															)
+														}
+														aria-label="Remove member"
+													>
+														<Trash2 className="h-3.5 w-3.5" />
+													</Button>
+												</PermissionGuard>
+											</TableCell>
+										</TableRow>
+									))}
+									{!data.members.length ? (
+										<TableRow>
+											<TableCell
+												colSpan={7}
+												className="text-center text-sm text-muted-foreground"
+											>
+												No members yet.
+											</TableCell>
+										</TableRow>
+									) : null}
+								</TableBody>
+							</Table>
+						</div>
+
+						<div className="space-y-2">
+							<h3 className="text-sm font-medium">
+								Cases in this household
+							</h3>
+							{data.cases.map((entry) => (
+								<button
+									key={`${entry.caseType}:${entry.id}`}
+									type="button"
+									className="flex w-full items-center gap-2 rounded-md border px-3 py-2 text-left text-sm hover:bg-muted"
+									onClick={() => openCase(entry)}
+								>
+									<Badge variant="outline">
+										{entry.label}
+									</Badge>
+									<span className="truncate">
+										{entry.name || "Unnamed"}
+									</span>
+									{entry.status ? (
+										<span className="ml-auto text-xs text-muted-foreground">
+											{entry.status}
+										</span>
+									) : null}
+								</button>
+							))}
+						</div>
+
+						<PermissionGuard permission="edit_case">
+							<div className="space-y-2">
+								<h3 className="text-sm font-medium">
+									Merge households
+								</h3>
+								<MergeHouseholdPanel
+									householdId={householdId}
+									onMerged={load}
+								/>
+							</div>
+						</PermissionGuard>
+					</div>
+				) : null}
+			</DialogContent>
+		</Dialog>
+	);
+}
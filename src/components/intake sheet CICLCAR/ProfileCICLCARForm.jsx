@@ -20,6 +20,7 @@ import {
   FormMessage,
 } from "@/components/ui/form";
 import { useIntakeFormStore } from "../../store/useIntakeFormStore";
+import ClientMatchPanel from "@/components/clients/ClientMatchPanel";
 
 // ✅ Schema with mix of text, select, and date
 const schema = z.object({
@@ -41,7 +42,7 @@ const schema = z.object({
   educationalStatus: z.string().min(2, "Required"),
 });
 
-export function ProfileCICLCARForm({ sectionKey, goNext }) {
+export function ProfileCICLCARForm({ sectionKey, goNext, matchClients = false }) {
   const { data, setSectionField } = useIntakeFormStore();
 
   const form = useForm({
@@ -52,6 +53,12 @@ export function ProfileCICLCARForm({ sectionKey, goNext }) {
     },
   });
 
+  const [watchedName, watchedBirthday, watchedAddress] = form.watch([
+    "name",
+    "birthday",
+    "address",
+  ]);
+
   function onSubmit(values) {
     console.log("✅ Submitted values:", values);
     Object.keys(values).forEach((key) => {
@@ -164,6 +171,23 @@ export function ProfileCICLCARForm({ sectionKey, goNext }) {
             />
           </div>
 
+          {/*//* EXISTING CLIENT MATCHES */}
+          {matchClients && (
+            <div className="col-span-2">
+              <ClientMatchPanel
+                identity={{
+                  fullName: watchedName,
+                  birthDate: watchedBirthday,
+                  address: watchedAddress,
+                }}
+                linkedClientId={data[sectionKey]?.clientId ?? null}
+                onLinkChange={(clientId) =>
+                  setSectionField(sectionKey, "clientId", clientId)
+                }
+              />
+            </div>
+          )}
+
           {/*//* SEX, GENDER, & BIRTHDAY */}
           <div className="flex gap-2 w-full">
             {/* SEX */}
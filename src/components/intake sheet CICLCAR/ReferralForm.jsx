@@ -32,6 +32,7 @@ import {
 } from "@/components/ui/select";
 import { useState, useEffect } from "react";
 import { useCaseManagers } from "@/store/useCaseManagerStore";
+import { canEditCaseStatus, isCaseClosed } from "@/lib/caseLifecycle";
 
 // ✅ Schema with mix of text, select, and date
 const schema = z.object({
@@ -101,6 +102,10 @@ export function ReferralForm({ sectionKey, goNext, goBack, isSaving, isEditing =
 
     const { data, setSectionField } = useIntakeFormStore();
 
+    // "Resolved" is set by Close case, never picked here.
+    const currentStatus = data[sectionKey]?.caseDetails?.status;
+    const isClosed = isCaseClosed(currentStatus);
+
     const [priority, setPriority] = useState(
         data[sectionKey]?.caseDetails?.priority || undefined
     );
@@ -347,6 +352,7 @@ export function ReferralForm({ sectionKey, goNext, goBack, isSaving, isEditing =
                                     onValueChange={(val) =>
                                         updateCaseDetailField("status", val)
                                     }
+                                    disabled={isClosed}
                                 >
                                     <SelectTrigger
                                         className="w-full"
@@ -359,6 +365,12 @@ export function ReferralForm({ sectionKey, goNext, goBack, isSaving, isEditing =
                                             <SelectItem
                                                 key={status.value}
                                                 value={status.value}
+                                                disabled={
+                                                    !canEditCaseStatus(
+                                                        currentStatus,
+                                                        status.value
+                                                    )
+                                                }
                                             >
                                                 <div className="flex items-center gap-2">
                                                     {status.icon}
@@ -368,6 +380,11 @@ export function ReferralForm({ sectionKey, goNext, goBack, isSaving, isEditing =
                                         ))}
                                     </SelectContent>
                                 </Select>
+                                <p className="text-xs text-muted-foreground">
+                                    {isClosed
+                                        ? "Use Reopen case from the case actions to change it."
+                                        : "Use Close case from the case actions to resolve it."}
+                                </p>
                             </div>
                         </div>
 
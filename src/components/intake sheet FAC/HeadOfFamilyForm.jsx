@@ -22,6 +22,7 @@ import {
   FormMessage,
 } from "@/components/ui/form";
 import { useIntakeFormStore } from "../../store/useIntakeFormStore";
+import ClientMatchPanel from "@/components/clients/ClientMatchPanel";
 
 const schema = z.object({
   lastName: z.string().min(2, "Required"),
@@ -47,7 +48,12 @@ const schema = z.object({
   ipEthnicityType: z.string().optional(),
 });
 
-export function HeadOfFamilyForm({ sectionKey, goNext, goBack }) {
+export function HeadOfFamilyForm({
+  sectionKey,
+  goNext,
+  goBack,
+  matchClients = false,
+}) {
   const { data, setSectionField } = useIntakeFormStore();
 
   const form = useForm({
@@ -73,6 +79,15 @@ export function HeadOfFamilyForm({ sectionKey, goNext, goBack }) {
     form.reset(formData);
   }, [data, sectionKey, form]);
 
+  const [firstName, middleName, lastName, nameExtension, birthdate] =
+    form.watch([
+      "firstName",
+      "middleName",
+      "lastName",
+      "nameExtension",
+      "birthdate",
+    ]);
+
   function onSubmit(values) {
     console.log("✅ Submitted values:", values);
     Object.keys(values).forEach((key) => {
@@ -571,6 +586,29 @@ export function HeadOfFamilyForm({ sectionKey, goNext, goBack }) {
               />
             )}
           </div>
+
+          {/* EXISTING CLIENT MATCHES */}
+          {matchClients && (
+            <div className="col-span-2">
+              <ClientMatchPanel
+                identity={{
+                  fullName: [firstName, middleName, lastName, nameExtension]
+                    .filter(Boolean)
+                    .join(" "),
+                  birthDate: birthdate,
+                  barangay: data.locationOfAffectedFamily?.barangay ?? null,
+                }}
+                linkedClientId={data[sectionKey]?.clientId ?? null}
+                onLinkChange={(clientId) =>
+                  // Store changes reset this form, so keep what was typed.
+                  setSectionField(sectionKey, {
+                    ...form.getValues(),
+                    clientId,
+                  })
+                }
+              />
+            </div>
+          )}
         </div>
 
         <div className="flex justify-between">
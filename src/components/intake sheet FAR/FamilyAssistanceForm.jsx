@@ -18,10 +18,17 @@ import {
   FormItem,
   FormLabel,
   FormControl,
+  FormDescription,
   FormMessage,
 } from "@/components/ui/form";
 import { useIntakeFormStore } from "../../store/useIntakeFormStore";
 import { useCaseManagers } from "@/store/useCaseManagerStore";
+import ClientMatchPanel from "@/components/clients/ClientMatchPanel";
+import {
+  CASE_STATUS_MODELS,
+  canEditCaseStatus,
+  isCaseClosed,
+} from "@/lib/caseLifecycle";
 
 const schema = z
     .object({
@@ -58,6 +65,9 @@ const schema = z
 export function FamilyAssistanceForm({ sectionKey, goNext, goBack, isSaving, isEditMode }) {
   const { data, setSectionField } = useIntakeFormStore();
   const { caseManagers, loading: loadingCaseManagers } = useCaseManagers();
+  // Closed FAR cases stay "Resolved" until reopened from the case actions.
+  const currentStatus = data[sectionKey]?.status;
+  const isClosed = isCaseClosed(currentStatus);
 
   const form = useForm({
     resolver: zodResolver(schema),
@@ -72,6 +82,8 @@ export function FamilyAssistanceForm({ sectionKey, goNext, goBack, isSaving, isE
     },
   });
 
+  const watchedReceivingMember = form.watch("receivingMember");
+
   // Update form values when data changes (for edit mode)
   React.useEffect(() => {
     if (data[sectionKey]) {
@@ -171,6 +183,17 @@ return (
                             )}
                         />
 
+                        {/* Earlier FA/FAR claims by the same person */}
+                        {!isEditMode && (
+                            <ClientMatchPanel
+                                identity={{ fullName: watchedReceivingMember }}
+                                linkedClientId={data[sectionKey]?.clientId ?? null}
+                                onLinkChange={(clientId) =>
+                                    setSectionField(sectionKey, "clientId", clientId)
+                                }
+                            />
+                        )}
+
                                     <FormField
                                         control={form.control}
                                         name="emergency"
@@ -433,6 +456,7 @@ return (
                                             setSectionField(sectionKey, "status", val);
                                         }}
                                         defaultValue={field.value}
+                                        disabled={isClosed}
                                     >
                                         <FormControl>
                                             <SelectTrigger>
@@ -440,12 +464,22 @@ return (
                                             </SelectTrigger>
                                         </FormControl>
                                         <SelectContent>
-                                            <SelectItem value="Filed">Filed</SelectItem>
-                                            <SelectItem value="Assessed">Assessed</SelectItem>
-                                            <SelectItem value="In Process">In Process</SelectItem>
-                                            <SelectItem value="Resolved">Resolved</SelectItem>
+                                            {CASE_STATUS_MODELS.FAR.statuses.map(({ value }) => (
+                                                <SelectItem
+                                                    key={value}
+                                                    value={value}
+                                                    disabled={!canEditCaseStatus(currentStatus, value)}
+                                                >
+                                                    {value}
+                                                </SelectItem>
+                                            ))}
                                         </SelectContent>
                                     </Select>
+                                    <FormDescription>
+                                        {isClosed
+                                            ? "Use Reopen case from the case actions to change it."
+                                            : "Use Close case from the case actions to resolve it."}
+                                    </FormDescription>
                                     <FormMessage />
                                 </FormItem>
                             )}
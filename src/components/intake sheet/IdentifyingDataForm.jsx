@@ -20,6 +20,7 @@ import {
 	FormMessage,
 } from "@/components/ui/form";
 import { useIntakeFormStore } from "../../store/useIntakeFormStore";
+import ClientMatchPanel from "@/components/clients/ClientMatchPanel";
 
 // ✅ Schema with mix of text, select, and date
 const schema = z.object({
@@ -42,7 +43,13 @@ const schema = z.object({
 	respondentName: z.string().min(2, "Required"),
 });
 
-export function IdentifyingDataForm({ sectionKey, goNext, goBack, isFirstStep = false }) {
+export function IdentifyingDataForm({
+	sectionKey,
+	goNext,
+	goBack,
+	isFirstStep = false,
+	matchClients = false,
+}) {
 	const { data, setSectionField } = useIntakeFormStore();
 
 	const form = useForm({
@@ -54,6 +61,11 @@ export function IdentifyingDataForm({ sectionKey, goNext, goBack, isFirstStep =
   },
 });
 
+	const [watchedName, watchedBirthday, watchedAddress] = form.watch([
+		"name",
+		"birthday",
+		"address",
+	]);
 
 	function onSubmit(values) {
 		console.log("✅ Submitted values:", values);
@@ -118,6 +130,23 @@ export function IdentifyingDataForm({ sectionKey, goNext, goBack, isFirstStep =
 						)}
 					/>
 
+					{/* EXISTING CLIENT MATCHES */}
+					{matchClients && (
+						<div className="col-span-2">
+							<ClientMatchPanel
+								identity={{
+									fullName: watchedName,
+									birthDate: watchedBirthday,
+									address: watchedAddress,
+								}}
+								linkedClientId={data[sectionKey]?.clientId ?? null}
+								onLinkChange={(clientId) =>
+									setSectionField(sectionKey, "clientId", clientId)
+								}
+							/>
+						</div>
+					)}
+
 					<div className="flex gap-2">
 						{/* ALIAS */}
 						<FormField
@@ -10,6 +10,7 @@ import { useIntakeFormStore } from "../../store/useIntakeFormStore";
 import { submitCase } from "@/lib/caseSubmission";
 import { Label } from "@/components/ui/label";
 import { useCaseManagers } from "@/store/useCaseManagerStore";
+import { canEditCaseStatus, isCaseClosed } from "@/lib/caseLifecycle";
 import {
   Select,
   SelectContent,
@@ -78,6 +79,11 @@ export function RecommendationForm({ sectionKey, goNext, goBack, isSecond, submi
     },
   ];
 
+  // Resolving goes through Close case (reason + checklist), so the form only
+  // offers the moves the case lifecycle allows from the status field.
+  const currentStatus = data.caseDetails?.status;
+  const isClosed = isCaseClosed(currentStatus);
+
   const priorities = [
     {
       value: "Low",
@@ -104,7 +110,7 @@ export function RecommendationForm({ sectionKey, goNext, goBack, isSecond, submi
   async function handleFinalSubmit(finalData) {
     setSubmitting(true);
     try {
-      const { caseId, error } = await submitCase(finalData);
+      const { caseId, queued, error } = await submitCase(finalData);
       if (error) {
         console.error("Case submission error", error);
         toast.error("Failed to save case", {
@@ -112,8 +118,10 @@ export function RecommendationForm({ sectionKey, goNext, goBack, isSecond, submi
         });
         return;
       }
-      toast.success("Case saved", {
-        description: `Case ID: ${caseId}`,
+      toast.success(queued ? "Case saved offline" : "Case saved", {
+        description: queued
+          ? "The case will sync automatically once you're back online."
+          : `Case ID: ${caseId}`,
       });
       
       // Close the dialog
@@ -201,13 +209,18 @@ export function RecommendationForm({ sectionKey, goNext, goBack, isSecond, submi
                   <Select
                     defaultValue={data.caseDetails?.status}
                     onValueChange={(val) => handleCaseDetailChange("status", val)}
+                    disabled={isClosed}
                   >
                     <SelectTrigger className="w-[225px]" id="status">
                       <SelectValue placeholder="Select" />
                     </SelectTrigger>
                     <SelectContent>
                       {statuses.map((status) => (
-                        <SelectItem key={status.value} value={status.value}>
+                        <SelectItem
+                          key={status.value}
+                          value={status.value}
+                          disabled={!canEditCaseStatus(currentStatus, status.value)}
+                        >
                           <div className="flex items-center gap-2">
                             {status.icon}
                             {status.label}
@@ -216,6 +229,11 @@ export function RecommendationForm({ sectionKey, goNext, goBack, isSecond, submi
                       ))}
                     </SelectContent>
                   </Select>
+                  <p className="text-xs text-muted-foreground">
+                    {isClosed
+                      ? "Use Reopen case from the case actions to change it."
+                      : "Use Close case from the case actions to resolve it."}
+                  </p>
                 </div>
 
                 {/* Priority */}
@@ -0,0 +1,218 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { useAuthStore } from "@/store/authStore";
+import {
+	DEFAULT_OFFLINE_UNLOCK_DAYS,
+	OFFLINE_UNLOCK_DAY_OPTIONS,
+	getOfflineSession,
+	validatePin,
+} from "@/services/offlineSessionService";
+
+/**
+ * Dialog for setting or replacing the local offline PIN.
+ *
+ * Responsibilities:
+ * - Collect a PIN (with confirmation) and the offline expiry window.
+ * - Save it through `authStore.setOfflinePin` while the session is online-verified.
+ *
+ * @param {{ open: boolean, onOpenChange: (open: boolean) => void, onSkip?: () => void }} props
+ */
+export function OfflinePinDialog({ open, onOpenChange, onSkip }) {
+	const user = useAuthStore((s) => s.user);
+	const offlineMode = useAuthStore((s) => s.offlineMode);
+	const offlineExpiresAt = useAuthStore((s) => s.offlineExpiresAt);
+	const offlinePinConfigured = useAuthStore((s) => s.offlinePinConfigured);
+	const setOfflinePin = useAuthStore((s) => s.setOfflinePin);
+
+	const [pin, setPin] = useState("");
+	const [confirmPin, setConfirmPin] = useState("");
+	const [ttlDays, setTtlDays] = useState(DEFAULT_OFFLINE_UNLOCK_DAYS);
+	const [error, setError] = useState(null);
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		if (!open) return;
+		setPin("");
+		setConfirmPin("");
+		setError(null);
+		getOfflineSession(user?.id)
+			.then((session) =>
+				setTtlDays(session?.ttlDays ?? DEFAULT_OFFLINE_UNLOCK_DAYS),
+			)
+			.catch(() => setTtlDays(DEFAULT_OFFLINE_UNLOCK_DAYS));
+	}, [open, user?.id]);
+
+	const handleSave = async (e) => {
+		e.preventDefault();
+		const invalid =
+			validatePin(pin) ||
+			(pin !== confirmPin ? "PINs do not match." : null);
+		if (invalid) {
+			setError(invalid);
+			return;
+		}
+
+		setSaving(true);
+		try {
+			const result = await setOfflinePin(pin, ttlDays);
+			if (!result.success) {
+				setError(result.error?.message || "Failed to save PIN.");
+				return;
+			}
+			toast.success("Offline access ready", {
+				description: `You can unlock this device offline for ${ttlDays} day${ttlDays === 1 ? "" : "s"} after each online sign-in.`,
+			});
+			onOpenChange(false);
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="sm:max-w-md">
+				<form onSubmit={handleSave} className="space-y-4">
+					<DialogHeader>
+						<DialogTitle>
+							{offlinePinConfigured
+								? "Change offline PIN"
+								: "Set up offline access"}
+						</DialogTitle>
+						<DialogDescription>
+							A local PIN lets you open this app without internet
+							to view cached records and queue changes. It only
+							works on this device and is removed when you log
+							out.
+						</DialogDescription>
+					</DialogHeader>
+
+					{offlineMode ? (
+						<p className="text-sm text-destructive">
+							Connect to the internet to change offline access.
+						</p>
+					) : (
+						<>
+							<div className="grid gap-2">
+								<Label htmlFor="new-offline-pin">
+									PIN (6-8 digits)
+								</Label>
+								<Input
+									id="new-offline-pin"
+									type="password"
+									inputMode="numeric"
+									autoComplete="new-password"
+									maxLength={8}
+									value={pin}
+									onChange={(e) =>
+										setPin(
+											e.target.value.replace(/\D/g, ""),
+										)
+									}
+								/>
+							</div>
+							<div className="grid gap-2">
+								<Label htmlFor="confirm-offline-pin">
+									Confirm PIN
+								</Label>
+								<Input
+									id="confirm-offline-pin"
+									type="password"
+									inputMode="numeric"
+									autoComplete="new-password"
+									maxLength={8}
+									value={confirmPin}
+									onChange={(e) =>
+										setConfirmPin(
+											e.target.value.replace(/\D/g, ""),
+										)
+									}
+								/>
+							</div>
+							<div className="grid gap-2">
+								<Label>Offline access lasts</Label>
+								<Select
+									value={String(ttlDays)}
+									onValueChange={(value) =>
+										setTtlDays(Number(value))
+									}
+								>
+									<SelectTrigger className="w-full">
+										<SelectValue />
+									</SelectTrigger>
+									<SelectContent>
+										{OFFLINE_UNLOCK_DAY_OPTIONS.map(
+											(days) => (
+												<SelectItem
+													key={days}
+													value={String(days)}
+												>
+													{days} day
+													{days === 1 ? "" : "s"}{" "}
+													after last online sign-in
+												</SelectItem>
+											),
+										)}
+									</SelectContent>
+								</Select>
+							</div>
+							{offlinePinConfigured && offlineExpiresAt ? (
+								<p className="text-xs text-muted-foreground">
+									Current offline access expires{" "}
+									{format(
+										offlineExpiresAt,
+										"MMM d, yyyy h:mm a",
+									)}
+									.
+								</p>
+							) : null}
+							{error ? (
+								<p className="text-sm text-destructive">
+									{error}
+								</p>
+							) : null}
+						</>
+					)}
+
+					<DialogFooter>
+						<Button
+							type="button"
+							variant="outline"
+							onClick={() => {
+								onSkip?.();
+								onOpenChange(false);
+							}}
+						>
+							{offlinePinConfigured ? "Cancel" : "Not now"}
+						</Button>
+						<Button type="submit" disabled={saving || offlineMode}>
+							{saving ? (
+								<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+							) : null}
+							Save PIN
+						</Button>
+					</DialogFooter>
+				</form>
+			</DialogContent>
+		</Dialog>
+	);
+}
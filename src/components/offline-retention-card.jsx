@@ -0,0 +1,146 @@
+import { useEffect, useState } from "react";
+import { Loader2, TimerReset } from "lucide-react";
+import { toast } from "sonner";
+import {
+	Card,
+	CardContent,
+	CardDescription,
+	CardHeader,
+	CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { useAuthStore } from "@/store/authStore";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLog,
+} from "@/lib/auditLog";
+import {
+	RETENTION_DAY_OPTIONS,
+	expireStaleSnapshots,
+	fetchRetentionDays,
+	saveRetentionDays,
+} from "@/services/offlineDataPolicy";
+
+/**
+ * Admin setting for how long cached case snapshots may stay on a device.
+ *
+ * Responsibilities:
+ * - Show and change the system-wide retention window (`app_settings`).
+ * - Apply the new window on this device right away; other devices pick it up
+ *   on their next hourly check.
+ *
+ * Render inside a `manage_system_settings` permission guard.
+ */
+export function OfflineRetentionCard() {
+	const user = useAuthStore((s) => s.user);
+	const offlineMode = useAuthStore((s) => s.offlineMode);
+
+	const [days, setDays] = useState(null);
+	const [savedDays, setSavedDays] = useState(null);
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		let cancelled = false;
+		fetchRetentionDays().then(({ days: current }) => {
+			if (cancelled) return;
+			setDays(current);
+			setSavedDays(current);
+		});
+		return () => {
+			cancelled = true;
+		};
+	}, []);
+
+	const handleSave = async () => {
+		setSaving(true);
+		try {
+			const { error } = await saveRetentionDays(days, user?.id ?? null);
+			if (error) {
+				toast.error("Failed to save retention policy", {
+					description: error.message,
+				});
+				return;
+			}
+
+			await createAuditLog({
+				actionType: AUDIT_ACTIONS.UPDATE_OFFLINE_RETENTION,
+				actionCategory: AUDIT_CATEGORIES.SYSTEM,
+				description: `Changed offline data retention from ${savedDays} to ${days} days`,
+				metadata: { previousDays: savedDays, days },
+				severity: "warning",
+			});
+			setSavedDays(days);
+
+			const removed = await expireStaleSnapshots(days);
+			toast.success("Retention policy saved", {
+				description: removed
+					? `${removed} stale record${removed === 1 ? "" : "s"} removed from this device.`
+					: undefined,
+			});
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	return (
+		<Card>
+			<CardHeader>
+				<CardTitle className="flex items-center gap-2">
+					<TimerReset className="h-5 w-5" />
+					Offline data retention
+				</CardTitle>
+				<CardDescription>
+					Cached cases and dashboard snapshots older than this are
+					removed from every device. Records with unsynced changes are
+					kept until they sync.
+				</CardDescription>
+			</CardHeader>
+			<CardContent className="flex flex-wrap items-center gap-2">
+				{days === null ? (
+					<Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+				) : (
+					<>
+						<Select
+							value={String(days)}
+							onValueChange={(value) => setDays(Number(value))}
+							disabled={offlineMode}
+						>
+							<SelectTrigger className="w-48">
+								<SelectValue />
+							</SelectTrigger>
+							<SelectContent>
+								{RETENTION_DAY_OPTIONS.map((option) => (
+									<SelectItem
+										key={option}
+										value={String(option)}
+									>
+										{option} day{option === 1 ? "" : "s"}
+									</SelectItem>
+								))}
+							</SelectContent>
+						</Select>
+						<Button
+							onClick={handleSave}
+							disabled={
+								saving || offlineMode || days === savedDays
+							}
+						>
+							{saving ? (
+								<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+							) : null}
+							Save
+						</Button>
+					</>
+				)}
+			</CardContent>
+		</Card>
+	);
+}
@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { KeyRound, Loader2, WifiOff } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import { useAuthStore } from "@/store/authStore";
+import { listUnlockableSessions } from "@/services/offlineSessionService";
+
+/**
+ * Full-screen gate shown when the app starts offline with no signed-in user.
+ *
+ * Responsibilities:
+ * - List accounts on this device that still have a valid offline PIN.
+ * - Unlock the chosen account via `authStore.unlockOffline`.
+ * - Fall back to an "Internet required" message when no offline access exists.
+ */
+export function OfflineUnlockScreen() {
+	const unlockOffline = useAuthStore((s) => s.unlockOffline);
+
+	const [sessions, setSessions] = useState(null);
+	const [userId, setUserId] = useState("");
+	const [pin, setPin] = useState("");
+	const [error, setError] = useState(null);
+	const [unlocking, setUnlocking] = useState(false);
+
+	useEffect(() => {
+		let cancelled = false;
+		listUnlockableSessions()
+			.then((available) => {
+				if (cancelled) return;
+				setSessions(available);
+				setUserId(available[0]?.userId ?? "");
+			})
+			.catch((err) => {
+				console.error("Failed to read offline sessions:", err);
+				if (!cancelled) setSessions([]);
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, []);
+
+	const selected = sessions?.find((session) => session.userId === userId);
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		if (!userId || !pin) return;
+		setUnlocking(true);
+		setError(null);
+		try {
+			const result = await unlockOffline(userId, pin);
+			if (!result.success) {
+				setPin("");
+				setError(
+					result.attemptsLeft
+						? `${result.error.message} ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? "" : "s"} left.`
+						: result.error.message,
+				);
+				// The proof is gone after too many attempts; refresh the account list.
+				if (result.attemptsLeft === 0) {
+					setSessions(await listUnlockableSessions());
+				}
+			}
+		} finally {
+			setUnlocking(false);
+		}
+	};
+
+	if (sessions === null) {
+		return (
+			<div className="fixed inset-0 z-[1000] flex items-center justify-center bg-background">
+				<Loader2 className="h-6 w-6 animate-spin text-primary" />
+			</div>
+		);
+	}
+
+	return (
+		<div className="fixed inset-0 z-[1000] flex items-center justify-center bg-background px-6">
+			<div className="flex w-full max-w-md flex-col items-center gap-4 rounded-2xl border bg-card p-8 text-center shadow-xl">
+				<div className="rounded-full bg-muted p-4">
+					{sessions.length ? (
+						<KeyRound className="h-6 w-6 text-primary" />
+					) : (
+						<WifiOff className="h-6 w-6 text-destructive" />
+					)}
+				</div>
+
+				{sessions.length ? (
+					<form
+						onSubmit={handleSubmit}
+						className="flex w-full flex-col gap-4 text-left"
+					>
+						<div className="space-y-2 text-center">
+							<p className="text-lg font-semibold">
+								Unlock offline
+							</p>
+							<p className="text-sm text-muted-foreground">
+								You're offline. Enter your PIN to view cached
+								records; changes are queued until you reconnect.
+							</p>
+						</div>
+
+						{sessions.length > 1 ? (
+							<div className="grid gap-2">
+								<Label>Account</Label>
+								<Select
+									value={userId}
+									onValueChange={(value) => {
+										setUserId(value);
+										setError(null);
+									}}
+								>
+									<SelectTrigger className="w-full">
+										<SelectValue placeholder="Select account" />
+									</SelectTrigger>
+									<SelectContent>
+										{sessions.map((session) => (
+											<SelectItem
+												key={session.userId}
+												value={session.userId}
+											>
+												{session.email}
+											</SelectItem>
+										))}
+									</SelectContent>
+								</Select>
+							</div>
+						) : (
+							<p className="text-center text-sm font-medium">
+								{selected?.email}
+							</p>
+						)}
+
+						<div className="grid gap-2">
+							<Label htmlFor="offline-pin">PIN</Label>
+							<Input
+								id="offline-pin"
+								type="password"
+								inputMode="numeric"
+								autoComplete="off"
+								autoFocus
+								maxLength={8}
+								value={pin}
+								onChange={(e) =>
+									setPin(e.target.value.replace(/\D/g, ""))
+								}
+							/>
+							{error ? (
+								<p className="text-sm text-destructive">
+									{error}
+								</p>
+							) : null}
+						</div>
+
+						<Button type="submit" disabled={unlocking || !pin}>
+							{unlocking ? (
+								<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+							) : null}
+							Unlock
+						</Button>
+
+						{selected ? (
+							<p className="text-center text-xs text-muted-foreground">
+								Offline access expires{" "}
+								{format(
+									selected.expiresAt,
+									"MMM d, yyyy h:mm a",
+								)}
+							</p>
+						) : null}
+					</form>
+				) : (
+					<div className="space-y-2">
+						<p className="text-lg font-semibold">
+							Internet required
+						</p>
+						<p className="text-sm text-muted-foreground">
+							No offline access is set up on this device, it has
+							expired, or you logged out. Connect to the internet
+							to sign in. After signing in you can set a PIN for
+							offline use.
+						</p>
+					</div>
+				)}
+
+				<button
+					type="button"
+					onClick={() => window.location.reload()}
+					className="text-sm text-muted-foreground underline"
+				>
+					Retry connection
+				</button>
+			</div>
+		</div>
+	);
+}
@@ -13,6 +13,7 @@ import {
   SidebarMenuButton,
 } from "@/components/ui/sidebar"
 import { NavMain } from "@/components/sidebar/nav-main"
+import { NavSavedViews } from "@/components/sidebar/nav-saved-views"
 
 import { 
 	IconHeartHandshake, 
@@ -29,7 +30,9 @@ import {
   // IconKey,
 	IconPackage,
 	IconCircleCheck,
-	IconUserCheck
+	IconUserCheck,
+	IconCloudUpload,
+	IconAddressBook
 } from "@tabler/icons-react"
 import logo from "@/assets/logo.jpg"
 import {
@@ -52,6 +55,7 @@ export default function Sidebar(props) {
         items: [
           { path: "/case/dashboard", label: "Dashboard", icon: IconDashboard },
           { path: "/case/management", label: "Management", icon: IconFolders },
+          { path: "/case/clients", label: "Clients", icon: IconAddressBook },
         ]
       },
       { 
@@ -91,6 +95,7 @@ export default function Sidebar(props) {
           // { path: "/controls/permissions", label: "Role Permissions", icon: IconKey },
         ]
       },
+      { path: "/sync", label: "Sync Center", icon: IconCloudUpload },
     ],
   }
 
@@ -120,6 +125,7 @@ export default function Sidebar(props) {
       <SidebarContent>
         {/* Dynamic navigation menu (based on role) */}
         <NavMain items={navItems} />
+        <NavSavedViews />
         <SidebarNotificationCalendar />
 
       </SidebarContent>
@@ -0,0 +1,68 @@
+import { Link, useLocation } from "react-router-dom"
+import { IconBookmark, IconStarFilled } from "@tabler/icons-react"
+import {
+  SidebarGroup,
+  SidebarGroupLabel,
+  SidebarMenu,
+  SidebarMenuItem,
+  SidebarMenuButton,
+} from "@/components/ui/sidebar"
+import { useAuthStore } from "@/store/authStore"
+import { useCaseFilterViews } from "@/store/useCaseFilterViewStore"
+
+/**
+ * Saved Case Management filter views (own and shared), each opening Case
+ * Management with that view applied. Hidden while there are none, e.g. offline.
+ */
+export function NavSavedViews() {
+  const location = useLocation()
+  const user = useAuthStore((state) => state.user)
+  const { views, defaultViewId } = useCaseFilterViews(user?.id)
+
+  if (!views.length) return null
+
+  // Same hard reload as the module links in NavMain, so Case Management
+  // mounts fresh and applies the linked view.
+  const handleViewClick = (event, path) => {
+    const isModifiedEvent =
+      event.metaKey || event.altKey || event.ctrlKey || event.shiftKey
+    if (event.button !== 0 || isModifiedEvent) return
+
+    event.preventDefault()
+    window.location.hash = `#${path}`
+    window.location.reload()
+  }
+
+  const activeViewId = new URLSearchParams(location.search).get("view")
+
+  return (
+    <SidebarGroup>
+      <SidebarGroupLabel>Saved views</SidebarGroupLabel>
+      <SidebarMenu>
+        {views.map((view) => {
+          const path = `/case/management?view=${view.id}`
+          return (
+            <SidebarMenuItem key={view.id}>
+              <SidebarMenuButton
+                asChild
+                isActive={activeViewId === view.id}
+                tooltip={view.name}
+              >
+                <Link to={path} onClick={(event) => handleViewClick(event, path)}>
+                  <IconBookmark className="size-4" />
+                  <span className="truncate">{view.name}</span>
+                  <span className="ml-auto text-[10px] text-muted-foreground">
+                    {view.case_type}
+                  </span>
+                  {view.id === defaultViewId && (
+                    <IconStarFilled className="size-3 text-amber-500" />
+                  )}
+                </Link>
+              </SidebarMenuButton>
+            </SidebarMenuItem>
+          )
+        })}
+      </SidebarMenu>
+    </SidebarGroup>
+  )
+}
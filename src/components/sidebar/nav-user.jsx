@@ -3,6 +3,7 @@ import {
 	IconLogout,
 	IconUserCircle,
 	IconDotsVertical,
+	IconLockAccess,
 } from "@tabler/icons-react";
 
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
@@ -24,6 +25,8 @@ import {
 import { useAuthStore } from "@/store/authStore";
 import { toast } from "sonner";
 import Profile from "@/pages/Profile";
+import { OfflinePinDialog } from "@/components/offline-pin-dialog";
+import { UnsyncedLogoutDialog } from "@/components/unsynced-logout-dialog";
 
 export function NavUser({ user, avatar }) {
 	const { isMobile } = useSidebar();
@@ -31,6 +34,20 @@ export function NavUser({ user, avatar }) {
 	const role = useAuthStore((s) => s.role);
 
 	const [openDialog, setOpenDialog] = useState(false);
+	const [openPinDialog, setOpenPinDialog] = useState(false);
+	const [pendingLogout, setPendingLogout] = useState(null);
+
+	const notifyLoggedOut = () =>
+		toast.success("Account logged out.", {
+			icon: <IconLogout className="text-red-500" size={20} />,
+		});
+
+	// Logout refuses while changes are queued; ask before dropping them.
+	const handleLogout = async () => {
+		const result = await logout();
+		if (result.success) notifyLoggedOut();
+		else setPendingLogout(result);
+	};
 
 	const roleLabels = {
 		social_worker: "Social Worker",
@@ -96,18 +113,17 @@ export function NavUser({ user, avatar }) {
 									<IconUserCircle />
 									Account
 								</DropdownMenuItem>
+								<DropdownMenuItem onClick={() => setOpenPinDialog(true)}>
+									<IconLockAccess />
+									Offline access
+								</DropdownMenuItem>
 							</DropdownMenuGroup>
 
 							<DropdownMenuSeparator />
 
 							{/* LOGOUT */}
 							<DropdownMenuItem
-								onClick={() => {
-									logout();
-									toast.success("Account logged out.", {
-										icon: <IconLogout className="text-red-500" size={20} />,
-									});
-								}}
+								onClick={handleLogout}
 								className="cursor-pointer"
 							>
 								<IconLogout />
@@ -120,6 +136,12 @@ export function NavUser({ user, avatar }) {
 
 			{/* PROFILE PICTURE UPLOAD DIALOG */}
 			<Profile open={openDialog} setOpen={setOpenDialog} />
+			<OfflinePinDialog open={openPinDialog} onOpenChange={setOpenPinDialog} />
+			<UnsyncedLogoutDialog
+				pending={pendingLogout}
+				onClose={() => setPendingLogout(null)}
+				onLoggedOut={notifyLoggedOut}
+			/>
 		</>
 	);
 }
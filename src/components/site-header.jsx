@@ -4,6 +4,9 @@ import { useLocation } from "react-router-dom";
 import { useMemo } from "react";
 import { ChevronRight } from "lucide-react";
 import { NotificationBell } from "@/components/notifications/NotificationBell";
+import { Badge } from "@/components/ui/badge";
+import { useAuthStore } from "@/store/authStore";
+import { format } from "date-fns";
 
 /**
  * App shell header.
@@ -26,6 +29,9 @@ const pageTitles = {
 	"/case": "Case Management",
 	"/case/dashboard": "Dashboard",
 	"/case/management": "Management",
+	"/case/clients": "Clients",
+	"/case/clients/:clientId": "Client Profile",
+	"/case/records/:caseType/:caseId": "Case Record",
 
 	// Program Management
 	"/program": "Program Management",
@@ -46,6 +52,9 @@ const pageTitles = {
 	// Account Management
 	"/account": "Account Management",
 
+	// Sync Center
+	"/sync": "Sync Center",
+
 	// Security & Audit
 	"/controls": "Security & Audit",
 	"/controls/audit": "Audit Trail",
@@ -60,6 +69,9 @@ const parentSections = {
 	// Case Management sub-pages
 	"/case/dashboard": "Case Management",
 	"/case/management": "Case Management",
+	"/case/clients": "Case Management",
+	"/case/clients/:clientId": "Case Management",
+	"/case/records/:caseType/:caseId": "Case Management",
 
 	// Program Management sub-pages
 	"/program/dashboard": "Program Management",
@@ -83,15 +95,29 @@ const parentSections = {
 	// "/controls/permissions": "Security & Audit",
 };
 
+/**
+ * Map a pathname to its key in the route maps above; dynamic routes share one key.
+ * @param {string} pathname
+ */
+const routeKeyFor = (pathname) => {
+	if (pathname.startsWith("/case/clients/")) return "/case/clients/:clientId";
+	if (pathname.startsWith("/case/records/")) {
+		return "/case/records/:caseType/:caseId";
+	}
+	return pathname;
+};
+
 export function SiteHeader() {
 	const location = useLocation();
+	const offlineMode = useAuthStore((s) => s.offlineMode);
+	const offlineExpiresAt = useAuthStore((s) => s.offlineExpiresAt);
 
 	const pageTitle = useMemo(() => {
-		return pageTitles[location.pathname] || "Documents";
+		return pageTitles[routeKeyFor(location.pathname)] || "Documents";
 	}, [location.pathname]);
 
 	const parentSection = useMemo(() => {
-		return parentSections[location.pathname] || null;
+		return parentSections[routeKeyFor(location.pathname)] || null;
 	}, [location.pathname]);
 
 	return (
@@ -127,6 +153,19 @@ export function SiteHeader() {
 				</div>
 
 				<div className="flex items-center gap-2">
+					{offlineMode ? (
+						<Badge
+							variant="outline"
+							className="border-amber-300 bg-amber-50 text-amber-800"
+							title={
+								offlineExpiresAt
+									? `Unlocked with PIN; expires ${format(offlineExpiresAt, "MMM d, h:mm a")}`
+									: undefined
+							}
+						>
+							Offline session
+						</Badge>
+					) : null}
 					<NotificationBell />
 				</div>
 			</div>
@@ -0,0 +1,147 @@
+import { useState } from "react";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+	AlertDialog,
+	AlertDialogCancel,
+	AlertDialogContent,
+	AlertDialogDescription,
+	AlertDialogFooter,
+	AlertDialogHeader,
+	AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { Button } from "@/components/ui/button";
+import { useAuthStore } from "@/store/authStore";
+import { useNetworkStatus } from "@/hooks/useNetworkStatus";
+import { retryAllQueues } from "@/services/syncCenterService";
+
+/**
+ * Confirmation shown when logging out would drop queued offline changes or
+ * unfinished intake drafts.
+ *
+ * Responsibilities:
+ * - Offer to sync the queues first (online, vault unlocked) and log out once
+ *   nothing is left.
+ * - Otherwise require an explicit "Discard and log out".
+ *
+ * @param {{ pending: { unsynced: number, drafts: number }|null, onClose: () => void, onLoggedOut?: () => void }} props
+ *   A non-null `pending` (the refused `logout()` result) opens the dialog.
+ */
+export function UnsyncedLogoutDialog({ pending, onClose, onLoggedOut }) {
+	const logout = useAuthStore((s) => s.logout);
+	const vaultUnlocked = useAuthStore((s) => s.vaultUnlocked);
+	const isOnline = useNetworkStatus();
+
+	const [busy, setBusy] = useState(null);
+	const [remaining, setRemaining] = useState(null);
+
+	const { unsynced = 0, drafts = 0 } = remaining ?? pending ?? {};
+	const canSync = isOnline && vaultUnlocked;
+
+	const finish = () => {
+		setRemaining(null);
+		onClose();
+		onLoggedOut?.();
+	};
+
+	const handleSync = async () => {
+		setBusy("sync");
+		try {
+			const { failures } = await retryAllQueues();
+			const result = await logout();
+			if (result.success) {
+				finish();
+				return;
+			}
+			setRemaining(result);
+			if (!result.unsynced) return;
+			toast.warning("Some changes did not sync", {
+				description: failures.length
+					? failures
+							.map(
+								({ label, error }) =>
+									`${label}: ${error?.message || error}`,
+							)
+							.join("\n")
+					: "Open the Sync Center to review them.",
+			});
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	const handleDiscard = async () => {
+		setBusy("discard");
+		try {
+			await logout({ discardUnsynced: true });
+			finish();
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	return (
+		<AlertDialog
+			open={Boolean(pending)}
+			onOpenChange={(open) => {
+				if (!open && !busy) {
+					setRemaining(null);
+					onClose();
+				}
+			}}
+		>
+			<AlertDialogContent>
+				<AlertDialogHeader>
+					<AlertDialogTitle>
+						{unsynced
+							? `${unsynced} unsynced change${unsynced === 1 ? "" : "s"}`
+							: `${drafts} unfinished intake draft${drafts === 1 ? "" : "s"}`}
+					</AlertDialogTitle>
+					<AlertDialogDescription>
+						Logging out removes all offline data for your account
+						from this device
+						{unsynced
+							? ", including changes that have not reached the server yet."
+							: "."}
+						{!unsynced
+							? ""
+							: canSync
+								? " Sync them first to keep them."
+								: isOnline
+									? " Unlock your offline data to sync them first."
+									: " Reconnect to the internet to sync them first."}
+						{drafts
+							? ` Your ${drafts === 1 ? "intake draft" : `${drafts} intake drafts`} will be deleted as well; submit or hand off what you need from My drafts first.`
+							: ""}
+					</AlertDialogDescription>
+				</AlertDialogHeader>
+				<AlertDialogFooter>
+					<AlertDialogCancel disabled={Boolean(busy)}>
+						Cancel
+					</AlertDialogCancel>
+					<Button
+						variant="destructive"
+						onClick={handleDiscard}
+						disabled={Boolean(busy)}
+					>
+						{busy === "discard" ? (
+							<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+						) : null}
+						Discard and log out
+					</Button>
+					{unsynced ? (
+						<Button
+							onClick={handleSync}
+							disabled={!canSync || Boolean(busy)}
+						>
+							{busy === "sync" ? (
+								<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+							) : null}
+							Sync and log out
+						</Button>
+					) : null}
+				</AlertDialogFooter>
+			</AlertDialogContent>
+		</AlertDialog>
+	);
+}
@@ -0,0 +1,184 @@
+import { useState } from "react";
+import { Loader2, LockKeyhole, TriangleAlert } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+	AlertDialog,
+	AlertDialogAction,
+	AlertDialogCancel,
+	AlertDialogContent,
+	AlertDialogDescription,
+	AlertDialogFooter,
+	AlertDialogHeader,
+	AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { useAuthStore } from "@/store/authStore";
+import { UnsyncedLogoutDialog } from "@/components/unsynced-logout-dialog";
+
+/**
+ * Full-screen gate shown while a signed-in user's offline vault is locked.
+ *
+ * Responsibilities:
+ * - Unlock the encrypted case cache with the account password or offline PIN
+ *   (e.g. after a reload in the browser build, where the key is not kept).
+ * - In recovery (password changed on another device), unlock with the PIN or
+ *   explicitly discard the offline data that can no longer be decrypted.
+ */
+export function VaultUnlockScreen() {
+	const user = useAuthStore((s) => s.user);
+	const vaultRecovery = useAuthStore((s) => s.vaultRecovery);
+	const unlockVault = useAuthStore((s) => s.unlockVault);
+	const resetOfflineData = useAuthStore((s) => s.resetOfflineData);
+	const logout = useAuthStore((s) => s.logout);
+
+	const [secret, setSecret] = useState("");
+	const [error, setError] = useState(null);
+	const [unlocking, setUnlocking] = useState(false);
+	const [confirmReset, setConfirmReset] = useState(false);
+	const [pendingLogout, setPendingLogout] = useState(null);
+
+	const handleLogout = async () => {
+		const result = await logout();
+		if (!result.success) setPendingLogout(result);
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		if (!secret) return;
+		setUnlocking(true);
+		setError(null);
+		try {
+			const result = await unlockVault(secret);
+			if (!result.success) {
+				setSecret("");
+				setError(
+					result.attemptsLeft
+						? `${result.error.message} ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? "" : "s"} left.`
+						: result.error.message,
+				);
+			}
+		} finally {
+			setUnlocking(false);
+		}
+	};
+
+	const handleReset = async () => {
+		setConfirmReset(false);
+		setUnlocking(true);
+		try {
+			const result = await resetOfflineData();
+			if (!result.success) setError(result.error.message);
+		} finally {
+			setUnlocking(false);
+		}
+	};
+
+	return (
+		<div className="fixed inset-0 z-[1000] flex items-center justify-center bg-background px-6">
+			<div className="flex w-full max-w-md flex-col items-center gap-4 rounded-2xl border bg-card p-8 text-center shadow-xl">
+				<div className="rounded-full bg-muted p-4">
+					{vaultRecovery ? (
+						<TriangleAlert className="h-6 w-6 text-amber-600" />
+					) : (
+						<LockKeyhole className="h-6 w-6 text-primary" />
+					)}
+				</div>
+
+				<form
+					onSubmit={handleSubmit}
+					className="flex w-full flex-col gap-4 text-left"
+				>
+					<div className="space-y-2 text-center">
+						<p className="text-lg font-semibold">
+							{vaultRecovery
+								? "Recover offline data"
+								: "Unlock offline data"}
+						</p>
+						<p className="text-sm text-muted-foreground">
+							{vaultRecovery
+								? "Your password changed since this device last synced. Enter your offline PIN to keep the cases and unsynced changes stored here."
+								: "Cases stored on this device are encrypted. Enter your password or offline PIN to open them."}
+						</p>
+						<p className="text-sm font-medium">{user?.email}</p>
+					</div>
+
+					<div className="grid gap-2">
+						<Label htmlFor="vault-secret">
+							{vaultRecovery ? "Offline PIN" : "Password or PIN"}
+						</Label>
+						<Input
+							id="vault-secret"
+							type="password"
+							inputMode={vaultRecovery ? "numeric" : undefined}
+							autoComplete="current-password"
+							autoFocus
+							value={secret}
+							onChange={(e) => setSecret(e.target.value)}
+						/>
+						{error ? (
+							<p className="text-sm text-destructive">{error}</p>
+						) : null}
+					</div>
+
+					<Button type="submit" disabled={unlocking || !secret}>
+						{unlocking ? (
+							<Loader2 className="mr-2 h-4 w-4 animate-spin" />
+						) : null}
+						Unlock
+					</Button>
+				</form>
+
+				<div className="flex gap-4">
+					{vaultRecovery ? (
+						<button
+							type="button"
+							onClick={() => setConfirmReset(true)}
+							disabled={unlocking}
+							className="text-sm text-destructive underline"
+						>
+							Start fresh
+						</button>
+					) : null}
+					<button
+						type="button"
+						onClick={handleLogout}
+						disabled={unlocking}
+						className="text-sm text-muted-foreground underline"
+					>
+						Sign out
+					</button>
+				</div>
+			</div>
+
+			<AlertDialog open={confirmReset} onOpenChange={setConfirmReset}>
+				<AlertDialogContent>
+					<AlertDialogHeader>
+						<AlertDialogTitle>
+							Discard offline data?
+						</AlertDialogTitle>
+						<AlertDialogDescription>
+							Cached cases and any changes that were never synced
+							from this device will be deleted. Cases on the
+							server are not affected. This cannot be undone.
+						</AlertDialogDescription>
+					</AlertDialogHeader>
+					<AlertDialogFooter>
+						<AlertDialogCancel>Cancel</AlertDialogCancel>
+						<AlertDialogAction
+							className="bg-destructive text-white hover:bg-destructive/90"
+							onClick={handleReset}
+						>
+							Discard
+						</AlertDialogAction>
+					</AlertDialogFooter>
+				</AlertDialogContent>
+			</AlertDialog>
+
+			<UnsyncedLogoutDialog
+				pending={pendingLogout}
+				onClose={() => setPendingLogout(null)}
+			/>
+		</div>
+	);
+}
@@ -704,4 +704,331 @@ offlineCaseDb.version(20).stores({
 	staff_workload_cache: "++cacheId, staff_name, case_manager, cached_at",
 });
 
+// Version 21: PIN-sealed session proofs for offline unlock
+offlineCaseDb.version(21).stores({
+	ciclcar_cases: "++localId, id, updated_at, case_manager, hasPendingWrites",
+	ciclcar_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	case_managers: "id, full_name",
+	fac_cases:
+		"++localId, id, updated_at, head_first_name, head_last_name, hasPendingWrites",
+	fac_queue: "++queueId, targetLocalId, targetId, operationType, createdAt",
+	far_cases:
+		"++localId, id, date, receiving_member, assistance, hasPendingWrites",
+	far_queue: "++queueId, targetLocalId, targetId, operationType, createdAt",
+	ivac_cases:
+		"++localId, id, updated_at, municipality, province, status, hasPendingWrites",
+	ivac_queue: "++queueId, targetLocalId, targetId, operationType, createdAt",
+	case_cases:
+		"++localId, id, updated_at, identifying_name, case_manager, hasPendingWrites",
+	case_queue: "++queueId, targetLocalId, targetId, operationType, createdAt",
+	sp_cases:
+		"++localId, id, updated_at, full_name, case_manager, hasPendingWrites",
+	sp_queue: "++queueId, targetLocalId, targetId, operationType, createdAt",
+	fa_cases:
+		"++localId, id, updated_at, client_name, case_manager, hasPendingWrites",
+	fa_queue: "++queueId, targetLocalId, targetId, operationType, createdAt",
+	pwd_cases:
+		"++localId, id, updated_at, last_name, first_name, case_manager, hasPendingWrites",
+	pwd_queue: "++queueId, targetLocalId, targetId, operationType, createdAt",
+	sc_cases:
+		"++localId, id, updated_at, senior_name, case_manager, hasPendingWrites",
+	sc_queue: "++queueId, targetLocalId, targetId, operationType, createdAt",
+	dashboard_cache: "++id, dashboardType, timestamp, data",
+	dashboard_raw_data:
+		"++id, dashboardType, timestamp, cases, ciclcar, fac, ivac, sp, fa, pwd, sc",
+	programs:
+		"++localId, id, updated_at, program_name, status, hasPendingWrites",
+	program_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	program_enrollments:
+		"++localId, id, program_id, enrollment_date, status, updated_at, hasPendingWrites",
+	enrollment_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	cached_vac_cases: "id, identifying_name, case_manager, status",
+	cached_far_cases: "id, receiving_member, case_manager, status",
+	service_delivery:
+		"++localId, id, enrollment_id, program_id, service_date, hasPendingWrites, lastLocalChange",
+	service_delivery_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	partners:
+		"++localId, id, organization_name, partnership_status, mou_expiry_date, hasPendingWrites, lastLocalChange",
+	partners_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	inventory_items:
+		"++localId, id, item_name, category, status, hasPendingWrites, lastLocalChange",
+	inventory_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	resource_requests:
+		"++localId, id, request_number, status, priority, requested_by, created_at, hasPendingWrites, pendingAction, lastLocalChange",
+	resource_requests_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	staff_workload_cache: "++cacheId, staff_name, case_manager, cached_at",
+	offline_sessions: "userId, email, expiresAt",
+});
+
+// Version 22: Encrypted case cache. Case snapshots and queues keep only routing
+// fields in clear text (names and other columns move into a sealed blob), so the
+// name indexes are dropped and `ownerId` records whose key sealed each record.
+offlineCaseDb.version(22).stores({
+	ciclcar_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	ciclcar_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	case_managers: "id, full_name",
+	fac_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	fac_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	far_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	far_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	ivac_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	ivac_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	case_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	case_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	sp_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	sp_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	fa_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	fa_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	pwd_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	pwd_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	sc_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	sc_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	dashboard_cache: "++id, dashboardType, timestamp, data",
+	dashboard_raw_data:
+		"++id, dashboardType, timestamp, cases, ciclcar, fac, ivac, sp, fa, pwd, sc",
+	programs:
+		"++localId, id, updated_at, program_name, status, hasPendingWrites",
+	program_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	program_enrollments:
+		"++localId, id, program_id, enrollment_date, status, updated_at, hasPendingWrites",
+	enrollment_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	cached_vac_cases: "id, identifying_name, case_manager, status",
+	cached_far_cases: "id, receiving_member, case_manager, status",
+	service_delivery:
+		"++localId, id, enrollment_id, program_id, service_date, hasPendingWrites, lastLocalChange",
+	service_delivery_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	partners:
+		"++localId, id, organization_name, partnership_status, mou_expiry_date, hasPendingWrites, lastLocalChange",
+	partners_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	inventory_items:
+		"++localId, id, item_name, category, status, hasPendingWrites, lastLocalChange",
+	inventory_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	resource_requests:
+		"++localId, id, request_number, status, priority, requested_by, created_at, hasPendingWrites, pendingAction, lastLocalChange",
+	resource_requests_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	staff_workload_cache: "++cacheId, staff_name, case_manager, cached_at",
+	offline_sessions: "userId, email, expiresAt",
+	vault_keys: "userId",
+});
+
+// Version 23: Per-account delta sync watermarks for the case snapshots
+offlineCaseDb.version(23).stores({
+	ciclcar_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	ciclcar_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	case_managers: "id, full_name",
+	fac_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	fac_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	far_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	far_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	ivac_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	ivac_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	case_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	case_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	sp_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	sp_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	fa_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	fa_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	pwd_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	pwd_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	sc_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	sc_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	dashboard_cache: "++id, dashboardType, timestamp, data",
+	dashboard_raw_data:
+		"++id, dashboardType, timestamp, cases, ciclcar, fac, ivac, sp, fa, pwd, sc",
+	programs:
+		"++localId, id, updated_at, program_name, status, hasPendingWrites",
+	program_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	program_enrollments:
+		"++localId, id, program_id, enrollment_date, status, updated_at, hasPendingWrites",
+	enrollment_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	cached_vac_cases: "id, identifying_name, case_manager, status",
+	cached_far_cases: "id, receiving_member, case_manager, status",
+	service_delivery:
+		"++localId, id, enrollment_id, program_id, service_date, hasPendingWrites, lastLocalChange",
+	service_delivery_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	partners:
+		"++localId, id, organization_name, partnership_status, mou_expiry_date, hasPendingWrites, lastLocalChange",
+	partners_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	inventory_items:
+		"++localId, id, item_name, category, status, hasPendingWrites, lastLocalChange",
+	inventory_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	resource_requests:
+		"++localId, id, request_number, status, priority, requested_by, created_at, hasPendingWrites, pendingAction, lastLocalChange",
+	resource_requests_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	staff_workload_cache: "++cacheId, staff_name, case_manager, cached_at",
+	offline_sessions: "userId, email, expiresAt",
+	vault_keys: "userId",
+	sync_watermarks: "key, ownerId",
+});
+
+// Version 24: Autosaved intake drafts (sealed like the case cache)
+offlineCaseDb.version(24).stores({
+	ciclcar_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	ciclcar_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	case_managers: "id, full_name",
+	fac_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	fac_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	far_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	far_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	ivac_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	ivac_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	case_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	case_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	sp_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	sp_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	fa_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	fa_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	pwd_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	pwd_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	sc_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	sc_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	dashboard_cache: "++id, dashboardType, timestamp, data",
+	dashboard_raw_data:
+		"++id, dashboardType, timestamp, cases, ciclcar, fac, ivac, sp, fa, pwd, sc",
+	programs:
+		"++localId, id, updated_at, program_name, status, hasPendingWrites",
+	program_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	program_enrollments:
+		"++localId, id, program_id, enrollment_date, status, updated_at, hasPendingWrites",
+	enrollment_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	cached_vac_cases: "id, identifying_name, case_manager, status",
+	cached_far_cases: "id, receiving_member, case_manager, status",
+	service_delivery:
+		"++localId, id, enrollment_id, program_id, service_date, hasPendingWrites, lastLocalChange",
+	service_delivery_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	partners:
+		"++localId, id, organization_name, partnership_status, mou_expiry_date, hasPendingWrites, lastLocalChange",
+	partners_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	inventory_items:
+		"++localId, id, item_name, category, status, hasPendingWrites, lastLocalChange",
+	inventory_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	resource_requests:
+		"++localId, id, request_number, status, priority, requested_by, created_at, hasPendingWrites, pendingAction, lastLocalChange",
+	resource_requests_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	staff_workload_cache: "++cacheId, staff_name, case_manager, cached_at",
+	offline_sessions: "userId, email, expiresAt",
+	vault_keys: "userId",
+	sync_watermarks: "key, ownerId",
+	intake_drafts: "++draftId, ownerId, caseType, updatedAt",
+});
+
+// Version 25: Documents staged offline, uploaded once back online
+offlineCaseDb.version(25).stores({
+	ciclcar_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	ciclcar_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	case_managers: "id, full_name",
+	fac_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	fac_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	far_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	far_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	ivac_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	ivac_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	case_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	case_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	sp_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	sp_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	fa_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	fa_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	pwd_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	pwd_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	sc_cases: "++localId, id, updated_at, hasPendingWrites, ownerId",
+	sc_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt, ownerId",
+	dashboard_cache: "++id, dashboardType, timestamp, data",
+	dashboard_raw_data:
+		"++id, dashboardType, timestamp, cases, ciclcar, fac, ivac, sp, fa, pwd, sc",
+	programs:
+		"++localId, id, updated_at, program_name, status, hasPendingWrites",
+	program_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	program_enrollments:
+		"++localId, id, program_id, enrollment_date, status, updated_at, hasPendingWrites",
+	enrollment_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	cached_vac_cases: "id, identifying_name, case_manager, status",
+	cached_far_cases: "id, receiving_member, case_manager, status",
+	service_delivery:
+		"++localId, id, enrollment_id, program_id, service_date, hasPendingWrites, lastLocalChange",
+	service_delivery_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	partners:
+		"++localId, id, organization_name, partnership_status, mou_expiry_date, hasPendingWrites, lastLocalChange",
+	partners_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	inventory_items:
+		"++localId, id, item_name, category, status, hasPendingWrites, lastLocalChange",
+	inventory_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	resource_requests:
+		"++localId, id, request_number, status, priority, requested_by, created_at, hasPendingWrites, pendingAction, lastLocalChange",
+	resource_requests_queue:
+		"++queueId, targetLocalId, targetId, operationType, createdAt",
+	staff_workload_cache: "++cacheId, staff_name, case_manager, cached_at",
+	offline_sessions: "userId, email, expiresAt",
+	vault_keys: "userId",
+	sync_watermarks: "key, ownerId",
+	intake_drafts: "++draftId, ownerId, caseType, updatedAt",
+	staged_documents: "++uploadId, ownerId, relatedKey, createdAt",
+});
+
 export default offlineCaseDb;
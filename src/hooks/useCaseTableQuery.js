@@ -0,0 +1,307 @@
+/**
+ * Rows, paging and sorting for one Case Management tab.
+ *
+ * Responsibilities:
+ * - Own the tab's page and sort state; go back to the first page when the
+ *   search, filters or sort change.
+ * - Online, ask Supabase for the current page (`fetchCaseTablePage`) and show
+ *   the rows it returns, mapped like the tab's cached rows. Otherwise filter
+ *   and sort the cached rows and let the table page them.
+ * - Resolve a row selection spanning pages, and every matching row, for bulk
+ *   actions and "export all".
+ *
+ * Notes:
+ * - The local fallback is used offline, while the tab has unsynced changes
+ *   (the server does not have them yet), and after a server query fails, e.g.
+ *   before database/migrations/20261019_add_case_search.sql is applied.
+ * - Only the active tab does any work; the others return no rows.
+ * - Server rows seen on earlier pages are kept, so a selection spanning pages
+ *   (or "select all") resolves without the offline snapshot.
+ * - Pass the result's `tableOptions` to `useDataTable`.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import useNetworkStatus from "@/hooks/useNetworkStatus";
+import { mapCaseRow } from "@/hooks/useCases";
+import { mapCiclcarRow } from "@/hooks/useCiclcarCases";
+import { mapFaRow } from "@/hooks/useFaCases";
+import { mapFacRow } from "@/hooks/useFacCases";
+import { mapFarRow } from "@/hooks/useFarCases";
+import { mapIvacRow } from "@/hooks/useIvacCases";
+import { mapPwdRow } from "@/hooks/usePwdCases";
+import { mapScRow } from "@/hooks/useScCases";
+import { mapSpRow } from "@/hooks/useSpCases";
+import {
+	CASE_TABLE_SORTABLE_COLUMNS,
+	fetchCaseTablePage,
+	fetchCaseTableRows,
+	queryLocalCaseRows,
+} from "@/services/caseTableQueryService";
+
+/** Wait this long after the last keystroke before asking the server. */
+const SEARCH_DEBOUNCE_MS = 300;
+
+const EMPTY_ROWS = [];
+
+/** The row mapper each tab's hook applies to its snapshot rows. */
+const ROW_MAPPERS = {
+	CASE: mapCaseRow,
+	CICLCAR: mapCiclcarRow,
+	FAR: mapFarRow,
+	FAC: mapFacRow,
+	IVAC: mapIvacRow,
+	SP: mapSpRow,
+	FA: mapFaRow,
+	PWD: mapPwdRow,
+	SC: mapScRow,
+};
+
+/** Same key as `getRowId` in useDataTable. */
+const rowKey = (row) => String(row?.id ?? row?.localId);
+
+/**
+ * @typedef {Object} UseCaseTableQueryArgs
+ * @property {string} caseType Case Management tab (CASE, CICLCAR, ...).
+ * @property {any[]} rows Every cached row of the tab, already mapped; read for
+ *   the local fallback and to spot unsynced changes.
+ * @property {boolean} active Whether the tab is showing.
+ * @property {string} searchQuery
+ * @property {import("@/services/caseTableQueryService").CaseTableFilters} filters
+ * @property {string} caseManager "all" or a case manager name.
+ * @property {import("@/lib/caseFieldCatalog").CaseFieldGroup} [fieldFilter]
+ * @property {string[]} [excludeIds] Cases hidden from the signed-in worker.
+ */
+
+/**
+ * @typedef {Object} UseCaseTableQueryResult
+ * @property {any[]} rows Current page (server) or every match (local).
+ * @property {boolean} serverSide True while pages come from Supabase.
+ * @property {boolean} loading True while a server page is on its way.
+ * @property {number|null} rowCount Matching cases on the server; null locally.
+ * @property {Object} tableOptions Paging and sorting options for `useDataTable`.
+ * @property {(rowSelection: Record<string, boolean>) => any[]} resolveSelection
+ * @property {() => Promise<any[]>} fetchMatchingRows Every matching row, in order.
+ */
+
+/**
+ * @param {UseCaseTableQueryArgs} args
+ * @returns {UseCaseTableQueryResult}
+ */
+export function useCaseTableQuery({
+	caseType,
+	rows,
+	active,
+	searchQuery,
+	filters,
+	caseManager,
+	fieldFilter,
+	excludeIds = EMPTY_ROWS,
+}) {
+	const isOnline = useNetworkStatus();
+	const [pagination, setPagination] = useState({
+		pageIndex: 0,
+		pageSize: 10,
+	});
+	const [sorting, setSorting] = useState([]);
+	const [debouncedSearch, setDebouncedSearch] = useState(searchQuery);
+	const [serverFailed, setServerFailed] = useState(false);
+	const [page, setPage] = useState(null);
+	const [loading, setLoading] = useState(false);
+	/** @type {import("react").MutableRefObject<Map<string, any>>} */
+	const seenServerRows = useRef(new Map());
+
+	const safeRows = rows ?? EMPTY_ROWS;
+
+	// Parents may hand over a fresh array on every render (e.g. `[]` while
+	// loading), so server pages are refetched when this summary changes instead.
+	const { hasLocalChanges, rowsVersion } = useMemo(() => {
+		let latest = "";
+		let changed = false;
+		for (const row of safeRows) {
+			if (!row.id || row.hasPendingWrites) changed = true;
+			const stamp = row.updated_at ?? row.created_at ?? "";
+			if (stamp > latest) latest = stamp;
+		}
+		return {
+			hasLocalChanges: changed,
+			rowsVersion: `${safeRows.length}:${latest}`,
+		};
+	}, [safeRows]);
+	const serverSide = active && isOnline && !hasLocalChanges && !serverFailed;
+
+	/** Map server rows like cached ones and remember them for selections. */
+	const takeServerRows = useCallback(
+		(serverRows) => {
+			const mapRow = ROW_MAPPERS[caseType] ?? ((row) => row);
+			const mapped = serverRows.map(mapRow);
+			for (const row of mapped)
+				seenServerRows.current.set(rowKey(row), row);
+			return mapped;
+		},
+		[caseType],
+	);
+
+	// Give the server another try after reconnecting.
+	useEffect(() => {
+		if (isOnline) setServerFailed(false);
+	}, [isOnline]);
+
+	useEffect(() => {
+		const timer = setTimeout(
+			() => setDebouncedSearch(searchQuery),
+			SEARCH_DEBOUNCE_MS,
+		);
+		return () => clearTimeout(timer);
+	}, [searchQuery]);
+
+	useEffect(() => {
+		setPagination((current) =>
+			current.pageIndex === 0 ? current : { ...current, pageIndex: 0 },
+		);
+	}, [searchQuery, filters, caseManager, fieldFilter, sorting]);
+
+	const query = useMemo(
+		() => ({
+			searchQuery: debouncedSearch,
+			filters,
+			caseManager,
+			fieldFilter,
+			excludeIds,
+			sorting,
+		}),
+		[
+			debouncedSearch,
+			filters,
+			caseManager,
+			fieldFilter,
+			excludeIds,
+			sorting,
+		],
+	);
+
+	// `rowsVersion` is a dependency so edits and syncs refresh the page.
+	useEffect(() => {
+		if (!serverSide) return undefined;
+		let cancelled = false;
+		setLoading(true);
+		fetchCaseTablePage(caseType, { ...query, ...pagination }).then(
+			({ data, error }) => {
+				if (cancelled) return;
+				setLoading(false);
+				if (error) {
+					setServerFailed(true);
+					return;
+				}
+				setPage({
+					rows: takeServerRows(data.rows),
+					total: data.total,
+				});
+			},
+		);
+		return () => {
+			cancelled = true;
+		};
+	}, [serverSide, caseType, query, pagination, rowsVersion, takeServerRows]);
+
+	const rowsByKey = useMemo(
+		() =>
+			serverSide
+				? null
+				: new Map(safeRows.map((row) => [rowKey(row), row])),
+		[serverSide, safeRows],
+	);
+
+	const localRows = useMemo(
+		() =>
+			active && !serverSide
+				? queryLocalCaseRows(caseType, safeRows, {
+						searchQuery,
+						filters,
+						caseManager,
+						fieldFilter,
+						sorting,
+					})
+				: EMPTY_ROWS,
+		[
+			active,
+			serverSide,
+			caseType,
+			safeRows,
+			searchQuery,
+			filters,
+			caseManager,
+			fieldFilter,
+			sorting,
+		],
+	);
+
+	const serverRows = serverSide && page ? page.rows : EMPTY_ROWS;
+	const rowCount = serverSide ? (page?.total ?? 0) : null;
+
+	const resolveSelection = useCallback(
+		(rowSelection) =>
+			Object.keys(rowSelection ?? {})
+				.filter((key) => rowSelection[key])
+				.map((key) =>
+					rowsByKey
+						? rowsByKey.get(key)
+						: seenServerRows.current.get(key),
+				)
+				.filter(Boolean),
+		[rowsByKey],
+	);
+
+	const fetchMatchingRows = useCallback(async () => {
+		const localQuery = {
+			searchQuery,
+			filters,
+			caseManager,
+			fieldFilter,
+			sorting,
+		};
+		if (!serverSide) {
+			return queryLocalCaseRows(caseType, safeRows, localQuery);
+		}
+		const { data, error } = await fetchCaseTableRows(caseType, {
+			...query,
+			searchQuery,
+		});
+		if (error) return queryLocalCaseRows(caseType, safeRows, localQuery);
+		return takeServerRows(data);
+	}, [
+		serverSide,
+		caseType,
+		safeRows,
+		takeServerRows,
+		query,
+		searchQuery,
+		filters,
+		caseManager,
+		fieldFilter,
+		sorting,
+	]);
+
+	const tableOptions = useMemo(
+		() => ({
+			pagination,
+			onPaginationChange: setPagination,
+			sorting,
+			onSortingChange: setSorting,
+			rowCount,
+			sortableColumns: CASE_TABLE_SORTABLE_COLUMNS[caseType],
+		}),
+		[pagination, sorting, rowCount, caseType],
+	);
+
+	return {
+		rows: serverSide ? serverRows : localRows,
+		serverSide,
+		loading: serverSide && loading,
+		rowCount,
+		tableOptions,
+		resolveSelection,
+		fetchMatchingRows,
+	};
+}
+
+export default useCaseTableQuery;
@@ -2,11 +2,13 @@
  * Staff workload hook (online-only).
  *
  * Builds derived workload rows by aggregating case counts across case tables.
+ * "Active" means not closed in the shared case lifecycle (`@/lib/caseLifecycle`).
  */
 
 import { useCallback, useEffect, useMemo, useState } from "react";
 import supabase from "@/../config/supabase";
 import useNetworkStatus from "@/hooks/useNetworkStatus";
+import { caseLifecycleState } from "@/lib/caseLifecycle";
 
 const CASE_TABLES = [
 	{ key: "vac", table: "case" },
@@ -20,22 +22,20 @@ const CASE_TABLES = [
 	{ key: "sc", table: "sc_case" },
 ];
 
-const STATUS_WEIGHTS = {
+const PRIORITY_WEIGHTS = {
 	urgent: 4,
 	high: 3,
 	medium: 2,
 	low: 1,
 	normal: 2,
-	active: 2,
-	pending: 3,
-	filed: 2,
-	assessed: 2,
-	"in process": 2,
+};
+
+const LIFECYCLE_WEIGHTS = {
+	open: 2,
+	in_progress: 2,
 	closed: 0.5,
-	resolved: 0.5,
 };
 
-const ACTIVE_STATUSES = new Set(["active", "pending", "in process", "filed", "assessed"]);
 const URGENT_PRIORITIES = new Set(["urgent", "critical"]);
 const HIGH_PRIORITIES = new Set(["high"]);
 
@@ -60,15 +60,15 @@ async function fetchCaseCounts(tableName) {
 
 		counts[manager].total += 1;
 
-		const status = (item.status || "").toLowerCase();
+		const state = caseLifecycleState(item.status);
 		const priority = (item.priority || "normal").toLowerCase();
 
-		if (ACTIVE_STATUSES.has(status)) counts[manager].active += 1;
+		if (state !== "closed") counts[manager].active += 1;
 		if (URGENT_PRIORITIES.has(priority)) counts[manager].urgent += 1;
 		if (HIGH_PRIORITIES.has(priority)) counts[manager].high += 1;
 
-		const statusWeight = STATUS_WEIGHTS[status] ?? 2;
-		const priorityWeight = STATUS_WEIGHTS[priority] ?? 2;
+		const statusWeight = LIFECYCLE_WEIGHTS[state];
+		const priorityWeight = PRIORITY_WEIGHTS[priority] ?? 2;
 		counts[manager].weightedScore += statusWeight + priorityWeight;
 	});
 
@@ -1,17 +1,19 @@
 /**
- * Online-only CASES hook.
+ * Offline-first CASES hook.
  *
  * Responsibilities:
- * - Fetch CASE records from Supabase, including related family members.
+ * - Render CASE records from the IndexedDB snapshot (`case_cases`), including family members.
+ * - Refresh the snapshot from Supabase and replay `case_queue` whenever connectivity returns.
  * - Normalize rows into the shape expected by the CASE table.
- * - Expose a delete helper and a `reload` function.
+ * - Expose a delete helper, a `reload` function and queue state (`pendingCount`, `runSync`).
  *
  * Note:
- * - This hook is the canonical online implementation for CASE data access.
+ * - Snapshot/queue handling is shared with the other case hooks through `useOfflineCases`.
  */
 
-import { useEffect, useMemo, useState, useCallback } from "react";
-import supabase from "@/../config/supabase";
+import { useMemo } from "react";
+import { useOfflineCases } from "@/hooks/useOfflineCases";
+import { caseRepository } from "@/services/caseRepositories";
 
 /**
  * @typedef {Object} CaseFamilyMemberRow
@@ -25,12 +27,16 @@ import supabase from "@/../config/supabase";
  * @property {string} [education]
  * @property {string} [occupation]
  * @property {number|string} [income]
+ * @property {string|null} [household_member_id]
  */
 
 /**
  * @typedef {Object} MappedCaseRow
  * Row shape expected by the CASE table and intake prefill.
- * @property {string} id
+ * @property {string|null} id Null until an offline-created case has synced.
+ * @property {number|null} localId IndexedDB snapshot key.
+ * @property {boolean} hasPendingWrites True while queued writes for this row are unsynced.
+ * @property {string|null} client_id Registry client this case belongs to.
  * @property {string|null} header
  * @property {string|null} case_manager
  * @property {string|null} status
@@ -49,7 +55,12 @@ import supabase from "@/../config/supabase";
  * @property {boolean} loading
  * @property {any} error
  * @property {() => Promise<void>} reload
- * @property {(caseId: string) => Promise<{success: boolean, error?: any}>} deleteCase
+ * @property {(target: string|MappedCaseRow) => Promise<{success: boolean, queued?: boolean, error?: any}>} deleteCase
+ * @property {number} pendingCount Number of queued CASE operations.
+ * @property {boolean} syncing True while the queue is replaying.
+ * @property {any} syncError Error of the queue entry that stopped the last replay.
+ * @property {boolean} offline True when the browser reports no connectivity.
+ * @property {() => Promise<void>} runSync Replay the queue, then refresh the snapshot.
  */
 
 /**
@@ -63,10 +74,13 @@ import supabase from "@/../config/supabase";
  * @param {any} row
  * @returns {MappedCaseRow}
  */
-function mapCaseRow(row) {
+export function mapCaseRow(row) {
 	return {
 		// Table ID
-		id: row.id,
+		id: row.id ?? null,
+		localId: row.localId ?? null,
+		hasPendingWrites: Boolean(row.hasPendingWrites),
+		client_id: row.client_id ?? null,
 
 		// Used by intake prefill (opens intake with name)
 		header: row.identifying_name ?? null,
@@ -169,6 +183,7 @@ function mapCaseRow(row) {
 			education: fm.education,
 			occupation: fm.occupation,
 			income: fm.income,
+			household_member_id: fm.household_member_id ?? null,
 		})),
 	};
 }
@@ -178,58 +193,10 @@ function mapCaseRow(row) {
  * @returns {UseCasesResult}
  */
 export function useCases() {
-	/** @type {[MappedCaseRow[], (next: MappedCaseRow[]) => void]} */
-	const [data, setData] = useState([]);
-	const [loading, setLoading] = useState(true);
-	const [error, setError] = useState(null);
-
-	const load = useCallback(async () => {
-		setLoading(true);
-		setError(null);
-		try {
-			// Select all case fields plus related family members from case_family_member
-			// Supabase allows selecting related rows using foreign table syntax: case_family_member(*)
-			const { data: rows, error: err } = await supabase
-				.from("case")
-				.select(`*, case_family_member(*)`)
-				.order("updated_at", { ascending: false });
-
-			if (err) throw err;
-			setData((rows || []).map(mapCaseRow));
-		} catch (e) {
-			setError(e);
-		} finally {
-			setLoading(false);
-		}
-	}, []);
-
-	useEffect(() => {
-		load();
-	}, [load]);
-
-	const deleteCase = useCallback(
-		async (caseId) => {
-			try {
-				const { error: err } = await supabase
-					.from("case")
-					.delete()
-					.eq("id", caseId);
-
-				if (err) throw err;
-
-				// Reload the data after successful deletion
-				await load();
-				return { success: true };
-			} catch (e) {
-				console.error("Error deleting case:", e);
-				return { success: false, error: e };
-			}
-		},
-		[load],
-	);
-
-	return useMemo(
-		() => ({ data, loading, error, reload: load, deleteCase }),
-		[data, loading, error, load, deleteCase],
-	);
+	const cases = useOfflineCases(caseRepository, { mapRow: mapCaseRow });
+
+	return useMemo(() => {
+		const { deleteRecord, ...rest } = cases;
+		return { ...rest, deleteCase: deleteRecord };
+	}, [cases]);
 }
@@ -1,54 +1,142 @@
+/**
+ * Offline-first CICL/CAR cases hook.
+ *
+ * Responsibilities:
+ * - Render CICL/CAR rows from the `ciclcar_cases` snapshot via `useOfflineCases`.
+ * - Keep active program enrollments for CICL/CAR cases up to date while online.
+ *
+ * Notes:
+ * - Enrollments are refreshed by `updated_at` delta like the case snapshots and
+ *   kept in memory for the session, so remounting the tab shows them at once.
+ *   They are not written to IndexedDB (they carry beneficiary names and are not
+ *   part of the encrypted case cache).
+ */
+
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import supabase from "@/../config/supabase";
-
-const TABLE_NAME = "ciclcar_case";
-
-const normalizeRow = (row) => ({
+import { useOfflineCases } from "@/hooks/useOfflineCases";
+import { ciclcarRepository } from "@/services/caseRepositories";
+import { getVaultOwnerId } from "@/services/offlineVault";
+import {
+	deltaSince,
+	fetchLatestTombstoneAt,
+	fetchTombstones,
+	latestTimestamp,
+	needsFullSync,
+} from "@/services/syncWatermarks";
+
+/** Shape of a CICL/CAR table row, for snapshot and server rows alike. */
+export const mapCiclcarRow = (row) => ({
 	...row,
-	id: row?.id ?? row?.case_id ?? row?.case_code ?? row?.uuid ?? row?.localId,
+	id: row?.id ?? row?.case_id ?? row?.case_code ?? row?.uuid ?? null,
 });
 
+const ENROLLMENT_TABLE = "program_enrollments";
+const ENROLLMENT_CASE_TYPE = "CICL/CAR";
+const ENROLLMENT_SELECT = `
+	*,
+	program:programs(
+		id,
+		program_name,
+		program_type,
+		duration_weeks,
+		coordinator,
+		location,
+		schedule
+	)
+`;
+
+/**
+ * Session cache of active enrollments, shared by every mount of the hook.
+ * @type {{ ownerId: string|null, byId: Map<string, any>, updatedAt: string|null, tombstoneAt: string|null, fullSyncAt: number }|null}
+ */
+let enrollmentCache = null;
+
+const currentEnrollmentCache = () =>
+	enrollmentCache?.ownerId === getVaultOwnerId() ? enrollmentCache : null;
+
+/**
+ * Fetch enrollments changed since the last call (everything active on the
+ * first call or when a full refresh is due) and merge them into the cache.
+ */
+async function syncEnrollments() {
+	const current = currentEnrollmentCache();
+	const tombstones = needsFullSync(current)
+		? null
+		: await fetchTombstones(ENROLLMENT_TABLE, current.tombstoneAt);
+	const full = !tombstones || Boolean(tombstones.error);
+	const tombstoneAt = full
+		? await fetchLatestTombstoneAt(ENROLLMENT_TABLE)
+		: tombstones.latest;
+
+	let query = supabase
+		.from(ENROLLMENT_TABLE)
+		.select(ENROLLMENT_SELECT)
+		.eq("case_type", ENROLLMENT_CASE_TYPE);
+	const since = full ? null : deltaSince(current.updatedAt);
+	// A delta must also see enrollments that stopped being active.
+	if (since) query = query.gte("updated_at", since);
+	else if (full) query = query.eq("status", "active");
+
+	const { data: rows, error } = await query;
+	if (error) throw error;
+
+	const byId = full ? new Map() : new Map(current.byId);
+	tombstones?.ids.forEach((id) => byId.delete(id));
+	(rows ?? []).forEach((row) => {
+		if (row.status === "active") byId.set(row.id, row);
+		else byId.delete(row.id);
+	});
+
+	enrollmentCache = {
+		ownerId: getVaultOwnerId(),
+		byId,
+		updatedAt: latestTimestamp([
+			full ? null : current.updatedAt,
+			...(rows ?? []).map((row) => row.updated_at),
+		]),
+		tombstoneAt,
+		fullSyncAt: full ? Date.now() : current.fullSyncAt,
+	};
+	return enrollmentCache;
+}
+
+const byLatestEnrollment = (a, b) =>
+	new Date(b.enrollment_date || 0).getTime() -
+	new Date(a.enrollment_date || 0).getTime();
+
+const groupEnrollments = (cache) => {
+	const grouped = {};
+	Array.from(cache?.byId.values() ?? [])
+		.sort(byLatestEnrollment)
+		.forEach((enrollment) => {
+			const key = enrollment.case_id;
+			if (!key) return;
+			if (!grouped[key]) grouped[key] = [];
+			grouped[key].push(enrollment);
+		});
+	return grouped;
+};
+
 export function useCiclcarCases() {
-	const [data, setData] = useState([]);
-	const [loading, setLoading] = useState(true);
-	const [error, setError] = useState(null);
-	const [programEnrollments, setProgramEnrollments] = useState({});
+	const cases = useOfflineCases(ciclcarRepository, { mapRow: mapCiclcarRow });
+	const { data, offline, reload } = cases;
+	const [programEnrollments, setProgramEnrollments] = useState(() =>
+		groupEnrollments(currentEnrollmentCache()),
+	);
 	const [programEnrollmentsLoading, setProgramEnrollmentsLoading] =
 		useState(false);
 	const enrollmentCaseIdSignatureRef = useRef("");
 
 	const load = useCallback(async () => {
-		setLoading(true);
-		setError(null);
 		enrollmentCaseIdSignatureRef.current = "";
-
-		try {
-			const { data: rows, error: queryError } = await supabase
-				.from(TABLE_NAME)
-				.select("*");
-
-			if (queryError) throw queryError;
-
-			setData((rows ?? []).map(normalizeRow));
-			return { success: true };
-		} catch (err) {
-			console.error("Error loading CICL/CAR cases:", err);
-			setError(err);
-			return { success: false, error: err };
-		} finally {
-			setLoading(false);
-		}
-	}, []);
-
-	useEffect(() => {
-		void load();
-	}, [load]);
+		await reload();
+	}, [reload]);
 
 	useEffect(() => {
-		const currentRows = data ?? [];
 		const caseIds = Array.from(
 			new Set(
-				currentRows
+				(data ?? [])
 					.map((row) => row?.id)
 					.filter(
 						(caseId) =>
@@ -57,12 +145,8 @@ export function useCiclcarCases() {
 			),
 		);
 
-		if (caseIds.length === 0) {
-			enrollmentCaseIdSignatureRef.current = "";
-			setProgramEnrollments({});
-			setProgramEnrollmentsLoading(false);
-			return;
-		}
+		// Keep the last result until back online.
+		if (offline || caseIds.length === 0) return;
 
 		const signature = caseIds.join("|");
 		if (signature === enrollmentCaseIdSignatureRef.current) {
@@ -71,98 +155,35 @@ export function useCiclcarCases() {
 
 		let isActive = true;
 		enrollmentCaseIdSignatureRef.current = signature;
-		setProgramEnrollmentsLoading(true);
-
-		const loadEnrollments = async () => {
-			try {
-				const { data: rows, error: queryError } = await supabase
-					.from("program_enrollments")
-					.select(
-						`
-							*,
-							program:programs(
-								id,
-								program_name,
-								program_type,
-								duration_weeks,
-								coordinator,
-								location,
-								schedule
-							)
-						`,
-					)
-					.in("case_id", caseIds)
-					.eq("status", "active")
-					.order("enrollment_date", { ascending: false });
-
-				if (queryError) throw queryError;
-				if (!isActive) return;
-
-				const grouped = (rows ?? []).reduce((acc, enrollment) => {
-					const key = enrollment.case_id;
-					if (!key) return acc;
-					if (!acc[key]) acc[key] = [];
-					acc[key].push(enrollment);
-					return acc;
-				}, {});
-
-				setProgramEnrollments(grouped);
-			} catch (err) {
-				if (!isActive) return;
-				console.error("Error fetching CICL/CAR program enrollments:", err);
-				setProgramEnrollments({});
-			} finally {
-				if (isActive) {
-					setProgramEnrollmentsLoading(false);
-				}
-			}
-		};
-
-		void loadEnrollments();
+		setProgramEnrollmentsLoading(!currentEnrollmentCache());
+
+		syncEnrollments()
+			.then((cache) => {
+				if (isActive) setProgramEnrollments(groupEnrollments(cache));
+			})
+			.catch((err) => {
+				console.error(
+					"Error fetching CICL/CAR program enrollments:",
+					err,
+				);
+			})
+			.finally(() => {
+				if (isActive) setProgramEnrollmentsLoading(false);
+			});
 
 		return () => {
 			isActive = false;
 		};
-	}, [data]);
-
-	const deleteCiclcarCase = useCallback(
-		async (caseId) => {
-			try {
-				const { error: deleteError } = await supabase
-					.from(TABLE_NAME)
-					.delete()
-					.eq("id", caseId);
-
-				if (deleteError) throw deleteError;
-
-				await load();
-				return { success: true };
-			} catch (err) {
-				console.error("Error deleting CICL/CAR case:", err);
-				return { success: false, error: err };
-			}
-		},
-		[load],
-	);
+	}, [data, offline]);
 
-	return useMemo(
-		() => ({
-			data,
-			loading,
-			error,
+	return useMemo(() => {
+		const { deleteRecord, ...rest } = cases;
+		return {
+			...rest,
 			reload: load,
-			deleteCiclcarCase,
-			programEnrollments,
-			programEnrollmentsLoading,
-		}),
-		[
-			data,
-			loading,
-			error,
-			load,
-			deleteCiclcarCase,
+			deleteCiclcarCase: deleteRecord,
 			programEnrollments,
 			programEnrollmentsLoading,
-		],
-	);
+		};
+	}, [cases, load, programEnrollments, programEnrollmentsLoading]);
 }
@@ -11,11 +11,20 @@ import {
  *
  * Provides a small, reusable wrapper around `useReactTable` with common UI state
  * (sorting, pagination, column filters/visibility, row selection) managed inside the hook.
+ * Paging and sorting can instead be owned by the caller (see useCaseTableQuery):
+ * passing `onSortingChange` means `initialData` arrives sorted, and passing a
+ * `rowCount` means it is already one page of that many rows.
  *
  * @template TData
  * @typedef {Object} UseDataTableArgs
  * @property {TData[]} initialData
  * @property {any[]} columns
+ * @property {{ pageIndex: number, pageSize: number }} [pagination]
+ * @property {(updater: any) => void} [onPaginationChange]
+ * @property {{ id: string, desc: boolean }[]} [sorting]
+ * @property {(updater: any) => void} [onSortingChange]
+ * @property {number|null} [rowCount] Total rows on the server when paging there.
+ * @property {Set<string>} [sortableColumns] Column ids whose headers toggle sorting.
  */
 
 /**
@@ -32,7 +41,16 @@ import {
  * @param {UseDataTableArgs<TData>} params
  * @returns {UseDataTableResult<TData>}
  */
-export default function useDataTable({ initialData, columns }) {
+export default function useDataTable({
+	initialData,
+	columns,
+	pagination: controlledPagination,
+	onPaginationChange,
+	sorting: controlledSorting,
+	onSortingChange,
+	rowCount = null,
+	sortableColumns,
+}) {
 	const [data, setData] = React.useState(() => initialData);
 
 	React.useEffect(() => {
@@ -59,14 +77,20 @@ export default function useDataTable({ initialData, columns }) {
 			rowSelection,
 			columnVisibility,
 			columnFilters,
-			sorting,
-			pagination,
+			sorting: controlledSorting ?? sorting,
+			pagination: controlledPagination ?? pagination,
 		},
+		meta: { sortableColumns },
+		// Key selection by record id so it survives re-sorting and reloads.
+		getRowId: (row, index) => String(row?.id ?? row?.localId ?? index),
 		onRowSelectionChange: setRowSelection,
 		onColumnVisibilityChange: setColumnVisibility,
 		onColumnFiltersChange: setColumnFilters,
-		onSortingChange: setSorting,
-		onPaginationChange: setPagination,
+		onSortingChange: onSortingChange ?? setSorting,
+		onPaginationChange: onPaginationChange ?? setPagination,
+		manualSorting: Boolean(onSortingChange),
+		manualPagination: rowCount != null,
+		rowCount: rowCount ?? undefined,
 		getCoreRowModel: getCoreRowModel(),
 		getPaginationRowModel: getPaginationRowModel(),
 		getSortedRowModel: getSortedRowModel(),
@@ -1,88 +1,43 @@
-import { useCallback, useEffect, useMemo, useState } from "react";
-import supabase from "@/../config/supabase";
+import { useMemo } from "react";
+import { useOfflineCases } from "@/hooks/useOfflineCases";
+import { facRepository } from "@/services/caseRepositories";
 
 /**
  * @typedef {Object} FacCaseRow
  * Cached FAC case row shape (loose).
  * @property {string} [id]
  * @property {string} [case_id]
- * @property {string} [localId]
+ * @property {number} [localId] IndexedDB snapshot key.
+ * @property {boolean} [hasPendingWrites] True while queued writes for this row are unsynced.
+ * @property {any[]} [fac_family_member] Family rows embedded by the snapshot query.
  * @property {any[]} [family_members]
  * @property {number} [family_member_count]
  */
 
-const TABLE_NAME = "fac_case";
-
-const normalizeRow = (row) => ({
-	...row,
-	id: row?.id ?? row?.case_id ?? row?.localId,
-	family_member_count: Array.isArray(row?.family_members)
-		? row.family_members.length
-		: (row?.family_member_count ?? 0),
-});
+/** Shape of a FAC table row, for snapshot and server rows alike. */
+export const mapFacRow = (row) => {
+	const familyMembers = row?.fac_family_member ?? row?.family_members;
+	return {
+		...row,
+		id: row?.id ?? row?.case_id ?? null,
+		family_members: familyMembers ?? [],
+		family_member_count: Array.isArray(familyMembers)
+			? familyMembers.length
+			: (row?.family_member_count ?? 0),
+	};
+};
 
 /**
  * Subscribe to and manage FAC cases.
+ *
+ * Rows come from the `fac_cases` snapshot; writes go through `facRepository`.
  * @returns {UseFacCasesResult}
  */
 export function useFacCases() {
-	const [data, setData] = useState([]);
-	const [loading, setLoading] = useState(true);
-	const [error, setError] = useState(null);
-
-	const load = useCallback(async () => {
-		setLoading(true);
-		setError(null);
-		try {
-			const { data: rows, error: queryError } = await supabase
-				.from(TABLE_NAME)
-				.select("*");
-
-			if (queryError) throw queryError;
-
-			setData((rows ?? []).map(normalizeRow));
-			return { success: true };
-		} catch (err) {
-			console.error("Error loading FAC cases:", err);
-			setError(err);
-			return { success: false, error: err };
-		} finally {
-			setLoading(false);
-		}
-	}, []);
-
-	useEffect(() => {
-		void load();
-	}, [load]);
-
-	const deleteFacCase = useCallback(
-		async (caseId) => {
-			try {
-				const { error: deleteError } = await supabase
-					.from(TABLE_NAME)
-					.delete()
-					.eq("id", caseId);
-
-				if (deleteError) throw deleteError;
-
-				await load();
-				return { success: true };
-			} catch (err) {
-				console.error("Error deleting FAC case:", err);
-				return { success: false, error: err };
-			}
-		},
-		[load],
-	);
+	const cases = useOfflineCases(facRepository, { mapRow: mapFacRow });
 
-	return useMemo(
-		() => ({
-			data,
-			loading,
-			error,
-			reload: load,
-			deleteFacCase,
-		}),
-		[data, loading, error, load, deleteFacCase],
-	);
+	return useMemo(() => {
+		const { deleteRecord, ...rest } = cases;
+		return { ...rest, deleteFacCase: deleteRecord };
+	}, [cases]);
 }
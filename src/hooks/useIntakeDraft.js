@@ -0,0 +1,154 @@
+/**
+ * Autosave of an intake dialog into "My drafts".
+ *
+ * Responsibilities:
+ * - Restore a draft when the dialog opens with a `draftId`, and report when the
+ *   tabs may mount (`ready`) so form defaults read the restored values.
+ * - Save the sheet's values and active tab a moment after each change, and once
+ *   more when the dialog closes.
+ * - Drop the draft after a successful submit (`clearDraft`).
+ *
+ * Notes:
+ * - Nothing is saved until the sheet holds at least one filled-in value.
+ * - Drafts are sealed with the offline vault key; autosave pauses while it is locked.
+ * - Saves run one after another so a new draft is never created twice.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+	discardDraft,
+	getDraft,
+	saveDraft,
+} from "@/services/intakeDraftService";
+import { useAuthStore } from "@/store/authStore";
+
+const AUTOSAVE_DELAY_MS = 800;
+
+/**
+ * True when any leaf value is filled in (non-empty string, number, `true`).
+ * @param {any} value
+ * @returns {boolean}
+ */
+function hasContent(value) {
+	if (value == null) return false;
+	if (typeof value === "string") return value.trim() !== "";
+	if (typeof value === "number") return !Number.isNaN(value);
+	if (typeof value === "boolean") return value;
+	if (value instanceof Date) return !Number.isNaN(value.getTime());
+	if (Array.isArray(value)) return value.some(hasContent);
+	if (typeof value === "object") return Object.values(value).some(hasContent);
+	return false;
+}
+
+/**
+ * @typedef {Object} UseIntakeDraftOptions
+ * @property {import("@/services/intakeDraftService").IntakeDraftCaseType} caseType
+ * @property {boolean} open Dialog visibility.
+ * @property {boolean} [enabled] False for edit dialogs, which never draft.
+ * @property {number|null} [draftId] Draft to resume when the dialog opens.
+ * @property {Record<string, any>} values Current intake values.
+ * @property {number|string} step Active tab.
+ * @property {string} [label] Client name shown in "My drafts".
+ * @property {(draft: import("@/services/intakeDraftService").IntakeDraft) => void} onRestore
+ * Loads a resumed draft into the sheet.
+ */
+
+/**
+ * @param {UseIntakeDraftOptions} options
+ * @returns {{ ready: boolean, lastSavedAt: number|null, clearDraft: () => Promise<void> }}
+ */
+export function useIntakeDraft({
+	caseType,
+	open,
+	enabled = true,
+	draftId = null,
+	values,
+	step,
+	label = "",
+	onRestore,
+}) {
+	const vaultUnlocked = useAuthStore((s) => s.vaultUnlocked);
+	const active = open && enabled && vaultUnlocked;
+
+	const [restoredId, setRestoredId] = useState(null);
+	const [lastSavedAt, setLastSavedAt] = useState(null);
+	const draftIdRef = useRef(null);
+	const pendingRef = useRef(null);
+	const clearedRef = useRef(false);
+	const queueRef = useRef(Promise.resolve());
+	const onRestoreRef = useRef(onRestore);
+
+	useEffect(() => {
+		onRestoreRef.current = onRestore;
+	}, [onRestore]);
+
+	// Each opening starts a new draft or resumes `draftId`.
+	useEffect(() => {
+		if (!active) return undefined;
+		draftIdRef.current = null;
+		pendingRef.current = null;
+		clearedRef.current = false;
+		setLastSavedAt(null);
+		if (draftId == null) return undefined;
+
+		let cancelled = false;
+		getDraft(draftId).then((draft) => {
+			if (cancelled) return;
+			if (draft) {
+				draftIdRef.current = draft.draftId;
+				onRestoreRef.current?.(draft);
+				setLastSavedAt(draft.updatedAt);
+			}
+			setRestoredId(draftId);
+		});
+		return () => {
+			cancelled = true;
+			setRestoredId(null);
+		};
+	}, [active, draftId]);
+
+	const ready = !active || draftId == null || restoredId === draftId;
+
+	const flush = useCallback(() => {
+		queueRef.current = queueRef.current.then(async () => {
+			const pending = pendingRef.current;
+			pendingRef.current = null;
+			if (!pending || clearedRef.current) return;
+			try {
+				draftIdRef.current = await saveDraft({
+					draftId: draftIdRef.current,
+					caseType,
+					...pending,
+				});
+				setLastSavedAt(Date.now());
+			} catch (error) {
+				console.error("❌ Failed to autosave intake draft:", error);
+			}
+		});
+		return queueRef.current;
+	}, [caseType]);
+
+	useEffect(() => {
+		if (!active || !ready) return undefined;
+		if (draftIdRef.current == null && !hasContent(values)) return undefined;
+		pendingRef.current = { data: values, step, label };
+		const timer = setTimeout(() => void flush(), AUTOSAVE_DELAY_MS);
+		return () => clearTimeout(timer);
+	}, [active, ready, values, step, label, flush]);
+
+	// Closing the dialog writes what the debounce has not saved yet.
+	useEffect(() => {
+		if (!active) void flush();
+	}, [active, flush]);
+
+	const clearDraft = useCallback(async () => {
+		clearedRef.current = true;
+		pendingRef.current = null;
+		await queueRef.current;
+		const id = draftIdRef.current;
+		draftIdRef.current = null;
+		if (id != null) await discardDraft(id);
+	}, []);
+
+	return { ready, lastSavedAt, clearDraft };
+}
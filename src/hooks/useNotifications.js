@@ -6,6 +6,7 @@
  *   - audit logs (`fetchAuditLogs`)
  *   - inventory alerts (`inventory_alerts`)
  *   - computed deadline reminders (cases/enrollments)
+ *   - case transfers waiting on the signed-in user (`case_transfers`)
  * - Cache the merged list + read state in `localStorage` for offline viewing.
  * - Poll while online and update state without requiring realtime subscriptions.
  *
@@ -17,6 +18,7 @@
 
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { fetchAuditLogs } from "@/lib/auditLog";
+import { isCaseOpen } from "@/lib/caseLifecycle";
 import supabase from "@/../config/supabase";
 
 /**
@@ -75,8 +77,6 @@ const CASE_STALE_THRESHOLDS_DAYS = {
 	default: 3,
 };
 
-const ACTIVE_CASE_STATUSES = new Set(["Filed", "Assessed", "In Process"]);
-
 const ACTION_HINTS = {
 	login: "signed in",
 	logout: "signed out",
@@ -87,6 +87,22 @@ const ACTION_HINTS = {
 	delete_case: "deleted a case",
 	view_case: "viewed a case",
 	export_cases: "exported cases",
+	link_case_client: "linked a case to a client",
+	update_client: "updated a client record",
+	request_case_transfer: "requested a case transfer",
+	accept_case_transfer: "accepted a case transfer",
+	decline_case_transfer: "declined a case transfer",
+	cancel_case_transfer: "cancelled a case transfer",
+	close_case: "closed a case",
+	reopen_case: "reopened a case",
+	archive_case: "archived a case",
+	restore_case: "restored an archived case",
+	hide_case: "hid a case from a worker",
+	link_cases: "linked related cases",
+	unlink_cases: "removed a related-case link",
+	update_household: "updated a household",
+	merge_households: "merged two households",
+	import_cases: "imported cases from Excel",
 	create_user: "created a user",
 	update_user: "updated a user",
 	delete_user: "deleted a user",
@@ -194,8 +210,7 @@ const chooseCaseThreshold = (priority) => {
 
 const shouldScanCase = (row) => {
 	if (!row) return false;
-	if (!row.status) return true;
-	return ACTIVE_CASE_STATUSES.has(row.status);
+	return isCaseOpen(row.status);
 };
 
 const computeEnrollmentReminderBucket = (daysToDue) => {
@@ -445,6 +460,35 @@ const fetchDeadlineReminders = async ({
 		});
 	}
 
+	// --- Case transfers waiting on this user ---
+	{
+		const { data: transfers, error: transferError } = await supabase
+			.from("case_transfers")
+			.select(
+				"id, case_type, from_name, requested_by_name, reason, created_at",
+			)
+			.eq("to_user", context.user.id)
+			.eq("status", "pending")
+			.order("created_at", { ascending: false })
+			.limit(50);
+		if (transferError) throw transferError;
+
+		(transfers || []).forEach((row) => {
+			const from = row.requested_by_name || "A colleague";
+			reminders.push({
+				id: buildReminderId(["transfer", row.id]),
+				title: "Case transfer awaiting your answer",
+				message: `${from} asked you to take over a ${row.case_type} case${row.from_name ? ` from ${row.from_name}` : ""}. Reason: ${row.reason}`,
+				createdAt: row.created_at,
+				severity: "warning",
+				category: "reminder",
+				actor: from,
+				resourceLabel: `Transfer • ${row.case_type}`,
+				raw: { kind: "case_transfer", transfer_id: row.id },
+			});
+		});
+	}
+
 	return reminders;
 };
 
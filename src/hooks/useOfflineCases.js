@@ -0,0 +1,148 @@
+/**
+ * Shared offline-first state for the case hooks.
+ *
+ * Responsibilities:
+ * - Subscribe to a case repository snapshot (IndexedDB) and map rows for the table.
+ * - Replay the repository queue and refresh the snapshot whenever connectivity returns.
+ * - Expose queue state (`pendingCount`, `conflictCount`, `syncing`, `syncError`) and a row-aware delete.
+ *
+ * Note:
+ * - Sync rules live in `src/services/offlineCaseRepository.js`; per-type hooks
+ *   (`useCases`, `useFacCases`, ...) wrap this hook and keep their own return names.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import useNetworkStatus from "@/hooks/useNetworkStatus";
+
+/**
+ * @typedef {Object} UseOfflineCasesResult
+ * @property {any[]} data Mapped rows, newest first.
+ * @property {boolean} loading
+ * @property {any} error
+ * @property {() => Promise<void>} reload Refresh the snapshot from Supabase (no-op offline).
+ * @property {(target: any) => Promise<{success: boolean, queued?: boolean, error?: any}>} deleteRecord
+ * @property {number} pendingCount Number of queued operations for this case type.
+ * @property {number} conflictCount Queued updates blocked by a server-side change.
+ * @property {boolean} syncing True while the queue is replaying.
+ * @property {any} syncError Error of the queue entry that stopped the last replay.
+ * @property {boolean} offline True when the browser reports no connectivity.
+ * @property {() => Promise<void>} runSync Replay the queue, then refresh the snapshot.
+ */
+
+const byLatestUpdate = (a, b) =>
+	new Date(b.updated_at || b.created_at || 0).getTime() -
+	new Date(a.updated_at || a.created_at || 0).getTime();
+
+/**
+ * @param {import("@/services/offlineCaseRepository").OfflineCaseRepository} repository
+ * @param {{ mapRow?: (row: any) => any }} [options]
+ * @returns {UseOfflineCasesResult}
+ */
+export function useOfflineCases(repository, { mapRow } = {}) {
+	const [data, setData] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [pendingCount, setPendingCount] = useState(0);
+	const [conflictCount, setConflictCount] = useState(0);
+	const [syncing, setSyncing] = useState(false);
+	const [syncError, setSyncError] = useState(null);
+	const isOnline = useNetworkStatus();
+
+	useEffect(() => {
+		const subscription = repository.observeSnapshot().subscribe({
+			next: ({
+				rows,
+				pendingCount: queued,
+				conflictCount: conflicts,
+			}) => {
+				const visible = rows
+					// Queued deletes disappear immediately; the queue removes the row later.
+					.filter((row) => row.pendingAction !== "delete")
+					.sort(byLatestUpdate);
+				setData(mapRow ? visible.map(mapRow) : visible);
+				setPendingCount(queued);
+				setConflictCount(conflicts);
+				setLoading(false);
+			},
+			error: (err) => {
+				console.error(
+					`${repository.label} snapshot subscription failed:`,
+					err,
+				);
+				setError(err);
+				setLoading(false);
+			},
+		});
+		return () => subscription.unsubscribe();
+	}, [repository, mapRow]);
+
+	const load = useCallback(async () => {
+		if (!isOnline) return;
+		setError(null);
+		try {
+			await repository.refreshSnapshot();
+		} catch (e) {
+			console.error(`Error loading ${repository.label} cases:`, e);
+			setError(e);
+		}
+	}, [repository, isOnline]);
+
+	const runSync = useCallback(async () => {
+		if (!isOnline) return;
+		setSyncing(true);
+		try {
+			const result = await repository.syncQueue();
+			setSyncError(result.error);
+		} finally {
+			setSyncing(false);
+		}
+		await load();
+	}, [repository, isOnline, load]);
+
+	// Runs on mount and on every offline -> online transition.
+	useEffect(() => {
+		void runSync();
+	}, [runSync]);
+
+	const deleteRecord = useCallback(
+		async (target) => {
+			const { queued, error: err } =
+				await repository.deleteRecord(target);
+			if (err) {
+				console.error(`Error deleting ${repository.label} case:`, err);
+				return { success: false, error: err };
+			}
+			return { success: true, queued };
+		},
+		[repository],
+	);
+
+	return useMemo(
+		() => ({
+			data,
+			loading,
+			error,
+			reload: load,
+			deleteRecord,
+			pendingCount,
+			conflictCount,
+			syncing,
+			syncError,
+			offline: !isOnline,
+			runSync,
+		}),
+		[
+			data,
+			loading,
+			error,
+			load,
+			deleteRecord,
+			pendingCount,
+			conflictCount,
+			syncing,
+			syncError,
+			isOnline,
+			runSync,
+		],
+	);
+}
@@ -0,0 +1,141 @@
+/**
+ * Sync Center state.
+ *
+ * Responsibilities:
+ * - Subscribe to every offline queue and expose one flat, oldest-first list.
+ * - Wrap retry / retry-all / discard / export with busy flags for the page.
+ *
+ * Notes:
+ * - Queue rules live in `src/services/syncCenterService.js`; this hook only adds React state.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import electronBridge from "@/lib/electronBridge";
+import useNetworkStatus from "@/hooks/useNetworkStatus";
+import {
+	discardQueuedOperation,
+	exportQueues,
+	observeQueuedOperations,
+	retryAllQueues,
+	retryQueuedOperation,
+} from "@/services/syncCenterService";
+
+/**
+ * @typedef {Object} UseSyncCenterResult
+ * @property {import("@/services/syncCenterService").QueuedOperation[]} operations
+ * @property {boolean} loading
+ * @property {any} error
+ * @property {boolean} offline
+ * @property {boolean} retryingAll
+ * @property {string|null} busyKey `${queueKey}:${queueId}` of the row being retried or discarded.
+ * @property {(operation: any) => Promise<{ success: boolean, error?: any }>} retry
+ * @property {() => Promise<{ synced: number, failures: Array<{ label: string, error: any }> }>} retryAll
+ * @property {(operation: any) => Promise<{ success: boolean, discarded?: number, error?: any }>} discard
+ * @property {() => Promise<Record<string, any>>} buildExport
+ */
+
+const operationKey = (operation) =>
+	`${operation.queueKey}:${operation.queueId}`;
+
+/**
+ * @returns {UseSyncCenterResult}
+ */
+export function useSyncCenter() {
+	const [operations, setOperations] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [retryingAll, setRetryingAll] = useState(false);
+	const [busyKey, setBusyKey] = useState(null);
+	const isOnline = useNetworkStatus();
+
+	useEffect(() => {
+		const subscription = observeQueuedOperations().subscribe({
+			next: (rows) => {
+				setOperations(rows);
+				setLoading(false);
+			},
+			error: (err) => {
+				console.error("Sync Center subscription failed:", err);
+				setError(err);
+				setLoading(false);
+			},
+		});
+		return () => subscription.unsubscribe();
+	}, []);
+
+	const retry = useCallback(async (operation) => {
+		setBusyKey(operationKey(operation));
+		try {
+			const { error: err } = await retryQueuedOperation(
+				operation.queueKey,
+				operation.queueId,
+			);
+			return err ? { success: false, error: err } : { success: true };
+		} finally {
+			setBusyKey(null);
+		}
+	}, []);
+
+	const retryAll = useCallback(async () => {
+		setRetryingAll(true);
+		try {
+			return await retryAllQueues();
+		} finally {
+			setRetryingAll(false);
+		}
+	}, []);
+
+	const discard = useCallback(async (operation) => {
+		setBusyKey(operationKey(operation));
+		try {
+			const { discarded, error: err } = await discardQueuedOperation(
+				operation.queueKey,
+				operation.queueId,
+			);
+			return err
+				? { success: false, error: err }
+				: { success: true, discarded };
+		} finally {
+			setBusyKey(null);
+		}
+	}, []);
+
+	const buildExport = useCallback(
+		async () =>
+			exportQueues({
+				appVersion: await electronBridge.getAppVersion(),
+				userAgent:
+					typeof navigator !== "undefined"
+						? navigator.userAgent
+						: null,
+			}),
+		[],
+	);
+
+	return useMemo(
+		() => ({
+			operations,
+			loading,
+			error,
+			offline: !isOnline,
+			retryingAll,
+			busyKey,
+			retry,
+			retryAll,
+			discard,
+			buildExport,
+		}),
+		[
+			operations,
+			loading,
+			error,
+			isOnline,
+			retryingAll,
+			busyKey,
+			retry,
+			retryAll,
+			discard,
+			buildExport,
+		],
+	);
+}
@@ -2,7 +2,8 @@
  * Audit log helpers.
  *
  * Responsibilities:
- * - Write audit trail entries to the `audit_log` table.
+ * - Write audit trail entries to the `audit_log` table, one at a time or in a
+ *   batch (`createAuditLogs`, for bulk actions).
  * - Fetch audit log entries with common filters/pagination.
  * - Provide shared constants for action types, categories, and severity.
  */
@@ -129,6 +130,60 @@ export async function createAuditLog({
 	}
 }
 
+/**
+ * Create several audit log entries with one user lookup and one insert.
+ * Used by bulk actions, which log one entry per affected record.
+ *
+ * @param {CreateAuditLogParams[]} entries
+ * @returns {Promise<AuditLogRow[]>} Inserted rows; empty when nothing was written.
+ */
+export async function createAuditLogs(entries) {
+	if (!entries?.length) return [];
+	try {
+		const {
+			data: { user },
+		} = await supabase.auth.getUser();
+		if (!user) {
+			console.warn("No user found for audit log entries");
+			return [];
+		}
+
+		const { data: profile } = await supabase
+			.from("profile")
+			.select("role")
+			.eq("id", user.id)
+			.single();
+
+		const { data, error } = await supabase
+			.from("audit_log")
+			.insert(
+				entries.map((entry) => ({
+					user_id: user.id,
+					user_email: user.email,
+					user_role: profile?.role || null,
+					action_type: entry.actionType,
+					action_category: entry.actionCategory,
+					resource_type: entry.resourceType ?? null,
+					resource_id: entry.resourceId ?? null,
+					description: entry.description,
+					metadata: entry.metadata ?? null,
+					severity: entry.severity ?? "info",
+				})),
+			)
+			.select();
+
+		if (error) {
+			console.error("Failed to create audit logs:", error);
+			return [];
+		}
+
+		return data ?? [];
+	} catch (err) {
+		console.error("Error in createAuditLogs:", err);
+		return [];
+	}
+}
+
 /**
  * Fetch audit logs with filtering and pagination.
  * @param {FetchAuditLogsFilters} [filters]
@@ -170,6 +225,29 @@ export async function fetchAuditLogs({
 	}
 }
 
+/**
+ * Fetch every audit entry about one case, oldest first.
+ *
+ * Matches entries whose resource is the case itself and entries about related
+ * records (such as enrollments) that carry the case id as `metadata.caseId`.
+ *
+ * @param {string} caseId
+ * @returns {Promise<{ data: AuditLogRow[], error: any }>}
+ */
+export async function fetchCaseAuditLogs(caseId) {
+	const { data, error } = await supabase
+		.from("audit_log")
+		.select("*")
+		.or(`resource_id.eq.${caseId},metadata->>caseId.eq.${caseId}`)
+		.order("created_at", { ascending: true });
+
+	if (error) {
+		console.error("Error fetching case audit logs:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
+
 /**
  * Common audit log action types for consistency.
  */
@@ -179,6 +257,8 @@ export const AUDIT_ACTIONS = {
 	LOGOUT: "logout",
 	PASSWORD_CHANGE: "password_change",
 	FAILED_LOGIN: "failed_login",
+	OFFLINE_ACCESS_SETUP: "offline_access_setup",
+	OFFLINE_DATA_DISCARDED: "offline_data_discarded",
 
 	// Case Management
 	CREATE_CASE: "create_case",
@@ -186,6 +266,23 @@ export const AUDIT_ACTIONS = {
 	DELETE_CASE: "delete_case",
 	VIEW_CASE: "view_case",
 	EXPORT_CASES: "export_cases",
+	HAND_OFF_INTAKE_DRAFT: "hand_off_intake_draft",
+	LINK_CASE_CLIENT: "link_case_client",
+	UPDATE_CLIENT: "update_client",
+	REQUEST_CASE_TRANSFER: "request_case_transfer",
+	ACCEPT_CASE_TRANSFER: "accept_case_transfer",
+	DECLINE_CASE_TRANSFER: "decline_case_transfer",
+	CANCEL_CASE_TRANSFER: "cancel_case_transfer",
+	CLOSE_CASE: "close_case",
+	REOPEN_CASE: "reopen_case",
+	ARCHIVE_CASE: "archive_case",
+	RESTORE_CASE: "restore_case",
+	HIDE_CASE: "hide_case",
+	LINK_CASES: "link_cases",
+	UNLINK_CASES: "unlink_cases",
+	UPDATE_HOUSEHOLD: "update_household",
+	MERGE_HOUSEHOLDS: "merge_households",
+	IMPORT_CASES: "import_cases",
 
 	// User Management
 	CREATE_USER: "create_user",
@@ -217,6 +314,9 @@ export const AUDIT_ACTIONS = {
 	DELETE_PARTNER: "delete_partner",
 	VIEW_PARTNER: "view_partner",
 	EXPORT_PARTNERS: "export_partners",
+
+	// System Settings
+	UPDATE_OFFLINE_RETENTION: "update_offline_retention",
 };
 
 /**
@@ -229,6 +329,7 @@ export const AUDIT_CATEGORIES = {
 	PERMISSION: "permission",
 	PROGRAM: "program",
 	PARTNER: "partner",
+	SYSTEM: "system",
 };
 
 /**
@@ -0,0 +1,128 @@
+/**
+ * Printable case forms (DOCX) filled from a case record.
+ *
+ * Responsibilities:
+ * - Map each case type to its Word template under public/docx-templates.
+ * - Fill the template with the same `{{FIELD_NAME}}` values as the Excel
+ *   export (`getCaseExcelValues` in caseExcelExport.js) and download it.
+ * - Fill repeating tables from loops such as
+ *   `{{#CASE_FAMILY}}{{NAME}}{{/CASE_FAMILY}}` (`getCaseTemplateTables`).
+ *
+ * Notes:
+ * - Numbered tokens (`FAMILY_1_NAME`, ...) still work for forms with a fixed
+ *   number of rows; loops grow the table to fit every member.
+ * - Tokens the record has no value for print blank.
+ */
+
+import PizZip from "pizzip";
+import Docxtemplater from "docxtemplater";
+import { saveAs } from "file-saver";
+import {
+	getCaseExcelValues,
+	getCaseTemplateTables,
+} from "@/lib/caseExcelExport";
+
+export const DOCX_TEMPLATE_BY_CASE_TYPE = {
+	CASE: {
+		templateUrl: "/docx-templates/vac-intake-sheet.docx",
+		formName: "VAC intake sheet",
+	},
+	CICLCAR: {
+		templateUrl: "/docx-templates/ciclcar-profile.docx",
+		formName: "CICL/CAR profile",
+	},
+	SP: {
+		templateUrl: "/docx-templates/general-intake-sheet.docx",
+		formName: "General Intake Sheet",
+	},
+	PWD: {
+		templateUrl: "/docx-templates/pwd-application-form.docx",
+		formName: "PWD application form",
+	},
+	SC: {
+		templateUrl: "/docx-templates/osca-form.docx",
+		formName: "OSCA form",
+	},
+	FA: {
+		templateUrl: "/docx-templates/fa-form.docx",
+		formName: "Financial Assistance form",
+	},
+	FAR: {
+		templateUrl: "/docx-templates/far-form.docx",
+		formName: "Family Assistance Record",
+	},
+	FAC: {
+		templateUrl: "/docx-templates/fac-form.docx",
+		formName: "Family Assistance Card",
+	},
+	IVAC: {
+		templateUrl: "/docx-templates/ivac-report.docx",
+		formName: "Incidence on VAC report",
+	},
+};
+
+function describeTemplateError(error) {
+	const explanations = (error?.properties?.errors ?? [])
+		.map((item) => item?.properties?.explanation)
+		.filter(Boolean);
+	if (!explanations.length) return error?.message || "Invalid template.";
+	return `The template has errors: ${explanations.join("; ")}`;
+}
+
+function getOutputFilename(templateUrl, record) {
+	const base = templateUrl
+		.split("/")
+		.pop()
+		.replace(/\.docx$/i, "");
+	return `${base}-${record?.id || "record"}.docx`;
+}
+
+/**
+ * Fill the case type's Word form from `record` and download it.
+ *
+ * @param {Object} args
+ * @param {string} args.caseType Case Management tab (CASE, CICLCAR, ...).
+ * @param {Record<string, any>} args.record Case row, with its family rows.
+ * @returns {Promise<{ formName: string }>} The form that was downloaded.
+ * @throws {Error} When the case type has no form, the template cannot be
+ *   fetched, or the template has placeholder errors.
+ */
+export async function printCaseRecordToDocx({ caseType, record }) {
+	const templateConfig = DOCX_TEMPLATE_BY_CASE_TYPE[caseType];
+	if (!templateConfig) {
+		throw new Error(`No print form configured for case type: ${caseType}`);
+	}
+
+	const response = await fetch(templateConfig.templateUrl, {
+		cache: "no-store",
+	});
+	if (!response.ok) {
+		throw new Error(
+			`Template not found (${templateConfig.templateUrl}). Add the ${templateConfig.formName} under public/docx-templates.`,
+		);
+	}
+
+	let doc;
+	try {
+		doc = new Docxtemplater(new PizZip(await response.arrayBuffer()), {
+			delimiters: { start: "{{", end: "}}" },
+			paragraphLoop: true,
+			linebreaks: true,
+			nullGetter: () => "",
+		});
+		doc.render({
+			...getCaseExcelValues(caseType, record),
+			...getCaseTemplateTables(caseType, record),
+		});
+	} catch (error) {
+		throw new Error(describeTemplateError(error));
+	}
+
+	const out = doc.getZip().generate({
+		type: "blob",
+		mimeType:
+			"application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+	});
+	saveAs(out, getOutputFilename(templateConfig.templateUrl, record));
+	return { formName: templateConfig.formName };
+}
@@ -1,4 +1,5 @@
 import ExcelJS from "exceljs";
+import { addRelatedCasesSheet } from "@/lib/caseTableExport";
 
 const EXCEL_TEMPLATE_BY_CASE_TYPE = {
 	CASE: {
@@ -586,7 +587,7 @@ function buildCiclcarFamilyBackgroundValues(members = [], maxRows = 15) {
 
 function buildCiclcarExcelValues(record = {}) {
 	const familyBackground = normalizeCiclcarFamilyBackground(
-		record.family_background,
+		record.family_background ?? record.ciclcar_family_background,
 	);
 	const rawProfileName = safeString(record.profile_name).trim();
 	let parsedProfileName = parseNameParts(rawProfileName);
@@ -1155,7 +1156,7 @@ function buildIvacBulkRowValues(record = {}) {
 	return buildIvacExcelValues(record);
 }
 
-function getCaseExcelValues(caseType, record) {
+export function getCaseExcelValues(caseType, record) {
 	switch (caseType) {
 		case "CASE":
 			return buildCaseExcelValues(record);
@@ -1180,6 +1181,73 @@ function getCaseExcelValues(caseType, record) {
 	}
 }
 
+function collectNumberedRows(values, prefix, count) {
+	return Array.from({ length: count }, (_, index) => {
+		const rowPrefix = `${prefix}_${index + 1}_`;
+		return Object.fromEntries(
+			Object.entries(values)
+				.filter(([key]) => key.startsWith(rowPrefix))
+				.map(([key, value]) => [key.slice(rowPrefix.length), value]),
+		);
+	});
+}
+
+// Repeating tables (family composition, SC children, IVAC barangay rows) as
+// row lists for DOCX loops: `CASE_FAMILY_1_NAME` becomes `NAME` in row 1 of
+// `CASE_FAMILY`. Unlike the numbered tokens, every row is kept.
+export function getCaseTemplateTables(caseType, record = {}) {
+	const table = (prefix, rows, buildValues) => ({
+		[prefix]: collectNumberedRows(
+			buildValues(rows, rows.length),
+			prefix,
+			rows.length,
+		),
+	});
+
+	switch (caseType) {
+		case "CASE":
+			return table(
+				"CASE_FAMILY",
+				normalizeCaseFamilyMembers(record.family_members),
+				buildCaseFamilyCompositionValues,
+			);
+		case "SP":
+			return table(
+				"FAMILY",
+				normalizeFamilyMembers(record.family_members),
+				buildFamilyCompositionValues,
+			);
+		case "CICLCAR":
+			return table(
+				"CICLCAR_FAMILY",
+				normalizeCiclcarFamilyBackground(
+					record.family_background ?? record.ciclcar_family_background,
+				),
+				buildCiclcarFamilyBackgroundValues,
+			);
+		case "FAC":
+			return table(
+				"FAC_FAMILY",
+				normalizeFacFamilyMembers(record.family_members),
+				buildFacFamilyCompositionValues,
+			);
+		case "SC":
+			return table(
+				"CHILD",
+				normalizeStringArray(record.children),
+				buildScChildrenValues,
+			);
+		case "IVAC":
+			return table(
+				"REC",
+				getIvacRecordsArray(record),
+				buildIvacRecordsInternalValues,
+			);
+		default:
+			return {};
+	}
+}
+
 function getCaseCellMap(caseType) {
 	switch (caseType) {
 		case "CASE":
@@ -1209,7 +1277,7 @@ function normalizeRangeAddress(rangeAddress) {
 	return safeString(rangeAddress).replace(/\$/g, "").split(":")[0].trim();
 }
 
-function parseDefinedNameReference(reference) {
+export function parseDefinedNameReference(reference) {
 	const trimmed = safeString(reference).trim();
 	if (!trimmed) return { sheetName: "", address: "" };
 
@@ -1591,7 +1659,11 @@ function getOutputFilename(caseType, record) {
 	return `${prefix}-${id}-export.xlsx`;
 }
 
-export async function exportCaseRecordToExcel({ caseType, record }) {
+export async function exportCaseRecordToExcel({
+	caseType,
+	record,
+	relatedCases = [],
+}) {
 	const templateConfig = EXCEL_TEMPLATE_BY_CASE_TYPE[caseType];
 	if (!templateConfig) {
 		throw new Error(
@@ -1633,12 +1705,18 @@ export async function exportCaseRecordToExcel({ caseType, record }) {
 		);
 	}
 
+	addRelatedCasesSheet(workbook, relatedCases);
+
 	const out = await workbook.xlsx.writeBuffer();
 	triggerDownload(out, getOutputFilename(caseType, record));
 	return { filledCount };
 }
 
-export async function exportCaseRecordsToExcel({ caseType, records = [] }) {
+export async function exportCaseRecordsToExcel({
+	caseType,
+	records = [],
+	relatedCases = [],
+}) {
 	const templateConfig = EXCEL_TEMPLATE_BY_CASE_TYPE[caseType];
 	if (!templateConfig) {
 		throw new Error(
@@ -1677,6 +1755,8 @@ export async function exportCaseRecordsToExcel({ caseType, records = [] }) {
 		);
 	}
 
+	addRelatedCasesSheet(workbook, relatedCases);
+
 	const out = await workbook.xlsx.writeBuffer();
 	const filename = `${templateConfig.filenamePrefix}-bulk-export.xlsx`;
 	triggerDownload(out, filename);
@@ -0,0 +1,162 @@
+/**
+ * Read case workbooks for the Excel import.
+ *
+ * Responsibilities:
+ * - Turn every worksheet into a table: the first row with two or more filled
+ *   cells is the header, the filled rows below it are records.
+ * - Read named ranges (the single-record templates in public/excel-templates)
+ *   as a one-record source whose columns are the range names.
+ *
+ * Notes:
+ * - Cells come back as trimmed text. Date cells become `YYYY-MM-DD` and
+ *   formulas give their cached result.
+ */
+
+import ExcelJS from "exceljs";
+import { parseDefinedNameReference } from "@/lib/caseExcelExport";
+
+/** Rows searched for the header row before falling back to the first row. */
+const HEADER_SEARCH_ROWS = 20;
+
+/**
+ * @typedef {Object} ImportSourceRow
+ * @property {number} rowNumber Worksheet row number, for the preview and report.
+ * @property {Record<string, string>} values Cell text by column name.
+ */
+
+/**
+ * @typedef {Object} ImportSource
+ * @property {string} key
+ * @property {string} name Worksheet name, or "Named ranges".
+ * @property {string[]} columns
+ * @property {ImportSourceRow[]} rows
+ */
+
+/**
+ * @param {any} value ExcelJS cell value.
+ * @returns {string}
+ */
+export function cellText(value) {
+	if (value === null || value === undefined) return "";
+	if (value instanceof Date) {
+		return Number.isNaN(value.getTime())
+			? ""
+			: value.toISOString().slice(0, 10);
+	}
+	if (typeof value === "object") {
+		if (Array.isArray(value.richText)) {
+			return value.richText
+				.map((part) => part.text)
+				.join("")
+				.trim();
+		}
+		if ("result" in value) return cellText(value.result);
+		if ("text" in value) return cellText(value.text);
+		return "";
+	}
+	return String(value).trim();
+}
+
+const uniqueColumns = (headers) => {
+	const seen = new Map();
+	return headers.map((header, index) => {
+		const base = header || `Column ${index + 1}`;
+		const count = (seen.get(base) ?? 0) + 1;
+		seen.set(base, count);
+		return count === 1 ? base : `${base} (${count})`;
+	});
+};
+
+/**
+ * @param {import("exceljs").Worksheet} worksheet
+ * @returns {ImportSource}
+ */
+function readWorksheet(worksheet) {
+	const lines = [];
+	worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+		const cells = [];
+		row.eachCell({ includeEmpty: true }, (cell, column) => {
+			cells[column - 1] = cellText(cell.value);
+		});
+		if (cells.some(Boolean)) lines.push({ rowNumber, cells });
+	});
+
+	const headerIndex = Math.max(
+		lines
+			.slice(0, HEADER_SEARCH_ROWS)
+			.findIndex((line) => line.cells.filter(Boolean).length >= 2),
+		0,
+	);
+	const headerCells = lines[headerIndex]?.cells ?? [];
+	const width = lines.reduce(
+		(widest, line) => Math.max(widest, line.cells.length),
+		headerCells.length,
+	);
+	const columns = uniqueColumns(
+		Array.from({ length: width }, (_, index) => headerCells[index] ?? ""),
+	);
+
+	return {
+		key: `sheet:${worksheet.name}`,
+		name: worksheet.name,
+		columns,
+		rows: lines.slice(headerIndex + 1).map(({ rowNumber, cells }) => ({
+			rowNumber,
+			values: Object.fromEntries(
+				columns.map((column, index) => [column, cells[index] ?? ""]),
+			),
+		})),
+	};
+}
+
+/**
+ * @param {import("exceljs").Workbook} workbook
+ * @returns {Record<string, string>}
+ */
+function readNamedRanges(workbook) {
+	const values = {};
+	for (const { name, ranges } of workbook.definedNames?.model ?? []) {
+		if (name.startsWith("_xlnm")) continue;
+		for (const range of ranges) {
+			const { sheetName, address } = parseDefinedNameReference(range);
+			const worksheet = sheetName
+				? workbook.getWorksheet(sheetName)
+				: workbook.worksheets[0];
+			const text =
+				worksheet && address
+					? cellText(worksheet.getCell(address).value)
+					: "";
+			if (text) {
+				values[name] = text;
+				break;
+			}
+		}
+	}
+	return values;
+}
+
+/**
+ * Every importable source in an .xlsx file: named ranges first when the
+ * workbook has filled ones, then each worksheet with data.
+ *
+ * @param {File} file
+ * @returns {Promise<ImportSource[]>}
+ */
+export async function readImportWorkbook(file) {
+	const workbook = new ExcelJS.Workbook();
+	await workbook.xlsx.load(await file.arrayBuffer());
+
+	const sources = workbook.worksheets
+		.map(readWorksheet)
+		.filter((source) => source.rows.length);
+	const named = readNamedRanges(workbook);
+	if (Object.keys(named).length) {
+		sources.unshift({
+			key: "named",
+			name: "Named ranges",
+			columns: Object.keys(named),
+			rows: [{ rowNumber: 1, values: named }],
+		});
+	}
+	return sources;
+}
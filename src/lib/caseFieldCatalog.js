@@ -0,0 +1,387 @@
+/**
+ * Filterable fields of each case table, for the Case Management query builder.
+ *
+ * Responsibilities:
+ * - List, per Case Management tab, the stored columns a worker can filter on,
+ *   with a label and a field type (`CASE_FIELD_CATALOG`).
+ * - Define the operators each field type offers (`CASE_FIELD_OPERATORS`).
+ * - Create and inspect field filters: a group of rules joined by AND or OR,
+ *   where a rule may itself be a group (`createFieldRule`, `createFieldGroup`,
+ *   `isFieldRuleReady`, `countFieldRules`).
+ *
+ * Notes:
+ * - `column` is both the database column and the key on the cached row; the
+ *   case hooks keep stored column names when they map rows.
+ * - `age` fields read a birthdate column and filter on the age it gives
+ *   today, so the same filter keeps working as clients get older.
+ * - Rules that are not filled in yet are ignored rather than matching nothing.
+ * - Filters are saved in filter views as-is; a field later dropped from the
+ *   catalog is ignored when the view is applied.
+ */
+
+/** @typedef {"text"|"number"|"date"|"age"|"boolean"|"list"} CaseFieldType */
+
+/**
+ * @typedef {Object} CaseField
+ * @property {string} id Stable key saved in filters.
+ * @property {string} label
+ * @property {CaseFieldType} type
+ * @property {string} column Stored column (birthdate column for `age`).
+ * @property {{ value: string, label: string }[]} [options] Known values, for
+ *   `list` fields that store codes.
+ */
+
+/**
+ * @typedef {Object} CaseFieldRule
+ * @property {string} id
+ * @property {string} field `CaseField.id`
+ * @property {string} operator
+ * @property {string|{ min: string, max: string }} value
+ */
+
+/**
+ * @typedef {Object} CaseFieldGroup
+ * @property {string} [id] Missing on the outermost group.
+ * @property {"and"|"or"} combinator
+ * @property {(CaseFieldRule|CaseFieldGroup)[]} rules
+ */
+
+/** @type {Record<CaseFieldType, { value: string, label: string }[]>} */
+export const CASE_FIELD_OPERATORS = {
+	text: [
+		{ value: "contains", label: "contains" },
+		{ value: "equals", label: "is" },
+		{ value: "not_equals", label: "is not" },
+		{ value: "empty", label: "is empty" },
+		{ value: "not_empty", label: "is not empty" },
+	],
+	number: [
+		{ value: "equals", label: "=" },
+		{ value: "gte", label: "≥" },
+		{ value: "lte", label: "≤" },
+		{ value: "empty", label: "is empty" },
+		{ value: "not_empty", label: "is not empty" },
+	],
+	date: [
+		{ value: "equals", label: "on" },
+		{ value: "gte", label: "on or after" },
+		{ value: "lte", label: "on or before" },
+		{ value: "empty", label: "is empty" },
+		{ value: "not_empty", label: "is not empty" },
+	],
+	age: [
+		{ value: "between", label: "between" },
+		{ value: "empty", label: "birthdate missing" },
+	],
+	boolean: [
+		{ value: "true", label: "is yes" },
+		{ value: "false", label: "is no" },
+	],
+	list: [
+		{ value: "includes", label: "includes" },
+		{ value: "empty", label: "is empty" },
+	],
+};
+
+/** Operators that take no value. */
+const VALUELESS_OPERATORS = new Set(["empty", "not_empty", "true", "false"]);
+
+/** Stored codes of the PWD intake's disability checkboxes. */
+const DISABILITY_TYPES = [
+	"Deaf or Hard of hearing",
+	"Intellectual Disability",
+	"Learning Disability",
+	"Mental Disability",
+	"Physical Disability",
+	"Psychosocial Disability",
+	"Speech and Language Impairment",
+	"Visual Disability",
+	"Cancer",
+	"Rare Disease",
+].map((label) => ({
+	value: label
+		.toLowerCase()
+		.replace(/\s+/g, "_")
+		.replace(/\//g, "_")
+		.replace(/[^a-z0-9_]+/g, ""),
+	label,
+}));
+
+const field = (column, label, type = "text", extra = {}) => ({
+	id: column,
+	label,
+	type,
+	column,
+	...extra,
+});
+
+const ageField = (column, label = "Age") => ({
+	id: `${column}:age`,
+	label,
+	type: "age",
+	column,
+});
+
+/** @type {Record<string, CaseField[]>} */
+export const CASE_FIELD_CATALOG = {
+	CASE: [
+		field("identifying_name", "Client name"),
+		field("identifying_sex", "Sex"),
+		ageField("identifying_birthday"),
+		field("identifying_age", "Recorded age", "number"),
+		field("identifying_address", "Address"),
+		field("identifying_status", "Civil status"),
+		field("identifying_religion", "Religion"),
+		field("identifying_educational_attainment", "Educational attainment"),
+		field("identifying_case_type", "Case type"),
+		field("identifying_referral_source", "Referral source"),
+		field("identifying_intake_date", "Intake date", "date"),
+		field("perpetrator_offence_type", "Offence type"),
+		field("perpetrator_sex", "Perpetrator sex"),
+		field("perpetrator_victim_relation", "Relation to victim"),
+	],
+	CICLCAR: [
+		field("profile_name", "Client name"),
+		field("profile_sex", "Sex"),
+		field("profile_gender", "Gender"),
+		ageField("profile_birth_date"),
+		field("profile_address", "Address"),
+		field("profile_client_category", "Client category"),
+		field("profile_status", "Civil status"),
+		field("profile_religion", "Religion"),
+		field("profile_educational_attainment", "Educational attainment"),
+		field("profile_educational_status", "Educational status"),
+		field("profile_disability", "Disability"),
+		field("profile_ip_group", "IP group"),
+		field("violation", "Violation"),
+		field("specific_violation", "Specific violation"),
+		field("violation_status", "Violation status"),
+		field("violation_place_committed", "Place committed"),
+		field("violation_date_time_committed", "Date committed", "date"),
+		field("repeat_offender", "Repeat offender"),
+	],
+	FAR: [
+		field("receiving_member", "Receiving member"),
+		field("emergency", "Emergency"),
+		field("assistance", "Assistance"),
+		field("provider", "Provider"),
+		field("unit", "Unit"),
+		field("quantity", "Quantity", "number"),
+		field("cost", "Cost", "number"),
+		field("date", "Date", "date"),
+	],
+	FAC: [
+		field("location_barangay", "Barangay"),
+		field("location_city_municipality", "City / municipality"),
+		field("location_evacuation_center", "Evacuation center"),
+		field("head_last_name", "Head last name"),
+		field("head_sex", "Head sex"),
+		ageField("head_birthdate", "Head age"),
+		field("head_civil_status", "Head civil status"),
+		field("head_occupation", "Head occupation"),
+		field("head_monthly_income", "Head monthly income", "number"),
+		field("head_4ps_beneficiary", "4Ps beneficiary", "boolean"),
+		field("head_ip_ethnicity", "IP / ethnicity", "boolean"),
+		field("house_ownership", "House ownership"),
+		field("shelter_damage", "Shelter damage"),
+		field("vulnerable_older_persons", "Older persons", "number"),
+		field("vulnerable_pwds", "PWDs", "number"),
+		field("date_registered", "Date registered", "date"),
+	],
+	IVAC: [
+		field("province", "Province"),
+		field("municipality", "Municipality"),
+		field("reporting_period", "Reporting period"),
+	],
+	SP: [
+		field("full_name", "Full name"),
+		field("address", "Address"),
+		ageField("birth_date"),
+		field("age", "Recorded age", "number"),
+		field("civil_status", "Civil status"),
+		field("educational_attainment", "Educational attainment"),
+		field("occupation", "Occupation"),
+		field("monthly_income", "Monthly income", "number"),
+		field("four_ps", "4Ps member", "boolean"),
+		field("interview_date", "Interview date", "date"),
+	],
+	FA: [
+		field("client_name", "Client name"),
+		field("benificiary_name", "Beneficiary name"),
+		field("address", "Address"),
+		field("client_category", "Client category"),
+		field("gender", "Gender"),
+		field("four_ps_member", "4Ps member"),
+		field("purpose", "Purpose"),
+		field("transaction", "Transaction"),
+		field("interview_date", "Interview date", "date"),
+		field("date_recorded", "Date recorded", "date"),
+	],
+	PWD: [
+		field("last_name", "Last name"),
+		field("sex", "Sex"),
+		ageField("date_of_birth"),
+		field("civil_status", "Civil status"),
+		field("barangay", "Barangay"),
+		field("municipality", "Municipality"),
+		field("type_of_disability", "Type of disability", "list", {
+			options: DISABILITY_TYPES,
+		}),
+		field("application_type", "Application type"),
+		field("educational_attainment", "Educational attainment"),
+		field("employment_status", "Employment status"),
+		field("date_applied", "Date applied", "date"),
+	],
+	SC: [
+		field("senior_name", "Name"),
+		field("gender", "Gender"),
+		ageField("date_of_birth"),
+		field("marital_status", "Marital status"),
+		field("barangay", "Barangay"),
+		field("city_municipality", "City / municipality"),
+		field("religion", "Religion"),
+		field("current_pension", "Current pension"),
+		field("capability_to_travel", "Capability to travel"),
+		field("date_of_interview", "Date of interview", "date"),
+	],
+};
+
+/** @type {CaseFieldGroup} */
+export const EMPTY_FIELD_FILTER = { combinator: "and", rules: [] };
+
+let nextRuleId = 0;
+const ruleId = () => `rule-${Date.now().toString(36)}-${nextRuleId++}`;
+
+/**
+ * @param {string} caseType
+ * @returns {CaseField[]}
+ */
+export const getCaseFields = (caseType) => CASE_FIELD_CATALOG[caseType] ?? [];
+
+/**
+ * @param {string} caseType
+ * @param {string} fieldId
+ * @returns {CaseField|null}
+ */
+export const findCaseField = (caseType, fieldId) =>
+	getCaseFields(caseType).find((item) => item.id === fieldId) ?? null;
+
+/**
+ * @param {CaseFieldRule|CaseFieldGroup} rule
+ * @returns {rule is CaseFieldGroup}
+ */
+export const isFieldGroup = (rule) => Array.isArray(rule?.rules);
+
+/**
+ * Value a new rule on `operator` starts with.
+ * @param {CaseField} caseField
+ * @param {string} operator
+ */
+export const emptyRuleValue = (caseField, operator) =>
+	caseField.type === "age" && operator === "between"
+		? { min: "", max: "" }
+		: "";
+
+/**
+ * A rule on `caseField` with its first operator.
+ * @param {CaseField} caseField
+ * @returns {CaseFieldRule}
+ */
+export function createFieldRule(caseField) {
+	const operator = CASE_FIELD_OPERATORS[caseField.type][0].value;
+	return {
+		id: ruleId(),
+		field: caseField.id,
+		operator,
+		value: emptyRuleValue(caseField, operator),
+	};
+}
+
+/**
+ * A nested group holding one rule on `caseField`. Groups default to OR, the
+ * usual reason to nest.
+ * @param {CaseField} caseField
+ * @returns {CaseFieldGroup}
+ */
+export const createFieldGroup = (caseField) => ({
+	id: ruleId(),
+	combinator: "or",
+	rules: [createFieldRule(caseField)],
+});
+
+/**
+ * Whether a rule is filled in enough to filter by.
+ * @param {CaseFieldRule} rule
+ * @param {CaseField|null} caseField
+ * @returns {boolean}
+ */
+export function isFieldRuleReady(rule, caseField) {
+	if (!caseField) return false;
+	const operators = CASE_FIELD_OPERATORS[caseField.type];
+	if (!operators.some((item) => item.value === rule.operator)) return false;
+	if (VALUELESS_OPERATORS.has(rule.operator)) return true;
+	if (caseField.type === "age") {
+		const { min = "", max = "" } = rule.value ?? {};
+		return [min, max].some((bound) => `${bound}`.trim() !== "");
+	}
+	const value = `${rule.value ?? ""}`.trim();
+	if (!value) return false;
+	if (caseField.type === "number") return Number.isFinite(Number(value));
+	return true;
+}
+
+/**
+ * Rules that will filter, counting inside nested groups.
+ * @param {string} caseType
+ * @param {CaseFieldGroup|null|undefined} filter
+ * @returns {number}
+ */
+export function countFieldRules(caseType, filter) {
+	return (filter?.rules ?? []).reduce(
+		(count, rule) =>
+			count +
+			(isFieldGroup(rule)
+				? countFieldRules(caseType, rule)
+				: isFieldRuleReady(rule, findCaseField(caseType, rule.field))
+					? 1
+					: 0),
+		0,
+	);
+}
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/** yyyy-MM-dd of a local date. */
+const localDay = (date) =>
+	`${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Birthdates giving an age between `min` and `max` today, as yyyy-MM-dd bounds
+ * (either may be null when that side is open).
+ *
+ * @param {string|number} min
+ * @param {string|number} max
+ * @param {Date} [today]
+ * @returns {{ bornFrom: string|null, bornTo: string|null }}
+ */
+export function ageBirthdateRange(min, max, today = new Date()) {
+	const minAge = `${min ?? ""}`.trim() === "" ? null : Number(min);
+	const maxAge = `${max ?? ""}`.trim() === "" ? null : Number(max);
+	const yearsAgo = (years) =>
+		new Date(
+			today.getFullYear() - years,
+			today.getMonth(),
+			today.getDate(),
+		);
+
+	// Aged at least `min`: born on or before today, `min` years ago.
+	const bornTo = Number.isFinite(minAge) ? localDay(yearsAgo(minAge)) : null;
+	// Aged at most `max`: born after today, `max + 1` years ago.
+	let bornFrom = null;
+	if (Number.isFinite(maxAge)) {
+		const earliest = yearsAgo(maxAge + 1);
+		earliest.setDate(earliest.getDate() + 1);
+		bornFrom = localDay(earliest);
+	}
+	return { bornFrom, bornTo };
+}
@@ -0,0 +1,181 @@
+/**
+ * Case lifecycle shared by every case module.
+ *
+ * Responsibilities:
+ * - Define the canonical lifecycle states (`open`, `in_progress`, `closed`).
+ * - Map each case table's stored status values onto those states
+ *   (`CASE_STATUS_MODELS`, `caseLifecycleState`).
+ * - Define which state changes the status field may make directly, and which
+ *   need the close/reopen workflow (`CASE_LIFECYCLE_TRANSITIONS`).
+ *
+ * Notes:
+ * - Tables keep their legacy values: the intake-sheet tables store
+ *   Filed/Assessed/In Process/Resolved, the program tables active/closed, and
+ *   IVAC Active/Inactive. Nothing is migrated; only the reading is shared.
+ * - A missing status counts as open, like a freshly created row.
+ * - `close_case` / `reopen_case` in
+ *   database/migrations/20261019_add_case_closures.sql hard-code the closed
+ *   values ('resolved', 'closed') and the closed/reopened status per table;
+ *   change both together.
+ */
+
+/** @typedef {"open"|"in_progress"|"closed"} CaseLifecycleState */
+
+/**
+ * @typedef {Object} CaseStatusValue
+ * @property {string} value Stored status value.
+ * @property {CaseLifecycleState} state
+ */
+
+/**
+ * @typedef {Object} CaseStatusModel
+ * @property {CaseStatusValue[]} statuses Values the table stores, in order.
+ * @property {string|null} closed Status written by `close_case`; null when the
+ *   module is not closed through the workflow.
+ * @property {string|null} reopened Status written by `reopen_case`.
+ */
+
+export const CASE_LIFECYCLE_STATES = [
+	{ value: "open", label: "Open" },
+	{ value: "in_progress", label: "In progress" },
+	{ value: "closed", label: "Closed" },
+];
+
+/**
+ * How a status change between two states is made: `edit` from the status
+ * field, `close` / `reopen` only through caseClosureService.
+ *
+ * @type {Record<CaseLifecycleState, Partial<Record<CaseLifecycleState, "edit"|"close"|"reopen">>>}
+ */
+export const CASE_LIFECYCLE_TRANSITIONS = {
+	open: { open: "edit", in_progress: "edit", closed: "close" },
+	in_progress: { open: "edit", in_progress: "edit", closed: "close" },
+	closed: { open: "reopen", in_progress: "reopen" },
+};
+
+const INTAKE_SHEET_MODEL = {
+	statuses: [
+		{ value: "Filed", state: "open" },
+		{ value: "Assessed", state: "open" },
+		{ value: "In Process", state: "in_progress" },
+		{ value: "Resolved", state: "closed" },
+	],
+	closed: "Resolved",
+	reopened: "In Process",
+};
+
+const PROGRAM_MODEL = {
+	statuses: [
+		{ value: "active", state: "open" },
+		{ value: "closed", state: "closed" },
+	],
+	closed: "closed",
+	reopened: "active",
+};
+
+/** @type {Record<string, CaseStatusModel>} */
+export const CASE_STATUS_MODELS = {
+	CASE: INTAKE_SHEET_MODEL,
+	CICLCAR: INTAKE_SHEET_MODEL,
+	FAR: INTAKE_SHEET_MODEL,
+	FAC: PROGRAM_MODEL,
+	SP: PROGRAM_MODEL,
+	FA: PROGRAM_MODEL,
+	PWD: PROGRAM_MODEL,
+	SC: PROGRAM_MODEL,
+	IVAC: {
+		statuses: [
+			{ value: "Active", state: "open" },
+			{ value: "Inactive", state: "closed" },
+		],
+		closed: null,
+		reopened: null,
+	},
+};
+
+/**
+ * Every stored spelling (lowercased), plus older values still found in some
+ * rows and the dashboard's filter keys.
+ * @type {Record<string, CaseLifecycleState>}
+ */
+const LEGACY_STATUS_STATES = {
+	...Object.fromEntries(
+		Object.values(CASE_STATUS_MODELS).flatMap((model) =>
+			model.statuses.map(({ value, state }) => [
+				value.toLowerCase(),
+				state,
+			]),
+		),
+	),
+	open: "open",
+	pending: "open",
+	"in progress": "in_progress",
+	"in-progress": "in_progress",
+	in_progress: "in_progress",
+};
+
+/**
+ * Lifecycle state of a stored status value. Unknown values count as open so a
+ * case is never hidden from workload and reminders by a typo.
+ *
+ * @param {string|null|undefined} status
+ * @returns {CaseLifecycleState}
+ */
+export const caseLifecycleState = (status) =>
+	LEGACY_STATUS_STATES[`${status ?? ""}`.trim().toLowerCase()] ?? "open";
+
+/**
+ * Stored spellings (lowercased) that read as `state`, for filters that run in
+ * the database. For `open` this is not the whole answer: null and unknown
+ * values are open too, so match "none of the other states" instead.
+ *
+ * @param {CaseLifecycleState} state
+ * @returns {string[]}
+ */
+export const caseStatusSpellings = (state) =>
+	Object.keys(LEGACY_STATUS_STATES).filter(
+		(status) => LEGACY_STATUS_STATES[status] === state,
+	);
+
+/**
+ * @param {string|null|undefined} status
+ * @returns {boolean}
+ */
+export const isCaseClosed = (status) => caseLifecycleState(status) === "closed";
+
+/**
+ * @param {string|null|undefined} status
+ * @returns {boolean}
+ */
+export const isCaseOpen = (status) => !isCaseClosed(status);
+
+/**
+ * @param {string} state
+ * @returns {string}
+ */
+export const caseLifecycleLabel = (state) =>
+	CASE_LIFECYCLE_STATES.find((item) => item.value === state)?.label ?? state;
+
+/**
+ * How the status field could move a case from one stored value to another.
+ *
+ * @param {string|null|undefined} fromStatus
+ * @param {string|null|undefined} toStatus
+ * @returns {"edit"|"close"|"reopen"|null} null when the move is not allowed.
+ */
+export const caseStatusTransition = (fromStatus, toStatus) =>
+	CASE_LIFECYCLE_TRANSITIONS[caseLifecycleState(fromStatus)][
+		caseLifecycleState(toStatus)
+	] ?? null;
+
+/**
+ * Whether the status field may offer `toStatus` for a case currently at
+ * `fromStatus`. Keeping the current value is always allowed.
+ *
+ * @param {string|null|undefined} fromStatus
+ * @param {string|null|undefined} toStatus
+ * @returns {boolean}
+ */
+export const canEditCaseStatus = (fromStatus, toStatus) =>
+	fromStatus === toStatus ||
+	caseStatusTransition(fromStatus, toStatus) === "edit";
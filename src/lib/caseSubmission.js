@@ -4,14 +4,15 @@
  * Responsibilities:
  * - Map intake-store data to the Supabase `case` and `case_family_member` tables.
  * - Support two intake variants by mapping to base columns and `*2`-suffixed columns.
- * - Insert the main case row and (optionally) two groups of family-member rows.
+ * - Create the main case row and (optionally) two groups of family-member rows through
+ *   `caseRepository`, which queues the write locally when offline.
  *
  * Design notes:
  * - The intake store uses capitalized section keys; the second variant appends `2`.
  * - `submitCase()` intentionally merges both variants so Part 1 and Part 2 save together.
  */
 
-import supabase from "../../config/supabase";
+import { caseRepository } from "@/services/caseRepositories";
 
 /**
  * @typedef {Object} CaseDetails
@@ -39,6 +40,7 @@ import supabase from "../../config/supabase";
  * @property {string} [birthPlace]
  * @property {string} [respondentName]
  * @property {string} [birthday]
+ * @property {string|null} [clientId] Existing registry client picked at intake.
  */
 
 /**
@@ -225,32 +227,24 @@ function buildCasePayload(data, isSecond) {
 }
 
 /**
- * Insert a case and related family members.
+ * Create a case and related family members (queued locally when offline).
  *
- * Family members are inserted into two groups:
+ * Family members are stored in two groups:
  * - Part 1 uses group numbers starting at 1
  * - Part 2 uses a high base to avoid collisions when displaying/ordering
  *
  * @param {CaseIntakeStoreData} finalData Store data snapshot.
- * @returns {Promise<{caseId: string|null, error: any}>}
+ * @returns {Promise<{caseId: string|null, queued: boolean, error: any}>}
  */
 export async function submitCase(finalData) {
 	// Build and merge both variants so Part 1 and Part 2 save together.
 	const p1 = buildCasePayload(finalData, false);
 	const p2 = buildCasePayload(finalData, true);
 	const payload = { ...p1, ...p2 };
+	// Without a linked client the database matches or registers one on insert.
+	const clientId = finalData?.IdentifyingData?.clientId;
+	if (clientId) payload.client_id = clientId;
 
-	// Insert main case row
-	const { data: inserted, error } = await supabase
-		.from("case")
-		.insert(payload)
-		.select()
-		.single();
-
-	if (error) return { caseId: null, error };
-	const caseId = inserted?.id;
-
-	// Insert family members for both groups
 	const members1 = Array.isArray(finalData?.FamilyData?.members)
 		? finalData.FamilyData.members
 		: [];
@@ -259,45 +253,20 @@ export async function submitCase(finalData) {
 		: [];
 
 	const PART2_GROUP_BASE = 2000;
-	/** @type {CaseFamilyMemberRow[]} */
-	const fmRows = [];
-
-	members1.forEach((m, idx) => {
-		fmRows.push({
-			case_id: caseId,
-			group_no: idx + 1,
-			name: m.name || null,
-			age: m.age || null,
-			relation: m.relation || null,
-			status: m.status || null,
-			education: m.education || null,
-			occupation: m.occupation || null,
-			income: m.income || null,
-		});
-	});
-
-	members2.forEach((m, idx) => {
-		fmRows.push({
-			case_id: caseId,
+	const familyMembers = [
+		...members1.map((m, idx) => ({ ...m, group_no: idx + 1 })),
+		...members2.map((m, idx) => ({
+			...m,
 			group_no: PART2_GROUP_BASE + idx + 1,
-			name: m.name || null,
-			age: m.age || null,
-			relation: m.relation || null,
-			status: m.status || null,
-			education: m.education || null,
-			occupation: m.occupation || null,
-			income: m.income || null,
-		});
-	});
+		})),
+	];
 
-	if (fmRows.length) {
-		const { error: fmErr } = await supabase
-			.from("case_family_member")
-			.insert(fmRows);
-		if (fmErr) return { caseId, error: fmErr };
-	}
+	const { caseId, queued, error } = await caseRepository.createRecord({
+		casePayload: payload,
+		familyMembers,
+	});
 
-	return { caseId, error: null };
+	return { caseId, queued, error };
 }
 
 export { buildCasePayload };
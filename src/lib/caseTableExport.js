@@ -0,0 +1,140 @@
+/**
+ * Plain tabular exports of case rows (CSV and a one-sheet workbook).
+ *
+ * Responsibilities:
+ * - Flatten case rows into columns: every scalar field found on the rows.
+ * - Download them as CSV or as an .xlsx workbook.
+ * - Append a "Related cases" sheet to any exported workbook
+ *   (`addRelatedCasesSheet`, also used by caseExcelExport.js).
+ *
+ * Notes:
+ * - Used where a case type has no bulk Excel template
+ *   (`exportCaseRecordsToExcel` in caseExcelExport.js covers FA, FAR and IVAC).
+ * - Nested values (family members, embedded relations) and offline snapshot
+ *   bookkeeping are left out.
+ */
+
+import ExcelJS from "exceljs";
+
+const SNAPSHOT_FIELDS = new Set([
+	"localId",
+	"serverUpdatedAt",
+	"hasPendingWrites",
+	"pendingAction",
+	"cachedAt",
+	"ownerId",
+	"sealed",
+]);
+
+const isScalar = (value) =>
+	value === null || ["string", "number", "boolean"].includes(typeof value);
+
+/**
+ * Columns shared by the rows, in first-seen order.
+ * @param {Array<Record<string, any>>} rows
+ * @returns {string[]}
+ */
+export function caseTableColumns(rows) {
+	const columns = new Set();
+	rows.forEach((row) => {
+		Object.entries(row ?? {}).forEach(([key, value]) => {
+			if (SNAPSHOT_FIELDS.has(key) || !isScalar(value)) return;
+			columns.add(key);
+		});
+	});
+	return Array.from(columns);
+}
+
+const csvCell = (value) => {
+	if (value === null || value === undefined) return "";
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function download(content, fileName, type) {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const anchor = document.createElement("a");
+	anchor.href = url;
+	anchor.download = fileName;
+	document.body.appendChild(anchor);
+	anchor.click();
+	anchor.remove();
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {{ rows: Array<Record<string, any>>, fileName: string }} params
+ * @returns {{ columnCount: number }}
+ */
+export function exportCaseRowsToCsv({ rows, fileName }) {
+	const columns = caseTableColumns(rows);
+	const lines = [
+		columns.map(csvCell).join(","),
+		...rows.map((row) =>
+			columns.map((column) => csvCell(row[column])).join(","),
+		),
+	];
+	// The BOM makes Excel read the file as UTF-8 (ñ in names and addresses).
+	download(
+		`\uFEFF${lines.join("\r\n")}`,
+		fileName,
+		"text/csv;charset=utf-8;",
+	);
+	return { columnCount: columns.length };
+}
+
+/**
+ * Add the links of the exported cases as their own sheet. Nothing is added
+ * when none of them are linked.
+ * @param {import("exceljs").Workbook} workbook
+ * @param {Array<Record<string, string>>} relatedCases Rows from `fetchCaseLinkExportRows`
+ */
+export function addRelatedCasesSheet(workbook, relatedCases = []) {
+	if (!relatedCases.length) return;
+	const columns = Object.keys(relatedCases[0]);
+	const sheet = workbook.addWorksheet("Related cases");
+	sheet.columns = columns.map((column) => ({
+		header: column,
+		key: column,
+		width: Math.min(Math.max(column.length + 2, 14), 40),
+	}));
+	sheet.getRow(1).font = { bold: true };
+	relatedCases.forEach((row) => sheet.addRow(row));
+}
+
+/**
+ * @param {{ rows: Array<Record<string, any>>, fileName: string, sheetName?: string, relatedCases?: Array<Record<string, string>> }} params
+ * @returns {Promise<{ columnCount: number }>}
+ */
+export async function exportCaseRowsToWorkbook({
+	rows,
+	fileName,
+	sheetName = "Cases",
+	relatedCases = [],
+}) {
+	const columns = caseTableColumns(rows);
+	const workbook = new ExcelJS.Workbook();
+	const sheet = workbook.addWorksheet(sheetName);
+	sheet.columns = columns.map((column) => ({
+		header: column,
+		key: column,
+		width: Math.min(Math.max(column.length + 2, 12), 40),
+	}));
+	sheet.getRow(1).font = { bold: true };
+	rows.forEach((row) =>
+		sheet.addRow(
+			Object.fromEntries(
+				columns.map((column) => [column, row[column] ?? null]),
+			),
+		),
+	);
+	addRelatedCasesSheet(workbook, relatedCases);
+
+	const bytes = await workbook.xlsx.writeBuffer();
+	download(
+		bytes,
+		fileName,
+		"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+	);
+	return { columnCount: columns.length };
+}
@@ -0,0 +1,369 @@
+/**
+ * Client identity helpers shared by the client registry and intake forms.
+ *
+ * Responsibilities:
+ * - Describe where each person-level case table keeps the client's name,
+ *   birth date, sex and location (`CLIENT_CASE_SOURCES`).
+ * - Normalize names the same way the database does (`clientNameKey`).
+ * - Score how likely an intake describes an existing client
+ *   (`scoreClientMatch`).
+ *
+ * Notes:
+ * - `clientNameKey` mirrors `public.client_name_key` in
+ *   database/migrations/20261019_add_clients_registry.sql; change both together.
+ * - IVAC rows are barangay totals, not people, so they have no source here.
+ * - Matching is deliberately forgiving (middle names, initials, one-letter
+ *   typos, "De la"/"Dela"); it only suggests candidates, a worker decides.
+ */
+
+/**
+ * @typedef {Object} ClientIdentity
+ * @property {string} fullName
+ * @property {string|null} birthDate
+ * @property {string|null} sex
+ * @property {string|null} barangay
+ * @property {string|null} address
+ */
+
+/**
+ * @typedef {Object} ClientCaseSource
+ * @property {string} caseType `CASE_REPOSITORIES` key / case management tab.
+ * @property {string} table Supabase table.
+ * @property {string} label Tab label.
+ * @property {(row: Record<string, any>) => ClientIdentity} identify
+ */
+
+const text = (value) => {
+	if (value === null || value === undefined) return null;
+	const trimmed = `${value}`.trim();
+	return trimmed || null;
+};
+
+const joinName = (...parts) => parts.map(text).filter(Boolean).join(" ");
+
+/** @type {ClientCaseSource[]} */
+export const CLIENT_CASE_SOURCES = [
+	{
+		caseType: "CASE",
+		table: "case",
+		label: "Cases",
+		identify: (row) => ({
+			fullName: joinName(row.identifying_name),
+			birthDate: text(row.identifying_birthday),
+			sex: text(row.identifying_sex),
+			barangay: null,
+			address: text(row.identifying_address),
+		}),
+	},
+	{
+		caseType: "CICLCAR",
+		table: "ciclcar_case",
+		label: "CICL/CAR",
+		identify: (row) => ({
+			fullName: joinName(row.profile_name),
+			birthDate: text(row.profile_birth_date),
+			sex: text(row.profile_sex),
+			barangay: null,
+			address: text(row.profile_address),
+		}),
+	},
+	{
+		caseType: "FAC",
+		table: "fac_case",
+		label: "Family Assistance Card",
+		identify: (row) => ({
+			fullName: joinName(
+				row.head_first_name,
+				row.head_middle_name,
+				row.head_last_name,
+				row.head_name_extension,
+			),
+			birthDate: text(row.head_birthdate),
+			sex: text(row.head_sex),
+			barangay: text(row.location_barangay),
+			address: null,
+		}),
+	},
+	{
+		caseType: "FAR",
+		table: "far_case",
+		label: "Family Assistance Record",
+		identify: (row) => ({
+			fullName: joinName(row.receiving_member),
+			birthDate: null,
+			sex: null,
+			barangay: null,
+			address: null,
+		}),
+	},
+	{
+		caseType: "SP",
+		table: "sp_case",
+		label: "Single Parents",
+		identify: (row) => ({
+			fullName:
+				joinName(row.full_name) ||
+				joinName(row.first_name, row.last_name),
+			birthDate: text(row.birth_date),
+			sex: null,
+			barangay: null,
+			address: text(row.address),
+		}),
+	},
+	{
+		caseType: "FA",
+		table: "fa_case",
+		label: "Financial Assistance",
+		identify: (row) => ({
+			fullName: joinName(row.client_name),
+			birthDate: null,
+			sex: text(row.gender),
+			barangay: null,
+			address: text(row.address),
+		}),
+	},
+	{
+		caseType: "PWD",
+		table: "pwd_case",
+		label: "Persons with Disabilities",
+		identify: (row) => ({
+			fullName: joinName(
+				row.first_name,
+				row.middle_name,
+				row.last_name,
+				row.suffix,
+			),
+			birthDate: text(row.date_of_birth),
+			sex: text(row.sex),
+			barangay: text(row.barangay),
+			address: null,
+		}),
+	},
+	{
+		caseType: "SC",
+		table: "sc_case",
+		label: "Senior Citizen",
+		identify: (row) => ({
+			fullName: joinName(row.senior_name),
+			birthDate: text(row.date_of_birth),
+			sex: text(row.gender),
+			barangay: text(row.barangay),
+			address: null,
+		}),
+	},
+];
+
+/**
+ * @param {string} caseType
+ * @returns {ClientCaseSource|undefined}
+ */
+export const getClientCaseSource = (caseType) =>
+	CLIENT_CASE_SOURCES.find((source) => source.caseType === caseType);
+
+const NAME_SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv"]);
+
+/**
+ * Comparable form of a person's name: lowercase ASCII words in given-name
+ * first order, "Ma." spelled out and generational suffixes dropped.
+ *
+ * @param {string|null|undefined} name
+ * @returns {string|null}
+ */
+export function clientNameKey(name) {
+	let value = `${name ?? ""}`.toLowerCase();
+	// "Dela Cruz, Juan" -> "juan dela cruz"
+	const comma = value.indexOf(",");
+	if (comma !== -1) {
+		const rest = value.slice(comma + 1).split(",")[0];
+		value = `${rest} ${value.slice(0, comma)}`;
+	}
+	const words = value
+		.normalize("NFD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.replace(/[^a-z ]/g, " ")
+		.split(/\s+/)
+		.filter(Boolean)
+		.map((word) => (word === "ma" ? "maria" : word))
+		.filter((word) => !NAME_SUFFIXES.has(word));
+	return words.length ? words.join(" ") : null;
+}
+
+// Joined to the following word so "De la Cruz" and "Dela Cruz" compare equal.
+const SURNAME_PARTICLES = new Set([
+	"de",
+	"del",
+	"dela",
+	"della",
+	"delos",
+	"la",
+	"las",
+	"los",
+	"san",
+	"sta",
+	"sto",
+]);
+
+/**
+ * @param {string|null|undefined} name
+ * @returns {string[]}
+ */
+function nameTokens(name) {
+	const words = clientNameKey(name)?.split(" ") ?? [];
+	const tokens = [];
+	let prefix = "";
+	for (const word of words) {
+		if (SURNAME_PARTICLES.has(word)) {
+			prefix += word;
+			continue;
+		}
+		tokens.push(prefix + word);
+		prefix = "";
+	}
+	if (prefix) tokens.push(prefix);
+	return tokens;
+}
+
+function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+	for (let i = 1; i <= a.length; i += 1) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j += 1) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/** Equal, a matching initial, or one typo apart in a longer word. */
+function tokensMatch(a, b) {
+	if (a === b) return true;
+	if (a.length === 1 || b.length === 1) return a[0] === b[0];
+	return Math.min(a.length, b.length) >= 4 && editDistance(a, b) <= 1;
+}
+
+/**
+ * Share of the shorter name found in the longer one, 0 when the surnames
+ * differ or nothing but the surname matches. Missing middle names do not count
+ * against a match. `exact` is false once an initial or a typo was needed.
+ *
+ * @returns {{ similarity: number, exact: boolean }}
+ */
+function nameSimilarity(first, second) {
+	const none = { similarity: 0, exact: false };
+	const [shorter, longer] =
+		first.length <= second.length ? [first, second] : [second, first];
+	if (shorter.length < 2) return none;
+	if (!tokensMatch(shorter.at(-1), longer.at(-1))) return none;
+
+	let exact = shorter.at(-1) === longer.at(-1);
+	const unused = longer.slice(0, -1);
+	let matched = 1;
+	for (const token of shorter.slice(0, -1)) {
+		const index = unused.findIndex((other) => tokensMatch(token, other));
+		if (index === -1) continue;
+		matched += token.length === 1 || unused[index].length === 1 ? 0.5 : 1;
+		exact = exact && token === unused[index];
+		unused.splice(index, 1);
+	}
+	if (matched === 1) return none;
+	const similarity = matched / shorter.length;
+	return { similarity, exact: exact && similarity === 1 };
+}
+
+const dateParts = (value) => {
+	const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(`${value ?? ""}`.trim());
+	return match ? match.slice(1) : null;
+};
+
+const placeKey = (value) =>
+	`${value ?? ""}`
+		.toLowerCase()
+		.replace(/\b(brgy|barangay|bgy)\b\.?/g, " ")
+		.replace(/[^a-z0-9]+/g, " ")
+		.trim();
+
+/**
+ * @param {Partial<ClientIdentity>} first
+ * @param {Partial<ClientIdentity>} second
+ */
+function samePlace(first, second) {
+	const firstBarangay = placeKey(first.barangay);
+	const secondBarangay = placeKey(second.barangay);
+	if (firstBarangay && secondBarangay)
+		return firstBarangay === secondBarangay;
+	// One side may only have a free-text address that names the barangay.
+	const barangay = firstBarangay || secondBarangay;
+	const address = placeKey(firstBarangay ? second.address : first.address);
+	return Boolean(
+		barangay && address && ` ${address} `.includes(` ${barangay} `),
+	);
+}
+
+/** Minimum score for a candidate to be shown. */
+export const POSSIBLE_MATCH_SCORE = 45;
+
+/** Score from which a candidate is flagged as a likely duplicate. */
+export const LIKELY_MATCH_SCORE = 80;
+
+/**
+ * @typedef {Object} ClientMatchScore
+ * @property {number} score
+ * @property {"likely"|"possible"} strength
+ * @property {string[]} reasons Short explanations for the worker.
+ */
+
+/**
+ * Compare an intake's identity with an existing record.
+ *
+ * @param {Partial<ClientIdentity>} input
+ * @param {Partial<ClientIdentity>} candidate
+ * @returns {ClientMatchScore|null} Null below `POSSIBLE_MATCH_SCORE`.
+ */
+export function scoreClientMatch(input, candidate) {
+	const { similarity, exact } = nameSimilarity(
+		nameTokens(input.fullName),
+		nameTokens(candidate.fullName),
+	);
+	if (similarity === 0) return null;
+
+	const reasons = [exact ? "Same name" : "Similar name"];
+	let score = similarity * 60;
+
+	const inputDate = dateParts(input.birthDate);
+	const candidateDate = dateParts(candidate.birthDate);
+	if (inputDate && candidateDate) {
+		const [year, month, day] = inputDate;
+		const [otherYear, otherMonth, otherDay] = candidateDate;
+		if (year === otherYear && month === otherMonth && day === otherDay) {
+			score += 35;
+			reasons.push("Same birth date");
+		} else if (
+			year === otherYear &&
+			month === otherDay &&
+			day === otherMonth
+		) {
+			score += 15;
+			reasons.push("Birth date with day and month swapped");
+		} else {
+			score -= 40;
+			reasons.push("Different birth date");
+		}
+	}
+
+	if (samePlace(input, candidate)) {
+		score += 10;
+		reasons.push("Same barangay");
+	}
+
+	if (score < POSSIBLE_MATCH_SCORE) return null;
+	return {
+		score: Math.round(score),
+		strength: score >= LIKELY_MATCH_SCORE ? "likely" : "possible",
+		reasons,
+	};
+}
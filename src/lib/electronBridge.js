@@ -9,6 +9,10 @@
 /**
  * @typedef {Object} ElectronAPI
  * @property {() => Promise<string>} getAppVersion
+ * @property {(entry: { userId: string, raw: string }) => Promise<void>} setVaultKey
+ *   Keep the unlocked case-cache key in the main process across reloads.
+ * @property {() => Promise<{ userId: string, raw: string }|null>} getVaultKey
+ * @property {() => Promise<void>} clearVaultKey
  */
 
 /**
@@ -20,6 +24,9 @@ const safeBridge =
 		? window.electronAPI
 		: {
 				getAppVersion: async () => "web",
+				setVaultKey: async () => {},
+				getVaultKey: async () => null,
+				clearVaultKey: async () => {},
 			};
 
 export default safeBridge;
@@ -540,7 +540,7 @@ export async function fetchAvailablePrograms(caseType = null) {
 		let query = supabase
 			.from("programs")
 			.select(
-				"id, program_name, program_type, capacity, current_enrollment, status",
+				"id, program_name, program_type, capacity, current_enrollment, duration_weeks, status",
 			)
 			.eq("status", "active")
 			.order("program_name");
@@ -26,6 +26,7 @@
  * @property {string} [four_ps_member]
  * @property {string} [transaction]
  * @property {string} [notes]
+ * @property {string|null} [client_id] Existing client picked at intake.
  */
 
 /**
@@ -48,6 +49,7 @@
  * @property {string|null} four_ps_member
  * @property {string|null} transaction
  * @property {string|null} notes
+ * @property {string} [client_id] Only present when a client was picked.
  */
 
 /**
@@ -92,5 +94,6 @@ export function buildFACasePayload(formState = {}) {
 		four_ps_member: formState.four_ps_member || null,
 		transaction: formState.transaction || null,
 		notes: formState.notes || null,
+		...(formState.client_id ? { client_id: formState.client_id } : {}),
 	};
 }
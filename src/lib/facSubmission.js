@@ -3,12 +3,19 @@
  *
  * Responsibilities:
  * - Map intake-store form state to the Supabase `fac_case` and `fac_family_member` tables.
- * - Create/update a FAC case and its related family members.
+ * - Create/update a FAC case and its related family members through `facRepository`
+ *   (queued locally when offline).
  * - Fetch and map database records back into the intake-store shape for editing.
+ *
+ * Notes:
+ * - Audit entries are only written for writes that reached Supabase; queued writes
+ *   have no server id to reference yet.
  */
 
 import supabase from "../../config/supabase";
 import { createAuditLog, AUDIT_ACTIONS, AUDIT_CATEGORIES } from "./auditLog";
+import { facRepository } from "@/services/caseRepositories";
+import { isNetworkError } from "@/services/offlineCaseRepository";
 
 /**
  * @typedef {Object} FacLocationOfAffectedFamily
@@ -43,6 +50,7 @@ import { createAuditLog, AUDIT_ACTIONS, AUDIT_CATEGORIES } from "./auditLog";
  * @property {boolean} [fourPsBeneficiary]
  * @property {boolean} [ipEthnicity]
  * @property {string} [ipEthnicityType]
+ * @property {string|null} [clientId] Existing client picked at intake.
  */
 
 /**
@@ -72,6 +80,7 @@ import { createAuditLog, AUDIT_ACTIONS, AUDIT_CATEGORIES } from "./auditLog";
  * @property {string} [educationalAttainment]
  * @property {string} [occupation]
  * @property {string} [remarks]
+ * @property {string} [householdMemberId] Household member the entry was loaded from.
  */
 
 /**
@@ -142,6 +151,7 @@ import { createAuditLog, AUDIT_ACTIONS, AUDIT_CATEGORIES } from "./auditLog";
  * @property {string|null} educational_attainment
  * @property {string|null} occupation
  * @property {string|null} remarks
+ * @property {string|null} household_member_id
  */
 
 /**
@@ -246,34 +256,43 @@ function buildFamilyMemberRows(members, facCaseId) {
 		educational_attainment: member.educationalAttainment || null,
 		occupation: member.occupation || null,
 		remarks: member.remarks || null,
+		household_member_id: member.householdMemberId || null,
 	}));
 }
 
 /**
  * Create a new FAC case and (optionally) related family-member rows.
  * @param {FacIntakeStoreData} formData Complete form data from the intake store.
- * @returns {Promise<{facCaseId: string|null, error: any}>}
+ * @returns {Promise<{facCaseId: string|null, queued: boolean, error: any}>}
  */
 export async function submitFacCase(formData) {
 	try {
 		console.log("📝 Submitting FAC case...", formData);
 
-		// Build main case payload
 		const casePayload = buildFacCasePayload(formData);
+		const clientId = formData.headOfFamily?.clientId;
+		if (clientId) casePayload.client_id = clientId;
+		const familyMembers = formData.familyInformation?.members || [];
 
-		// Insert main fac_case record
-		const { data: insertedCase, error: caseError } = await supabase
-			.from("fac_case")
-			.insert(casePayload)
-			.select()
-			.single();
+		const {
+			caseId: facCaseId,
+			queued,
+			error,
+		} = await facRepository.createRecord({
+			casePayload,
+			familyMembers: buildFamilyMemberRows(familyMembers, null),
+		});
 
-		if (caseError) {
-			console.error("❌ Error inserting fac_case:", caseError);
-			return { facCaseId: null, error: caseError };
+		if (error) {
+			console.error("❌ Error inserting fac_case:", error);
+			return { facCaseId, queued: false, error };
+		}
+
+		if (queued) {
+			console.log("📦 FAC case queued for sync");
+			return { facCaseId: null, queued: true, error: null };
 		}
 
-		const facCaseId = insertedCase?.id;
 		console.log("✅ Created fac_case:", facCaseId);
 
 		// Create audit log for FAC case creation
@@ -288,36 +307,15 @@ export async function submitFacCase(formData) {
 				headOfFamily:
 					`${casePayload.head_first_name || ""} ${casePayload.head_last_name || ""}`.trim(),
 				location: casePayload.location_barangay,
-				familyMembersCount:
-					formData.familyInformation?.members?.length || 0,
+				familyMembersCount: familyMembers.length,
 			},
 			severity: "info",
 		});
 
-		// Insert family members if any
-		const familyMembers = formData.familyInformation?.members || [];
-		if (familyMembers.length > 0) {
-			const memberRows = buildFamilyMemberRows(familyMembers, facCaseId);
-
-			const { error: memberError } = await supabase
-				.from("fac_family_member")
-				.insert(memberRows);
-
-			if (memberError) {
-				console.error(
-					"❌ Error inserting family members:",
-					memberError,
-				);
-				return { facCaseId, error: memberError };
-			}
-
-			console.log(`✅ Inserted ${memberRows.length} family members`);
-		}
-
-		return { facCaseId, error: null };
+		return { facCaseId, queued: false, error: null };
 	} catch (err) {
 		console.error("❌ Unexpected error in submitFacCase:", err);
-		return { facCaseId: null, error: err };
+		return { facCaseId: null, queued: false, error: err };
 	}
 }
 
@@ -325,26 +323,34 @@ export async function submitFacCase(formData) {
  * Update an existing FAC case and replace its related family members.
  *
  * Strategy: delete all existing `fac_family_member` rows then re-insert.
- * @param {string} facCaseId UUID of the `fac_case` to update.
+ * @param {string|{id?: string|null, localId?: number|null}} target FAC case id or table row.
  * @param {FacIntakeStoreData} formData Complete form data from the intake store.
- * @returns {Promise<{success: boolean, error: any}>}
+ * @returns {Promise<{success: boolean, queued: boolean, error: any}>}
  */
-export async function updateFacCase(facCaseId, formData) {
+export async function updateFacCase(target, formData) {
 	try {
-		console.log("📝 Updating FAC case:", facCaseId);
+		console.log("📝 Updating FAC case:", target?.id ?? target);
 
-		// Build updated case payload
 		const casePayload = buildFacCasePayload(formData);
+		const familyMembers = formData.familyInformation?.members || [];
 
-		// Update main fac_case record
-		const { error: updateError } = await supabase
-			.from("fac_case")
-			.update(casePayload)
-			.eq("id", facCaseId);
+		const {
+			caseId: facCaseId,
+			queued,
+			error,
+		} = await facRepository.updateRecord(target, {
+			casePayload,
+			familyMembers: buildFamilyMemberRows(familyMembers, null),
+		});
+
+		if (error) {
+			console.error("❌ Error updating fac_case:", error);
+			return { success: false, queued: false, error };
+		}
 
-		if (updateError) {
-			console.error("❌ Error updating fac_case:", updateError);
-			return { success: false, error: updateError };
+		if (queued) {
+			console.log("📦 FAC case update queued for sync");
+			return { success: true, queued: true, error: null };
 		}
 
 		console.log("✅ Updated fac_case:", facCaseId);
@@ -365,47 +371,34 @@ export async function updateFacCase(facCaseId, formData) {
 			severity: "info",
 		});
 
-		// Handle family members: delete existing and insert new ones
-		// This is a simple strategy - delete all and re-insert
-		const { error: deleteError } = await supabase
-			.from("fac_family_member")
-			.delete()
-			.eq("fac_case_id", facCaseId);
-
-		if (deleteError) {
-			console.error("❌ Error deleting old family members:", deleteError);
-			return { success: false, error: deleteError };
-		}
-
-		// Insert updated family members
-		const familyMembers = formData.familyInformation?.members || [];
-		if (familyMembers.length > 0) {
-			const memberRows = buildFamilyMemberRows(familyMembers, facCaseId);
-
-			const { error: memberError } = await supabase
-				.from("fac_family_member")
-				.insert(memberRows);
-
-			if (memberError) {
-				console.error(
-					"❌ Error inserting updated family members:",
-					memberError,
-				);
-				return { success: false, error: memberError };
-			}
-
-			console.log(`✅ Updated ${memberRows.length} family members`);
-		}
-
-		return { success: true, error: null };
+		return { success: true, queued: false, error: null };
 	} catch (err) {
 		console.error("❌ Unexpected error in updateFacCase:", err);
-		return { success: false, error: err };
+		return { success: false, queued: false, error: err };
+	}
+}
+
+/**
+ * Read a FAC case and its family rows from the offline snapshot.
+ * @param {string} facCaseId
+ * @returns {Promise<{data: {case: any, members: any[]}|null, error: any}>}
+ */
+async function fetchCachedFacCase(facCaseId) {
+	const cached = await facRepository.getLocalRecord(facCaseId);
+	if (!cached) {
+		return {
+			data: null,
+			error: new Error("This FAC case is not available offline."),
+		};
 	}
+	const { fac_family_member: members = [], ...caseData } = cached;
+	return { data: { case: caseData, members }, error: null };
 }
 
 /**
  * Fetch a single FAC case with all related family members.
+ *
+ * Falls back to the offline snapshot when Supabase cannot be reached.
  * @param {string} facCaseId UUID of the `fac_case` to fetch.
  * @returns {Promise<{data: {case: any, members: any[]}|null, error: any}>}
  */
@@ -421,6 +414,7 @@ export async function fetchFacCase(facCaseId) {
 			.single();
 
 		if (caseError) {
+			if (isNetworkError(caseError)) return fetchCachedFacCase(facCaseId);
 			console.error("❌ Error fetching fac_case:", caseError);
 			return { data: null, error: caseError };
 		}
@@ -506,6 +500,7 @@ export function mapDbToFormData(caseData, members = []) {
 				educationalAttainment: m.educational_attainment || "",
 				occupation: m.occupation || "",
 				remarks: m.remarks || "",
+				householdMemberId: m.household_member_id || "",
 			})),
 		},
 		vulnerableMembers: {
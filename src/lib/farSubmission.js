@@ -4,11 +4,14 @@
  * Responsibilities:
  * - Normalize intake-store state into a Supabase `far_case` payload.
  * - Handle "other" values for emergency/assistance fields.
- * - Provide create/update operations and write an audit log for each.
+ * - Check a payload for the required FAR fields (`validateFARPayload`, also
+ *   used by the Excel import).
+ * - Provide create/update operations (through `farRepository`, queued locally when
+ *   offline) and write an audit log for each write that reaches Supabase.
  */
 
-import supabase from "../../config/supabase";
 import { createAuditLog, AUDIT_ACTIONS, AUDIT_CATEGORIES } from "./auditLog";
+import { farRepository } from "@/services/caseRepositories";
 
 /**
  * @typedef {Object} FarCaseDetails
@@ -39,6 +42,7 @@ import { createAuditLog, AUDIT_ACTIONS, AUDIT_CATEGORIES } from "./auditLog";
  * @property {string|number} [quantity]
  * @property {string|number} [cost]
  * @property {string} [provider]
+ * @property {string|null} [clientId] Existing registry client picked at intake.
  */
 
 /**
@@ -63,6 +67,7 @@ import { createAuditLog, AUDIT_ACTIONS, AUDIT_CATEGORIES } from "./auditLog";
  * @property {string|number|null} quantity
  * @property {string|number|null} cost
  * @property {string|null} provider
+ * @property {string} [client_id] Only present when a client was picked.
  */
 
 /**
@@ -159,6 +164,9 @@ function buildFARCasePayload(data) {
 		cost: pick(farData, "cost") ?? null,
 		provider: pick(farData, "provider") ?? null,
 	};
+	// Without a linked client the database matches or registers one on insert.
+	const clientId = pick(farData, "clientId", "client_id");
+	if (clientId) payload.client_id = clientId;
 
 	// Remove null/undefined values from optional case management fields to avoid CHECK constraint violations
 	// Only include them if they have valid values
@@ -178,10 +186,38 @@ function buildFARCasePayload(data) {
 	return payload;
 }
 
+/** Payload fields a FAR record cannot be saved without. */
+const FAR_REQUIRED_FIELDS = [
+	"date",
+	"receiving_member",
+	"emergency",
+	"assistance",
+	"unit",
+	"quantity",
+	"cost",
+	"provider",
+];
+
+/**
+ * Check a built FAR payload for missing required fields.
+ * @param {FarCasePayload} payload Output of `buildFARCasePayload`.
+ * @returns {{ valid: boolean, errors: string[], missingFields: string[] }}
+ */
+export function validateFARPayload(payload) {
+	const missingFields = FAR_REQUIRED_FIELDS.filter((field) => !payload[field]);
+	return {
+		valid: missingFields.length === 0,
+		errors: missingFields.length
+			? [`Missing required fields: ${missingFields.join(", ")}`]
+			: [],
+		missingFields,
+	};
+}
+
 /**
- * Submit a FAR record to Supabase.
+ * Submit a FAR record to Supabase (queued locally when offline).
  * @param {FarIntakeStoreData} finalData Complete intake form data from `getAllData()`.
- * @returns {Promise<{caseId: string|null, error: any}>}
+ * @returns {Promise<{caseId: string|null, queued: boolean, error: any}>}
  *
  * @example
  * const { caseId, error } = await submitFARCase(getAllData());
@@ -193,42 +229,32 @@ export async function submitFARCase(finalData) {
 		const payload = buildFARCasePayload(finalData);
 
 		// Validate required fields
-		const requiredFields = [
-			"date",
-			"receiving_member",
-			"emergency",
-			"assistance",
-			"unit",
-			"quantity",
-			"cost",
-			"provider",
-		];
-		const missingFields = requiredFields.filter((field) => !payload[field]);
-
-		if (missingFields.length > 0) {
+		const { valid, errors, missingFields } = validateFARPayload(payload);
+
+		if (!valid) {
 			console.error("❌ Missing required fields:", missingFields);
 			return {
 				caseId: null,
-				error: new Error(
-					`Missing required fields: ${missingFields.join(", ")}`,
-				),
+				queued: false,
+				error: new Error(errors[0]),
 			};
 		}
 
-		// Insert into Supabase
 		console.log("🚀 Submitting FAR case to Supabase...");
-		const { data: inserted, error } = await supabase
-			.from("far_case")
-			.insert([payload])
-			.select()
-			.single();
+		const { caseId, queued, error } = await farRepository.createRecord({
+			casePayload: payload,
+		});
 
 		if (error) {
 			console.error("❌ FAR case insertion error:", error);
-			return { caseId: null, error };
+			return { caseId: null, queued: false, error };
+		}
+
+		if (queued) {
+			console.log("📦 FAR case queued for sync");
+			return { caseId: null, queued: true, error: null };
 		}
 
-		const caseId = inserted?.id;
 		console.log("✅ FAR case created successfully:", caseId);
 
 		// Create audit log for FAR case creation
@@ -247,37 +273,40 @@ export async function submitFARCase(finalData) {
 			severity: "info",
 		});
 
-		return { caseId, error: null };
+		return { caseId, queued: false, error: null };
 	} catch (err) {
 		console.error("❌ Unexpected error in submitFARCase:", err);
-		return { caseId: null, error: err };
+		return { caseId: null, queued: false, error: err };
 	}
 }
 
 /**
  * Update an existing FAR case.
- * @param {string} caseId UUID of the case to update.
+ * @param {string|{id?: string|null, localId?: number|null}} target FAR case id or table row.
  * @param {FarIntakeStoreData} finalData Updated form data.
- * @returns {Promise<{success: boolean, error: any}>}
+ * @returns {Promise<{success: boolean, queued: boolean, error: any}>}
  */
-export async function updateFARCase(caseId, finalData) {
+export async function updateFARCase(target, finalData) {
 	try {
 		const payload = buildFARCasePayload(finalData);
 
-		console.log("🔄 Updating FAR case:", caseId);
-		const { data, error } = await supabase
-			.from("far_case")
-			.update(payload)
-			.eq("id", caseId)
-			.select()
-			.single();
+		console.log("🔄 Updating FAR case:", target?.id ?? target);
+		const { caseId, queued, error } = await farRepository.updateRecord(
+			target,
+			{ casePayload: payload },
+		);
 
 		if (error) {
 			console.error("❌ FAR case update error:", error);
-			return { success: false, error };
+			return { success: false, queued: false, error };
+		}
+
+		if (queued) {
+			console.log("📦 FAR case update queued for sync");
+			return { success: true, queued: true, error: null };
 		}
 
-		console.log("✅ FAR case updated successfully:", data);
+		console.log("✅ FAR case updated successfully:", caseId);
 
 		// Create audit log for FAR case update
 		await createAuditLog({
@@ -294,10 +323,10 @@ export async function updateFARCase(caseId, finalData) {
 			severity: "info",
 		});
 
-		return { success: true, error: null };
+		return { success: true, queued: false, error: null };
 	} catch (err) {
 		console.error("❌ Unexpected error in updateFARCase:", err);
-		return { success: false, error: err };
+		return { success: false, queued: false, error: err };
 	}
 }
 
@@ -6,10 +6,16 @@
  * - Map form state to the Supabase `ivac_cases` table shape.
  * - Provide CRUD helpers (create/update/fetch/list/delete) with audit logging.
  * - Provide a small statistics helper to derive aggregates from stored records.
+ *
+ * Notes:
+ * - Create/update/fetch/delete go through `ivacRepository`, so they keep working
+ *   offline; list and statistics helpers are online-only reports.
  */
 
 import supabase from "@/../config/supabase";
 import { createAuditLog, AUDIT_ACTIONS, AUDIT_CATEGORIES } from "./auditLog";
+import { ivacRepository } from "@/services/caseRepositories";
+import { isNetworkError } from "@/services/offlineCaseRepository";
 
 /**
  * @typedef {Object} IvacBarangayRecord
@@ -237,9 +243,9 @@ export function buildIVACCasePayload(formData = {}) {
 }
 
 /**
- * Submit a new IVAC case to Supabase.
+ * Submit a new IVAC case to Supabase (queued locally when offline).
  * @param {IvacFormData} formData Complete form data from the intake store.
- * @returns {Promise<{caseId: string|null, error: Error|null}>}
+ * @returns {Promise<{caseId: string|null, queued: boolean, error: Error|null}>}
  */
 export async function submitIVACCase(formData) {
 	try {
@@ -252,7 +258,7 @@ export async function submitIVACCase(formData) {
 				`Validation failed: ${validation.errors.join(", ")}`,
 			);
 			console.error("❌ Validation errors:", validation.errors);
-			return { caseId: null, error };
+			return { caseId: null, queued: false, error };
 		}
 
 		const insertData = buildIVACCasePayload(formData);
@@ -262,27 +268,21 @@ export async function submitIVACCase(formData) {
 			records: `${insertData.records.length} records`,
 		});
 
-		// Insert into ivac_cases table
-		const { data, error } = await supabase
-			.from("ivac_cases")
-			.insert([insertData])
-			.select()
-			.single();
+		const { caseId, queued, error } = await ivacRepository.createRecord({
+			casePayload: insertData,
+		});
 
 		if (error) {
 			console.error("❌ Supabase error:", error);
-			return { caseId: null, error };
+			return { caseId: null, queued: false, error };
 		}
 
-		if (!data || !data.id) {
-			const noDataError = new Error(
-				"No data returned from Supabase after insert",
-			);
-			console.error("❌", noDataError.message);
-			return { caseId: null, error: noDataError };
+		if (queued) {
+			console.log("📦 IVAC case queued for sync");
+			return { caseId: null, queued: true, error: null };
 		}
 
-		console.log("✅ IVAC case created successfully:", data.id);
+		console.log("✅ IVAC case created successfully:", caseId);
 
 		// Create audit log for IVAC case creation
 		await createAuditLog({
@@ -290,7 +290,7 @@ export async function submitIVACCase(formData) {
 			actionCategory: AUDIT_CATEGORIES.CASE,
 			description: `Created new IVAC (Incidence on VAC) case for ${insertData.name_of_vac || "N/A"}`,
 			resourceType: "ivac_cases",
-			resourceId: data.id,
+			resourceId: caseId,
 			metadata: {
 				caseType: "IVAC",
 				vacName: insertData.name_of_vac,
@@ -300,25 +300,25 @@ export async function submitIVACCase(formData) {
 			severity: "info",
 		});
 
-		return { caseId: data.id, error: null };
+		return { caseId, queued: false, error: null };
 	} catch (err) {
 		console.error("❌ Unexpected error in submitIVACCase:", err);
-		return { caseId: null, error: err };
+		return { caseId: null, queued: false, error: err };
 	}
 }
 
 /**
- * Update an existing IVAC case in Supabase.
- * @param {string} caseId The ID of the case to update.
+ * Update an existing IVAC case in Supabase (queued locally when offline).
+ * @param {string|{id?: string|null, localId?: number|null}} target Case id or table row.
  * @param {IvacFormData} formData Complete form data from the intake store.
- * @returns {Promise<{success: boolean, error: Error|null}>}
+ * @returns {Promise<{success: boolean, queued: boolean, error: Error|null}>}
  */
-export async function updateIVACCase(caseId, formData) {
+export async function updateIVACCase(target, formData) {
 	try {
-		if (!caseId) {
+		if (!target) {
 			const error = new Error("Case ID is required for update");
 			console.error("❌", error.message);
-			return { success: false, error };
+			return { success: false, queued: false, error };
 		}
 
 		console.log("📋 Validating IVAC case data for update...");
@@ -330,35 +330,29 @@ export async function updateIVACCase(caseId, formData) {
 				`Validation failed: ${validation.errors.join(", ")}`,
 			);
 			console.error("❌ Validation errors:", validation.errors);
-			return { success: false, error };
+			return { success: false, queued: false, error };
 		}
 
 		const updateData = buildIVACCasePayload(formData);
 
-		console.log("📤 Updating IVAC case:", caseId, {
+		console.log("📤 Updating IVAC case:", target?.id ?? target, {
 			...updateData,
 			records: `${updateData.records.length} records`,
 		});
 
-		// Update the ivac_cases table
-		const { data, error } = await supabase
-			.from("ivac_cases")
-			.update(updateData)
-			.eq("id", caseId)
-			.select()
-			.single();
+		const { caseId, queued, error } = await ivacRepository.updateRecord(
+			target,
+			{ casePayload: updateData },
+		);
 
 		if (error) {
 			console.error("❌ Supabase update error:", error);
-			return { success: false, error };
+			return { success: false, queued: false, error };
 		}
 
-		if (!data) {
-			const noDataError = new Error(
-				"No data returned from Supabase after update",
-			);
-			console.error("❌", noDataError.message);
-			return { success: false, error: noDataError };
+		if (queued) {
+			console.log("📦 IVAC case update queued for sync");
+			return { success: true, queued: true, error: null };
 		}
 
 		console.log("✅ IVAC case updated successfully:", caseId);
@@ -378,15 +372,16 @@ export async function updateIVACCase(caseId, formData) {
 			severity: "info",
 		});
 
-		return { success: true, error: null };
+		return { success: true, queued: false, error: null };
 	} catch (err) {
 		console.error("❌ Unexpected error in updateIVACCase:", err);
-		return { success: false, error: err };
+		return { success: false, queued: false, error: err };
 	}
 }
 
 /**
- * Fetch a single IVAC case by ID.
+ * Fetch a single IVAC case by ID, falling back to the offline snapshot when
+ * Supabase cannot be reached.
  * @param {string} caseId The ID of the case to fetch.
  * @returns {Promise<{data: IvacCaseRow|null, error: Error|null}>}
  */
@@ -407,6 +402,10 @@ export async function fetchIVACCase(caseId) {
 			.single();
 
 		if (error) {
+			if (isNetworkError(error)) {
+				const cached = await ivacRepository.getLocalRecord(caseId);
+				if (cached) return { data: cached, error: null };
+			}
 			console.error("❌ Supabase fetch error:", error);
 			return { data: null, error };
 		}
@@ -522,73 +521,71 @@ export async function fetchAllIVACCases(filters = {}) {
 }
 
 /**
- * Delete an IVAC case by ID.
- * @param {string} caseId The ID of the case to delete.
- * @returns {Promise<{success: boolean, error: Error|null}>}
+ * Delete an IVAC case (queued locally when offline).
+ * @param {string|{id?: string|null, localId?: number|null}} target Case id or table row.
+ * @returns {Promise<{success: boolean, queued: boolean, error: Error|null}>}
  */
-export async function deleteIVACCase(caseId) {
+export async function deleteIVACCase(target) {
 	try {
-		if (!caseId) {
+		if (!target) {
 			const error = new Error("Case ID is required for deletion");
 			console.error("❌", error.message);
-			return { success: false, error };
+			return { success: false, queued: false, error };
 		}
 
-		console.log("🗑️ Deleting IVAC case:", caseId);
+		console.log("🗑️ Deleting IVAC case:", target?.id ?? target);
 
-		const { error } = await supabase
-			.from("ivac_cases")
-			.delete()
-			.eq("id", caseId);
+		const { queued, error } = await ivacRepository.deleteRecord(target);
 
 		if (error) {
 			console.error("❌ Supabase delete error:", error);
-			return { success: false, error };
+			return { success: false, queued: false, error };
 		}
 
-		console.log("✅ IVAC case deleted successfully:", caseId);
-		return { success: true, error: null };
+		console.log(
+			queued
+				? "📦 IVAC case delete queued for sync"
+				: "✅ IVAC case deleted successfully",
+		);
+		return { success: true, queued, error: null };
 	} catch (err) {
 		console.error("❌ Unexpected error in deleteIVACCase:", err);
-		return { success: false, error: err };
+		return { success: false, queued: false, error: err };
 	}
 }
 
 /**
  * Bulk delete IVAC cases.
+ *
+ * Each case goes through `deleteIVACCase` so queued deletes keep their order.
  * @param {string[]} caseIds Array of case IDs to delete.
- * @returns {Promise<{success: boolean, deletedCount: number, error: Error|null}>}
+ * @returns {Promise<{success: boolean, deletedCount: number, queuedCount: number, error: Error|null}>}
  */
 export async function bulkDeleteIVACCases(caseIds) {
-	try {
-		if (!caseIds || !Array.isArray(caseIds) || caseIds.length === 0) {
-			const error = new Error(
-				"Case IDs array is required for bulk deletion",
-			);
-			console.error("❌", error.message);
-			return { success: false, deletedCount: 0, error };
-		}
-
-		console.log(`🗑️ Bulk deleting ${caseIds.length} IVAC cases`);
+	if (!caseIds || !Array.isArray(caseIds) || caseIds.length === 0) {
+		const error = new Error("Case IDs array is required for bulk deletion");
+		console.error("❌", error.message);
+		return { success: false, deletedCount: 0, queuedCount: 0, error };
+	}
 
-		const { data, error } = await supabase
-			.from("ivac_cases")
-			.delete()
-			.in("id", caseIds)
-			.select();
+	console.log(`🗑️ Bulk deleting ${caseIds.length} IVAC cases`);
 
+	let deletedCount = 0;
+	let queuedCount = 0;
+	for (const caseId of caseIds) {
+		const { queued, error } = await deleteIVACCase(caseId);
 		if (error) {
-			console.error("❌ Supabase bulk delete error:", error);
-			return { success: false, deletedCount: 0, error };
+			console.error("❌ Bulk delete stopped:", error);
+			return { success: false, deletedCount, queuedCount, error };
 		}
-
-		const deletedCount = data?.length || 0;
-		console.log(`✅ Bulk deleted ${deletedCount} IVAC cases`);
-		return { success: true, deletedCount, error: null };
-	} catch (err) {
-		console.error("❌ Unexpected error in bulkDeleteIVACCases:", err);
-		return { success: false, deletedCount: 0, error: err };
+		if (queued) queuedCount += 1;
+		else deletedCount += 1;
 	}
+
+	console.log(
+		`✅ Bulk deleted ${deletedCount} IVAC cases (${queuedCount} queued)`,
+	);
+	return { success: true, deletedCount, queuedCount, error: null };
 }
 
 /**
@@ -0,0 +1,174 @@
+/**
+ * WebCrypto helpers for data kept on this device.
+ *
+ * Responsibilities:
+ * - Derive AES-GCM keys from a secret (PIN or password) with PBKDF2.
+ * - Seal / open JSON values with those keys, and raw bytes for file blobs.
+ * - Generate, export and import raw data keys (wrapped by the derived keys).
+ *
+ * Notes:
+ * - Derived keys are non-extractable; callers keep them in memory only.
+ * - Opening with the wrong key rejects (AES-GCM authentication), which callers use
+ *   to detect a wrong PIN without storing a PIN hash.
+ */
+
+/** OWASP-recommended PBKDF2-SHA256 work factor (2023). */
+export const PBKDF2_ITERATIONS = 310000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * @typedef {Object} SealedValue
+ * @property {string} iv Base64 AES-GCM nonce.
+ * @property {string} ciphertext Base64 ciphertext + tag.
+ */
+
+export function toBase64(bytes) {
+	const view = new Uint8Array(bytes);
+	let binary = "";
+	// Chunked so large payloads do not exceed the argument limit of fromCharCode.
+	for (let offset = 0; offset < view.length; offset += 0x8000) {
+		binary += String.fromCharCode(
+			...view.subarray(offset, offset + 0x8000),
+		);
+	}
+	return btoa(binary);
+}
+
+export const fromBase64 = (text) =>
+	Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export const randomBytes = (length) =>
+	crypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * Derive an AES-GCM key from a user secret.
+ *
+ * @param {string} secret PIN or password.
+ * @param {Uint8Array|string} salt Raw bytes or base64.
+ * @param {number} [iterations]
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(secret, salt, iterations = PBKDF2_ITERATIONS) {
+	const material = await crypto.subtle.importKey(
+		"raw",
+		encoder.encode(secret),
+		"PBKDF2",
+		false,
+		["deriveKey"],
+	);
+	return crypto.subtle.deriveKey(
+		{
+			name: "PBKDF2",
+			salt: typeof salt === "string" ? fromBase64(salt) : salt,
+			iterations,
+			hash: "SHA-256",
+		},
+		material,
+		{ name: "AES-GCM", length: 256 },
+		false,
+		["encrypt", "decrypt"],
+	);
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {any} value JSON-serializable value.
+ * @returns {Promise<SealedValue>}
+ */
+export async function sealJson(key, value) {
+	const iv = randomBytes(12);
+	const ciphertext = await crypto.subtle.encrypt(
+		{ name: "AES-GCM", iv },
+		key,
+		encoder.encode(JSON.stringify(value)),
+	);
+	return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {SealedValue} sealed
+ * @returns {Promise<any>} Rejects when the key is wrong or the data was altered.
+ */
+export async function openJson(key, sealed) {
+	const plaintext = await crypto.subtle.decrypt(
+		{ name: "AES-GCM", iv: fromBase64(sealed.iv) },
+		key,
+		fromBase64(sealed.ciphertext),
+	);
+	return JSON.parse(decoder.decode(plaintext));
+}
+
+/**
+ * @typedef {Object} SealedBytes
+ * @property {string} iv Base64 AES-GCM nonce.
+ * @property {ArrayBuffer} ciphertext Ciphertext + tag, kept binary for IndexedDB.
+ */
+
+/**
+ * @param {CryptoKey} key
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {Promise<SealedBytes>}
+ */
+export async function sealBytes(key, bytes) {
+	const iv = randomBytes(12);
+	const ciphertext = await crypto.subtle.encrypt(
+		{ name: "AES-GCM", iv },
+		key,
+		bytes,
+	);
+	return { iv: toBase64(iv), ciphertext };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {SealedBytes} sealed
+ * @returns {Promise<ArrayBuffer>} Rejects when the key is wrong or the data was altered.
+ */
+export function openBytes(key, sealed) {
+	return crypto.subtle.decrypt(
+		{ name: "AES-GCM", iv: fromBase64(sealed.iv) },
+		key,
+		sealed.ciphertext,
+	);
+}
+
+/**
+ * Random AES-GCM key for data at rest. Extractable so it can be wrapped.
+ * @returns {Promise<CryptoKey>}
+ */
+export function generateDataKey() {
+	return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, [
+		"encrypt",
+		"decrypt",
+	]);
+}
+
+/**
+ * @param {CryptoKey} key Extractable key.
+ * @returns {Promise<string>} Base64 raw key bytes.
+ */
+export async function exportRawKey(key) {
+	return toBase64(await crypto.subtle.exportKey("raw", key));
+}
+
+/**
+ * @param {string} raw Base64 raw key bytes.
+ * @param {boolean} [extractable]
+ * @returns {Promise<CryptoKey>}
+ */
+export function importRawKey(raw, extractable = false) {
+	return crypto.subtle.importKey(
+		"raw",
+		fromBase64(raw),
+		{ name: "AES-GCM" },
+		extractable,
+		["encrypt", "decrypt"],
+	);
+}
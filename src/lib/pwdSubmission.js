@@ -54,6 +54,7 @@
  * @property {string} [encoder]
  * @property {string} [reporting_unit]
  * @property {string} [control_no]
+ * @property {string|null} [client_id] Existing client picked at intake.
  */
 
 /**
@@ -106,6 +107,7 @@
  * @property {string|null} encoder
  * @property {string|null} reporting_unit
  * @property {string|null} control_no
+ * @property {string} [client_id] Only present when a client was picked.
  */
 
 /**
@@ -180,5 +182,6 @@ export function buildPWDCasePayload(formState = {}) {
 		encoder: formState.encoder || null,
 		reporting_unit: formState.reporting_unit || null,
 		control_no: formState.control_no || null,
+		...(formState.client_id ? { client_id: formState.client_id } : {}),
 	};
 }
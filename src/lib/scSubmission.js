@@ -61,6 +61,7 @@
  * @property {string} [interviewer]
  * @property {string|Date|null} [date_of_interview]
  * @property {string} [place_of_interview]
+ * @property {string|null} [client_id] Existing client picked at intake.
  */
 
 /**
@@ -120,6 +121,7 @@
  * @property {string|null} interviewer
  * @property {string|null} date_of_interview
  * @property {string|null} place_of_interview
+ * @property {string} [client_id] Only present when a client was picked.
  */
 
 /**
@@ -238,5 +240,6 @@ export function buildSCCasePayload(formState = {}) {
 		interviewer: formState.interviewer || null,
 		date_of_interview: normalizeDate(formState.date_of_interview),
 		place_of_interview: formState.place_of_interview || null,
+		...(formState.client_id ? { client_id: formState.client_id } : {}),
 	};
 }
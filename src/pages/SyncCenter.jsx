@@ -0,0 +1,413 @@
+/**
+ * Sync Center.
+ *
+ * Lists every operation waiting in an offline `*_queue` table (cases, programs,
+ * enrollments, service delivery, partners, inventory, resource requests) so staff
+ * can see what is still stuck locally before closing the laptop.
+ *
+ * Data sources:
+ * - Uses `useSyncCenter()` for the live queue list and retry/discard/export actions.
+ * - Conflicted case updates open the shared `ResolveConflictsDialog`.
+ * - Users with `manage_system_settings` also get the offline retention setting.
+ */
+
+import { useMemo, useState } from "react";
+import { format, formatDistanceToNow } from "date-fns";
+import {
+	Card,
+	CardContent,
+	CardDescription,
+	CardHeader,
+	CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from "@/components/ui/table";
+import {
+	AlertDialog,
+	AlertDialogAction,
+	AlertDialogCancel,
+	AlertDialogContent,
+	AlertDialogDescription,
+	AlertDialogFooter,
+	AlertDialogHeader,
+	AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { CloudUpload, Download, RefreshCw, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import ResolveConflictsDialog from "@/components/cases/ResolveConflictsDialog";
+import PermissionGuard from "@/components/PermissionGuard";
+import { OfflineRetentionCard } from "@/components/offline-retention-card";
+import { useSyncCenter } from "@/hooks/useSyncCenter";
+
+const OPERATION_VARIANTS = {
+	create: "default",
+	update: "secondary",
+	delete: "destructive",
+};
+
+/**
+ * Sync Center page.
+ * @returns {JSX.Element}
+ */
+export default function SyncCenter() {
+	const {
+		operations,
+		loading,
+		error,
+		offline,
+		retryingAll,
+		busyKey,
+		retry,
+		retryAll,
+		discard,
+		buildExport,
+	} = useSyncCenter();
+
+	const [pendingDiscard, setPendingDiscard] = useState(null);
+	const [conflictsOpen, setConflictsOpen] = useState(false);
+
+	const failedCount = useMemo(
+		() => operations.filter((operation) => operation.lastError).length,
+		[operations],
+	);
+
+	const handleRetry = async (operation) => {
+		const result = await retry(operation);
+		if (result.success) {
+			toast.success(`${operation.label} change synced`);
+		} else {
+			toast.error(`${operation.label} change did not sync`, {
+				description: result.error?.message || String(result.error),
+			});
+		}
+	};
+
+	const handleRetryAll = async () => {
+		const { synced, failures } = await retryAll();
+		if (failures.length) {
+			toast.warning(
+				`${synced} change${synced === 1 ? "" : "s"} synced; some queues are still blocked`,
+				{
+					description: failures
+						.map(
+							({ label, error: err }) =>
+								`${label}: ${err?.message || err}`,
+						)
+						.join("\n"),
+				},
+			);
+		} else {
+			toast.success(
+				synced
+					? `${synced} change${synced === 1 ? "" : "s"} synced`
+					: "Nothing to sync",
+			);
+		}
+	};
+
+	const handleConfirmDiscard = async () => {
+		if (!pendingDiscard) return;
+		const operation = pendingDiscard;
+		setPendingDiscard(null);
+
+		const result = await discard(operation);
+		if (result.success) {
+			toast.success(
+				result.discarded > 1
+					? `Discarded ${result.discarded} queued changes`
+					: "Queued change discarded",
+			);
+		} else {
+			toast.error("Failed to discard queued change", {
+				description: result.error?.message,
+			});
+		}
+	};
+
+	const handleExport = async () => {
+		try {
+			const dump = await buildExport();
+			const blob = new Blob([JSON.stringify(dump, null, 2)], {
+				type: "application/json;charset=utf-8;",
+			});
+			const link = document.createElement("a");
+			const url = URL.createObjectURL(blob);
+			link.setAttribute("href", url);
+			link.setAttribute(
+				"download",
+				`sync_queue_${format(new Date(), "yyyyMMdd_HHmmss")}.json`,
+			);
+			link.style.visibility = "hidden";
+			document.body.appendChild(link);
+			link.click();
+			document.body.removeChild(link);
+			URL.revokeObjectURL(url);
+
+			toast.success("Sync queue exported");
+		} catch (err) {
+			console.error("Error exporting sync queue:", err);
+			toast.error("Failed to export sync queue", {
+				description: err?.message,
+			});
+		}
+	};
+
+	return (
+		<div className="flex-1 space-y-4 p-4 pt-6 md:p-8">
+			<div className="flex flex-wrap items-start justify-between gap-4">
+				<div>
+					<h2 className="text-3xl font-bold tracking-tight">
+						Sync Center
+					</h2>
+					<p className="text-muted-foreground">
+						Changes saved on this device that have not reached the
+						server yet.
+					</p>
+				</div>
+				<div className="flex gap-2">
+					<Button
+						variant="outline"
+						onClick={handleExport}
+						disabled={!operations.length}
+					>
+						<Download className="mr-2 h-4 w-4" />
+						Export JSON
+					</Button>
+					<Button
+						onClick={handleRetryAll}
+						disabled={offline || retryingAll || !operations.length}
+					>
+						<RefreshCw
+							className={`mr-2 h-4 w-4 ${retryingAll ? "animate-spin" : ""}`}
+						/>
+						{retryingAll ? "Syncing..." : "Retry all"}
+					</Button>
+				</div>
+			</div>
+
+			<Card>
+				<CardHeader>
+					<CardTitle className="flex items-center gap-2">
+						<CloudUpload className="h-5 w-5" />
+						Pending operations
+					</CardTitle>
+					<CardDescription>
+						{operations.length
+							? `${operations.length} queued, ${failedCount} with errors.`
+							: "Everything on this device has been synced."}
+						{offline
+							? " You're offline; retries resume when the connection returns."
+							: ""}
+					</CardDescription>
+				</CardHeader>
+				<CardContent>
+					{error ? (
+						<div className="text-sm text-red-600">
+							Failed to read the offline queues.
+						</div>
+					) : loading ? (
+						<div className="text-sm text-muted-foreground">
+							Loading queues...
+						</div>
+					) : !operations.length ? (
+						<div className="py-8 text-center text-sm text-muted-foreground">
+							No pending changes.
+						</div>
+					) : (
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead>Module</TableHead>
+									<TableHead>Operation</TableHead>
+									<TableHead>Target</TableHead>
+									<TableHead>Age</TableHead>
+									<TableHead>Last error</TableHead>
+									<TableHead className="text-right">
+										Actions
+									</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{operations.map((operation) => {
+									const rowKey = `${operation.queueKey}:${operation.queueId}`;
+									const busy = busyKey === rowKey;
+									return (
+										<TableRow key={rowKey}>
+											<TableCell>
+												<div className="font-medium">
+													{operation.label}
+												</div>
+												<div className="text-xs text-muted-foreground">
+													{operation.module}
+												</div>
+											</TableCell>
+											<TableCell>
+												<Badge
+													variant={
+														OPERATION_VARIANTS[
+															operation
+																.operationType
+														] ?? "outline"
+													}
+													className="capitalize"
+												>
+													{operation.operationType}
+												</Badge>
+											</TableCell>
+											<TableCell>
+												<div>
+													{operation.targetLabel}
+												</div>
+												<div className="text-xs text-muted-foreground">
+													{operation.targetId ||
+														"Not yet synced"}
+												</div>
+											</TableCell>
+											<TableCell className="whitespace-nowrap">
+												{operation.createdAt
+													? formatDistanceToNow(
+															operation.createdAt,
+															{ addSuffix: true },
+														)
+													: "—"}
+											</TableCell>
+											<TableCell className="max-w-xs">
+												{operation.conflict ? (
+													<Badge
+														variant="outline"
+														className="border-amber-300 bg-amber-50 text-amber-800"
+													>
+														Conflict
+													</Badge>
+												) : null}
+												<div className="text-xs break-words text-red-600">
+													{operation.lastError || (
+														<span className="text-muted-foreground">
+															—
+														</span>
+													)}
+												</div>
+												{operation.attempts ? (
+													<div className="text-xs text-muted-foreground">
+														{operation.attempts}{" "}
+														attempt
+														{operation.attempts ===
+														1
+															? ""
+															: "s"}
+													</div>
+												) : null}
+											</TableCell>
+											<TableCell className="text-right">
+												<div className="flex justify-end gap-2">
+													{operation.conflict ? (
+														<Button
+															size="sm"
+															variant="outline"
+															onClick={() =>
+																setConflictsOpen(
+																	true,
+																)
+															}
+														>
+															Resolve
+														</Button>
+													) : (
+														<Button
+															size="sm"
+															variant="outline"
+															onClick={() =>
+																handleRetry(
+																	operation,
+																)
+															}
+															disabled={
+																offline ||
+																busy ||
+																retryingAll ||
+																!operation.retryable
+															}
+															title={
+																operation.retryable
+																	? undefined
+																	: "This module has no sync handler yet"
+															}
+														>
+															Retry
+														</Button>
+													)}
+													<Button
+														size="sm"
+														variant="ghost"
+														className="text-destructive"
+														onClick={() =>
+															setPendingDiscard(
+																operation,
+															)
+														}
+														disabled={
+															busy || retryingAll
+														}
+													>
+														<Trash2 className="h-4 w-4" />
+													</Button>
+												</div>
+											</TableCell>
+										</TableRow>
+									);
+								})}
+							</TableBody>
+						</Table>
+					)}
+				</CardContent>
+			</Card>
+
+			<PermissionGuard permission="manage_system_settings">
+				<OfflineRetentionCard />
+			</PermissionGuard>
+
+			<AlertDialog
+				open={Boolean(pendingDiscard)}
+				onOpenChange={(open) => {
+					if (!open) setPendingDiscard(null);
+				}}
+			>
+				<AlertDialogContent>
+					<AlertDialogHeader>
+						<AlertDialogTitle>
+							Discard queued change?
+						</AlertDialogTitle>
+						<AlertDialogDescription>
+							{pendingDiscard?.operationType === "create"
+								? `The offline ${pendingDiscard?.label} record "${pendingDiscard?.targetLabel}" and any edits made to it will be removed from this device.`
+								: `This ${pendingDiscard?.operationType} of "${pendingDiscard?.targetLabel}" will never reach the server.`}{" "}
+							This cannot be undone.
+						</AlertDialogDescription>
+					</AlertDialogHeader>
+					<AlertDialogFooter>
+						<AlertDialogCancel>Cancel</AlertDialogCancel>
+						<AlertDialogAction
+							className="bg-destructive text-white hover:bg-destructive/90"
+							onClick={handleConfirmDiscard}
+						>
+							Discard
+						</AlertDialogAction>
+					</AlertDialogFooter>
+				</AlertDialogContent>
+			</AlertDialog>
+
+			<ResolveConflictsDialog
+				open={conflictsOpen}
+				onOpenChange={setConflictsOpen}
+			/>
+		</div>
+	);
+}
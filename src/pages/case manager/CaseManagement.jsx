@@ -2,12 +2,18 @@
  * Case Management page.
  *
  * Responsibilities:
- * - Aggregates case datasets (CASE, CICL/CAR, FAC, FAR, IVAC, SP, FA, PWD, SC) via online hooks.
+ * - Aggregates case datasets (CASE, CICL/CAR, FAC, FAR, IVAC, SP, FA, PWD, SC) via their hooks.
+ * - Surfaces the offline queues of every case type (pending writes, manual sync).
  * - Applies role-based visibility filtering for case managers.
  * - Persists active tab selection in session storage.
+ * - Opens "My drafts" and hands the chosen draft to the data table to resume.
+ * - Opens case transfers and reloads the case types a worker accepts.
+ * - Hands a saved filter view linked from the sidebar (`?view=<id>`) to the
+ *   data table.
  */
 
 import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import { DataTable } from "@/components/cases/data-table";
 import { Card, CardContent } from "@/components/ui/card";
 import { useCases } from "@/hooks/useCases";
@@ -20,6 +26,12 @@ import { useFaCases } from "@/hooks/useFaCases";
 import { usePwdCases } from "@/hooks/usePwdCases";
 import { useScCases } from "@/hooks/useScCases";
 import { useHiddenCases } from "@/hooks/useHiddenCases";
+import { useAuthStore } from "@/store/authStore";
+import ResolveConflictsDialog from "@/components/cases/ResolveConflictsDialog";
+import IntakeDraftsDialog from "@/components/cases/IntakeDraftsDialog";
+import CaseTransfersDialog from "@/components/cases/CaseTransfersDialog";
+import { CASE_TRANSFER_CASE_TYPES } from "@/services/caseTransferService";
+import { Button } from "@/components/ui/button";
 
 /**
  * @typedef {"CASE"|"CICLCAR"|"FAC"|"FAR"|"IVAC"|"SP"|"FA"|"PWD"|"SC"} CaseManagementTabId
@@ -31,13 +43,16 @@ const readStoredTab = () => {
 };
 
 export default function CaseManagement() {
+	const caseState = useCases();
 	const {
 		data: caseRows,
 		loading: casesLoading,
 		error: casesError,
 		reload,
 		deleteCase,
-	} = useCases();
+		offline,
+	} = caseState;
+	const ciclcarState = useCiclcarCases();
 	const {
 		data: ciclcarRows,
 		loading: ciclcarLoading,
@@ -46,58 +61,186 @@ export default function CaseManagement() {
 		deleteCiclcarCase,
 		programEnrollments: ciclcarProgramEnrollments,
 		programEnrollmentsLoading: ciclcarProgramEnrollmentsLoading,
-	} = useCiclcarCases();
+	} = ciclcarState;
+	const farState = useFarCases();
 	const {
 		data: farRows,
 		loading: farLoading,
 		error: farError,
 		reload: reloadFar,
 		deleteFarCase,
-	} = useFarCases();
+	} = farState;
+	const facState = useFacCases();
 	const {
 		data: facRows,
 		loading: facLoading,
 		error: facError,
 		reload: reloadFac,
 		deleteFacCase,
-	} = useFacCases();
+	} = facState;
+	const ivacState = useIvacCases();
 	const {
 		data: ivacRows,
 		loading: ivacLoading,
 		error: ivacError,
 		reload: reloadIvac,
 		deleteIvacCase,
-	} = useIvacCases();
+	} = ivacState;
+	const spState = useSpCases();
 	const {
 		data: spRows,
 		loading: spLoading,
 		error: spError,
 		reload: reloadSp,
 		deleteSpCase,
-	} = useSpCases();
+	} = spState;
+	const faState = useFaCases();
 	const {
 		data: faRows,
 		loading: faLoading,
 		error: faError,
 		reload: reloadFa,
 		deleteFaCase,
-	} = useFaCases();
+	} = faState;
+	const pwdState = usePwdCases();
 	const {
 		data: pwdRows,
 		loading: pwdLoading,
 		error: pwdError,
 		reload: reloadPwd,
 		deletePwdCase,
-	} = usePwdCases();
+	} = pwdState;
+	const scState = useScCases();
 	const {
 		data: scRows,
 		loading: scLoading,
 		error: scError,
 		reload: reloadSc,
 		deleteScCase,
-	} = useScCases();
+	} = scState;
+
+	const { filterVisibleCases, getHiddenCasesForUser } = useHiddenCases();
+	const userId = useAuthStore((s) => s.user?.id);
+	// Server pages leave these out the way `filterVisibleCases` does locally.
+	const hiddenCaseIds = useMemo(
+		() => (userId ? getHiddenCasesForUser(userId) : []),
+		[userId, getHiddenCasesForUser],
+	);
+
+	// Every case type keeps its own offline queue; the banner summarizes them all.
+	const offlineQueues = useMemo(
+		() => [
+			{ label: "CASE", state: caseState },
+			{ label: "CICL/CAR", state: ciclcarState },
+			{ label: "FAR", state: farState },
+			{ label: "FAC", state: facState },
+			{ label: "IVAC", state: ivacState },
+			{ label: "SP", state: spState },
+			{ label: "FA", state: faState },
+			{ label: "PWD", state: pwdState },
+			{ label: "SC", state: scState },
+		],
+		[
+			caseState,
+			ciclcarState,
+			farState,
+			facState,
+			ivacState,
+			spState,
+			faState,
+			pwdState,
+			scState,
+		],
+	);
+	const pendingCount = offlineQueues.reduce(
+		(total, { state }) => total + (state.pendingCount || 0),
+		0,
+	);
+	const syncing = offlineQueues.some(({ state }) => state.syncing);
+	const failedQueue = offlineQueues.find(({ state }) => state.syncError);
+	const conflictCount = offlineQueues.reduce(
+		(total, { state }) => total + (state.conflictCount || 0),
+		0,
+	);
+	const [conflictsOpen, setConflictsOpen] = useState(false);
+	const pendingLabels = offlineQueues
+		.filter(({ state }) => state.pendingCount > 0)
+		.map(({ label }) => label);
+
+	const runAllSyncs = useCallback(async () => {
+		// Queues are independent; replay them one after another to keep load low.
+		for (const { state } of offlineQueues) {
+			if (state.pendingCount > 0) await state.runSync();
+		}
+	}, [offlineQueues]);
+
+	const [draftsOpen, setDraftsOpen] = useState(false);
+
+	// The data table owns the intake sheets; it opens the matching one.
+	const resumeDraft = useCallback((draft) => {
+		setDraftsOpen(false);
+		window.dispatchEvent(
+			new CustomEvent("resume-intake-draft", {
+				detail: { draftId: draft.draftId, caseType: draft.caseType },
+			}),
+		);
+	}, []);
+
+	const [transfersOpen, setTransfersOpen] = useState(false);
+	const [incomingTransfers, setIncomingTransfers] = useState(0);
+
+	const reloadByType = useMemo(
+		() => ({
+			CASE: reload,
+			CICLCAR: reloadCiclcar,
+			FAR: reloadFar,
+			FAC: reloadFac,
+			SP: reloadSp,
+			FA: reloadFa,
+			PWD: reloadPwd,
+			SC: reloadSc,
+		}),
+		[
+			reload,
+			reloadCiclcar,
+			reloadFar,
+			reloadFac,
+			reloadSp,
+			reloadFa,
+			reloadPwd,
+			reloadSc,
+		],
+	);
+	const handleTransferAccepted = useCallback(
+		(caseType) => reloadByType[caseType]?.(),
+		[reloadByType],
+	);
+
+	// Bulk transfers start from whoever is named on a case, including staff
+	// who have since left and no longer appear in the directory.
+	const caseManagerNames = useMemo(() => {
+		const rowsByType = {
+			CASE: caseRows,
+			CICLCAR: ciclcarRows,
+			FAR: farRows,
+			FAC: facRows,
+			SP: spRows,
+			FA: faRows,
+			PWD: pwdRows,
+			SC: scRows,
+		};
+		const names = new Set();
+		for (const caseType of CASE_TRANSFER_CASE_TYPES) {
+			for (const row of rowsByType[caseType] || []) {
+				if (row.case_manager) names.add(row.case_manager);
+			}
+		}
+		return [...names].sort((a, b) => a.localeCompare(b));
+	}, [caseRows, ciclcarRows, farRows, facRows, spRows, faRows, pwdRows, scRows]);
+
+	const [searchParams] = useSearchParams();
+	const linkedViewId = searchParams.get("view");
 
-	const { filterVisibleCases } = useHiddenCases();
 	/** @type {[CaseManagementTabId, (t: CaseManagementTabId) => void]} */
 	const [initialTab, setInitialTab] = useState("CASE");
 
@@ -162,6 +305,23 @@ export default function CaseManagement() {
 					<p className="text-muted-foreground text-[11px]">
 						View and manage all case records and intake forms
 					</p>
+					<Button
+						variant="outline"
+						size="sm"
+						className="mt-2 h-7 text-xs"
+						onClick={() => setDraftsOpen(true)}
+					>
+						My drafts
+					</Button>
+					<Button
+						variant="outline"
+						size="sm"
+						className="mt-2 ml-2 h-7 text-xs"
+						onClick={() => setTransfersOpen(true)}
+					>
+						Transfers
+						{incomingTransfers > 0 ? ` (${incomingTransfers})` : ""}
+					</Button>
 				</div>
 				<div className="hidden sm:block max-w-[520px] text-right text-[11px] leading-snug text-muted-foreground">
 					<p>
@@ -183,6 +343,63 @@ export default function CaseManagement() {
 			<div className="px-4 lg:px-6">
 				<Card>
 					<CardContent className="pt-4">
+						{offline || pendingCount > 0 ? (
+							<div className="mb-3 flex flex-wrap items-center justify-between gap-2 rounded-md border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+								<span>
+									{offline
+										? "You're offline. Showing cached cases; changes are saved locally."
+										: "Some offline changes have not synced yet."}
+									{pendingCount > 0
+										? ` ${pendingCount} pending change${pendingCount === 1 ? "" : "s"} (${pendingLabels.join(", ")}).`
+										: ""}
+									{conflictCount > 0
+										? ` ${conflictCount} conflict${conflictCount === 1 ? "" : "s"} with newer server edits must be resolved before syncing continues.`
+										: failedQueue
+											? ` Last ${failedQueue.label} sync error: ${failedQueue.state.syncError.message || failedQueue.state.syncError}`
+											: ""}
+								</span>
+								<span className="flex gap-3">
+									{conflictCount > 0 ? (
+										<button
+											className="font-medium underline"
+											onClick={() =>
+												setConflictsOpen(true)
+											}
+										>
+											Resolve conflicts
+										</button>
+									) : null}
+									{!offline && pendingCount > 0 ? (
+										<button
+											className="underline disabled:opacity-50"
+											onClick={runAllSyncs}
+											disabled={syncing}
+										>
+											{syncing
+												? "Syncing..."
+												: "Sync now"}
+										</button>
+									) : null}
+								</span>
+							</div>
+						) : null}
+						<ResolveConflictsDialog
+							open={conflictsOpen}
+							onOpenChange={setConflictsOpen}
+							onResolved={runAllSyncs}
+						/>
+						<IntakeDraftsDialog
+							open={draftsOpen}
+							onOpenChange={setDraftsOpen}
+							onResume={resumeDraft}
+						/>
+						<CaseTransfersDialog
+							open={transfersOpen}
+							onOpenChange={setTransfersOpen}
+							managerNames={caseManagerNames}
+							onAccepted={handleTransferAccepted}
+							onIncomingCount={setIncomingTransfers}
+						/>
 						{casesError ? (
 							<div className="text-sm text-red-600">
 								Failed to load cases.{" "}
@@ -288,6 +505,8 @@ export default function CaseManagement() {
 							deleteScCase={deleteScCase}
 							initialTab={initialTab}
 							onTabChange={persistActiveTab}
+							initialViewId={linkedViewId}
+							hiddenCaseIds={hiddenCaseIds}
 							ciclcarProgramEnrollments={
 								ciclcarProgramEnrollments
 							}
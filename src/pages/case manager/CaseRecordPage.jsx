@@ -0,0 +1,27 @@
+/**
+ * Case record page.
+ *
+ * Responsibilities:
+ * - Read the case type and id from the route and render `CaseRecordView`.
+ */
+
+import { useParams } from "react-router-dom";
+import CaseRecordView from "@/components/cases/CaseRecordView";
+
+/**
+ * Single case view at `/case/records/:caseType/:caseId`.
+ * @returns {JSX.Element}
+ */
+export default function CaseRecordPage() {
+	const { caseType, caseId } = useParams();
+
+	return (
+		<div className="flex-1 space-y-4 p-0 md:px-8">
+			<CaseRecordView
+				key={`${caseType}:${caseId}`}
+				caseType={caseType}
+				caseId={caseId}
+			/>
+		</div>
+	);
+}
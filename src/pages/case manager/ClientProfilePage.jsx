@@ -0,0 +1,23 @@
+/**
+ * Client profile page.
+ *
+ * Responsibilities:
+ * - Read the client id from the route and render `ClientProfileView`.
+ */
+
+import { useParams } from "react-router-dom";
+import ClientProfileView from "@/components/clients/ClientProfileView";
+
+/**
+ * Single client view at `/case/clients/:clientId`.
+ * @returns {JSX.Element}
+ */
+export default function ClientProfilePage() {
+	const { clientId } = useParams();
+
+	return (
+		<div className="flex-1 space-y-4 p-0 md:px-8">
+			<ClientProfileView key={clientId} clientId={clientId} />
+		</div>
+	);
+}
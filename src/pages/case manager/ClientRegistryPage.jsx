@@ -0,0 +1,27 @@
+/**
+ * Client registry page.
+ *
+ * Responsibilities:
+ * - Render `ClientRegistryTable`, delegating the UI and data behavior.
+ */
+
+import ClientRegistryTable from "@/components/clients/ClientRegistryTable";
+
+/**
+ * Client master index view.
+ * @returns {JSX.Element}
+ */
+export default function ClientRegistryPage() {
+	return (
+		<div className="flex-1 space-y-4 p-0 md:px-8">
+			<div>
+				<h2 className="text-2xl font-bold tracking-tight">Clients</h2>
+				<p className="text-muted-foreground">
+					Everyone served across case modules, one record per person
+				</p>
+			</div>
+
+			<ClientRegistryTable />
+		</div>
+	);
+}
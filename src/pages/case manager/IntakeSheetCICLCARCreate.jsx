@@ -5,13 +5,15 @@
  * Responsibilities:
  * - Multi-step (tabbed) intake flow backed by `useIntakeFormStore`.
  * - Build a case payload using defensive field mapping to support legacy keys.
- * - Create the case and related family background rows directly in Supabase.
+ * - Create the case and related family background rows through `ciclcarRepository`
+ *   (queued locally when offline).
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
+ * - Autosave the store to "My drafts" and resume a draft passed as `draftId`.
  *
  * Notes:
  * - Case manager options are read from `useCaseManagerStore` and initialized on mount.
  */
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import {
 	Dialog,
 	DialogContent,
@@ -30,7 +32,9 @@ import { ReferralForm } from "@/components/intake sheet CICLCAR/ReferralForm";
 import { useIntakeFormStore } from "@/store/useIntakeFormStore";
 import { useCaseManagerStore } from "@/store/useCaseManagerStore";
 import { toast } from "sonner";
-import supabase from "@/../config/supabase";
+import { ciclcarRepository } from "@/services/caseRepositories";
+import { useIntakeDraft } from "@/hooks/useIntakeDraft";
+import IntakeDraftStatus from "@/components/cases/IntakeDraftStatus";
 
 /**
  * Picks the first non-empty value from `obj` by key.
@@ -104,17 +108,52 @@ const tabOrder = [
  * @property {boolean} open
  * @property {(open: boolean) => void} setOpen
  * @property {() => void} [onSuccess]
+ * @property {number|null} [draftId] Saved draft to resume when the dialog opens.
  */
 
 /**
  * @param {IntakeSheetCiclcarCreateProps} props
  * @returns {JSX.Element}
  */
-export default function IntakeSheetCICLCARCreate({ open, setOpen, onSuccess }) {
+export default function IntakeSheetCICLCARCreate({
+	open,
+	setOpen,
+	onSuccess,
+	draftId = null,
+}) {
 	const [currentTabIndex, setCurrentTabIndex] = useState(0);
 	const [completedTabs, setCompletedTabs] = useState(new Set());
-	const { getAllData, resetAll } = useIntakeFormStore();
+	const { data, getAllData, resetAll, loadAll } = useIntakeFormStore();
 	const [isSaving, setIsSaving] = useState(false);
+	const [restoreCount, setRestoreCount] = useState(0);
+
+	/**
+	 * Loads a saved draft and remounts the forms so they read it.
+	 * @param {import("@/services/intakeDraftService").IntakeDraft} draft
+	 * @returns {void}
+	 */
+	const restoreDraft = useCallback(
+		(draft) => {
+			const step = Math.min(Number(draft.step) || 0, tabOrder.length - 1);
+			loadAll(draft.data);
+			setCurrentTabIndex(step);
+			setCompletedTabs(
+				new Set(Array.from({ length: step }, (_, i) => i)),
+			);
+			setRestoreCount((count) => count + 1);
+		},
+		[loadAll],
+	);
+
+	const { lastSavedAt, clearDraft } = useIntakeDraft({
+		caseType: "CICLCAR",
+		open,
+		draftId,
+		values: data,
+		step: currentTabIndex,
+		label: data.profileOfCICLCar?.name ?? "",
+		onRestore: restoreDraft,
+	});
 
 	// Use cached case managers from store
 	const caseManagers = useCaseManagerStore((state) => state.caseManagers);
@@ -301,52 +340,44 @@ export default function IntakeSheetCICLCARCreate({ open, setOpen, onSuccess }) {
 						"referral_reason",
 					) ?? null,
 			};
+			if (profile.clientId) casePayload.client_id = profile.clientId;
 
 			console.log("💾 Final case payload:", casePayload);
 
-			const { data: insertedCase, error: caseError } = await supabase
-				.from("ciclcar_case")
-				.insert([casePayload])
-				.select("id")
-				.single();
+			const normalizedFamilyRows = familyRows.map((member) => ({
+				name: pick(member, "name") ?? null,
+				relationship: pick(member, "relationship", "relation") ?? null,
+				age: pick(member, "age") ?? null,
+				sex: pick(member, "sex") ?? null,
+				status: pick(member, "status") ?? null,
+				contact_number:
+					pick(member, "contactNumber", "contact_number") ?? null,
+				educational_attainment:
+					pick(
+						member,
+						"educationalAttainment",
+						"educational_attainment",
+					) ?? null,
+				employment: pick(member, "employment", "occupation") ?? null,
+			}));
 
-			if (caseError) throw caseError;
+			const { queued, error: caseError } =
+				await ciclcarRepository.createRecord({
+					casePayload,
+					familyMembers: normalizedFamilyRows,
+				});
 
-			const createdCaseId = insertedCase?.id;
-			if (createdCaseId && familyRows.length > 0) {
-				const normalizedFamilyRows = familyRows.map((member) => ({
-					ciclcar_case_id: createdCaseId,
-					name: pick(member, "name") ?? null,
-					relationship:
-						pick(member, "relationship", "relation") ?? null,
-					age: pick(member, "age") ?? null,
-					sex: pick(member, "sex") ?? null,
-					status: pick(member, "status") ?? null,
-					contact_number:
-						pick(member, "contactNumber", "contact_number") ?? null,
-					educational_attainment:
-						pick(
-							member,
-							"educationalAttainment",
-							"educational_attainment",
-						) ?? null,
-					employment:
-						pick(member, "employment", "occupation") ?? null,
-				}));
-
-				const { error: familyError } = await supabase
-					.from("ciclcar_family_background")
-					.insert(normalizedFamilyRows);
-
-				if (familyError) throw familyError;
-			}
+			if (caseError) throw caseError;
 
 			// Done - close modal and clean up
+			await clearDraft();
 			resetAll();
 			setOpen(false);
 
-			toast.success("Case Saved", {
-				description: "CICL/CAR case was stored successfully.",
+			toast.success(queued ? "Case Saved Offline" : "Case Saved", {
+				description: queued
+					? "CICL/CAR case will sync when you are back online."
+					: "CICL/CAR case was stored successfully.",
 			});
 
 			// Fire-and-forget parent refresh so we can move straight to reload when needed
@@ -444,9 +475,11 @@ export default function IntakeSheetCICLCARCreate({ open, setOpen, onSuccess }) {
 			<DialogContent className="min-w-4/5 min-h-4/5 flex flex-col">
 				<DialogHeader>
 					<DialogTitle>Create CICL/CAR Record</DialogTitle>
+					<IntakeDraftStatus savedAt={lastSavedAt} />
 				</DialogHeader>
 
 				<Tabs
+					key={restoreCount}
 					value={currentTab}
 					onValueChange={(tab) =>
 						setCurrentTabIndex(tabOrder.indexOf(tab))
@@ -495,6 +528,7 @@ export default function IntakeSheetCICLCARCreate({ open, setOpen, onSuccess }) {
 							goNext={goNext}
 							goBack={goBack}
 							isFirstStep={true}
+							matchClients
 						/>
 					</TabsContent>
 
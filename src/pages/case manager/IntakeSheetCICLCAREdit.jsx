@@ -5,7 +5,7 @@
  * Responsibilities:
  * - Hydrate `useIntakeFormStore` from the provided row (and related rows when online).
  * - Normalize mixed naming/date formats to what form controls expect.
- * - Create/update records directly in Supabase.
+ * - Create/update records through `ciclcarRepository` (queued locally when offline).
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
  *
  * Notes:
@@ -30,6 +30,7 @@ import { RemarksForm } from "@/components/intake sheet CICLCAR/RemarksForm";
 import { ReferralForm } from "@/components/intake sheet CICLCAR/ReferralForm";
 import { useIntakeFormStore } from "@/store/useIntakeFormStore";
 import supabase from "@/../config/supabase";
+import { ciclcarRepository } from "@/services/caseRepositories";
 import { toast } from "sonner";
 
 /**
@@ -95,6 +96,23 @@ const computeAge = (dateStr) => {
 	return age;
 };
 
+/**
+ * Maps a `ciclcar_family_background` row to the Family Background form shape.
+ * @param {any} member
+ * @returns {Record<string, any>}
+ */
+const toFamilyFormMember = (member) => ({
+	name: member.name || "",
+	relationship: member.relationship || "",
+	age: member.age || "",
+	sex: member.sex || "",
+	status: member.status || "",
+	contactNumber: member.contact_number || "",
+	educationalAttainment: member.educational_attainment || "",
+	employment: member.employment || "",
+	householdMemberId: member.household_member_id || "",
+});
+
 /**
  * @typedef {(
  *   | "Profile-of-CICL/CAR"
@@ -244,6 +262,19 @@ export default function IntakeSheetCICLCAREdit({
 						return;
 					}
 
+					// Snapshot rows embed their family background; only rows
+					// opened from elsewhere need the related-table fetch.
+					if (Array.isArray(row.ciclcar_family_background)) {
+						setSectionField(
+							"familyBackground",
+							"members",
+							row.ciclcar_family_background.map(
+								toFamilyFormMember,
+							),
+						);
+						return;
+					}
+
 					if (!row.id) return;
 
 					const { data, error } = await supabase
@@ -257,17 +288,9 @@ export default function IntakeSheetCICLCAREdit({
 						);
 						return;
 					}
-					const fallbackMembers = (data || []).map((member) => ({
-						name: member.name || "",
-						relationship: member.relationship || "",
-						age: member.age || "",
-						sex: member.sex || "",
-						status: member.status || "",
-						contactNumber: member.contact_number || "",
-						educationalAttainment:
-							member.educational_attainment || "",
-						employment: member.employment || "",
-					}));
+					const fallbackMembers = (data || []).map(
+						toFamilyFormMember,
+					);
 					setSectionField(
 						"familyBackground",
 						"members",
@@ -294,7 +317,7 @@ export default function IntakeSheetCICLCAREdit({
 		try {
 			setIsSaving(true);
 			const all = getAllData() || {};
-			const isEditing = row && row.id;
+			const isEditing = row && (row.id || row.localId != null);
 
 			console.log(
 				isEditing
@@ -465,56 +488,34 @@ export default function IntakeSheetCICLCAREdit({
 
 			console.log("💾 Final case payload:", casePayload);
 
-			let targetCaseId = row?.id ?? null;
-
-			if (isEditing && targetCaseId) {
-				const { error: updateError } = await supabase
-					.from("ciclcar_case")
-					.update(casePayload)
-					.eq("id", targetCaseId);
-				if (updateError) throw updateError;
-
-				const { error: deleteFamilyError } = await supabase
-					.from("ciclcar_family_background")
-					.delete()
-					.eq("ciclcar_case_id", targetCaseId);
-				if (deleteFamilyError) throw deleteFamilyError;
-			} else {
-				const { data: createdCase, error: createError } = await supabase
-					.from("ciclcar_case")
-					.insert([casePayload])
-					.select("id")
-					.single();
-				if (createError) throw createError;
-				targetCaseId = createdCase?.id ?? null;
-			}
+			const normalizedFamilyRows = familyRows.map((member) => ({
+				name: pick(member, "name") ?? null,
+				relationship: pick(member, "relationship", "relation") ?? null,
+				age: pick(member, "age") ?? null,
+				sex: pick(member, "sex") ?? null,
+				status: pick(member, "status") ?? null,
+				contact_number:
+					pick(member, "contactNumber", "contact_number") ?? null,
+				educational_attainment:
+					pick(
+						member,
+						"educationalAttainment",
+						"educational_attainment",
+					) ?? null,
+				employment: pick(member, "employment", "occupation") ?? null,
+				household_member_id:
+					pick(member, "householdMemberId", "household_member_id") ??
+					null,
+			}));
 
-			if (targetCaseId && familyRows.length > 0) {
-				const normalizedFamilyRows = familyRows.map((member) => ({
-					ciclcar_case_id: targetCaseId,
-					name: pick(member, "name") ?? null,
-					relationship:
-						pick(member, "relationship", "relation") ?? null,
-					age: pick(member, "age") ?? null,
-					sex: pick(member, "sex") ?? null,
-					status: pick(member, "status") ?? null,
-					contact_number:
-						pick(member, "contactNumber", "contact_number") ?? null,
-					educational_attainment:
-						pick(
-							member,
-							"educationalAttainment",
-							"educational_attainment",
-						) ?? null,
-					employment:
-						pick(member, "employment", "occupation") ?? null,
-				}));
-
-				const { error: familyError } = await supabase
-					.from("ciclcar_family_background")
-					.insert(normalizedFamilyRows);
-				if (familyError) throw familyError;
-			}
+			const write = {
+				casePayload,
+				familyMembers: normalizedFamilyRows,
+			};
+			const { queued, error: saveError } = isEditing
+				? await ciclcarRepository.updateRecord(row, write)
+				: await ciclcarRepository.createRecord(write);
+			if (saveError) throw saveError;
 
 			// Done - close modal and clean up
 			resetAll();
@@ -532,9 +533,14 @@ export default function IntakeSheetCICLCAREdit({
 				}
 			}
 
-			toast.success(isEditing ? "Changes Saved" : "Case Saved", {
-				description: "Changes were saved successfully.",
-			});
+			toast.success(
+				`${isEditing ? "Changes Saved" : "Case Saved"}${queued ? " Offline" : ""}`,
+				{
+					description: queued
+						? "Changes will sync when you are back online."
+						: "Changes were saved successfully.",
+				},
+			);
 		} catch (err) {
 			console.error("Failed to create/update CICL/CAR record:", err);
 			toast.error(isEditing ? "Update Failed" : "Creation Failed", {
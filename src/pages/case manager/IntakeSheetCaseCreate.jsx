@@ -5,13 +5,15 @@
  *
  * Responsibilities:
  * - Renders a multi-tab intake flow backed by `useIntakeFormStore`.
- * - On the final step, builds a normalized payload from store sections and creates records in Supabase.
+ * - On the final step, builds a normalized payload from store sections and creates the record
+ *   through `caseRepository` (queued locally when offline).
  * - Closes the dialog and invokes `onSuccess` so the parent can refresh or reload data.
+ * - Autosaves the store to "My drafts" and resumes a draft passed as `draftId`.
  *
  * Notes:
  * - This flow is intentionally kept to one schema-aligned pass (no duplicated Part 2 tabs).
  */
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import {
 	Dialog,
 	DialogContent,
@@ -30,7 +32,9 @@ import { AssessmentForm } from "@/components/intake sheet/AssessmentForm";
 import { RecommendationForm } from "@/components/intake sheet/RecommendationForm";
 import { useIntakeFormStore } from "@/store/useIntakeFormStore";
 import { toast } from "sonner";
-import supabase from "@/../config/supabase";
+import { caseRepository } from "@/services/caseRepositories";
+import { useIntakeDraft } from "@/hooks/useIntakeDraft";
+import IntakeDraftStatus from "@/components/cases/IntakeDraftStatus";
 
 /**
  * @typedef {(
@@ -50,6 +54,7 @@ import supabase from "@/../config/supabase";
  * @property {boolean} open Controls dialog visibility.
  * @property {(open: boolean) => void} setOpen Dialog open-state setter.
  * @property {() => void} [onSuccess] Optional callback fired after a successful create.
+ * @property {number|null} [draftId] Saved draft to resume when the dialog opens.
  */
 
 /** @type {CaseCreateTabId[]} */
@@ -111,12 +116,42 @@ const toCaseTablePayload = (payload) =>
 /**
  * @param {IntakeSheetCaseCreateProps} props
  */
-export default function IntakeSheetCaseCreate({ open, setOpen, onSuccess }) {
+export default function IntakeSheetCaseCreate({
+	open,
+	setOpen,
+	onSuccess,
+	draftId = null,
+}) {
 	const [currentTabIndex, setCurrentTabIndex] = useState(0);
 	const [completedTabs, setCompletedTabs] = useState(new Set());
-	const { getAllData, resetAll } = useIntakeFormStore();
+	const { data, getAllData, resetAll, loadAll } = useIntakeFormStore();
 	const [isSaving, setIsSaving] = useState(false);
 	const createInFlightRef = useRef(false);
+	const [restoreCount, setRestoreCount] = useState(0);
+
+	/** Loads a saved draft and remounts the forms so they read it. */
+	const restoreDraft = useCallback(
+		(draft) => {
+			const step = Math.min(Number(draft.step) || 0, tabOrder.length - 1);
+			loadAll(draft.data);
+			setCurrentTabIndex(step);
+			setCompletedTabs(
+				new Set(Array.from({ length: step }, (_, i) => i)),
+			);
+			setRestoreCount((count) => count + 1);
+		},
+		[loadAll],
+	);
+
+	const { lastSavedAt, clearDraft } = useIntakeDraft({
+		caseType: "CASE",
+		open,
+		draftId,
+		values: data,
+		step: currentTabIndex,
+		label: data.IdentifyingData?.name ?? "",
+		onRestore: restoreDraft,
+	});
 
 	/**
 	 * Safely picks the first non-empty value for any of the provided keys.
@@ -148,7 +183,7 @@ export default function IntakeSheetCaseCreate({ open, setOpen, onSuccess }) {
 	};
 
 	/**
-	 * Builds the case payload from store sections and creates the record in Supabase.
+	 * Builds the case payload from store sections and creates (or queues) the record.
 	 */
 	const handleCreate = async () => {
 		if (createInFlightRef.current) {
@@ -259,42 +294,29 @@ export default function IntakeSheetCaseCreate({ open, setOpen, onSuccess }) {
 			console.log("💾 Final case payload:", casePayloadForInsert);
 			console.log("👨‍👩‍👧‍👦 Family members:", familyMembers);
 
-			const { data: insertedCase, error: caseError } = await supabase
-				.from("case")
-				.insert([casePayloadForInsert])
-				.select("id")
-				.single();
+			const { queued, error: caseError } =
+				await caseRepository.createRecord({
+					casePayload: casePayloadForInsert,
+					familyMembers,
+				});
 
 			if (caseError) throw caseError;
 
-			const createdCaseId = insertedCase?.id;
-			if (createdCaseId && familyMembers.length > 0) {
-				const familyRows = familyMembers.map((member, index) => ({
-					case_id: createdCaseId,
-					group_no: member?.group_no || index + 1,
-					name: member?.name || null,
-					age: member?.age || null,
-					relation: member?.relation || null,
-					status: member?.status || null,
-					education: member?.education || null,
-					occupation: member?.occupation || null,
-					income: member?.income || null,
-				}));
-
-				const { error: familyError } = await supabase
-					.from("case_family_member")
-					.insert(familyRows);
-
-				if (familyError) throw familyError;
-			}
-
 			// Done - close modal and clean up
+			await clearDraft();
 			resetAll();
 			setOpen(false);
 
-			toast.success("Case Saved", {
-				description: "Case was stored successfully.",
-			});
+			if (queued) {
+				toast.success("Case Saved Offline", {
+					description:
+						"The case will sync automatically once you're back online.",
+				});
+			} else {
+				toast.success("Case Saved", {
+					description: "Case was stored successfully.",
+				});
+			}
 
 			// Fire-and-forget parent refresh
 			if (onSuccess) {
@@ -376,6 +398,7 @@ export default function IntakeSheetCaseCreate({ open, setOpen, onSuccess }) {
 			<DialogContent className="min-w-4/5 min-h-4/5 flex flex-col">
 				<DialogHeader>
 					<DialogTitle>Create Case Record</DialogTitle>
+					<IntakeDraftStatus savedAt={lastSavedAt} />
 				</DialogHeader>
 
 				<Tabs
@@ -422,13 +445,14 @@ export default function IntakeSheetCaseCreate({ open, setOpen, onSuccess }) {
 						</TabsList>
 					</div>
 
-					<div className="flex-1 overflow-auto">
+					<div key={restoreCount} className="flex-1 overflow-auto">
 						<TabsContent value="identifying-data">
 							<IdentifyingDataForm
 								sectionKey="IdentifyingData"
 								goNext={goNext}
 								goBack={goBack}
 								isFirstStep={true}
+								matchClients
 							/>
 						</TabsContent>
 
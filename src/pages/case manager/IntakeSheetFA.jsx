@@ -3,7 +3,7 @@
  * FA (Financial Assistance) intake dialog.
  *
  * Responsibilities:
- * - Collect a single-page intake payload and create/update records in Supabase.
+ * - Collect a single-page intake payload and create/update records through `faRepository`.
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
  *
  * Notes:
@@ -29,7 +29,8 @@ import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
 import { toast } from "sonner";
 import { buildFACasePayload } from "@/lib/faSubmission";
-import supabase from "@/../config/supabase";
+import { faRepository } from "@/services/caseRepositories";
+import ClientMatchPanel from "@/components/clients/ClientMatchPanel";
 
 /**
  * @typedef {Object} FaFormState
@@ -47,6 +48,7 @@ import supabase from "@/../config/supabase";
  * @property {string} four_ps_member
  * @property {string} transaction
  * @property {string} notes
+ * @property {string|null} [client_id] Existing client linked from the match panel.
  */
 
 /** @type {FaFormState} */
@@ -149,7 +151,7 @@ export default function IntakeSheetFA({
 	};
 
 	/**
-	 * Creates or updates an FA record directly in Supabase.
+	 * Creates or updates an FA record (queued locally when offline).
 	 * @param {React.FormEvent<HTMLFormElement>} event
 	 * @returns {Promise<void>}
 	 */
@@ -159,26 +161,42 @@ export default function IntakeSheetFA({
 		try {
 			const casePayload = buildFACasePayload(formState);
 
-			if (isEditMode && editingRecord?.id) {
-				const { error } = await supabase
-					.from("fa_case")
-					.update(casePayload)
-					.eq("id", editingRecord.id);
+			if (
+				isEditMode &&
+				(editingRecord?.id || editingRecord?.localId != null)
+			) {
+				const { queued, error } = await faRepository.updateRecord(
+					editingRecord,
+					{ casePayload },
+				);
 				if (error) throw error;
 
-				toast.success("Financial Assistance case updated", {
-					description:
-						"Changes were saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Financial Assistance case updated offline"
+						: "Financial Assistance case updated",
+					{
+						description: queued
+							? "Changes will sync when you are back online."
+							: "Changes were saved successfully.",
+					},
+				);
 			} else {
-				const { error } = await supabase
-					.from("fa_case")
-					.insert([casePayload]);
+				const { queued, error } = await faRepository.createRecord({
+					casePayload,
+				});
 				if (error) throw error;
 
-				toast.success("Financial Assistance case created", {
-					description: "Record saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Financial Assistance case saved offline"
+						: "Financial Assistance case created",
+					{
+						description: queued
+							? "The record will sync when you are back online."
+							: "Record saved successfully.",
+					},
+				);
 			}
 
 			setOpen(false);
@@ -233,6 +251,21 @@ export default function IntakeSheetFA({
 									placeholder="Client name"
 								/>
 							</div>
+							{!isEditMode && (
+								<ClientMatchPanel
+									identity={{
+										fullName: formState.client_name,
+										address: formState.address,
+									}}
+									linkedClientId={formState.client_id ?? null}
+									onLinkChange={(clientId) =>
+										setFormState((prev) => ({
+											...prev,
+											client_id: clientId,
+										}))
+									}
+								/>
+							)}
 							<div className="space-y-1">
 								<Label>Name of Beneficiary</Label>
 								<Input
@@ -5,13 +5,15 @@
  * Responsibilities:
  * - Multi-step (tabbed) intake flow backed by `useIntakeFormStore`.
  * - In edit mode, hydrate the store from the current database record.
- * - On submit, build a payload and create/update rows via Supabase helpers.
+ * - On submit, build a payload and create/update rows via the FAC submission helpers
+ *   (queued locally when offline).
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
+ * - In create mode, autosave the store to "My drafts" and resume a draft passed as `draftId`.
  *
  * Notes:
  * - `completedTabs` gates forward navigation in create mode.
  */
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import {
 	Dialog,
 	DialogContent,
@@ -26,6 +28,8 @@ import { FamilyInformationForm } from "@/components/intake sheet FAC/FamilyInfor
 import { VulnerableMembersForm } from "@/components/intake sheet FAC/VulnerableMembersForm";
 import { FinalDetailsForm } from "@/components/intake sheet FAC/FinalDetailsForm";
 import { useIntakeFormStore } from "@/store/useIntakeFormStore";
+import { useIntakeDraft } from "@/hooks/useIntakeDraft";
+import IntakeDraftStatus from "@/components/cases/IntakeDraftStatus";
 import {
 	fetchFacCase,
 	mapDbToFormData,
@@ -93,6 +97,7 @@ const normalizeFamilyMembersForPrefill = (members = []) =>
  * @property {(open: boolean) => void} setOpen
  * @property {any} [editingRecord]
  * @property {() => void} [onSuccess]
+ * @property {number|null} [draftId] Saved draft to resume when the create dialog opens.
  */
 
 /**
@@ -104,14 +109,48 @@ export default function IntakeSheetFAC({
 	setOpen,
 	editingRecord = null,
 	onSuccess,
+	draftId = null,
 }) {
 	const [currentTabIndex, setCurrentTabIndex] = useState(0);
 	const [completedTabs, setCompletedTabs] = useState(new Set());
 	const [isSubmitting, setIsSubmitting] = useState(false);
-	const { getAllData, resetAll } = useIntakeFormStore();
+	const { data, getAllData, resetAll, loadAll } = useIntakeFormStore();
+	const [restoreCount, setRestoreCount] = useState(0);
 
 	const isEditMode = !!editingRecord;
 
+	/**
+	 * Loads a saved draft and remounts the forms so they read it.
+	 * @param {import("@/services/intakeDraftService").IntakeDraft} draft
+	 * @returns {void}
+	 */
+	const restoreDraft = useCallback(
+		(draft) => {
+			const step = Math.min(Number(draft.step) || 0, tabOrder.length - 1);
+			loadAll(draft.data);
+			setCurrentTabIndex(step);
+			setCompletedTabs(
+				new Set(Array.from({ length: step }, (_, i) => i)),
+			);
+			setRestoreCount((count) => count + 1);
+		},
+		[loadAll],
+	);
+
+	const headOfFamily = data.headOfFamily || {};
+	const { lastSavedAt, clearDraft } = useIntakeDraft({
+		caseType: "FAC",
+		open,
+		enabled: !isEditMode,
+		draftId,
+		values: data,
+		step: currentTabIndex,
+		label: [headOfFamily.firstName, headOfFamily.lastName]
+			.filter(Boolean)
+			.join(" "),
+		onRestore: restoreDraft,
+	});
+
 	/**
 	 * Loads existing data when the dialog opens in edit mode.
 	 *
@@ -172,7 +211,7 @@ export default function IntakeSheetFAC({
 	}, [editingRecord, open, resetAll]);
 
 	/**
-	 * Creates/updates FAC directly in Supabase.
+	 * Creates/updates FAC through the submission helpers.
 	 * @returns {Promise<void>}
 	 */
 	const handleSubmit = async () => {
@@ -180,23 +219,31 @@ export default function IntakeSheetFAC({
 		const formData = getAllData();
 
 		try {
-			if (isEditMode && editingRecord?.id) {
-				const { success, error } = await updateFacCase(
-					editingRecord.id,
+			if (
+				isEditMode &&
+				(editingRecord?.id || editingRecord?.localId != null)
+			) {
+				const { success, queued, error } = await updateFacCase(
+					editingRecord,
 					formData,
 				);
 				if (!success || error) throw error || new Error("Update failed");
 
-				toast.success("FAC updated", {
-					description: "Changes were saved successfully.",
+				toast.success(queued ? "FAC updated offline" : "FAC updated", {
+					description: queued
+						? "Changes will sync when you are back online."
+						: "Changes were saved successfully.",
 				});
 			} else {
-				const { error } = await submitFacCase(formData);
+				const { queued, error } = await submitFacCase(formData);
 				if (error) throw error;
 
-				toast.success("FAC created", {
-					description: "Record saved successfully.",
+				toast.success(queued ? "FAC saved offline" : "FAC created", {
+					description: queued
+						? "The case will sync when you are back online."
+						: "Record saved successfully.",
 				});
+				await clearDraft();
 			}
 
 			resetAll();
@@ -275,9 +322,11 @@ export default function IntakeSheetFAC({
 			<DialogContent className="min-w-4/5 min-h-4/5 flex flex-col">
 				<DialogHeader>
 					<DialogTitle>Family Assistance Card</DialogTitle>
+					<IntakeDraftStatus savedAt={lastSavedAt} />
 				</DialogHeader>
 
 				<Tabs
+					key={restoreCount}
 					value={currentTab}
 					onValueChange={(tab) =>
 						setCurrentTabIndex(tabOrder.indexOf(tab))
@@ -340,6 +389,7 @@ export default function IntakeSheetFAC({
 								sectionKey="headOfFamily"
 								goNext={goNext}
 								goBack={goBack}
+								matchClients={!isEditMode}
 							/>
 						</TabsContent>
 
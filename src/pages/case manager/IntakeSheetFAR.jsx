@@ -3,8 +3,9 @@
  * FAR intake dialog.
  *
  * Responsibilities:
- * - Hydrate the intake store for edit mode from the selected row and latest database data.
- * - Build a submission payload and create/update records directly in Supabase.
+ * - Hydrate the intake store for edit mode from the selected row and its offline snapshot copy.
+ * - Build a submission payload and create/update records through the FAR submission helpers
+ *   (queued locally when offline).
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
  *
  * Notes:
@@ -19,9 +20,9 @@ import {
 } from "@/components/ui/dialog";
 import { FamilyAssistanceForm } from "@/components/intake sheet FAR/FamilyAssistanceForm";
 import { useIntakeFormStore } from "@/store/useIntakeFormStore";
-import { buildFARCasePayload } from "@/lib/farSubmission";
+import { submitFARCase, updateFARCase } from "@/lib/farSubmission";
+import { farRepository } from "@/services/caseRepositories";
 import { toast } from "sonner";
-import supabase from "@/../config/supabase";
 
 /**
  * @typedef {Object} FarCaseDetails
@@ -73,8 +74,8 @@ export default function IntakeSheetFAR({
 	/**
 	 * Hydrates `useIntakeFormStore` for edit mode.
 	 *
-	 * Fetches latest remote values when `editingRecord.id` exists; otherwise uses the
-	 * provided row snapshot.
+	 * Reads the latest cached copy of the row (kept fresh by `useFarCases`); falls back
+	 * to the provided table row.
 	 * @returns {void}
 	 */
 	useEffect(() => {
@@ -90,15 +91,8 @@ export default function IntakeSheetFAR({
 			console.log("🔄 Pre-filling FAR form with:", editingRecord);
 			try {
 				let sourceRecord = editingRecord;
-				if (editingRecord?.id) {
-					const { data, error } = await supabase
-						.from("far_case")
-						.select("*")
-						.eq("id", editingRecord.id)
-						.single();
-					if (error) throw error;
-					if (data) sourceRecord = data;
-				}
+				const cached = await farRepository.getLocalRecord(editingRecord);
+				if (cached) sourceRecord = cached;
 
 				if (!isActive) return;
 
@@ -141,11 +135,7 @@ export default function IntakeSheetFAR({
 	}, [open, editingRecord, resetAll, setSectionField]);
 
 	/**
-	 * Creates or updates a FAR record directly in Supabase.
-	 *
-	 * Flow:
-	 * - Build payload from intake store snapshot.
-	 * - Submit with `insert` for create and `update` for edit.
+	 * Creates or updates a FAR record through `submitFARCase` / `updateFARCase`.
 	 * @returns {Promise<void>}
 	 */
 	const handleSubmit = async () => {
@@ -155,28 +145,40 @@ export default function IntakeSheetFAR({
 
 			console.log("🔍 Full FAR intake data:", allData);
 
-			const casePayload = buildFARCasePayload(allData);
-
-			if (isEditMode && editingRecord?.id) {
-				const { error } = await supabase
-					.from("far_case")
-					.update(casePayload)
-					.eq("id", editingRecord.id);
+			if (
+				isEditMode &&
+				(editingRecord?.id || editingRecord?.localId != null)
+			) {
+				const { queued, error } = await updateFARCase(
+					editingRecord,
+					allData,
+				);
 				if (error) throw error;
 
-				toast.success("Family Assistance Record updated", {
-					description:
-						"Changes were saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Family Assistance Record updated offline"
+						: "Family Assistance Record updated",
+					{
+						description: queued
+							? "Changes will sync when you are back online."
+							: "Changes were saved successfully.",
+					},
+				);
 			} else {
-				const { error } = await supabase
-					.from("far_case")
-					.insert([casePayload]);
+				const { queued, error } = await submitFARCase(allData);
 				if (error) throw error;
 
-				toast.success("Family Assistance Record created", {
-					description: "Record saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Family Assistance Record saved offline"
+						: "Family Assistance Record created",
+					{
+						description: queued
+							? "The record will sync when you are back online."
+							: "Record saved successfully.",
+					},
+				);
 			}
 
 			resetAll();
@@ -190,6 +192,7 @@ export default function IntakeSheetFAR({
 				`Failed to ${isEditMode ? "update" : "create"} Family Assistance Record`,
 				{
 					description:
+						err?.message ||
 						"An unexpected error occurred. Please try again.",
 				},
 			);
@@ -4,7 +4,8 @@
  *
  * Responsibilities:
  * - Hydrate the form store when editing an existing record.
- * - Validate + build a submission payload, then create/update records in Supabase.
+ * - Validate + build a submission payload, then create/update records in Supabase
+ *   (queued locally when offline).
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
  *
  * Notes:
@@ -128,11 +129,11 @@ export default function IntakeSheetIVAC({
 	}, [open, editingRecord, resetAll, setSectionField]);
 
 	/**
-	 * Creates/updates an IVAC case directly in Supabase.
+	 * Creates/updates an IVAC case.
 	 *
 	 * Flow:
 	 * - Validate intake store snapshot.
-	 * - Submit online via `submitIVACCase`/`updateIVACCase`.
+	 * - Submit via `submitIVACCase`/`updateIVACCase` (queued locally when offline).
 	 * @returns {Promise<void>}
 	 */
 	const handleSubmit = async () => {
@@ -151,23 +152,40 @@ export default function IntakeSheetIVAC({
 			}
 
 
-			if (isEditMode && editingRecord?.id) {
-				const { success, error } = await updateIVACCase(
-					editingRecord.id,
+			if (
+				isEditMode &&
+				(editingRecord?.id || editingRecord?.localId != null)
+			) {
+				const { success, queued, error } = await updateIVACCase(
+					editingRecord,
 					allData,
 				);
 				if (!success || error) throw error || new Error("Update failed");
 
-				toast.success("Incidence on VAC updated", {
-					description: "Changes were saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Incidence on VAC updated offline"
+						: "Incidence on VAC updated",
+					{
+						description: queued
+							? "Changes will sync when you are back online."
+							: "Changes were saved successfully.",
+					},
+				);
 			} else {
-				const { error } = await submitIVACCase(allData);
+				const { queued, error } = await submitIVACCase(allData);
 				if (error) throw error;
 
-				toast.success("Incidence on VAC created", {
-					description: "Record saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Incidence on VAC saved offline"
+						: "Incidence on VAC created",
+					{
+						description: queued
+							? "The record will sync when you are back online."
+							: "Record saved successfully.",
+					},
+				);
 			}
 
 			resetAll();
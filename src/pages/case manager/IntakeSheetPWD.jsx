@@ -5,11 +5,12 @@
  *
  * Responsibilities:
  * - Collect a multi-step intake form across tabs.
- * - Build a PWD case payload and create/update records in Supabase.
+ * - Build a PWD case payload and create/update records through `pwdRepository`.
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
+ * - In create mode, autosave to "My drafts" and resume a draft passed as `draftId`.
  */
 
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import {
 	Dialog,
 	DialogContent,
@@ -30,8 +31,11 @@ import {
 } from "@/components/ui/select";
 import { toast } from "sonner";
 import { buildPWDCasePayload } from "@/lib/pwdSubmission";
-import supabase from "@/../config/supabase";
+import { pwdRepository } from "@/services/caseRepositories";
 import { useCaseManagers } from "@/store/useCaseManagerStore";
+import { useIntakeDraft } from "@/hooks/useIntakeDraft";
+import IntakeDraftStatus from "@/components/cases/IntakeDraftStatus";
+import ClientMatchPanel from "@/components/clients/ClientMatchPanel";
 
 /**
  * @typedef {Object} IntakeSheetPwdProps
@@ -39,6 +43,7 @@ import { useCaseManagers } from "@/store/useCaseManagerStore";
  * @property {(open: boolean) => void} setOpen
  * @property {() => void} [onSuccess]
  * @property {Record<string, any> | null} [editingRecord]
+ * @property {number | null} [draftId] Saved draft to resume when the create dialog opens.
  */
 
 /**
@@ -215,6 +220,8 @@ function mapRecordToPwdFormState(record) {
 	return next;
 }
 
+const tabOrder = ["first", "second", "third"];
+
 /**
  * PWD intake dialog.
  * @param {IntakeSheetPwdProps} props
@@ -225,6 +232,7 @@ export default function IntakeSheetPWD({
 	setOpen,
 	onSuccess,
 	editingRecord = null,
+	draftId = null,
 }) {
 	/** @type {[PwdIntakeFormState, import("react").Dispatch<import("react").SetStateAction<PwdIntakeFormState>>]} */
 	const [formState, setFormState] = useState(initialFormState);
@@ -252,6 +260,29 @@ export default function IntakeSheetPWD({
 		}
 	}, [open, isEditMode, editingRecord]);
 
+	/**
+	 * Load a saved draft into the form.
+	 * @param {import("@/services/intakeDraftService").IntakeDraft} draft
+	 * @returns {void}
+	 */
+	const restoreDraft = useCallback((draft) => {
+		setFormState({ ...initialFormState, ...draft.data });
+		setActiveTab(tabOrder.includes(draft.step) ? draft.step : "first");
+	}, []);
+
+	const { lastSavedAt, clearDraft } = useIntakeDraft({
+		caseType: "PWD",
+		open,
+		enabled: !isEditMode,
+		draftId,
+		values: formState,
+		step: activeTab,
+		label: [formState.first_name, formState.last_name]
+			.filter(Boolean)
+			.join(" "),
+		onRestore: restoreDraft,
+	});
+
 	/**
 	 * Create a controlled-input `onChange` handler.
 	 * @param {keyof PwdIntakeFormState} field
@@ -312,7 +343,7 @@ export default function IntakeSheetPWD({
 	);
 
 	/**
-	 * Creates or updates a PWD case directly in Supabase.
+	 * Creates or updates a PWD case (queued locally when offline).
 	 * @param {import("react").FormEvent | undefined} event
 	 * @returns {Promise<void>}
 	 */
@@ -322,25 +353,39 @@ export default function IntakeSheetPWD({
 		try {
 			const casePayload = buildPWDCasePayload(formState);
 
-			if (isEditMode && editingRecord?.id) {
-				const { error } = await supabase
-					.from("pwd_case")
-					.update(casePayload)
-					.eq("id", editingRecord.id);
+			if (
+				isEditMode &&
+				(editingRecord?.id || editingRecord?.localId != null)
+			) {
+				const { queued, error } = await pwdRepository.updateRecord(
+					editingRecord,
+					{ casePayload },
+				);
 				if (error) throw error;
 
-				toast.success("PWD case updated", {
-					description: "Changes were saved successfully.",
-				});
+				toast.success(
+					queued ? "PWD case updated offline" : "PWD case updated",
+					{
+						description: queued
+							? "Changes will sync when you are back online."
+							: "Changes were saved successfully.",
+					},
+				);
 			} else {
-				const { error } = await supabase
-					.from("pwd_case")
-					.insert([casePayload]);
+				const { queued, error } = await pwdRepository.createRecord({
+					casePayload,
+				});
 				if (error) throw error;
+				await clearDraft();
 
-				toast.success("PWD case created", {
-					description: "Record saved successfully.",
-				});
+				toast.success(
+					queued ? "PWD case saved offline" : "PWD case created",
+					{
+						description: queued
+							? "The record will sync when you are back online."
+							: "Record saved successfully.",
+					},
+				);
 			}
 
 			setOpen(false);
@@ -354,7 +399,6 @@ export default function IntakeSheetPWD({
 		}
 	};
 
-	const tabOrder = ["first", "second", "third"];
 	const activeIndex = tabOrder.indexOf(activeTab);
 	const isFirstTab = activeIndex <= 0;
 	const isLastTab = activeIndex === tabOrder.length - 1;
@@ -380,6 +424,7 @@ export default function IntakeSheetPWD({
 							? "Edit Persons with Disabilities"
 							: "Persons with Disabilities Intake"}
 					</DialogTitle>
+					<IntakeDraftStatus savedAt={lastSavedAt} />
 				</DialogHeader>
 				<div className="space-y-4">
 					<Tabs
@@ -710,6 +755,32 @@ export default function IntakeSheetPWD({
 											/>
 										</div>
 									</div>
+									{!isEditMode && (
+										<ClientMatchPanel
+											identity={{
+												fullName: [
+													formState.first_name,
+													formState.middle_name,
+													formState.last_name,
+													formState.suffix,
+												]
+													.filter(Boolean)
+													.join(" "),
+												birthDate:
+													formState.date_of_birth,
+												barangay: formState.barangay,
+											}}
+											linkedClientId={
+												formState.client_id ?? null
+											}
+											onLinkChange={(clientId) =>
+												setFormState((prev) => ({
+													...prev,
+													client_id: clientId,
+												}))
+											}
+										/>
+									)}
 								</div>
 
 								<div className="space-y-4 rounded-lg border p-4">
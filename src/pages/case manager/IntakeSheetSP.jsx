@@ -5,7 +5,7 @@
  *
  * Responsibilities:
  * - Collect multi-step intake data across tabs and build a case payload.
- * - Create/update records directly in Supabase.
+ * - Create/update records through `spRepository` (queued locally when offline).
  * - Reset both local form state and the shared intake store when closing.
  */
 
@@ -33,7 +33,7 @@ import { FamilyCompositionForm } from "@/components/intake sheet SP/FamilyCompos
 import { useIntakeFormStore } from "@/store/useIntakeFormStore";
 import { useCaseManagerStore } from "@/store/useCaseManagerStore";
 import { buildSPCasePayload } from "@/lib/spSubmission";
-import supabase from "@/../config/supabase";
+import { spRepository } from "@/services/caseRepositories";
 
 /**
  * @typedef {Object} IntakeSheetSpProps
@@ -217,7 +217,7 @@ export default function IntakeSheetSP({
 	};
 
 	/**
-	 * Creates or updates an SP case directly in Supabase.
+	 * Creates or updates an SP case (queued locally when offline).
 	 * @param {import("react").FormEvent} event
 	 * @returns {Promise<void>}
 	 */
@@ -227,26 +227,42 @@ export default function IntakeSheetSP({
 		try {
 			const casePayload = buildSPCasePayload(formState, intakeData);
 
-			if (isEditMode && editingRecord?.id) {
-				const { error } = await supabase
-					.from("sp_case")
-					.update(casePayload)
-					.eq("id", editingRecord.id);
+			if (
+				isEditMode &&
+				(editingRecord?.id || editingRecord?.localId != null)
+			) {
+				const { queued, error } = await spRepository.updateRecord(
+					editingRecord,
+					{ casePayload },
+				);
 				if (error) throw error;
 
-				toast.success("Single Parent case updated", {
-					description:
-						"Changes were saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Single Parent case updated offline"
+						: "Single Parent case updated",
+					{
+						description: queued
+							? "Changes will sync when you are back online."
+							: "Changes were saved successfully.",
+					},
+				);
 			} else {
-				const { error } = await supabase
-					.from("sp_case")
-					.insert([casePayload]);
+				const { queued, error } = await spRepository.createRecord({
+					casePayload,
+				});
 				if (error) throw error;
 
-				toast.success("Single Parent case created", {
-					description: "Record saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Single Parent case saved offline"
+						: "Single Parent case created",
+					{
+						description: queued
+							? "The record will sync when you are back online."
+							: "Record saved successfully.",
+					},
+				);
 			}
 
 			resetAll();
@@ -5,11 +5,12 @@
  *
  * Responsibilities:
  * - Collect a multi-step intake form across tabs.
- * - Build an SC case payload and create/update records in Supabase.
+ * - Build an SC case payload and create/update records through `scRepository`.
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
+ * - In create mode, autosave to "My drafts" and resume a draft passed as `draftId`.
  */
 
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import {
 	Dialog,
 	DialogContent,
@@ -24,7 +25,10 @@ import { Checkbox } from "@/components/ui/checkbox";
 import { Button } from "@/components/ui/button";
 import { toast } from "sonner";
 import { buildSCCasePayload } from "@/lib/scSubmission";
-import supabase from "@/../config/supabase";
+import { scRepository } from "@/services/caseRepositories";
+import { useIntakeDraft } from "@/hooks/useIntakeDraft";
+import IntakeDraftStatus from "@/components/cases/IntakeDraftStatus";
+import ClientMatchPanel from "@/components/clients/ClientMatchPanel";
 
 /**
  * @typedef {Object} IntakeSheetSeniorCitizenProps
@@ -32,6 +36,7 @@ import supabase from "@/../config/supabase";
  * @property {(open: boolean) => void} setOpen
  * @property {() => void} [onSuccess]
  * @property {Record<string, any> | null} [editingRecord]
+ * @property {number | null} [draftId] Saved draft to resume when the create dialog opens.
  */
 
 /**
@@ -330,6 +335,8 @@ function toKebabId(prefix, value) {
 		.replace(/[^a-z0-9-]/g, "")}`;
 }
 
+const tabOrder = ["identifying", "family", "education", "economic", "health"];
+
 /**
  * Senior Citizen intake dialog.
  * @param {IntakeSheetSeniorCitizenProps} props
@@ -340,6 +347,7 @@ export default function IntakeSheetSeniorCitizen({
 	setOpen,
 	onSuccess,
 	editingRecord = null,
+	draftId = null,
 }) {
 	/** @type {[ScIntakeFormState, import("react").Dispatch<import("react").SetStateAction<ScIntakeFormState>>]} */
 	const [formState, setFormState] = useState(initialFormState);
@@ -362,6 +370,29 @@ export default function IntakeSheetSeniorCitizen({
 		}
 	}, [open, isEditMode, editingRecord]);
 
+	/**
+	 * Load a saved draft into the form.
+	 * @param {import("@/services/intakeDraftService").IntakeDraft} draft
+	 * @returns {void}
+	 */
+	const restoreDraft = useCallback((draft) => {
+		setFormState({ ...initialFormState, ...draft.data });
+		setActiveTab(
+			tabOrder.includes(draft.step) ? draft.step : "identifying",
+		);
+	}, []);
+
+	const { lastSavedAt, clearDraft } = useIntakeDraft({
+		caseType: "SC",
+		open,
+		enabled: !isEditMode,
+		draftId,
+		values: formState,
+		step: activeTab,
+		label: formState.senior_name,
+		onRestore: restoreDraft,
+	});
+
 	/**
 	 * Create a controlled-input `onChange` handler.
 	 * @param {keyof ScIntakeFormState} field
@@ -696,7 +727,7 @@ export default function IntakeSheetSeniorCitizen({
 	);
 
 	/**
-	 * Creates or updates an SC case directly in Supabase.
+	 * Creates or updates an SC case (queued locally when offline).
 	 * @param {import("react").FormEvent | undefined} event
 	 * @returns {Promise<void>}
 	 */
@@ -706,25 +737,43 @@ export default function IntakeSheetSeniorCitizen({
 		try {
 			const casePayload = buildSCCasePayload(formState);
 
-			if (isEditMode && editingRecord?.id) {
-				const { error } = await supabase
-					.from("sc_case")
-					.update(casePayload)
-					.eq("id", editingRecord.id);
+			if (
+				isEditMode &&
+				(editingRecord?.id || editingRecord?.localId != null)
+			) {
+				const { queued, error } = await scRepository.updateRecord(
+					editingRecord,
+					{ casePayload },
+				);
 				if (error) throw error;
 
-				toast.success("Senior Citizen case updated", {
-					description: "Changes were saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Senior Citizen case updated offline"
+						: "Senior Citizen case updated",
+					{
+						description: queued
+							? "Changes will sync when you are back online."
+							: "Changes were saved successfully.",
+					},
+				);
 			} else {
-				const { error } = await supabase
-					.from("sc_case")
-					.insert([casePayload]);
+				const { queued, error } = await scRepository.createRecord({
+					casePayload,
+				});
 				if (error) throw error;
+				await clearDraft();
 
-				toast.success("Senior Citizen case created", {
-					description: "Record saved successfully.",
-				});
+				toast.success(
+					queued
+						? "Senior Citizen case saved offline"
+						: "Senior Citizen case created",
+					{
+						description: queued
+							? "The record will sync when you are back online."
+							: "Record saved successfully.",
+					},
+				);
 			}
 
 			setOpen(false);
@@ -738,13 +787,6 @@ export default function IntakeSheetSeniorCitizen({
 		}
 	};
 
-	const tabOrder = [
-		"identifying",
-		"family",
-		"education",
-		"economic",
-		"health",
-	];
 	const activeIndex = tabOrder.indexOf(activeTab);
 	const isFirstTab = activeIndex <= 0;
 	const isLastTab = activeIndex === tabOrder.length - 1;
@@ -770,6 +812,7 @@ export default function IntakeSheetSeniorCitizen({
 							? "Edit Senior Citizen Case"
 							: "Senior Citizen Intake"}
 					</DialogTitle>
+					<IntakeDraftStatus savedAt={lastSavedAt} />
 				</DialogHeader>
 
 				<div className="space-y-4">
@@ -892,6 +935,28 @@ export default function IntakeSheetSeniorCitizen({
 											</div>
 										</div>
 
+										{!isEditMode && (
+											<ClientMatchPanel
+												identity={{
+													fullName:
+														formState.senior_name,
+													birthDate:
+														formState.date_of_birth,
+													barangay:
+														formState.barangay,
+												}}
+												linkedClientId={
+													formState.client_id ?? null
+												}
+												onLinkChange={(clientId) =>
+													setFormState((prev) => ({
+														...prev,
+														client_id: clientId,
+													}))
+												}
+											/>
+										)}
+
 										<div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
 											<div className="space-y-1">
 												<Label>Marital Status</Label>
@@ -6,7 +6,7 @@
  * - Prefill `useIntakeFormStore` from a selected case row for a schema-aligned intake flow.
  * - Normalize date/datetime values to what form controls expect.
  * - Prefill family-member rows from `case_family_member`.
- * - Update case and family-member rows directly in Supabase.
+ * - Update case and family-member rows through `caseRepository` (queued locally when offline).
  * - Close the dialog and invoke `onSuccess` so the parent can refresh or reload data.
  *
  * Notes:
@@ -31,7 +31,7 @@ import { AssessmentForm } from "@/components/intake sheet/AssessmentForm";
 import { RecommendationForm } from "@/components/intake sheet/RecommendationForm";
 import { useIntakeFormStore } from "@/store/useIntakeFormStore";
 import { toast } from "sonner";
-import supabase from "@/../config/supabase";
+import { caseRepository } from "@/services/caseRepositories";
 
 /**
  * @typedef {(
@@ -269,6 +269,8 @@ export default function IntakeSheetCaseEdit({
 						education: fm.education || "",
 						occupation: fm.occupation || "",
 						income: fm.income || "",
+						household_member_id:
+							fm.household_member_id || null,
 					})),
 				});
 			}
@@ -315,11 +317,11 @@ export default function IntakeSheetCaseEdit({
 	};
 
 	/**
-	 * Updates the current case record and related family-member rows in Supabase.
+	 * Updates (or queues) the current case record and related family-member rows.
 	 * @returns {Promise<void>}
 	 */
 	const handleUpdate = async () => {
-		if (!row?.id) return;
+		if (!row?.id && row?.localId == null) return;
 		try {
 			setSaving(true);
 			const all = useIntakeFormStore.getState().getAllData();
@@ -427,37 +429,13 @@ export default function IntakeSheetCaseEdit({
 			console.log("💾 Final update payload:", casePayloadForUpdate);
 			console.log("👨‍👩‍👧‍👦 Family members:", familyMembers);
 
-			const { error: updateError } = await supabase
-				.from("case")
-				.update(casePayloadForUpdate)
-				.eq("id", row.id);
+			const { queued, error: updateError } =
+				await caseRepository.updateRecord(row, {
+					casePayload: casePayloadForUpdate,
+					familyMembers,
+				});
 			if (updateError) throw updateError;
 
-			const { error: deleteFamilyError } = await supabase
-				.from("case_family_member")
-				.delete()
-				.eq("case_id", row.id);
-			if (deleteFamilyError) throw deleteFamilyError;
-
-			if (familyMembers.length > 0) {
-				const familyRows = familyMembers.map((member, index) => ({
-					case_id: row.id,
-					group_no: member?.group_no || index + 1,
-					name: member?.name || null,
-					age: member?.age || null,
-					relation: member?.relation || null,
-					status: member?.status || null,
-					education: member?.education || null,
-					occupation: member?.occupation || null,
-					income: member?.income || null,
-				}));
-
-				const { error: familyInsertError } = await supabase
-					.from("case_family_member")
-					.insert(familyRows);
-				if (familyInsertError) throw familyInsertError;
-			}
-
 			// Done - close modal and clean up
 			resetAll();
 			onOpenChange(false);
@@ -474,9 +452,16 @@ export default function IntakeSheetCaseEdit({
 				}
 			}
 
-			toast.success("Case Updated", {
-				description: "Changes were saved successfully.",
-			});
+			if (queued) {
+				toast.success("Case Updated Offline", {
+					description:
+						"Changes will sync automatically once you're back online.",
+				});
+			} else {
+				toast.success("Case Updated", {
+					description: "Changes were saved successfully.",
+				});
+			}
 		} catch (e) {
 			console.error("Failed to update case record:", e);
 			toast.error("Update Failed", {
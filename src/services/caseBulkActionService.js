@@ -0,0 +1,595 @@
+/**
+ * Bulk actions on rows selected in a case tab.
+ *
+ * Responsibilities:
+ * - List the bulk actions each case type supports and their choices.
+ * - Plan an action: split the selected rows into the ones it will change and
+ *   the ones it skips, with a reason, so the UI can confirm before running.
+ * - Run the planned action and write one audit entry per changed row.
+ *
+ * Notes:
+ * - Status, priority, case manager and archive changes go through the offline
+ *   case repositories (`patchRecord`), so they work offline and queue like any
+ *   edit. Enrolling and hiding write to shared tables and need a connection and
+ *   a synced case id.
+ * - Bulk status changes only make edit moves from caseLifecycle.js; closing
+ *   and reopening stay with the per-case closure workflow.
+ */
+
+import supabase from "@/../config/supabase";
+import { format } from "date-fns";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLogs,
+} from "@/lib/auditLog";
+import {
+	CASE_STATUS_MODELS,
+	canEditCaseStatus,
+	isCaseClosed,
+} from "@/lib/caseLifecycle";
+import { exportCaseRecordsToExcel } from "@/lib/caseExcelExport";
+import { fetchAvailablePrograms } from "@/lib/enrollmentSubmission";
+import {
+	exportCaseRowsToCsv,
+	exportCaseRowsToWorkbook,
+} from "@/lib/caseTableExport";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { fetchCaseLinkExportRows } from "@/services/caseLinkService";
+import { caseDisplayName } from "@/services/caseTimelineService";
+
+/**
+ * @typedef {"status"|"priority"|"case_manager"|"enroll"|"hide"|"export"|"archive"|"restore"} BulkActionKey
+ */
+
+/**
+ * @typedef {Object} BulkSkip
+ * @property {Record<string, any>} row
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} BulkPlan
+ * @property {Record<string, any>[]} targets Rows the action will change.
+ * @property {BulkSkip[]} skipped
+ */
+
+/**
+ * @typedef {Object} BulkResult
+ * @property {number} changed Rows written (or queued while offline).
+ * @property {number} queued Of those, writes waiting for a connection.
+ * @property {Array<{ row: Record<string, any>, error: any }>} failed
+ */
+
+export const BULK_PRIORITIES = ["Low", "Medium", "High"];
+
+/** Enrollment `case_type` and program `target_beneficiary` per case type. */
+const ENROLLMENT_TYPES = {
+	CASE: { enrollment: "VAC", beneficiary: "CASE" },
+	CICLCAR: { enrollment: "CICL/CAR", beneficiary: "CICL/CAR" },
+	FAR: { enrollment: "FAR", beneficiary: "FAR" },
+	FA: { enrollment: "FA", beneficiary: "FA" },
+};
+
+/** `hidden_cases.table_type` labels used by the Hidden Cases page. */
+const HIDDEN_TABLE_TYPES = {
+	CASE: "Cases",
+	CICLCAR: "CICL/CAR",
+	FAR: "Incidence on VAC",
+};
+
+/** Case types with a bulk Excel template in caseExcelExport.js. */
+const TEMPLATE_EXPORT_TYPES = new Set(["FA", "FAR", "IVAC"]);
+
+const BULK_ACTIONS = [
+	{ value: "status", label: "Change status", online: false },
+	{ value: "priority", label: "Change priority", online: false },
+	{ value: "case_manager", label: "Reassign case manager", online: false },
+	{ value: "enroll", label: "Enroll in a program", online: true },
+	{ value: "hide", label: "Hide from a user", online: true },
+	{ value: "export", label: "Export", online: false },
+	{ value: "archive", label: "Archive", online: false },
+	{ value: "restore", label: "Restore from archive", online: false },
+];
+
+const SUPPORTED = {
+	status: () => true,
+	priority: (caseType) => caseType !== "IVAC",
+	case_manager: (caseType) => caseType !== "IVAC",
+	enroll: (caseType) => caseType in ENROLLMENT_TYPES,
+	hide: (caseType) => caseType in HIDDEN_TABLE_TYPES,
+	export: () => true,
+	archive: () => true,
+	restore: () => true,
+};
+
+/**
+ * @param {string} caseType
+ * @returns {Array<{ value: BulkActionKey, label: string, online: boolean }>}
+ */
+export const bulkActionsFor = (caseType) =>
+	BULK_ACTIONS.filter((action) => SUPPORTED[action.value](caseType));
+
+/**
+ * Statuses a bulk change may set. Closed values are left out where closing
+ * has its own workflow.
+ *
+ * @param {string} caseType
+ * @returns {string[]}
+ */
+export function bulkStatusOptions(caseType) {
+	const model = CASE_STATUS_MODELS[caseType];
+	if (!model) return [];
+	return model.statuses
+		.filter(({ state }) => !model.closed || state !== "closed")
+		.map(({ value }) => value);
+}
+
+/**
+ * Active programs with room that accept this case type.
+ * @param {string} caseType
+ * @returns {Promise<{ data: any[], error: any }>}
+ */
+export async function fetchBulkEnrollmentPrograms(caseType) {
+	const { data, error } = await fetchAvailablePrograms(
+		ENROLLMENT_TYPES[caseType]?.beneficiary,
+	);
+	if (error) {
+		console.error("❌ Failed to load programs for bulk enrollment:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
+
+/**
+ * Active social workers a case can be hidden from (same list as the Hidden
+ * Cases page).
+ * @returns {Promise<{ data: Array<{ id: string, email: string, full_name: string|null }>, error: any }>}
+ */
+export async function fetchHideTargets() {
+	const { data, error } = await supabase
+		.from("profile")
+		.select("id, email, full_name")
+		.eq("role", "social_worker")
+		.eq("status", "active")
+		.order("email", { ascending: true });
+	if (error) {
+		console.error("❌ Failed to load users for bulk hiding:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
+
+const caseLabel = (caseType) => CASE_REPOSITORIES[caseType]?.label ?? caseType;
+
+const sameText = (a, b) =>
+	`${a ?? ""}`.trim().toLowerCase() === `${b ?? ""}`.trim().toLowerCase();
+
+/**
+ * @param {Record<string, any>[]} rows
+ * @param {(row: Record<string, any>) => string|null} skipReason
+ * @returns {BulkPlan}
+ */
+function splitRows(rows, skipReason) {
+	const plan = { targets: [], skipped: [] };
+	rows.forEach((row) => {
+		const reason = skipReason(row);
+		if (reason) plan.skipped.push({ row, reason });
+		else plan.targets.push(row);
+	});
+	return plan;
+}
+
+/**
+ * Enrollments and hides reference the case by its server id.
+ * @param {Record<string, any>} row
+ */
+const unsyncedReason = (row) =>
+	row?.id ? null : "Not synced yet; enroll or hide it after it syncs";
+
+/**
+ * Decide which selected rows an action changes.
+ *
+ * @param {{ caseType: string, action: BulkActionKey, rows: Record<string, any>[], value: any }} params
+ *   `value` is the new status/priority/manager name, the program, the
+ *   `{ userId }` to hide from, or the export format.
+ * @returns {Promise<{ data: BulkPlan, error: any }>}
+ */
+export async function planBulkAction({ caseType, action, rows, value }) {
+	try {
+		switch (action) {
+			case "status": {
+				const model = CASE_STATUS_MODELS[caseType];
+				return {
+					data: splitRows(rows, (row) => {
+						if (row.status === value)
+							return "Already has this status";
+						if (model?.closed && isCaseClosed(row.status)) {
+							return "Closed; reopen it from the case menu first";
+						}
+						if (
+							model?.closed &&
+							!canEditCaseStatus(row.status, value)
+						) {
+							return "Status change not allowed";
+						}
+						return null;
+					}),
+					error: null,
+				};
+			}
+			case "priority":
+				return {
+					data: splitRows(rows, (row) =>
+						sameText(row.priority, value)
+							? "Already has this priority"
+							: null,
+					),
+					error: null,
+				};
+			case "case_manager":
+				return {
+					data: splitRows(rows, (row) =>
+						sameText(row.case_manager, value)
+							? "Already assigned to this case manager"
+							: null,
+					),
+					error: null,
+				};
+			case "archive":
+				return {
+					data: splitRows(rows, (row) =>
+						row.archived_at ? "Already archived" : null,
+					),
+					error: null,
+				};
+			case "restore":
+				return {
+					data: splitRows(rows, (row) =>
+						row.archived_at ? null : "Not archived",
+					),
+					error: null,
+				};
+			case "export":
+				return { data: { targets: rows, skipped: [] }, error: null };
+			case "enroll":
+				return await planEnrollment({ caseType, rows, program: value });
+			case "hide":
+				return await planHide({
+					caseType,
+					rows,
+					userId: value?.userId,
+				});
+			default:
+				throw new Error(`Unknown bulk action: ${action}`);
+		}
+	} catch (error) {
+		console.error("❌ Failed to plan bulk action:", error);
+		return { data: { targets: [], skipped: [] }, error };
+	}
+}
+
+async function planEnrollment({ caseType, rows, program }) {
+	const ids = rows.map((row) => row.id).filter(Boolean);
+	const enrolled = new Set();
+	if (ids.length) {
+		const { data, error } = await supabase
+			.from("program_enrollments")
+			.select("case_id")
+			.eq("program_id", program.id)
+			.eq("case_type", ENROLLMENT_TYPES[caseType].enrollment)
+			.eq("status", "active")
+			.in("case_id", ids);
+		if (error) throw error;
+		(data ?? []).forEach((row) => enrolled.add(row.case_id));
+	}
+
+	let room = (program.capacity ?? 0) - (program.current_enrollment ?? 0);
+	return {
+		data: splitRows(rows, (row) => {
+			const reason =
+				unsyncedReason(row) ??
+				(isCaseClosed(row.status) ? "Case is closed" : null) ??
+				(enrolled.has(row.id)
+					? "Already enrolled in this program"
+					: null);
+			if (reason) return reason;
+			if (room <= 0) return "Program is full";
+			room -= 1;
+			return null;
+		}),
+		error: null,
+	};
+}
+
+async function planHide({ caseType, rows, userId }) {
+	const ids = rows.map((row) => row.id).filter(Boolean);
+	const hidden = new Set();
+	if (ids.length) {
+		const { data, error } = await supabase
+			.from("hidden_cases")
+			.select("case_id")
+			.eq("table_type", HIDDEN_TABLE_TYPES[caseType])
+			.eq("hidden_from_user_id", userId)
+			.in("case_id", ids);
+		if (error) throw error;
+		(data ?? []).forEach((row) => hidden.add(row.case_id));
+	}
+	return {
+		data: splitRows(
+			rows,
+			(row) =>
+				unsyncedReason(row) ??
+				(hidden.has(row.id) ? "Already hidden from this user" : null),
+		),
+		error: null,
+	};
+}
+
+/**
+ * Audit entry for one changed row.
+ * @param {string} caseType
+ * @param {Record<string, any>} row
+ * @param {Partial<import("@/lib/auditLog").CreateAuditLogParams>} entry
+ */
+const rowAudit = (caseType, row, { metadata, ...entry }) => ({
+	actionCategory: AUDIT_CATEGORIES.CASE,
+	resourceType: "case",
+	resourceId: row.id ?? null,
+	severity: "info",
+	...entry,
+	metadata: { caseType, caseId: row.id ?? null, bulk: true, ...metadata },
+});
+
+/**
+ * Patch each row through its repository and audit the ones that were written.
+ *
+ * @param {string} caseType
+ * @param {Record<string, any>[]} rows
+ * @param {(row: Record<string, any>) => Record<string, any>} buildPayload
+ * @param {(row: Record<string, any>) => import("@/lib/auditLog").CreateAuditLogParams} buildAudit
+ * @returns {Promise<BulkResult>}
+ */
+async function patchRows(caseType, rows, buildPayload, buildAudit) {
+	const repository = CASE_REPOSITORIES[caseType];
+	const result = { changed: 0, queued: 0, failed: [] };
+	const audits = [];
+	// One at a time: queued writes for the same table must keep their order.
+	for (const row of rows) {
+		const { queued, error } = await repository.patchRecord(
+			row,
+			buildPayload(row),
+		);
+		if (error) {
+			result.failed.push({ row, error });
+			continue;
+		}
+		result.changed += 1;
+		if (queued) result.queued += 1;
+		audits.push(buildAudit(row));
+	}
+	await createAuditLogs(audits);
+	return result;
+}
+
+/**
+ * Run a planned bulk action on its target rows.
+ *
+ * @param {{ caseType: string, action: BulkActionKey, rows: Record<string, any>[], value: any, actor: { id: string, email?: string }|null }} params
+ * @returns {Promise<{ data: BulkResult|null, error: any }>}
+ */
+export async function runBulkAction({ caseType, action, rows, value, actor }) {
+	const label = caseLabel(caseType);
+	try {
+		switch (action) {
+			case "status":
+			case "priority":
+			case "case_manager": {
+				const field = action;
+				const fieldLabel = {
+					status: "status",
+					priority: "priority",
+					case_manager: "case manager",
+				}[field];
+				const data = await patchRows(
+					caseType,
+					rows,
+					() => ({ [field]: value }),
+					(row) =>
+						rowAudit(caseType, row, {
+							actionType: AUDIT_ACTIONS.UPDATE_CASE,
+							description: `Bulk changed the ${fieldLabel} of a ${label} case to ${value}`,
+							metadata: {
+								field,
+								from: row[field] ?? null,
+								to: value,
+							},
+						}),
+				);
+				return { data, error: null };
+			}
+			case "archive": {
+				const archivedAt = new Date().toISOString();
+				const data = await patchRows(
+					caseType,
+					rows,
+					() => ({
+						archived_at: archivedAt,
+						archived_by: actor?.id ?? null,
+					}),
+					(row) =>
+						rowAudit(caseType, row, {
+							actionType: AUDIT_ACTIONS.ARCHIVE_CASE,
+							description: `Archived a ${label} case`,
+							metadata: {},
+						}),
+				);
+				return { data, error: null };
+			}
+			case "restore": {
+				const data = await patchRows(
+					caseType,
+					rows,
+					() => ({ archived_at: null, archived_by: null }),
+					(row) =>
+						rowAudit(caseType, row, {
+							actionType: AUDIT_ACTIONS.RESTORE_CASE,
+							description: `Restored an archived ${label} case`,
+							metadata: { archivedAt: row.archived_at },
+						}),
+				);
+				return { data, error: null };
+			}
+			case "enroll":
+				return await enrollRows({
+					caseType,
+					rows,
+					program: value,
+					actor,
+				});
+			case "hide":
+				return await hideRows({ caseType, rows, target: value, actor });
+			case "export":
+				return await exportRows({ caseType, rows, fileFormat: value });
+			default:
+				throw new Error(`Unknown bulk action: ${action}`);
+		}
+	} catch (error) {
+		console.error("❌ Bulk action failed:", error);
+		return { data: null, error };
+	}
+}
+
+async function enrollRows({ caseType, rows, program, actor }) {
+	const enrollmentType = ENROLLMENT_TYPES[caseType].enrollment;
+	const enrollmentDate = new Date();
+	let expectedCompletion = null;
+	if (program.duration_weeks) {
+		const completion = new Date(enrollmentDate);
+		completion.setDate(completion.getDate() + program.duration_weeks * 7);
+		expectedCompletion = format(completion, "yyyy-MM-dd");
+	}
+
+	const { data, error } = await supabase
+		.from("program_enrollments")
+		.insert(
+			rows.map((row) => ({
+				case_id: row.id,
+				case_number: row.id,
+				case_type: enrollmentType,
+				beneficiary_name: caseDisplayName(caseType, row),
+				program_id: program.id,
+				enrollment_date: format(enrollmentDate, "yyyy-MM-dd"),
+				expected_completion_date: expectedCompletion,
+				status: "active",
+				progress_percentage: 0,
+				sessions_total: 0,
+				sessions_attended: 0,
+				sessions_completed: 0,
+				attendance_rate: 0,
+				assigned_by: actor?.id ?? null,
+				assigned_by_name: actor?.email ?? null,
+				case_worker: null,
+				notes: null,
+			})),
+		)
+		.select("id, case_id, beneficiary_name");
+	if (error) throw error;
+
+	await createAuditLogs(
+		(data ?? []).map((enrollment) => ({
+			actionType: AUDIT_ACTIONS.CREATE_ENROLLMENT,
+			actionCategory: AUDIT_CATEGORIES.PROGRAM,
+			description: `Enrolled ${enrollment.beneficiary_name} (${enrollmentType}) in program: ${program.program_name}`,
+			resourceType: "enrollment",
+			resourceId: enrollment.id,
+			metadata: {
+				caseId: enrollment.case_id,
+				caseType: enrollmentType,
+				beneficiaryName: enrollment.beneficiary_name,
+				programId: program.id,
+				programName: program.program_name,
+				bulk: true,
+			},
+			severity: "info",
+		})),
+	);
+	return {
+		data: { changed: data?.length ?? 0, queued: 0, failed: [] },
+		error: null,
+	};
+}
+
+async function hideRows({ caseType, rows, target, actor }) {
+	const reason = `${target?.reason ?? ""}`.trim();
+	const { error } = await supabase.from("hidden_cases").insert(
+		rows.map((row) => ({
+			case_id: row.id,
+			table_type: HIDDEN_TABLE_TYPES[caseType],
+			hidden_from_user_id: target.userId,
+			hidden_by: actor?.id ?? null,
+			reason,
+		})),
+	);
+	if (error) throw error;
+
+	await createAuditLogs(
+		rows.map((row) =>
+			rowAudit(caseType, row, {
+				actionType: AUDIT_ACTIONS.HIDE_CASE,
+				description: `Hid a ${caseLabel(caseType)} case from ${target.userName}`,
+				severity: "warning",
+				metadata: {
+					hiddenFromUserId: target.userId,
+					hiddenFromName: target.userName,
+					reason: reason || null,
+				},
+			}),
+		),
+	);
+	return {
+		data: { changed: rows.length, queued: 0, failed: [] },
+		error: null,
+	};
+}
+
+async function exportRows({ caseType, rows, fileFormat }) {
+	const stamp = format(new Date(), "yyyyMMdd_HHmmss");
+	const fileName = `${caseType.toLowerCase()}_cases_${stamp}`;
+	if (fileFormat === "csv") {
+		exportCaseRowsToCsv({ rows, fileName: `${fileName}.csv` });
+	} else {
+		const { data: relatedCases } = await fetchCaseLinkExportRows({
+			caseType,
+			records: rows,
+		});
+		if (TEMPLATE_EXPORT_TYPES.has(caseType)) {
+			await exportCaseRecordsToExcel({
+				caseType,
+				records: rows,
+				relatedCases,
+			});
+		} else {
+			await exportCaseRowsToWorkbook({
+				rows,
+				fileName: `${fileName}.xlsx`,
+				sheetName: caseType,
+				relatedCases,
+			});
+		}
+	}
+
+	await createAuditLogs(
+		rows.map((row) =>
+			rowAudit(caseType, row, {
+				actionType: AUDIT_ACTIONS.EXPORT_CASES,
+				description: `Exported a ${caseLabel(caseType)} case to ${fileFormat === "csv" ? "CSV" : "Excel"}`,
+				metadata: { format: fileFormat, exportedCount: rows.length },
+			}),
+		),
+	);
+	return {
+		data: { changed: rows.length, queued: 0, failed: [] },
+		error: null,
+	};
+}
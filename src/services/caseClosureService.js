@@ -0,0 +1,331 @@
+/**
+ * Case closure and reopening (online-only).
+ *
+ * Responsibilities:
+ * - Define closure reason codes and each case type's closure checklist.
+ * - Evaluate the automatic checklist items for a case.
+ * - Close a case with a reason and summary, or reopen it with a justification,
+ *   through the `close_case` / `reopen_case` RPCs.
+ * - List a case's closures and reopenings.
+ *
+ * Notes:
+ * - The RPCs (database/migrations/20261019_add_case_closures.sql) set the
+ *   status and write the `case_closures` row in one transaction, and
+ *   `close_case` re-checks open enrollments on the server.
+ * - Resource requests are not linked to cases by id, so pending requests are
+ *   matched on the beneficiary name.
+ */
+
+import supabase from "@/../config/supabase";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLog,
+} from "@/lib/auditLog";
+import { CASE_STATUS_MODELS } from "@/lib/caseLifecycle";
+import { normalizeProgramCaseType } from "@/lib/programCaseTypes";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { escapeLike } from "@/services/caseTableQueryService";
+import { caseDisplayName } from "@/services/caseTimelineService";
+
+/** Case types closed through this workflow; IVAC rows are not. */
+export const CASE_CLOSURE_CASE_TYPES = Object.keys(CASE_STATUS_MODELS).filter(
+	(caseType) => CASE_STATUS_MODELS[caseType].closed,
+);
+
+export const CLOSURE_REASONS = [
+	{ value: "goals_met", label: "Goals met" },
+	{ value: "referred_out", label: "Referred to another agency" },
+	{ value: "client_declined", label: "Client declined further services" },
+	{ value: "client_relocated", label: "Client relocated" },
+	{ value: "client_deceased", label: "Client deceased" },
+	{ value: "lost_contact", label: "Lost contact with client" },
+	{ value: "duplicate", label: "Duplicate record" },
+	{ value: "other", label: "Other" },
+];
+
+/**
+ * @param {string|null|undefined} value
+ * @returns {string}
+ */
+export const closureReasonLabel = (value) =>
+	CLOSURE_REASONS.find((reason) => reason.value === value)?.label ??
+	value ??
+	"";
+
+/** Confirmations the worker ticks before closing, per case type. */
+const CLOSURE_CONFIRMATIONS = {
+	CASE: [
+		{
+			key: "client_informed",
+			label: "Client informed of the closure and how to return",
+		},
+	],
+	CICLCAR: [
+		{
+			key: "disposition_on_file",
+			label: "Court or diversion disposition is on file",
+		},
+		{
+			key: "family_informed",
+			label: "Child and family informed of the closure",
+		},
+	],
+	FAR: [
+		{
+			key: "assistance_released",
+			label: "Relief assistance released to the family",
+		},
+	],
+	FAC: [
+		{
+			key: "assistance_released",
+			label: "Family access card assistance fully distributed",
+		},
+	],
+	SP: [
+		{
+			key: "benefits_processed",
+			label: "Solo parent ID and benefits processed",
+		},
+	],
+	FA: [
+		{
+			key: "assistance_released",
+			label: "Financial assistance released and liquidated",
+		},
+	],
+	PWD: [
+		{
+			key: "benefits_processed",
+			label: "PWD ID and benefits processed",
+		},
+	],
+	SC: [
+		{
+			key: "benefits_processed",
+			label: "Senior citizen ID and benefits processed",
+		},
+	],
+};
+
+const CLOSED_ENROLLMENT_STATUSES = new Set(["completed", "dropped"]);
+const PENDING_REQUEST_STATUSES = ["submitted", "head_approved"];
+
+/**
+ * @typedef {Object} ClosureChecklistItem
+ * @property {string} key
+ * @property {string} label
+ * @property {boolean} manual True when the worker confirms it by hand.
+ * @property {boolean} passed For automatic items; manual items start false.
+ * @property {string|null} detail Why an automatic item failed.
+ */
+
+/**
+ * Automatic checks plus the case type's manual confirmations.
+ *
+ * @param {{ caseType: string, caseRow: Record<string, any> }} params
+ * @returns {Promise<{ data: ClosureChecklistItem[], error: any }>}
+ */
+export async function fetchClosureChecklist({ caseType, caseRow }) {
+	const beneficiary = caseDisplayName(caseType, caseRow);
+	try {
+		const [enrollmentResult, requestResult] = await Promise.all([
+			supabase
+				.from("program_enrollments")
+				.select("id, case_type, status, program:programs(program_name)")
+				.eq("case_id", caseRow.id),
+			supabase
+				.from("resource_requests")
+				.select("id, request_number, status")
+				// Case-insensitive exact match; "%" or "_" in a name is literal.
+				.ilike("beneficiary_name", escapeLike(beneficiary.trim()))
+				.in("status", PENDING_REQUEST_STATUSES),
+		]);
+		if (enrollmentResult.error) throw enrollmentResult.error;
+		if (requestResult.error) throw requestResult.error;
+
+		const openEnrollments = (enrollmentResult.data ?? []).filter((row) => {
+			const type = normalizeProgramCaseType(row.case_type);
+			return (
+				(type === "CICL/CAR" ? "CICLCAR" : type) === caseType &&
+				!CLOSED_ENROLLMENT_STATUSES.has(
+					`${row.status ?? ""}`.toLowerCase(),
+				)
+			);
+		});
+		const pendingRequests = requestResult.data ?? [];
+
+		return {
+			data: [
+				{
+					key: "enrollments_finished",
+					label: "All program enrollments completed or dropped",
+					manual: false,
+					passed: openEnrollments.length === 0,
+					detail: openEnrollments.length
+						? `Still open: ${openEnrollments
+								.map(
+									(row) =>
+										row.program?.program_name ??
+										"a program",
+								)
+								.join(", ")}`
+						: null,
+				},
+				{
+					key: "no_pending_requests",
+					label: "No pending resource requests for this client",
+					manual: false,
+					passed: pendingRequests.length === 0,
+					detail: pendingRequests.length
+						? `Pending: ${pendingRequests
+								.map((row) => row.request_number ?? "request")
+								.join(", ")}`
+						: null,
+				},
+				...(CLOSURE_CONFIRMATIONS[caseType] ?? []).map((item) => ({
+					...item,
+					manual: true,
+					passed: false,
+					detail: null,
+				})),
+			],
+			error: null,
+		};
+	} catch (error) {
+		console.error("❌ Failed to load closure checklist:", error);
+		return { data: [], error };
+	}
+}
+
+/**
+ * @typedef {Object} CaseClosureRow
+ * @property {string} id
+ * @property {string} case_type
+ * @property {string} case_id
+ * @property {"closed"|"reopened"} action
+ * @property {string|null} reason_code
+ * @property {string} notes Closure summary or reopening justification.
+ * @property {string|null} from_status
+ * @property {string|null} to_status
+ * @property {ClosureChecklistItem[]|null} checklist
+ * @property {string} actor_id
+ * @property {string|null} actor_name
+ * @property {string} created_at
+ */
+
+/**
+ * Close a case. Fails on the server while enrollments are still open.
+ *
+ * @param {{ caseType: string, caseRow: Record<string, any>, reasonCode: string, summary: string, checklist: ClosureChecklistItem[], actorName?: string }} params
+ * @returns {Promise<{ data: CaseClosureRow|null, error: any }>}
+ */
+export async function closeCase({
+	caseType,
+	caseRow,
+	reasonCode,
+	summary,
+	checklist,
+	actorName = "",
+}) {
+	const text = `${summary ?? ""}`.trim();
+	if (!reasonCode || !text) {
+		return {
+			data: null,
+			error: new Error("A closure reason and summary are required."),
+		};
+	}
+
+	const { data, error } = await supabase.rpc("close_case", {
+		p_case_type: caseType,
+		p_case_id: caseRow.id,
+		p_reason_code: reasonCode,
+		p_summary: text,
+		p_checklist: checklist,
+		p_actor_name: actorName || null,
+	});
+	if (error) {
+		console.error("❌ Failed to close case:", error);
+		return { data: null, error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.CLOSE_CASE,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Closed a ${CASE_REPOSITORIES[caseType]?.label ?? caseType} case: ${closureReasonLabel(reasonCode)}`,
+		resourceType: "case",
+		resourceId: caseRow.id,
+		metadata: {
+			caseType,
+			caseId: caseRow.id,
+			reasonCode,
+			summary: text,
+			fromStatus: caseRow.status ?? null,
+		},
+		severity: "info",
+	});
+	return { data, error: null };
+}
+
+/**
+ * Reopen a closed case.
+ *
+ * @param {{ caseType: string, caseRow: Record<string, any>, justification: string, actorName?: string }} params
+ * @returns {Promise<{ data: CaseClosureRow|null, error: any }>}
+ */
+export async function reopenCase({
+	caseType,
+	caseRow,
+	justification,
+	actorName = "",
+}) {
+	const text = `${justification ?? ""}`.trim();
+	if (!text) {
+		return {
+			data: null,
+			error: new Error("A justification is required."),
+		};
+	}
+
+	const { data, error } = await supabase.rpc("reopen_case", {
+		p_case_type: caseType,
+		p_case_id: caseRow.id,
+		p_justification: text,
+		p_actor_name: actorName || null,
+	});
+	if (error) {
+		console.error("❌ Failed to reopen case:", error);
+		return { data: null, error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.REOPEN_CASE,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Reopened a ${CASE_REPOSITORIES[caseType]?.label ?? caseType} case`,
+		resourceType: "case",
+		resourceId: caseRow.id,
+		metadata: { caseType, caseId: caseRow.id, justification: text },
+		severity: "warning",
+	});
+	return { data, error: null };
+}
+
+/**
+ * Closures and reopenings of one case, newest first.
+ * @param {{ caseType: string, caseId: string }} params
+ * @returns {Promise<{ data: CaseClosureRow[], error: any }>}
+ */
+export async function listCaseClosures({ caseType, caseId }) {
+	const { data, error } = await supabase
+		.from("case_closures")
+		.select("*")
+		.eq("case_type", caseType)
+		.eq("case_id", caseId)
+		.order("created_at", { ascending: false });
+	if (error) {
+		console.error("❌ Failed to load case closures:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
@@ -0,0 +1,202 @@
+/**
+ * Saved filter views for the Case Management tables (online-only).
+ *
+ * Responsibilities:
+ * - List the views the signed-in user owns plus the ones other staff shared.
+ * - Save, rename, re-save, share/unshare and delete the user's own views.
+ * - Read and set the user's landing view.
+ *
+ * Notes:
+ * - Tables and policies: database/migrations/20261019_add_case_filter_views.sql.
+ *   RLS limits writes to the owner, so a shared view can be used (and picked
+ *   as a landing view) by anyone but only changed by whoever saved it.
+ * - `filters` is stored as given; `normalizeViewFilters` fills in anything an
+ *   older view lacks before it is applied.
+ */
+
+import supabase from "@/../config/supabase";
+import { EMPTY_FIELD_FILTER } from "@/lib/caseFieldCatalog";
+
+const VIEWS_TABLE = "case_filter_views";
+const DEFAULTS_TABLE = "case_filter_view_defaults";
+
+/**
+ * @typedef {Object} CaseViewFilters
+ * @property {string} searchQuery
+ * @property {string} status "all", a stored status or a `lifecycle:` key.
+ * @property {string} priority
+ * @property {string} dateFrom yyyy-MM-dd or "".
+ * @property {string} dateTo yyyy-MM-dd or "".
+ * @property {boolean} includeArchived
+ * @property {string} caseManager "all" or a case manager name.
+ * @property {import("@/lib/caseFieldCatalog").CaseFieldGroup} fieldFilter
+ *   Field conditions from the query builder.
+ */
+
+/**
+ * @typedef {Object} CaseFilterViewRow
+ * @property {string} id
+ * @property {string} owner_id
+ * @property {string|null} owner_name
+ * @property {string} name
+ * @property {string} case_type Case Management tab (CASE, CICLCAR, ...).
+ * @property {CaseViewFilters} filters
+ * @property {boolean} is_shared
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/** @type {CaseViewFilters} */
+export const EMPTY_VIEW_FILTERS = {
+	searchQuery: "",
+	status: "all",
+	priority: "all",
+	dateFrom: "",
+	dateTo: "",
+	includeArchived: false,
+	caseManager: "all",
+	fieldFilter: EMPTY_FIELD_FILTER,
+};
+
+/**
+ * @param {Partial<CaseViewFilters>|null|undefined} filters
+ * @returns {CaseViewFilters}
+ */
+export const normalizeViewFilters = (filters) => ({
+	...EMPTY_VIEW_FILTERS,
+	...(filters ?? {}),
+});
+
+/**
+ * Own and shared views, by tab then name.
+ * @returns {Promise<{ data: CaseFilterViewRow[], error: any }>}
+ */
+export async function listFilterViews() {
+	const { data, error } = await supabase
+		.from(VIEWS_TABLE)
+		.select("*")
+		.order("case_type", { ascending: true })
+		.order("name", { ascending: true });
+	if (error) {
+		console.error("❌ Failed to load saved views:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
+
+/**
+ * @param {{ name: string, caseType: string, filters: CaseViewFilters, isShared?: boolean, ownerName?: string }} params
+ * @returns {Promise<{ data: CaseFilterViewRow|null, error: any }>}
+ */
+export async function createFilterView({
+	name,
+	caseType,
+	filters,
+	isShared = false,
+	ownerName = "",
+}) {
+	const trimmed = `${name ?? ""}`.trim();
+	if (!trimmed) {
+		return { data: null, error: new Error("A view name is required.") };
+	}
+	const { data, error } = await supabase
+		.from(VIEWS_TABLE)
+		.insert({
+			name: trimmed,
+			case_type: caseType,
+			filters: normalizeViewFilters(filters),
+			is_shared: isShared,
+			owner_name: ownerName || null,
+		})
+		.select()
+		.single();
+	if (error) {
+		console.error("❌ Failed to save view:", error);
+		return {
+			data: null,
+			error:
+				error.code === "23505"
+					? new Error(`You already have a view named "${trimmed}".`)
+					: error,
+		};
+	}
+	return { data, error: null };
+}
+
+/**
+ * Change an own view: its name, its filters (re-save) or whether it is shared.
+ *
+ * @param {string} viewId
+ * @param {{ name?: string, filters?: CaseViewFilters, isShared?: boolean }} changes
+ * @returns {Promise<{ data: CaseFilterViewRow|null, error: any }>}
+ */
+export async function updateFilterView(viewId, { name, filters, isShared }) {
+	const patch = {};
+	if (name !== undefined) patch.name = `${name}`.trim();
+	if (filters !== undefined) patch.filters = normalizeViewFilters(filters);
+	if (isShared !== undefined) patch.is_shared = isShared;
+	if (patch.name === "") {
+		return { data: null, error: new Error("A view name is required.") };
+	}
+
+	const { data, error } = await supabase
+		.from(VIEWS_TABLE)
+		.update(patch)
+		.eq("id", viewId)
+		.select()
+		.single();
+	if (error) {
+		console.error("❌ Failed to update view:", error);
+		return { data: null, error };
+	}
+	return { data, error: null };
+}
+
+/**
+ * @param {string} viewId
+ * @returns {Promise<{ error: any }>}
+ */
+export async function deleteFilterView(viewId) {
+	const { error } = await supabase
+		.from(VIEWS_TABLE)
+		.delete()
+		.eq("id", viewId);
+	if (error) console.error("❌ Failed to delete view:", error);
+	return { error: error ?? null };
+}
+
+/**
+ * @param {string} userId
+ * @returns {Promise<{ data: string|null, error: any }>} Landing view id.
+ */
+export async function fetchDefaultFilterViewId(userId) {
+	const { data, error } = await supabase
+		.from(DEFAULTS_TABLE)
+		.select("view_id")
+		.eq("user_id", userId)
+		.maybeSingle();
+	if (error) {
+		console.error("❌ Failed to load landing view:", error);
+		return { data: null, error };
+	}
+	return { data: data?.view_id ?? null, error: null };
+}
+
+/**
+ * Set or clear (`viewId` null) the user's landing view.
+ *
+ * @param {string} userId
+ * @param {string|null} viewId
+ * @returns {Promise<{ error: any }>}
+ */
+export async function setDefaultFilterView(userId, viewId) {
+	const { error } = viewId
+		? await supabase.from(DEFAULTS_TABLE).upsert({
+				user_id: userId,
+				view_id: viewId,
+				updated_at: new Date().toISOString(),
+			})
+		: await supabase.from(DEFAULTS_TABLE).delete().eq("user_id", userId);
+	if (error) console.error("❌ Failed to set landing view:", error);
+	return { error: error ?? null };
+}
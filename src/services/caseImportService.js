@@ -0,0 +1,982 @@
+/**
+ * Excel import of case records (online-only).
+ *
+ * Responsibilities:
+ * - Describe the fields each importable case type takes and suggest which
+ *   workbook column fills each one (`suggestImportMapping`).
+ * - Build one case per workbook row with the case type's payload builder,
+ *   check its fields and validate it, and flag rows that look like a cached
+ *   case or an earlier row of the same sheet (`planCaseImport`).
+ * - Insert the chosen rows in batches, with their family rows, and report the
+ *   outcome of every row (`runCaseImport`, `buildImportReport`).
+ *
+ * Notes:
+ * - One row is one case. Family lists (CASE, CICL/CAR, FAC and SP members, SC
+ *   children) come from a JSON or comma-separated list cell, or from the
+ *   numbered columns the Excel export writes (`CASE_FAMILY_1_NAME`, ...).
+ * - CASE, CICL/CAR and FAC members go to the case type's family table after
+ *   the case is inserted; SP and SC keep them on the case row.
+ * - Dates, numbers, yes/no answers and choice fields are checked the way the
+ *   intake forms restrict them (`fieldTypes` of each case type). FAR rows
+ *   also go through `validateFARPayload` and IVAC rows through
+ *   `validateIVACData`; the other types require the client's name.
+ * - Rows are inserted straight into Supabase, not through the offline queue,
+ *   so the database fills in clients and households as for any new case. The
+ *   tab reloads afterwards to show them.
+ */
+
+import supabase from "@/../config/supabase";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLog,
+} from "@/lib/auditLog";
+import { findCaseField } from "@/lib/caseFieldCatalog";
+import { buildCasePayload } from "@/lib/caseSubmission";
+import { buildFACasePayload } from "@/lib/faSubmission";
+import { buildFacCasePayload } from "@/lib/facSubmission";
+import { buildFARCasePayload, validateFARPayload } from "@/lib/farSubmission";
+import { buildIVACCasePayload, validateIVACData } from "@/lib/ivacSubmission";
+import { buildPWDCasePayload } from "@/lib/pwdSubmission";
+import { buildSCCasePayload } from "@/lib/scSubmission";
+import { buildSPCasePayload } from "@/lib/spSubmission";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { caseDisplayName } from "@/services/caseTimelineService";
+import { isNetworkError } from "@/services/offlineCaseRepository";
+
+/** Rows per insert request. A failed batch is retried row by row. */
+const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * @typedef {Object} ImportPlanRow
+ * @property {number} rowNumber Worksheet row the case comes from.
+ * @property {Record<string, any>} payload Insert payload for the case table.
+ * @property {Record<string, any>[]} familyMembers Rows for the case type's
+ *   family table; empty for types without one.
+ * @property {string[]} errors The row cannot be imported while any remain.
+ * @property {string[]} warnings Possible duplicates; imported only on request.
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {Array<{ rowNumber: number, caseId: string|null }>} inserted
+ * @property {Array<{ rowNumber: number, error: any }>} failed
+ */
+
+/**
+ * How a field's cell is read: a date, a number, a yes/no answer, one of the
+ * codes a form offers (`{ choices }`), or a list of them (`{ listOf }`).
+ * @typedef {"date"|"number"|"boolean"|{ choices: string[] }|{ listOf: string[] }} ImportFieldType
+ */
+
+/**
+ * Family list of a case type.
+ * @typedef {Object} ImportFamilyConfig
+ * @property {string} field Field holding the list, as exported.
+ * @property {string} prefix Numbered columns: `<prefix>_<n>_<column>`.
+ * @property {Record<string, string>} columns Numbered column → stored key; the
+ *   first one names the member.
+ * @property {boolean} [onCase] Kept on the case row rather than a family table.
+ */
+
+const MANAGEMENT_FIELDS = ["case_manager", "status", "priority", "visibility"];
+
+/** Columns the database fills in on family rows. */
+const SERVER_FAMILY_COLUMNS = [
+	"id",
+	"created_at",
+	"updated_at",
+	"household_member_id",
+	"case_id",
+	"ciclcar_case_id",
+	"fac_case_id",
+];
+
+const choice = (...choices) => ({ choices });
+
+/** "Cohabitation (live-in)" and "cohabitation_livein" are the same choice. */
+const choiceKey = (text) =>
+	`${text ?? ""}`.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/** Comparison key from all parts, or null when any part is blank. */
+const duplicateKey = (...parts) => {
+	const normalized = parts.map((part) =>
+		`${part ?? ""}`.trim().replace(/\s+/g, " ").toLowerCase(),
+	);
+	return normalized.every(Boolean) ? normalized.join("|") : null;
+};
+
+/** List cell: a JSON array as exported, or comma/semicolon/line separated. */
+function parseList(text) {
+	const trimmed = `${text ?? ""}`.trim();
+	if (!trimmed) return [];
+	if (trimmed.startsWith("[")) {
+		try {
+			const parsed = JSON.parse(trimmed);
+			return Array.isArray(parsed) ? parsed : null;
+		} catch {
+			return null;
+		}
+	}
+	return trimmed
+		.split(/[,;\n]/)
+		.map((item) => item.trim())
+		.filter(Boolean);
+}
+
+/** `MM-DD-YYYY` (how the Excel export writes dates) to `YYYY-MM-DD`. */
+function isoDateText(text) {
+	const match = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(text);
+	if (!match) return text;
+	const [, month, day, year] = match;
+	return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+const YES = new Set(["yes", "y", "true", "1"]);
+const NO = new Set(["no", "n", "false", "0"]);
+
+/**
+ * Check each typed field and turn its text into the value the form would
+ * save: numbers as numbers, yes/no as booleans, choices as their codes, and
+ * choice lists as a JSON list of codes.
+ *
+ * @param {Record<string, ImportFieldType>} fieldTypes
+ * @param {Record<string, string>} values
+ * @returns {{ values: Record<string, any>, errors: Record<string, string> }}
+ *   Errors by field.
+ */
+function readTypedValues(fieldTypes = {}, values) {
+	const read = { ...values };
+	const errors = {};
+	const invalid = (field, text, hint) => {
+		errors[field] = `${importFieldLabel(field)}: "${text}" is not ${hint}`;
+	};
+
+	for (const [field, type] of Object.entries(fieldTypes)) {
+		const text = values[field];
+		if (!text) continue;
+		if (type === "date") {
+			if (Number.isNaN(new Date(text).getTime())) {
+				invalid(field, text, "a date");
+			}
+		} else if (type === "number") {
+			const number = Number(text.replace(/,/g, ""));
+			if (Number.isFinite(number)) read[field] = number;
+			else invalid(field, text, "a number");
+		} else if (type === "boolean") {
+			const answer = text.toLowerCase();
+			if (YES.has(answer)) read[field] = true;
+			else if (NO.has(answer)) read[field] = false;
+			else invalid(field, text, "yes or no");
+		} else if (type.choices) {
+			const code = type.choices.find(
+				(option) => choiceKey(option) === choiceKey(text),
+			);
+			if (code) read[field] = code;
+			else invalid(field, text, `one of: ${type.choices.join(", ")}`);
+		} else if (type.listOf) {
+			const items = parseList(text);
+			if (!items) continue;
+			const codes = items.map((item) =>
+				type.listOf.find(
+					(option) => choiceKey(option) === choiceKey(item),
+				),
+			);
+			const unknown = items.filter((_, index) => !codes[index]);
+			if (unknown.length) {
+				invalid(
+					field,
+					unknown.join(", "),
+					`one of: ${type.listOf.join(", ")}`,
+				);
+			} else {
+				read[field] = JSON.stringify(codes);
+			}
+		}
+	}
+	return { values: read, errors };
+}
+
+/**
+ * Members of a row's family list: the numbered columns when the sheet has
+ * them, otherwise the list cell. Null when the row has neither.
+ *
+ * @param {ImportFamilyConfig} family
+ * @param {Record<string, string>} values Mapped field values.
+ * @param {Record<string, string>} cells Every cell of the row by column.
+ * @returns {{ members: Record<string, any>[]|null, errors: string[] }}
+ */
+function readFamily(family, values, cells) {
+	const [nameKey] = Object.values(family.columns);
+	const pattern = new RegExp(`^${family.prefix}_(\\d+)_(.+)$`);
+	const numbered = new Map();
+	for (const [column, text] of Object.entries(cells)) {
+		const match = pattern.exec(normalizeHeader(column));
+		const key = match && family.columns[match[2]];
+		if (!key || !text) continue;
+		const index = Number(match[1]);
+		if (!numbered.has(index)) numbered.set(index, {});
+		numbered.get(index)[key] = isoDateText(text);
+	}
+
+	let members;
+	if (numbered.size) {
+		members = [...numbered.keys()]
+			.sort((a, b) => a - b)
+			.map((index) => numbered.get(index));
+	} else if (values[family.field]) {
+		const items = parseList(values[family.field]);
+		if (!items) {
+			return {
+				members: null,
+				errors: [
+					`${importFieldLabel(family.field)} is not a valid list`,
+				],
+			};
+		}
+		members = items.map((item) => {
+			if (typeof item !== "object" || item === null) {
+				return { [nameKey]: `${item}` };
+			}
+			const member = { ...item };
+			for (const column of SERVER_FAMILY_COLUMNS) delete member[column];
+			return member;
+		});
+	} else {
+		return { members: null, errors: [] };
+	}
+
+	const errors = members
+		.map((member, index) =>
+			member[nameKey] ? null : `Family member ${index + 1} has no name`,
+		)
+		.filter(Boolean);
+	return { members, errors };
+}
+
+const requireFields = (fields) => (payload) => {
+	const missing = fields.filter((field) => !payload[field]);
+	return missing.length
+		? [`Missing required fields: ${missing.join(", ")}`]
+		: [];
+};
+
+/**
+ * Import config for a builder that takes the payload's own column names.
+ * Array columns are read as lists.
+ */
+function flatImport(build, options) {
+	const empty = build();
+	const listFields = Object.keys(empty).filter((field) =>
+		Array.isArray(empty[field]),
+	);
+	return {
+		fields: Object.keys(empty),
+		buildPayload: (values) => {
+			const state = { ...values };
+			for (const field of listFields) {
+				if (field in state)
+					state[field] = parseList(state[field]) ?? [];
+			}
+			return build(state);
+		},
+		// Builders turn anything that is not an array into [], so report
+		// list cells that could not be read before that happens. Family
+		// lists are read (and reported) by `readFamily`.
+		checkValues: (values) =>
+			listFields
+				.filter(
+					(field) =>
+						field !== options.family?.field &&
+						field in values &&
+						!parseList(values[field]),
+				)
+				.map(
+					(field) => `${importFieldLabel(field)} is not a valid list`,
+				),
+		...options,
+	};
+}
+
+/**
+ * Import config for a form whose builder reads nested intake sections: the
+ * fields are the case row's columns, filled over the builder's empty payload
+ * so its defaults (e.g. FAC status) still apply.
+ */
+function columnImport(empty, options) {
+	return {
+		fields: [
+			...Object.keys(empty),
+			...(options.family ? [options.family.field] : []),
+		],
+		buildPayload: (values) => {
+			const payload = { ...empty };
+			for (const field of Object.keys(empty)) {
+				if (values[field] !== undefined) payload[field] = values[field];
+			}
+			return payload;
+		},
+		...options,
+	};
+}
+
+const ivacFormData = (values) => ({
+	incidenceOnVAC: {
+		...values,
+		records: parseList(values.records),
+		case_managers: parseList(values.case_managers) ?? [],
+	},
+});
+
+/** Columns the CICL/CAR intake saves (the form builds them inline). */
+const CICLCAR_EMPTY_PAYLOAD = Object.fromEntries(
+	[
+		"case_manager",
+		"status",
+		"priority",
+		"profile_name",
+		"profile_alias",
+		"profile_sex",
+		"profile_gender",
+		"profile_birth_date",
+		"profile_age",
+		"profile_status",
+		"profile_religion",
+		"profile_address",
+		"profile_client_category",
+		"profile_ip_group",
+		"profile_nationality",
+		"profile_disability",
+		"profile_contact_number",
+		"profile_educational_attainment",
+		"profile_educational_status",
+		"violation",
+		"violation_date_time_committed",
+		"specific_violation",
+		"violation_place_committed",
+		"violation_status",
+		"violation_admission_date",
+		"repeat_offender",
+		"violation_previous_offense",
+		"record_details",
+		"complainant_name",
+		"complainant_alias",
+		"complainant_victim",
+		"complainant_relationship",
+		"complainant_contact_number",
+		"complainant_sex",
+		"complainant_birth_date",
+		"complainant_address",
+		"remarks",
+		"referral_region",
+		"referral_province",
+		"referral_city",
+		"referral_barangay",
+		"referral_referred_to",
+		"referral_date_referred",
+		"referral_reason",
+	].map((field) => [field, null]),
+);
+
+/** SP columns → keys of the Single Parent form state `buildSPCasePayload` reads. */
+const SP_FORM_KEYS = {
+	case_manager: "caseManager",
+	status: "status",
+	priority: "priority",
+	visibility: "visibility",
+	full_name: "name",
+	age: "age",
+	address: "address",
+	birth_date: "birthDate",
+	birth_place: "birthPlace",
+	civil_status: "civilStatus",
+	educational_attainment: "educationalAttainment",
+	occupation: "occupation",
+	monthly_income: "monthlyIncome",
+	religion: "religion",
+	interview_date: "interviewDate",
+	year_member: "yearMember",
+	skills: "skills",
+	solo_parent_duration: "soloParentDuration",
+	four_ps: "fourPs",
+	parents_whereabouts: "parentsWhereabouts",
+	background_information: "backgroundInformation",
+	assessment: "assessment",
+	contact_number: "cellphoneNumber",
+	emergency_contact_person: "emergencyContactPerson",
+	emergency_contact_number: "emergencyContactNumber",
+	notes: "notes",
+};
+
+const IMPORT_CASE_TYPES = {
+	CASE: columnImport(
+		{ ...buildCasePayload({}, false), ...buildCasePayload({}, true) },
+		{
+			aliases: { family_members_json: "family_members" },
+			validate: requireFields(["identifying_name"]),
+			fieldTypes: {
+				identifying_intake_date: "date",
+				identifying_birthday: "date",
+				identifying_age: "number",
+				identifying2_intake_date: "date",
+				identifying2_birthday: "date",
+				identifying2_age: "number",
+				perpetrator_age: "number",
+				perpetrator_commission_datetime: "date",
+				victim2_age: "number",
+				victim2_commission_datetime: "date",
+			},
+			family: {
+				field: "family_members",
+				prefix: "case_family",
+				columns: {
+					name: "name",
+					age: "age",
+					relation: "relation",
+					status: "status",
+					education: "education",
+					occupation: "occupation",
+					income: "income",
+					group_no: "group_no",
+				},
+			},
+			duplicateKey: (row) =>
+				duplicateKey(row.identifying_name, row.identifying_birthday) ??
+				duplicateKey(row.identifying_name, row.identifying_intake_date),
+		},
+	),
+	CICLCAR: columnImport(CICLCAR_EMPTY_PAYLOAD, {
+		aliases: { family_background_json: "family_background" },
+		validate: requireFields(["profile_name"]),
+		fieldTypes: {
+			profile_birth_date: "date",
+			profile_age: "number",
+			violation_date_time_committed: "date",
+			violation_admission_date: "date",
+			complainant_birth_date: "date",
+			referral_date_referred: "date",
+		},
+		family: {
+			field: "family_background",
+			prefix: "ciclcar_family",
+			columns: {
+				name: "name",
+				relationship: "relationship",
+				age: "age",
+				sex: "sex",
+				status: "status",
+				contact_number: "contact_number",
+				educational_attainment: "educational_attainment",
+				employment: "employment",
+			},
+		},
+		duplicateKey: (row) =>
+			duplicateKey(row.profile_name, row.profile_birth_date),
+	}),
+	FAC: columnImport(buildFacCasePayload({}), {
+		aliases: { family_members_json: "family_members" },
+		validate: requireFields(["head_last_name", "head_first_name"]),
+		fieldTypes: {
+			head_birthdate: "date",
+			head_age: "number",
+			head_monthly_income: "number",
+			head_4ps_beneficiary: "boolean",
+			head_ip_ethnicity: "boolean",
+			vulnerable_older_persons: "number",
+			vulnerable_pregnant_women: "number",
+			vulnerable_lactating_women: "number",
+			vulnerable_pwds: "number",
+			date_registered: "date",
+		},
+		family: {
+			field: "family_members",
+			prefix: "fac_family",
+			columns: {
+				name: "family_member_name",
+				relation_to_head: "relation_to_head",
+				birthdate: "birthdate",
+				age: "age",
+				sex: "sex",
+				educational_attainment: "educational_attainment",
+				occupation: "occupation",
+				remarks: "remarks",
+			},
+		},
+		duplicateKey: (row) =>
+			duplicateKey(
+				row.head_last_name,
+				row.head_first_name,
+				row.head_birthdate,
+			),
+	}),
+	SP: {
+		fields: [...Object.keys(SP_FORM_KEYS), "family_members"],
+		buildPayload: (values) =>
+			buildSPCasePayload(
+				Object.fromEntries(
+					Object.entries(SP_FORM_KEYS).map(([field, key]) => [
+						key,
+						values[field],
+					]),
+				),
+			),
+		validate: requireFields(["full_name"]),
+		fieldTypes: {
+			age: "number",
+			birth_date: "date",
+			interview_date: "date",
+			four_ps: "boolean",
+		},
+		family: {
+			field: "family_members",
+			prefix: "family",
+			columns: {
+				name: "name",
+				age: "age",
+				status: "status",
+				relation_to_client: "relationToClient",
+				birthday: "birthday",
+				educational_attainment: "educationalAttainment",
+				occupation: "occupation",
+			},
+			onCase: true,
+		},
+		duplicateKey: (row) => duplicateKey(row.full_name, row.birth_date),
+	},
+	SC: flatImport(buildSCCasePayload, {
+		validate: requireFields(["senior_name"]),
+		fieldTypes: {
+			date_of_birth: "date",
+			date_of_interview: "date",
+			capability_to_travel: choice("yes", "no"),
+		},
+		family: {
+			field: "children",
+			prefix: "child",
+			columns: {
+				name: "full_name",
+				occupation: "occupation",
+				income: "income",
+				age: "age",
+				working_status: "working_status",
+			},
+			onCase: true,
+		},
+		duplicateKey: (row) =>
+			duplicateKey("osca", row.osca_id_number) ??
+			duplicateKey(row.senior_name, row.date_of_birth),
+	}),
+	PWD: flatImport(buildPWDCasePayload, {
+		validate: requireFields(["last_name", "first_name"]),
+		fieldTypes: {
+			application_type: choice("new_applicant", "renewal"),
+			date_applied: "date",
+			date_of_birth: "date",
+			sex: choice("male", "female"),
+			civil_status: choice(
+				"single",
+				"separated",
+				"cohabitation_livein",
+				"married",
+				"widowed",
+			),
+			type_of_disability: {
+				listOf: findCaseField("PWD", "type_of_disability").options.map(
+					(option) => option.value,
+				),
+			},
+			cause_of_disability: {
+				listOf: [
+					"autism",
+					"adhd",
+					"cerebral_palsy",
+					"down_syndrome",
+					"chronic_illness",
+					"injury",
+				],
+			},
+			employment_status: choice(
+				"employed",
+				"unemployed",
+				"self_employed",
+			),
+			employment_category: choice("government", "private"),
+			type_of_employment: choice(
+				"permanent_regular",
+				"seasonal",
+				"casual",
+				"emergency",
+			),
+			accomplished_by: choice("applicant", "guardian", "representative"),
+		},
+		duplicateKey: (row) =>
+			duplicateKey("pwd", row.pwd_number) ??
+			duplicateKey(row.last_name, row.first_name, row.date_of_birth),
+	}),
+	FA: flatImport(buildFACasePayload, {
+		aliases: { beneficiary_name: "benificiary_name" },
+		validate: requireFields(["client_name"]),
+		fieldTypes: {
+			interview_date: "date",
+			date_recorded: "date",
+			gender: choice("female", "male", "other"),
+			four_ps_member: choice("yes", "no"),
+			status_report: choice("draft", "submitted", "approved", "rejected"),
+		},
+		duplicateKey: (row) =>
+			duplicateKey(row.client_name, row.date_recorded, row.purpose),
+	}),
+	FAR: {
+		fields: [
+			...MANAGEMENT_FIELDS,
+			"date",
+			"receiving_member",
+			"emergency",
+			"assistance",
+			"unit",
+			"quantity",
+			"cost",
+			"provider",
+		],
+		buildPayload: (values) =>
+			buildFARCasePayload({
+				familyAssistanceRecord: values,
+				caseDetails: values,
+			}),
+		validate: (payload) => validateFARPayload(payload).errors,
+		duplicateKey: (row) =>
+			duplicateKey(row.date, row.receiving_member, row.assistance),
+	},
+	IVAC: {
+		fields: [
+			"province",
+			"municipality",
+			"reporting_period",
+			"status",
+			"case_managers",
+			"records",
+			"notes",
+		],
+		aliases: { records_json: "records" },
+		buildPayload: (values) => buildIVACCasePayload(ivacFormData(values)),
+		validate: (_payload, values) =>
+			validateIVACData(ivacFormData(values)).errors,
+		duplicateKey: (row) =>
+			duplicateKey(row.province, row.municipality, row.reporting_period),
+	},
+};
+
+/** Case types the import wizard offers. */
+export const IMPORT_CASE_TYPE_KEYS = Object.keys(IMPORT_CASE_TYPES);
+
+const normalizeHeader = (text) =>
+	`${text ?? ""}`
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "_")
+		.replace(/^_+|_+$/g, "");
+
+/** "date_of_birth" → "Date of birth". */
+export const importFieldLabel = (field) =>
+	`${field.charAt(0).toUpperCase()}${field.slice(1).replace(/_/g, " ")}`;
+
+/**
+ * Name of an imported or cached case for the preview. IVAC reports are told
+ * apart by municipality and period rather than by barangay.
+ * @param {string} caseType
+ * @param {Record<string, any>} row
+ * @returns {string}
+ */
+export function describeImportRow(caseType, row) {
+	if (caseType !== "IVAC") return caseDisplayName(caseType, row);
+	return [row.municipality, row.reporting_period].filter(Boolean).join(" · ");
+}
+
+/**
+ * @param {string} caseType
+ * @returns {Array<{ field: string, label: string }>}
+ */
+export function listImportFields(caseType) {
+	return (IMPORT_CASE_TYPES[caseType]?.fields ?? []).map((field) => ({
+		field,
+		label: importFieldLabel(field),
+	}));
+}
+
+/**
+ * Field for each column whose header names one: the column name
+ * ("date_of_birth", "Date of Birth") or the Excel template token
+ * ("DATE_OF_BIRTH"). Each field is suggested once.
+ *
+ * @param {string} caseType
+ * @param {string[]} columns
+ * @returns {Record<string, string>} Column → field, "" for unmapped columns.
+ */
+export function suggestImportMapping(caseType, columns) {
+	const config = IMPORT_CASE_TYPES[caseType];
+	const used = new Set();
+	return Object.fromEntries(
+		columns.map((column) => {
+			const header = normalizeHeader(column);
+			const field = config?.fields.includes(header)
+				? header
+				: config?.aliases?.[header];
+			if (!field || used.has(field)) return [column, ""];
+			used.add(field);
+			return [column, field];
+		}),
+	);
+}
+
+/**
+ * Build and check a case for every row that has a value in a mapped column.
+ *
+ * @param {{ caseType: string, rows: import("@/lib/caseExcelImport").ImportSourceRow[], mapping: Record<string, string> }} params
+ * @returns {Promise<{ data: ImportPlanRow[]|null, error: any }>}
+ */
+export async function planCaseImport({ caseType, rows, mapping }) {
+	const config = IMPORT_CASE_TYPES[caseType];
+	if (!config) {
+		return {
+			data: null,
+			error: new Error(`${caseType} cases cannot be imported.`),
+		};
+	}
+
+	// Compared against the cached tab, so cases nobody has loaded on this
+	// device are not flagged.
+	const existing = new Map();
+	try {
+		for (const row of await CASE_REPOSITORIES[caseType].listLocalRows()) {
+			const key = config.duplicateKey(row);
+			if (key && !existing.has(key)) existing.set(key, row);
+		}
+	} catch (error) {
+		console.error("❌ Failed to read cached cases for the import:", error);
+		return { data: null, error };
+	}
+
+	const firstRowByKey = new Map();
+	const plans = [];
+	for (const { rowNumber, values: cells } of rows) {
+		const values = {};
+		for (const [column, field] of Object.entries(mapping)) {
+			const text = cells[column];
+			if (field && text) values[field] = isoDateText(text);
+		}
+		if (!Object.keys(values).length) continue;
+
+		const typed = readTypedValues(config.fieldTypes, values);
+		const payload = config.buildPayload(typed.values);
+		const family = config.family
+			? readFamily(config.family, values, cells)
+			: { members: null, errors: [] };
+		if (family.members && config.family.onCase) {
+			payload[config.family.field] = family.members;
+		}
+		const errors = [
+			...Object.values(typed.errors),
+			...family.errors,
+			...(config.checkValues?.(values) ?? []),
+			...config.validate(payload, values),
+		];
+		for (const [field, text] of Object.entries(values)) {
+			if (payload[field] === null && !typed.errors[field]) {
+				errors.push(
+					`${importFieldLabel(field)}: "${text}" is not valid`,
+				);
+			}
+		}
+
+		const warnings = [];
+		const key = config.duplicateKey(payload);
+		if (key && existing.has(key)) {
+			warnings.push(
+				`Looks like an existing case: ${describeImportRow(caseType, existing.get(key))}`,
+			);
+		}
+		if (key && firstRowByKey.has(key)) {
+			warnings.push(
+				`Same as row ${firstRowByKey.get(key)} of this sheet`,
+			);
+		} else if (key) {
+			firstRowByKey.set(key, rowNumber);
+		}
+
+		const familyMembers =
+			family.members && !config.family.onCase ? family.members : [];
+		plans.push({ rowNumber, payload, familyMembers, errors, warnings });
+	}
+	return { data: plans, error: null };
+}
+
+const insertCases = (table, payloads) =>
+	supabase
+		.from(table)
+		.insert(payloads, { defaultToNull: false })
+		.select("id");
+
+/**
+ * Insert the family rows of newly inserted cases: in one request, then case by
+ * case if that is rejected. A case whose family rows cannot be saved is
+ * deleted again, so importing the row a second time does not duplicate it.
+ *
+ * @param {import("@/services/offlineCaseRepository").OfflineCaseRepository} repository
+ * @param {Array<{ plan: ImportPlanRow, caseId: string|null }>} cases
+ * @returns {Promise<Array<{ rowNumber: number, error: any }>>} Rows that failed.
+ */
+async function insertFamilies(repository, cases) {
+	const withFamily = cases.filter(
+		({ plan, caseId }) => caseId && plan.familyMembers.length,
+	);
+	if (!repository.family || !withFamily.length) return [];
+
+	const familyRows = ({ plan, caseId }) =>
+		repository.family.buildRows(caseId, plan.familyMembers);
+	const { error } = await supabase
+		.from(repository.family.table)
+		.insert(withFamily.flatMap(familyRows));
+	if (!error) return [];
+
+	const failed = [];
+	for (const entry of withFamily) {
+		const single = await supabase
+			.from(repository.family.table)
+			.insert(familyRows(entry));
+		if (single.error) failed.push({ ...entry, error: single.error });
+	}
+	if (failed.length) {
+		const { error: deleteError } = await supabase
+			.from(repository.table)
+			.delete()
+			.in(
+				"id",
+				failed.map((entry) => entry.caseId),
+			);
+		if (deleteError) {
+			console.error(
+				"❌ Failed to remove imported cases without their family:",
+				deleteError,
+			);
+		}
+	}
+	return failed.map((entry) => ({
+		rowNumber: entry.plan.rowNumber,
+		error: entry.error,
+	}));
+}
+
+/**
+ * Insert planned rows in batches, then their family rows. A batch the
+ * database rejects is retried one row at a time so the report names the
+ * failing rows; a lost connection stops the import and fails the rest.
+ *
+ * @param {{ caseType: string, plans: ImportPlanRow[], fileName: string }} params
+ * @returns {Promise<{ data: ImportResult, error: any }>}
+ */
+export async function runCaseImport({ caseType, plans, fileName }) {
+	const repository = CASE_REPOSITORIES[caseType];
+	const inserted = [];
+	const failed = [];
+
+	for (let start = 0; start < plans.length; start += IMPORT_BATCH_SIZE) {
+		const batch = plans.slice(start, start + IMPORT_BATCH_SIZE);
+		const { data, error } = await insertCases(
+			repository.table,
+			batch.map((plan) => plan.payload),
+		);
+		if (error && isNetworkError(error)) {
+			console.error("❌ Case import lost its connection:", error);
+			for (const plan of plans.slice(start)) {
+				failed.push({ rowNumber: plan.rowNumber, error });
+			}
+			break;
+		}
+
+		const batchCases = [];
+		if (!error) {
+			batch.forEach((plan, index) =>
+				batchCases.push({ plan, caseId: data?.[index]?.id ?? null }),
+			);
+		} else {
+			for (const plan of batch) {
+				const single = await insertCases(repository.table, [
+					plan.payload,
+				]);
+				if (single.error) {
+					failed.push({
+						rowNumber: plan.rowNumber,
+						error: single.error,
+					});
+				} else {
+					batchCases.push({
+						plan,
+						caseId: single.data?.[0]?.id ?? null,
+					});
+				}
+			}
+		}
+
+		const familyFailed = await insertFamilies(repository, batchCases);
+		const familyFailedRows = new Set(
+			familyFailed.map((row) => row.rowNumber),
+		);
+		failed.push(...familyFailed);
+		for (const { plan, caseId } of batchCases) {
+			if (familyFailedRows.has(plan.rowNumber)) continue;
+			inserted.push({ rowNumber: plan.rowNumber, caseId });
+		}
+	}
+
+	if (failed.length) {
+		console.error(
+			`❌ ${failed.length} row(s) failed to import:`,
+			failed[0].error,
+		);
+	}
+	if (inserted.length) {
+		await createAuditLog({
+			actionType: AUDIT_ACTIONS.IMPORT_CASES,
+			actionCategory: AUDIT_CATEGORIES.CASE,
+			description: `Imported ${inserted.length} ${repository.label} case${inserted.length === 1 ? "" : "s"} from ${fileName}`,
+			resourceType: "case",
+			metadata: {
+				caseType,
+				fileName,
+				imported: inserted.length,
+				failed: failed.length,
+			},
+			severity: "info",
+		});
+	}
+	return { data: { inserted, failed }, error: null };
+}
+
+/**
+ * One line per planned row for the downloadable import report.
+ *
+ * @param {{ plans: ImportPlanRow[], result: ImportResult }} params
+ * @returns {Array<Record<string, string|number>>}
+ */
+export function buildImportReport({ plans, result }) {
+	const inserted = new Map(
+		result.inserted.map((row) => [row.rowNumber, row.caseId]),
+	);
+	const failed = new Map(
+		result.failed.map((row) => [row.rowNumber, row.error]),
+	);
+	return plans.map((plan) => {
+		const error = failed.get(plan.rowNumber);
+		return {
+			Row: plan.rowNumber,
+			Result: inserted.has(plan.rowNumber)
+				? "Imported"
+				: error
+					? "Failed"
+					: "Skipped",
+			"Case ID": inserted.get(plan.rowNumber) ?? "",
+			Details: error
+				? (error.message ?? String(error))
+				: [...plan.errors, ...plan.warnings].join("; "),
+		};
+	});
+}
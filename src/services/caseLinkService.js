@@ -0,0 +1,368 @@
+/**
+ * Related-case links (online-only).
+ *
+ * Responsibilities:
+ * - Define the relationships two cases can have and how each reads from
+ *   either end (`CASE_LINK_RELATIONS`, `CASE_LINK_CHOICES`).
+ * - List the links of one case, or of many cases for the Excel export.
+ * - Link two cases of any case type and remove a link.
+ * - List cached cases of a type to link to (`listLinkableCases`).
+ *
+ * Notes:
+ * - Links live in `case_links` (database/migrations/20261019_add_case_links.sql)
+ *   and name cases only by type and id. Names come from this workstation's
+ *   cache, so a linked case it has not cached shows without one.
+ * - `perpetrator_victim` and `referral_origin` are directional; a choice with
+ *   `reverse` makes the current case the target of the stored link.
+ * - The database keeps one link per relationship between two cases; a second
+ *   one fails with a readable error.
+ * - Only the worker who made a link can remove it.
+ */
+
+import supabase from "@/../config/supabase";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLog,
+} from "@/lib/auditLog";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { caseDisplayName } from "@/services/caseTimelineService";
+
+const LINKS_TABLE = "case_links";
+
+/** Ids per `in` filter, keeping the request URL short. */
+const ID_CHUNK_SIZE = 200;
+
+/**
+ * How a relationship reads from the source case (`forward`) and from the
+ * target case (`reverse`): the label describes the other case.
+ * @type {Record<string, { forward: string, reverse: string }>}
+ */
+export const CASE_LINK_RELATIONS = {
+	same_client: { forward: "Same client", reverse: "Same client" },
+	sibling: { forward: "Sibling", reverse: "Sibling" },
+	household: { forward: "Same household", reverse: "Same household" },
+	perpetrator_victim: {
+		forward: "Victim's case",
+		reverse: "Perpetrator's case",
+	},
+	referral_origin: { forward: "Referred from", reverse: "Referred to" },
+};
+
+/**
+ * What a worker picks when linking: the other case's role, seen from the
+ * current case.
+ * @type {{ value: string, relation: string, reverse: boolean, label: string }[]}
+ */
+export const CASE_LINK_CHOICES = Object.entries(CASE_LINK_RELATIONS).flatMap(
+	([relation, { forward, reverse }]) =>
+		forward === reverse
+			? [{ value: relation, relation, reverse: false, label: forward }]
+			: [
+					{
+						value: `${relation}:forward`,
+						relation,
+						reverse: false,
+						label: forward,
+					},
+					{
+						value: `${relation}:reverse`,
+						relation,
+						reverse: true,
+						label: reverse,
+					},
+				],
+);
+
+/**
+ * @typedef {Object} CaseLinkRow
+ * @property {string} id
+ * @property {string} source_type
+ * @property {string} source_id
+ * @property {string} target_type
+ * @property {string} target_id
+ * @property {string} relation
+ * @property {string|null} note
+ * @property {string} created_by
+ * @property {string|null} created_by_name
+ * @property {string} created_at
+ */
+
+/**
+ * A link as seen from one of its cases.
+ * @typedef {Object} CaseLinkView
+ * @property {CaseLinkRow} link
+ * @property {string} caseType The case it is seen from.
+ * @property {string} caseId
+ * @property {string} label Role of the other case.
+ * @property {string} otherType
+ * @property {string} otherId
+ */
+
+/**
+ * @param {CaseLinkRow} link
+ * @param {string} caseType
+ * @param {string} caseId
+ * @returns {CaseLinkView}
+ */
+export function viewCaseLink(link, caseType, caseId) {
+	const fromSource =
+		link.source_type === caseType && link.source_id === caseId;
+	const relation = CASE_LINK_RELATIONS[link.relation];
+	return {
+		link,
+		caseType,
+		caseId,
+		label:
+			(fromSource ? relation?.forward : relation?.reverse) ??
+			link.relation,
+		otherType: fromSource ? link.target_type : link.source_type,
+		otherId: fromSource ? link.target_id : link.source_id,
+	};
+}
+
+const linksFilter = (caseType, ids) => {
+	const list = `(${ids.join(",")})`;
+	return `and(source_type.eq.${caseType},source_id.in.${list}),and(target_type.eq.${caseType},target_id.in.${list})`;
+};
+
+/**
+ * Links of the given cases, each seen from its case, oldest first.
+ *
+ * @param {string} caseType
+ * @param {string[]} caseIds
+ * @returns {Promise<{ data: CaseLinkView[], error: any }>}
+ */
+export async function listCaseLinksFor(caseType, caseIds) {
+	const ids = [...new Set(caseIds.filter(Boolean))];
+	const views = [];
+	for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+		const chunk = ids.slice(start, start + ID_CHUNK_SIZE);
+		const { data, error } = await supabase
+			.from(LINKS_TABLE)
+			.select("*")
+			.or(linksFilter(caseType, chunk))
+			.order("created_at", { ascending: true });
+		if (error) {
+			console.error("❌ Failed to load related cases:", error);
+			return { data: [], error };
+		}
+		const wanted = new Set(chunk);
+		for (const link of data ?? []) {
+			// A link between two of the listed cases shows up under both.
+			if (link.source_type === caseType && wanted.has(link.source_id)) {
+				views.push(viewCaseLink(link, caseType, link.source_id));
+			}
+			if (link.target_type === caseType && wanted.has(link.target_id)) {
+				views.push(viewCaseLink(link, caseType, link.target_id));
+			}
+		}
+	}
+	return { data: views, error: null };
+}
+
+/**
+ * @param {{ caseType: string, caseId: string }} params
+ * @returns {Promise<{ data: CaseLinkView[], error: any }>}
+ */
+export const listCaseLinks = ({ caseType, caseId }) =>
+	listCaseLinksFor(caseType, [caseId]);
+
+/**
+ * Link the current case to another case.
+ *
+ * @param {{ caseType: string, caseId: string, otherType: string, otherId: string, choice: string, note?: string }} params
+ * @returns {Promise<{ data: CaseLinkRow|null, error: any }>}
+ */
+export async function createCaseLink({
+	caseType,
+	caseId,
+	otherType,
+	otherId,
+	choice,
+	note = "",
+}) {
+	const picked = CASE_LINK_CHOICES.find((item) => item.value === choice);
+	if (!picked) {
+		return { data: null, error: new Error("Pick a relationship.") };
+	}
+	if (!caseId || !otherId) {
+		return {
+			data: null,
+			error: new Error("Both cases must be synced before linking."),
+		};
+	}
+	if (caseType === otherType && caseId === otherId) {
+		return {
+			data: null,
+			error: new Error("A case cannot be linked to itself."),
+		};
+	}
+
+	const self = { type: caseType, id: caseId };
+	const other = { type: otherType, id: otherId };
+	const [source, target] = picked.reverse ? [other, self] : [self, other];
+
+	const { data, error } = await supabase
+		.from(LINKS_TABLE)
+		.insert({
+			source_type: source.type,
+			source_id: source.id,
+			target_type: target.type,
+			target_id: target.id,
+			relation: picked.relation,
+			note: `${note ?? ""}`.trim() || null,
+		})
+		.select("*")
+		.single();
+	if (error) {
+		console.error("❌ Failed to link cases:", error);
+		return {
+			data: null,
+			error:
+				error.code === "23505"
+					? new Error("These cases are already linked that way.")
+					: error,
+		};
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.LINK_CASES,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Linked a ${CASE_REPOSITORIES[caseType]?.label ?? caseType} case to a ${CASE_REPOSITORIES[otherType]?.label ?? otherType} case (${picked.label})`,
+		resourceType: "case",
+		resourceId: caseId,
+		metadata: {
+			caseType,
+			caseId,
+			otherType,
+			otherId,
+			relation: picked.relation,
+			linkId: data.id,
+		},
+		severity: "info",
+	});
+	return { data, error: null };
+}
+
+/**
+ * @param {CaseLinkView} view
+ * @returns {Promise<{ error: any }>}
+ */
+export async function removeCaseLink(view) {
+	const { data, error } = await supabase
+		.from(LINKS_TABLE)
+		.delete()
+		.eq("id", view.link.id)
+		.select("id");
+	if (error) {
+		console.error("❌ Failed to remove case link:", error);
+		return { error };
+	}
+	// Row security hides links of other workers from the delete.
+	if (!data?.length) {
+		return {
+			error: new Error(
+				"Only the worker who linked these cases can remove the link.",
+			),
+		};
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.UNLINK_CASES,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Removed the "${view.label}" link from a ${CASE_REPOSITORIES[view.caseType]?.label ?? view.caseType} case`,
+		resourceType: "case",
+		resourceId: view.caseId,
+		metadata: {
+			caseType: view.caseType,
+			caseId: view.caseId,
+			otherType: view.otherType,
+			otherId: view.otherId,
+			relation: view.link.relation,
+		},
+		severity: "info",
+	});
+	return { error: null };
+}
+
+/**
+ * Cached row of the other case of each link, or null when this workstation
+ * does not have it.
+ *
+ * @param {CaseLinkView[]} views
+ * @returns {Promise<Map<string, Record<string, any>|null>>} `type:id` → row.
+ */
+export async function resolveLinkedCases(views) {
+	const rows = new Map();
+	await Promise.all(
+		views.map(async ({ otherType, otherId }) => {
+			const key = `${otherType}:${otherId}`;
+			if (rows.has(key)) return;
+			rows.set(key, null);
+			const repository = CASE_REPOSITORIES[otherType];
+			rows.set(key, (await repository?.getLocalRecord(otherId)) ?? null);
+		}),
+	);
+	return rows;
+}
+
+/**
+ * Synced cases of one type in the cache, for the link picker.
+ *
+ * @param {string} caseType
+ * @returns {Promise<{ caseId: string, name: string, status: string|null }[]>}
+ */
+export async function listLinkableCases(caseType) {
+	const repository = CASE_REPOSITORIES[caseType];
+	if (!repository) return [];
+	const rows = await repository.listLocalRows();
+	return rows
+		.filter((row) => row.id && !row.archived_at)
+		.map((row) => ({
+			caseId: row.id,
+			name: caseDisplayName(caseType, row),
+			status: row.status ?? null,
+		}))
+		.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * One row per link of the exported cases, for the "Related cases" sheet.
+ * Offline (or on error) the export goes ahead without the sheet.
+ *
+ * @param {{ caseType: string, records: Record<string, any>[] }} params
+ * @returns {Promise<{ data: Record<string, string>[], error: any }>}
+ */
+export async function fetchCaseLinkExportRows({ caseType, records }) {
+	const { data: views, error } = await listCaseLinksFor(
+		caseType,
+		records.map((record) => record?.id),
+	);
+	if (error) return { data: [], error };
+
+	const byId = new Map(records.map((record) => [record.id, record]));
+	const linked = await resolveLinkedCases(views);
+	const label = (type) => CASE_REPOSITORIES[type]?.label ?? type;
+
+	return {
+		data: views.map((view) => {
+			const other = linked.get(`${view.otherType}:${view.otherId}`);
+			return {
+				"Case type": label(caseType),
+				"Case ID": view.caseId,
+				Case: caseDisplayName(caseType, byId.get(view.caseId) ?? {}),
+				Relationship: view.label,
+				"Related case type": label(view.otherType),
+				"Related case ID": view.otherId,
+				"Related case": other
+					? caseDisplayName(view.otherType, other)
+					: "",
+				Note: view.link.note ?? "",
+				"Linked by": view.link.created_by_name ?? "",
+				"Linked on": view.link.created_at?.slice(0, 10) ?? "",
+			};
+		}),
+		error: null,
+	};
+}
@@ -0,0 +1,167 @@
+/**
+ * Case notes journal (online-only).
+ *
+ * Responsibilities:
+ * - List a case's dated, authored progress notes with their addenda.
+ * - Append notes and addenda to `case_notes`.
+ * - Match notes against a free-text search.
+ *
+ * Notes:
+ * - The table is append-only (database/migrations/20261019_add_case_notes.sql):
+ *   the database rejects updates and deletes, so a correction is an addendum
+ *   pointing at the original note.
+ * - Author, timestamp and addendum threading are set by the insert trigger;
+ *   whatever the client sends for them is ignored.
+ */
+
+import supabase from "@/../config/supabase";
+
+const NOTES_TABLE = "case_notes";
+
+/** Case types that keep a notes journal; IVAC rows are barangay totals. */
+export const CASE_NOTE_CASE_TYPES = [
+	"CASE",
+	"CICLCAR",
+	"FAC",
+	"FAR",
+	"SP",
+	"FA",
+	"PWD",
+	"SC",
+];
+
+export const CASE_NOTE_TYPES = [
+	{ value: "progress", label: "Progress note" },
+	{ value: "home_visit", label: "Home visit" },
+	{ value: "phone_call", label: "Phone call" },
+	{ value: "case_conference", label: "Case conference" },
+	{ value: "court_hearing", label: "Court hearing" },
+];
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+export const caseNoteTypeLabel = (value) =>
+	CASE_NOTE_TYPES.find((type) => type.value === value)?.label ?? value;
+
+/**
+ * @typedef {Object} CaseNoteRow
+ * @property {string} id
+ * @property {string} case_type
+ * @property {string} case_id
+ * @property {string} note_type
+ * @property {string} occurred_on Date of the contact (YYYY-MM-DD).
+ * @property {string} body
+ * @property {string|null} amends_note_id
+ * @property {string} author_id
+ * @property {string|null} author_name
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {CaseNoteRow & { addenda: CaseNoteRow[] }} CaseNote
+ */
+
+/**
+ * All notes on a case, newest contact first, each with its addenda oldest
+ * first.
+ *
+ * @param {{ caseType: string, caseId: string }} params
+ * @returns {Promise<{ data: CaseNote[], error: any }>}
+ */
+export async function listCaseNotes({ caseType, caseId }) {
+	const { data, error } = await supabase
+		.from(NOTES_TABLE)
+		.select("*")
+		.eq("case_type", caseType)
+		.eq("case_id", caseId)
+		.order("created_at", { ascending: true });
+	if (error) {
+		console.error("❌ Failed to load case notes:", error);
+		return { data: [], error };
+	}
+
+	const notes = new Map();
+	const addenda = [];
+	for (const row of data ?? []) {
+		if (row.amends_note_id) addenda.push(row);
+		else notes.set(row.id, { ...row, addenda: [] });
+	}
+	for (const row of addenda) {
+		notes.get(row.amends_note_id)?.addenda.push(row);
+	}
+
+	return {
+		data: [...notes.values()].sort(
+			(a, b) =>
+				b.occurred_on.localeCompare(a.occurred_on) ||
+				b.created_at.localeCompare(a.created_at),
+		),
+		error: null,
+	};
+}
+
+/**
+ * Append a note, or an addendum when `amendsNoteId` is given (the addendum
+ * takes the original note's type).
+ *
+ * @param {{ caseType: string, caseId: string, noteType?: string, occurredOn?: string, body: string, amendsNoteId?: string|null }} params
+ * @returns {Promise<{ data: CaseNoteRow|null, error: any }>}
+ */
+export async function addCaseNote({
+	caseType,
+	caseId,
+	noteType = "progress",
+	occurredOn,
+	body,
+	amendsNoteId = null,
+}) {
+	const text = `${body ?? ""}`.trim();
+	if (!text) {
+		return { data: null, error: new Error("Note text is required.") };
+	}
+
+	const { data, error } = await supabase
+		.from(NOTES_TABLE)
+		.insert({
+			case_type: caseType,
+			case_id: caseId,
+			note_type: noteType,
+			...(occurredOn ? { occurred_on: occurredOn } : {}),
+			body: text,
+			amends_note_id: amendsNoteId,
+		})
+		.select("*")
+		.single();
+	if (error) {
+		console.error("❌ Failed to save case note:", error);
+		return { data: null, error };
+	}
+	return { data, error: null };
+}
+
+/**
+ * Keep notes where every word of `query` appears in the note, one of its
+ * addenda, its type or its author.
+ *
+ * @param {CaseNote[]} notes
+ * @param {string} query
+ * @returns {CaseNote[]}
+ */
+export function searchCaseNotes(notes, query) {
+	const words = `${query ?? ""}`.toLowerCase().split(/\s+/).filter(Boolean);
+	if (words.length === 0) return notes;
+	return notes.filter((note) => {
+		const text = [
+			note.body,
+			note.author_name,
+			caseNoteTypeLabel(note.note_type),
+			...note.addenda.flatMap((row) => [row.body, row.author_name]),
+		]
+			.filter(Boolean)
+			.join(" ")
+			.toLowerCase();
+		return words.every((word) => text.includes(word));
+	});
+}
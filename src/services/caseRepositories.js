@@ -0,0 +1,148 @@
+/**
+ * Offline repositories for the nine case types.
+ *
+ * Responsibilities:
+ * - Bind each Supabase case table to its Dexie snapshot/queue pair.
+ * - Describe the family table for case types that store members separately.
+ *
+ * Notes:
+ * - Hooks, intake dialogs and `*Submission.js` helpers should write through these
+ *   repositories instead of calling Supabase directly so every tab works offline.
+ */
+
+import { createOfflineCaseRepository } from "@/services/offlineCaseRepository";
+
+/**
+ * CASE (VAC intake) family rows carry a `group_no` used to order members.
+ * @param {Array<Record<string, any>>} members
+ */
+const buildCaseFamilyRows = (members = []) =>
+	members.map((member, index) => ({
+		group_no: member?.group_no || index + 1,
+		name: member?.name || null,
+		age: member?.age || null,
+		relation: member?.relation || null,
+		status: member?.status || null,
+		education: member?.education || null,
+		occupation: member?.occupation || null,
+		income: member?.income || null,
+		household_member_id: member?.household_member_id || null,
+	}));
+
+export const caseRepository = createOfflineCaseRepository({
+	label: "CASE",
+	table: "case",
+	cacheTable: "case_cases",
+	queueTable: "case_queue",
+	family: {
+		table: "case_family_member",
+		foreignKey: "case_id",
+		buildRows: buildCaseFamilyRows,
+	},
+});
+
+export const ciclcarRepository = createOfflineCaseRepository({
+	label: "CICL/CAR",
+	table: "ciclcar_case",
+	cacheTable: "ciclcar_cases",
+	queueTable: "ciclcar_queue",
+	family: {
+		table: "ciclcar_family_background",
+		foreignKey: "ciclcar_case_id",
+	},
+});
+
+export const facRepository = createOfflineCaseRepository({
+	label: "FAC",
+	table: "fac_case",
+	cacheTable: "fac_cases",
+	queueTable: "fac_queue",
+	family: {
+		table: "fac_family_member",
+		foreignKey: "fac_case_id",
+	},
+});
+
+export const farRepository = createOfflineCaseRepository({
+	label: "FAR",
+	table: "far_case",
+	cacheTable: "far_cases",
+	queueTable: "far_queue",
+});
+
+export const ivacRepository = createOfflineCaseRepository({
+	label: "IVAC",
+	table: "ivac_cases",
+	cacheTable: "ivac_cases",
+	queueTable: "ivac_queue",
+});
+
+export const spRepository = createOfflineCaseRepository({
+	label: "SP",
+	table: "sp_case",
+	cacheTable: "sp_cases",
+	queueTable: "sp_queue",
+});
+
+export const faRepository = createOfflineCaseRepository({
+	label: "FA",
+	table: "fa_case",
+	cacheTable: "fa_cases",
+	queueTable: "fa_queue",
+});
+
+export const pwdRepository = createOfflineCaseRepository({
+	label: "PWD",
+	table: "pwd_case",
+	cacheTable: "pwd_cases",
+	queueTable: "pwd_queue",
+});
+
+export const scRepository = createOfflineCaseRepository({
+	label: "SC",
+	table: "sc_case",
+	cacheTable: "sc_cases",
+	queueTable: "sc_queue",
+});
+
+/**
+ * Repositories keyed by the case-type identifiers used across the DataTable tabs.
+ * @type {Record<string, import("@/services/offlineCaseRepository").OfflineCaseRepository>}
+ */
+export const CASE_REPOSITORIES = {
+	CASE: caseRepository,
+	CICLCAR: ciclcarRepository,
+	FAC: facRepository,
+	FAR: farRepository,
+	IVAC: ivacRepository,
+	SP: spRepository,
+	FA: faRepository,
+	PWD: pwdRepository,
+	SC: scRepository,
+};
+
+/**
+ * Encrypt case data cached before the offline vault existed. Call right after
+ * the vault unlocks.
+ * @returns {Promise<number>} Records sealed across all case types.
+ */
+export async function sealLegacyCaseData() {
+	const counts = await Promise.all(
+		Object.values(CASE_REPOSITORIES).map((repository) =>
+			repository.sealLegacyRecords(),
+		),
+	);
+	return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Remove every cached case and queued change sealed for `ownerId`.
+ * @param {string} ownerId
+ */
+export async function purgeCaseData(ownerId) {
+	await Promise.all(
+		Object.values(CASE_REPOSITORIES).map((repository) =>
+			repository.purgeOwnerRecords(ownerId),
+		),
+	);
+}
@@ -0,0 +1,743 @@
+/**
+ * Search, filters, sorting and paging for the Case Management tabs.
+ *
+ * Responsibilities:
+ * - Ask Supabase for one page of matching cases plus the total
+ *   (`fetchCaseTablePage`), or for every matching case (`fetchCaseTableRows`).
+ * - Apply the same search, filters and order to cached rows when the server
+ *   cannot be asked (`queryLocalCaseRows`).
+ *
+ * Notes:
+ * - Server search matches the `search_text` trigram column from
+ *   database/migrations/20261019_add_case_search.sql.
+ * - Server rows are selected like the offline snapshot (`repository.select`,
+ *   i.e. the case with its family rows), so the tab's row mapper and the row
+ *   actions treat them like cached rows.
+ * - Status filter values may name a lifecycle state (`lifecycle:closed`)
+ *   rather than one stored status, so one choice matches every module.
+ * - Field filters (lib/caseFieldCatalog) become one nested PostgREST
+ *   `and(...)`/`or(...)` expression; `fieldGroupMatch` reads them the same
+ *   way for cached rows. Text rules compare case-insensitively like `ilike`
+ *   (`foldText`), and date rules compare calendar days (`storedDay`), so a
+ *   tab shows the same cases online and offline.
+ */
+
+import supabase from "@/../config/supabase";
+import { caseLifecycleState, caseStatusSpellings } from "@/lib/caseLifecycle";
+import {
+	ageBirthdateRange,
+	findCaseField,
+	isFieldGroup,
+	isFieldRuleReady,
+} from "@/lib/caseFieldCatalog";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+
+export const LIFECYCLE_FILTER_PREFIX = "lifecycle:";
+
+/** PostgREST caps one response at 1000 rows; long results are read in chunks. */
+const ROW_CHUNK_SIZE = 1000;
+
+/**
+ * @typedef {Object} CaseTableFilters
+ * @property {string} [status] "all", a stored status or a `lifecycle:` key.
+ * @property {string} [priority]
+ * @property {string} [dateFrom] yyyy-MM-dd or "".
+ * @property {string} [dateTo] yyyy-MM-dd or "".
+ * @property {boolean} [includeArchived]
+ */
+
+/**
+ * @typedef {Object} CaseTableQuery
+ * @property {string} [searchQuery]
+ * @property {CaseTableFilters} [filters]
+ * @property {string} [caseManager] "all" or a case manager name.
+ * @property {import("@/lib/caseFieldCatalog").CaseFieldGroup} [fieldFilter]
+ *   Field rules of the tab, from the query builder.
+ * @property {string[]} [excludeIds] Cases hidden from the signed-in worker.
+ * @property {{ id: string, desc: boolean }[]} [sorting] TanStack sorting state.
+ * @property {number} [pageIndex]
+ * @property {number} [pageSize]
+ */
+
+/**
+ * @typedef {Object} CaseTableConfig
+ * @property {Record<string, string>} sortColumns Table column id -> database column.
+ * @property {string} [filedColumn] Date the "filed" range filter reads before
+ *   falling back to `created_at`.
+ * @property {string} [managersColumn] Array column listing case managers,
+ *   for tables without a single `case_manager`.
+ * @property {boolean} [hasPriority]
+ */
+
+/** @type {Record<string, CaseTableConfig>} */
+const CASE_TABLE_CONFIG = {
+	CASE: {
+		filedColumn: "identifying_intake_date",
+		sortColumns: {
+			"case manager": "case_manager",
+			status: "status",
+			priority: "priority",
+			"date filed": "identifying_intake_date",
+			"last updated": "updated_at",
+		},
+	},
+	CICLCAR: {
+		sortColumns: {
+			"case manager": "case_manager",
+			status: "status",
+			priority: "priority",
+			"date filed": "created_at",
+			"last updated": "updated_at",
+		},
+	},
+	FAR: {
+		sortColumns: {
+			date: "date",
+			receiving_member: "receiving_member",
+			provider: "provider",
+			case_manager: "case_manager",
+			status: "status",
+			priority: "priority",
+		},
+	},
+	FAC: {
+		sortColumns: {
+			head_first_name: "head_first_name",
+			location_barangay: "location_barangay",
+			location_city_municipality: "location_city_municipality",
+			date_registered: "date_registered",
+			status: "status",
+		},
+	},
+	IVAC: {
+		managersColumn: "case_managers",
+		hasPriority: false,
+		sortColumns: {
+			province: "province",
+			municipality: "municipality",
+			status: "status",
+			created_at: "created_at",
+			updated_at: "updated_at",
+		},
+	},
+	SP: {
+		sortColumns: {
+			full_name: "full_name",
+			case_manager: "case_manager",
+			address: "address",
+			created_at: "created_at",
+			updated_at: "updated_at",
+		},
+	},
+	FA: {
+		sortColumns: {
+			date_recorded: "date_recorded",
+			benificiary_name: "benificiary_name",
+			prepared_by: "prepared_by",
+		},
+	},
+	PWD: {
+		sortColumns: {
+			full_name: "last_name",
+			case_manager: "case_manager",
+			created_at: "created_at",
+		},
+	},
+	SC: {
+		sortColumns: {
+			senior_name: "senior_name",
+			interviewer: "interviewer",
+		},
+	},
+};
+
+/**
+ * Table column ids each tab can sort by.
+ * @type {Record<string, Set<string>>}
+ */
+export const CASE_TABLE_SORTABLE_COLUMNS = Object.fromEntries(
+	Object.entries(CASE_TABLE_CONFIG).map(([caseType, config]) => [
+		caseType,
+		new Set(Object.keys(config.sortColumns)),
+	]),
+);
+
+function normalizeSearchText(value) {
+	return String(value ?? "")
+		.toLowerCase()
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+// ==========================
+//* Server queries
+// ==========================
+
+/** Escape LIKE wildcards so a search for "50%" means the text "50%". */
+export const escapeLike = (value) =>
+	value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/** Quote a value inside a PostgREST `or=(...)` list. */
+const quoteFilterValue = (value) =>
+	`"${String(value).replace(/[\\"]/g, (char) => `\\${char}`)}"`;
+
+/** Local day bounds as ISO timestamps, matching the local date filter. */
+const dayStartIso = (day) => new Date(`${day}T00:00:00`).toISOString();
+const dayEndIso = (day) => new Date(`${day}T23:59:59`).toISOString();
+
+function statusClause(statusFilter) {
+	if (!statusFilter.startsWith(LIFECYCLE_FILTER_PREFIX)) return null;
+	const state = statusFilter.slice(LIFECYCLE_FILTER_PREFIX.length);
+	if (state === "open") {
+		const others = [
+			...caseStatusSpellings("in_progress"),
+			...caseStatusSpellings("closed"),
+		].map((status) => `status.not.ilike.${quoteFilterValue(status)}`);
+		return `status.is.null,and(${others.join(",")})`;
+	}
+	return caseStatusSpellings(state)
+		.map((status) => `status.ilike.${quoteFilterValue(status)}`)
+		.join(",");
+}
+
+/** `or` filter for the filed-date range; rows without the date use `created_at`. */
+function filedRangeClause(filedColumn, dateFrom, dateTo) {
+	const created = [
+		dateFrom ? `created_at.gte.${dayStartIso(dateFrom)}` : null,
+		dateTo ? `created_at.lte.${dayEndIso(dateTo)}` : null,
+	].filter(Boolean);
+	const filed = [
+		dateFrom ? `${filedColumn}.gte.${dateFrom}` : null,
+		dateTo ? `${filedColumn}.lte.${dateTo}` : null,
+	].filter(Boolean);
+	return `and(${filed.join(",")}),and(${filedColumn}.is.null,${created.join(",")})`;
+}
+
+function fieldRuleClause(caseType, rule) {
+	const caseField = findCaseField(caseType, rule.field);
+	if (!isFieldRuleReady(rule, caseField)) return null;
+	const { column, type } = caseField;
+	const value = typeof rule.value === "string" ? rule.value.trim() : "";
+
+	if (rule.operator === "true" || rule.operator === "false") {
+		return `${column}.is.${rule.operator}`;
+	}
+	if (rule.operator === "empty") {
+		if (type === "text") return `or(${column}.is.null,${column}.eq."")`;
+		if (type === "list") return `or(${column}.is.null,${column}.eq."[]")`;
+		return `${column}.is.null`;
+	}
+	if (rule.operator === "not_empty") {
+		return type === "text"
+			? `and(${column}.not.is.null,${column}.neq."")`
+			: `${column}.not.is.null`;
+	}
+
+	switch (type) {
+		case "text": {
+			if (rule.operator === "contains") {
+				return `${column}.ilike.${quoteFilterValue(`%${escapeLike(value)}%`)}`;
+			}
+			const pattern = quoteFilterValue(escapeLike(value));
+			return rule.operator === "equals"
+				? `${column}.ilike.${pattern}`
+				: `or(${column}.is.null,${column}.not.ilike.${pattern})`;
+		}
+		case "number":
+			return `${column}.${rule.operator === "equals" ? "eq" : rule.operator}.${Number(value)}`;
+		// Catalog date fields are `date` columns: compare calendar days.
+		case "date":
+			return `${column}.${rule.operator === "equals" ? "eq" : rule.operator}.${value}`;
+		case "age": {
+			const { bornFrom, bornTo } = ageBirthdateRange(
+				rule.value.min,
+				rule.value.max,
+			);
+			const bounds = [
+				bornFrom ? `${column}.gte.${bornFrom}` : null,
+				bornTo ? `${column}.lte.${bornTo}` : null,
+			].filter(Boolean);
+			return `and(${bounds.join(",")})`;
+		}
+		case "list":
+			return `${column}.cs.${quoteFilterValue(JSON.stringify([value]))}`;
+		default:
+			return null;
+	}
+}
+
+/** Nested `and(...)`/`or(...)` for a field filter; null when it has no rules. */
+function fieldGroupClause(caseType, group) {
+	const clauses = (group?.rules ?? [])
+		.map((rule) =>
+			isFieldGroup(rule)
+				? fieldGroupClause(caseType, rule)
+				: fieldRuleClause(caseType, rule),
+		)
+		.filter(Boolean);
+	if (!clauses.length) return null;
+	return `${group.combinator === "or" ? "or" : "and"}(${clauses.join(",")})`;
+}
+
+/**
+ * Supabase request for the cases matching `query`, in table order.
+ * Returns null when nothing can match (e.g. a priority filter on IVAC).
+ */
+function buildCaseTableRequest(caseType, query, selectOptions) {
+	const config = CASE_TABLE_CONFIG[caseType];
+	const { table, select } = CASE_REPOSITORIES[caseType];
+	const {
+		searchQuery = "",
+		filters = {},
+		caseManager = "all",
+		fieldFilter,
+		excludeIds = [],
+		sorting = [],
+	} = query;
+	const status = filters.status ?? "all";
+	const priority = filters.priority ?? "all";
+
+	if (priority !== "all" && config.hasPriority === false) return null;
+
+	let request = supabase.from(table).select(select, selectOptions);
+
+	const term = normalizeSearchText(searchQuery);
+	if (term) request = request.ilike("search_text", `%${escapeLike(term)}%`);
+
+	if (!filters.includeArchived) request = request.is("archived_at", null);
+
+	if (status !== "all") {
+		const clause = statusClause(status);
+		request = clause
+			? request.or(clause)
+			: request.ilike("status", escapeLike(status));
+	}
+
+	if (priority !== "all") {
+		request = request.ilike("priority", escapeLike(priority));
+	}
+
+	if (filters.dateFrom || filters.dateTo) {
+		if (config.filedColumn) {
+			request = request.or(
+				filedRangeClause(
+					config.filedColumn,
+					filters.dateFrom,
+					filters.dateTo,
+				),
+			);
+		} else {
+			if (filters.dateFrom) {
+				request = request.gte(
+					"created_at",
+					dayStartIso(filters.dateFrom),
+				);
+			}
+			if (filters.dateTo) {
+				request = request.lte("created_at", dayEndIso(filters.dateTo));
+			}
+		}
+	}
+
+	if (caseManager !== "all") {
+		request = config.managersColumn
+			? request.contains(config.managersColumn, [caseManager])
+			: request.eq("case_manager", caseManager);
+	}
+
+	const fieldClause = fieldGroupClause(caseType, fieldFilter);
+	if (fieldClause) request = request.or(fieldClause);
+
+	if (excludeIds.length) {
+		request = request.not("id", "in", `(${excludeIds.join(",")})`);
+	}
+
+	const [sort] = sorting;
+	const sortColumn = sort ? config.sortColumns[sort.id] : null;
+	if (sortColumn) {
+		request = request.order(sortColumn, {
+			ascending: !sort.desc,
+			nullsFirst: false,
+		});
+	} else {
+		request = request
+			.order("updated_at", { ascending: false, nullsFirst: false })
+			.order("created_at", { ascending: false, nullsFirst: false });
+	}
+	// Stable paging when the sort column has ties.
+	return request.order("id", { ascending: true });
+}
+
+/**
+ * One page of matching cases, plus how many cases match in total.
+ *
+ * @param {string} caseType Case Management tab (CASE, CICLCAR, ...).
+ * @param {CaseTableQuery} query
+ * @returns {Promise<{ data: { rows: any[], total: number }, error: any }>}
+ */
+export async function fetchCaseTablePage(caseType, query) {
+	const { pageIndex = 0, pageSize = 10 } = query;
+	const request = buildCaseTableRequest(caseType, query, { count: "exact" });
+	if (!request) return { data: { rows: [], total: 0 }, error: null };
+
+	const from = pageIndex * pageSize;
+	const { data, count, error } = await request.range(
+		from,
+		from + pageSize - 1,
+	);
+	if (error) {
+		console.error(`❌ Failed to load ${caseType} page:`, error);
+		return { data: { rows: [], total: 0 }, error };
+	}
+	return { data: { rows: data ?? [], total: count ?? 0 }, error: null };
+}
+
+/**
+ * Every matching case, in table order (select all, export all).
+ *
+ * @param {string} caseType
+ * @param {CaseTableQuery} query
+ * @returns {Promise<{ data: any[], error: any }>}
+ */
+export async function fetchCaseTableRows(caseType, query) {
+	const rows = [];
+	for (let from = 0; ; from += ROW_CHUNK_SIZE) {
+		const request = buildCaseTableRequest(caseType, query);
+		if (!request) break;
+		const { data, error } = await request.range(
+			from,
+			from + ROW_CHUNK_SIZE - 1,
+		);
+		if (error) {
+			console.error(`❌ Failed to load ${caseType} cases:`, error);
+			return { data: [], error };
+		}
+		rows.push(...(data ?? []));
+		if (!data || data.length < ROW_CHUNK_SIZE) break;
+	}
+	return { data: rows, error: null };
+}
+
+// ==========================
+//* Local fallback
+// ==========================
+
+/**
+ * Search text per cached row. Rows are replaced (not mutated) when the snapshot
+ * changes, so entries never go stale and typing only builds text once per row.
+ * @type {WeakMap<object, string>}
+ */
+const searchTextCache = new WeakMap();
+
+function buildRowSearchText(row, maxDepth = 2) {
+	const seen = new Set();
+
+	function walk(value, depth) {
+		if (value == null) return [];
+		if (
+			typeof value === "string" ||
+			typeof value === "number" ||
+			typeof value === "boolean"
+		) {
+			return [String(value)];
+		}
+		if (depth <= 0) return [];
+		if (Array.isArray(value)) {
+			return value.flatMap((item) => walk(item, depth - 1));
+		}
+		if (typeof value === "object") {
+			if (seen.has(value)) return [];
+			seen.add(value);
+			return Object.values(value).flatMap((item) =>
+				walk(item, depth - 1),
+			);
+		}
+		return [];
+	}
+
+	if (!row || typeof row !== "object") return "";
+
+	const preferred = [
+		row.id,
+		row["case ID"],
+		row.case_id,
+		row.case_number,
+		row.case_no,
+		row.case_manager,
+		row.case_managers,
+		row.status,
+		row.priority,
+		row.barangay,
+		row.municipality,
+		row.city,
+		row.province,
+		row.region,
+		row.beneficiary_name,
+		row.client_name,
+		row.child_name,
+		row.victim_name,
+		row.respondent_name,
+		row.guardian_name,
+		row.parent_name,
+		row.full_name,
+		row.first_name,
+		row.last_name,
+		row.contact_number,
+		row.contactNumber,
+		row.email,
+		row.email_address,
+		row.address,
+	];
+
+	const fallback = walk(row, maxDepth);
+	return normalizeSearchText(
+		[...preferred, ...fallback].filter(Boolean).join(" "),
+	);
+}
+
+function rowSearchText(row) {
+	if (!row || typeof row !== "object") return "";
+	let text = searchTextCache.get(row);
+	if (text === undefined) {
+		text = buildRowSearchText(row);
+		searchTextCache.set(row, text);
+	}
+	return text;
+}
+
+function matchesStatusFilter(status, statusFilter) {
+	if (statusFilter.startsWith(LIFECYCLE_FILTER_PREFIX)) {
+		return (
+			caseLifecycleState(status) ===
+			statusFilter.slice(LIFECYCLE_FILTER_PREFIX.length)
+		);
+	}
+	const rowStatus = normalizeSearchText(status);
+	return (
+		Boolean(rowStatus) && rowStatus === normalizeSearchText(statusFilter)
+	);
+}
+
+function getRowDateFiled(row) {
+	if (!row || typeof row !== "object") return null;
+	const candidate =
+		row.date_filed ??
+		row.filed_date ??
+		row.intake_date ??
+		row.created_at ??
+		row.createdAt ??
+		row.dateCreated;
+	if (!candidate) return null;
+	const parsed = new Date(candidate);
+	return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function matchesCaseManager(row, caseManager) {
+	if (caseManager === "all") return true;
+	if (Array.isArray(row?.case_managers)) {
+		return row.case_managers.includes(caseManager);
+	}
+	return row?.case_manager === caseManager;
+}
+
+/** Lower-cased text, compared the way the server's `ilike` compares it. */
+const foldText = (value) => String(value ?? "").toLowerCase();
+
+/**
+ * Calendar day of a stored date. A full timestamp (an unsynced form value)
+ * counts on its local day, like the filed-date filter.
+ */
+const storedDay = (value) => {
+	if (!value) return "";
+	const text = String(value);
+	if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+	const date = new Date(text);
+	if (Number.isNaN(date.getTime())) return text.slice(0, 10);
+	const pad = (part) => String(part).padStart(2, "0");
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/** Whether `row` passes `rule`; null when the rule is not filled in yet. */
+function fieldRuleMatch(caseType, row, rule) {
+	const caseField = findCaseField(caseType, rule.field);
+	if (!isFieldRuleReady(rule, caseField)) return null;
+	const { column, type } = caseField;
+	const stored = row?.[column];
+	const value = typeof rule.value === "string" ? rule.value.trim() : "";
+	const isEmpty =
+		stored == null ||
+		stored === "" ||
+		(Array.isArray(stored) && stored.length === 0);
+
+	if (rule.operator === "true") return stored === true;
+	if (rule.operator === "false") return stored === false;
+	if (rule.operator === "empty") return isEmpty;
+	if (rule.operator === "not_empty") return !isEmpty;
+
+	switch (type) {
+		case "text": {
+			const text = foldText(stored);
+			const wanted = foldText(value);
+			if (rule.operator === "contains") return text.includes(wanted);
+			return rule.operator === "equals"
+				? text === wanted
+				: text !== wanted;
+		}
+		case "number": {
+			const number = isEmpty ? NaN : Number(stored);
+			if (!Number.isFinite(number)) return false;
+			if (rule.operator === "gte") return number >= Number(value);
+			if (rule.operator === "lte") return number <= Number(value);
+			return number === Number(value);
+		}
+		case "date": {
+			const day = storedDay(stored);
+			if (!day) return false;
+			if (rule.operator === "gte") return day >= value;
+			if (rule.operator === "lte") return day <= value;
+			return day === value;
+		}
+		case "age": {
+			const day = storedDay(stored);
+			if (!day) return false;
+			const { bornFrom, bornTo } = ageBirthdateRange(
+				rule.value.min,
+				rule.value.max,
+			);
+			return (!bornFrom || day >= bornFrom) && (!bornTo || day <= bornTo);
+		}
+		case "list":
+			return Array.isArray(stored) && stored.includes(value);
+		default:
+			return null;
+	}
+}
+
+/** Whether `row` passes a field filter; null when it has no rules to apply. */
+function fieldGroupMatch(caseType, row, group) {
+	const results = (group?.rules ?? [])
+		.map((rule) =>
+			isFieldGroup(rule)
+				? fieldGroupMatch(caseType, row, rule)
+				: fieldRuleMatch(caseType, row, rule),
+		)
+		.filter((result) => result !== null);
+	if (!results.length) return null;
+	return group.combinator === "or"
+		? results.some(Boolean)
+		: results.every(Boolean);
+}
+
+function filterRows(
+	caseType,
+	rows,
+	{ searchQuery, filters = {}, caseManager = "all", fieldFilter },
+) {
+	const query = normalizeSearchText(searchQuery);
+	const statusFilter = filters.status ?? "all";
+	const priorityFilter = filters.priority ?? "all";
+	const dateFrom = filters.dateFrom
+		? new Date(`${filters.dateFrom}T00:00:00`)
+		: null;
+	const dateTo = filters.dateTo
+		? new Date(`${filters.dateTo}T23:59:59`)
+		: null;
+	const hasFrom = dateFrom && !Number.isNaN(dateFrom.getTime());
+	const hasTo = dateTo && !Number.isNaN(dateTo.getTime());
+	const includeArchived = filters.includeArchived ?? false;
+
+	const normalizedPriority = normalizeSearchText(priorityFilter);
+
+	return rows.filter((row) => {
+		if (!matchesCaseManager(row, caseManager)) return false;
+
+		if (!includeArchived && row?.archived_at) return false;
+
+		if (query && !rowSearchText(row).includes(query)) return false;
+
+		if (fieldGroupMatch(caseType, row, fieldFilter) === false) return false;
+
+		if (
+			statusFilter !== "all" &&
+			!matchesStatusFilter(row?.status, statusFilter)
+		) {
+			return false;
+		}
+
+		if (priorityFilter !== "all") {
+			const rowPriority = normalizeSearchText(row?.priority);
+			if (!rowPriority || rowPriority !== normalizedPriority)
+				return false;
+		}
+
+		if (hasFrom || hasTo) {
+			const filed = getRowDateFiled(row);
+			if (!filed) return false;
+			if (hasFrom && filed < dateFrom) return false;
+			if (hasTo && filed > dateTo) return false;
+		}
+
+		return true;
+	});
+}
+
+const getRowTimestamp = (row) => {
+	const value =
+		row?.updated_at ||
+		row?.created_at ||
+		row?.date_filed ||
+		row?.date_recorded ||
+		row?.date_applied ||
+		row?.interview_date ||
+		row?.date ||
+		row?.last_updated ||
+		row?.createdAt ||
+		row?.updatedAt ||
+		null;
+	if (!value) return 0;
+	const time = new Date(value).getTime();
+	return Number.isNaN(time) ? 0 : time;
+};
+
+/** Empty values sort last in both directions, like `nullsFirst: false`. */
+function compareColumn(column, desc) {
+	return (a, b) => {
+		const left = a?.[column];
+		const right = b?.[column];
+		const leftEmpty = left == null || left === "";
+		const rightEmpty = right == null || right === "";
+		if (leftEmpty || rightEmpty) return leftEmpty - rightEmpty;
+		const order =
+			typeof left === "number" && typeof right === "number"
+				? left - right
+				: String(left).localeCompare(String(right), undefined, {
+						numeric: true,
+						sensitivity: "base",
+					});
+		return desc ? -order : order;
+	};
+}
+
+/**
+ * Filter and sort cached rows the way the server would. Paging is left to the
+ * table.
+ *
+ * @param {string} caseType
+ * @param {any[]} rows Mapped rows of the tab.
+ * @param {CaseTableQuery} query
+ * @returns {any[]}
+ */
+export function queryLocalCaseRows(caseType, rows, query) {
+	const matches = filterRows(
+		caseType,
+		Array.isArray(rows) ? rows : [],
+		query,
+	);
+	const [sort] = query.sorting ?? [];
+	const sortColumn = sort
+		? CASE_TABLE_CONFIG[caseType]?.sortColumns[sort.id]
+		: null;
+	return sortColumn
+		? matches.sort(compareColumn(sortColumn, sort.desc))
+		: matches.sort((a, b) => getRowTimestamp(b) - getRowTimestamp(a));
+}
@@ -0,0 +1,434 @@
+/**
+ * Per-case activity timeline (online-only).
+ *
+ * Responsibilities:
+ * - Merge everything recorded about one case into a single chronological list:
+ *   audit entries, case notes, status/priority changes, case manager changes,
+ *   hide/unhide events, program enrollments, service delivery sessions and
+ *   documents.
+ * - Resolve the people involved to display names.
+ *
+ * Notes:
+ * - Status, priority, case manager and visibility changes come from
+ *   `case_events`, written by database triggers
+ *   (database/migrations/20261019_add_case_events.sql and
+ *   20261019_add_case_transfers.sql). Changes made before those migrations
+ *   were never stored.
+ * - Enrollment rows are only listed when no audit entry already records their
+ *   creation, which covers enrollments made before auditing existed.
+ */
+
+import supabase from "@/../config/supabase";
+import { AUDIT_ACTIONS, fetchCaseAuditLogs } from "@/lib/auditLog";
+import { getClientCaseSource } from "@/lib/clientIdentity";
+import { normalizeProgramCaseType } from "@/lib/programCaseTypes";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { caseNoteTypeLabel } from "@/services/caseNotesService";
+
+/**
+ * @typedef {"case"|"note"|"status"|"assignment"|"visibility"|"program"|"service"|"document"} TimelineCategory
+ */
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {string} key
+ * @property {string} at ISO date or timestamp the entry happened.
+ * @property {TimelineCategory} category
+ * @property {string} title What happened.
+ * @property {string|null} detail
+ * @property {string|null} actor Who did it, when known.
+ */
+
+/** Filter options for the timeline, in display order. */
+export const TIMELINE_CATEGORIES = [
+	{ value: "case", label: "Case updates" },
+	{ value: "note", label: "Notes" },
+	{ value: "status", label: "Status & priority" },
+	{ value: "assignment", label: "Assignment" },
+	{ value: "visibility", label: "Visibility" },
+	{ value: "program", label: "Programs" },
+	{ value: "service", label: "Sessions" },
+	{ value: "document", label: "Documents" },
+];
+
+const PROGRAM_ACTIONS = new Set([
+	AUDIT_ACTIONS.CREATE_ENROLLMENT,
+	AUDIT_ACTIONS.UPDATE_ENROLLMENT,
+	AUDIT_ACTIONS.DELETE_ENROLLMENT,
+]);
+
+const TRANSFER_ACTIONS = new Set([
+	AUDIT_ACTIONS.REQUEST_CASE_TRANSFER,
+	AUDIT_ACTIONS.ACCEPT_CASE_TRANSFER,
+	AUDIT_ACTIONS.DECLINE_CASE_TRANSFER,
+	AUDIT_ACTIONS.CANCEL_CASE_TRANSFER,
+]);
+
+const CLOSURE_ACTIONS = new Set([
+	AUDIT_ACTIONS.CLOSE_CASE,
+	AUDIT_ACTIONS.REOPEN_CASE,
+]);
+
+const timeOf = (entry) => new Date(entry.at).getTime() || 0;
+
+const formatValue = (value) =>
+	value === null || value === undefined || value === ""
+		? "none"
+		: Array.isArray(value)
+			? value.join(", ")
+			: `${value}`;
+
+/**
+ * "status: active → completed; priority: low → high" from an audit `changes`
+ * object shaped `{ field: { old, new } }`.
+ * @param {Record<string, { old: any, new: any }>|undefined} changes
+ * @returns {string|null}
+ */
+function describeChanges(changes) {
+	if (!changes || typeof changes !== "object") return null;
+	const parts = Object.entries(changes)
+		.filter(([field]) => field !== "updated_at")
+		.map(
+			([field, change]) =>
+				`${field.replace(/_/g, " ")}: ${formatValue(change?.old)} → ${formatValue(change?.new)}`,
+		);
+	return parts.length ? parts.join("; ") : null;
+}
+
+/**
+ * @param {string} actionType
+ * @returns {TimelineCategory}
+ */
+function auditCategory(actionType) {
+	if (PROGRAM_ACTIONS.has(actionType)) return "program";
+	if (TRANSFER_ACTIONS.has(actionType)) return "assignment";
+	if (CLOSURE_ACTIONS.has(actionType)) return "status";
+	return "case";
+}
+
+/**
+ * @param {Record<string, any>} row Audit log row.
+ * @returns {string|null}
+ */
+function auditDetail(row) {
+	const metadata = row.metadata ?? {};
+	if (TRANSFER_ACTIONS.has(row.action_type)) {
+		return metadata.reason ?? metadata.note ?? null;
+	}
+	if (CLOSURE_ACTIONS.has(row.action_type)) {
+		return metadata.summary ?? metadata.justification ?? null;
+	}
+	return describeChanges(metadata.changes);
+}
+
+/**
+ * Name shown for a case in headings; IVAC rows are barangay totals.
+ * @param {string} caseType
+ * @param {Record<string, any>} row
+ * @returns {string}
+ */
+export function caseDisplayName(caseType, row) {
+	const source = getClientCaseSource(caseType);
+	if (source) return source.identify(row).fullName || "Unnamed client";
+	return row.barangay ? `Barangay ${row.barangay}` : "IVAC record";
+}
+
+/**
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, string>>} Profile id → display name.
+ */
+async function fetchProfileNames(ids) {
+	if (ids.length === 0) return new Map();
+	const { data, error } = await supabase
+		.from("profile")
+		.select("id, full_name, email")
+		.in("id", ids);
+	if (error) {
+		// Entries still render with the email stored on the audit row.
+		console.warn("⚠️ Failed to load names for the case timeline:", error);
+		return new Map();
+	}
+	return new Map(
+		(data ?? []).map((profile) => [
+			profile.id,
+			profile.full_name || profile.email,
+		]),
+	);
+}
+
+/**
+ * Load a case row and its merged activity, newest first.
+ *
+ * @param {{ caseType: string, caseId: string }} params
+ * @returns {Promise<{ caseRow: Record<string, any>|null, entries: TimelineEntry[], error: any }>}
+ */
+export async function fetchCaseTimeline({ caseType, caseId }) {
+	const repository = CASE_REPOSITORIES[caseType];
+	if (!repository) {
+		return {
+			caseRow: null,
+			entries: [],
+			error: new Error(`Unknown case type: ${caseType}`),
+		};
+	}
+
+	try {
+		const [
+			caseResult,
+			auditResult,
+			eventResult,
+			enrollmentResult,
+			serviceResult,
+			documentResult,
+			noteResult,
+		] = await Promise.all([
+			supabase
+				.from(repository.table)
+				.select("*")
+				.eq("id", caseId)
+				.maybeSingle(),
+			fetchCaseAuditLogs(caseId),
+			supabase
+				.from("case_events")
+				.select("*")
+				.eq("case_id", caseId)
+				.order("created_at", { ascending: true }),
+			supabase
+				.from("program_enrollments")
+				.select(
+					"id, case_type, enrollment_date, status, assigned_by, assigned_by_name, created_at, program:programs(program_name)",
+				)
+				.eq("case_id", caseId),
+			supabase
+				.from("service_delivery")
+				.select(
+					"id, service_date, program_name, attendance_status, duration_minutes, delivered_by_name, created_at",
+				)
+				.eq("case_id", caseId),
+			supabase
+				.from("documents")
+				.select(
+					"id, title, original_filename, uploaded_by, created_at, deleted_at, deleted_by",
+				)
+				.eq("related_type", "case")
+				.eq("related_id", caseId),
+			supabase
+				.from("case_notes")
+				.select(
+					"id, note_type, occurred_on, amends_note_id, author_name, created_at",
+				)
+				.eq("case_type", caseType)
+				.eq("case_id", caseId),
+		]);
+		for (const result of [
+			caseResult,
+			auditResult,
+			eventResult,
+			enrollmentResult,
+			serviceResult,
+			documentResult,
+			noteResult,
+		]) {
+			if (result.error) throw result.error;
+		}
+
+		const caseRow = caseResult.data;
+		if (!caseRow) {
+			return {
+				caseRow: null,
+				entries: [],
+				error: new Error("Case not found."),
+			};
+		}
+
+		const audits = auditResult.data;
+		const events = eventResult.data ?? [];
+		const documents = documentResult.data ?? [];
+		// Enrollment case ids are only unique together with the case type.
+		const enrollments = (enrollmentResult.data ?? []).filter((row) => {
+			const type = normalizeProgramCaseType(row.case_type);
+			return (type === "CICL/CAR" ? "CICLCAR" : type) === caseType;
+		});
+
+		const names = await fetchProfileNames([
+			...new Set(
+				[
+					...audits.map((row) => row.user_id),
+					...events.flatMap((row) => [
+						row.actor_id,
+						row.event_type === "hidden" ? row.to_value : null,
+						row.event_type === "unhidden" ? row.from_value : null,
+					]),
+					...enrollments.map((row) => row.assigned_by),
+					...documents.flatMap((row) => [
+						row.uploaded_by,
+						row.deleted_by,
+					]),
+				].filter(Boolean),
+			),
+		]);
+		const nameOf = (id, fallback = null) =>
+			(id && names.get(id)) || fallback;
+
+		/** @type {TimelineEntry[]} */
+		const entries = [];
+
+		for (const row of audits) {
+			entries.push({
+				key: `audit:${row.id}`,
+				at: row.created_at,
+				category: auditCategory(row.action_type),
+				title: row.description,
+				detail: auditDetail(row),
+				actor: nameOf(row.user_id, row.user_email ?? null),
+			});
+		}
+
+		const auditedActions = new Set(
+			audits.map((row) => `${row.action_type}:${row.resource_id}`),
+		);
+		if (!auditedActions.has(`${AUDIT_ACTIONS.CREATE_CASE}:${caseId}`)) {
+			entries.push({
+				key: "created",
+				at: caseRow.created_at,
+				category: "case",
+				title: "Case created",
+				detail: caseRow.case_manager
+					? `Case manager: ${caseRow.case_manager}`
+					: null,
+				actor: null,
+			});
+		}
+
+		for (const row of noteResult.data ?? []) {
+			const type = caseNoteTypeLabel(row.note_type);
+			entries.push({
+				key: `note:${row.id}`,
+				at: row.created_at,
+				category: "note",
+				title: row.amends_note_id
+					? `Added an addendum to a ${type.toLowerCase()} note`
+					: `Added a ${type.toLowerCase()} note`,
+				detail: row.amends_note_id
+					? null
+					: `Contact on ${new Date(`${row.occurred_on}T00:00:00`).toLocaleDateString()}`,
+				actor: row.author_name ?? null,
+			});
+		}
+
+		for (const row of events) {
+			const base = {
+				key: `event:${row.id}`,
+				at: row.created_at,
+				actor: nameOf(row.actor_id),
+			};
+			if (row.event_type === "status_change") {
+				entries.push({
+					...base,
+					category: "status",
+					title: `Status changed to ${formatValue(row.to_value)}`,
+					detail: `Was ${formatValue(row.from_value)}`,
+				});
+			} else if (row.event_type === "priority_change") {
+				entries.push({
+					...base,
+					category: "status",
+					title: `Priority changed to ${formatValue(row.to_value)}`,
+					detail: `Was ${formatValue(row.from_value)}`,
+				});
+			} else if (row.event_type === "assignment_change") {
+				entries.push({
+					...base,
+					category: "assignment",
+					title: row.to_value
+						? `Case manager changed to ${row.to_value}`
+						: "Case manager removed",
+					detail: `Was ${formatValue(row.from_value)}`,
+				});
+			} else if (row.event_type === "hidden") {
+				entries.push({
+					...base,
+					category: "visibility",
+					title: `Hidden from ${nameOf(row.to_value, "a user")}`,
+					detail: row.metadata?.reason
+						? `Reason: ${row.metadata.reason}`
+						: null,
+				});
+			} else if (row.event_type === "unhidden") {
+				entries.push({
+					...base,
+					category: "visibility",
+					title: `Visible again to ${nameOf(row.from_value, "a user")}`,
+					detail: null,
+				});
+			}
+		}
+
+		for (const row of enrollments) {
+			if (
+				auditedActions.has(
+					`${AUDIT_ACTIONS.CREATE_ENROLLMENT}:${row.id}`,
+				)
+			) {
+				continue;
+			}
+			entries.push({
+				key: `enrollment:${row.id}`,
+				at: row.created_at ?? row.enrollment_date,
+				category: "program",
+				title: `Enrolled in ${row.program?.program_name ?? "a program"}`,
+				detail: row.status ? `Status: ${row.status}` : null,
+				actor: row.assigned_by_name || nameOf(row.assigned_by),
+			});
+		}
+
+		for (const row of serviceResult.data ?? []) {
+			entries.push({
+				key: `service:${row.id}`,
+				at: row.service_date ?? row.created_at,
+				category: "service",
+				title: `${row.program_name ?? "Service"} session`,
+				detail: [
+					row.attendance_status,
+					row.duration_minutes ? `${row.duration_minutes} min` : null,
+				]
+					.filter(Boolean)
+					.join(" · "),
+				actor: row.delivered_by_name ?? null,
+			});
+		}
+
+		for (const row of documents) {
+			const name = row.title || row.original_filename;
+			entries.push({
+				key: `document:${row.id}`,
+				at: row.created_at,
+				category: "document",
+				title: `Uploaded ${name}`,
+				detail: null,
+				actor: nameOf(row.uploaded_by),
+			});
+			if (row.deleted_at) {
+				entries.push({
+					key: `document-deleted:${row.id}`,
+					at: row.deleted_at,
+					category: "document",
+					title: `Removed ${name}`,
+					detail: null,
+					actor: nameOf(row.deleted_by),
+				});
+			}
+		}
+
+		return {
+			caseRow,
+			entries: entries
+				.filter((entry) => entry.at)
+				.sort((a, b) => timeOf(b) - timeOf(a)),
+			error: null,
+		};
+	} catch (error) {
+		console.error("❌ Failed to load case timeline:", error);
+		return { caseRow: null, entries: [], error };
+	}
+}
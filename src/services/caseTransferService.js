@@ -0,0 +1,366 @@
+/**
+ * Case transfers (online-only).
+ *
+ * Responsibilities:
+ * - Request the transfer of one case, or of all open cases of a case manager,
+ *   to another worker with a reason.
+ * - List transfers waiting on or sent by the signed-in user, and the transfer
+ *   history of a case.
+ * - Accept, decline or cancel a pending transfer.
+ *
+ * Notes:
+ * - Answers go through the `resolve_case_transfer` RPC
+ *   (database/migrations/20261019_add_case_transfers.sql). Accepting sets the
+ *   case row's `case_manager` to the recipient on the server, so the recipient
+ *   does not need edit rights on the case beforehand.
+ * - `case_manager` holds a display name, so the bulk transfer matches cases by
+ *   that name.
+ * - The recipient's and requester's names are filled in from their profiles
+ *   by the database; the client only sends the recipient's id.
+ */
+
+import supabase from "@/../config/supabase";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLog,
+} from "@/lib/auditLog";
+import { isCaseOpen } from "@/lib/caseLifecycle";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+
+const TRANSFERS_TABLE = "case_transfers";
+
+/** PostgREST caps one response at 1000 rows; caseloads are read in pages. */
+const CASE_PAGE_SIZE = 1000;
+
+/** Case ids per pending-transfer check, so the request URL stays short. */
+const PENDING_CHECK_CHUNK_SIZE = 100;
+
+/** Case types with a single case manager; IVAC rows list several. */
+export const CASE_TRANSFER_CASE_TYPES = [
+	"CASE",
+	"CICLCAR",
+	"FAC",
+	"FAR",
+	"SP",
+	"FA",
+	"PWD",
+	"SC",
+];
+
+/**
+ * @typedef {"pending"|"accepted"|"declined"|"cancelled"} CaseTransferStatus
+ */
+
+/**
+ * @typedef {Object} CaseTransferRow
+ * @property {string} id
+ * @property {string} case_type
+ * @property {string} case_id
+ * @property {string|null} from_name Case manager when the transfer was requested.
+ * @property {string} to_user
+ * @property {string} to_name
+ * @property {string} reason
+ * @property {CaseTransferStatus} status
+ * @property {string|null} response_note
+ * @property {string} requested_by
+ * @property {string|null} requested_by_name
+ * @property {string|null} responded_at
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} TransferRecipient
+ * @property {string} toUser Profile id of the receiving worker. Their profile
+ *   name becomes the case's `case_manager` on accept.
+ */
+
+/**
+ * Ask `toUser` to take over one case.
+ *
+ * @param {TransferRecipient & { caseType: string, caseRow: Record<string, any>, reason: string }} params
+ * @returns {Promise<{ data: CaseTransferRow|null, error: any }>}
+ */
+export async function requestCaseTransfer({
+	caseType,
+	caseRow,
+	toUser,
+	reason,
+}) {
+	const text = `${reason ?? ""}`.trim();
+	if (!text) {
+		return { data: null, error: new Error("A reason is required.") };
+	}
+	if (!caseRow?.id) {
+		return {
+			data: null,
+			error: new Error("This case has not synced yet."),
+		};
+	}
+
+	const { data, error } = await supabase
+		.from(TRANSFERS_TABLE)
+		.insert({
+			case_type: caseType,
+			case_id: caseRow.id,
+			from_name: caseRow.case_manager || null,
+			to_user: toUser,
+			reason: text,
+		})
+		.select("*")
+		.single();
+	if (error) {
+		console.error("❌ Failed to request case transfer:", error);
+		return { data: null, error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.REQUEST_CASE_TRANSFER,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Requested transfer of a ${CASE_REPOSITORIES[caseType]?.label ?? caseType} case to ${data.to_name}`,
+		resourceType: "case",
+		resourceId: caseRow.id,
+		metadata: { caseType, caseId: caseRow.id, toUser, reason: text },
+		severity: "info",
+	});
+	return { data, error: null };
+}
+
+/**
+ * Open cases whose case manager is `managerName`.
+ *
+ * @param {string} managerName
+ * @returns {Promise<{ data: { caseType: string, caseRow: Record<string, any> }[], error: any }>}
+ */
+export async function listOpenCasesForManager(managerName) {
+	try {
+		const results = await Promise.all(
+			CASE_TRANSFER_CASE_TYPES.map(async (caseType) => {
+				const rows = [];
+				for (let from = 0; ; from += CASE_PAGE_SIZE) {
+					const { data, error } = await supabase
+						.from(CASE_REPOSITORIES[caseType].table)
+						.select("id, status, case_manager")
+						.eq("case_manager", managerName)
+						.order("id", { ascending: true })
+						.range(from, from + CASE_PAGE_SIZE - 1);
+					if (error) throw error;
+					rows.push(...(data ?? []));
+					if (!data || data.length < CASE_PAGE_SIZE) break;
+				}
+				return rows
+					.filter((row) => isCaseOpen(row.status))
+					.map((caseRow) => ({ caseType, caseRow }));
+			}),
+		);
+		return { data: results.flat(), error: null };
+	} catch (error) {
+		console.error("❌ Failed to load cases for bulk transfer:", error);
+		return { data: [], error };
+	}
+}
+
+/**
+ * Ask `toUser` to take over every open case of `fromManager`, e.g. when a
+ * worker resigns or goes on leave. Cases that already have a pending transfer
+ * are skipped.
+ *
+ * @param {TransferRecipient & { fromManager: string, reason: string }} params
+ * @returns {Promise<{ requested: number, skipped: number, error: any }>}
+ */
+export async function requestBulkTransfer({ fromManager, toUser, reason }) {
+	const text = `${reason ?? ""}`.trim();
+	if (!text) {
+		return {
+			requested: 0,
+			skipped: 0,
+			error: new Error("A reason is required."),
+		};
+	}
+
+	const { data: cases, error: listError } =
+		await listOpenCasesForManager(fromManager);
+	if (listError) return { requested: 0, skipped: 0, error: listError };
+	if (cases.length === 0) return { requested: 0, skipped: 0, error: null };
+
+	const alreadyPending = new Set();
+	for (
+		let start = 0;
+		start < cases.length;
+		start += PENDING_CHECK_CHUNK_SIZE
+	) {
+		const { data: pending, error: pendingError } = await supabase
+			.from(TRANSFERS_TABLE)
+			.select("case_type, case_id")
+			.eq("status", "pending")
+			.in(
+				"case_id",
+				cases
+					.slice(start, start + PENDING_CHECK_CHUNK_SIZE)
+					.map(({ caseRow }) => caseRow.id),
+			);
+		if (pendingError) {
+			console.error(
+				"❌ Failed to check pending transfers:",
+				pendingError,
+			);
+			return { requested: 0, skipped: 0, error: pendingError };
+		}
+		for (const row of pending ?? []) {
+			alreadyPending.add(`${row.case_type}:${row.case_id}`);
+		}
+	}
+	const toRequest = cases.filter(
+		({ caseType, caseRow }) =>
+			!alreadyPending.has(`${caseType}:${caseRow.id}`),
+	);
+
+	if (toRequest.length > 0) {
+		const { data: requested, error } = await supabase
+			.from(TRANSFERS_TABLE)
+			.insert(
+				toRequest.map(({ caseType, caseRow }) => ({
+					case_type: caseType,
+					case_id: caseRow.id,
+					from_name: fromManager,
+					to_user: toUser,
+					reason: text,
+				})),
+			)
+			.select("to_name");
+		if (error) {
+			console.error("❌ Failed to request bulk transfer:", error);
+			return { requested: 0, skipped: 0, error };
+		}
+
+		await createAuditLog({
+			actionType: AUDIT_ACTIONS.REQUEST_CASE_TRANSFER,
+			actionCategory: AUDIT_CATEGORIES.CASE,
+			description: `Requested transfer of ${toRequest.length} open case${toRequest.length === 1 ? "" : "s"} from ${fromManager} to ${requested?.[0]?.to_name ?? toUser}`,
+			resourceType: "case",
+			metadata: {
+				fromManager,
+				toUser,
+				reason: text,
+				count: toRequest.length,
+			},
+			severity: "info",
+		});
+	}
+
+	return {
+		requested: toRequest.length,
+		skipped: cases.length - toRequest.length,
+		error: null,
+	};
+}
+
+/**
+ * Pending transfers sent to `userId`, oldest first.
+ * @param {string} userId
+ * @returns {Promise<{ data: CaseTransferRow[], error: any }>}
+ */
+export async function listIncomingTransfers(userId) {
+	const { data, error } = await supabase
+		.from(TRANSFERS_TABLE)
+		.select("*")
+		.eq("to_user", userId)
+		.eq("status", "pending")
+		.order("created_at", { ascending: true });
+	if (error) {
+		console.error("❌ Failed to load incoming transfers:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
+
+/**
+ * Pending transfers requested by `userId`, newest first.
+ * @param {string} userId
+ * @returns {Promise<{ data: CaseTransferRow[], error: any }>}
+ */
+export async function listSentTransfers(userId) {
+	const { data, error } = await supabase
+		.from(TRANSFERS_TABLE)
+		.select("*")
+		.eq("requested_by", userId)
+		.eq("status", "pending")
+		.order("created_at", { ascending: false });
+	if (error) {
+		console.error("❌ Failed to load sent transfers:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
+
+/**
+ * Every transfer requested for one case, newest first.
+ * @param {{ caseType: string, caseId: string }} params
+ * @returns {Promise<{ data: CaseTransferRow[], error: any }>}
+ */
+export async function listCaseTransfers({ caseType, caseId }) {
+	const { data, error } = await supabase
+		.from(TRANSFERS_TABLE)
+		.select("*")
+		.eq("case_type", caseType)
+		.eq("case_id", caseId)
+		.order("created_at", { ascending: false });
+	if (error) {
+		console.error("❌ Failed to load case transfers:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
+
+const RESOLVE_AUDIT = {
+	accepted: {
+		actionType: AUDIT_ACTIONS.ACCEPT_CASE_TRANSFER,
+		verb: "Accepted",
+	},
+	declined: {
+		actionType: AUDIT_ACTIONS.DECLINE_CASE_TRANSFER,
+		verb: "Declined",
+	},
+	cancelled: {
+		actionType: AUDIT_ACTIONS.CANCEL_CASE_TRANSFER,
+		verb: "Cancelled",
+	},
+};
+
+/**
+ * Accept or decline a transfer sent to the signed-in user, or cancel one
+ * they requested.
+ *
+ * @param {CaseTransferRow} transfer
+ * @param {"accepted"|"declined"|"cancelled"} status
+ * @param {string} [note] Shown to the requester, e.g. why it was declined.
+ * @returns {Promise<{ data: CaseTransferRow|null, error: any }>}
+ */
+export async function resolveCaseTransfer(transfer, status, note = "") {
+	const { data, error } = await supabase.rpc("resolve_case_transfer", {
+		p_transfer_id: transfer.id,
+		p_status: status,
+		p_note: note.trim() || null,
+	});
+	if (error) {
+		console.error("❌ Failed to answer case transfer:", error);
+		return { data: null, error };
+	}
+
+	const { actionType, verb } = RESOLVE_AUDIT[status];
+	await createAuditLog({
+		actionType,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `${verb} transfer of a ${CASE_REPOSITORIES[transfer.case_type]?.label ?? transfer.case_type} case to ${transfer.to_name}`,
+		resourceType: "case",
+		resourceId: transfer.case_id,
+		metadata: {
+			caseType: transfer.case_type,
+			caseId: transfer.case_id,
+			transferId: transfer.id,
+			...(note.trim() ? { note: note.trim() } : {}),
+		},
+		severity: "info",
+	});
+	return { data, error: null };
+}
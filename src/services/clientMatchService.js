@@ -0,0 +1,208 @@
+/**
+ * Duplicate-client detection for intake forms.
+ *
+ * Responsibilities:
+ * - Find existing clients that look like the person being entered, scored with
+ *   `scoreClientMatch` (name, birth date, barangay).
+ * - List each candidate's cases so earlier FA/FAR claims are visible before
+ *   another one is recorded.
+ *
+ * Notes:
+ * - Online, `find_client_candidates` returns the clients closest to the full
+ *   name key (trigram similarity, a same birth date ranking higher), so the
+ *   scoring runs on a small set that still holds the real duplicate.
+ * - Offline (or when the server cannot be reached) the cached snapshots of
+ *   every case table are searched instead; rows that share a `client_id` are
+ *   one candidate.
+ * - Cached rows created offline have no `client_id` yet, so they can be shown
+ *   but not linked.
+ */
+
+import supabase from "@/../config/supabase";
+import {
+	CLIENT_CASE_SOURCES,
+	clientNameKey,
+	scoreClientMatch,
+} from "@/lib/clientIdentity";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import { isNetworkError } from "@/services/offlineCaseRepository";
+
+const MAX_MATCHES = 5;
+
+const CANDIDATE_LIMIT = 50;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} ClientMatchCase
+ * @property {string} caseType
+ * @property {string} label
+ * @property {string|null} id
+ * @property {string|null} createdAt
+ */
+
+/**
+ * @typedef {Object} ClientMatch
+ * @property {string} key
+ * @property {string|null} clientId Null for cached rows not yet synced.
+ * @property {string} fullName
+ * @property {string|null} birthDate
+ * @property {string|null} barangay
+ * @property {number} score
+ * @property {"likely"|"possible"} strength
+ * @property {string[]} reasons
+ * @property {ClientMatchCase[]} cases
+ */
+
+const byScore = (a, b) => b.score - a.score;
+
+/**
+ * @param {import("@/lib/clientIdentity").ClientIdentity} identity
+ * @returns {Promise<ClientMatch[]>}
+ */
+async function findRemoteMatches(identity) {
+	const birthDate = `${identity.birthDate ?? ""}`.slice(0, 10);
+	const { data, error } = await supabase.rpc("find_client_candidates", {
+		p_name_key: clientNameKey(identity.fullName),
+		p_birth_date: ISO_DATE_PATTERN.test(birthDate) ? birthDate : null,
+		p_limit: CANDIDATE_LIMIT,
+	});
+	if (error) throw error;
+
+	const matches = (data ?? [])
+		.map((client) => {
+			const result = scoreClientMatch(identity, {
+				fullName: client.full_name,
+				birthDate: client.birth_date,
+				barangay: client.barangay,
+				address: client.address,
+			});
+			return result
+				? {
+						key: client.id,
+						clientId: client.id,
+						fullName: client.full_name,
+						birthDate: client.birth_date,
+						barangay: client.barangay,
+						...result,
+						cases: [],
+					}
+				: null;
+		})
+		.filter(Boolean)
+		.sort(byScore)
+		.slice(0, MAX_MATCHES);
+	if (matches.length === 0) return matches;
+
+	const clientIds = matches.map((match) => match.clientId);
+	const results = await Promise.all(
+		CLIENT_CASE_SOURCES.map((source) =>
+			supabase
+				.from(source.table)
+				.select("id, client_id, created_at")
+				.in("client_id", clientIds),
+		),
+	);
+	const byClient = new Map(matches.map((match) => [match.clientId, match]));
+	results.forEach((result, index) => {
+		if (result.error) throw result.error;
+		const { caseType, label } = CLIENT_CASE_SOURCES[index];
+		for (const row of result.data ?? []) {
+			byClient.get(row.client_id)?.cases.push({
+				caseType,
+				label,
+				id: row.id,
+				createdAt: row.created_at ?? null,
+			});
+		}
+	});
+	return matches;
+}
+
+/**
+ * @param {import("@/lib/clientIdentity").ClientIdentity} identity
+ * @returns {Promise<ClientMatch[]>}
+ */
+async function findLocalMatches(identity) {
+	const byKey = new Map();
+	for (const source of CLIENT_CASE_SOURCES) {
+		const rows = await CASE_REPOSITORIES[source.caseType].listLocalRows();
+		for (const row of rows) {
+			const candidate = source.identify(row);
+			const result = scoreClientMatch(identity, candidate);
+			if (!result) continue;
+
+			const key =
+				row.client_id ?? `${source.caseType}:${row.id ?? row.localId}`;
+			const entry = {
+				caseType: source.caseType,
+				label: source.label,
+				id: row.id ?? null,
+				createdAt: row.created_at ?? null,
+			};
+			const existing = byKey.get(key);
+			if (existing) {
+				existing.cases.push(entry);
+				if (result.score > existing.score)
+					Object.assign(existing, result);
+				continue;
+			}
+			byKey.set(key, {
+				key,
+				clientId: row.client_id ?? null,
+				fullName: candidate.fullName,
+				birthDate: candidate.birthDate,
+				barangay: candidate.barangay,
+				...result,
+				cases: [entry],
+			});
+		}
+	}
+	return [...byKey.values()].sort(byScore).slice(0, MAX_MATCHES);
+}
+
+/**
+ * Existing clients that may be the person described by `identity`, best first.
+ *
+ * @param {Partial<import("@/lib/clientIdentity").ClientIdentity>} identity
+ * @param {{ localOnly?: boolean }} [options] Skip the server (offline session).
+ * @returns {Promise<{ matches: ClientMatch[], local: boolean, error: any }>}
+ */
+export async function findClientMatches(identity, { localOnly = false } = {}) {
+	const input = {
+		fullName: identity.fullName ?? "",
+		birthDate: identity.birthDate ?? null,
+		sex: identity.sex ?? null,
+		barangay: identity.barangay ?? null,
+		address: identity.address ?? null,
+	};
+	if ((clientNameKey(input.fullName)?.split(" ").length ?? 0) < 2) {
+		return { matches: [], local: localOnly, error: null };
+	}
+
+	if (!localOnly) {
+		try {
+			return {
+				matches: await findRemoteMatches(input),
+				local: false,
+				error: null,
+			};
+		} catch (error) {
+			if (!isNetworkError(error)) {
+				console.error("❌ Failed to look up matching clients:", error);
+				return { matches: [], local: false, error };
+			}
+		}
+	}
+
+	try {
+		return {
+			matches: await findLocalMatches(input),
+			local: true,
+			error: null,
+		};
+	} catch (error) {
+		console.error("❌ Failed to search cached cases for matches:", error);
+		return { matches: [], local: true, error };
+	}
+}
@@ -0,0 +1,382 @@
+/**
+ * Client registry (online-only).
+ *
+ * Responsibilities:
+ * - Search `public.clients`, the master index of people served across modules.
+ * - Assemble a client profile: every linked case row plus the enrollments,
+ *   service deliveries, assistance and documents recorded against those cases.
+ * - Edit a client's identifying details and link or unlink case rows.
+ *
+ * Notes:
+ * - New case rows are linked by a database trigger when they are inserted, so
+ *   intake flows (including queued offline intakes) only set `client_id` when
+ *   the worker picked an existing client from the duplicate warning.
+ * - Linking updates `client_id` directly instead of going through the case
+ *   repositories, whose `updateRecord` rewrites family rows.
+ */
+
+import supabase from "@/../config/supabase";
+import {
+	CLIENT_CASE_SOURCES,
+	clientNameKey,
+	getClientCaseSource,
+} from "@/lib/clientIdentity";
+import { normalizeProgramCaseType } from "@/lib/programCaseTypes";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLog,
+} from "@/lib/auditLog";
+
+const CLIENTS_TABLE = "clients";
+
+const CLIENT_SEARCH_LIMIT = 50;
+
+const EDITABLE_CLIENT_FIELDS = [
+	"full_name",
+	"first_name",
+	"middle_name",
+	"last_name",
+	"suffix",
+	"birth_date",
+	"sex",
+	"barangay",
+	"address",
+	"contact_number",
+];
+
+/**
+ * @typedef {Object} ClientRow
+ * @property {string} id
+ * @property {string} full_name
+ * @property {string|null} first_name
+ * @property {string|null} middle_name
+ * @property {string|null} last_name
+ * @property {string|null} suffix
+ * @property {string|null} birth_date
+ * @property {string|null} sex
+ * @property {string|null} barangay
+ * @property {string|null} address
+ * @property {string|null} contact_number
+ * @property {string|null} name_key
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} ClientCase
+ * @property {string} id
+ * @property {string} caseType
+ * @property {string} label Module label.
+ * @property {string} name Client name as written on this case.
+ * @property {string|null} status
+ * @property {string|null} case_manager
+ * @property {string|null} created_at
+ * @property {string|null} updated_at
+ * @property {Record<string, any>} row Full case row.
+ */
+
+/**
+ * @typedef {Object} ClientAssistance
+ * @property {string} key
+ * @property {string|null} date
+ * @property {string} source "FA", "FAR" or "Service delivery".
+ * @property {string} description
+ * @property {number|string|null} amount
+ * @property {string|null} caseId
+ */
+
+/**
+ * @typedef {Object} ClientProfile
+ * @property {ClientRow|null} client
+ * @property {ClientCase[]} cases
+ * @property {any[]} enrollments `program_enrollments` rows with `program`.
+ * @property {ClientAssistance[]} assistance Newest first.
+ * @property {any[]} documents `documents` rows with the case they belong to.
+ */
+
+/**
+ * Find clients whose name contains `query`, ignoring case, accents, "Ma." and
+ * suffixes. An empty query lists the most recently updated clients.
+ *
+ * @param {string} query
+ * @returns {Promise<{ data: ClientRow[], error: any }>}
+ */
+export async function searchClients(query) {
+	const key = clientNameKey(query);
+	let request = supabase.from(CLIENTS_TABLE).select("*");
+	request = key
+		? request.ilike("name_key", `%${key}%`).order("full_name")
+		: request.order("updated_at", { ascending: false });
+
+	const { data, error } = await request.limit(CLIENT_SEARCH_LIMIT);
+	if (error) {
+		console.error("❌ Failed to search clients:", error);
+		return { data: [], error };
+	}
+	return { data: data ?? [], error: null };
+}
+
+/**
+ * @param {string} caseType
+ * @param {Record<string, any>} row
+ * @returns {ClientCase}
+ */
+function toClientCase(caseType, row) {
+	const source = getClientCaseSource(caseType);
+	return {
+		id: row.id,
+		caseType,
+		label: source?.label ?? caseType,
+		name: source?.identify(row).fullName ?? "",
+		status: row.status ?? null,
+		case_manager: row.case_manager ?? null,
+		created_at: row.created_at ?? null,
+		updated_at: row.updated_at ?? null,
+		row,
+	};
+}
+
+/**
+ * FA and FAR cases are themselves assistance records; service deliveries come
+ * from program enrollments.
+ *
+ * @param {ClientCase[]} cases
+ * @param {any[]} deliveries
+ * @returns {ClientAssistance[]}
+ */
+function collectAssistance(cases, deliveries) {
+	const assistance = [];
+	for (const entry of cases) {
+		const { row } = entry;
+		if (entry.caseType === "FA") {
+			assistance.push({
+				key: `FA:${row.id}`,
+				date: row.interview_date ?? row.date_recorded ?? row.created_at,
+				source: "FA",
+				description:
+					[row.purpose, row.transaction]
+						.filter(Boolean)
+						.join(" · ") || "Financial assistance",
+				amount: null,
+				caseId: row.id,
+			});
+		} else if (entry.caseType === "FAR") {
+			assistance.push({
+				key: `FAR:${row.id}`,
+				date: row.date ?? row.created_at,
+				source: "FAR",
+				description:
+					[
+						row.assistance,
+						row.quantity && row.unit
+							? `${row.quantity} ${row.unit}`
+							: null,
+					]
+						.filter(Boolean)
+						.join(" · ") || "Family assistance",
+				amount: row.cost ?? null,
+				caseId: row.id,
+			});
+		}
+	}
+	for (const delivery of deliveries) {
+		assistance.push({
+			key: `SD:${delivery.id}`,
+			date: delivery.service_date ?? delivery.created_at,
+			source: "Service delivery",
+			description:
+				[delivery.program?.program_name, delivery.service_type]
+					.filter(Boolean)
+					.join(" · ") || "Service delivery",
+			amount: null,
+			caseId: delivery.case_id ?? null,
+		});
+	}
+	return assistance.sort((a, b) =>
+		`${b.date ?? ""}`.localeCompare(`${a.date ?? ""}`),
+	);
+}
+
+/**
+ * Load a client and everything recorded for them across modules.
+ *
+ * @param {string} clientId
+ * @returns {Promise<ClientProfile & { error: any }>}
+ */
+export async function fetchClientProfile(clientId) {
+	const empty = {
+		client: null,
+		cases: [],
+		enrollments: [],
+		assistance: [],
+		documents: [],
+	};
+
+	try {
+		const [clientResult, ...caseResults] = await Promise.all([
+			supabase
+				.from(CLIENTS_TABLE)
+				.select("*")
+				.eq("id", clientId)
+				.single(),
+			...CLIENT_CASE_SOURCES.map((source) =>
+				supabase
+					.from(source.table)
+					.select("*")
+					.eq("client_id", clientId),
+			),
+		]);
+		if (clientResult.error) throw clientResult.error;
+
+		const cases = [];
+		caseResults.forEach((result, index) => {
+			if (result.error) throw result.error;
+			const { caseType } = CLIENT_CASE_SOURCES[index];
+			for (const row of result.data ?? []) {
+				cases.push(toClientCase(caseType, row));
+			}
+		});
+		cases.sort((a, b) =>
+			`${b.created_at ?? ""}`.localeCompare(`${a.created_at ?? ""}`),
+		);
+
+		const caseIds = cases.map((entry) => entry.id);
+		if (caseIds.length === 0) {
+			return { ...empty, client: clientResult.data, error: null };
+		}
+
+		const [enrollmentResult, deliveryResult, documentResult] =
+			await Promise.all([
+				supabase
+					.from("program_enrollments")
+					.select(
+						"*, program:programs(id, program_name, program_type, coordinator, status)",
+					)
+					.in("case_id", caseIds)
+					.order("enrollment_date", { ascending: false }),
+				supabase
+					.from("service_delivery")
+					.select("*, program:programs(id, program_name)")
+					.in("case_id", caseIds)
+					.order("service_date", { ascending: false }),
+				supabase
+					.from("documents")
+					.select(
+						"id, related_type, related_id, title, description, original_filename, storage_bucket, storage_path, mime_type, size_bytes, uploaded_by, created_at",
+					)
+					.eq("related_type", "case")
+					.in("related_id", caseIds)
+					.is("deleted_at", null)
+					.order("created_at", { ascending: false }),
+			]);
+		if (enrollmentResult.error) throw enrollmentResult.error;
+		if (deliveryResult.error) throw deliveryResult.error;
+		if (documentResult.error) throw documentResult.error;
+
+		// Enrollment case ids are only unique together with the case type.
+		const caseKeys = new Set(
+			cases.map((entry) => `${entry.caseType}:${entry.id}`),
+		);
+		const enrollments = (enrollmentResult.data ?? []).filter((row) => {
+			const caseType = normalizeProgramCaseType(row.case_type);
+			return caseKeys.has(
+				`${caseType === "CICL/CAR" ? "CICLCAR" : caseType}:${row.case_id}`,
+			);
+		});
+		const casesById = new Map(cases.map((entry) => [entry.id, entry]));
+
+		return {
+			client: clientResult.data,
+			cases,
+			enrollments,
+			assistance: collectAssistance(cases, deliveryResult.data ?? []),
+			documents: (documentResult.data ?? []).map((row) => ({
+				...row,
+				case: casesById.get(row.related_id) ?? null,
+			})),
+			error: null,
+		};
+	} catch (error) {
+		console.error("❌ Failed to load client profile:", error);
+		return { ...empty, error };
+	}
+}
+
+/**
+ * @param {string} clientId
+ * @param {Partial<ClientRow>} changes Only identifying fields are applied.
+ * @returns {Promise<{ data: ClientRow|null, error: any }>}
+ */
+export async function updateClient(clientId, changes) {
+	const payload = {};
+	for (const field of EDITABLE_CLIENT_FIELDS) {
+		if (field in changes) {
+			const value = changes[field];
+			payload[field] =
+				typeof value === "string" ? value.trim() || null : value;
+		}
+	}
+	if (!payload.full_name && "full_name" in payload) {
+		return { data: null, error: new Error("Full name is required.") };
+	}
+
+	const { data, error } = await supabase
+		.from(CLIENTS_TABLE)
+		.update(payload)
+		.eq("id", clientId)
+		.select("*")
+		.single();
+	if (error) {
+		console.error("❌ Failed to update client:", error);
+		return { data: null, error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.UPDATE_CLIENT,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Updated client record for ${data.full_name}`,
+		resourceType: "client",
+		resourceId: clientId,
+		metadata: { fields: Object.keys(payload) },
+		severity: "info",
+	});
+	return { data, error: null };
+}
+
+/**
+ * Point a case row at a client, or detach it with `clientId: null`.
+ *
+ * @param {{ caseType: string, caseId: string, clientId: string|null }} params
+ * @returns {Promise<{ error: any }>}
+ */
+export async function linkCaseToClient({ caseType, caseId, clientId }) {
+	const source = getClientCaseSource(caseType);
+	if (!source) {
+		return {
+			error: new Error(`${caseType} cases are not linked to clients.`),
+		};
+	}
+
+	const { error } = await supabase
+		.from(source.table)
+		.update({ client_id: clientId })
+		.eq("id", caseId);
+	if (error) {
+		console.error("❌ Failed to link case to client:", error);
+		return { error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.LINK_CASE_CLIENT,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: clientId
+			? `Linked a ${source.label} case to a client`
+			: `Unlinked a ${source.label} case from its client`,
+		resourceType: "case",
+		resourceId: caseId,
+		metadata: { caseType, clientId },
+		severity: "info",
+	});
+	return { error: null };
+}
@@ -5,9 +5,14 @@
  * - Fetch dashboard source data directly from Supabase.
  * - Compute dashboard payloads expected by dashboard UI components.
  * - Apply dashboard filters before aggregation.
+ *
+ * Notes:
+ * - Open / in progress / closed come from `caseLifecycle`, so the dashboard
+ *   counts the same cases as open as workload and notifications do.
  */
 
 import supabase from "@/../config/supabase";
+import { caseLifecycleState } from "@/lib/caseLifecycle";
 
 const DAY_MS = 24 * 60 * 60 * 1000;
 
@@ -20,14 +25,6 @@ const toPriorityKey = (value) => {
 	return key || "medium";
 };
 
-const normalizeStatusForFilter = (value) => {
-	const key = toComparable(value).replace(/\s+/g, "-");
-	if (key === "resolved") return "closed";
-	if (key === "in-process") return "in-progress";
-	if (key === "filed" || key === "assessed") return "open";
-	return key;
-};
-
 const getCaseDate = (record) => {
 	const rawDate =
 		record?.created_at || record?.date_filed || record?.updated_at || null;
@@ -173,15 +170,13 @@ function computeCaseStats(cases) {
 		return acc;
 	}, {});
 
-	const activeCases = scopedCases.filter((c) => {
-		const status = toComparable(c.status);
-		return status !== "closed" && status !== "resolved";
-	}).length;
-
-	const closedCases = scopedCases.filter((c) => {
-		const status = toComparable(c.status);
-		return status === "closed" || status === "resolved";
-	}).length;
+	const lifecycleCounts = scopedCases.reduce(
+		(acc, c) => {
+			acc[caseLifecycleState(c.status)] += 1;
+			return acc;
+		},
+		{ open: 0, in_progress: 0, closed: 0 },
+	);
 
 	const priorityDistribution = scopedCases.reduce((acc, c) => {
 		const priority = toPriorityKey(c.priority);
@@ -197,12 +192,10 @@ function computeCaseStats(cases) {
 
 	return {
 		total: scopedCases.length,
-		active: activeCases,
-		inProgress:
-			(statusDistribution["in-progress"] || 0) +
-			(statusDistribution["In Process"] || 0),
-		pending: statusDistribution.pending || 0,
-		closed: closedCases,
+		active: lifecycleCounts.open + lifecycleCounts.in_progress,
+		open: lifecycleCounts.open,
+		inProgress: lifecycleCounts.in_progress,
+		closed: lifecycleCounts.closed,
 		highPriority: priorityDistribution.high || 0,
 		mediumPriority: priorityDistribution.medium || 0,
 		lowPriority: priorityDistribution.low || 0,
@@ -276,9 +269,9 @@ function applyFilters(cases, filters = {}) {
 	}
 
 	if (filters.status) {
-		const targetStatus = normalizeStatusForFilter(filters.status);
+		const targetState = caseLifecycleState(filters.status);
 		filteredCases = filteredCases.filter(
-			(c) => normalizeStatusForFilter(c.status) === targetStatus,
+			(c) => caseLifecycleState(c.status) === targetState,
 		);
 	}
 
@@ -5,7 +5,7 @@
  * - Create a metadata row in `public.documents`.
  * - Upload file bytes to the Supabase Storage bucket `documents`.
  * - List documents for a related entity (case/program/operation).
- * - Create signed download URLs.
+ * - Create signed download URLs and download files.
  * - Delete a document (storage object + metadata row).
  *
  * Notes:
@@ -324,6 +324,37 @@ export async function createDocumentSignedUrl({
 	throw lastError || new Error("Failed to create download link");
 }
 
+/**
+ * Downloads a document through a short-lived signed URL and saves it under its
+ * original file name.
+ *
+ * @param {Object} params
+ * @param {DocumentRow} params.documentRow
+ * @returns {Promise<void>}
+ */
+export async function downloadDocument({ documentRow }) {
+	const signedUrl = await createDocumentSignedUrl({
+		storagePath: documentRow.storage_path,
+		expiresInSeconds: 300,
+	});
+	if (!signedUrl) throw new Error("Failed to create download link");
+
+	const response = await fetch(signedUrl);
+	if (!response.ok) {
+		throw new Error(`Download failed (${response.status})`);
+	}
+	const blob = await response.blob();
+	const objectUrl = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = objectUrl;
+	link.download = documentRow.original_filename || "document";
+	link.style.display = "none";
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+}
+
 /**
  * Deletes the storage object and then deletes the metadata row.
  *
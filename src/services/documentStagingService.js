@@ -0,0 +1,262 @@
+/**
+ * Documents staged on this device until they can be uploaded.
+ *
+ * Responsibilities:
+ * - Keep files picked while offline in Dexie (`staged_documents`), sealed with
+ *   the offline vault key, with the metadata `uploadDocument` needs.
+ * - Enforce per-file and per-device size limits before anything is stored.
+ * - Upload staged files through the regular metadata-then-upload flow once
+ *   online, recording attempts and the last error for the retry UI.
+ *
+ * Notes:
+ * - Only the owner, target entity and size are stored in clear text; the file
+ *   name, title and bytes are sealed.
+ * - Automatic uploads stop after `MAX_UPLOAD_ATTEMPTS` failures; an explicit
+ *   retry still runs.
+ * - Upload runs never overlap: a new call waits for the one in flight, so a
+ *   file is not sent twice when the app and an open dialog both react to
+ *   reconnecting.
+ * - Staged files count as unsynced changes and leave with the user's offline
+ *   data at logout.
+ */
+
+import { liveQuery } from "dexie";
+import offlineCaseDb from "@/db/offlineCaseDb";
+import {
+	getVaultOwnerId,
+	openBlob,
+	openValue,
+	sealBlob,
+	sealValue,
+} from "@/services/offlineVault";
+import { uploadDocument } from "@/services/documentService";
+
+/** Largest single file accepted for staging. */
+export const MAX_STAGED_FILE_BYTES = 15 * 1024 * 1024;
+
+/** Combined size of one user's staged files on this device. */
+export const MAX_STAGED_TOTAL_BYTES = 150 * 1024 * 1024;
+
+export const MAX_UPLOAD_ATTEMPTS = 5;
+
+/**
+ * @typedef {Object} StagedDocument
+ * @property {number} uploadId
+ * @property {import("@/services/documentService").DocumentRelatedType} relatedType
+ * @property {string|null} relatedId
+ * @property {string} original_filename
+ * @property {string|null} mime_type
+ * @property {number} size_bytes
+ * @property {string|null} title
+ * @property {string|null} description
+ * @property {number} createdAt
+ * @property {number} attempts
+ * @property {string|null} lastError
+ * @property {number|null} lastAttemptAt
+ */
+
+const stagedTable = () => offlineCaseDb.staged_documents;
+
+const relatedKeyOf = (relatedType, relatedId) =>
+	`${relatedType}:${relatedId ?? "general"}`;
+
+const isMine = (record) =>
+	Boolean(record.ownerId) && record.ownerId === getVaultOwnerId();
+
+const formatLimit = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+let running = null;
+
+/**
+ * @returns {Promise<StagedDocument|null>}
+ */
+async function openRecord(record) {
+	if (!record || !isMine(record)) return null;
+	try {
+		const meta = await openValue(record.sealedMeta);
+		return {
+			uploadId: record.uploadId,
+			relatedType: record.relatedType,
+			relatedId: record.relatedId,
+			size_bytes: record.size,
+			createdAt: record.createdAt,
+			attempts: record.attempts ?? 0,
+			lastError: record.lastError ?? null,
+			lastAttemptAt: record.lastAttemptAt ?? null,
+			...meta,
+		};
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Store a file for upload once the device is back online.
+ * Throws when the vault is locked or a size limit would be exceeded.
+ *
+ * @param {{ relatedType: import("@/services/documentService").DocumentRelatedType, relatedId: string|null, file: File, title?: string|null, description?: string|null }} params
+ * @returns {Promise<number>} The staged upload id.
+ */
+export async function stageDocument({
+	relatedType,
+	relatedId,
+	file,
+	title = null,
+	description = null,
+}) {
+	if (!file) throw new Error("No file provided");
+	if (file.size > MAX_STAGED_FILE_BYTES) {
+		throw new Error(
+			`${file.name} is larger than ${formatLimit(MAX_STAGED_FILE_BYTES)}. Upload it when you are online.`,
+		);
+	}
+
+	// Sealing first also rejects while the vault is locked.
+	const [sealedMeta, sealedFile] = await Promise.all([
+		sealValue({
+			original_filename: file.name,
+			mime_type: file.type || null,
+			title,
+			description,
+		}),
+		sealBlob(file),
+	]);
+
+	const ownerId = getVaultOwnerId();
+	let stagedBytes = 0;
+	await stagedTable()
+		.where("ownerId")
+		.equals(ownerId)
+		.each((record) => {
+			stagedBytes += record.size ?? 0;
+		});
+	if (stagedBytes + file.size > MAX_STAGED_TOTAL_BYTES) {
+		throw new Error(
+			`Files waiting to upload would exceed ${formatLimit(MAX_STAGED_TOTAL_BYTES)} on this device. Upload or remove some first.`,
+		);
+	}
+
+	return stagedTable().add({
+		ownerId,
+		relatedType,
+		relatedId: relatedId || null,
+		relatedKey: relatedKeyOf(relatedType, relatedId),
+		size: file.size,
+		createdAt: Date.now(),
+		attempts: 0,
+		lastError: null,
+		lastAttemptAt: null,
+		sealedMeta,
+		sealedFile,
+	});
+}
+
+/**
+ * Live list of the current user's staged files for one entity, oldest first.
+ * @param {{ relatedType: import("@/services/documentService").DocumentRelatedType, relatedId: string|null }} params
+ * @returns {import("dexie").Observable<StagedDocument[]>}
+ */
+export function observeStagedDocuments({ relatedType, relatedId }) {
+	return liveQuery(async () => {
+		const records = await stagedTable()
+			.where("relatedKey")
+			.equals(relatedKeyOf(relatedType, relatedId))
+			.filter(isMine)
+			.sortBy("createdAt");
+		return (await Promise.all(records.map(openRecord))).filter(Boolean);
+	});
+}
+
+/**
+ * @param {number} uploadId
+ */
+export async function discardStagedDocument(uploadId) {
+	const existing = await stagedTable().get(uploadId);
+	if (existing && isMine(existing)) await stagedTable().delete(uploadId);
+}
+
+async function uploadRecord(record) {
+	const meta = await openValue(record.sealedMeta);
+	const blob = await openBlob(record.sealedFile, meta.mime_type || "");
+	const file = new File([blob], meta.original_filename, {
+		type: meta.mime_type || "",
+	});
+	await uploadDocument({
+		relatedType: record.relatedType,
+		relatedId: record.relatedId,
+		file,
+		title: meta.title ?? null,
+		description: meta.description ?? null,
+	});
+}
+
+async function pickRecords(uploadId) {
+	if (uploadId != null) {
+		const record = await stagedTable().get(uploadId);
+		return record && isMine(record) ? [record] : [];
+	}
+	return stagedTable()
+		.orderBy("createdAt")
+		.filter(
+			(record) =>
+				isMine(record) && (record.attempts ?? 0) < MAX_UPLOAD_ATTEMPTS,
+		)
+		.toArray();
+}
+
+async function runUploads(uploadId) {
+	const records = await pickRecords(uploadId);
+
+	let uploaded = 0;
+	const failures = [];
+	for (const record of records) {
+		try {
+			await uploadRecord(record);
+			await stagedTable().delete(record.uploadId);
+			uploaded += 1;
+		} catch (error) {
+			console.error("❌ Failed to upload staged document:", error);
+			await stagedTable().update(record.uploadId, {
+				attempts: (record.attempts ?? 0) + 1,
+				lastError: error?.message || String(error),
+				lastAttemptAt: Date.now(),
+			});
+			failures.push({ uploadId: record.uploadId, error });
+		}
+	}
+	return { uploaded, failures };
+}
+
+/**
+ * Upload the current user's staged files, or only `uploadId` when given.
+ * Needs a connection and an online session.
+ *
+ * @param {{ uploadId?: number }} [options]
+ * @returns {Promise<{ uploaded: number, failures: Array<{ uploadId: number, error: any }> }>}
+ */
+export function uploadStagedDocuments({ uploadId } = {}) {
+	const run = (running ?? Promise.resolve()).then(() => runUploads(uploadId));
+	const settled = run
+		.catch(() => {})
+		.then(() => {
+			if (running === settled) running = null;
+		});
+	running = settled;
+	return run;
+}
+
+/**
+ * Staged files saved by `ownerId`, readable or not.
+ * @param {string} ownerId
+ * @returns {Promise<number>}
+ */
+export async function countStagedDocumentsFor(ownerId) {
+	return stagedTable().where("ownerId").equals(ownerId).count();
+}
+
+/**
+ * @param {string} ownerId
+ */
+export async function purgeStagedDocuments(ownerId) {
+	await stagedTable().where("ownerId").equals(ownerId).delete();
+}
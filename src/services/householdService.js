@@ -0,0 +1,427 @@
+/**
+ * Households (online-only).
+ *
+ * Responsibilities:
+ * - Load the household of a case: its members, the size and income rollup
+ *   from `household_summary`, and every case that belongs to it.
+ * - Add, edit and remove household members and edit the household itself.
+ * - Find households by member name and merge two households into one.
+ *
+ * Notes:
+ * - The family lists on the case forms (`case_family_member`,
+ *   `ciclcar_family_background`, `fac_family_member`, `sp_case.family_members`,
+ *   `sc_case.children`) stay as they are. Database triggers match their
+ *   entries to household members on save and write member edits back into
+ *   every list (database/migrations/20261019_add_households.sql).
+ * - Removing a member keeps the entries already written on case forms; they
+ *   are registered again the next time such a case is saved.
+ * - Members no family list names any more are marked `unlisted_at` by the
+ *   database and left out of the members and the rollup shown here.
+ */
+
+import supabase from "@/../config/supabase";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLog,
+} from "@/lib/auditLog";
+import { CLIENT_CASE_SOURCES, getClientCaseSource } from "@/lib/clientIdentity";
+
+const HOUSEHOLDS_TABLE = "households";
+const MEMBERS_TABLE = "household_members";
+const SUMMARY_VIEW = "household_summary";
+
+const HOUSEHOLD_SEARCH_LIMIT = 20;
+
+/** Member columns a worker can edit, in form order. */
+export const HOUSEHOLD_MEMBER_FIELDS = [
+	"full_name",
+	"relation",
+	"birth_date",
+	"age",
+	"sex",
+	"civil_status",
+	"education",
+	"occupation",
+	"monthly_income",
+	"remarks",
+];
+
+const NUMERIC_MEMBER_FIELDS = new Set(["age", "monthly_income"]);
+
+const EDITABLE_HOUSEHOLD_FIELDS = ["name", "barangay", "address"];
+
+/**
+ * @typedef {Object} HouseholdRow
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} barangay
+ * @property {string|null} address
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} HouseholdMemberRow
+ * @property {string} id
+ * @property {string} household_id
+ * @property {string|null} client_id Set for members who are clients themselves.
+ * @property {string} full_name
+ * @property {string|null} relation
+ * @property {string|null} birth_date
+ * @property {number|null} age
+ * @property {string|null} sex
+ * @property {string|null} civil_status
+ * @property {string|null} education
+ * @property {string|null} occupation
+ * @property {number|string|null} monthly_income
+ * @property {string|null} remarks
+ * @property {string|null} unlisted_at Set once no family list names them.
+ */
+
+/**
+ * @typedef {Object} HouseholdSummary
+ * @property {number} member_count
+ * @property {number} earning_members
+ * @property {number|string} total_monthly_income
+ * @property {number|string|null} per_capita_income
+ */
+
+/**
+ * @typedef {Object} HouseholdCase
+ * @property {string} id
+ * @property {string} caseType
+ * @property {string} label
+ * @property {string} name Client name as written on the case.
+ * @property {string|null} status
+ */
+
+/**
+ * @typedef {Object} Household
+ * @property {HouseholdRow|null} household
+ * @property {HouseholdMemberRow[]} members
+ * @property {HouseholdSummary|null} summary
+ * @property {HouseholdCase[]} cases
+ */
+
+/**
+ * Same normalization as `public.household_member_key`: trimmed, lower case,
+ * single spaces. Suffixes are kept so "Jr." and "Sr." stay two people.
+ *
+ * @param {string|null|undefined} name
+ * @returns {string|null}
+ */
+export function householdMemberKey(name) {
+	const key = `${name ?? ""}`.trim().replace(/\s+/g, " ").toLowerCase();
+	return key || null;
+}
+
+/**
+ * @param {Partial<HouseholdMemberRow>} member
+ * @returns {Record<string, any>}
+ */
+function memberPayload(member) {
+	const payload = {};
+	for (const field of HOUSEHOLD_MEMBER_FIELDS) {
+		if (!(field in member)) continue;
+		const value =
+			typeof member[field] === "string"
+				? member[field].trim()
+				: member[field];
+		if (NUMERIC_MEMBER_FIELDS.has(field)) {
+			const number = value === "" || value == null ? null : Number(value);
+			payload[field] = Number.isFinite(number) ? number : null;
+		} else {
+			payload[field] = value || null;
+		}
+	}
+	return payload;
+}
+
+/**
+ * @param {string} householdId
+ * @returns {Promise<Household & { error: any }>}
+ */
+export async function fetchHousehold(householdId) {
+	const empty = { household: null, members: [], summary: null, cases: [] };
+	try {
+		const [householdResult, memberResult, summaryResult, ...caseResults] =
+			await Promise.all([
+				supabase
+					.from(HOUSEHOLDS_TABLE)
+					.select("*")
+					.eq("id", householdId)
+					.single(),
+				supabase
+					.from(MEMBERS_TABLE)
+					.select("*")
+					.eq("household_id", householdId)
+					.is("unlisted_at", null)
+					.order("created_at", { ascending: true }),
+				supabase
+					.from(SUMMARY_VIEW)
+					.select("*")
+					.eq("household_id", householdId)
+					.maybeSingle(),
+				...CLIENT_CASE_SOURCES.map((source) =>
+					supabase
+						.from(source.table)
+						.select("*")
+						.eq("household_id", householdId),
+				),
+			]);
+		if (householdResult.error) throw householdResult.error;
+		if (memberResult.error) throw memberResult.error;
+		if (summaryResult.error) throw summaryResult.error;
+
+		const cases = [];
+		caseResults.forEach((result, index) => {
+			if (result.error) throw result.error;
+			const source = CLIENT_CASE_SOURCES[index];
+			for (const row of result.data ?? []) {
+				cases.push({
+					id: row.id,
+					caseType: source.caseType,
+					label: source.label,
+					name: source.identify(row).fullName,
+					status: row.status ?? null,
+				});
+			}
+		});
+
+		return {
+			household: householdResult.data,
+			members: memberResult.data ?? [],
+			summary: summaryResult.data ?? null,
+			cases,
+			error: null,
+		};
+	} catch (error) {
+		console.error("❌ Failed to load household:", error);
+		return { ...empty, error };
+	}
+}
+
+/**
+ * Household of one case row. Cases saved before households existed are
+ * attached by the migration backfill; a case without one reports an error.
+ *
+ * @param {{ caseType: string, caseId: string }} params
+ * @returns {Promise<Household & { error: any }>}
+ */
+export async function fetchCaseHousehold({ caseType, caseId }) {
+	const empty = { household: null, members: [], summary: null, cases: [] };
+	const source = getClientCaseSource(caseType);
+	if (!source) {
+		return {
+			...empty,
+			error: new Error(`${caseType} cases have no household.`),
+		};
+	}
+
+	const { data, error } = await supabase
+		.from(source.table)
+		.select("household_id")
+		.eq("id", caseId)
+		.single();
+	if (error) {
+		console.error("❌ Failed to load case household:", error);
+		return { ...empty, error };
+	}
+	if (!data?.household_id) {
+		return {
+			...empty,
+			error: new Error("This case is not part of a household yet."),
+		};
+	}
+	return fetchHousehold(data.household_id);
+}
+
+/**
+ * Add a member, or update one when `member.id` is set. Edits reach every case
+ * form that lists the member.
+ *
+ * @param {string} householdId
+ * @param {Partial<HouseholdMemberRow>} member
+ * @returns {Promise<{ data: HouseholdMemberRow|null, error: any }>}
+ */
+export async function saveHouseholdMember(householdId, member) {
+	const payload = memberPayload(member);
+	if (!payload.full_name) {
+		return { data: null, error: new Error("Name is required.") };
+	}
+
+	const request = member.id
+		? supabase.from(MEMBERS_TABLE).update(payload).eq("id", member.id)
+		: supabase
+				.from(MEMBERS_TABLE)
+				.insert({ ...payload, household_id: householdId });
+	const { data, error } = await request.select("*").single();
+	if (error) {
+		console.error("❌ Failed to save household member:", error);
+		return { data: null, error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.UPDATE_HOUSEHOLD,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: member.id
+			? `Updated household member ${data.full_name}`
+			: `Added ${data.full_name} to a household`,
+		resourceType: "household",
+		resourceId: householdId,
+		metadata: { memberId: data.id, fields: Object.keys(payload) },
+		severity: "info",
+	});
+	return { data, error: null };
+}
+
+/**
+ * @param {HouseholdMemberRow} member
+ * @returns {Promise<{ error: any }>}
+ */
+export async function removeHouseholdMember(member) {
+	const { error } = await supabase
+		.from(MEMBERS_TABLE)
+		.delete()
+		.eq("id", member.id);
+	if (error) {
+		console.error("❌ Failed to remove household member:", error);
+		return { error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.UPDATE_HOUSEHOLD,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Removed ${member.full_name} from a household`,
+		resourceType: "household",
+		resourceId: member.household_id,
+		metadata: { memberId: member.id },
+		severity: "info",
+	});
+	return { error: null };
+}
+
+/**
+ * @param {string} householdId
+ * @param {Partial<HouseholdRow>} changes Only name and location are applied.
+ * @returns {Promise<{ data: HouseholdRow|null, error: any }>}
+ */
+export async function updateHousehold(householdId, changes) {
+	const payload = {};
+	for (const field of EDITABLE_HOUSEHOLD_FIELDS) {
+		if (field in changes) payload[field] = `${changes[field] ?? ""}`.trim();
+	}
+	if ("name" in payload && !payload.name) {
+		return { data: null, error: new Error("Household name is required.") };
+	}
+	for (const field of ["barangay", "address"]) {
+		if (field in payload) payload[field] = payload[field] || null;
+	}
+
+	const { data, error } = await supabase
+		.from(HOUSEHOLDS_TABLE)
+		.update(payload)
+		.eq("id", householdId)
+		.select("*")
+		.single();
+	if (error) {
+		console.error("❌ Failed to update household:", error);
+		return { data: null, error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.UPDATE_HOUSEHOLD,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Updated household ${data.name}`,
+		resourceType: "household",
+		resourceId: householdId,
+		metadata: { fields: Object.keys(payload) },
+		severity: "info",
+	});
+	return { data, error: null };
+}
+
+/**
+ * Households with a member or a name containing `query`.
+ *
+ * @param {string} query
+ * @returns {Promise<{ data: Array<HouseholdRow & { memberNames: string[] }>, error: any }>}
+ */
+export async function searchHouseholds(query) {
+	const key = householdMemberKey(query);
+	if (!key) return { data: [], error: null };
+	const pattern = `%${key.replace(/[%_,()]/g, " ")}%`;
+
+	const [memberResult, nameResult] = await Promise.all([
+		supabase
+			.from(MEMBERS_TABLE)
+			.select("household_id")
+			.ilike("member_key", pattern)
+			.limit(HOUSEHOLD_SEARCH_LIMIT),
+		supabase
+			.from(HOUSEHOLDS_TABLE)
+			.select("id")
+			.ilike("name", pattern)
+			.limit(HOUSEHOLD_SEARCH_LIMIT),
+	]);
+	const error = memberResult.error ?? nameResult.error;
+	if (error) {
+		console.error("❌ Failed to search households:", error);
+		return { data: [], error };
+	}
+
+	const ids = [
+		...new Set([
+			...(memberResult.data ?? []).map((row) => row.household_id),
+			...(nameResult.data ?? []).map((row) => row.id),
+		]),
+	].slice(0, HOUSEHOLD_SEARCH_LIMIT);
+	if (!ids.length) return { data: [], error: null };
+
+	const { data, error: loadError } = await supabase
+		.from(HOUSEHOLDS_TABLE)
+		.select("*, household_members(full_name)")
+		.in("id", ids)
+		.order("name");
+	if (loadError) {
+		console.error("❌ Failed to search households:", loadError);
+		return { data: [], error: loadError };
+	}
+	return {
+		data: (data ?? []).map(({ household_members: members, ...row }) => ({
+			...row,
+			memberNames: (members ?? []).map((member) => member.full_name),
+		})),
+		error: null,
+	};
+}
+
+/**
+ * Move every case and member of `fromId` into `intoId` and delete `fromId`.
+ * Members with the same name become one.
+ *
+ * @param {{ intoId: string, fromId: string }} params
+ * @returns {Promise<{ error: any }>}
+ */
+export async function mergeHouseholds({ intoId, fromId }) {
+	const { error } = await supabase.rpc("merge_households", {
+		p_into: intoId,
+		p_from: fromId,
+	});
+	if (error) {
+		console.error("❌ Failed to merge households:", error);
+		return { error };
+	}
+
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.MERGE_HOUSEHOLDS,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: "Merged two households",
+		resourceType: "household",
+		resourceId: intoId,
+		metadata: { intoId, fromId },
+		severity: "info",
+	});
+	return { error: null };
+}
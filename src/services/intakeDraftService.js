@@ -0,0 +1,256 @@
+/**
+ * Autosaved intake drafts ("My drafts").
+ *
+ * Responsibilities:
+ * - Store unfinished intake sheets per user and case type in Dexie
+ *   (`intake_drafts`), sealed with the offline vault key like the case cache.
+ * - List, load and discard the signed-in user's drafts.
+ * - Hand a draft to another worker through `intake_draft_handoffs` and import
+ *   drafts handed to the current user.
+ *
+ * Notes:
+ * - Only `draftId`, `ownerId`, `caseType` and timestamps are stored in clear text;
+ *   form values and the client label live in the sealed blob.
+ * - Drafts belong to one device. Handing off is the only way to move one, and it
+ *   needs a connection; the local copy is removed once the server has it.
+ * - Drafts leave the device with the rest of the user's offline data at logout.
+ */
+
+import { liveQuery } from "dexie";
+import supabase from "@/../config/supabase";
+import offlineCaseDb from "@/db/offlineCaseDb";
+import { getVaultOwnerId, openValue, sealValue } from "@/services/offlineVault";
+import {
+	AUDIT_ACTIONS,
+	AUDIT_CATEGORIES,
+	createAuditLog,
+} from "@/lib/auditLog";
+
+/**
+ * @typedef {"CASE"|"CICLCAR"|"FAC"|"PWD"|"SC"} IntakeDraftCaseType
+ */
+
+/**
+ * @typedef {Object} IntakeDraft
+ * @property {number} draftId
+ * @property {IntakeDraftCaseType} caseType
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {Record<string, any>} data Intake values in the sheet's own shape.
+ * @property {number|string} step Active tab when the draft was last saved.
+ * @property {string} label Client name (or a placeholder) for the drafts list.
+ * @property {string|null} [receivedFrom] Name of the worker who handed it off.
+ * @property {string|null} [note] Hand-off note.
+ * @property {string|null} [handoffId] Server row the draft was imported from.
+ */
+
+/** Case types whose intake sheets autosave drafts, with their list labels. */
+export const INTAKE_DRAFT_TYPES = {
+	CASE: "Incidence on VAC",
+	CICLCAR: "CICL/CAR",
+	FAC: "FAC",
+	PWD: "PWD",
+	SC: "Senior Citizen",
+};
+
+const HANDOFF_TABLE = "intake_draft_handoffs";
+
+const draftsTable = () => offlineCaseDb.intake_drafts;
+
+const isMine = (record) =>
+	Boolean(record.ownerId) && record.ownerId === getVaultOwnerId();
+
+/**
+ * @returns {Promise<IntakeDraft|null>}
+ */
+async function openDraft(record) {
+	if (!record || !isMine(record)) return null;
+	try {
+		const { sealed, ownerId: _ownerId, ...plain } = record;
+		return { ...plain, ...(await openValue(sealed)) };
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Create or update a draft. Throws while the vault is locked.
+ *
+ * @param {{ draftId?: number|null, caseType: IntakeDraftCaseType, data: Record<string, any>, step: number|string, label?: string, receivedFrom?: string|null, note?: string|null, handoffId?: string|null }} draft
+ * @returns {Promise<number>} The draft id.
+ */
+export async function saveDraft({
+	draftId = null,
+	caseType,
+	data,
+	step,
+	label = "",
+	receivedFrom = null,
+	note = null,
+	handoffId = null,
+}) {
+	const existing = draftId != null ? await getDraft(draftId) : null;
+	const now = Date.now();
+	// Autosaves only pass the form state; keep where a handed-off draft came from.
+	const sealed = await sealValue({
+		data,
+		step,
+		label,
+		receivedFrom: receivedFrom ?? existing?.receivedFrom ?? null,
+		note: note ?? existing?.note ?? null,
+		handoffId: handoffId ?? existing?.handoffId ?? null,
+	});
+
+	if (existing) {
+		await draftsTable().update(draftId, { sealed, updatedAt: now });
+		return draftId;
+	}
+
+	return draftsTable().add({
+		ownerId: getVaultOwnerId(),
+		caseType,
+		createdAt: now,
+		updatedAt: now,
+		sealed,
+	});
+}
+
+/**
+ * @param {number} draftId
+ * @returns {Promise<IntakeDraft|null>}
+ */
+export async function getDraft(draftId) {
+	return openDraft(await draftsTable().get(draftId));
+}
+
+/**
+ * Live list of the current user's drafts, newest first.
+ * @returns {import("dexie").Observable<IntakeDraft[]>}
+ */
+export function observeDrafts() {
+	return liveQuery(async () => {
+		const records = await draftsTable()
+			.orderBy("updatedAt")
+			.reverse()
+			.filter(isMine)
+			.toArray();
+		return (await Promise.all(records.map(openDraft))).filter(Boolean);
+	});
+}
+
+/**
+ * @param {number} draftId
+ */
+export async function discardDraft(draftId) {
+	const existing = await draftsTable().get(draftId);
+	if (existing && isMine(existing)) await draftsTable().delete(draftId);
+}
+
+/**
+ * Drafts saved by `ownerId`, readable or not.
+ * @param {string} ownerId
+ * @returns {Promise<number>}
+ */
+export async function countDraftsFor(ownerId) {
+	return draftsTable().where("ownerId").equals(ownerId).count();
+}
+
+/**
+ * @param {string} ownerId
+ */
+export async function purgeDrafts(ownerId) {
+	await draftsTable().where("ownerId").equals(ownerId).delete();
+}
+
+/**
+ * Send a draft to another worker and remove it from this device.
+ *
+ * @param {number} draftId
+ * @param {{ toUser: string, toName?: string, fromName?: string, note?: string }} recipient
+ * @returns {Promise<{ error: any }>}
+ */
+export async function handOffDraft(
+	draftId,
+	{ toUser, toName = "", fromName = "", note = "" },
+) {
+	const draft = await getDraft(draftId);
+	if (!draft) return { error: new Error("Draft not found.") };
+
+	const { error } = await supabase.from(HANDOFF_TABLE).insert({
+		case_type: draft.caseType,
+		label: draft.label || null,
+		step: typeof draft.step === "number" ? draft.step : 0,
+		data: { values: draft.data, step: draft.step },
+		note: note.trim() || null,
+		from_name: fromName || null,
+		to_user: toUser,
+	});
+	if (error) {
+		console.error("❌ Failed to hand off intake draft:", error);
+		return { error };
+	}
+
+	await draftsTable().delete(draftId);
+	await createAuditLog({
+		actionType: AUDIT_ACTIONS.HAND_OFF_INTAKE_DRAFT,
+		actionCategory: AUDIT_CATEGORIES.CASE,
+		description: `Handed off a ${INTAKE_DRAFT_TYPES[draft.caseType] ?? draft.caseType} intake draft${toName ? ` to ${toName}` : ""}`,
+		metadata: { caseType: draft.caseType, toUser },
+		severity: "info",
+	});
+	return { error: null };
+}
+
+/**
+ * Import drafts handed to `userId` into their local drafts.
+ * @param {string} userId
+ * @returns {Promise<{ received: number, error: any }>}
+ */
+export async function claimHandedOffDrafts(userId) {
+	const { data: rows, error } = await supabase
+		.from(HANDOFF_TABLE)
+		.select("*")
+		.eq("to_user", userId)
+		.order("created_at", { ascending: true });
+	if (error) {
+		console.error("❌ Failed to load handed-off intake drafts:", error);
+		return { received: 0, error };
+	}
+	if (!rows?.length) return { received: 0, error: null };
+
+	const records = await draftsTable().filter(isMine).toArray();
+	const imported = new Set(
+		(await Promise.all(records.map(openDraft)))
+			.map((draft) => draft?.handoffId)
+			.filter(Boolean),
+	);
+	const incoming = rows.filter((row) => !imported.has(row.id));
+
+	for (const row of incoming) {
+		await saveDraft({
+			caseType: row.case_type,
+			data: row.data?.values ?? {},
+			step: row.data?.step ?? row.step ?? 0,
+			label: row.label ?? "",
+			receivedFrom: row.from_name ?? null,
+			note: row.note ?? null,
+			handoffId: row.id,
+		});
+	}
+
+	const { error: deleteError } = await supabase
+		.from(HANDOFF_TABLE)
+		.delete()
+		.in(
+			"id",
+			rows.map((row) => row.id),
+		);
+	if (deleteError) {
+		// Already imported; `handoffId` keeps the next claim from duplicating them.
+		console.error(
+			"❌ Failed to clear handed-off intake drafts:",
+			deleteError,
+		);
+	}
+	return { received: incoming.length, error: null };
+}
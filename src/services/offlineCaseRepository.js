@@ -0,0 +1,1473 @@
+/**
+ * Offline-first repository factory shared by every case type.
+ *
+ * Responsibilities:
+ * - Keep a local snapshot of one Supabase case table (optionally with its family
+ *   rows embedded) in the matching Dexie `*_cases` table.
+ * - Write creates/updates/deletes straight to Supabase when online, or to the
+ *   snapshot + the matching `*_queue` table when offline (or when the request
+ *   fails on the network).
+ * - Replay the queue in `queueId` order once connectivity returns.
+ *
+ * Notes:
+ * - Snapshot rows keep the raw Supabase shape; hooks map them for the table.
+ * - Rows created offline have `id: null` until their queued create replays; later
+ *   queue entries resolve the server id through `targetLocalId` at replay time.
+ * - Replay stops at the first failing entry so per-record ordering is never broken.
+ * - Queued updates remember the server `updated_at` they were based on. If the
+ *   server row has moved on by replay time, the entry is marked as a conflict and
+ *   replay stops until someone resolves it field by field (`resolveConflict`).
+ * - Family rows are passed in their column shape without the parent foreign key;
+ *   the repository fills it in once the parent id is known.
+ * - Everything stored locally is encrypted with the offline vault key
+ *   (`src/services/offlineVault.js`). Snapshot rows keep only `PLAIN_ROW_FIELDS`
+ *   in clear text and queue entries seal their `payload` and `conflict`; the rest
+ *   is decrypted in memory on read. Records sealed by another account on this
+ *   device are skipped, and rows from before encryption have no `ownerId` until
+ *   `sealLegacyRecords` runs.
+ * - Sealing is async WebCrypto, so values are sealed before a Dexie transaction
+ *   opens; transactions only move already-sealed records.
+ * - Refreshes are incremental: rows changed since the account's `updated_at`
+ *   watermark are merged in and server deletions arrive as tombstones
+ *   (`src/services/syncWatermarks.js`). Both kinds of refresh read the table
+ *   in pages and move the watermark only after the last one. Removing cached
+ *   rows for any other reason must clear the watermark so the next refresh
+ *   refetches them.
+ */
+
+import { liveQuery } from "dexie";
+import supabase from "@/../config/supabase";
+import offlineCaseDb from "@/db/offlineCaseDb";
+import { getVaultOwnerId, openValue, sealValue } from "@/services/offlineVault";
+import {
+	clearWatermarks,
+	deltaSince,
+	fetchLatestTombstoneAt,
+	fetchTombstones,
+	latestTimestamp,
+	needsFullSync,
+	readWatermark,
+	writeWatermark,
+} from "@/services/syncWatermarks";
+
+/**
+ * @typedef {"create"|"update"|"delete"} CaseQueueOperation
+ */
+
+/**
+ * @typedef {Object} CaseWritePayload
+ * @property {Record<string, any>} casePayload Columns for the case table.
+ * @property {Array<Record<string, any>>} [familyMembers] Family rows without the parent foreign key.
+ */
+
+/**
+ * @typedef {Object} CaseQueueEntry
+ * @property {number} queueId
+ * @property {number} targetLocalId
+ * @property {string|null} targetId
+ * @property {CaseQueueOperation} operationType
+ * @property {CaseWritePayload|null} payload
+ * @property {number} createdAt
+ * @property {string|null} [baseUpdatedAt] Server `updated_at` the queued update was based on.
+ * @property {{ serverRow: any, detectedAt: number }|null} [conflict]
+ * @property {string} [ownerId] Account whose vault key sealed `payload` and `conflict`.
+ * @property {number} [attempts]
+ * @property {string|null} [lastError]
+ */
+
+/**
+ * @typedef {Object} CaseConflictField
+ * @property {string} key Column name, or `FAMILY_FIELD` for the family rows.
+ * @property {any} local
+ * @property {any} server
+ */
+
+/**
+ * @typedef {Object} CaseConflict
+ * @property {string} label Case-type label of the owning repository.
+ * @property {number} queueId
+ * @property {number} targetLocalId
+ * @property {string|null} targetId
+ * @property {number} detectedAt
+ * @property {string|null} serverUpdatedAt
+ * @property {CaseConflictField[]} fields Fields whose local and server values differ.
+ */
+
+/**
+ * @typedef {Object} CaseWriteResult
+ * @property {string|null} caseId Server id (null while the write is queued).
+ * @property {number|null} localId Snapshot key of the affected row.
+ * @property {boolean} queued True when the write was stored for later replay.
+ * @property {any} error
+ */
+
+/**
+ * @typedef {Object} CaseSyncResult
+ * @property {number} synced Entries replayed successfully.
+ * @property {number} remaining Entries still queued.
+ * @property {any} error Error of the entry that stopped the replay, if any.
+ */
+
+/**
+ * @typedef {Object} FamilyTableConfig
+ * @property {string} table Supabase table holding the family rows.
+ * @property {string} foreignKey Column referencing the parent case id.
+ * @property {(members: Array<Record<string, any>>) => Array<Record<string, any>>} [buildRows]
+ * Optional normalizer applied before the foreign key is attached.
+ */
+
+/**
+ * @typedef {Object} OfflineCaseRepositoryConfig
+ * @property {string} label Short case-type label used in logs and errors (e.g. "FAC").
+ * @property {string} table Supabase case table.
+ * @property {string} cacheTable Dexie snapshot table.
+ * @property {string} queueTable Dexie queue table.
+ * @property {FamilyTableConfig} [family]
+ */
+
+/**
+ * @typedef {Object} OfflineCaseRepository
+ * @property {string} label
+ * @property {string} table
+ * @property {string} select PostgREST select for a case row with its family rows.
+ * @property {{ table: string, buildRows: (caseId: string, members: Array<Record<string, any>>) => Array<Record<string, any>> }|null} family
+ *   Family table and the rows to insert into it for a case, when the case type has one.
+ * @property {() => import("dexie").Observable<{ rows: any[], pendingCount: number, conflictCount: number }>} observeSnapshot
+ * @property {(options?: { full?: boolean }) => Promise<number>} refreshSnapshot
+ * @property {(target: any) => Promise<any|null>} getLocalRecord
+ * @property {() => Promise<any[]>} listLocalRows
+ * @property {(write: CaseWritePayload) => Promise<CaseWriteResult>} createRecord
+ * @property {(target: any, write: CaseWritePayload) => Promise<CaseWriteResult>} updateRecord
+ * @property {(target: any, casePayload: Record<string, any>) => Promise<CaseWriteResult>} patchRecord
+ * @property {(target: any) => Promise<CaseWriteResult>} deleteRecord
+ * @property {() => Promise<CaseSyncResult>} syncQueue
+ * @property {(queueId: number) => Promise<{ error: any }>} retryEntry
+ * @property {(queueId: number) => Promise<{ discarded: number, error: any }>} discardEntry
+ * @property {() => Promise<CaseConflict[]>} listConflicts
+ * @property {(queueId: number, choices: Record<string, "local"|"server">) => Promise<{ error: any }>} resolveConflict
+ * @property {() => Promise<Array<{ entry: CaseQueueEntry, row: any|null }>>} listQueue
+ * @property {() => Promise<number>} sealLegacyRecords
+ * @property {(ownerId: string) => Promise<void>} purgeOwnerRecords
+ * @property {(ownerId: string) => Promise<number>} countQueuedFor
+ * @property {(cutoff: number) => Promise<number>} expireSnapshot
+ */
+
+/** Conflict field key used for the embedded family rows. */
+export const FAMILY_FIELD = "familyMembers";
+
+const CONFLICT_ERROR_CODE = "CASE_CONFLICT";
+
+/** PostgREST caps one response at 1000 rows; refreshes read in pages. */
+const SNAPSHOT_PAGE_SIZE = 1000;
+
+/** Columns the server owns; they never count as a conflicting change. */
+const SERVER_MANAGED_FIELDS = new Set(["id", "created_at", "updated_at"]);
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/** Snapshot columns stored in clear text; Dexie indexes and replay need them. */
+const PLAIN_ROW_FIELDS = new Set([
+	"localId",
+	"id",
+	"created_at",
+	"updated_at",
+	"serverUpdatedAt",
+	"hasPendingWrites",
+	"pendingAction",
+	"cachedAt",
+]);
+
+/**
+ * Server-side search column (database/migrations/20261019_add_case_search.sql).
+ * The offline search builds its own text, so it is never cached.
+ */
+const SERVER_ONLY_FIELDS = new Set(["search_text"]);
+
+const nowIso = () => new Date().toISOString();
+
+const isBrowserOffline = () =>
+	typeof navigator !== "undefined" && navigator.onLine === false;
+
+/**
+ * Supabase surfaces fetch failures as plain errors; only those should fall back
+ * to the queue. Validation/RLS errors must reach the user instead.
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+	if (!error) return false;
+	const message = `${error.message || error.details || error}`.toLowerCase();
+	return (
+		message.includes("failed to fetch") ||
+		message.includes("networkerror") ||
+		message.includes("network request failed") ||
+		message.includes("load failed") ||
+		message.includes("fetch failed")
+	);
+}
+
+/**
+ * @param {any} error
+ * @returns {boolean} True when a replay stopped because the server row changed.
+ */
+export function isConflictError(error) {
+	return error?.code === CONFLICT_ERROR_CODE;
+}
+
+function conflictError(label) {
+	const error = new Error(
+		`${label} case was changed on the server after it was edited offline. Resolve the conflict to continue syncing.`,
+	);
+	error.code = CONFLICT_ERROR_CODE;
+	return error;
+}
+
+const toTime = (value) => {
+	const time = value ? new Date(value).getTime() : NaN;
+	return Number.isNaN(time) ? null : time;
+};
+
+/** Records sealed by the unlocked account, or written before encryption. */
+const isOwned = (record) =>
+	!record.ownerId || record.ownerId === getVaultOwnerId();
+
+/**
+ * Split a snapshot row into clear routing fields and a sealed blob.
+ * @param {Record<string, any>} row
+ */
+async function sealRow(row) {
+	const plain = {};
+	const secret = {};
+	Object.entries(row).forEach(([key, value]) => {
+		if (key === "ownerId" || key === "sealed") return;
+		if (SERVER_ONLY_FIELDS.has(key)) return;
+		if (!PLAIN_ROW_FIELDS.has(key)) secret[key] = value;
+		else if (value !== undefined) plain[key] = value;
+	});
+	return {
+		...plain,
+		ownerId: getVaultOwnerId(),
+		sealed: await sealValue(secret),
+	};
+}
+
+/**
+ * @returns {Promise<any|null>} The decrypted row, or null when it cannot be read.
+ */
+async function openRow(stored) {
+	if (!stored) return null;
+	if (!stored.ownerId) return stored;
+	if (!isOwned(stored)) return null;
+	const { sealed, ownerId: _ownerId, ...plain } = stored;
+	try {
+		return { ...plain, ...(await openValue(sealed)) };
+	} catch {
+		return null;
+	}
+}
+
+const sealPayload = (payload) => (payload == null ? null : sealValue(payload));
+
+/**
+ * Stored form of a queue entry. `queueId` is left out so the result can be
+ * passed to both `add` and `update`.
+ * @param {CaseQueueEntry} entry
+ */
+async function sealEntry({ queueId: _queueId, ...entry }) {
+	return {
+		...entry,
+		ownerId: getVaultOwnerId(),
+		payload: await sealPayload(entry.payload),
+		conflict: entry.conflict ? await sealValue(entry.conflict) : null,
+	};
+}
+
+/**
+ * @returns {Promise<CaseQueueEntry|null>}
+ */
+async function openEntry(stored) {
+	if (!stored) return null;
+	if (!stored.ownerId) return stored;
+	if (!isOwned(stored)) return null;
+	try {
+		return {
+			...stored,
+			payload: stored.payload ? await openValue(stored.payload) : null,
+			conflict: stored.conflict ? await openValue(stored.conflict) : null,
+		};
+	} catch {
+		return null;
+	}
+}
+
+const openAll = async (records, open) =>
+	(await Promise.all(records.map(open))).filter(Boolean);
+
+/**
+ * Normalize a value for comparison so `null`/`""` and equivalent date strings
+ * do not show up as conflicts.
+ */
+function comparable(value) {
+	if (value === null || value === undefined || value === "") return "";
+	if (typeof value === "object") return JSON.stringify(value);
+	const text = String(value).trim();
+	if (ISO_DATE_PATTERN.test(text)) {
+		const time = toTime(text);
+		if (time !== null) return String(time);
+	}
+	return text;
+}
+
+/**
+ * Build a repository for one case table.
+ *
+ * @param {OfflineCaseRepositoryConfig} config
+ * @returns {OfflineCaseRepository}
+ */
+export function createOfflineCaseRepository({
+	label,
+	table,
+	cacheTable: cacheTableName,
+	queueTable: queueTableName,
+	family = null,
+}) {
+	const cacheTable = offlineCaseDb.table(cacheTableName);
+	const queueTable = offlineCaseDb.table(queueTableName);
+	const select = family ? `*, ${family.table}(*)` : "*";
+	const notCachedMessage = `This ${label} case is not available offline.`;
+
+	/** @type {Promise<CaseSyncResult>|null} */
+	let activeSync = null;
+
+	const buildFamilyRows = (caseId, members = []) => {
+		const rows = family.buildRows ? family.buildRows(members) : members;
+		return rows.map((row) => ({ ...row, [family.foreignKey]: caseId }));
+	};
+
+	/** Family rows without server-managed columns, in a stable order. */
+	// `household_member_id` is matched by the server when the rows are saved.
+	const comparableFamily = (rows = []) =>
+		rows
+			.map((member) => {
+				const {
+					id: _id,
+					created_at: _createdAt,
+					updated_at: _updatedAt,
+					household_member_id: _householdMemberId,
+					[family.foreignKey]: _parentId,
+					...columns
+				} = member || {};
+				return columns;
+			})
+			.sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+
+	const localFields = (casePayload, familyMembers) =>
+		family
+			? {
+					...casePayload,
+					[family.table]: buildFamilyRows(null, familyMembers),
+				}
+			: { ...casePayload };
+
+	async function fetchRemote(caseId) {
+		const { data, error } = await supabase
+			.from(table)
+			.select(select)
+			.eq("id", caseId)
+			.maybeSingle();
+		if (error) throw error;
+		return data;
+	}
+
+	async function insertRemote(casePayload) {
+		const { data, error } = await supabase
+			.from(table)
+			.insert([casePayload])
+			.select("id")
+			.single();
+		if (error) throw error;
+		return data.id;
+	}
+
+	async function replaceRemoteFamily(caseId, familyMembers, { clearFirst }) {
+		if (!family) return;
+
+		if (clearFirst) {
+			const { error } = await supabase
+				.from(family.table)
+				.delete()
+				.eq(family.foreignKey, caseId);
+			if (error) throw error;
+		}
+
+		const rows = buildFamilyRows(caseId, familyMembers);
+		if (!rows.length) return;
+
+		const { error } = await supabase.from(family.table).insert(rows);
+		if (error) throw error;
+	}
+
+	async function updateRemote(caseId, { casePayload, familyMembers = [] }) {
+		const { error } = await supabase
+			.from(table)
+			.update(casePayload)
+			.eq("id", caseId);
+		if (error) throw error;
+
+		await replaceRemoteFamily(caseId, familyMembers, { clearFirst: true });
+	}
+
+	async function deleteRemote(caseId) {
+		const { error } = await supabase.from(table).delete().eq("id", caseId);
+		if (error) throw error;
+	}
+
+	const rowByLocalId = async (localId) =>
+		openRow(await cacheTable.get(localId));
+
+	const rowById = async (id) =>
+		openRow(
+			await cacheTable.where("id").equals(id).filter(isOwned).first(),
+		);
+
+	const ownEntries = async () =>
+		openAll(
+			await queueTable.orderBy("queueId").filter(isOwned).toArray(),
+			openEntry,
+		);
+
+	/**
+	 * Resolve a snapshot row from a mapped table row, a server id or a local id.
+	 * @param {string|number|{id?: string|null, localId?: number|null}} target
+	 */
+	async function findLocalRow(target) {
+		if (target == null) return null;
+		if (typeof target === "object") {
+			if (target.localId != null) {
+				const byLocal = await rowByLocalId(target.localId);
+				if (byLocal) return byLocal;
+			}
+			return target.id ? rowById(target.id) : null;
+		}
+		const byId = await rowById(target);
+		if (byId) return byId;
+		return typeof target === "number" ? rowByLocalId(target) : null;
+	}
+
+	async function hasQueuedWrites(localId) {
+		const count = await queueTable
+			.where("targetLocalId")
+			.equals(localId)
+			.count();
+		return count > 0;
+	}
+
+	/**
+	 * Replace the snapshot copy of one case with the server row, keeping its
+	 * `localId` stable so open dialogs and queued entries still resolve.
+	 */
+	async function storeServerRow(serverRow, localId = null) {
+		if (!serverRow) return;
+		const existing =
+			localId != null
+				? await rowByLocalId(localId)
+				: await rowById(serverRow.id);
+		const pending = existing
+			? await hasQueuedWrites(existing.localId)
+			: false;
+
+		const next = {
+			...serverRow,
+			serverUpdatedAt: serverRow.updated_at ?? null,
+			cachedAt: Date.now(),
+			hasPendingWrites: pending,
+			pendingAction: pending ? (existing.pendingAction ?? null) : null,
+		};
+
+		if (existing) {
+			await cacheTable.put(
+				await sealRow({ ...next, localId: existing.localId }),
+			);
+		} else {
+			await cacheTable.add(await sealRow(next));
+		}
+	}
+
+	/**
+	 * The server version a local edit was based on. Rows cached before
+	 * `serverUpdatedAt` existed fall back to `updated_at` while still clean.
+	 */
+	const serverVersionOf = (row) =>
+		row?.serverUpdatedAt ??
+		(row?.hasPendingWrites ? null : (row?.updated_at ?? null));
+
+	/**
+	 * Add a queue entry. Runs inside write transactions, so the payload must
+	 * already be sealed (`sealPayload`).
+	 */
+	async function enqueue(operationType, row, sealedPayload) {
+		return queueTable.add({
+			operationType,
+			targetLocalId: row.localId,
+			targetId: row.id ?? null,
+			baseUpdatedAt:
+				operationType === "update" ? serverVersionOf(row) : null,
+			payload: sealedPayload,
+			conflict: null,
+			ownerId: getVaultOwnerId(),
+			createdAt: Date.now(),
+			attempts: 0,
+			lastError: null,
+		});
+	}
+
+	// A cached row is authoritative: a local-only row has no server id yet even
+	// if the caller's mapped row carries a placeholder.
+	const resolveCaseId = (row, target) => {
+		if (row) return row.id ?? null;
+		return (typeof target === "object" ? target?.id : target) ?? null;
+	};
+
+	const canWriteThrough = async (caseId, row) =>
+		!isBrowserOffline() &&
+		Boolean(caseId) &&
+		!(row && (await hasQueuedWrites(row.localId)));
+
+	function observeSnapshot() {
+		return liveQuery(async () => {
+			const stored = await cacheTable.filter(isOwned).toArray();
+			const entries = await queueTable.filter(isOwned).toArray();
+			return {
+				rows: await openAll(stored, openRow),
+				pendingCount: entries.length,
+				conflictCount: entries.filter((entry) =>
+					Boolean(entry.conflict),
+				).length,
+			};
+		});
+	}
+
+	const cleanServerRow = (row, cachedAt) => ({
+		...row,
+		serverUpdatedAt: row.updated_at ?? null,
+		cachedAt,
+		hasPendingWrites: false,
+		pendingAction: null,
+	});
+
+	/**
+	 * Every server row changed at or after `since` (every row when null),
+	 * oldest change first. Callers only move the watermark once all pages are
+	 * in, so a refresh that fails part-way is simply repeated.
+	 * @param {string|null} since
+	 * @returns {Promise<any[]>}
+	 */
+	async function fetchServerRows(since) {
+		const rows = [];
+		for (let from = 0; ; from += SNAPSHOT_PAGE_SIZE) {
+			let query = supabase
+				.from(table)
+				.select(select)
+				.order("updated_at", { ascending: true })
+				.order("id", { ascending: true });
+			if (since) query = query.gte("updated_at", since);
+			const { data, error } = await query.range(
+				from,
+				from + SNAPSHOT_PAGE_SIZE - 1,
+			);
+			if (error) throw error;
+			rows.push(...(data ?? []));
+			if (!data || data.length < SNAPSHOT_PAGE_SIZE) return rows;
+		}
+	}
+
+	/**
+	 * Replace every clean row of this account with the server copy. Rows with
+	 * pending local writes are kept as-is; the server copy replaces them once
+	 * their queue entries replay.
+	 */
+	async function refreshFull() {
+		const tombstoneAt = await fetchLatestTombstoneAt(table);
+		const rows = await fetchServerRows(null);
+
+		const readPendingIds = async () =>
+			new Set(
+				(
+					await cacheTable
+						.filter((row) => row.hasPendingWrites && isOwned(row))
+						.toArray()
+				)
+					.map((row) => row.id)
+					.filter(Boolean),
+			);
+
+		const pendingBefore = await readPendingIds();
+		const cachedAt = Date.now();
+		const sealedRows = await Promise.all(
+			(rows || [])
+				.filter((row) => !pendingBefore.has(row.id))
+				.map((row) => sealRow(cleanServerRow(row, cachedAt))),
+		);
+
+		await offlineCaseDb.transaction(
+			"rw",
+			cacheTable,
+			queueTable,
+			async () => {
+				// Rows may have been edited offline while the fetch was sealed.
+				const pendingIds = await readPendingIds();
+				await cacheTable
+					.filter((row) => !row.hasPendingWrites && isOwned(row))
+					.delete();
+				await cacheTable.bulkAdd(
+					sealedRows.filter((row) => !pendingIds.has(row.id)),
+				);
+			},
+		);
+
+		await writeWatermark(table, {
+			updatedAt: latestTimestamp(
+				(rows || []).map((row) => row.updated_at),
+			),
+			tombstoneAt,
+			fullSyncAt: cachedAt,
+		});
+		return rows?.length ?? 0;
+	}
+
+	/**
+	 * Apply the rows changed and deleted since `watermark`. Falls back to a full
+	 * refresh when the tombstones cannot be read, since deletions would be missed.
+	 * @param {import("@/services/syncWatermarks").SyncWatermark} watermark
+	 */
+	async function refreshDelta(watermark) {
+		const tombstones = await fetchTombstones(table, watermark.tombstoneAt);
+		if (tombstones.error) return refreshFull();
+
+		const rows = await fetchServerRows(deltaSince(watermark.updatedAt));
+
+		const cachedAt = Date.now();
+		const sealedRows = await Promise.all(
+			(rows || [])
+				.filter((row) => !tombstones.ids.has(row.id))
+				.map((row) => sealRow(cleanServerRow(row, cachedAt))),
+		);
+
+		await offlineCaseDb.transaction(
+			"rw",
+			cacheTable,
+			queueTable,
+			async () => {
+				const cached = await cacheTable.filter(isOwned).toArray();
+				const cachedById = new Map(
+					cached.filter((row) => row.id).map((row) => [row.id, row]),
+				);
+
+				await cacheTable.bulkPut(
+					sealedRows
+						.filter(
+							(row) => !cachedById.get(row.id)?.hasPendingWrites,
+						)
+						.map((row) => {
+							const existing = cachedById.get(row.id);
+							return existing
+								? { ...row, localId: existing.localId }
+								: row;
+						}),
+				);
+				await cacheTable.bulkDelete(
+					cached
+						.filter(
+							(row) =>
+								!row.hasPendingWrites &&
+								tombstones.ids.has(row.id),
+						)
+						.map((row) => row.localId),
+				);
+				// Untouched rows were confirmed current by this refresh.
+				await cacheTable
+					.filter((row) => !row.hasPendingWrites && isOwned(row))
+					.modify({ cachedAt });
+			},
+		);
+
+		await writeWatermark(table, {
+			updatedAt: latestTimestamp([
+				watermark.updatedAt,
+				...(rows || []).map((row) => row.updated_at),
+			]),
+			tombstoneAt: tombstones.latest,
+			fullSyncAt: watermark.fullSyncAt,
+		});
+		return rows?.length ?? 0;
+	}
+
+	/**
+	 * Bring the snapshot up to date with the server: only rows changed since the
+	 * last refresh, or everything when no recent full refresh exists.
+	 * @param {{ full?: boolean }} [options]
+	 * @returns {Promise<number>} Rows fetched.
+	 */
+	async function refreshSnapshot({ full = false } = {}) {
+		const watermark = full ? null : await readWatermark(table);
+		return needsFullSync(watermark)
+			? refreshFull()
+			: refreshDelta(watermark);
+	}
+
+	async function getLocalRecord(target) {
+		return (await findLocalRow(target)) ?? null;
+	}
+
+	/** Every cached row of this account, opened, for one-off local searches. */
+	async function listLocalRows() {
+		return openAll(await cacheTable.filter(isOwned).toArray(), openRow);
+	}
+
+	async function createRecord({ casePayload, familyMembers = [] }) {
+		if (!isBrowserOffline()) {
+			let caseId = null;
+			try {
+				caseId = await insertRemote(casePayload);
+				await replaceRemoteFamily(caseId, familyMembers, {
+					clearFirst: false,
+				});
+				await storeServerRow(await fetchRemote(caseId));
+				return { caseId, localId: null, queued: false, error: null };
+			} catch (error) {
+				// Once the case row exists, queueing another create would duplicate it.
+				if (caseId || !isNetworkError(error)) {
+					return { caseId, localId: null, queued: false, error };
+				}
+			}
+		}
+
+		const timestamp = nowIso();
+		let sealedRow;
+		let sealedPayload;
+		try {
+			sealedRow = await sealRow({
+				...localFields(casePayload, familyMembers),
+				id: null,
+				created_at: timestamp,
+				updated_at: timestamp,
+				hasPendingWrites: true,
+				pendingAction: "create",
+			});
+			sealedPayload = await sealPayload({ casePayload, familyMembers });
+		} catch (error) {
+			return { caseId: null, localId: null, queued: false, error };
+		}
+
+		const localId = await offlineCaseDb.transaction(
+			"rw",
+			cacheTable,
+			queueTable,
+			async () => {
+				const newLocalId = await cacheTable.add(sealedRow);
+				await enqueue(
+					"create",
+					{ localId: newLocalId, id: null },
+					sealedPayload,
+				);
+				return newLocalId;
+			},
+		);
+
+		return { caseId: null, localId, queued: true, error: null };
+	}
+
+	async function updateRecord(target, { casePayload, familyMembers = [] }) {
+		const row = await findLocalRow(target);
+		const caseId = resolveCaseId(row, target);
+
+		if (await canWriteThrough(caseId, row)) {
+			try {
+				await updateRemote(caseId, { casePayload, familyMembers });
+				await storeServerRow(await fetchRemote(caseId), row?.localId);
+				return {
+					caseId,
+					localId: row?.localId ?? null,
+					queued: false,
+					error: null,
+				};
+			} catch (error) {
+				if (!isNetworkError(error)) {
+					return {
+						caseId,
+						localId: row?.localId ?? null,
+						queued: false,
+						error,
+					};
+				}
+			}
+		}
+
+		if (!row) {
+			return {
+				caseId,
+				localId: null,
+				queued: false,
+				error: new Error(notCachedMessage),
+			};
+		}
+
+		let sealedRow;
+		let sealedPayload;
+		try {
+			sealedRow = await sealRow({
+				...row,
+				...localFields(casePayload, familyMembers),
+				serverUpdatedAt: serverVersionOf(row),
+				updated_at: nowIso(),
+				hasPendingWrites: true,
+				pendingAction:
+					row.pendingAction === "create" ? "create" : "update",
+			});
+			sealedPayload = await sealPayload({ casePayload, familyMembers });
+		} catch (error) {
+			return {
+				caseId: row.id ?? null,
+				localId: row.localId,
+				queued: false,
+				error,
+			};
+		}
+
+		await offlineCaseDb.transaction(
+			"rw",
+			cacheTable,
+			queueTable,
+			async () => {
+				await cacheTable.put(sealedRow);
+				await enqueue("update", row, sealedPayload);
+			},
+		);
+
+		return {
+			caseId: row.id ?? null,
+			localId: row.localId,
+			queued: true,
+			error: null,
+		};
+	}
+
+	/**
+	 * Change some case columns and keep the family rows as they are. Queued
+	 * updates rewrite the family table on replay, so offline the cached family
+	 * rows go into the queued write unchanged.
+	 */
+	async function patchRecord(target, casePayload) {
+		const row = await findLocalRow(target);
+		const caseId = resolveCaseId(row, target);
+
+		if (await canWriteThrough(caseId, row)) {
+			try {
+				const { error } = await supabase
+					.from(table)
+					.update(casePayload)
+					.eq("id", caseId);
+				if (error) throw error;
+				await storeServerRow(await fetchRemote(caseId), row?.localId);
+				return {
+					caseId,
+					localId: row?.localId ?? null,
+					queued: false,
+					error: null,
+				};
+			} catch (error) {
+				if (!isNetworkError(error)) {
+					return {
+						caseId,
+						localId: row?.localId ?? null,
+						queued: false,
+						error,
+					};
+				}
+			}
+		}
+
+		if (!row) {
+			return {
+				caseId,
+				localId: null,
+				queued: false,
+				error: new Error(notCachedMessage),
+			};
+		}
+
+		return updateRecord(row, {
+			casePayload,
+			familyMembers: family
+				? comparableFamily(row[family.table] || [])
+				: [],
+		});
+	}
+
+	async function deleteRecord(target) {
+		const row = await findLocalRow(target);
+		const caseId = resolveCaseId(row, target);
+
+		if (row && !row.id) {
+			await offlineCaseDb.transaction(
+				"rw",
+				cacheTable,
+				queueTable,
+				async () => {
+					await queueTable
+						.where("targetLocalId")
+						.equals(row.localId)
+						.delete();
+					await cacheTable.delete(row.localId);
+				},
+			);
+			return {
+				caseId: null,
+				localId: row.localId,
+				queued: false,
+				error: null,
+			};
+		}
+
+		if (await canWriteThrough(caseId, row)) {
+			try {
+				await deleteRemote(caseId);
+				if (row) await cacheTable.delete(row.localId);
+				return {
+					caseId,
+					localId: row?.localId ?? null,
+					queued: false,
+					error: null,
+				};
+			} catch (error) {
+				if (!isNetworkError(error)) {
+					return {
+						caseId,
+						localId: row?.localId ?? null,
+						queued: false,
+						error,
+					};
+				}
+			}
+		}
+
+		if (!row) {
+			return {
+				caseId,
+				localId: null,
+				queued: false,
+				error: new Error(notCachedMessage),
+			};
+		}
+
+		await offlineCaseDb.transaction(
+			"rw",
+			cacheTable,
+			queueTable,
+			async () => {
+				await cacheTable.update(row.localId, {
+					hasPendingWrites: true,
+					pendingAction: "delete",
+				});
+				await enqueue("delete", row, null);
+			},
+		);
+
+		return { caseId, localId: row.localId, queued: true, error: null };
+	}
+
+	/**
+	 * @param {CaseQueueEntry} entry
+	 */
+	async function replayEntry(entry) {
+		// Only clear-text routing fields are needed here.
+		const row = await cacheTable.get(entry.targetLocalId);
+		const caseId = row?.id ?? entry.targetId;
+
+		switch (entry.operationType) {
+			case "create": {
+				const newId = await insertRemote(entry.payload.casePayload);
+				if (row) await cacheTable.update(row.localId, { id: newId });
+				// If the family insert fails, retry as an update instead of
+				// inserting the case a second time.
+				await queueTable.update(entry.queueId, {
+					operationType: "update",
+					targetId: newId,
+					baseUpdatedAt: null,
+				});
+				await replaceRemoteFamily(newId, entry.payload.familyMembers, {
+					clearFirst: false,
+				});
+				return newId;
+			}
+			case "update": {
+				if (!caseId) {
+					throw new Error(
+						`${label} case has not been created on the server yet.`,
+					);
+				}
+				if (entry.baseUpdatedAt) {
+					const serverRow = await fetchRemote(caseId);
+					if (!serverRow) {
+						throw new Error(
+							`${label} case no longer exists on the server.`,
+						);
+					}
+					const serverTime = toTime(serverRow.updated_at);
+					const baseTime = toTime(entry.baseUpdatedAt);
+					if (
+						serverTime !== null &&
+						baseTime !== null &&
+						serverTime > baseTime
+					) {
+						const error = conflictError(label);
+						error.serverRow = serverRow;
+						throw error;
+					}
+				}
+				await updateRemote(caseId, entry.payload);
+				return caseId;
+			}
+			case "delete": {
+				if (caseId) await deleteRemote(caseId);
+				return null;
+			}
+			default:
+				throw new Error(
+					`Unknown queue operation: ${entry.operationType}`,
+				);
+		}
+	}
+
+	/**
+	 * Replay one entry and settle the queue/snapshot around it.
+	 * @returns {Promise<any>} The replay error, or null when the entry synced.
+	 */
+	async function processEntry(entry) {
+		// An unresolved conflict keeps blocking the queue until it is resolved.
+		if (entry.conflict) return conflictError(label);
+
+		try {
+			const caseId = await replayEntry(entry);
+			await queueTable.delete(entry.queueId);
+
+			if (entry.operationType === "delete") {
+				await cacheTable.delete(entry.targetLocalId);
+			} else if (caseId) {
+				const serverRow = await fetchRemote(caseId);
+				await storeServerRow(serverRow, entry.targetLocalId);
+				// Later edits of the same row build on the write just replayed.
+				await queueTable
+					.where("targetLocalId")
+					.equals(entry.targetLocalId)
+					.modify({
+						baseUpdatedAt: serverRow?.updated_at ?? null,
+					});
+			}
+			return null;
+		} catch (error) {
+			console.error(`[${label}] Queue replay stopped:`, error);
+			const conflict = isConflictError(error)
+				? { serverRow: error.serverRow, detectedAt: Date.now() }
+				: null;
+			// Only the bookkeeping fields: a failed create has already been
+			// turned into an update of the inserted case, which must stay.
+			const stored = await queueTable.get(entry.queueId);
+			await queueTable.update(entry.queueId, {
+				attempts: (entry.attempts ?? 0) + 1,
+				lastError: error?.message || String(error),
+				lastAttemptAt: Date.now(),
+				conflict:
+					conflict && stored?.ownerId
+						? await sealValue(conflict)
+						: conflict,
+			});
+			return error;
+		}
+	}
+
+	async function runQueue() {
+		// Queued changes stay put while locked; they replay after unlock.
+		if (!getVaultOwnerId()) {
+			return { synced: 0, remaining: 0, error: null };
+		}
+		const entries = await ownEntries();
+		let synced = 0;
+
+		for (const entry of entries) {
+			const error = await processEntry(entry);
+			if (error) {
+				return { synced, remaining: entries.length - synced, error };
+			}
+			synced += 1;
+		}
+
+		return { synced, remaining: 0, error: null };
+	}
+
+	/**
+	 * Concurrent callers share the in-flight replay instead of starting a second one.
+	 */
+	function syncQueue() {
+		if (!activeSync) {
+			activeSync = runQueue().finally(() => {
+				activeSync = null;
+			});
+		}
+		return activeSync;
+	}
+
+	/**
+	 * Replay a single entry, e.g. from the Sync Center.
+	 *
+	 * Only the oldest entry of a record can be replayed on its own; entries of
+	 * other records are independent, so they may be retried in any order.
+	 *
+	 * @param {number} queueId
+	 * @returns {Promise<{ error: any }>}
+	 */
+	async function retryEntry(queueId) {
+		if (activeSync) await activeSync;
+
+		const stored = await queueTable.get(queueId);
+		if (!stored) return { error: null };
+		const entry = await openEntry(stored);
+		if (!entry) {
+			return {
+				error: new Error(
+					"This change was saved by another account and cannot be read.",
+				),
+			};
+		}
+
+		const earlier = await queueTable
+			.where("targetLocalId")
+			.equals(entry.targetLocalId)
+			.filter((other) => other.queueId < queueId)
+			.count();
+		if (earlier > 0) {
+			return {
+				error: new Error(
+					"Earlier changes to this record must sync first.",
+				),
+			};
+		}
+
+		return { error: await processEntry(entry) };
+	}
+
+	/**
+	 * Drop a queued operation and roll the snapshot back where possible.
+	 *
+	 * Discarding a create also discards the later edits of that record, since
+	 * they have nothing to apply to. Once a record has no queued work left its
+	 * pending flags are cleared, so the next refresh restores the server copy.
+	 *
+	 * @param {number} queueId
+	 * @returns {Promise<{ discarded: number, error: any }>}
+	 */
+	async function discardEntry(queueId) {
+		try {
+			if (activeSync) await activeSync;
+
+			const discarded = await offlineCaseDb.transaction(
+				"rw",
+				cacheTable,
+				queueTable,
+				async () => {
+					const entry = await queueTable.get(queueId);
+					if (!entry) return 0;
+
+					const related = queueTable
+						.where("targetLocalId")
+						.equals(entry.targetLocalId);
+
+					if (entry.operationType === "create") {
+						const count = await related.count();
+						await related.delete();
+						await cacheTable.delete(entry.targetLocalId);
+						return count;
+					}
+
+					await queueTable.delete(queueId);
+					if ((await related.count()) === 0) {
+						await cacheTable.update(entry.targetLocalId, {
+							hasPendingWrites: false,
+							pendingAction: null,
+						});
+					}
+					return 1;
+				},
+			);
+			return { discarded, error: null };
+		} catch (error) {
+			console.error(`[${label}] Failed to discard queue entry:`, error);
+			return { discarded: 0, error };
+		}
+	}
+
+	/**
+	 * Later queued updates of the same row carry full payloads, so the newest
+	 * one is what the user currently has locally.
+	 */
+	async function laterUpdatesOf(entry) {
+		const entries = await openAll(
+			await queueTable
+				.where("targetLocalId")
+				.equals(entry.targetLocalId)
+				.sortBy("queueId"),
+			openEntry,
+		);
+		return entries.filter(
+			(other) =>
+				other.queueId > entry.queueId &&
+				other.operationType === "update",
+		);
+	}
+
+	function diffConflict(localPayload, serverRow) {
+		const { casePayload = {}, familyMembers = [] } = localPayload || {};
+		const fields = Object.keys(casePayload)
+			.filter((key) => !SERVER_MANAGED_FIELDS.has(key))
+			.filter(
+				(key) =>
+					comparable(casePayload[key]) !== comparable(serverRow[key]),
+			)
+			.map((key) => ({
+				key,
+				local: casePayload[key] ?? null,
+				server: serverRow[key] ?? null,
+			}));
+
+		if (family) {
+			const local = comparableFamily(
+				buildFamilyRows(null, familyMembers),
+			);
+			const server = comparableFamily(serverRow[family.table] || []);
+			if (JSON.stringify(local) !== JSON.stringify(server)) {
+				fields.push({ key: FAMILY_FIELD, local, server });
+			}
+		}
+
+		return fields;
+	}
+
+	async function listConflicts() {
+		const entries = await openAll(
+			await queueTable
+				.filter((entry) => Boolean(entry.conflict) && isOwned(entry))
+				.sortBy("queueId"),
+			openEntry,
+		);
+
+		return Promise.all(
+			entries.map(async (entry) => {
+				const later = await laterUpdatesOf(entry);
+				const localPayload = later.at(-1)?.payload ?? entry.payload;
+				const { serverRow, detectedAt } = entry.conflict;
+				return {
+					label,
+					queueId: entry.queueId,
+					targetLocalId: entry.targetLocalId,
+					targetId: entry.targetId ?? serverRow?.id ?? null,
+					detectedAt,
+					serverUpdatedAt: serverRow?.updated_at ?? null,
+					fields: diffConflict(localPayload, serverRow),
+				};
+			}),
+		);
+	}
+
+	/**
+	 * Merge the local and server versions per field and unblock the queue.
+	 *
+	 * Later queued updates of the same row are folded into the resolved entry.
+	 * When every differing field keeps the server value, the local edit is
+	 * dropped and the snapshot takes the server row.
+	 *
+	 * @param {number} queueId
+	 * @param {Record<string, "local"|"server">} choices Missing keys keep the local value.
+	 */
+	async function resolveConflict(queueId, choices = {}) {
+		const entry = await openEntry(await queueTable.get(queueId));
+		if (!entry?.conflict) {
+			return { error: new Error("This conflict was already resolved.") };
+		}
+
+		const later = await laterUpdatesOf(entry);
+		const localPayload = later.at(-1)?.payload ?? entry.payload;
+		const { serverRow } = entry.conflict;
+		const fields = diffConflict(localPayload, serverRow);
+		const keepsServer = (key) => choices[key] === "server";
+
+		const casePayload = { ...localPayload.casePayload };
+		fields
+			.filter(({ key }) => key !== FAMILY_FIELD && keepsServer(key))
+			.forEach(({ key }) => {
+				casePayload[key] = serverRow[key] ?? null;
+			});
+		const familyMembers =
+			family && keepsServer(FAMILY_FIELD)
+				? comparableFamily(serverRow[family.table] || [])
+				: (localPayload.familyMembers ?? []);
+
+		const laterIds = later.map((other) => other.queueId);
+
+		if (fields.every(({ key }) => keepsServer(key))) {
+			await offlineCaseDb.transaction("rw", queueTable, async () => {
+				await queueTable.bulkDelete([...laterIds, queueId]);
+			});
+			await storeServerRow(serverRow, entry.targetLocalId);
+			return { error: null };
+		}
+
+		const sealedEntry = await sealEntry({
+			...entry,
+			payload: { casePayload, familyMembers },
+			baseUpdatedAt: serverRow.updated_at ?? null,
+			conflict: null,
+			lastError: null,
+		});
+		const row = await rowByLocalId(entry.targetLocalId);
+		const sealedRow = row
+			? await sealRow({
+					...row,
+					...localFields(casePayload, familyMembers),
+					serverUpdatedAt: serverRow.updated_at ?? null,
+				})
+			: null;
+
+		await offlineCaseDb.transaction(
+			"rw",
+			cacheTable,
+			queueTable,
+			async () => {
+				await queueTable.bulkDelete(laterIds);
+				await queueTable.update(queueId, sealedEntry);
+				if (sealedRow) await cacheTable.put(sealedRow);
+			},
+		);
+
+		return { error: null };
+	}
+
+	/**
+	 * Decrypted queue entries of the unlocked account with their snapshot rows,
+	 * oldest first (for the Sync Center).
+	 */
+	async function listQueue() {
+		const entries = await ownEntries();
+		const localIds = [...new Set(entries.map((e) => e.targetLocalId))];
+		const rows = await openAll(await cacheTable.bulkGet(localIds), openRow);
+		const rowsByLocalId = new Map(rows.map((row) => [row.localId, row]));
+		return entries.map((entry) => ({
+			entry,
+			row: rowsByLocalId.get(entry.targetLocalId) ?? null,
+		}));
+	}
+
+	/**
+	 * Encrypt rows and entries written before the vault existed. They are
+	 * assigned to the account that unlocks first.
+	 * @returns {Promise<number>} Records sealed.
+	 */
+	async function sealLegacyRecords() {
+		const rows = await cacheTable.filter((row) => !row.ownerId).toArray();
+		const entries = await queueTable
+			.filter((entry) => !entry.ownerId)
+			.toArray();
+		if (!rows.length && !entries.length) return 0;
+
+		const sealedRows = await Promise.all(rows.map(sealRow));
+		const sealedEntries = await Promise.all(
+			entries.map(async (entry) => ({
+				...(await sealEntry(entry)),
+				queueId: entry.queueId,
+			})),
+		);
+		await offlineCaseDb.transaction(
+			"rw",
+			cacheTable,
+			queueTable,
+			async () => {
+				await cacheTable.bulkPut(sealedRows);
+				await queueTable.bulkPut(sealedEntries);
+			},
+		);
+		return rows.length + entries.length;
+	}
+
+	/**
+	 * Drop everything sealed for `ownerId` (key replaced, or signing out),
+	 * together with any records from before encryption.
+	 * @param {string} ownerId
+	 */
+	async function purgeOwnerRecords(ownerId) {
+		const ownedOrLegacy = (record) =>
+			!record.ownerId || record.ownerId === ownerId;
+		await offlineCaseDb.transaction(
+			"rw",
+			cacheTable,
+			queueTable,
+			async () => {
+				await cacheTable.filter(ownedOrLegacy).delete();
+				await queueTable.filter(ownedOrLegacy).delete();
+			},
+		);
+		await clearWatermarks(table, ownerId);
+	}
+
+	/**
+	 * Queued changes saved by `ownerId` (readable or not), plus entries from
+	 * before encryption, which nobody else could have written.
+	 * @param {string} ownerId
+	 */
+	async function countQueuedFor(ownerId) {
+		return queueTable
+			.filter((entry) => !entry.ownerId || entry.ownerId === ownerId)
+			.count();
+	}
+
+	/**
+	 * Drop clean snapshot rows cached before `cutoff` (retention policy). Rows
+	 * with queued changes are kept until they sync.
+	 * @param {number} cutoff Epoch ms.
+	 * @returns {Promise<number>} Rows removed.
+	 */
+	async function expireSnapshot(cutoff) {
+		const removed = await cacheTable
+			.filter(
+				(row) => !row.hasPendingWrites && (row.cachedAt ?? 0) < cutoff,
+			)
+			.delete();
+		if (removed) await clearWatermarks(table);
+		return removed;
+	}
+
+	return {
+		label,
+		table,
+		select,
+		family: family
+			? { table: family.table, buildRows: buildFamilyRows }
+			: null,
+		observeSnapshot,
+		refreshSnapshot,
+		getLocalRecord,
+		listLocalRows,
+		createRecord,
+		updateRecord,
+		patchRecord,
+		deleteRecord,
+		syncQueue,
+		retryEntry,
+		discardEntry,
+		listConflicts,
+		resolveConflict,
+		listQueue,
+		sealLegacyRecords,
+		purgeOwnerRecords,
+		countQueuedFor,
+		expireSnapshot,
+	};
+}
@@ -0,0 +1,190 @@
+/**
+ * Lifetime of local offline data: sign-out wipe and the retention window.
+ *
+ * Responsibilities:
+ * - Purge everything a user left in IndexedDB when they sign out.
+ * - Load and save the admin-configured retention window (`app_settings`).
+ * - Expire clean snapshots older than that window on this device.
+ *
+ * Notes:
+ * - The retention window is cached in localStorage so it is enforced offline too.
+ * - Rows with queued changes are never expired; they leave with their sync or
+ *   with an explicit discard at sign-out.
+ */
+
+import supabase from "@/../config/supabase";
+import offlineCaseDb from "@/db/offlineCaseDb";
+import { CASE_REPOSITORIES, purgeCaseData } from "@/services/caseRepositories";
+import { purgeDrafts } from "@/services/intakeDraftService";
+import { purgeStagedDocuments } from "@/services/documentStagingService";
+
+/** Retention choices offered to admins, in days. */
+export const RETENTION_DAY_OPTIONS = [1, 3, 7, 14, 30, 60, 90];
+
+export const DEFAULT_RETENTION_DAYS = 14;
+
+const RETENTION_SETTING_KEY = "offline_retention_days";
+const RETENTION_CACHE_KEY = "idm_offline_retention_days";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Caches filled from the signed-in user's view of the server. */
+const SHARED_CACHE_TABLES = [
+	"dashboard_cache",
+	"dashboard_raw_data",
+	"staff_workload_cache",
+	"cached_vac_cases",
+	"cached_far_cases",
+	"case_managers",
+];
+
+/** Module snapshots whose rows carry `hasPendingWrites`. */
+const MODULE_SNAPSHOT_TABLES = [
+	"programs",
+	"program_enrollments",
+	"service_delivery",
+	"partners",
+	"inventory_items",
+	"resource_requests",
+];
+
+/** Timestamped caches and the column holding their write time. */
+const TIMESTAMPED_CACHES = {
+	dashboard_cache: "timestamp",
+	dashboard_raw_data: "timestamp",
+	staff_workload_cache: "cached_at",
+};
+
+const toTime = (value) => {
+	if (typeof value === "number") return value;
+	const time = value ? new Date(value).getTime() : NaN;
+	return Number.isNaN(time) ? 0 : time;
+};
+
+const normalizeDays = (days) =>
+	RETENTION_DAY_OPTIONS.includes(Number(days))
+		? Number(days)
+		: DEFAULT_RETENTION_DAYS;
+
+/**
+ * Retention window last seen from the server (or the default).
+ * @returns {number}
+ */
+export function getCachedRetentionDays() {
+	if (typeof localStorage === "undefined") return DEFAULT_RETENTION_DAYS;
+	return normalizeDays(localStorage.getItem(RETENTION_CACHE_KEY));
+}
+
+const cacheRetentionDays = (days) => {
+	if (typeof localStorage === "undefined") return;
+	localStorage.setItem(RETENTION_CACHE_KEY, String(days));
+};
+
+/**
+ * @returns {Promise<{ days: number, error: any }>} Falls back to the cached value.
+ */
+export async function fetchRetentionDays() {
+	const { data, error } = await supabase
+		.from("app_settings")
+		.select("value")
+		.eq("key", RETENTION_SETTING_KEY)
+		.maybeSingle();
+	if (error) {
+		console.error("❌ Failed to load offline retention policy:", error);
+		return { days: getCachedRetentionDays(), error };
+	}
+
+	const days = normalizeDays(data?.value);
+	cacheRetentionDays(days);
+	return { days, error: null };
+}
+
+/**
+ * Save the retention window for every device. RLS limits this to users with
+ * `manage_system_settings`.
+ *
+ * @param {number} days
+ * @param {string|null} userId
+ * @returns {Promise<{ error: any }>}
+ */
+export async function saveRetentionDays(days, userId) {
+	if (!RETENTION_DAY_OPTIONS.includes(days)) {
+		return { error: new Error("Unsupported retention window.") };
+	}
+	const { error } = await supabase.from("app_settings").upsert({
+		key: RETENTION_SETTING_KEY,
+		value: days,
+		updated_at: new Date().toISOString(),
+		updated_by: userId,
+	});
+	if (error) {
+		console.error("❌ Failed to save offline retention policy:", error);
+		return { error };
+	}
+	cacheRetentionDays(days);
+	return { error: null };
+}
+
+/**
+ * Remove snapshots cached longer ago than the retention window.
+ * @param {number} [days]
+ * @returns {Promise<number>} Records removed.
+ */
+export async function expireStaleSnapshots(days = getCachedRetentionDays()) {
+	const cutoff = Date.now() - days * DAY_MS;
+
+	const caseCounts = await Promise.all(
+		Object.values(CASE_REPOSITORIES).map((repository) =>
+			repository.expireSnapshot(cutoff),
+		),
+	);
+	const cacheCounts = await Promise.all(
+		Object.entries(TIMESTAMPED_CACHES).map(([tableName, column]) =>
+			offlineCaseDb
+				.table(tableName)
+				.filter((record) => toTime(record[column]) < cutoff)
+				.delete(),
+		),
+	);
+
+	return [...caseCounts, ...cacheCounts].reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Wipe what `userId` leaves behind on this workstation: their cases and queues,
+ * their intake drafts and staged documents, the shared caches filled from their
+ * session, and their offline unlock keys. Queued changes, drafts and staged
+ * files are lost, so callers must confirm first.
+ *
+ * @param {string} userId
+ */
+export async function purgeUserData(userId) {
+	await purgeCaseData(userId);
+
+	await Promise.all([
+		...SHARED_CACHE_TABLES.map((tableName) =>
+			offlineCaseDb.table(tableName).clear(),
+		),
+		...MODULE_SNAPSHOT_TABLES.map((tableName) =>
+			offlineCaseDb
+				.table(tableName)
+				.filter((row) => !row.hasPendingWrites)
+				.delete(),
+		),
+		purgeDrafts(userId),
+		purgeStagedDocuments(userId),
+		offlineCaseDb.offline_sessions.delete(userId),
+		offlineCaseDb.vault_keys.delete(userId),
+	]);
+}
+
+/**
+ * Refresh the retention window when online, then expire stale snapshots.
+ * @returns {Promise<number>} Records removed.
+ */
+export async function enforceRetention() {
+	const online = typeof navigator === "undefined" || navigator.onLine;
+	const days = online
+		? (await fetchRetentionDays()).days
+		: getCachedRetentionDays();
+	return expireStaleSnapshots(days);
+}
@@ -0,0 +1,240 @@
+/**
+ * Offline unlock: PIN-sealed proofs of the last verified Supabase session.
+ *
+ * Responsibilities:
+ * - After an online login, seal the verified user/role with a key derived from a local PIN.
+ * - Unlock that cached identity offline until the chosen expiry.
+ * - Extend the expiry whenever the session is re-verified online.
+ *
+ * Notes:
+ * - The PIN itself is never stored; a wrong PIN simply fails AES-GCM decryption.
+ * - `MAX_PIN_ATTEMPTS` wrong PINs wipe the proof, so the next start needs a real login.
+ * - Expiry is counted from the last online verification, not from PIN setup.
+ */
+
+import offlineCaseDb from "@/db/offlineCaseDb";
+import {
+	PBKDF2_ITERATIONS,
+	deriveKey,
+	openJson,
+	randomBytes,
+	sealJson,
+	toBase64,
+} from "@/lib/localCrypto";
+
+/** Expiry choices offered when setting the PIN, in days. */
+export const OFFLINE_UNLOCK_DAY_OPTIONS = [1, 3, 7, 14];
+
+export const DEFAULT_OFFLINE_UNLOCK_DAYS = 7;
+
+export const MAX_PIN_ATTEMPTS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PIN_PATTERN = /^\d{6,8}$/;
+
+/**
+ * @typedef {Object} OfflineSessionSummary
+ * @property {string} userId
+ * @property {string} email
+ * @property {number} expiresAt
+ * @property {number} ttlDays
+ */
+
+/**
+ * @typedef {Object} OfflineUnlockResult
+ * @property {any} user Cached Supabase user (id, email, metadata).
+ * @property {string|null} role
+ * @property {CryptoKey|null} key PIN-derived key, kept in memory for the session.
+ * @property {number|null} expiresAt
+ * @property {number|null} attemptsLeft
+ * @property {Error|null} error
+ */
+
+/**
+ * @param {string} pin
+ * @returns {string|null} Validation message, or null when the PIN is acceptable.
+ */
+export function validatePin(pin) {
+	if (!PIN_PATTERN.test(pin || "")) {
+		return "PIN must be 6 to 8 digits.";
+	}
+	if (/^(\d)\1+$/.test(pin)) {
+		return "PIN cannot be the same digit repeated.";
+	}
+	return null;
+}
+
+const toSummary = (record) =>
+	record
+		? {
+				userId: record.userId,
+				email: record.email,
+				expiresAt: record.expiresAt,
+				ttlDays: record.ttlDays,
+			}
+		: null;
+
+/**
+ * @param {string} userId
+ * @returns {Promise<OfflineSessionSummary|null>}
+ */
+export async function getOfflineSession(userId) {
+	if (!userId) return null;
+	return toSummary(await offlineCaseDb.offline_sessions.get(userId));
+}
+
+/**
+ * Proofs that can still unlock this device, most recently verified first.
+ * @returns {Promise<OfflineSessionSummary[]>}
+ */
+export async function listUnlockableSessions() {
+	const records = await offlineCaseDb.offline_sessions
+		.where("expiresAt")
+		.above(Date.now())
+		.toArray();
+	return records.sort((a, b) => b.verifiedAt - a.verifiedAt).map(toSummary);
+}
+
+/**
+ * Seal the verified identity with a new PIN. Call only while online-verified.
+ *
+ * @param {{ user: any, role: string|null, pin: string, ttlDays?: number }} params
+ * @returns {Promise<{ expiresAt: number|null, key: CryptoKey|null, error: Error|null }>}
+ */
+export async function saveOfflineSession({
+	user,
+	role,
+	pin,
+	ttlDays = DEFAULT_OFFLINE_UNLOCK_DAYS,
+}) {
+	const invalid = validatePin(pin);
+	if (invalid)
+		return { expiresAt: null, key: null, error: new Error(invalid) };
+	const days = OFFLINE_UNLOCK_DAY_OPTIONS.includes(ttlDays)
+		? ttlDays
+		: DEFAULT_OFFLINE_UNLOCK_DAYS;
+
+	try {
+		const salt = randomBytes(16);
+		const key = await deriveKey(pin, salt, PBKDF2_ITERATIONS);
+		const verifiedAt = Date.now();
+		const sealed = await sealJson(key, {
+			user: {
+				id: user.id,
+				email: user.email,
+				aud: user.aud,
+				role: user.role,
+				user_metadata: user.user_metadata ?? {},
+				app_metadata: user.app_metadata ?? {},
+			},
+			role,
+		});
+		const expiresAt = verifiedAt + days * DAY_MS;
+
+		await offlineCaseDb.offline_sessions.put({
+			userId: user.id,
+			email: user.email,
+			salt: toBase64(salt),
+			iterations: PBKDF2_ITERATIONS,
+			sealed,
+			ttlDays: days,
+			verifiedAt,
+			expiresAt,
+			failedAttempts: 0,
+		});
+		return { expiresAt, key, error: null };
+	} catch (error) {
+		console.error("❌ Failed to save offline session:", error);
+		return { expiresAt: null, key: null, error };
+	}
+}
+
+/**
+ * Push the expiry forward after the session was verified online again.
+ * @param {string} userId
+ * @returns {Promise<number|null>} New expiry, or null when no PIN is set.
+ */
+export async function refreshOfflineSession(userId) {
+	if (!userId) return null;
+	try {
+		const record = await offlineCaseDb.offline_sessions.get(userId);
+		if (!record) return null;
+
+		const verifiedAt = Date.now();
+		const expiresAt = verifiedAt + record.ttlDays * DAY_MS;
+		await offlineCaseDb.offline_sessions.update(userId, {
+			verifiedAt,
+			expiresAt,
+			failedAttempts: 0,
+		});
+		return expiresAt;
+	} catch (error) {
+		console.error("❌ Failed to refresh offline session:", error);
+		return null;
+	}
+}
+
+/**
+ * Check a PIN against the sealed proof and return the cached identity.
+ *
+ * @param {string} userId
+ * @param {string} pin
+ * @returns {Promise<OfflineUnlockResult>}
+ */
+export async function unlockOfflineSession(userId, pin) {
+	const failed = (message, attemptsLeft = null) => ({
+		user: null,
+		role: null,
+		key: null,
+		expiresAt: null,
+		attemptsLeft,
+		error: new Error(message),
+	});
+
+	const record = await offlineCaseDb.offline_sessions.get(userId);
+	if (!record) {
+		return failed("Offline access is not set up for this account.");
+	}
+	if (record.expiresAt <= Date.now()) {
+		return failed(
+			"Offline access has expired. Connect to the internet and sign in again.",
+		);
+	}
+
+	try {
+		const key = await deriveKey(pin, record.salt, record.iterations);
+		const { user, role } = await openJson(key, record.sealed);
+		await offlineCaseDb.offline_sessions.update(userId, {
+			failedAttempts: 0,
+		});
+		return {
+			user,
+			role,
+			key,
+			expiresAt: record.expiresAt,
+			attemptsLeft: null,
+			error: null,
+		};
+	} catch {
+		const failedAttempts = (record.failedAttempts ?? 0) + 1;
+		if (failedAttempts >= MAX_PIN_ATTEMPTS) {
+			await offlineCaseDb.offline_sessions.delete(userId);
+			return failed(
+				"Too many wrong PINs. Offline access was removed; sign in online to set it up again.",
+				0,
+			);
+		}
+		await offlineCaseDb.offline_sessions.update(userId, { failedAttempts });
+		return failed("Wrong PIN.", MAX_PIN_ATTEMPTS - failedAttempts);
+	}
+}
+
+/**
+ * Remove the offline proof for a user (PIN reset or account removal).
+ * @param {string} userId
+ */
+export async function clearOfflineSession(userId) {
+	if (!userId) return;
+	await offlineCaseDb.offline_sessions.delete(userId);
+}
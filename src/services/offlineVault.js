@@ -0,0 +1,341 @@
+/**
+ * Offline vault: the data key that encrypts cached cases and queued changes.
+ *
+ * Responsibilities:
+ * - Create one random AES-GCM data key per user and store it only wrapped
+ *   (by a password-derived key, and by the offline PIN key once a PIN is set).
+ * - Hold the unwrapped key in memory while the session is unlocked.
+ * - Seal / open values for the offline repositories, and staged file blobs,
+ *   with that key.
+ *
+ * Notes:
+ * - Nothing readable is stored: `vault_keys` holds salts and wrapped keys only.
+ * - In Electron the unwrapped key is parked in the main process so a renderer
+ *   reload does not lock the user out; web builds must unlock again.
+ * - If the password changed on another device, the old wrap no longer opens.
+ *   The PIN wrap can still recover the key; otherwise a fresh key is issued and
+ *   data sealed with the old one becomes unreadable (callers purge it).
+ */
+
+import offlineCaseDb from "@/db/offlineCaseDb";
+import electronBridge from "@/lib/electronBridge";
+import {
+	PBKDF2_ITERATIONS,
+	deriveKey,
+	exportRawKey,
+	generateDataKey,
+	importRawKey,
+	openBytes,
+	openJson,
+	randomBytes,
+	sealBytes,
+	sealJson,
+	toBase64,
+} from "@/lib/localCrypto";
+
+/** Error code thrown by `sealValue` / `openValue` while no key is loaded. */
+const VAULT_LOCKED = "VAULT_LOCKED";
+
+let active = null; // { userId, key }
+let pendingPassword = null; // { userId, wrap } for a password that no longer opens the vault
+
+const lockedError = () => {
+	const error = new Error("Offline data is locked. Unlock to continue.");
+	error.code = VAULT_LOCKED;
+	return error;
+};
+
+/** @returns {string|null} User whose data key is loaded. */
+export function getVaultOwnerId() {
+	return active?.userId ?? null;
+}
+
+/**
+ * Encrypt a JSON value with the loaded data key.
+ * @param {any} value
+ * @returns {Promise<import("@/lib/localCrypto").SealedValue>}
+ */
+export async function sealValue(value) {
+	if (!active) throw lockedError();
+	return sealJson(active.key, value);
+}
+
+/**
+ * Decrypt a value sealed with the loaded data key.
+ *
+ * Safe to call from a Dexie `liveQuery` querier: the WebCrypto promise is passed
+ * through `Promise.resolve` so Dexie keeps tracking the query zone.
+ *
+ * @param {import("@/lib/localCrypto").SealedValue} sealed
+ * @returns {Promise<any>} Rejects when locked or sealed under another key.
+ */
+export function openValue(sealed) {
+	if (!active) return Promise.reject(lockedError());
+	return Promise.resolve(openJson(active.key, sealed));
+}
+
+/**
+ * Encrypt file contents with the loaded data key.
+ * @param {Blob} blob
+ * @returns {Promise<import("@/lib/localCrypto").SealedBytes>}
+ */
+export async function sealBlob(blob) {
+	if (!active) throw lockedError();
+	return sealBytes(active.key, await blob.arrayBuffer());
+}
+
+/**
+ * @param {import("@/lib/localCrypto").SealedBytes} sealed
+ * @param {string} [type] MIME type of the restored blob.
+ * @returns {Promise<Blob>} Rejects when locked or sealed under another key.
+ */
+export async function openBlob(sealed, type = "") {
+	if (!active) throw lockedError();
+	return new Blob([await openBytes(active.key, sealed)], { type });
+}
+
+/**
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function hasVault(userId) {
+	if (!userId) return false;
+	return Boolean(await offlineCaseDb.vault_keys.get(userId));
+}
+
+const wrapDataKey = async (kek, dataKey) =>
+	sealJson(kek, { raw: await exportRawKey(dataKey) });
+
+const unwrapDataKey = async (kek, sealed) => {
+	const { raw } = await openJson(kek, sealed);
+	return importRawKey(raw, true);
+};
+
+const passwordWrap = async (password) => {
+	const salt = randomBytes(16);
+	const kek = await deriveKey(password, salt, PBKDF2_ITERATIONS);
+	return { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, kek };
+};
+
+const activate = async (userId, key) => {
+	active = { userId, key };
+	pendingPassword = null;
+	await electronBridge.setVaultKey({ userId, raw: await exportRawKey(key) });
+};
+
+const createVault = async (userId, wrap) => {
+	const key = await generateDataKey();
+	await offlineCaseDb.vault_keys.put({
+		userId,
+		wraps: {
+			password: {
+				salt: wrap.salt,
+				iterations: wrap.iterations,
+				sealed: await wrapDataKey(wrap.kek, key),
+			},
+		},
+		createdAt: Date.now(),
+	});
+	await activate(userId, key);
+};
+
+const openPasswordWrap = async (userId, stored, password) => {
+	const kek = await deriveKey(password, stored.salt, stored.iterations);
+	await activate(userId, await unwrapDataKey(kek, stored.sealed));
+};
+
+/**
+ * Unlock (or create) the vault after an online password sign-in.
+ *
+ * Only call this with a password the server just accepted: a wrap that does not
+ * open is treated as a password changed elsewhere, not as a typo.
+ *
+ * @param {string} userId
+ * @param {string} password
+ * @returns {Promise<{ needsRecovery: boolean, reset: boolean, error: Error|null }>}
+ *   `needsRecovery` when only the offline PIN can still open the old key;
+ *   `reset` when a new key replaced one that could not be opened.
+ */
+export async function openVaultWithPassword(userId, password) {
+	try {
+		const record = await offlineCaseDb.vault_keys.get(userId);
+		if (!record) {
+			await createVault(userId, await passwordWrap(password));
+			return { needsRecovery: false, reset: false, error: null };
+		}
+
+		const { password: stored, pin } = record.wraps ?? {};
+		if (stored?.sealed) {
+			try {
+				await openPasswordWrap(userId, stored, password);
+				return { needsRecovery: false, reset: false, error: null };
+			} catch {
+				// Password changed elsewhere; fall through to recovery.
+			}
+		}
+
+		pendingPassword = { userId, wrap: await passwordWrap(password) };
+		if (pin) {
+			return { needsRecovery: true, reset: false, error: null };
+		}
+		await resetVault(userId);
+		return { needsRecovery: false, reset: true, error: null };
+	} catch (error) {
+		console.error("❌ Failed to open offline vault:", error);
+		return { needsRecovery: false, reset: false, error };
+	}
+}
+
+/**
+ * Unlock an existing vault with the account password, without touching the
+ * stored wraps (e.g. after a reload restored the Supabase session).
+ *
+ * @param {string} userId
+ * @param {string} password
+ * @returns {Promise<{ error: Error|null }>} Fails on a wrong password.
+ */
+export async function unlockVaultWithPassword(userId, password) {
+	const record = await offlineCaseDb.vault_keys.get(userId);
+	const stored = record?.wraps?.password;
+	if (!stored?.sealed) {
+		return { error: new Error("Offline data has no password key.") };
+	}
+	try {
+		await openPasswordWrap(userId, stored, password);
+		return { error: null };
+	} catch {
+		return { error: new Error("Wrong password.") };
+	}
+}
+
+/**
+ * Unlock with a key derived elsewhere (the offline PIN key from
+ * `unlockOfflineSession`). Completes a pending password re-wrap if one exists.
+ *
+ * @param {string} userId
+ * @param {"pin"} kind
+ * @param {CryptoKey} kek
+ * @returns {Promise<{ error: Error|null }>}
+ */
+export async function openVaultWithKey(userId, kind, kek) {
+	try {
+		const record = await offlineCaseDb.vault_keys.get(userId);
+		const wrap = record?.wraps?.[kind];
+		if (!wrap) {
+			return {
+				error: new Error("Offline data has no key for this PIN."),
+			};
+		}
+		const key = await unwrapDataKey(kek, wrap.sealed);
+		if (pendingPassword?.userId === userId) {
+			await rewrapPassword(userId, key, pendingPassword.wrap);
+		}
+		await activate(userId, key);
+		return { error: null };
+	} catch (error) {
+		console.error("❌ Failed to open offline vault:", error);
+		return { error };
+	}
+}
+
+const rewrapPassword = async (userId, key, wrap) => {
+	const sealed = await wrapDataKey(wrap.kek, key);
+	await offlineCaseDb.vault_keys
+		.where("userId")
+		.equals(userId)
+		.modify((record) => {
+			record.wraps.password = {
+				salt: wrap.salt,
+				iterations: wrap.iterations,
+				sealed,
+			};
+		});
+};
+
+/**
+ * Give up on data sealed with a key that can no longer be opened and start a
+ * new vault wrapped with the password from the last sign-in.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ error: Error|null }>}
+ */
+export async function resetVault(userId) {
+	if (pendingPassword?.userId !== userId) {
+		return { error: new Error("Sign in again to reset offline data.") };
+	}
+	try {
+		await createVault(userId, pendingPassword.wrap);
+		return { error: null };
+	} catch (error) {
+		console.error("❌ Failed to reset offline vault:", error);
+		return { error };
+	}
+}
+
+/**
+ * Wrap the loaded data key with another key (e.g. the new offline PIN key).
+ *
+ * @param {string} userId
+ * @param {"pin"} kind
+ * @param {CryptoKey} kek
+ * @returns {Promise<{ error: Error|null }>}
+ */
+export async function addVaultWrap(userId, kind, kek) {
+	if (active?.userId !== userId) return { error: lockedError() };
+	try {
+		const sealed = await wrapDataKey(kek, active.key);
+		await offlineCaseDb.vault_keys
+			.where("userId")
+			.equals(userId)
+			.modify((record) => {
+				record.wraps[kind] = { sealed };
+			});
+		return { error: null };
+	} catch (error) {
+		console.error("❌ Failed to wrap offline vault key:", error);
+		return { error };
+	}
+}
+
+/**
+ * Re-wrap the loaded data key after the user changed their password here.
+ *
+ * @param {string} userId
+ * @param {string} password
+ * @returns {Promise<{ error: Error|null }>}
+ */
+export async function rewrapVaultPassword(userId, password) {
+	if (active?.userId !== userId) return { error: lockedError() };
+	try {
+		await rewrapPassword(userId, active.key, await passwordWrap(password));
+		return { error: null };
+	} catch (error) {
+		console.error("❌ Failed to re-wrap offline vault key:", error);
+		return { error };
+	}
+}
+
+/**
+ * Reload the key parked in the Electron main process, if it belongs to `userId`.
+ * @param {string} userId
+ * @returns {Promise<boolean>} Whether the vault is unlocked afterwards.
+ */
+export async function restoreVault(userId) {
+	if (active?.userId === userId) return true;
+	try {
+		const parked = await electronBridge.getVaultKey();
+		if (!parked || parked.userId !== userId) return false;
+		active = { userId, key: await importRawKey(parked.raw, true) };
+		return true;
+	} catch (error) {
+		console.error("❌ Failed to restore offline vault key:", error);
+		return false;
+	}
+}
+
+/** Forget the data key (logout, offline lock). */
+export function lockVault() {
+	active = null;
+	pendingPassword = null;
+	electronBridge.clearVaultKey().catch(() => {});
+}
@@ -0,0 +1,404 @@
+/**
+ * Sync Center data access over every offline queue in `offlineCaseDb`.
+ *
+ * Responsibilities:
+ * - Describe each `*_queue` table (module, label, snapshot table, replay owner).
+ * - Flatten queued operations into one list for the Sync Center page.
+ * - Retry, discard and export queued operations.
+ * - Count and upload documents staged offline alongside the queues.
+ *
+ * Notes:
+ * - Case queues are replayed by their repository (`src/services/caseRepositories.js`),
+ *   which also owns per-record ordering and conflict handling.
+ * - Queues without a replay owner can still be inspected, discarded and exported;
+ *   retrying them reports that no sync handler is registered.
+ * - Case queues are encrypted at rest, so they are read (decrypted) through their
+ *   repository, and only the unlocked account's changes are listed. The export
+ *   names the fields each change carries but none of their values.
+ */
+
+import { liveQuery } from "dexie";
+import offlineCaseDb from "@/db/offlineCaseDb";
+import { CASE_REPOSITORIES } from "@/services/caseRepositories";
+import {
+	countStagedDocumentsFor,
+	uploadStagedDocuments,
+} from "@/services/documentStagingService";
+
+/**
+ * @typedef {Object} SyncQueueDefinition
+ * @property {string} key Queue table name, also used as the stable identifier.
+ * @property {string} module Module heading shown in the Sync Center.
+ * @property {string} label Short label for the record type.
+ * @property {string} cacheTable Snapshot table the queue entries point into.
+ * @property {import("@/services/offlineCaseRepository").OfflineCaseRepository|null} repository
+ */
+
+/**
+ * @typedef {Object} QueuedOperation
+ * @property {string} queueKey
+ * @property {string} module
+ * @property {string} label
+ * @property {number} queueId
+ * @property {"create"|"update"|"delete"|string} operationType
+ * @property {number|null} targetLocalId
+ * @property {string|null} targetId
+ * @property {string} targetLabel Human-readable name of the target record.
+ * @property {number|null} createdAt
+ * @property {number} attempts
+ * @property {string|null} lastError
+ * @property {number|null} lastAttemptAt
+ * @property {boolean} conflict
+ * @property {boolean} retryable
+ */
+
+const caseQueue = (caseType, cacheTable) => {
+	const repository = CASE_REPOSITORIES[caseType];
+	return {
+		key: cacheTable.replace(/_cases$/, "_queue"),
+		module: "Cases",
+		label: repository.label,
+		cacheTable,
+		repository,
+	};
+};
+
+/** @type {SyncQueueDefinition[]} */
+export const SYNC_QUEUES = [
+	caseQueue("CASE", "case_cases"),
+	caseQueue("CICLCAR", "ciclcar_cases"),
+	caseQueue("FAC", "fac_cases"),
+	caseQueue("FAR", "far_cases"),
+	caseQueue("IVAC", "ivac_cases"),
+	caseQueue("SP", "sp_cases"),
+	caseQueue("FA", "fa_cases"),
+	caseQueue("PWD", "pwd_cases"),
+	caseQueue("SC", "sc_cases"),
+	{
+		key: "program_queue",
+		module: "Programs",
+		label: "Program",
+		cacheTable: "programs",
+		repository: null,
+	},
+	{
+		key: "enrollment_queue",
+		module: "Programs",
+		label: "Enrollment",
+		cacheTable: "program_enrollments",
+		repository: null,
+	},
+	{
+		key: "service_delivery_queue",
+		module: "Programs",
+		label: "Service delivery",
+		cacheTable: "service_delivery",
+		repository: null,
+	},
+	{
+		key: "partners_queue",
+		module: "Programs",
+		label: "Partner",
+		cacheTable: "partners",
+		repository: null,
+	},
+	{
+		key: "inventory_queue",
+		module: "Resources",
+		label: "Inventory item",
+		cacheTable: "inventory_items",
+		repository: null,
+	},
+	{
+		key: "resource_requests_queue",
+		module: "Resources",
+		label: "Resource request",
+		cacheTable: "resource_requests",
+		repository: null,
+	},
+];
+
+const QUEUES_BY_KEY = Object.fromEntries(
+	SYNC_QUEUES.map((definition) => [definition.key, definition]),
+);
+
+/** Snapshot columns that name a record, in order of preference. */
+const TARGET_NAME_FIELDS = [
+	"identifying_name",
+	"full_name",
+	"client_name",
+	"senior_name",
+	"receiving_member",
+	"program_name",
+	"organization_name",
+	"item_name",
+	"request_number",
+];
+
+const describeTarget = (row, entry) => {
+	const payloadRow = entry.payload?.casePayload ?? entry.payload ?? {};
+	const source = row ?? payloadRow;
+	const nameField = TARGET_NAME_FIELDS.find((field) => source?.[field]);
+	if (nameField) return String(source[nameField]);
+	if (source?.head_last_name || source?.head_first_name) {
+		return [source.head_first_name, source.head_last_name]
+			.filter(Boolean)
+			.join(" ");
+	}
+	if (source?.last_name || source?.first_name) {
+		return [source.first_name, source.last_name].filter(Boolean).join(" ");
+	}
+	const id = entry.targetId ?? row?.id;
+	return id ? String(id) : `Local record #${entry.targetLocalId ?? "?"}`;
+};
+
+const toOperation = (definition, entry, row) => ({
+	queueKey: definition.key,
+	module: definition.module,
+	label: definition.label,
+	queueId: entry.queueId,
+	operationType: entry.operationType,
+	targetLocalId: entry.targetLocalId ?? null,
+	targetId: entry.targetId ?? row?.id ?? null,
+	targetLabel: describeTarget(row, entry),
+	createdAt: entry.createdAt ?? null,
+	attempts: entry.attempts ?? 0,
+	lastError: entry.lastError ?? null,
+	lastAttemptAt: entry.lastAttemptAt ?? null,
+	conflict: Boolean(entry.conflict),
+	retryable: Boolean(definition.repository),
+});
+
+async function readQueue(definition) {
+	if (definition.repository) {
+		const queued = await definition.repository.listQueue();
+		return queued.map(({ entry, row }) =>
+			toOperation(definition, entry, row),
+		);
+	}
+
+	const entries = await offlineCaseDb
+		.table(definition.key)
+		.orderBy("queueId")
+		.toArray();
+	if (!entries.length) return [];
+
+	const localIds = [
+		...new Set(
+			entries
+				.map((entry) => entry.targetLocalId)
+				.filter((localId) => localId != null),
+		),
+	];
+	const rows = await offlineCaseDb
+		.table(definition.cacheTable)
+		.bulkGet(localIds);
+	const rowsByLocalId = new Map(
+		localIds.map((localId, index) => [localId, rows[index]]),
+	);
+
+	return entries.map((entry) =>
+		toOperation(
+			definition,
+			entry,
+			rowsByLocalId.get(entry.targetLocalId) ?? null,
+		),
+	);
+}
+
+/**
+ * Live list of every queued operation, oldest first.
+ * @returns {import("dexie").Observable<QueuedOperation[]>}
+ */
+export function observeQueuedOperations() {
+	return liveQuery(async () => {
+		const perQueue = await Promise.all(SYNC_QUEUES.map(readQueue));
+		return perQueue
+			.flat()
+			.sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+	});
+}
+
+/**
+ * Number of changes on this device that `ownerId` would lose by signing out.
+ * Works while the vault is locked; nothing is decrypted.
+ * @param {string} ownerId
+ * @returns {Promise<number>}
+ */
+export async function countUnsyncedChanges(ownerId) {
+	const counts = await Promise.all([
+		...SYNC_QUEUES.map((definition) =>
+			definition.repository
+				? definition.repository.countQueuedFor(ownerId)
+				: offlineCaseDb.table(definition.key).count(),
+		),
+		countStagedDocumentsFor(ownerId),
+	]);
+	return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Retry one queued operation.
+ * @param {string} queueKey
+ * @param {number} queueId
+ * @returns {Promise<{ error: any }>}
+ */
+export async function retryQueuedOperation(queueKey, queueId) {
+	const definition = QUEUES_BY_KEY[queueKey];
+	if (!definition?.repository) {
+		return {
+			error: new Error(
+				`No sync handler is registered for ${definition?.label ?? queueKey} changes yet.`,
+			),
+		};
+	}
+	return definition.repository.retryEntry(queueId);
+}
+
+/**
+ * Replay every queue that has a sync handler, one after another, then upload
+ * documents staged offline.
+ * @returns {Promise<{ synced: number, failures: Array<{ label: string, error: any }> }>}
+ */
+export async function retryAllQueues() {
+	let synced = 0;
+	const failures = [];
+
+	for (const definition of SYNC_QUEUES) {
+		if (!definition.repository) continue;
+		if ((await offlineCaseDb.table(definition.key).count()) === 0) continue;
+
+		const result = await definition.repository.syncQueue();
+		synced += result.synced;
+		if (result.error) {
+			failures.push({ label: definition.label, error: result.error });
+		}
+	}
+
+	const uploads = await uploadStagedDocuments();
+	synced += uploads.uploaded;
+	uploads.failures.forEach(({ error }) =>
+		failures.push({ label: "Document", error }),
+	);
+
+	return { synced, failures };
+}
+
+/**
+ * Discard one queued operation. Local changes it carried are lost.
+ * @param {string} queueKey
+ * @param {number} queueId
+ * @returns {Promise<{ discarded: number, error: any }>}
+ */
+export async function discardQueuedOperation(queueKey, queueId) {
+	const definition = QUEUES_BY_KEY[queueKey];
+	if (!definition) {
+		return { discarded: 0, error: new Error(`Unknown queue ${queueKey}.`) };
+	}
+	if (definition.repository) {
+		return definition.repository.discardEntry(queueId);
+	}
+
+	try {
+		const queueTable = offlineCaseDb.table(definition.key);
+		const cacheTable = offlineCaseDb.table(definition.cacheTable);
+		await offlineCaseDb.transaction(
+			"rw",
+			queueTable,
+			cacheTable,
+			async () => {
+				const entry = await queueTable.get(queueId);
+				if (!entry) return;
+				await queueTable.delete(queueId);
+				if (entry.targetLocalId == null) return;
+
+				const remaining = await queueTable
+					.where("targetLocalId")
+					.equals(entry.targetLocalId)
+					.count();
+				if (remaining === 0) {
+					await cacheTable.update(entry.targetLocalId, {
+						hasPendingWrites: false,
+						pendingAction: null,
+					});
+				}
+			},
+		);
+		return { discarded: 1, error: null };
+	} catch (error) {
+		console.error(`Failed to discard ${definition.key} entry:`, error);
+		return { discarded: 0, error };
+	}
+}
+
+/**
+ * What a queued change touches, without its values: the payload's field names
+ * and, for cases, how many family rows it carries.
+ * @param {any} payload Decrypted queue payload.
+ * @returns {{ fields: string[], familyMembers: number|null }}
+ */
+const redactPayload = (payload) => {
+	const casePayload = payload?.casePayload;
+	const fields = casePayload ?? payload;
+	return {
+		fields:
+			fields && typeof fields === "object" && !Array.isArray(fields)
+				? Object.keys(fields).sort()
+				: [],
+		familyMembers: Array.isArray(payload?.familyMembers)
+			? payload.familyMembers.length
+			: null,
+	};
+};
+
+/**
+ * Queued operations for support: what each change is, where it stands and
+ * which fields it carries. Names and field values are left out.
+ * @param {{ appVersion?: string }} [meta]
+ * @returns {Promise<Record<string, any>>}
+ */
+export async function exportQueues(meta = {}) {
+	const queues = {};
+	for (const definition of SYNC_QUEUES) {
+		const entries = definition.repository
+			? (await definition.repository.listQueue()).map(
+					({ entry }) => entry,
+				)
+			: await offlineCaseDb
+					.table(definition.key)
+					.orderBy("queueId")
+					.toArray();
+		const total = await offlineCaseDb.table(definition.key).count();
+
+		queues[definition.key] = {
+			label: definition.label,
+			// Changes saved by another account on this device stay sealed.
+			otherAccounts: total - entries.length,
+			operations: entries.map((entry) => {
+				const {
+					targetLabel: _targetLabel,
+					conflict,
+					...operation
+				} = toOperation(definition, entry, null);
+				return {
+					...operation,
+					baseUpdatedAt: entry.baseUpdatedAt ?? null,
+					conflict: conflict
+						? {
+								detectedAt: entry.conflict.detectedAt ?? null,
+								serverUpdatedAt:
+									entry.conflict.serverRow?.updated_at ??
+									null,
+							}
+						: null,
+					payload: redactPayload(entry.payload),
+				};
+			}),
+		};
+	}
+	return {
+		exportedAt: new Date().toISOString(),
+		...meta,
+		queues,
+	};
+}
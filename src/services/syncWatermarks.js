@@ -0,0 +1,183 @@
+/**
+ * Delta sync bookkeeping for tables cached from Supabase.
+ *
+ * Responsibilities:
+ * - Keep a per-account, per-table `updated_at` high-water mark in Dexie
+ *   (`sync_watermarks`) so a refresh only fetches rows changed since the last one.
+ * - Read deletions recorded server-side in `case_tombstones`.
+ * - Decide when a delta refresh is not enough and a full one is due.
+ *
+ * Notes:
+ * - Watermarks are server timestamps taken from fetched rows, never the local
+ *   clock, so workstation clock drift cannot skip changes.
+ * - Delta queries start `DELTA_OVERLAP_MS` before the watermark: a transaction
+ *   that commits late can stamp a row earlier than rows already fetched.
+ * - RLS changes (reassignment, revoked access) remove rows from a user's view
+ *   without a tombstone, and family-row edits do not always touch the parent's
+ *   `updated_at`, so a full refresh still runs every `FULL_SYNC_INTERVAL_MS`.
+ */
+
+import supabase from "@/../config/supabase";
+import offlineCaseDb from "@/db/offlineCaseDb";
+import { getVaultOwnerId } from "@/services/offlineVault";
+
+/**
+ * @typedef {Object} SyncWatermark
+ * @property {string} key `${ownerId}:${table}`
+ * @property {string} ownerId
+ * @property {string} table Supabase table.
+ * @property {string|null} updatedAt Newest `updated_at` received.
+ * @property {string|null} tombstoneAt Newest tombstone `deleted_at` applied.
+ * @property {number} fullSyncAt Epoch ms of the last full refresh.
+ */
+
+export const FULL_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+export const DELTA_OVERLAP_MS = 60 * 1000;
+
+const TOMBSTONE_TABLE = "case_tombstones";
+
+const toTime = (value) => {
+	const time = value ? new Date(value).getTime() : NaN;
+	return Number.isNaN(time) ? null : time;
+};
+
+const watermarkKey = (ownerId, table) => `${ownerId}:${table}`;
+
+/**
+ * Latest of the given server timestamps.
+ * @param {Array<string|null|undefined>} values
+ * @returns {string|null}
+ */
+export function latestTimestamp(values) {
+	let latest = null;
+	let latestTime = null;
+	values.forEach((value) => {
+		const time = toTime(value);
+		if (time !== null && (latestTime === null || time > latestTime)) {
+			latest = value;
+			latestTime = time;
+		}
+	});
+	return latest;
+}
+
+/**
+ * Lower bound for a delta query, or null when everything must be fetched.
+ * @param {string|null} updatedAt
+ * @returns {string|null}
+ */
+export function deltaSince(updatedAt) {
+	const time = toTime(updatedAt);
+	return time === null
+		? null
+		: new Date(time - DELTA_OVERLAP_MS).toISOString();
+}
+
+/**
+ * @param {SyncWatermark|null} watermark
+ * @returns {boolean} True when the snapshot must be fetched in full.
+ */
+export function needsFullSync(watermark) {
+	return (
+		!watermark ||
+		!watermark.fullSyncAt ||
+		Date.now() - watermark.fullSyncAt > FULL_SYNC_INTERVAL_MS
+	);
+}
+
+/**
+ * Watermark of the unlocked account for `table`.
+ * @param {string} table
+ * @returns {Promise<SyncWatermark|null>}
+ */
+export async function readWatermark(table) {
+	const ownerId = getVaultOwnerId();
+	if (!ownerId) return null;
+	return (
+		(await offlineCaseDb.sync_watermarks.get(
+			watermarkKey(ownerId, table),
+		)) ?? null
+	);
+}
+
+/**
+ * @param {string} table
+ * @param {{ updatedAt: string|null, tombstoneAt: string|null, fullSyncAt: number }} values
+ */
+export async function writeWatermark(table, values) {
+	const ownerId = getVaultOwnerId();
+	if (!ownerId) return;
+	await offlineCaseDb.sync_watermarks.put({
+		key: watermarkKey(ownerId, table),
+		ownerId,
+		table,
+		...values,
+	});
+}
+
+/**
+ * Forget watermarks so the next refresh is a full one. Needed whenever cached
+ * rows are removed for reasons other than a server change (retention, purge).
+ *
+ * @param {string} table
+ * @param {string} [ownerId] Limit to one account; every account when omitted.
+ */
+export async function clearWatermarks(table, ownerId) {
+	await offlineCaseDb.sync_watermarks
+		.filter(
+			(watermark) =>
+				watermark.table === table &&
+				(!ownerId || watermark.ownerId === ownerId),
+		)
+		.delete();
+}
+
+/**
+ * Newest tombstone for `table`. Read before a full refresh so deletions that
+ * race with it are picked up by the next delta.
+ * @param {string} table
+ * @returns {Promise<string|null>}
+ */
+export async function fetchLatestTombstoneAt(table) {
+	const { data, error } = await supabase
+		.from(TOMBSTONE_TABLE)
+		.select("deleted_at")
+		.eq("table_name", table)
+		.order("deleted_at", { ascending: false })
+		.limit(1)
+		.maybeSingle();
+	if (error) {
+		console.error(`❌ Failed to read ${table} tombstones:`, error);
+		return null;
+	}
+	return data?.deleted_at ?? null;
+}
+
+/**
+ * Rows of `table` deleted after `since`.
+ * @param {string} table
+ * @param {string|null} since
+ * @returns {Promise<{ ids: Set<string>, latest: string|null, error: any }>}
+ */
+export async function fetchTombstones(table, since) {
+	let query = supabase
+		.from(TOMBSTONE_TABLE)
+		.select("record_id, deleted_at")
+		.eq("table_name", table);
+	if (since) query = query.gt("deleted_at", since);
+
+	const { data, error } = await query;
+	if (error) {
+		console.error(`❌ Failed to read ${table} tombstones:`, error);
+		return { ids: new Set(), latest: since, error };
+	}
+	return {
+		ids: new Set((data ?? []).map((row) => row.record_id)),
+		latest: latestTimestamp([
+			since,
+			...(data ?? []).map((row) => row.deleted_at),
+		]),
+		error: null,
+	};
+}
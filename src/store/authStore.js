@@ -5,6 +5,29 @@ import {
 	AUDIT_ACTIONS,
 	AUDIT_CATEGORIES,
 } from "@/lib/auditLog";
+import { isNetworkError } from "@/services/offlineCaseRepository";
+import {
+	clearOfflineSession,
+	refreshOfflineSession,
+	saveOfflineSession,
+	unlockOfflineSession,
+} from "@/services/offlineSessionService";
+import {
+	addVaultWrap,
+	hasVault,
+	lockVault,
+	openVaultWithKey,
+	openVaultWithPassword,
+	resetVault,
+	restoreVault,
+	rewrapVaultPassword,
+	unlockVaultWithPassword,
+} from "@/services/offlineVault";
+import { purgeCaseData, sealLegacyCaseData } from "@/services/caseRepositories";
+import { countUnsyncedChanges } from "@/services/syncCenterService";
+import { purgeUserData } from "@/services/offlineDataPolicy";
+import { countDraftsFor, purgeDrafts } from "@/services/intakeDraftService";
+import { purgeStagedDocuments } from "@/services/documentStagingService";
 
 /**
  * Authentication store (Zustand).
@@ -13,8 +36,25 @@ import {
  * - Manage the active Supabase user session (login/logout/init).
  * - Enforce profile status (banned/inactive).
  * - Keep a short-lived signed avatar URL in state.
+ * - Unlock a cached, PIN-sealed identity when the app starts offline (`offlineMode`).
+ * - Unlock the offline vault (key of the encrypted case cache) alongside the session.
+ *
+ * Notes:
+ * - Offline mode is read-and-queue only: writes land in the offline queues and the
+ *   session is re-verified by `init` as soon as connectivity returns.
+ * - `user` is only set together with an unlocked vault, except when a restored
+ *   session still needs the password or PIN (`vaultUnlocked: false`), or when the
+ *   password changed elsewhere and the old key can only be recovered with the
+ *   PIN (`vaultRecovery`).
  */
 
+const isBrowserOffline = () =>
+	typeof navigator !== "undefined" && navigator.onLine === false;
+
+/** Supabase auth wraps fetch failures in `AuthRetryableFetchError`. */
+const isAuthNetworkError = (error) =>
+	error?.name === "AuthRetryableFetchError" || isNetworkError(error);
+
 /** @typedef {"social_worker"} AppRole */
 const normalizeRole = (role) => {
 	// The app currently operates with a single supported role.
@@ -34,23 +74,87 @@ const normalizeRole = (role) => {
  *   role: AppRole | null,
  *   loading: boolean,
  *   authListener: any,
+ *   offlineMode: boolean,
+ *   offlineExpiresAt: number | null,
+ *   offlinePinConfigured: boolean | null,
+ *   vaultUnlocked: boolean,
+ *   vaultRecovery: boolean,
  *   setUser: (user: any, role: string | null | undefined) => void,
  *   login: (email: string, password: string) => Promise<void>,
- *   logout: () => Promise<void>,
+ *   logout: (options?: { discardUnsynced?: boolean }) => Promise<{ success: boolean, unsynced: number, drafts: number }>,
  *   init: () => Promise<void>,
+ *   unlockOffline: (userId: string, pin: string) => Promise<{ success: boolean, error?: Error, attemptsLeft?: number | null }>,
+ *   setOfflinePin: (pin: string, ttlDays: number) => Promise<{ success: boolean, error?: Error }>,
+ *   lockOffline: () => void,
+ *   unlockVault: (secret: string) => Promise<{ success: boolean, error?: Error, attemptsLeft?: number | null }>,
+ *   resetOfflineData: () => Promise<{ success: boolean, error?: Error }>,
  *   cleanup: () => void,
  *   uploadAvatar: (file: File) => Promise<string | undefined>,
  *   updatePassword: (oldPassword: string, newPassword: string) => Promise<boolean>
  * }}
  */
 export const useAuthStore = create((set) => {
-	const resetAuthState = () =>
+	const resetAuthState = () => {
+		lockVault();
 		set({
 			user: null,
 			avatar_url: null,
 			role: null,
 			loading: false,
+			offlineMode: false,
+			offlineExpiresAt: null,
+			offlinePinConfigured: null,
+			vaultUnlocked: false,
+			vaultRecovery: false,
+		});
+	};
+
+	/** Encrypt any cache left from before the vault, then let the app render. */
+	const finishVaultUnlock = async () => {
+		try {
+			const sealed = await sealLegacyCaseData();
+			if (sealed) console.log(`🔒 Encrypted ${sealed} cached records`);
+		} catch (error) {
+			console.error("❌ Failed to encrypt legacy offline data:", error);
+		}
+		set({ vaultUnlocked: true, vaultRecovery: false });
+	};
+
+	/**
+	 * The old key is gone for good: drop what it sealed and the PIN that
+	 * wrapped it, so offline access has to be set up again.
+	 */
+	const discardUnreadableData = async (userId) => {
+		await purgeCaseData(userId);
+		await purgeDrafts(userId);
+		await purgeStagedDocuments(userId);
+		await clearOfflineSession(userId);
+	};
+
+	/** Open the vault with a password the server just accepted. */
+	const openVaultAfterSignIn = async (userId, password) => {
+		const { needsRecovery, reset, error } = await openVaultWithPassword(
+			userId,
+			password,
+		);
+		if (error) return;
+		if (needsRecovery) {
+			set({ vaultRecovery: true });
+			return;
+		}
+		if (reset) await discardUnreadableData(userId);
+		await finishVaultUnlock();
+	};
+
+	/** Extend the offline proof after an online verification. */
+	const markVerified = async (userId) => {
+		const expiresAt = await refreshOfflineSession(userId);
+		set({
+			offlineMode: false,
+			offlineExpiresAt: expiresAt,
+			offlinePinConfigured: expiresAt !== null,
 		});
+	};
 
 	return {
 		// State
@@ -59,6 +163,11 @@ export const useAuthStore = create((set) => {
 		role: null,
 		loading: true,
 		authListener: null,
+		offlineMode: false,
+		offlineExpiresAt: null,
+		offlinePinConfigured: null,
+		vaultUnlocked: false,
+		vaultRecovery: false,
 
 		/**
 		 * Sets user and role and clears loading.
@@ -115,6 +224,8 @@ export const useAuthStore = create((set) => {
 					avatarSignedUrl = signedData?.signedUrl;
 				}
 
+				await openVaultAfterSignIn(data.user.id, password);
+
 				// 6. Save user + signed avatar URL + role
 				set({
 					user: data.user,
@@ -122,6 +233,7 @@ export const useAuthStore = create((set) => {
 					role: normalizeRole(profile?.role),
 					loading: false,
 				});
+				await markVerified(data.user.id);
 
 				await createAuditLog({
 					actionType: AUDIT_ACTIONS.LOGIN,
@@ -132,29 +244,83 @@ export const useAuthStore = create((set) => {
 			}
 		},
 
-		/** Logs out and resets state. */
-		logout: async () => {
-			await createAuditLog({
-				actionType: AUDIT_ACTIONS.LOGOUT,
-				actionCategory: AUDIT_CATEGORIES.AUTH,
-				description: `User logged out`,
-				severity: "info",
-			});
+		/**
+		 * Logs out, wipes this user's offline data and resets state.
+		 *
+		 * Refuses while changes are still queued or intake drafts are saved unless
+		 * `discardUnsynced` is set, so the caller can offer to sync them first.
+		 */
+		logout: async ({ discardUnsynced = false } = {}) => {
+			const { user, offlineMode } = useAuthStore.getState();
+
+			if (user) {
+				const unsynced = await countUnsyncedChanges(user.id);
+				const drafts = await countDraftsFor(user.id);
+				if ((unsynced || drafts) && !discardUnsynced) {
+					return { success: false, unsynced, drafts };
+				}
+				if ((unsynced || drafts) && !offlineMode) {
+					await createAuditLog({
+						actionType: AUDIT_ACTIONS.OFFLINE_DATA_DISCARDED,
+						actionCategory: AUDIT_CATEGORIES.AUTH,
+						description: `User discarded ${unsynced} unsynced offline change${unsynced === 1 ? "" : "s"} and ${drafts} intake draft${drafts === 1 ? "" : "s"} at logout`,
+						metadata: { unsynced, drafts },
+						severity: "warning",
+					});
+				}
+				try {
+					await purgeUserData(user.id);
+				} catch (error) {
+					// Never trap the user in a session because cleanup failed.
+					console.error("❌ Failed to purge offline data:", error);
+				}
+			}
 
-			await supabase.auth.signOut();
+			if (offlineMode) {
+				// Revoking the session needs the server; drop the local copy only.
+				await supabase.auth.signOut({ scope: "local" });
+			} else {
+				await createAuditLog({
+					actionType: AUDIT_ACTIONS.LOGOUT,
+					actionCategory: AUDIT_CATEGORIES.AUTH,
+					description: `User logged out`,
+					severity: "info",
+				});
 
-			set({
-				user: null,
-				avatar_url: null,
-				role: null,
-				loading: false,
-			});
+				await supabase.auth.signOut();
+			}
+
+			resetAuthState();
+			return { success: true, unsynced: 0, drafts: 0 };
 		},
 
-		/** Initializes auth state from Supabase in online-only mode. */
+		/**
+		 * Initializes auth state from Supabase.
+		 *
+		 * Offline starts leave the user signed out so the PIN unlock screen can run;
+		 * an unlocked offline session is kept until `init` runs again online.
+		 */
 		init: async () => {
+			const keepOfflineSession = () => {
+				if (useAuthStore.getState().offlineMode) {
+					set({ loading: false });
+				} else {
+					resetAuthState();
+				}
+			};
+
+			if (isBrowserOffline()) {
+				keepOfflineSession();
+				return;
+			}
+
 			try {
-				const { data } = await supabase.auth.getUser();
+				const { data, error } = await supabase.auth.getUser();
+
+				if (isAuthNetworkError(error)) {
+					keepOfflineSession();
+					return;
+				}
 
 				if (data.user) {
 					try {
@@ -192,12 +358,19 @@ export const useAuthStore = create((set) => {
 								avatarSignedUrl = signedData?.signedUrl;
 						}
 
+						// A reload keeps the session but not the vault key, except
+						// in Electron, which parks it in the main process.
+						if (await restoreVault(data.user.id)) {
+							await finishVaultUnlock();
+						}
+
 						set({
 							user: data.user,
 							avatar_url: avatarSignedUrl,
 							role: normalizeRole(profile?.role),
 							loading: false,
 						});
+						await markVerified(data.user.id);
 					} catch (profileError) {
 						console.error("Profile init failed", profileError);
 						resetAuthState();
@@ -211,6 +384,9 @@ export const useAuthStore = create((set) => {
 				return;
 			}
 
+			// Re-verification after an offline session reuses the existing listener.
+			if (useAuthStore.getState().authListener) return;
+
 			const syncSessionUser = async (sessionUser) => {
 				try {
 					const { data: profile, error: profileError } = await supabase
@@ -269,12 +445,7 @@ export const useAuthStore = create((set) => {
 				console.log("Auth state changed:", event);
 
 				if (event === "SIGNED_OUT" || event === "USER_DELETED") {
-					set({
-						user: null,
-						avatar_url: null,
-						role: null,
-						loading: false,
-					});
+					resetAuthState();
 					return;
 				}
 
@@ -291,6 +462,179 @@ export const useAuthStore = create((set) => {
 			set({ authListener: subscription });
 		},
 
+		/**
+		 * Unlocks the cached identity of `userId` with the local PIN.
+		 * Only valid while offline; the session is re-verified once back online.
+		 */
+		unlockOffline: async (userId, pin) => {
+			const { user, role, key, expiresAt, attemptsLeft, error } =
+				await unlockOfflineSession(userId, pin);
+			if (error) return { success: false, error, attemptsLeft };
+
+			const { error: vaultError } = await openVaultWithKey(
+				userId,
+				"pin",
+				key,
+			);
+			if (vaultError) {
+				return {
+					success: false,
+					error: new Error(
+						"Offline data for this account cannot be opened. Connect to the internet and sign in.",
+					),
+				};
+			}
+			await finishVaultUnlock();
+
+			set({
+				user,
+				role: normalizeRole(role),
+				avatar_url: null,
+				loading: false,
+				offlineMode: true,
+				offlineExpiresAt: expiresAt,
+				offlinePinConfigured: true,
+			});
+			return { success: true };
+		},
+
+		/** Sets (or replaces) the local PIN for the online-verified user. */
+		setOfflinePin: async (pin, ttlDays) => {
+			const { user, role, offlineMode, vaultUnlocked } =
+				useAuthStore.getState();
+			if (!user || offlineMode || !vaultUnlocked) {
+				return {
+					success: false,
+					error: new Error(
+						"Connect to the internet to set up offline access.",
+					),
+				};
+			}
+
+			const { expiresAt, key, error } = await saveOfflineSession({
+				user,
+				role,
+				pin,
+				ttlDays,
+			});
+			if (error) return { success: false, error };
+
+			// The PIN must also open the case cache, or offline unlock is useless.
+			const { error: wrapError } = await addVaultWrap(
+				user.id,
+				"pin",
+				key,
+			);
+			if (wrapError) {
+				await clearOfflineSession(user.id);
+				return { success: false, error: wrapError };
+			}
+
+			set({ offlineExpiresAt: expiresAt, offlinePinConfigured: true });
+			await createAuditLog({
+				actionType: AUDIT_ACTIONS.OFFLINE_ACCESS_SETUP,
+				actionCategory: AUDIT_CATEGORIES.AUTH,
+				description: `User set up offline access (${ttlDays} day expiry)`,
+				severity: "info",
+			});
+			return { success: true };
+		},
+
+		/** Ends an offline session, e.g. when its expiry passes before reconnecting. */
+		lockOffline: () => {
+			if (useAuthStore.getState().offlineMode) resetAuthState();
+		},
+
+		/**
+		 * Unlocks the vault for the signed-in user with their password or PIN.
+		 * In recovery (password changed elsewhere) only the PIN can succeed.
+		 */
+		unlockVault: async (secret) => {
+			const { user } = useAuthStore.getState();
+			if (!user) {
+				return {
+					success: false,
+					error: new Error("No user logged in"),
+				};
+			}
+
+			if (!(await hasVault(user.id))) {
+				// Nothing is sealed for this account yet; only a password the
+				// server accepts may create the vault.
+				const { error } = await supabase.auth.signInWithPassword({
+					email: user.email,
+					password: secret,
+				});
+				if (error) {
+					return {
+						success: false,
+						error: isAuthNetworkError(error)
+							? new Error(
+									"Connect to the internet to unlock offline data.",
+								)
+							: new Error("Wrong password."),
+					};
+				}
+				await openVaultAfterSignIn(user.id, secret);
+				return useAuthStore.getState().vaultUnlocked
+					? { success: true }
+					: {
+							success: false,
+							error: new Error(
+								"Offline data could not be unlocked.",
+							),
+						};
+			}
+
+			const { error: passwordError } = await unlockVaultWithPassword(
+				user.id,
+				secret,
+			);
+			if (!passwordError) {
+				await finishVaultUnlock();
+				return { success: true };
+			}
+
+			if (!/^\d{6,8}$/.test(secret)) {
+				return { success: false, error: passwordError };
+			}
+			const { key, attemptsLeft, error } = await unlockOfflineSession(
+				user.id,
+				secret,
+			);
+			if (error) return { success: false, error, attemptsLeft };
+
+			const { error: vaultError } = await openVaultWithKey(
+				user.id,
+				"pin",
+				key,
+			);
+			if (vaultError) return { success: false, error: vaultError };
+			await finishVaultUnlock();
+			return { success: true };
+		},
+
+		/**
+		 * Gives up on offline data that can no longer be decrypted (recovery
+		 * declined) and starts a fresh vault with the password from this sign-in.
+		 */
+		resetOfflineData: async () => {
+			const { user } = useAuthStore.getState();
+			if (!user) {
+				return {
+					success: false,
+					error: new Error("No user logged in"),
+				};
+			}
+			const { error } = await resetVault(user.id);
+			if (error) return { success: false, error };
+
+			await discardUnreadableData(user.id);
+			set({ offlinePinConfigured: false, offlineExpiresAt: null });
+			await finishVaultUnlock();
+			return { success: true };
+		},
+
 		/** Unsubscribes from auth listener (used on app teardown). */
 		cleanup: () => {
 			const { authListener } = useAuthStore.getState();
@@ -358,6 +702,9 @@ export const useAuthStore = create((set) => {
 				return false;
 			}
 
+			// Keep the offline vault openable with the new password.
+			await rewrapVaultPassword(user.id, newPassword);
+
 			// Log password change
 			await createAuditLog({
 				actionType: AUDIT_ACTIONS.PASSWORD_CHANGE,
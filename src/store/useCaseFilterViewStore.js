@@ -0,0 +1,139 @@
+/**
+ * Saved case filter view store (Zustand).
+ *
+ * Shares the signed-in user's saved and shared views, and their landing view,
+ * between the Case Management toolbar and the sidebar. Writes go through
+ * caseFilterViewService and update the list in place.
+ */
+
+import { create } from "zustand";
+import { useEffect } from "react";
+import {
+	createFilterView,
+	deleteFilterView,
+	fetchDefaultFilterViewId,
+	listFilterViews,
+	setDefaultFilterView,
+	updateFilterView,
+} from "@/services/caseFilterViewService";
+
+/** @typedef {import("@/services/caseFilterViewService").CaseFilterViewRow} CaseFilterViewRow */
+
+/**
+ * @returns {{
+ *   views: CaseFilterViewRow[],
+ *   defaultViewId: string | null,
+ *   loading: boolean,
+ *   loaded: boolean,
+ *   error: string | null,
+ *   load: (userId: string) => Promise<void>,
+ *   saveView: (params: Parameters<typeof createFilterView>[0]) => Promise<{ data: CaseFilterViewRow|null, error: any }>,
+ *   updateView: (viewId: string, changes: Parameters<typeof updateFilterView>[1]) => Promise<{ data: CaseFilterViewRow|null, error: any }>,
+ *   removeView: (viewId: string) => Promise<{ error: any }>,
+ *   setDefaultView: (userId: string, viewId: string|null) => Promise<{ error: any }>,
+ *   reset: () => void
+ * }}
+ */
+export const useCaseFilterViewStore = create((set, get) => ({
+	views: [],
+	defaultViewId: null,
+	loading: false,
+	loaded: false,
+	error: null,
+
+	/**
+	 * Loads views and the landing view for `userId`. Calls made while a load
+	 * is running are dropped (the toolbar and the sidebar both ask on mount).
+	 * @param {string} userId
+	 */
+	load: async (userId) => {
+		if (!userId || get().loading) return;
+		set({ loading: true, error: null });
+		const [viewsResult, defaultResult] = await Promise.all([
+			listFilterViews(),
+			fetchDefaultFilterViewId(userId),
+		]);
+		const error = viewsResult.error ?? defaultResult.error;
+		set({
+			views: viewsResult.data,
+			defaultViewId: defaultResult.data,
+			loading: false,
+			loaded: !error,
+			error: error?.message ?? null,
+		});
+	},
+
+	saveView: async (params) => {
+		const result = await createFilterView(params);
+		if (result.data) {
+			set((state) => ({
+				views: [...state.views, result.data].sort((a, b) =>
+					a.name.localeCompare(b.name),
+				),
+			}));
+		}
+		return result;
+	},
+
+	updateView: async (viewId, changes) => {
+		const result = await updateFilterView(viewId, changes);
+		if (result.data) {
+			set((state) => ({
+				views: state.views.map((view) =>
+					view.id === viewId ? result.data : view,
+				),
+			}));
+		}
+		return result;
+	},
+
+	removeView: async (viewId) => {
+		const result = await deleteFilterView(viewId);
+		if (!result.error) {
+			set((state) => ({
+				views: state.views.filter((view) => view.id !== viewId),
+				// The defaults row goes with the view (ON DELETE CASCADE).
+				defaultViewId:
+					state.defaultViewId === viewId ? null : state.defaultViewId,
+			}));
+		}
+		return result;
+	},
+
+	setDefaultView: async (userId, viewId) => {
+		const previous = get().defaultViewId;
+		set({ defaultViewId: viewId });
+		const result = await setDefaultFilterView(userId, viewId);
+		if (result.error) set({ defaultViewId: previous });
+		return result;
+	},
+
+	reset: () => {
+		set({
+			views: [],
+			defaultViewId: null,
+			loading: false,
+			loaded: false,
+			error: null,
+		});
+	},
+}));
+
+/**
+ * Views for the signed-in user, loaded on first use.
+ *
+ * @param {string|null|undefined} userId
+ * @returns {ReturnType<typeof useCaseFilterViewStore.getState>}
+ */
+export const useCaseFilterViews = (userId) => {
+	const store = useCaseFilterViewStore();
+	const { load, loaded } = store;
+
+	useEffect(() => {
+		if (userId && !loaded) void load(userId);
+	}, [userId, loaded, load]);
+
+	return store;
+};
+
+export default useCaseFilterViewStore;
@@ -21,6 +21,7 @@ import { create } from "zustand";
  *     maybeValue?: any
  *   ) => void,
  *   resetAll: () => void,
+ *   loadAll: (data: IntakeFormData) => void,
  *   getAllData: () => IntakeFormData
  * }}
  */
@@ -63,6 +64,12 @@ export const useIntakeFormStore = create((set, get) => ({
 	/** Clears all intake form data. */
 	resetAll: () => set({ data: {} }),
 
+	/**
+	 * Replaces all sections at once (resuming a saved draft).
+	 * @param {IntakeFormData} data
+	 */
+	loadAll: (data) => set({ data: { ...(data || {}) } }),
+
 	/** Returns the full intake payload (useful for final submit). */
 	getAllData: () => get().data,
 }));